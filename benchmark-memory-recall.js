@@ -0,0 +1,134 @@
+// Benchmark: recall@k of memory retrieval for characters with few memories.
+// Builds a throwaway database with one busy character and several quiet ones, then compares
+//   before: global top-(k*2) KNN, filtered by character afterwards (the old retrieval path)
+//   after:  KNN scoped to the character (queryItems(vector, k, characterName))
+// against the exact nearest neighbours among that character's own memories.
+// Usage: node benchmark-memory-recall.js
+// Optional env: BENCH_DIM (64), BENCH_BUSY (2000), BENCH_QUIET (30), BENCH_CHARACTERS (5), BENCH_QUERIES (40), BENCH_K (8)
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const DIM = parseInt(process.env.BENCH_DIM || '64');
+const BUSY_COUNT = parseInt(process.env.BENCH_BUSY || '2000');
+const QUIET_COUNT = parseInt(process.env.BENCH_QUIET || '30');
+const QUIET_CHARACTERS = parseInt(process.env.BENCH_CHARACTERS || '5');
+const QUERIES = parseInt(process.env.BENCH_QUERIES || '40');
+const K = parseInt(process.env.BENCH_K || '8');
+
+// Point the database layer at a temporary directory so the real data is never touched
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chunrp-bench-'));
+process.env.DATA_DIR = tempDir;
+process.env.NODE_ENV = 'production';
+
+const { getDatabase, closeDatabase } = await import('./src/backend/database.js');
+const { ensureIndex, insertItem, queryItems } = await import('./src/backend/vector-store-sqlite-vec.js');
+
+// Seeded PRNG so runs are comparable
+let seed = 1234567;
+function random() {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Unit-length random vector (unit length keeps L2 and cosine rankings identical)
+function randomVector() {
+  const v = [];
+  for (let i = 0; i < DIM; i++) {
+    v.push(Math.sqrt(-2 * Math.log(random() || 1e-12)) * Math.cos(2 * Math.PI * random()));
+  }
+  const norm = Math.sqrt(v.reduce((sum, x) => sum + x * x, 0)) || 1;
+  return v.map(x => x / norm);
+}
+
+function distance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += (a[i] - b[i]) ** 2;
+  return Math.sqrt(sum);
+}
+
+async function seedMemories() {
+  const characters = [{ name: 'Busy', count: BUSY_COUNT }];
+  for (let i = 1; i <= QUIET_CHARACTERS; i++) characters.push({ name: `Quiet ${i}`, count: QUIET_COUNT });
+
+  const vectors = new Map(); // character -> [{ id, vector }]
+  const db = getDatabase();
+  const insertAll = async () => {
+    for (const character of characters) {
+      const list = [];
+      for (let i = 0; i < character.count; i++) {
+        const id = `${character.name}-${i}`;
+        const vector = randomVector();
+        await insertItem({ vector, metadata: { id, character: character.name, summary: id, timestamp: Date.now(), importance: 5 } });
+        list.push({ id, vector });
+      }
+      vectors.set(character.name, list);
+    }
+  };
+  db.exec('BEGIN');
+  try {
+    await insertAll();
+    db.exec('COMMIT');
+  } catch (error) {
+    db.exec('ROLLBACK');
+    throw error;
+  }
+  return vectors;
+}
+
+function recall(retrievedIds, truthIds) {
+  if (truthIds.length === 0) return 1;
+  const truth = new Set(truthIds);
+  return retrievedIds.filter(id => truth.has(id)).length / truthIds.length;
+}
+
+async function run() {
+  await ensureIndex();
+  console.log(`Seeding ${BUSY_COUNT} memories for "Busy" and ${QUIET_COUNT} for each of ${QUIET_CHARACTERS} quiet characters (dim ${DIM})...`);
+  const vectors = await seedMemories();
+  const db = getDatabase();
+  const usingVec = !!db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='memories_vec'").get();
+  console.log(`KNN backend: ${usingVec ? 'sqlite-vec' : 'brute-force fallback'}`);
+
+  const results = [];
+  for (const [characterName, memories] of vectors) {
+    let before = 0, after = 0, beforeReturned = 0, afterReturned = 0;
+    for (let q = 0; q < QUERIES; q++) {
+      const query = randomVector();
+      const truthIds = memories
+        .map(m => ({ id: m.id, d: distance(query, m.vector) }))
+        .sort((a, b) => a.d - b.d)
+        .slice(0, K)
+        .map(m => m.id);
+
+      const globalHits = (await queryItems(query, K * 2))
+        .filter(r => r.item.metadata.character === characterName)
+        .slice(0, K)
+        .map(r => r.item.metadata.id);
+      const scopedHits = (await queryItems(query, K, characterName)).map(r => r.item.metadata.id);
+
+      before += recall(globalHits, truthIds);
+      after += recall(scopedHits, truthIds);
+      beforeReturned += globalHits.length;
+      afterReturned += scopedHits.length;
+    }
+    results.push({
+      character: characterName,
+      memories: memories.length,
+      [`recall@${K} before`]: (before / QUERIES).toFixed(3),
+      [`recall@${K} after`]: (after / QUERIES).toFixed(3),
+      'avg returned before': (beforeReturned / QUERIES).toFixed(1),
+      'avg returned after': (afterReturned / QUERIES).toFixed(1)
+    });
+  }
+  console.table(results);
+}
+
+try {
+  await run();
+} finally {
+  closeDatabase();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}
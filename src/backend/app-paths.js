@@ -44,13 +44,14 @@ function getDataDirectory() {
       return dataPath;
     }
   } else {
-    // In development mode, use the project's data directory
-    return path.join(__dirname, '../../data');
+    // In development mode, use the project's data directory unless DATA_DIR points elsewhere (tests)
+    return process.env.DATA_DIR || path.join(__dirname, '../../data');
   }
 }
 
-// Get the correct database path
+// Get the correct database path. CHUNRP_DB_PATH overrides it (':memory:' for an in-memory database in tests).
 function getDatabasePath() {
+  if (process.env.CHUNRP_DB_PATH) return process.env.CHUNRP_DB_PATH;
   const dataDir = getDataDirectory();
   return path.join(dataDir, 'chunrp.db');
 }
@@ -79,6 +80,12 @@ function getSettingsPath() {
   return path.join(dataDir, 'settings.json');
 }
 
+// Folder scanned for chat provider plugins (.js/.mjs files)
+function getProviderPluginsPath() {
+  const dataDir = getDataDirectory();
+  return path.join(dataDir, 'providers');
+}
+
 // Ensure data directory exists
 function ensureDataDirectory() {
   const dataDir = getDataDirectory();
@@ -133,6 +140,7 @@ export {
   getCharactersPath,
   getChatHistoryPath,
   getSettingsPath,
+  getProviderPluginsPath,
   ensureDataDirectory,
   initializeDataDirectory
 };
\ No newline at end of file
@@ -0,0 +1,273 @@
+// Character Card (SillyTavern V1/V2/V3) import and export.
+// Cards are plain JSON or PNG images carrying the card as base64 JSON in a tEXt chunk:
+// 'chara' holds a V2 card and 'ccv3' a V3 card. We read either and write both.
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CARD_KEYWORDS = ['ccv3', 'chara']; // Preference order when reading
+const MAX_AVATAR_BYTES = 8 * 1024 * 1024;
+
+// --- PNG chunk helpers ---
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function isPng(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length > PNG_SIGNATURE.length && buffer.subarray(0, 8).equals(PNG_SIGNATURE);
+}
+
+// Split a PNG into its chunks. Returns null for anything that is not a well-formed PNG.
+function readPngChunks(buffer) {
+  if (!isPng(buffer)) return null;
+
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    if (offset + 12 + length > buffer.length) return null;
+    chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + length) });
+    offset += 12 + length;
+    if (type === 'IEND') break;
+  }
+  return chunks.length > 0 && chunks[chunks.length - 1].type === 'IEND' ? chunks : null;
+}
+
+function isCardChunk(chunk) {
+  if (chunk.type !== 'tEXt') return false;
+  const separator = chunk.data.indexOf(0);
+  const keyword = chunk.data.toString('latin1', 0, separator === -1 ? chunk.data.length : separator).toLowerCase();
+  return CARD_KEYWORDS.includes(keyword);
+}
+
+function encodePngChunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(data.length, 0);
+  header.write(type, 4, 'latin1');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])), 0);
+  return Buffer.concat([header, data, crc]);
+}
+
+// Pull the card JSON out of a PNG. Returns the parsed card or null.
+function extractCardFromPng(buffer) {
+  const chunks = readPngChunks(buffer);
+  if (!chunks) return null;
+
+  const texts = {};
+  for (const chunk of chunks) {
+    if (chunk.type !== 'tEXt') continue;
+    const separator = chunk.data.indexOf(0);
+    if (separator === -1) continue;
+    const keyword = chunk.data.toString('latin1', 0, separator).toLowerCase();
+    if (CARD_KEYWORDS.includes(keyword)) {
+      texts[keyword] = chunk.data.toString('latin1', separator + 1);
+    }
+  }
+
+  for (const keyword of CARD_KEYWORDS) {
+    if (!texts[keyword]) continue;
+    try {
+      return JSON.parse(Buffer.from(texts[keyword], 'base64').toString('utf8'));
+    } catch (error) {
+      console.warn(`Character card: invalid '${keyword}' chunk, trying the next one.`, error.message);
+    }
+  }
+  return null;
+}
+
+// Write a character's card into a PNG (both V2 and V3 chunks), replacing any card chunks already present.
+function embedCardInPng(pngBuffer, character) {
+  const chunks = readPngChunks(pngBuffer);
+  if (!chunks) throw new Error('Avatar image is not a valid PNG.');
+
+  const v2 = characterToCard(character, 'v2');
+  const v3 = characterToCard(character, 'v3');
+  const textChunk = (keyword, value) => encodePngChunk('tEXt', Buffer.concat([
+    Buffer.from(keyword, 'latin1'),
+    Buffer.from([0]),
+    Buffer.from(Buffer.from(JSON.stringify(value), 'utf8').toString('base64'), 'latin1')
+  ]));
+
+  const output = [PNG_SIGNATURE];
+  for (const chunk of chunks) {
+    if (isCardChunk(chunk)) continue;
+    if (chunk.type === 'IEND') {
+      output.push(textChunk('chara', v2), textChunk('ccv3', v3));
+    }
+    output.push(encodePngChunk(chunk.type, chunk.data));
+  }
+  return Buffer.concat(output);
+}
+
+// The image alone, without card chunks (used to keep imported avatars small)
+function stripCardFromPng(pngBuffer) {
+  const chunks = readPngChunks(pngBuffer);
+  if (!chunks) return null;
+  return Buffer.concat([PNG_SIGNATURE, ...chunks.filter(chunk => !isCardChunk(chunk)).map(chunk => encodePngChunk(chunk.type, chunk.data))]);
+}
+
+// Plain square PNG used when a character has no PNG avatar to embed the card in
+function createPlaceholderPng(size = 256, rgb = [96, 96, 128]) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // truecolor RGB
+  const row = Buffer.alloc(1 + size * 3);
+  for (let x = 0; x < size; x++) {
+    row[1 + x * 3] = rgb[0];
+    row[2 + x * 3] = rgb[1];
+    row[3 + x * 3] = rgb[2];
+  }
+  const pixels = zlib.deflateSync(Buffer.concat(Array(size).fill(row)));
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    encodePngChunk('IHDR', header),
+    encodePngChunk('IDAT', pixels),
+    encodePngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// A character's avatar as PNG bytes: a data URL, or a file under localRoot (the folder the web UI
+// serves, e.g. `assets/avatar.png`). Remote URLs are never fetched from the server. Returns null
+// if unavailable, too large or not a PNG.
+async function loadAvatarPng(avatarUrl, localRoot = null) {
+  if (!avatarUrl) return null;
+  try {
+    if (avatarUrl.startsWith('data:')) {
+      const match = avatarUrl.match(/^data:image\/png;base64,(.+)$/);
+      const buffer = match && match[1].length <= MAX_AVATAR_BYTES * 4 / 3 + 4 ? Buffer.from(match[1], 'base64') : null;
+      return isPng(buffer) ? buffer : null;
+    }
+    if (localRoot && !/^[a-z][a-z0-9+.-]*:/i.test(avatarUrl) && !avatarUrl.startsWith('//')) {
+      const root = path.resolve(localRoot);
+      const file = path.resolve(root, `.${path.posix.normalize(`/${decodeURIComponent(avatarUrl.split(/[?#]/)[0])}`)}`);
+      if (!file.startsWith(root + path.sep)) return null;
+      const stat = await fs.promises.stat(file);
+      if (!stat.isFile() || stat.size > MAX_AVATAR_BYTES) return null;
+      const buffer = await fs.promises.readFile(file);
+      return isPng(buffer) ? buffer : null;
+    }
+  } catch (error) {
+    console.warn(`Character card: could not load avatar ${avatarUrl.slice(0, 80)}:`, error.message);
+  }
+  return null;
+}
+
+// --- Card <-> character mapping ---
+
+// Convert a V1/V2/V3 card into data for createCharacter. {{char}} macros are resolved
+// to the character's name because our prompts only substitute {{user}}.
+function cardToCharacterData(card) {
+  if (!card || typeof card !== 'object') return null;
+  const data = (card.spec && card.data && typeof card.data === 'object') ? card.data : card; // V1 cards are flat
+  if (typeof data.name !== 'string' || !data.name.trim()) return null;
+
+  const name = data.name.trim();
+  const fill = text => typeof text === 'string'
+    ? text.replace(/\{\{char\}\}/gi, name).replace(/<BOT>/g, name).replace(/<USER>/g, '{{user}}').trim()
+    : '';
+
+  const description = fill(data.description);
+  const personality = fill(data.personality);
+  // The persona is the whole system prompt here, so personality rides along with it
+  let persona = description;
+  if (personality) {
+    persona = persona ? `${persona}\n\n${name}'s personality: ${personality}` : `${name}'s personality: ${personality}`;
+  }
+
+  const chunrp = data.extensions?.chunrp || {};
+  return {
+    name,
+    description: personality,
+    persona: persona || `You are ${name}.`,
+    currentScenario: fill(data.scenario),
+    firstMessage: fill(data.first_mes),
+    exampleMessages: fill(data.mes_example),
+    alternateGreetings: Array.isArray(data.alternate_greetings) ? data.alternate_greetings.map(fill).filter(Boolean) : [],
+    characterBook: (data.character_book && typeof data.character_book === 'object') ? data.character_book : null,
+    appearance: typeof chunrp.appearance === 'string' ? chunrp.appearance : '',
+    settingsOverride: (chunrp.settingsOverride && typeof chunrp.settingsOverride === 'object') ? chunrp.settingsOverride : {},
+    relationshipAxes: Array.isArray(chunrp.relationshipAxes) ? chunrp.relationshipAxes.filter(axis => typeof axis === 'string') : null
+  };
+}
+
+// Build the card `data` object for a character (inverse of cardToCharacterData)
+function characterToCardData(character) {
+  const personality = character.description || '';
+  let description = character.persona || '';
+  // Drop the personality paragraph added on import (the name may have changed since)
+  if (personality && description.endsWith(`'s personality: ${personality}`)) {
+    const paragraphStart = description.lastIndexOf('\n\n');
+    description = paragraphStart === -1 ? '' : description.slice(0, paragraphStart).trim();
+  }
+
+  const data = {
+    name: character.name,
+    description,
+    personality,
+    scenario: character.currentScenario || '',
+    first_mes: character.firstMessage || '',
+    mes_example: character.exampleMessages || '',
+    creator_notes: '',
+    system_prompt: '',
+    post_history_instructions: '',
+    alternate_greetings: character.alternateGreetings || [],
+    tags: [],
+    creator: '',
+    character_version: '',
+    extensions: {
+      chunrp: {
+        appearance: character.appearance || '',
+        settingsOverride: character.settingsOverride || {},
+        relationshipAxes: character.relationshipAxes || null
+      }
+    }
+  };
+  if (character.characterBook) data.character_book = character.characterBook;
+  return data;
+}
+
+// Full JSON card for a character. V3 adds a couple of required fields on top of V2.
+function characterToCard(character, spec = 'v2') {
+  const data = characterToCardData(character);
+  if (spec === 'v3') {
+    return {
+      spec: 'chara_card_v3',
+      spec_version: '3.0',
+      data: { ...data, group_only_greetings: [], assets: [{ type: 'icon', uri: 'ccdefault:', name: 'main', ext: 'png' }] }
+    };
+  }
+  return { spec: 'chara_card_v2', spec_version: '2.0', data };
+}
+
+export {
+  isPng,
+  extractCardFromPng,
+  embedCardInPng,
+  stripCardFromPng,
+  createPlaceholderPng,
+  loadAvatarPng,
+  cardToCharacterData,
+  characterToCard
+};
@@ -10,15 +10,20 @@ const characterSchema = {
   appearance: "", 
   avatarUrl: "", 
   firstMessage: "", 
+  exampleMessages: "",
+  alternateGreetings: [],
+  characterBook: null,
   settingsOverride: {}, 
   createdAt: Date.now(),
   modifiedAt: Date.now(),
   relationships: {
     user: {
       status: 'neutral',
-      sentiment: 0.0
+      sentiment: 0.0,
+      axes: {}
     }
   },
+  relationshipAxes: null, // null = default axes (see relationships.js)
   lastJournalIndex: 0
 };
 
@@ -31,6 +36,20 @@ function dbRowToCharacter(row, relationships = []) {
   } catch (e) {
     console.warn(`Invalid settings_override JSON for character ${row.name}:`, e);
   }
+  let alternateGreetings = [];
+  let characterBook = null;
+  try {
+    alternateGreetings = JSON.parse(row.alternate_greetings || '[]');
+    characterBook = row.character_book ? JSON.parse(row.character_book) : null;
+  } catch (e) {
+    console.warn(`Invalid character card JSON for character ${row.name}:`, e);
+  }
+  let relationshipAxes = null;
+  try {
+    relationshipAxes = row.relationship_axes ? JSON.parse(row.relationship_axes) : null;
+  } catch (e) {
+    console.warn(`Invalid relationship_axes JSON for character ${row.name}:`, e);
+  }
   const character = {
     id: row.id,
     name: row.name,
@@ -40,18 +59,30 @@ function dbRowToCharacter(row, relationships = []) {
     appearance: row.appearance || '',
     avatarUrl: row.avatar_url || '',
     firstMessage: row.first_message || '',
+    exampleMessages: row.example_messages || '',
+    alternateGreetings: Array.isArray(alternateGreetings) ? alternateGreetings : [],
+    characterBook,
     settingsOverride,
     createdAt: row.created_at,
     modifiedAt: row.modified_at,
     relationships: {},
+    relationshipAxes: Array.isArray(relationshipAxes) ? relationshipAxes : null,
     lastJournalIndex: row.last_journal_index || 0
   };
   
   // Add relationships
   for (const rel of relationships) {
+    let axes = {};
+    try {
+      axes = JSON.parse(rel.axes || '{}');
+    } catch (e) {
+      console.warn(`Invalid relationship axes JSON for character ${row.name}:`, e);
+    }
     character.relationships[rel.user_name] = {
       status: rel.status,
-      sentiment: rel.sentiment
+      sentiment: rel.sentiment,
+      axes,
+      updatedAt: rel.updated_at
     };
   }
   
@@ -90,9 +121,9 @@ function createCharacter(characterData) {
     const insertStmt = db.prepare(`
       INSERT INTO characters (
         name, description, current_scenario, persona, appearance,
-        avatar_url, first_message, settings_override, last_journal_index,
-        created_at, modified_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        avatar_url, first_message, example_messages, alternate_greetings, character_book,
+        settings_override, relationship_axes, last_journal_index, created_at, modified_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     
     const result = insertStmt.run(
@@ -103,7 +134,11 @@ function createCharacter(characterData) {
       characterData.appearance || '',
       characterData.avatarUrl || '',
       characterData.firstMessage || '',
+      characterData.exampleMessages || '',
+      JSON.stringify(Array.isArray(characterData.alternateGreetings) ? characterData.alternateGreetings : []),
+      characterData.characterBook ? JSON.stringify(characterData.characterBook) : null,
       JSON.stringify(characterData.settingsOverride || {}),
+      Array.isArray(characterData.relationshipAxes) && characterData.relationshipAxes.length > 0 ? JSON.stringify(characterData.relationshipAxes) : null,
       0, // last_journal_index
       now,
       now
@@ -246,7 +281,11 @@ function updateCharacter(characterName, updateData) {
       appearance: 'appearance',
       avatarUrl: 'avatar_url',
       firstMessage: 'first_message',
+      exampleMessages: 'example_messages',
+      alternateGreetings: 'alternate_greetings',
+      characterBook: 'character_book',
       settingsOverride: 'settings_override',
+      relationshipAxes: 'relationship_axes',
       lastJournalIndex: 'last_journal_index'
     };
     
@@ -255,6 +294,13 @@ function updateCharacter(characterName, updateData) {
         updateFields.push(`${dbField} = ?`);
         if (jsField === 'settingsOverride') {
           updateValues.push(JSON.stringify(updateData[jsField]));
+        } else if (jsField === 'alternateGreetings') {
+          updateValues.push(JSON.stringify(Array.isArray(updateData[jsField]) ? updateData[jsField] : []));
+        } else if (jsField === 'relationshipAxes') {
+          const axes = updateData[jsField];
+          updateValues.push(Array.isArray(axes) && axes.length > 0 ? JSON.stringify(axes) : null);
+        } else if (jsField === 'characterBook') {
+          updateValues.push(updateData[jsField] ? JSON.stringify(updateData[jsField]) : null);
         } else if (jsField === 'lastJournalIndex') {
           updateValues.push(updateData[jsField] || 0);
         } else {
@@ -263,7 +309,8 @@ function updateCharacter(characterName, updateData) {
       }
     }
     
-    if (updateFields.length === 0) {
+    // A relationships-only update still has to reach the relationship rows below
+    if (updateFields.length === 0 && !updateData.relationships) {
       console.log('No fields to update');
       return loadCharacter(characterName);
     }
@@ -282,8 +329,8 @@ function updateCharacter(characterName, updateData) {
     if (updateData.relationships) {
       const deleteRelStmt = db.prepare('DELETE FROM character_relationships WHERE character_id = ?');
       const insertRelStmt = db.prepare(`
-        INSERT INTO character_relationships (character_id, user_name, status, sentiment, updated_at)
-        VALUES (?, ?, ?, ?, ?)
+        INSERT INTO character_relationships (character_id, user_name, status, sentiment, axes, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
       `);
       
       deleteRelStmt.run(existingChar.id);
@@ -294,7 +341,8 @@ function updateCharacter(characterName, updateData) {
           userName,
           relationship.status || 'neutral',
           relationship.sentiment || 0.0,
-          Date.now()
+          JSON.stringify(relationship.axes || {}),
+          relationship.updatedAt || Date.now()
         );
       }
     }
@@ -308,8 +356,110 @@ function updateCharacter(characterName, updateData) {
   }
 }
 
-// Load chat history for a character
-function loadChatHistory(characterName) {
+// Resolve the active branch for a character, creating a 'main' branch on first use.
+// Messages without a branch (pre-branching rows or rows pulled via sync) are adopted
+// into the active branch so they never go missing.
+function getActiveBranchId(db, characterId) {
+  let branch = db.prepare('SELECT id FROM chat_branches WHERE character_id = ? AND is_active = 1').get(characterId);
+
+  if (!branch) {
+    branch = db.prepare('SELECT id FROM chat_branches WHERE character_id = ? ORDER BY id LIMIT 1').get(characterId);
+    if (branch) {
+      db.prepare('UPDATE chat_branches SET is_active = 1 WHERE id = ?').run(branch.id);
+    } else {
+      const now = Date.now();
+      const result = db.prepare(`
+        INSERT INTO chat_branches (character_id, name, is_active, created_at, updated_at)
+        VALUES (?, 'main', 1, ?, ?)
+      `).run(characterId, now, now);
+      branch = { id: result.lastInsertRowid };
+    }
+  }
+
+  db.prepare('UPDATE chat_messages SET branch_id = ? WHERE character_id = ? AND branch_id IS NULL')
+    .run(branch.id, characterId);
+
+  return branch.id;
+}
+
+// Find a branch belonging to a character (branch ids are global, so always scope by character)
+function findBranch(db, characterId, branchId) {
+  return db.prepare('SELECT * FROM chat_branches WHERE id = ? AND character_id = ?').get(branchId, characterId);
+}
+
+// Group branch rows (ordered by id) into turns.
+// Rows with variant_index > 0 are alternates of the turn started by the preceding variant 0 row.
+function groupRowsIntoTurns(rows) {
+  const turns = [];
+  for (const row of rows) {
+    if (row.variant_index > 0 && turns.length > 0) {
+      turns[turns.length - 1].push(row);
+    } else {
+      turns.push([row]);
+    }
+  }
+  return turns;
+}
+
+// Convert branch rows (ordered by id) into chat history entries
+function rowsToChatHistory(rows) {
+  return groupRowsIntoTurns(rows).map(turnRows => {
+    let activeVariant = turnRows.findIndex(row => row.is_active_variant);
+    if (activeVariant === -1) activeVariant = 0;
+    const active = turnRows[activeVariant];
+    const message = {
+      role: active.role,
+      content: active.content,
+      timestamp: active.timestamp
+    };
+    if (active.reasoning) message.reasoning = active.reasoning;
+    if (turnRows.length > 1) {
+      message.variants = turnRows.map(row => (row.reasoning
+        ? { content: row.content, reasoning: row.reasoning, timestamp: row.timestamp }
+        : { content: row.content, timestamp: row.timestamp }));
+      message.activeVariant = activeVariant;
+    }
+    return message;
+  });
+}
+
+// Normalize a chat history entry into the list of variants to persist.
+// The message content (and reasoning) always wins for the active variant so edits carry through.
+function messageToVariants(message) {
+  const fallbackTimestamp = (typeof message.timestamp === 'number' && !isNaN(message.timestamp)) ? message.timestamp : Date.now();
+  const activeReasoning = typeof message.reasoning === 'string' && message.reasoning ? message.reasoning : null;
+  if (!Array.isArray(message.variants) || message.variants.length < 2) {
+    return { variants: [{ content: message.content, reasoning: activeReasoning, timestamp: fallbackTimestamp }], activeVariant: 0 };
+  }
+
+  const requested = Number.isInteger(message.activeVariant) ? message.activeVariant : 0;
+  const activeVariant = Math.min(Math.max(requested, 0), message.variants.length - 1);
+  const variants = [];
+  let resolvedActive = 0;
+  message.variants.forEach((variant, index) => {
+    const content = index === activeVariant ? message.content : (typeof variant === 'string' ? variant : variant?.content);
+    if (typeof content !== 'string' || content.trim().length === 0) return;
+    if (index === activeVariant) resolvedActive = variants.length;
+    const reasoning = index === activeVariant ? activeReasoning : (variant?.reasoning || null);
+    const timestamp = (typeof variant?.timestamp === 'number' && !isNaN(variant.timestamp)) ? variant.timestamp : fallbackTimestamp;
+    variants.push({ content, reasoning, timestamp });
+  });
+
+  return { variants, activeVariant: resolvedActive };
+}
+
+// Whether a stored turn already holds a message's variants (timestamps are not compared,
+// since messages added during a request carry none until they are saved)
+function turnMatches(turnRows, role, { variants, activeVariant }) {
+  if (turnRows.length !== variants.length) return false;
+  return turnRows.every((row, index) => row.role === role
+    && row.content === variants[index].content
+    && (row.reasoning || null) === (variants[index].reasoning || null)
+    && !!row.is_active_variant === (index === activeVariant));
+}
+
+// Load chat history for a character (active branch unless a branch id is given)
+function loadChatHistory(characterName, branchId = null) {
   try {
     const db = getDatabase();
     
@@ -321,24 +471,26 @@ function loadChatHistory(characterName) {
       console.error(`Character ${characterName} not found`);
       return [];
     }
+
+    const targetBranchId = branchId ?? getActiveBranchId(db, charRow.id);
     
-    // Get chat messages
+    // Get chat messages in insertion order so variants stay next to their turn
     const messagesStmt = db.prepare(`
-      SELECT role, content, timestamp 
+      SELECT role, content, reasoning, timestamp, variant_index, is_active_variant
       FROM chat_messages 
-      WHERE character_id = ? 
-      ORDER BY timestamp ASC
+      WHERE character_id = ? AND branch_id = ?
+      ORDER BY id ASC
     `);
     
-    return messagesStmt.all(charRow.id);
+    return rowsToChatHistory(messagesStmt.all(charRow.id, targetBranchId));
   } catch (error) {
     console.error(`Error loading chat history for ${characterName}:`, error);
     return [];
   }
 }
 
-// Save chat history for a character
-function saveChatHistory(characterName, chatHistory) {
+// Save chat history for a character (active branch unless a branch id is given)
+function saveChatHistory(characterName, chatHistory, branchId = null) {
   try {
     const db = getDatabase();
     
@@ -351,28 +503,59 @@ function saveChatHistory(characterName, chatHistory) {
       return false;
     }
     
-    // Clear existing messages and insert new ones
-    const deleteStmt = db.prepare('DELETE FROM chat_messages WHERE character_id = ?');
+    // Only the turns after the part already stored are written: a new reply is appended, and a
+    // changed turn (an edit or a new swipe) is rewritten together with everything after it
+    const storedStmt = db.prepare(`
+      SELECT id, role, content, reasoning, variant_index, is_active_variant
+      FROM chat_messages WHERE character_id = ? AND branch_id = ? ORDER BY id ASC
+    `);
+    const deleteFromStmt = db.prepare('DELETE FROM chat_messages WHERE character_id = ? AND branch_id = ? AND id >= ?');
     const insertStmt = db.prepare(`
-      INSERT INTO chat_messages (character_id, role, content, timestamp)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO chat_messages (character_id, branch_id, parent_id, role, content, reasoning, timestamp, variant_index, is_active_variant)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
+    const touchBranchStmt = db.prepare('UPDATE chat_branches SET updated_at = ? WHERE id = ?');
     
     const transaction = db.transaction(() => {
       try {
-        deleteStmt.run(charRow.id);
-        for (const message of chatHistory) {
-          if (message && message.role && typeof message.content === 'string') {
-            const contentToSave = message.content;
-            if (contentToSave.trim().length > 0) {
-              const characterId = charRow.id;
-              const role = String(message.role);
-              const content = contentToSave;
-              const timestamp = (typeof message.timestamp === 'number' && !isNaN(message.timestamp)) ? message.timestamp : Date.now();
-              insertStmt.run(characterId, role, content, timestamp);
-            }
-          }
+        const targetBranchId = branchId ?? getActiveBranchId(db, charRow.id);
+        const turns = chatHistory
+          .filter(message => message && message.role && typeof message.content === 'string' && message.content.trim().length > 0)
+          .map(message => ({ role: String(message.role), ...messageToVariants(message) }));
+        const storedTurns = groupRowsIntoTurns(storedStmt.all(charRow.id, targetBranchId));
+
+        let kept = 0;
+        while (kept < turns.length && kept < storedTurns.length && turnMatches(storedTurns[kept], turns[kept].role, turns[kept])) {
+          kept++;
+        }
+        if (kept < storedTurns.length) {
+          deleteFromStmt.run(charRow.id, targetBranchId, storedTurns[kept][0].id);
+        }
+        if (kept === turns.length && kept === storedTurns.length) return;
+
+        // The next turn hangs off the variant that is currently selected
+        let parentId = kept > 0
+          ? (storedTurns[kept - 1].find(row => row.is_active_variant) || storedTurns[kept - 1][0]).id
+          : null;
+        for (const { role, variants, activeVariant } of turns.slice(kept)) {
+          let activeRowId = null;
+          variants.forEach((variant, index) => {
+            const result = insertStmt.run(
+              charRow.id,
+              targetBranchId,
+              parentId,
+              role,
+              variant.content,
+              variant.reasoning,
+              variant.timestamp,
+              index,
+              index === activeVariant ? 1 : 0
+            );
+            if (index === activeVariant) activeRowId = result.lastInsertRowid;
+          });
+          parentId = activeRowId;
         }
+        touchBranchStmt.run(Date.now(), targetBranchId);
       } catch (err) {
         console.error(`Transaction failed for ${characterName}:`, err);
         throw err; // Trigger rollback
@@ -387,6 +570,282 @@ function saveChatHistory(characterName, chatHistory) {
   }
 }
 
+// Convert a branch row to the shape returned by the API
+function dbRowToBranch(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    parentBranchId: row.parent_branch_id,
+    forkIndex: row.fork_index,
+    isActive: !!row.is_active,
+    messageCount: row.message_count || 0,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    lastJournalIndex: row.last_journal_index || 0
+  };
+}
+
+// List all chat branches for a character
+function listChatBranches(characterName) {
+  try {
+    const db = getDatabase();
+    const charRow = db.prepare('SELECT id FROM characters WHERE name = ?').get(characterName);
+    if (!charRow) {
+      console.error(`Character ${characterName} not found`);
+      return [];
+    }
+
+    // Make sure at least the default branch exists
+    getActiveBranchId(db, charRow.id);
+
+    const rows = db.prepare(`
+      SELECT b.*, (
+        SELECT COUNT(*) FROM chat_messages m WHERE m.branch_id = b.id AND m.variant_index = 0
+      ) AS message_count
+      FROM chat_branches b
+      WHERE b.character_id = ?
+      ORDER BY b.created_at ASC, b.id ASC
+    `).all(charRow.id);
+
+    return rows.map(dbRowToBranch);
+  } catch (error) {
+    console.error(`Error listing chat branches for ${characterName}:`, error);
+    return [];
+  }
+}
+
+// Fork the active branch at a message index into a new named branch and make it active
+function createChatBranch(characterName, branchName, fromIndex) {
+  const name = typeof branchName === 'string' ? branchName.trim() : '';
+  if (!name) {
+    console.error('Validation Error: Branch name is required.');
+    return null;
+  }
+
+  try {
+    const db = getDatabase();
+    const charRow = db.prepare('SELECT id FROM characters WHERE name = ?').get(characterName);
+    if (!charRow) {
+      console.error(`Character ${characterName} not found`);
+      return null;
+    }
+
+    const existing = db.prepare('SELECT id FROM chat_branches WHERE character_id = ? AND name = ?').get(charRow.id, name);
+    if (existing) {
+      console.error(`Validation Error: Branch ${name} already exists for ${characterName}.`);
+      return null;
+    }
+
+    const sourceBranchId = getActiveBranchId(db, charRow.id);
+    const sourceHistory = loadChatHistory(characterName, sourceBranchId);
+    const forkIndex = Number.isInteger(fromIndex)
+      ? Math.min(Math.max(fromIndex, 0), sourceHistory.length - 1)
+      : sourceHistory.length - 1;
+    // The fork inherits the journal position, up to the messages it shares with its source
+    const sharedMessages = sourceHistory.slice(0, forkIndex + 1).filter(m => m.role === 'user' || m.role === 'assistant').length;
+    const sourceJournalIndex = findBranch(db, charRow.id, sourceBranchId)?.last_journal_index || 0;
+
+    let newBranchId;
+    const transaction = db.transaction(() => {
+      const now = Date.now();
+      db.prepare('UPDATE chat_branches SET is_active = 0 WHERE character_id = ?').run(charRow.id);
+      const result = db.prepare(`
+        INSERT INTO chat_branches (character_id, name, parent_branch_id, fork_index, is_active, last_journal_index, created_at, updated_at)
+        VALUES (?, ?, ?, ?, 1, ?, ?, ?)
+      `).run(charRow.id, name, sourceBranchId, forkIndex, Math.min(sourceJournalIndex, sharedMessages), now, now);
+      newBranchId = result.lastInsertRowid;
+    });
+    transaction();
+
+    // Copy the shared prefix (including any swipes) into the new branch
+    if (!saveChatHistory(characterName, sourceHistory.slice(0, forkIndex + 1), newBranchId)) {
+      return null;
+    }
+
+    return listChatBranches(characterName).find(branch => branch.id === Number(newBranchId)) || null;
+  } catch (error) {
+    console.error(`Error creating chat branch for ${characterName}:`, error);
+    return null;
+  }
+}
+
+// Make a branch the active one for a character
+function selectChatBranch(characterName, branchId) {
+  try {
+    const db = getDatabase();
+    const charRow = db.prepare('SELECT id FROM characters WHERE name = ?').get(characterName);
+    if (!charRow || !findBranch(db, charRow.id, branchId)) {
+      console.error(`Branch ${branchId} not found for character ${characterName}`);
+      return false;
+    }
+
+    const transaction = db.transaction(() => {
+      db.prepare('UPDATE chat_branches SET is_active = 0 WHERE character_id = ?').run(charRow.id);
+      db.prepare('UPDATE chat_branches SET is_active = 1 WHERE id = ?').run(branchId);
+    });
+    transaction();
+    return true;
+  } catch (error) {
+    console.error(`Error selecting chat branch ${branchId} for ${characterName}:`, error);
+    return false;
+  }
+}
+
+// Journal position of a character's active branch: { branchId, index }, where index counts the
+// user/assistant messages of the branch already journaled. null for unknown characters.
+function getBranchJournalIndex(characterName) {
+  try {
+    const db = getDatabase();
+    const charRow = db.prepare('SELECT id FROM characters WHERE name = ?').get(characterName);
+    if (!charRow) return null;
+    const branchId = getActiveBranchId(db, charRow.id);
+    return { branchId: Number(branchId), index: findBranch(db, charRow.id, branchId)?.last_journal_index || 0 };
+  } catch (error) {
+    console.error(`Error loading the journal position of ${characterName}:`, error);
+    return null;
+  }
+}
+
+// Move a branch's journal position (the branch is named explicitly, so a switch while a reply was
+// generated cannot move another branch's position)
+function setBranchJournalIndex(characterName, branchId, index) {
+  try {
+    const db = getDatabase();
+    const charRow = db.prepare('SELECT id FROM characters WHERE name = ?').get(characterName);
+    if (!charRow) return false;
+    return db.prepare('UPDATE chat_branches SET last_journal_index = ? WHERE id = ? AND character_id = ?')
+      .run(index, branchId, charRow.id).changes > 0;
+  } catch (error) {
+    console.error(`Error saving the journal position of ${characterName}:`, error);
+    return false;
+  }
+}
+
+// Rename a branch
+function renameChatBranch(characterName, branchId, branchName) {
+  const name = typeof branchName === 'string' ? branchName.trim() : '';
+  if (!name) {
+    console.error('Validation Error: Branch name is required.');
+    return null;
+  }
+
+  try {
+    const db = getDatabase();
+    const charRow = db.prepare('SELECT id FROM characters WHERE name = ?').get(characterName);
+    if (!charRow || !findBranch(db, charRow.id, branchId)) {
+      console.error(`Branch ${branchId} not found for character ${characterName}`);
+      return null;
+    }
+
+    const clash = db.prepare('SELECT id FROM chat_branches WHERE character_id = ? AND name = ? AND id != ?').get(charRow.id, name, branchId);
+    if (clash) {
+      console.error(`Validation Error: Branch ${name} already exists for ${characterName}.`);
+      return null;
+    }
+
+    db.prepare('UPDATE chat_branches SET name = ?, updated_at = ? WHERE id = ?').run(name, Date.now(), branchId);
+    return listChatBranches(characterName).find(branch => branch.id === Number(branchId)) || null;
+  } catch (error) {
+    console.error(`Error renaming chat branch ${branchId} for ${characterName}:`, error);
+    return null;
+  }
+}
+
+// Delete a branch and its messages. The last remaining branch cannot be deleted;
+// deleting the active branch activates the most recently updated remaining one.
+function deleteChatBranch(characterName, branchId) {
+  try {
+    const db = getDatabase();
+    const charRow = db.prepare('SELECT id FROM characters WHERE name = ?').get(characterName);
+    const branch = charRow ? findBranch(db, charRow.id, branchId) : null;
+    if (!branch) {
+      console.error(`Branch ${branchId} not found for character ${characterName}`);
+      return false;
+    }
+
+    const branchCount = db.prepare('SELECT COUNT(*) AS count FROM chat_branches WHERE character_id = ?').get(charRow.id).count;
+    if (branchCount <= 1) {
+      console.error(`Cannot delete the only chat branch of ${characterName}`);
+      return false;
+    }
+
+    const transaction = db.transaction(() => {
+      db.prepare('DELETE FROM chat_messages WHERE branch_id = ?').run(branch.id);
+      db.prepare('UPDATE chat_branches SET parent_branch_id = NULL WHERE parent_branch_id = ?').run(branch.id);
+      db.prepare('DELETE FROM chat_branches WHERE id = ?').run(branch.id);
+      if (branch.is_active) {
+        const next = db.prepare('SELECT id FROM chat_branches WHERE character_id = ? ORDER BY updated_at DESC LIMIT 1').get(charRow.id);
+        db.prepare('UPDATE chat_branches SET is_active = 1 WHERE id = ?').run(next.id);
+      }
+    });
+    transaction();
+    return true;
+  } catch (error) {
+    console.error(`Error deleting chat branch ${branchId} for ${characterName}:`, error);
+    return false;
+  }
+}
+
+// Select which alternate reply is shown for a message on the active branch.
+// Returns the updated history, or null if the message/variant does not exist.
+function selectMessageVariant(characterName, messageIndex, variantIndex) {
+  const chatHistory = loadChatHistory(characterName);
+  const message = chatHistory[messageIndex];
+  if (!message || !Array.isArray(message.variants) || !message.variants[variantIndex]) {
+    console.error(`Variant ${variantIndex} of message ${messageIndex} not found for ${characterName}`);
+    return null;
+  }
+
+  message.activeVariant = variantIndex;
+  message.content = message.variants[variantIndex].content;
+  message.reasoning = message.variants[variantIndex].reasoning || '';
+  message.timestamp = message.variants[variantIndex].timestamp;
+
+  return saveChatHistory(characterName, chatHistory) ? chatHistory : null;
+}
+
+// Append a new alternate reply to a message on the active branch and select it
+function addMessageVariant(characterName, messageIndex, content, reasoning = '') {
+  const chatHistory = loadChatHistory(characterName);
+  const message = chatHistory[messageIndex];
+  if (!message || typeof content !== 'string' || content.trim().length === 0) {
+    console.error(`Cannot add variant to message ${messageIndex} for ${characterName}`);
+    return null;
+  }
+
+  const variants = Array.isArray(message.variants)
+    ? [...message.variants]
+    : [{ content: message.content, reasoning: message.reasoning, timestamp: message.timestamp }];
+  const timestamp = Date.now();
+  variants.push({ content, reasoning, timestamp });
+
+  chatHistory[messageIndex] = {
+    ...message,
+    content,
+    reasoning,
+    timestamp,
+    variants,
+    activeVariant: variants.length - 1
+  };
+
+  return saveChatHistory(characterName, chatHistory) ? chatHistory : null;
+}
+
+// Opening history for a character: the first message, with any alternate greetings
+// offered as swipes of it
+function buildGreetingHistory(character) {
+  if (!character.firstMessage || character.firstMessage.trim().length === 0) return [];
+
+  const greeting = { role: 'assistant', content: character.firstMessage };
+  const alternates = (character.alternateGreetings || []).filter(g => typeof g === 'string' && g.trim().length > 0);
+  if (alternates.length > 0) {
+    const timestamp = Date.now();
+    greeting.variants = [character.firstMessage, ...alternates].map(content => ({ content, timestamp }));
+    greeting.activeVariant = 0;
+  }
+  return [greeting];
+}
+
 // Clear chat history by preserving only the first message
 async function clearChatHistory(characterName) {
   try {
@@ -400,12 +859,11 @@ async function clearChatHistory(characterName) {
     }
     
     // Prepare preserved history
-    let preservedHistory = [];
-    if (character.firstMessage && character.firstMessage.trim().length > 0) {
-      preservedHistory = [{ role: 'assistant', content: character.firstMessage }];
-    }
+    const preservedHistory = buildGreetingHistory(character);
     
-    // Save the preserved history
+    // Drop every branch, then save the preserved history into a fresh 'main' branch
+    db.prepare('DELETE FROM chat_messages WHERE character_id = ?').run(character.id);
+    db.prepare('DELETE FROM chat_branches WHERE character_id = ?').run(character.id);
     const chatHistoryCleared = saveChatHistory(characterName, preservedHistory);
     
   // Clear memories from unified vector store
@@ -465,6 +923,16 @@ export {
   loadChatHistory,
   saveChatHistory,
   clearChatHistory,
+  buildGreetingHistory,
+  listChatBranches,
+  createChatBranch,
+  selectChatBranch,
+  renameChatBranch,
+  deleteChatBranch,
+  getBranchJournalIndex,
+  setBranchJournalIndex,
+  selectMessageVariant,
+  addMessageVariant,
   loadSettings,
   saveSettings
 };
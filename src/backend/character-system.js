@@ -9,6 +9,14 @@ export {
   loadChatHistory,
   saveChatHistory,
   clearChatHistory,
+  buildGreetingHistory,
+  listChatBranches,
+  createChatBranch,
+  selectChatBranch,
+  renameChatBranch,
+  deleteChatBranch,
+  selectMessageVariant,
+  addMessageVariant,
   loadSettings,
   saveSettings
 } from './character-system-sqlite.js';
@@ -4,6 +4,7 @@ import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { getDatabasePath, ensureDataDirectory } from './app-paths.js';
+import { splitReasoning } from './reasoning.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -18,7 +19,7 @@ const dataDir = ensureDataDirectory();
 let db;
 
 // The latest version of your database schema
-const LATEST_SCHEMA_VERSION = 1;
+const LATEST_SCHEMA_VERSION = 14;
 
 function initializeDatabase() {
   try {    
@@ -79,7 +80,210 @@ function migrateSchema() {
       }
     }
 
-    // --- Add future migrations here in `if (currentVersion < 2)` blocks ---
+    // --- Migration from v1 to v2 ---
+    if (currentVersion < 2) {
+      console.log('Applying migration v2: Adding chat branches and message variants...');
+      try {
+        createTablesV2();
+
+        const transaction = db.transaction(() => {
+          const newColumns = [
+            'branch_id INTEGER',
+            'parent_id INTEGER',
+            'variant_index INTEGER NOT NULL DEFAULT 0',
+            'is_active_variant INTEGER NOT NULL DEFAULT 1'
+          ];
+          for (const column of newColumns) {
+            try {
+              db.exec(`ALTER TABLE chat_messages ADD COLUMN ${column}`);
+              console.log(`  -> Successfully added chat_messages.${column.split(' ')[0]} column.`);
+            } catch (error) {
+              if (error.message.includes('duplicate column name')) {
+                console.log(`  -> Column ${column.split(' ')[0]} already exists. Skipping.`);
+              } else {
+                throw error;
+              }
+            }
+          }
+
+          // Every character with existing messages gets an active 'main' branch holding them
+          const now = Date.now();
+          db.prepare(`
+            INSERT OR IGNORE INTO chat_branches (character_id, name, is_active, created_at, updated_at)
+            SELECT DISTINCT character_id, 'main', 1, ?, ? FROM chat_messages
+          `).run(now, now);
+          db.exec(`
+            UPDATE chat_messages SET branch_id = (
+              SELECT id FROM chat_branches
+              WHERE chat_branches.character_id = chat_messages.character_id AND chat_branches.name = 'main'
+            ) WHERE branch_id IS NULL
+          `);
+          db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_chat_messages_branch
+            ON chat_messages(branch_id, id);
+          `);
+        });
+        transaction();
+      } catch (error) {
+        console.error('  -> FAILED to apply migration v2:', error);
+        return;
+      }
+    }
+
+    // --- Migration from v2 to v3 ---
+    if (currentVersion < 3) {
+      console.log('Applying migration v3: Adding group chats...');
+      try {
+        createTablesV3();
+      } catch (error) {
+        console.error('  -> FAILED to apply migration v3:', error);
+        return;
+      }
+    }
+
+    // --- Migration from v3 to v4 ---
+    if (currentVersion < 4) {
+      console.log('Applying migration v4: Adding character card fields...');
+      try {
+        const transaction = db.transaction(() => {
+          addCharacterCardColumns();
+        });
+        transaction();
+      } catch (error) {
+        console.error('  -> FAILED to apply migration v4:', error);
+        return;
+      }
+    }
+
+    // --- Migration from v4 to v5 ---
+    if (currentVersion < 5) {
+      console.log('Applying migration v5: Adding lorebooks...');
+      try {
+        createTablesV5();
+      } catch (error) {
+        console.error('  -> FAILED to apply migration v5:', error);
+        return;
+      }
+    }
+
+    // --- Migration from v5 to v6 ---
+    if (currentVersion < 6) {
+      console.log('Applying migration v6: Moving model reasoning into its own column...');
+      try {
+        const transaction = db.transaction(() => {
+          addReasoningColumns();
+        });
+        transaction();
+      } catch (error) {
+        console.error('  -> FAILED to apply migration v6:', error);
+        return;
+      }
+    }
+
+    // --- Migration from v6 to v7 ---
+    if (currentVersion < 7) {
+      console.log('Applying migration v7: Adding embedding cache...');
+      try {
+        createTablesV7();
+      } catch (error) {
+        console.error('  -> FAILED to apply migration v7:', error);
+        return;
+      }
+    }
+
+    // --- Migration from v7 to v8 ---
+    if (currentVersion < 8) {
+      console.log('Applying migration v8: Adding knowledge graph...');
+      try {
+        createTablesV8();
+      } catch (error) {
+        console.error('  -> FAILED to apply migration v8:', error);
+        return;
+      }
+    }
+
+    // --- Migration from v8 to v9 ---
+    if (currentVersion < 9) {
+      console.log('Applying migration v9: Adding relationship axes and history...');
+      try {
+        const transaction = db.transaction(() => {
+          addRelationshipColumns();
+          createTablesV9();
+        });
+        transaction();
+      } catch (error) {
+        console.error('  -> FAILED to apply migration v9:', error);
+        return;
+      }
+    }
+
+    // --- Migration from v9 to v10 ---
+    if (currentVersion < 10) {
+      console.log('Applying migration v10: Adding background job queue...');
+      try {
+        createTablesV10();
+      } catch (error) {
+        console.error('  -> FAILED to apply migration v10:', error);
+        return;
+      }
+    }
+
+    // --- Migration from v10 to v11 ---
+    if (currentVersion < 11) {
+      console.log('Applying migration v11: Adding usage ledger and API key health...');
+      try {
+        createTablesV11();
+      } catch (error) {
+        console.error('  -> FAILED to apply migration v11:', error);
+        return;
+      }
+    }
+
+    // --- Migration from v11 to v12 ---
+    if (currentVersion < 12) {
+      console.log('Applying migration v12: Keying the embedding cache by provider and dimension...');
+      try {
+        // The cache only saves API calls, so the old entries are dropped rather than guessed at
+        const transaction = db.transaction(() => {
+          db.exec('DROP TABLE IF EXISTS embedding_cache');
+          createTablesV7();
+        });
+        transaction();
+      } catch (error) {
+        console.error('  -> FAILED to apply migration v12:', error);
+        return;
+      }
+    }
+
+    // --- Migration from v12 to v13 ---
+    if (currentVersion < 13) {
+      console.log('Applying migration v13: Superseding older knowledge facts...');
+      try {
+        const transaction = db.transaction(() => {
+          addFactSupersessionColumns();
+        });
+        transaction();
+      } catch (error) {
+        console.error('  -> FAILED to apply migration v13:', error);
+        return;
+      }
+    }
+
+    // --- Migration from v13 to v14 ---
+    if (currentVersion < 14) {
+      console.log('Applying migration v14: Keeping the journal position per chat branch...');
+      try {
+        const transaction = db.transaction(() => {
+          addBranchJournalColumn();
+        });
+        transaction();
+      } catch (error) {
+        console.error('  -> FAILED to apply migration v14:', error);
+        return;
+      }
+    }
+
+    // --- Add future migrations here in `if (currentVersion < 15)` blocks ---
 
     // Update the database version to the latest
     db.prepare(`PRAGMA user_version = ${LATEST_SCHEMA_VERSION}`).run();
@@ -88,6 +292,14 @@ function migrateSchema() {
     // If this is a fresh install, the tables might not exist yet.
     // The createTablesV1 function uses IF NOT EXISTS, so it's safe to run.
     createTablesV1();
+    createTablesV2();
+    createTablesV3();
+    createTablesV5();
+    createTablesV7();
+    createTablesV8();
+    createTablesV9();
+    createTablesV10();
+    createTablesV11();
     console.log('Database schema is up to date.');
   }
 }
@@ -158,6 +370,411 @@ function createTablesV1() {
   `);
 }
 
+// Chat branches (v2). Messages point at their branch via chat_messages.branch_id;
+// alternate assistant replies ("swipes") share a parent_id and differ by variant_index.
+function createTablesV2() {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS chat_branches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      character_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      parent_branch_id INTEGER,
+      fork_index INTEGER,
+      is_active INTEGER NOT NULL DEFAULT 0,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      FOREIGN KEY (character_id) REFERENCES characters (id) ON DELETE CASCADE,
+      UNIQUE(character_id, name)
+    )
+  `);
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_chat_branches_character 
+    ON chat_branches(character_id);
+  `);
+}
+
+// Group chats (v3). A group references several characters through group_chat_members;
+// its messages live in group_chat_messages with the speaking character on each reply.
+function createTablesV3() {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS group_chats (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      scenario TEXT DEFAULT '',
+      speaker_strategy TEXT NOT NULL DEFAULT 'round-robin',
+      last_speaker_id INTEGER,
+      last_journal_index INTEGER DEFAULT 0,
+      created_at INTEGER NOT NULL,
+      modified_at INTEGER NOT NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS group_chat_members (
+      group_id INTEGER NOT NULL,
+      character_id INTEGER NOT NULL,
+      position INTEGER NOT NULL DEFAULT 0,
+      FOREIGN KEY (group_id) REFERENCES group_chats (id) ON DELETE CASCADE,
+      FOREIGN KEY (character_id) REFERENCES characters (id) ON DELETE CASCADE,
+      UNIQUE(group_id, character_id)
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS group_chat_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      group_id INTEGER NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('user', 'assistant', 'system')),
+      speaker_id INTEGER,
+      content TEXT NOT NULL,
+      timestamp INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000),
+      FOREIGN KEY (group_id) REFERENCES group_chats (id) ON DELETE CASCADE,
+      FOREIGN KEY (speaker_id) REFERENCES characters (id) ON DELETE SET NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_group_chat_messages_group 
+    ON group_chat_messages(group_id, id);
+  `);
+}
+
+// Character card fields (v4): example dialogue, alternate greetings (JSON array) and the
+// card's embedded character_book (raw JSON) so imported cards round-trip on export.
+function addCharacterCardColumns() {
+  const newColumns = [
+    "example_messages TEXT DEFAULT ''",
+    "alternate_greetings TEXT DEFAULT '[]'",
+    'character_book TEXT'
+  ];
+  for (const column of newColumns) {
+    try {
+      db.exec(`ALTER TABLE characters ADD COLUMN ${column}`);
+      console.log(`  -> Successfully added characters.${column.split(' ')[0]} column.`);
+    } catch (error) {
+      if (!error.message.includes('duplicate column name')) {
+        throw error;
+      }
+    }
+  }
+}
+
+// Relationship axes (v9): each relationship row keeps a JSON map of axis values next to the
+// overall sentiment, and a character can name its own axes (JSON array, NULL = defaults).
+function addRelationshipColumns() {
+  const newColumns = [
+    ['character_relationships', "axes TEXT DEFAULT '{}'"],
+    ['characters', 'relationship_axes TEXT']
+  ];
+  for (const [table, column] of newColumns) {
+    try {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column}`);
+      console.log(`  -> Successfully added ${table}.${column.split(' ')[0]} column.`);
+    } catch (error) {
+      if (!error.message.includes('duplicate column name')) {
+        throw error;
+      }
+    }
+  }
+}
+
+// Chat branches (v14) keep their own journal position (user/assistant messages already journaled),
+// since branches differ after the fork point. Existing branches start from the character's old
+// position; a fork never past its fork point.
+function addBranchJournalColumn() {
+  try {
+    db.exec('ALTER TABLE chat_branches ADD COLUMN last_journal_index INTEGER NOT NULL DEFAULT 0');
+    console.log('  -> Successfully added chat_branches.last_journal_index column.');
+  } catch (error) {
+    if (!error.message.includes('duplicate column name')) {
+      throw error;
+    }
+  }
+  db.exec(`
+    UPDATE chat_branches SET last_journal_index = (
+      SELECT MIN(COALESCE(c.last_journal_index, 0), COALESCE(chat_branches.fork_index + 1, c.last_journal_index, 0))
+      FROM characters c WHERE c.id = chat_branches.character_id
+    )
+  `);
+}
+
+// Knowledge facts (v13) keep one current value per subject and predicate: older facts stay as
+// history with active = 0 and superseded_by pointing at the newest one. Facts recorded before
+// this version are sorted out the same way.
+function addFactSupersessionColumns() {
+  const newColumns = ['active INTEGER NOT NULL DEFAULT 1', 'superseded_by TEXT'];
+  for (const column of newColumns) {
+    try {
+      db.exec(`ALTER TABLE knowledge_facts ADD COLUMN ${column}`);
+      console.log(`  -> Successfully added knowledge_facts.${column.split(' ')[0]} column.`);
+    } catch (error) {
+      if (!error.message.includes('duplicate column name')) {
+        throw error;
+      }
+    }
+  }
+
+  const current = new Map(); // character, subject and predicate -> newest fact id
+  const supersede = db.prepare('UPDATE knowledge_facts SET active = 0, superseded_by = ? WHERE id = ?');
+  const facts = db.prepare(`SELECT id, character, subject_id, predicate FROM knowledge_facts
+    ORDER BY last_updated DESC, rowid DESC`).all();
+  for (const fact of facts) {
+    const key = `${fact.character}\u0000${fact.subject_id}\u0000${fact.predicate.toLowerCase()}`;
+    if (current.has(key)) supersede.run(current.get(key), fact.id);
+    else current.set(key, fact.id);
+  }
+  const superseded = facts.length - current.size;
+  if (superseded > 0) console.log(`  -> Marked ${superseded} older knowledge facts as superseded.`);
+}
+
+// Model reasoning (v6) is stored next to the reply instead of inline <think> blocks.
+// Assistant rows saved before this version get their inline blocks moved over.
+function addReasoningColumns() {
+  for (const table of ['chat_messages', 'group_chat_messages']) {
+    try {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN reasoning TEXT`);
+      console.log(`  -> Successfully added ${table}.reasoning column.`);
+    } catch (error) {
+      if (!error.message.includes('duplicate column name')) {
+        throw error;
+      }
+    }
+
+    const rows = db.prepare(`
+      SELECT id, content FROM ${table}
+      WHERE role = 'assistant' AND (content LIKE '%<think%' OR content LIKE '%</think%')
+    `).all();
+    const update = db.prepare(`UPDATE ${table} SET content = ?, reasoning = ? WHERE id = ?`);
+    for (const row of rows) {
+      const { content, reasoning } = splitReasoning(row.content);
+      update.run(content, reasoning || null, row.id);
+    }
+    if (rows.length > 0) {
+      console.log(`  -> Moved reasoning out of ${rows.length} ${table} rows.`);
+    }
+  }
+}
+
+// Lorebooks / world info (v5). A lorebook with no character_id applies to every chat.
+// Keys are stored as JSON arrays; regex keys hold patterns such as "/dragons?/i".
+function createTablesV5() {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS lorebooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      description TEXT DEFAULT '',
+      character_id INTEGER,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      scan_depth INTEGER NOT NULL DEFAULT 4,
+      token_budget INTEGER NOT NULL DEFAULT 500,
+      recursive_scanning INTEGER NOT NULL DEFAULT 0,
+      created_at INTEGER NOT NULL,
+      modified_at INTEGER NOT NULL,
+      FOREIGN KEY (character_id) REFERENCES characters (id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS lorebook_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      lorebook_id INTEGER NOT NULL,
+      comment TEXT DEFAULT '',
+      keys TEXT NOT NULL DEFAULT '[]',
+      secondary_keys TEXT NOT NULL DEFAULT '[]',
+      regex_keys TEXT NOT NULL DEFAULT '[]',
+      content TEXT NOT NULL,
+      insertion_order INTEGER NOT NULL DEFAULT 100,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      constant INTEGER NOT NULL DEFAULT 0,
+      case_sensitive INTEGER NOT NULL DEFAULT 0,
+      exclude_recursion INTEGER NOT NULL DEFAULT 0,
+      created_at INTEGER NOT NULL,
+      modified_at INTEGER NOT NULL,
+      FOREIGN KEY (lorebook_id) REFERENCES lorebooks (id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_lorebooks_character 
+    ON lorebooks(character_id);
+  `);
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_lorebook_entries_lorebook 
+    ON lorebook_entries(lorebook_id);
+  `);
+}
+
+// Embedding cache (v7, keyed by provider and dimension since v12): one vector per embedding
+// provider, model, dimension and SHA-256 of the embedded text, so the same text is never sent to an
+// embedding API twice
+function createTablesV7() {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS embedding_cache (
+      provider TEXT NOT NULL,
+      model TEXT NOT NULL,
+      dimension INTEGER NOT NULL,
+      content_hash TEXT NOT NULL,
+      embedding BLOB NOT NULL,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (provider, model, dimension, content_hash)
+    )
+  `);
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_embedding_cache_created 
+    ON embedding_cache(created_at);
+  `);
+}
+
+// Knowledge graph (v8): entities and facts extracted from each character's journal entries.
+// Keyed by character name like the memories they come from.
+function createTablesV8() {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS knowledge_entities (
+      id TEXT PRIMARY KEY,
+      character TEXT NOT NULL,
+      name TEXT NOT NULL,
+      name_key TEXT NOT NULL,
+      kind TEXT NOT NULL DEFAULT 'other',
+      description TEXT DEFAULT '',
+      mentions INTEGER NOT NULL DEFAULT 1,
+      first_seen INTEGER NOT NULL,
+      last_updated INTEGER NOT NULL,
+      source_memory_id TEXT,
+      UNIQUE (character, name_key)
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS knowledge_facts (
+      id TEXT PRIMARY KEY,
+      character TEXT NOT NULL,
+      subject_id TEXT NOT NULL,
+      predicate TEXT NOT NULL,
+      object TEXT NOT NULL,
+      object_id TEXT,
+      fact_key TEXT NOT NULL,
+      mentions INTEGER NOT NULL DEFAULT 1,
+      first_seen INTEGER NOT NULL,
+      last_updated INTEGER NOT NULL,
+      source_memory_id TEXT,
+      UNIQUE (character, fact_key),
+      FOREIGN KEY (subject_id) REFERENCES knowledge_entities (id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_knowledge_facts_subject 
+    ON knowledge_facts(subject_id);
+  `);
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_knowledge_facts_object 
+    ON knowledge_facts(object_id);
+  `);
+}
+
+// Relationship history (v9): one row per participant whose relationship changed in a journal
+// entry, with the change, the state it led to and the memory that caused it.
+function createTablesV9() {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS relationship_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      character_id INTEGER NOT NULL,
+      participant TEXT NOT NULL,
+      sentiment_delta REAL DEFAULT 0,
+      axes_delta TEXT DEFAULT '{}',
+      sentiment REAL DEFAULT 0,
+      status TEXT DEFAULT 'neutral',
+      axes TEXT DEFAULT '{}',
+      reason TEXT DEFAULT '',
+      memory_id TEXT,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (character_id) REFERENCES characters (id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_relationship_history_character
+    ON relationship_history(character_id, participant, created_at);
+  `);
+}
+
+// Background jobs (v10): journal entries, memory recycling and re-embedding run from this queue
+// so they survive restarts and can be retried. payload, progress and result are JSON.
+function createTablesV10() {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      character TEXT,
+      payload TEXT DEFAULT '{}',
+      status TEXT NOT NULL DEFAULT 'queued',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 3,
+      run_at INTEGER NOT NULL,
+      progress TEXT,
+      result TEXT,
+      error TEXT,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      started_at INTEGER,
+      finished_at INTEGER
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at
+    ON jobs(status, run_at);
+  `);
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_jobs_type_character
+    ON jobs(type, character, id);
+  `);
+}
+
+// Usage ledger and API key health (v11): one ledger row per provider request, and the health of
+// each API key (identified by a hash, never the key itself) so cooldowns survive a restart
+function createTablesV11() {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS usage_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at INTEGER NOT NULL,
+      provider TEXT NOT NULL,
+      model TEXT,
+      key_hash TEXT,
+      character TEXT,
+      purpose TEXT,
+      prompt_tokens INTEGER NOT NULL DEFAULT 0,
+      completion_tokens INTEGER NOT NULL DEFAULT 0,
+      latency_ms INTEGER NOT NULL DEFAULT 0,
+      status TEXT NOT NULL,
+      error_class TEXT,
+      cost REAL
+    )
+  `);
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_usage_ledger_created_at
+    ON usage_ledger(created_at);
+  `);
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_usage_ledger_provider
+    ON usage_ledger(provider, created_at);
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_key_health (
+      provider TEXT NOT NULL,
+      key_hash TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'untested',
+      failures INTEGER NOT NULL DEFAULT 0,
+      cooldown_ms INTEGER NOT NULL DEFAULT 0,
+      open_until INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (provider, key_hash)
+    )
+  `);
+}
+
 function getDatabase() {
   if (!db) {
     initializeDatabase();
@@ -0,0 +1,322 @@
+// Embedding provider registry. Each provider embeds a batch of texts and returns one vector per text:
+//   embed(texts, { model, apiKey, settings }) -> number[][]
+// Providers marked `keyed` rotate through settings.apiKeys[name] with the same rotation state the
+// chat providers use (getNextApiKey). embedTexts() walks the fallback chain (the configured
+// embedding provider first, then settings.memory.embeddingFallbackOrder) and moves the whole batch
+// to the next provider on failure, so one call never mixes vectors from different models.
+// Vectors are cached in embedding_cache by provider, model, dimension and SHA-256 of the text.
+// A provider whose output size is configurable declares it as dimension(settings), so a changed
+// size never reuses vectors of the old one.
+import crypto from 'crypto';
+import { getDatabase } from './database.js';
+import { getNextApiKey, markApiKeySuccess, markApiKeyFailure, getLocalServerUrl } from './llm-providers.js';
+import { mockEmbedding, mockEmbeddingDimension } from './mock-provider.js';
+
+// Used when settings.memory.embeddingFallbackOrder is not set (local and mock providers never fall back by default)
+const DEFAULT_FALLBACK_ORDER = ['gemini', 'nvidia', 'mistral', 'cohere'];
+const EMBEDDING_CACHE_MAX_ROWS = 50000;
+const CACHE_PRUNE_EVERY = 500; // cache writes between size checks
+let cacheWritesSincePrune = 0;
+
+function requireVectors(vectors, count, label) {
+  if (!Array.isArray(vectors) || vectors.length !== count) {
+    throw new Error(`${label} embedding error: expected ${count} vectors, got ${Array.isArray(vectors) ? vectors.length : 'none'}`);
+  }
+  vectors.forEach((vector, i) => {
+    if (!Array.isArray(vector) || vector.length === 0) {
+      throw new Error(`${label} embedding error: missing embedding array for input ${i}`);
+    }
+  });
+  return vectors;
+}
+
+function requireDimension(vectors, dimension, label) {
+  const wrong = vectors.find(vector => vector.length !== dimension);
+  if (wrong) throw new Error(`${label} embedding error: Invalid or wrong dimension (${wrong.length})`);
+  return vectors;
+}
+
+const embeddingProviders = {
+  gemini: {
+    label: 'Gemini',
+    keyed: true,
+    defaultModel: 'gemini-embedding-001',
+    maxBatch: 100,
+    embed: async (texts, { model, apiKey }) => {
+      const { GoogleGenAI } = await import('@google/genai');
+      const ai = new GoogleGenAI({ apiKey });
+      const response = await ai.models.embedContent({ model, contents: texts });
+      const vectors = (response?.embeddings || []).map(embedding => embedding?.values);
+      return requireVectors(vectors, texts.length, 'Gemini');
+    }
+  },
+
+  nvidia: {
+    label: 'NVIDIA',
+    keyed: true,
+    fixedModel: 'baai/bge-m3',
+    maxBatch: 50,
+    embed: async (texts, { model, apiKey }) => {
+      const OpenAI = (await import('openai')).default;
+      const openai = new OpenAI({ apiKey, baseURL: 'https://integrate.api.nvidia.com/v1' });
+      const response = await openai.embeddings.create({
+        input: texts,
+        model,
+        encoding_format: 'float',
+        truncate: 'NONE'
+      });
+      const vectors = [...(response?.data || [])].sort((a, b) => a.index - b.index).map(item => item.embedding);
+      return requireDimension(requireVectors(vectors, texts.length, 'NVIDIA bge-m3'), 1024, 'NVIDIA bge-m3');
+    }
+  },
+
+  mistral: {
+    label: 'Mistral',
+    keyed: true,
+    fixedModel: 'mistral-embed',
+    maxBatch: 32,
+    embed: async (texts, { model, apiKey }) => {
+      const { Mistral } = await import('@mistralai/mistralai');
+      const client = new Mistral({ apiKey });
+      const response = await client.embeddings.create({ model, inputs: texts });
+      const vectors = (response?.data || []).map(item => item.embedding);
+      return requireDimension(requireVectors(vectors, texts.length, 'Mistral'), 1024, 'Mistral');
+    }
+  },
+
+  cohere: {
+    label: 'Cohere',
+    keyed: true,
+    fixedModel: 'embed-v4.0',
+    maxBatch: 96,
+    embed: async (texts, { model, apiKey }) => {
+      const { CohereClient } = await import('cohere-ai');
+      const cohere = new CohereClient({ token: apiKey });
+      const response = await cohere.v2.embed({
+        texts,
+        model,
+        inputType: 'classification',
+        embeddingTypes: ['float']
+      });
+      // Cohere returns { embeddings: { float: [[...]] } }
+      return requireVectors(response?.embeddings?.float, texts.length, 'Cohere');
+    }
+  },
+
+  ollama: {
+    label: 'Ollama',
+    local: true,
+    defaultModel: 'nomic-embed-text',
+    maxBatch: 64,
+    embed: async (texts, { model, settings }) => {
+      const response = await fetch(`${getLocalServerUrl('ollama', settings)}/api/embed`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model, input: texts })
+      });
+      if (!response.ok) {
+        throw new Error(`Ollama embedding error: ${response.status} ${await response.text().catch(() => response.statusText)}`);
+      }
+      const data = await response.json();
+      return requireVectors(data?.embeddings, texts.length, 'Ollama (is the model an embedding model?)');
+    }
+  },
+
+  koboldcpp: {
+    label: 'KoboldCpp',
+    local: true,
+    defaultModel: 'koboldcpp',
+    maxBatch: 32,
+    // Needs KoboldCpp started with --embeddingsmodel; served in OpenAI format
+    embed: async (texts, { model, settings }) => {
+      const response = await fetch(`${getLocalServerUrl('koboldcpp', settings)}/v1/embeddings`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model, input: texts })
+      });
+      if (!response.ok) {
+        throw new Error(`KoboldCpp embedding error: ${response.status} ${await response.text().catch(() => response.statusText)}`);
+      }
+      const data = await response.json();
+      const vectors = [...(data?.data || [])].sort((a, b) => a.index - b.index).map(item => item.embedding);
+      return requireVectors(vectors, texts.length, 'KoboldCpp (was an embeddings model loaded?)');
+    }
+  },
+
+  // Offline deterministic embeddings; cheap enough that caching would only take space
+  mock: {
+    label: 'Mock',
+    local: true,
+    cache: false,
+    fixedModel: 'mock-embedding',
+    dimension: mockEmbeddingDimension,
+    maxBatch: 256,
+    embed: async (texts, { settings }) => texts.map(text => mockEmbedding(text, settings))
+  }
+};
+
+// Model a provider embeds with. Only the configured provider uses settings.memory.embeddingModel;
+// fallbacks use their own default, since that model name belongs to another provider.
+function getEmbeddingModel(name, settings = {}, isPrimary = true) {
+  const provider = embeddingProviders[name];
+  if (!provider) return null;
+  if (provider.fixedModel) return provider.fixedModel;
+  return (isPrimary && settings.memory?.embeddingModel) || provider.defaultModel;
+}
+
+// Provider and model that new memories should be embedded with under these settings
+function getEmbeddingTarget(settings = {}) {
+  const provider = embeddingProviders[settings.memory?.embeddingProvider] ? settings.memory.embeddingProvider : 'gemini';
+  return { provider, model: getEmbeddingModel(provider, settings, true) };
+}
+
+// Providers to try, in order: the configured one, then the user's fallback order (or the default one)
+function getEmbeddingChain(settings = {}) {
+  const { provider: primary } = getEmbeddingTarget(settings);
+  const configured = settings.memory?.embeddingFallbackOrder;
+  const fallbacks = Array.isArray(configured)
+    ? configured
+    : (embeddingProviders[primary].local ? [] : DEFAULT_FALLBACK_ORDER);
+  return [...new Set([primary, ...fallbacks])].filter(name => embeddingProviders[name]);
+}
+
+// Try each API key of a provider once, starting at the current rotation index
+async function withKeyRotation(name, settings, run) {
+  const keyInfo = getNextApiKey(name, settings.apiKeys || {});
+  let currentIndex = keyInfo.currentIndex;
+  let lastError = null;
+  for (let attempt = 0; attempt < keyInfo.keys.length; attempt++) {
+    const apiKey = keyInfo.keys[currentIndex];
+    try {
+      if (typeof apiKey !== 'string' || apiKey === '') {
+        throw new Error(`${embeddingProviders[name].label} API key is invalid or empty.`);
+      }
+      const result = await run(apiKey);
+      markApiKeySuccess(name, currentIndex, keyInfo.keys.length);
+      return result;
+    } catch (error) {
+      console.error(`${embeddingProviders[name].label} embedding key ${currentIndex + 1} failed:`, error.message || error);
+      markApiKeyFailure(name, currentIndex, error);
+      lastError = error;
+      currentIndex = (currentIndex + 1) % keyInfo.keys.length;
+    }
+  }
+  throw new Error(`All ${embeddingProviders[name].label} API keys failed. Last error: ${lastError?.message || 'Unknown error'}`);
+}
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Cached vectors of one provider and model; dimension (when the provider declares one) must match too
+function readCachedEmbeddings(provider, model, dimension, hashes) {
+  const found = new Map();
+  if (hashes.length === 0) return found;
+  try {
+    const db = getDatabase();
+    const select = db.prepare(`SELECT embedding FROM embedding_cache
+      WHERE provider = ? AND model = ? AND content_hash = ? AND (? IS NULL OR dimension = ?)
+      ORDER BY created_at DESC LIMIT 1`);
+    for (const hash of hashes) {
+      const row = select.get(provider, model, hash, dimension, dimension);
+      if (!row) continue;
+      // Copy out of the blob: small Buffers share a pooled ArrayBuffer at an arbitrary offset
+      const bytes = Buffer.from(row.embedding);
+      found.set(hash, Array.from(new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength))));
+    }
+  } catch (error) {
+    console.warn('Embedding cache read failed:', error.message || error);
+  }
+  return found;
+}
+
+function writeCachedEmbeddings(provider, model, entries) {
+  if (entries.length === 0) return;
+  try {
+    const db = getDatabase();
+    const insert = db.prepare(`INSERT OR REPLACE INTO embedding_cache (provider, model, dimension, content_hash, embedding, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)`);
+    const now = Date.now();
+    db.transaction(() => {
+      for (const { hash, vector } of entries) {
+        insert.run(provider, model, vector.length, hash, Buffer.from(new Float32Array(vector).buffer), now);
+      }
+    })();
+    cacheWritesSincePrune += entries.length;
+    if (cacheWritesSincePrune >= CACHE_PRUNE_EVERY) {
+      cacheWritesSincePrune = 0;
+      // Drop the oldest entries once the cache outgrows its cap
+      db.prepare(`DELETE FROM embedding_cache WHERE rowid IN (
+        SELECT rowid FROM embedding_cache ORDER BY created_at DESC LIMIT -1 OFFSET ?)`).run(EMBEDDING_CACHE_MAX_ROWS);
+    }
+  } catch (error) {
+    console.warn('Embedding cache write failed:', error.message || error);
+  }
+}
+
+// Embed texts with one provider: cached vectors first, the rest in batches of provider.maxBatch
+async function embedWithProvider(name, model, texts, settings) {
+  const provider = embeddingProviders[name];
+  const useCache = provider.cache !== false;
+  const hashes = texts.map(text => hashText(`${text}`));
+  const dimension = typeof provider.dimension === 'function' ? provider.dimension(settings) : null;
+  const vectors = useCache ? readCachedEmbeddings(name, model, dimension, [...new Set(hashes)]) : new Map();
+  const reused = hashes.filter(hash => vectors.has(hash)).length;
+
+  const missing = [];
+  const seen = new Set();
+  hashes.forEach((hash, i) => {
+    if (vectors.has(hash) || seen.has(hash)) return;
+    seen.add(hash);
+    missing.push({ hash, text: `${texts[i]}` });
+  });
+
+  for (let start = 0; start < missing.length; start += provider.maxBatch) {
+    const batch = missing.slice(start, start + provider.maxBatch);
+    const batchTexts = batch.map(item => item.text);
+    const embedded = provider.keyed
+      ? await withKeyRotation(name, settings, apiKey => provider.embed(batchTexts, { model, apiKey, settings }))
+      : await provider.embed(batchTexts, { model, settings });
+    const fresh = batch.map((item, i) => ({ hash: item.hash, vector: embedded[i] }));
+    fresh.forEach(({ hash, vector }) => vectors.set(hash, vector));
+    if (useCache) writeCachedEmbeddings(name, model, fresh);
+  }
+
+  if (reused > 0) {
+    console.log(`Embedding cache: ${reused}/${hashes.length} texts reused for ${model}`);
+  }
+  return hashes.map(hash => vectors.get(hash));
+}
+
+// Embed a batch of texts with the first provider in the chain that succeeds.
+// Returns { embeddings, provider, model }; embeddings is empty when every provider failed.
+async function embedTexts(texts, settings = {}) {
+  const list = Array.isArray(texts) ? texts : [texts];
+  if (list.length === 0) return { embeddings: [], provider: null, model: null };
+
+  const chain = getEmbeddingChain(settings);
+  for (let i = 0; i < chain.length; i++) {
+    const name = chain[i];
+    const model = getEmbeddingModel(name, settings, i === 0);
+    try {
+      const embeddings = await embedWithProvider(name, model, list, settings);
+      return { embeddings, provider: name, model };
+    } catch (error) {
+      const next = chain[i + 1];
+      if (embeddingProviders[name].local && !next) {
+        console.error(`${embeddingProviders[name].label} embedding failed at ${getLocalServerUrl(name, settings)}; memories cannot be stored or retrieved until this is fixed:`, error.message || error);
+      } else {
+        console.error(`${embeddingProviders[name].label} embedding failed${next ? `, falling back to ${embeddingProviders[next].label}` : ''}:`, error.message || error);
+      }
+    }
+  }
+  return { embeddings: [], provider: null, model: null };
+}
+
+export {
+  embeddingProviders,
+  getEmbeddingModel,
+  getEmbeddingTarget,
+  getEmbeddingChain,
+  embedTexts
+};
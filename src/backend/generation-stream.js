@@ -0,0 +1,213 @@
+// Resumable streamed generations, sent to the browser as Server-Sent Events.
+// Every event gets an id of the form `<generationId>:<seq>` and is kept in a per-generation ring
+// buffer, so a client that drops (mobile sleep, tab reload) can reconnect with `Last-Event-ID`
+// and continue from where it stopped. A generation runs to the end whether or not anyone is
+// listening; finished generations stay resumable for RESUME_WINDOW_MS.
+import { v4 as uuidv4 } from 'uuid';
+
+const RING_BUFFER_SIZE = 512; // events kept per generation
+const RESUME_WINDOW_MS = 5 * 60 * 1000;
+const HEARTBEAT_MS = 15000;
+
+const generations = new Map(); // generationId -> generation
+const TERMINAL_EVENTS = new Set(['done', 'error', 'cancelled']);
+
+function createStreamGeneration(chatKey, userMessage = null) {
+  const generation = {
+    id: uuidv4(),
+    chatKey,
+    userMessage, // Lets a reloaded page show the turn that is still being answered
+    status: 'running',
+    events: [],
+    nextSeq: 1,
+    // Running totals so a client that fell behind the ring buffer can be sent a snapshot
+    content: '',
+    reasoning: '',
+    clients: new Set(),
+    createdAt: Date.now(),
+    finishedAt: null
+  };
+  generations.set(generation.id, generation);
+  return generation;
+}
+
+function getStreamGeneration(generationId) {
+  return generations.get(generationId) || null;
+}
+
+// Latest generation of a chat (running, or finished within the resume window)
+function findStreamGenerationForChat(chatKey) {
+  let latest = null;
+  for (const generation of generations.values()) {
+    if (generation.chatKey === chatKey && (!latest || generation.createdAt > latest.createdAt)) {
+      latest = generation;
+    }
+  }
+  return latest;
+}
+
+function describeStreamGeneration(generation) {
+  return {
+    generationId: generation.id,
+    status: generation.status,
+    userMessage: generation.userMessage,
+    lastEventId: generation.nextSeq > 1 ? `${generation.id}:${generation.nextSeq - 1}` : null,
+    createdAt: generation.createdAt,
+    finishedAt: generation.finishedAt
+  };
+}
+
+function formatEvent(generationId, event) {
+  return `id: ${generationId}:${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+function writeToClient(res, chunk) {
+  try {
+    res.write(chunk);
+  } catch (error) {
+    console.warn('SSE write failed:', error.message || error);
+  }
+}
+
+// Record an event and send it to every attached client. Terminal events finish the generation.
+function emitGenerationEvent(generation, type, data = {}) {
+  if (generation.status !== 'running') return;
+  const event = { seq: generation.nextSeq++, type, data };
+  if (type === 'token') generation.content += data.token;
+  if (type === 'thinking') generation.reasoning += data.text;
+
+  generation.events.push(event);
+  if (generation.events.length > RING_BUFFER_SIZE) generation.events.shift();
+
+  const chunk = formatEvent(generation.id, event);
+  for (const res of generation.clients) writeToClient(res, chunk);
+
+  if (TERMINAL_EVENTS.has(type)) finishStreamGeneration(generation, type);
+}
+
+function finishStreamGeneration(generation, status) {
+  generation.status = status;
+  generation.finishedAt = Date.now();
+  for (const res of generation.clients) res.end();
+  generation.clients.clear();
+  setTimeout(() => generations.delete(generation.id), RESUME_WINDOW_MS).unref?.();
+}
+
+// `Last-Event-ID` is `<generationId>:<seq>`; a bare number is taken as the seq
+function parseLastEventId(value) {
+  if (!value) return { generationId: null, seq: 0 };
+  const text = String(value);
+  const separator = text.lastIndexOf(':');
+  const seq = parseInt(separator >= 0 ? text.slice(separator + 1) : text, 10);
+  return {
+    generationId: separator >= 0 ? text.slice(0, separator) : null,
+    seq: Number.isFinite(seq) && seq > 0 ? seq : 0
+  };
+}
+
+// Turn `res` into an SSE stream for this generation, replaying everything after `afterSeq`.
+// If those events already left the ring buffer, a `snapshot` event with the text so far comes first.
+function attachStreamClient(generation, res, afterSeq = 0) {
+  if (!res.headersSent) {
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Keep reverse proxies from buffering the stream
+    res.flushHeaders?.();
+  }
+  writeToClient(res, `retry: 2000\n\n`);
+
+  const oldest = generation.events[0];
+  if (oldest && oldest.seq > afterSeq + 1) {
+    // The snapshot is the text up to the oldest buffered event; the whole buffer is replayed after it
+    let bufferedContent = 0;
+    let bufferedReasoning = 0;
+    for (const event of generation.events) {
+      if (event.type === 'token') bufferedContent += event.data.token.length;
+      if (event.type === 'thinking') bufferedReasoning += event.data.text.length;
+    }
+    const snapshot = {
+      seq: oldest.seq - 1,
+      type: 'snapshot',
+      data: {
+        content: generation.content.slice(0, generation.content.length - bufferedContent),
+        thinking: generation.reasoning.slice(0, generation.reasoning.length - bufferedReasoning)
+      }
+    };
+    writeToClient(res, formatEvent(generation.id, snapshot));
+    afterSeq = snapshot.seq;
+  }
+  for (const event of generation.events) {
+    if (event.seq > afterSeq) writeToClient(res, formatEvent(generation.id, event));
+  }
+
+  if (generation.status !== 'running') {
+    res.end();
+    return;
+  }
+
+  generation.clients.add(res);
+  const heartbeat = setInterval(() => writeToClient(res, ': ping\n\n'), HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    generation.clients.delete(res);
+  });
+}
+
+const OPEN_TAGS = ['<think>', '<thinking>'];
+const CLOSE_TAGS = ['</think>', '</thinking>'];
+
+// Splits streamed reply text into reasoning and reply. Most providers hand reasoning over
+// separately (settings.onReasoning), but some models still write <think>...</think> into the
+// reply itself. A tag can be split across chunks, so a possible partial tag at the end of a
+// chunk is held back until the next one.
+function createThinkSplitter(onReasoning, onText) {
+  let inThink = false;
+  let pending = '';
+
+  const emit = (text) => {
+    if (!text) return;
+    if (inThink) onReasoning(text);
+    else onText(text);
+  };
+
+  return {
+    push(chunk) {
+      pending += chunk;
+      while (pending) {
+        const tag = inThink ? /<\/think(?:ing)?>/i : /<think(?:ing)?>/i;
+        const match = pending.match(tag);
+        if (match) {
+          emit(pending.slice(0, match.index));
+          pending = pending.slice(match.index + match[0].length);
+          inThink = !inThink;
+          continue;
+        }
+        const partialTag = pending.lastIndexOf('<');
+        const tail = pending.slice(partialTag).toLowerCase();
+        if (partialTag >= 0 && (inThink ? CLOSE_TAGS : OPEN_TAGS).some(t => t.startsWith(tail))) {
+          emit(pending.slice(0, partialTag));
+          pending = pending.slice(partialTag);
+          return;
+        }
+        emit(pending);
+        pending = '';
+      }
+    },
+    flush() {
+      emit(pending);
+      pending = '';
+    }
+  };
+}
+
+export {
+  createStreamGeneration,
+  getStreamGeneration,
+  findStreamGenerationForChat,
+  describeStreamGeneration,
+  emitGenerationEvent,
+  parseLastEventId,
+  attachStreamClient,
+  createThinkSplitter
+};
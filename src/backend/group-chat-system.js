@@ -0,0 +1,438 @@
+// Group chats: several characters sharing one conversation with the user.
+// Storage lives in group_chats / group_chat_members / group_chat_messages (schema v3);
+// each turn picks a speaker and reuses the normal single-character generation path.
+import { getDatabase } from './database.js';
+import { generateResponse, getProviderHandler } from './llm-providers.js';
+import { queueJournalEntry } from './memory-system.js';
+import { splitReasoning, messageTextForPrompt } from './reasoning.js';
+
+const SPEAKER_STRATEGIES = ['round-robin', 'mention', 'llm'];
+
+// Helper function to convert database rows to a group object
+function dbRowToGroup(row, members = []) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    scenario: row.scenario || '',
+    speakerStrategy: row.speaker_strategy || 'round-robin',
+    members: members.map(m => m.name),
+    lastSpeaker: members.find(m => m.id === row.last_speaker_id)?.name || null,
+    lastJournalIndex: row.last_journal_index || 0,
+    createdAt: row.created_at,
+    modifiedAt: row.modified_at
+  };
+}
+
+function loadGroupMembers(db, groupId) {
+  return db.prepare(`
+    SELECT c.id, c.name FROM group_chat_members gm
+    JOIN characters c ON c.id = gm.character_id
+    WHERE gm.group_id = ?
+    ORDER BY gm.position ASC
+  `).all(groupId);
+}
+
+// Resolve member names to character rows, rejecting unknown names
+function resolveMemberIds(db, memberNames) {
+  const findStmt = db.prepare('SELECT id FROM characters WHERE name = ?');
+  const ids = [];
+  for (const name of memberNames) {
+    const row = findStmt.get(name);
+    if (!row) {
+      console.error(`Validation Error: Group member ${name} does not exist.`);
+      return null;
+    }
+    if (!ids.includes(row.id)) ids.push(row.id);
+  }
+  return ids;
+}
+
+function replaceMembers(db, groupId, memberIds) {
+  db.prepare('DELETE FROM group_chat_members WHERE group_id = ?').run(groupId);
+  const insertStmt = db.prepare('INSERT INTO group_chat_members (group_id, character_id, position) VALUES (?, ?, ?)');
+  memberIds.forEach((characterId, position) => insertStmt.run(groupId, characterId, position));
+}
+
+// Create a new group chat
+function createGroupChat(groupData) {
+  if (!groupData || !groupData.name || !Array.isArray(groupData.members) || groupData.members.length < 2) {
+    console.error('Validation Error: Group name and at least two members are required.');
+    return null;
+  }
+  if (groupData.speakerStrategy && !SPEAKER_STRATEGIES.includes(groupData.speakerStrategy)) {
+    console.error(`Validation Error: Unknown speaker strategy ${groupData.speakerStrategy}.`);
+    return null;
+  }
+
+  try {
+    const db = getDatabase();
+    const memberIds = resolveMemberIds(db, groupData.members);
+    if (!memberIds || memberIds.length < 2) return null;
+
+    let groupId;
+    const transaction = db.transaction(() => {
+      const now = Date.now();
+      const result = db.prepare(`
+        INSERT INTO group_chats (name, scenario, speaker_strategy, created_at, modified_at)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(groupData.name, groupData.scenario || '', groupData.speakerStrategy || 'round-robin', now, now);
+      groupId = result.lastInsertRowid;
+      replaceMembers(db, groupId, memberIds);
+    });
+    transaction();
+
+    return loadGroupChat(groupId);
+  } catch (error) {
+    console.error(`Error creating group chat ${groupData.name}:`, error);
+    return null;
+  }
+}
+
+// Load a group chat by id
+function loadGroupChat(groupId) {
+  try {
+    const db = getDatabase();
+    const row = db.prepare('SELECT * FROM group_chats WHERE id = ?').get(groupId);
+    if (!row) return null;
+    return dbRowToGroup(row, loadGroupMembers(db, row.id));
+  } catch (error) {
+    console.error(`Error loading group chat ${groupId}:`, error);
+    return null;
+  }
+}
+
+// Load all group chats
+function loadAllGroupChats() {
+  try {
+    const db = getDatabase();
+    const rows = db.prepare('SELECT * FROM group_chats ORDER BY name').all();
+    return rows.map(row => dbRowToGroup(row, loadGroupMembers(db, row.id)));
+  } catch (error) {
+    console.error('Error loading group chats:', error);
+    return [];
+  }
+}
+
+// Update a group chat's data
+function updateGroupChat(groupId, updateData) {
+  try {
+    const db = getDatabase();
+    const existing = db.prepare('SELECT * FROM group_chats WHERE id = ?').get(groupId);
+    if (!existing) {
+      console.error(`Group chat ${groupId} not found`);
+      return null;
+    }
+    if (updateData.speakerStrategy && !SPEAKER_STRATEGIES.includes(updateData.speakerStrategy)) {
+      console.error(`Validation Error: Unknown speaker strategy ${updateData.speakerStrategy}.`);
+      return null;
+    }
+
+    let memberIds = null;
+    if (updateData.members) {
+      memberIds = Array.isArray(updateData.members) ? resolveMemberIds(db, updateData.members) : null;
+      if (!memberIds || memberIds.length < 2) {
+        console.error('Validation Error: A group needs at least two members.');
+        return null;
+      }
+    }
+
+    const updateFields = [];
+    const updateValues = [];
+    const fieldMap = {
+      name: 'name',
+      scenario: 'scenario',
+      speakerStrategy: 'speaker_strategy',
+      lastJournalIndex: 'last_journal_index'
+    };
+    for (const [jsField, dbField] of Object.entries(fieldMap)) {
+      if (updateData.hasOwnProperty(jsField)) {
+        updateFields.push(`${dbField} = ?`);
+        updateValues.push(updateData[jsField]);
+      }
+    }
+    if (updateData.hasOwnProperty('lastSpeaker')) {
+      const speakerRow = db.prepare('SELECT id FROM characters WHERE name = ?').get(updateData.lastSpeaker);
+      updateFields.push('last_speaker_id = ?');
+      updateValues.push(speakerRow ? speakerRow.id : null);
+    }
+
+    const transaction = db.transaction(() => {
+      updateFields.push('modified_at = ?');
+      updateValues.push(Date.now());
+      db.prepare(`UPDATE group_chats SET ${updateFields.join(', ')} WHERE id = ?`).run(...updateValues, groupId);
+      if (memberIds) replaceMembers(db, groupId, memberIds);
+    });
+    transaction();
+
+    return loadGroupChat(groupId);
+  } catch (error) {
+    console.error(`Error updating group chat ${groupId}:`, error);
+    return null;
+  }
+}
+
+// Delete a group chat (members and messages cascade)
+function deleteGroupChat(groupId) {
+  try {
+    const db = getDatabase();
+    const result = db.prepare('DELETE FROM group_chats WHERE id = ?').run(groupId);
+    return result.changes > 0;
+  } catch (error) {
+    console.error(`Error deleting group chat ${groupId}:`, error);
+    return false;
+  }
+}
+
+// Load the message history of a group. Assistant messages carry the speaking character's name.
+function loadGroupChatHistory(groupId) {
+  try {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT m.role, m.content, m.reasoning, m.timestamp, c.name AS speaker
+      FROM group_chat_messages m
+      LEFT JOIN characters c ON c.id = m.speaker_id
+      WHERE m.group_id = ?
+      ORDER BY m.id ASC
+    `).all(groupId).map(row => {
+      const message = { role: row.role, content: row.content, timestamp: row.timestamp };
+      if (row.speaker) message.speaker = row.speaker;
+      if (row.reasoning) message.reasoning = row.reasoning;
+      return message;
+    });
+  } catch (error) {
+    console.error(`Error loading group chat history for ${groupId}:`, error);
+    return [];
+  }
+}
+
+// Save (replace) the message history of a group
+function saveGroupChatHistory(groupId, chatHistory) {
+  try {
+    const db = getDatabase();
+    const findSpeaker = db.prepare('SELECT id FROM characters WHERE name = ?');
+    const deleteStmt = db.prepare('DELETE FROM group_chat_messages WHERE group_id = ?');
+    const insertStmt = db.prepare(`
+      INSERT INTO group_chat_messages (group_id, role, speaker_id, content, reasoning, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
+    const transaction = db.transaction(() => {
+      deleteStmt.run(groupId);
+      for (const message of chatHistory) {
+        if (message && message.role && typeof message.content === 'string' && message.content.trim().length > 0) {
+          const speakerId = message.speaker ? (findSpeaker.get(message.speaker)?.id ?? null) : null;
+          const timestamp = (typeof message.timestamp === 'number' && !isNaN(message.timestamp)) ? message.timestamp : Date.now();
+          const reasoning = typeof message.reasoning === 'string' && message.reasoning ? message.reasoning : null;
+          insertStmt.run(groupId, String(message.role), speakerId, message.content, reasoning, timestamp);
+        }
+      }
+    });
+    transaction();
+    return true;
+  } catch (error) {
+    console.error(`Error saving group chat history for ${groupId}:`, error);
+    return false;
+  }
+}
+
+// --- Speaker selection ---
+
+// Next member after the last speaker, in member order
+function selectRoundRobinSpeaker(members, lastSpeaker) {
+  const lastIndex = members.findIndex(m => m.name === lastSpeaker);
+  return members[(lastIndex + 1) % members.length];
+}
+
+// Earliest member mentioned by name in the latest message (other than whoever wrote it)
+function selectMentionedSpeaker(members, chatHistory) {
+  const latest = chatHistory[chatHistory.length - 1];
+  if (!latest || typeof latest.content !== 'string') return null;
+
+  const text = latest.content.toLowerCase();
+  let best = null;
+  let bestPosition = Infinity;
+  for (const member of members) {
+    if (member.name === latest.speaker) continue;
+    const position = text.indexOf(member.name.toLowerCase());
+    if (position !== -1 && position < bestPosition) {
+      best = member;
+      bestPosition = position;
+    }
+  }
+  return best;
+}
+
+// Ask the analysis model who should talk next. Returns null if the answer is unusable.
+// The usage ledger row is labelled with the group's name, since no single character made the call.
+async function selectSpeakerWithLLM(group, members, chatHistory, settings) {
+  const providerName = settings.memory?.analysisProvider || settings.provider;
+  const provider = getProviderHandler(providerName, settings, { character: group.name, purpose: 'speaker-selection' });
+  if (!provider) return null;
+
+  const userName = settings.user?.name || 'User';
+  const transcript = chatHistory.slice(-8).map(m =>
+    `${m.role === 'user' ? userName : (m.speaker || 'Narrator')}: ${m.content}`).join('\n');
+  const prompt = `You are directing a group roleplay scene. Based on the conversation below, decide which character should speak next.
+
+Characters: ${members.map(m => m.name).join(', ')}
+
+Conversation:
+---
+${transcript}
+---
+
+Reply with ONLY the name of the next speaker, exactly as written in the character list.`;
+
+  try {
+    const raw = await provider([{ role: 'user', content: prompt }], {
+      temperature: 0.2,
+      model: settings.memory?.analysisModel || settings.model,
+      provider: providerName,
+      apiKey: settings.apiKeys?.[providerName],
+      apiKeys: settings.apiKeys,
+      mock: settings.mock,
+      maxTokens: 256
+    });
+    const answer = splitReasoning(String(raw || '')).content.trim().toLowerCase();
+    return members.find(m => answer === m.name.toLowerCase())
+      || members.find(m => answer.includes(m.name.toLowerCase()))
+      || null;
+  } catch (error) {
+    console.warn('LLM speaker selection failed, falling back:', error.message || error);
+    return null;
+  }
+}
+
+// Pick the next speaker. An explicitly requested speaker always wins; every strategy
+// falls back to mention and then round robin so a turn is never left without a speaker.
+async function selectNextSpeaker(group, members, chatHistory, settings, requestedSpeaker = null) {
+  if (requestedSpeaker) {
+    const requested = members.find(m => m.name === requestedSpeaker);
+    if (requested) return requested;
+  }
+
+  const candidates = members.length > 1 ? members.filter(m => m.name !== group.lastSpeaker) : members;
+  let speaker = null;
+  if (group.speakerStrategy === 'llm') {
+    speaker = await selectSpeakerWithLLM(group, candidates, chatHistory, settings);
+  }
+  if (!speaker && group.speakerStrategy !== 'round-robin') {
+    speaker = selectMentionedSpeaker(candidates, chatHistory);
+  }
+  return speaker || selectRoundRobinSpeaker(members, group.lastSpeaker);
+}
+
+// --- Turn generation ---
+
+// Rewrite the shared history from one character's point of view: its own lines become
+// assistant turns, everything else becomes name-prefixed user turns (merged so roles alternate).
+// A speaker only ever sees its own reasoning, never another character's.
+function buildSpeakerHistory(chatHistory, speaker, userName) {
+  const perspective = [];
+  for (const message of chatHistory) {
+    if (!message || typeof message.content !== 'string' || !message.content.trim()) continue;
+    if (message.role === 'assistant' && message.speaker === speaker.name) {
+      perspective.push(message.reasoning
+        ? { role: 'assistant', content: message.content, reasoning: message.reasoning }
+        : { role: 'assistant', content: message.content });
+      continue;
+    }
+    const author = message.role === 'user' ? userName : (message.speaker || 'Narrator');
+    const line = `${author}: ${messageTextForPrompt(message)}`;
+    const previous = perspective[perspective.length - 1];
+    if (previous && previous.role === 'user') {
+      previous.content += `\n\n${line}`;
+    } else {
+      perspective.push({ role: 'user', content: line });
+    }
+  }
+  return perspective;
+}
+
+// Queue a journal entry for every member's memory store once enough group messages accumulated
+function journalGroupChat(group, members, chatHistory, settings) {
+  if (settings.memory?.enableMemoryCreation === false) return;
+
+  const journalFrequency = settings.memory?.journalFrequency || 10;
+  const conversational = chatHistory.filter(m => m.role === 'user' || m.role === 'assistant');
+  const messagesSinceLastJournal = conversational.length - (group.lastJournalIndex || 0);
+  if (messagesSinceLastJournal < journalFrequency) return;
+
+  const userName = settings.user?.name || 'User';
+  const chunk = conversational.slice(-journalFrequency);
+  for (const character of members) {
+    // Each character remembers the scene from its own perspective
+    const messagesForJournal = chunk.map(m => ({
+      role: m.role === 'assistant' && m.speaker === character.name ? 'assistant' : 'user',
+      name: m.role === 'user' ? userName : (m.speaker || 'Narrator'),
+      content: m.content,
+      // Only the character's own reasoning can reach its journal
+      reasoning: m.role === 'assistant' && m.speaker === character.name ? m.reasoning : undefined
+    }));
+    // The background job also updates the member's relationships
+    queueJournalEntry(character.name, messagesForJournal);
+  }
+
+  group.lastJournalIndex = conversational.length;
+}
+
+// Generate the next group turn. `members` are full character objects; the reply is pushed
+// onto chatHistory (mutated like generateResponse does) and group.lastSpeaker is updated.
+// Returns { speaker, response, reasoning }.
+async function generateGroupResponse(group, members, userProfile, chatHistory, settings, requestedSpeaker = null) {
+  const speaker = await selectNextSpeaker(group, members, chatHistory, settings, requestedSpeaker);
+  const userName = userProfile?.name || 'User';
+  console.log(`Group ${group.name}: ${speaker.name} speaks next (strategy: ${group.speakerStrategy})`);
+
+  // The newest line from anyone else becomes the "user message" for this speaker
+  const perspective = buildSpeakerHistory(chatHistory, speaker, userName);
+  let promptMessage = `[Continue the scene as ${speaker.name}.]`;
+  if (perspective.length > 0 && perspective[perspective.length - 1].role === 'user') {
+    promptMessage = perspective.pop().content;
+  }
+
+  const groupContext = {
+    name: group.name,
+    scenario: group.scenario,
+    participants: members.filter(m => m.name !== speaker.name).map(m => ({
+      name: m.name,
+      description: m.description || m.appearance || ''
+    }))
+  };
+
+  let route = null;
+  let response = await generateResponse(speaker, promptMessage, userProfile, perspective, {
+    ...settings,
+    groupContext,
+    skipJournal: true,
+    onRoute: (chosen) => { route = chosen; }
+  });
+
+  // Models like to echo the "Name:" prefix they see on other lines
+  const prefix = new RegExp(`^\\s*\\**${speaker.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\**\\s*:\\s*`, 'i');
+  response = response.replace(prefix, '');
+  // generateResponse pushed the reply onto `perspective` with its reasoning split off
+  const reasoning = perspective[perspective.length - 1]?.reasoning || '';
+
+  const reply = { role: 'assistant', speaker: speaker.name, content: response, timestamp: Date.now() };
+  if (reasoning) reply.reasoning = reasoning;
+  chatHistory.push(reply);
+  group.lastSpeaker = speaker.name;
+
+  journalGroupChat(group, members, chatHistory, settings);
+  return { speaker, response, reasoning, route };
+}
+
+export {
+  SPEAKER_STRATEGIES,
+  createGroupChat,
+  loadGroupChat,
+  loadAllGroupChats,
+  updateGroupChat,
+  deleteGroupChat,
+  loadGroupChatHistory,
+  saveGroupChatHistory,
+  selectNextSpeaker,
+  generateGroupResponse
+};
@@ -0,0 +1,313 @@
+// Durable background job queue. Jobs live in the `jobs` table, so queued work survives a restart,
+// and a single in-process worker runs them. Jobs run one at a time per lane, in the order they were
+// queued: a lane is a job type, or for handlers registered with a `group`, that group for one
+// character (journal entries of one character must apply in order, and recycling must not clear
+// memories while a journal entry is written). A job waiting out a retry holds up the later jobs of
+// its lane. Different lanes run side by side. A failed attempt is retried with exponential backoff
+// until the handler's maxAttempts is used up.
+//
+// Handlers are registered per type: registerJobHandler(type, async (payload, { job, signal, reportProgress }) => result, options).
+// Throw an error with `retryable = false` to fail a job without further attempts.
+import { getDatabase } from './database.js';
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BACKOFF_MS = 15000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+const POLL_INTERVAL_MS = 5000;
+const FINISHED_JOB_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const handlers = new Map(); // type -> { run, maxAttempts, backoffMs, cancellable }
+const runningJobs = new Map(); // job id -> { type, controller }
+let workerStarted = false;
+let workerTimer = null;
+
+function parseJson(text, fallback) {
+  if (!text) return fallback;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function dbRowToJob(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    type: row.type,
+    character: row.character || null,
+    payload: parseJson(row.payload, {}),
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    runAt: row.run_at,
+    progress: parseJson(row.progress, null),
+    result: parseJson(row.result, null),
+    error: row.error || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    startedAt: row.started_at || null,
+    finishedAt: row.finished_at || null
+  };
+}
+
+// Options: maxAttempts (default 3), backoffMs (delay before the first retry, doubled each time),
+// cancellable (the handler watches its AbortSignal, so running jobs can be cancelled),
+// group (types sharing a group are serialized per character instead of per type)
+function registerJobHandler(type, run, options = {}) {
+  handlers.set(type, {
+    run,
+    maxAttempts: Math.max(1, options.maxAttempts || DEFAULT_MAX_ATTEMPTS),
+    backoffMs: options.backoffMs ?? DEFAULT_BACKOFF_MS,
+    cancellable: options.cancellable === true,
+    group: options.group || null
+  });
+}
+
+function jobLane(job, handler) {
+  return handler.group ? `${handler.group}:${job.character ?? ''}` : job.type;
+}
+
+// Queue a job. Options: character (for filtering), maxAttempts (defaults to the handler's), delayMs.
+// Returns the job, or null when it could not be stored.
+function enqueueJob(type, payload = {}, options = {}) {
+  try {
+    const db = getDatabase();
+    const now = Date.now();
+    const maxAttempts = options.maxAttempts || handlers.get(type)?.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    const result = db.prepare(`
+      INSERT INTO jobs (type, character, payload, status, attempts, max_attempts, run_at, created_at, updated_at)
+      VALUES (?, ?, ?, 'queued', 0, ?, ?, ?, ?)
+    `).run(type, options.character || null, JSON.stringify(payload), maxAttempts, now + (options.delayMs || 0), now, now);
+    console.log(`Queued ${type} job #${result.lastInsertRowid}${options.character ? ` for ${options.character}` : ''}`);
+    wakeWorker();
+    return getJob(result.lastInsertRowid);
+  } catch (error) {
+    console.error(`Error queueing ${type} job:`, error);
+    return null;
+  }
+}
+
+function getJob(id) {
+  try {
+    return dbRowToJob(getDatabase().prepare('SELECT * FROM jobs WHERE id = ?').get(id));
+  } catch (error) {
+    console.error(`Error loading job ${id}:`, error);
+    return null;
+  }
+}
+
+// Jobs newest first. Filters: type, status, character. Returns { jobs, total }, or null on error.
+function listJobs(filters = {}, limit = 50, offset = 0) {
+  try {
+    const db = getDatabase();
+    const where = [];
+    const args = [];
+    for (const [field, column] of [['type', 'type'], ['status', 'status'], ['character', 'character']]) {
+      if (filters[field]) {
+        where.push(`${column} = ?`);
+        args.push(filters[field]);
+      }
+    }
+    const clause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM jobs ${clause}`).get(...args).count;
+    const rows = db.prepare(`SELECT * FROM jobs ${clause} ORDER BY id DESC LIMIT ? OFFSET ?`).all(...args, limit, offset);
+    return { jobs: rows.map(dbRowToJob), total };
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    return null;
+  }
+}
+
+// Newest job of a type (optionally for one character); activeOnly limits it to queued or running jobs
+function findLatestJob(type, character = undefined, activeOnly = false) {
+  try {
+    const where = ['type = ?'];
+    const args = [type];
+    if (character !== undefined) {
+      where.push(character === null ? 'character IS NULL' : 'character = ?');
+      if (character !== null) args.push(character);
+    }
+    if (activeOnly) where.push("status IN ('queued', 'running')");
+    const row = getDatabase().prepare(`SELECT * FROM jobs WHERE ${where.join(' AND ')} ORDER BY id DESC LIMIT 1`).get(...args);
+    return dbRowToJob(row);
+  } catch (error) {
+    console.error(`Error finding ${type} job:`, error);
+    return null;
+  }
+}
+
+function findActiveJob(type, character = undefined) {
+  return findLatestJob(type, character, true);
+}
+
+function updateJobProgress(id, progress) {
+  try {
+    getDatabase().prepare('UPDATE jobs SET progress = ?, updated_at = ? WHERE id = ?')
+      .run(JSON.stringify(progress ?? null), Date.now(), id);
+  } catch (error) {
+    console.error(`Error updating progress of job ${id}:`, error);
+  }
+}
+
+// Cancel a queued job, or a running one whose handler supports it.
+// Returns { job } on success or { error, status } (HTTP status) when it cannot be cancelled.
+function cancelJob(id) {
+  const job = getJob(id);
+  if (!job) return { error: 'Job not found.', status: 404 };
+  if (job.status === 'queued') {
+    const now = Date.now();
+    getDatabase().prepare("UPDATE jobs SET status = 'cancelled', updated_at = ?, finished_at = ? WHERE id = ? AND status = 'queued'")
+      .run(now, now, id);
+    return { job: getJob(id) };
+  }
+  if (job.status === 'running') {
+    const running = runningJobs.get(job.id);
+    if (!running || !handlers.get(job.type)?.cancellable) {
+      return { error: `Running ${job.type} jobs cannot be cancelled.`, status: 409 };
+    }
+    running.controller.abort();
+    return { job };
+  }
+  return { error: `Job is already ${job.status}.`, status: 409 };
+}
+
+// Queue a failed or cancelled job again with a fresh set of attempts
+function retryJob(id) {
+  const job = getJob(id);
+  if (!job) return { error: 'Job not found.', status: 404 };
+  if (job.status !== 'failed' && job.status !== 'cancelled') {
+    return { error: `Only failed or cancelled jobs can be retried (job is ${job.status}).`, status: 409 };
+  }
+  const now = Date.now();
+  getDatabase().prepare(`UPDATE jobs SET status = 'queued', attempts = 0, run_at = ?, error = NULL, updated_at = ?,
+    started_at = NULL, finished_at = NULL WHERE id = ?`).run(now, now, id);
+  wakeWorker();
+  return { job: getJob(id) };
+}
+
+// --- Worker ---
+
+function scheduleTick(delayMs) {
+  if (!workerStarted) return;
+  clearTimeout(workerTimer);
+  workerTimer = setTimeout(tick, delayMs);
+  // Pending jobs never keep the process alive on their own
+  if (typeof workerTimer.unref === 'function') workerTimer.unref();
+}
+
+function wakeWorker() {
+  scheduleTick(0);
+}
+
+// Start the oldest unfinished job of every lane when it is queued and due. A lane whose oldest job
+// is running or waiting for its retry starts nothing; the next tick comes when the first of those
+// retries is due (or after POLL_INTERVAL_MS, whichever is sooner).
+function tick() {
+  let nextDelay = POLL_INTERVAL_MS;
+  try {
+    const db = getDatabase();
+    const now = Date.now();
+    const rows = db.prepare("SELECT * FROM jobs WHERE status IN ('queued', 'running') ORDER BY id").all();
+    const seenLanes = new Set();
+    for (const row of rows) {
+      const handler = handlers.get(row.type);
+      if (!handler) continue;
+      const job = dbRowToJob(row);
+      const lane = jobLane(job, handler);
+      if (seenLanes.has(lane)) continue;
+      seenLanes.add(lane);
+      if (job.status !== 'queued' || runningJobs.has(job.id)) continue;
+      if (job.runAt <= now) runJob(job);
+      else nextDelay = Math.min(nextDelay, job.runAt - now);
+    }
+  } catch (error) {
+    console.error('Job worker error:', error);
+  }
+  scheduleTick(nextDelay);
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  const db = getDatabase();
+  const controller = new AbortController();
+  const startedAt = Date.now();
+  const claimed = db.prepare(`UPDATE jobs SET status = 'running', attempts = attempts + 1, started_at = ?, updated_at = ?
+    WHERE id = ? AND status = 'queued'`).run(startedAt, startedAt, job.id);
+  if (claimed.changes === 0) return; // cancelled in the meantime
+  runningJobs.set(job.id, { type: job.type, controller });
+  const attempt = job.attempts + 1;
+
+  try {
+    const result = await handler.run(job.payload, {
+      job: { ...job, attempts: attempt },
+      signal: controller.signal,
+      reportProgress: (progress) => updateJobProgress(job.id, progress)
+    });
+    const now = Date.now();
+    const status = controller.signal.aborted ? 'cancelled' : 'completed';
+    db.prepare('UPDATE jobs SET status = ?, result = ?, error = NULL, updated_at = ?, finished_at = ? WHERE id = ?')
+      .run(status, JSON.stringify(result ?? null), now, now, job.id);
+    console.log(`${job.type} job #${job.id} ${status}`);
+  } catch (error) {
+    const now = Date.now();
+    const message = error?.message || String(error);
+    if (controller.signal.aborted) {
+      db.prepare("UPDATE jobs SET status = 'cancelled', error = ?, updated_at = ?, finished_at = ? WHERE id = ?")
+        .run(message, now, now, job.id);
+    } else if (error?.retryable !== false && attempt < job.maxAttempts) {
+      const delay = Math.min(handler.backoffMs * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+      db.prepare("UPDATE jobs SET status = 'queued', error = ?, run_at = ?, updated_at = ? WHERE id = ?")
+        .run(message, now + delay, now, job.id);
+      console.warn(`${job.type} job #${job.id} failed (attempt ${attempt}/${job.maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${message}`);
+    } else {
+      db.prepare("UPDATE jobs SET status = 'failed', error = ?, updated_at = ?, finished_at = ? WHERE id = ?")
+        .run(message, now, now, job.id);
+      console.error(`${job.type} job #${job.id} failed after ${attempt} attempt(s): ${message}`);
+    }
+  } finally {
+    runningJobs.delete(job.id);
+    wakeWorker();
+  }
+}
+
+// Start the worker. Jobs left running by a previous process are queued again, finished jobs older
+// than a week are removed.
+function startJobWorker() {
+  if (workerStarted) return;
+  try {
+    const db = getDatabase();
+    const now = Date.now();
+    const requeued = db.prepare("UPDATE jobs SET status = 'queued', run_at = ?, updated_at = ? WHERE status = 'running'").run(now, now).changes;
+    const pruned = db.prepare("DELETE FROM jobs WHERE status IN ('completed', 'failed', 'cancelled') AND updated_at < ?")
+      .run(now - FINISHED_JOB_RETENTION_MS).changes;
+    if (requeued > 0 || pruned > 0) console.log(`Job queue: ${requeued} interrupted jobs queued again, ${pruned} old jobs removed`);
+  } catch (error) {
+    console.error('Error preparing the job queue:', error);
+  }
+  workerStarted = true;
+  wakeWorker();
+}
+
+// Stop picking up new jobs. Jobs still running when the process exits are queued again on the next start.
+function stopJobWorker() {
+  workerStarted = false;
+  clearTimeout(workerTimer);
+  workerTimer = null;
+}
+
+export {
+  JOB_STATUSES,
+  registerJobHandler,
+  enqueueJob,
+  getJob,
+  listJobs,
+  findLatestJob,
+  findActiveJob,
+  updateJobProgress,
+  cancelJob,
+  retryJob,
+  startJobWorker,
+  stopJobWorker
+};
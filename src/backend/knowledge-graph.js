@@ -0,0 +1,371 @@
+// Knowledge graph: the entities (people, places, items, factions) and facts a character has
+// established, filled from the analysis of every journal entry. Entities are unique per
+// character by case-insensitive name; facts are subject / predicate / object triples with the
+// subject always an entity. A subject has one current value per predicate: a newer fact with the
+// same subject and predicate supersedes the older ones, which stay as history but are inactive
+// (only the newest one is used). The prompt gets a compact "known facts" section built from them so
+// established details are not contradicted later.
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from './database.js';
+
+const ENTITY_KINDS = ['person', 'place', 'item', 'faction', 'other'];
+const MAX_NAME_LENGTH = 80;
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_FACTS_PER_ENTITY = 4; // in the prompt section
+const SCAN_DEPTH = 6; // recent messages searched for entity names
+
+function cleanText(value, maxLength) {
+  return typeof value === 'string' ? value.trim().replace(/\s+/g, ' ').slice(0, maxLength) : '';
+}
+
+function toKey(text) {
+  return text.toLowerCase();
+}
+
+// LIKE pattern for a substring search, with % and _ in the text matched literally (ESCAPE '\')
+function containsPattern(text) {
+  return `%${String(text).toLowerCase().replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+function normalizeKind(kind) {
+  const value = typeof kind === 'string' ? kind.trim().toLowerCase() : '';
+  return ENTITY_KINDS.includes(value) ? value : 'other';
+}
+
+function dbRowToEntity(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    kind: row.kind,
+    description: row.description || '',
+    mentions: row.mentions,
+    firstSeen: row.first_seen,
+    lastUpdated: row.last_updated,
+    sourceMemoryId: row.source_memory_id || null
+  };
+}
+
+function dbRowToFact(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    subjectId: row.subject_id,
+    subject: row.subject_name,
+    predicate: row.predicate,
+    object: row.object,
+    objectId: row.object_id || null,
+    mentions: row.mentions,
+    firstSeen: row.first_seen,
+    lastUpdated: row.last_updated,
+    sourceMemoryId: row.source_memory_id || null,
+    active: row.active !== 0,
+    supersededBy: row.superseded_by || null
+  };
+}
+
+const FACT_SELECT = `
+  SELECT f.*, e.name AS subject_name
+  FROM knowledge_facts f
+  JOIN knowledge_entities e ON e.id = f.subject_id
+`;
+
+// Insert an entity or refresh an existing one. A specific kind replaces 'other' and a newer
+// description replaces the old one. Returns the entity id.
+function upsertEntity(db, characterName, { name, kind, description }, memoryId, timestamp) {
+  const existing = db.prepare('SELECT * FROM knowledge_entities WHERE character = ? AND name_key = ?')
+    .get(characterName, toKey(name));
+  if (existing) {
+    const newKind = normalizeKind(kind);
+    db.prepare(`UPDATE knowledge_entities
+      SET kind = ?, description = ?, mentions = mentions + 1, last_updated = ?, source_memory_id = ?
+      WHERE id = ?`).run(
+      existing.kind === 'other' ? newKind : existing.kind,
+      description || existing.description,
+      Math.max(existing.last_updated, timestamp),
+      memoryId || existing.source_memory_id,
+      existing.id
+    );
+    return existing.id;
+  }
+  const id = uuidv4();
+  db.prepare(`INSERT INTO knowledge_entities
+    (id, character, name, name_key, kind, description, mentions, first_seen, last_updated, source_memory_id)
+    VALUES (?, ?, ?, ?, ?, ?, 1, ?, ?, ?)`).run(
+    id, characterName, name, toKey(name), normalizeKind(kind), description || '', timestamp, timestamp, memoryId || null
+  );
+  return id;
+}
+
+// Make the most recently updated fact of a subject and predicate the active one and mark the
+// others as superseded by it
+function refreshActiveFact(db, characterName, subjectId, predicateKey) {
+  const facts = db.prepare(`SELECT id, predicate FROM knowledge_facts WHERE character = ? AND subject_id = ?
+    ORDER BY last_updated DESC, rowid DESC`).all(characterName, subjectId)
+    .filter(fact => toKey(fact.predicate) === predicateKey);
+  if (facts.length === 0) return;
+  const [current, ...older] = facts;
+  db.prepare('UPDATE knowledge_facts SET active = 1, superseded_by = NULL WHERE id = ?').run(current.id);
+  const supersede = db.prepare('UPDATE knowledge_facts SET active = 0, superseded_by = ? WHERE id = ?');
+  for (const fact of older) supersede.run(current.id, fact.id);
+}
+
+// Record the entities and facts of one analyzed journal entry:
+//   knowledge = { entities: [{ name, type, description }], facts: [{ subject, predicate, object }], participants: [names] }
+// Returns { entities, facts } counts, or null on error.
+function recordKnowledge(characterName, knowledge = {}, { memoryId = null, timestamp = Date.now() } = {}) {
+  if (!characterName) return null;
+  try {
+    const db = getDatabase();
+    const counts = { entities: 0, facts: 0 };
+    db.transaction(() => {
+      const ids = new Map(); // name key -> entity id
+      const remember = (entity) => {
+        const name = cleanText(entity.name, MAX_NAME_LENGTH);
+        if (!name) return null;
+        const id = upsertEntity(db, characterName, {
+          name,
+          kind: entity.type || entity.kind,
+          description: cleanText(entity.description, MAX_DESCRIPTION_LENGTH)
+        }, memoryId, timestamp);
+        if (!ids.has(toKey(name))) counts.entities++;
+        ids.set(toKey(name), id);
+        return id;
+      };
+
+      for (const entity of Array.isArray(knowledge.entities) ? knowledge.entities : []) {
+        if (entity && typeof entity === 'object') remember(entity);
+      }
+      for (const name of Array.isArray(knowledge.participants) ? knowledge.participants : []) {
+        if (typeof name === 'string' && !ids.has(toKey(cleanText(name, MAX_NAME_LENGTH)))) remember({ name, type: 'person' });
+      }
+
+      const findObject = db.prepare('SELECT id FROM knowledge_entities WHERE character = ? AND name_key = ?');
+      for (const fact of Array.isArray(knowledge.facts) ? knowledge.facts : []) {
+        const subject = cleanText(fact?.subject, MAX_NAME_LENGTH);
+        const predicate = cleanText(fact?.predicate, 80);
+        const object = cleanText(fact?.object, MAX_DESCRIPTION_LENGTH);
+        if (!subject || !predicate || !object) continue;
+        const subjectId = ids.get(toKey(subject)) || remember({ name: subject });
+        const objectId = ids.get(toKey(object)) || findObject.get(characterName, toKey(object))?.id || null;
+        const factKey = `${subjectId}|${toKey(predicate)}|${toKey(object)}`;
+        const existing = db.prepare('SELECT id, last_updated FROM knowledge_facts WHERE character = ? AND fact_key = ?')
+          .get(characterName, factKey);
+        if (existing) {
+          db.prepare(`UPDATE knowledge_facts SET mentions = mentions + 1, last_updated = ?, object_id = COALESCE(object_id, ?), source_memory_id = ?
+            WHERE id = ?`).run(Math.max(existing.last_updated, timestamp), objectId, memoryId, existing.id);
+        } else {
+          db.prepare(`INSERT INTO knowledge_facts
+            (id, character, subject_id, predicate, object, object_id, fact_key, mentions, first_seen, last_updated, source_memory_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?)`).run(
+            uuidv4(), characterName, subjectId, predicate, object, objectId, factKey, timestamp, timestamp, memoryId
+          );
+        }
+        refreshActiveFact(db, characterName, subjectId, toKey(predicate));
+        counts.facts++;
+      }
+    })();
+    return counts;
+  } catch (error) {
+    console.error(`Error recording knowledge for ${characterName}:`, error);
+    return null;
+  }
+}
+
+// --- Queries ---
+
+// Entities of a character, most recently updated first. Filters: kind, q (substring of name or description).
+// Returns { entities, total }, or null on error.
+function listEntities(characterName, filters = {}, limit = 50, offset = 0) {
+  try {
+    const db = getDatabase();
+    const where = ['character = ?'];
+    const args = [characterName];
+    if (filters.kind) {
+      where.push('kind = ?');
+      args.push(normalizeKind(filters.kind));
+    }
+    if (filters.q) {
+      where.push("(name_key LIKE ? ESCAPE '\\' OR lower(description) LIKE ? ESCAPE '\\')");
+      const pattern = containsPattern(filters.q);
+      args.push(pattern, pattern);
+    }
+    const clause = where.join(' AND ');
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM knowledge_entities WHERE ${clause}`).get(...args).count;
+    const rows = db.prepare(`SELECT * FROM knowledge_entities WHERE ${clause}
+      ORDER BY last_updated DESC, mentions DESC LIMIT ? OFFSET ?`).all(...args, limit, offset);
+    return { entities: rows.map(dbRowToEntity), total };
+  } catch (error) {
+    console.error(`Error listing entities for ${characterName}:`, error);
+    return null;
+  }
+}
+
+// One entity with the facts about it (as subject, superseded ones included as its history) and
+// the current facts that point at it (as object)
+function getEntity(characterName, entityId) {
+  try {
+    const db = getDatabase();
+    const entity = dbRowToEntity(db.prepare('SELECT * FROM knowledge_entities WHERE character = ? AND id = ?').get(characterName, entityId));
+    if (!entity) return null;
+    entity.facts = db.prepare(`${FACT_SELECT} WHERE f.subject_id = ? ORDER BY f.last_updated DESC`).all(entityId).map(dbRowToFact);
+    entity.mentionedIn = db.prepare(`${FACT_SELECT} WHERE f.object_id = ? AND f.active = 1 ORDER BY f.last_updated DESC`).all(entityId).map(dbRowToFact);
+    return entity;
+  } catch (error) {
+    console.error(`Error loading entity ${entityId} for ${characterName}:`, error);
+    return null;
+  }
+}
+
+// Facts of a character, most recently updated first. Filters: entityId (as subject or object),
+// q (substring of subject, predicate or object), includeSuperseded (also list facts that were
+// replaced by newer ones). Returns { facts, total }, or null on error.
+function listFacts(characterName, filters = {}, limit = 50, offset = 0) {
+  try {
+    const db = getDatabase();
+    const where = ['f.character = ?'];
+    const args = [characterName];
+    if (filters.entityId) {
+      where.push('(f.subject_id = ? OR f.object_id = ?)');
+      args.push(filters.entityId, filters.entityId);
+    }
+    if (!filters.includeSuperseded) where.push('f.active = 1');
+    if (filters.q) {
+      where.push("(e.name_key LIKE ? ESCAPE '\\' OR lower(f.predicate) LIKE ? ESCAPE '\\' OR lower(f.object) LIKE ? ESCAPE '\\')");
+      const pattern = containsPattern(filters.q);
+      args.push(pattern, pattern, pattern);
+    }
+    const clause = where.join(' AND ');
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM knowledge_facts f
+      JOIN knowledge_entities e ON e.id = f.subject_id WHERE ${clause}`).get(...args).count;
+    const rows = db.prepare(`${FACT_SELECT} WHERE ${clause}
+      ORDER BY f.last_updated DESC LIMIT ? OFFSET ?`).all(...args, limit, offset);
+    return { facts: rows.map(dbRowToFact), total };
+  } catch (error) {
+    console.error(`Error listing facts for ${characterName}:`, error);
+    return null;
+  }
+}
+
+// Delete an entity and every fact about it. Facts pointing at it keep their text.
+function deleteEntity(characterName, entityId) {
+  try {
+    const db = getDatabase();
+    let deleted = false;
+    db.transaction(() => {
+      db.prepare('DELETE FROM knowledge_facts WHERE character = ? AND subject_id = ?').run(characterName, entityId);
+      db.prepare('UPDATE knowledge_facts SET object_id = NULL WHERE character = ? AND object_id = ?').run(characterName, entityId);
+      deleted = db.prepare('DELETE FROM knowledge_entities WHERE character = ? AND id = ?').run(characterName, entityId).changes > 0;
+    })();
+    return deleted;
+  } catch (error) {
+    console.error(`Error deleting entity ${entityId} for ${characterName}:`, error);
+    return false;
+  }
+}
+
+// Delete one fact. If it was the current one, the fact it superseded becomes current again.
+function deleteFact(characterName, factId) {
+  try {
+    const db = getDatabase();
+    const fact = db.prepare('SELECT subject_id, predicate FROM knowledge_facts WHERE character = ? AND id = ?').get(characterName, factId);
+    if (!fact) return false;
+    db.transaction(() => {
+      db.prepare('DELETE FROM knowledge_facts WHERE id = ?').run(factId);
+      refreshActiveFact(db, characterName, fact.subject_id, toKey(fact.predicate));
+    })();
+    return true;
+  } catch (error) {
+    console.error(`Error deleting fact ${factId} for ${characterName}:`, error);
+    return false;
+  }
+}
+
+// Point entities and facts learned from one memory at another (when memories are merged), or at none
+function repointKnowledgeSource(characterName, fromMemoryId, toMemoryId = null) {
+  try {
+    const db = getDatabase();
+    let changed = 0;
+    db.transaction(() => {
+      for (const table of ['knowledge_entities', 'knowledge_facts']) {
+        changed += db.prepare(`UPDATE ${table} SET source_memory_id = ? WHERE character = ? AND source_memory_id = ?`)
+          .run(toMemoryId, characterName, fromMemoryId).changes;
+      }
+    })();
+    return changed;
+  } catch (error) {
+    console.error(`Error repointing knowledge of memory ${fromMemoryId} for ${characterName}:`, error);
+    return 0;
+  }
+}
+
+// Remove a character's whole knowledge graph (used when its memories are cleared)
+function clearKnowledge(characterName) {
+  try {
+    const db = getDatabase();
+    let removed = 0;
+    db.transaction(() => {
+      db.prepare('DELETE FROM knowledge_facts WHERE character = ?').run(characterName);
+      removed = db.prepare('DELETE FROM knowledge_entities WHERE character = ?').run(characterName).changes;
+    })();
+    return removed;
+  } catch (error) {
+    console.error(`Error clearing knowledge for ${characterName}:`, error);
+    return 0;
+  }
+}
+
+// --- Prompt section ---
+
+// "Known facts" section within maxTokens. Entities named in the recent conversation come first,
+// then the most mentioned ones. Returns { text, entityCount } (text is '' when nothing fits).
+function buildKnownFactsSection(characterName, chatHistory, query, maxTokens, countTokens) {
+  try {
+    const db = getDatabase();
+    const entities = db.prepare(`SELECT * FROM knowledge_entities WHERE character = ?
+      ORDER BY mentions DESC, last_updated DESC LIMIT 200`).all(characterName).map(dbRowToEntity);
+    if (entities.length === 0 || maxTokens <= 0) return { text: '', entityCount: 0 };
+
+    const messages = (Array.isArray(chatHistory) ? chatHistory : []).filter(m => m && typeof m.content === 'string');
+    const scanText = [...messages.slice(-SCAN_DEPTH).map(m => m.content), query || ''].join('\n').toLowerCase();
+    const named = entities.filter(entity => scanText.includes(entity.name.toLowerCase()));
+    const namedIds = new Set(named.map(entity => entity.id));
+    const ordered = [...named, ...entities.filter(entity => !namedIds.has(entity.id))];
+
+    const factStmt = db.prepare(`${FACT_SELECT} WHERE f.subject_id = ? AND f.active = 1
+      ORDER BY f.mentions DESC, f.last_updated DESC LIMIT ?`);
+    const header = 'KNOWN FACTS (established earlier in the story; stay consistent with them):\n';
+    let text = header;
+    let used = countTokens(header);
+    let entityCount = 0;
+    for (const entity of ordered) {
+      const facts = factStmt.all(entity.id, MAX_FACTS_PER_ENTITY).map(dbRowToFact);
+      // Bare names without any detail would only take up space
+      if (!entity.description && facts.length === 0) continue;
+      let block = `• ${entity.name} (${entity.kind})${entity.description ? `: ${entity.description}` : ''}\n`;
+      block += facts.map(fact => `  - ${fact.predicate} ${fact.object}\n`).join('');
+      const tokens = countTokens(block);
+      if (used + tokens > maxTokens) continue;
+      text += block;
+      used += tokens;
+      entityCount++;
+    }
+    return { text: entityCount > 0 ? text : '', entityCount };
+  } catch (error) {
+    console.error(`Error building known facts for ${characterName}:`, error);
+    return { text: '', entityCount: 0 };
+  }
+}
+
+export {
+  ENTITY_KINDS,
+  recordKnowledge,
+  listEntities,
+  getEntity,
+  listFacts,
+  deleteEntity,
+  deleteFact,
+  repointKnowledgeSource,
+  clearKnowledge,
+  buildKnownFactsSection
+};
@@ -0,0 +1,499 @@
+// Lorebooks (world info): deterministic lore injected into the prompt when its keys show up
+// in the recent conversation. Books are global (no character) or attached to one character.
+import { getDatabase } from './database.js';
+
+const MAX_RECURSION_STEPS = 3;
+const warnedRegexKeys = new Set(); // Invalid regex keys are reported once, not on every scan
+
+function parseJsonArray(text) {
+  try {
+    const value = JSON.parse(text || '[]');
+    return Array.isArray(value) ? value : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Normalize a key list from the API (array or comma separated string)
+function toKeyList(value) {
+  const list = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : []);
+  return list.map(key => String(key).trim()).filter(Boolean);
+}
+
+// Helper function to convert database rows to lorebook objects
+function dbRowToLorebook(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description || '',
+    characterName: row.character_name || null,
+    enabled: !!row.enabled,
+    scanDepth: row.scan_depth,
+    tokenBudget: row.token_budget,
+    recursiveScanning: !!row.recursive_scanning,
+    entryCount: row.entry_count ?? undefined,
+    createdAt: row.created_at,
+    modifiedAt: row.modified_at
+  };
+}
+
+function dbRowToEntry(row) {
+  return {
+    id: row.id,
+    lorebookId: row.lorebook_id,
+    comment: row.comment || '',
+    keys: parseJsonArray(row.keys),
+    secondaryKeys: parseJsonArray(row.secondary_keys),
+    regexKeys: parseJsonArray(row.regex_keys),
+    content: row.content,
+    insertionOrder: row.insertion_order,
+    enabled: !!row.enabled,
+    constant: !!row.constant,
+    caseSensitive: !!row.case_sensitive,
+    excludeRecursion: !!row.exclude_recursion,
+    createdAt: row.created_at,
+    modifiedAt: row.modified_at
+  };
+}
+
+const LOREBOOK_SELECT = `
+  SELECT l.*, c.name AS character_name,
+    (SELECT COUNT(*) FROM lorebook_entries e WHERE e.lorebook_id = l.id) AS entry_count
+  FROM lorebooks l
+  LEFT JOIN characters c ON c.id = l.character_id
+`;
+
+function resolveCharacterId(db, characterName) {
+  if (!characterName) return null;
+  const row = db.prepare('SELECT id FROM characters WHERE name = ?').get(characterName);
+  return row ? row.id : undefined;
+}
+
+// --- Lorebook CRUD ---
+
+// List lorebooks. With a character name, returns the books that apply to that character (global + its own).
+function loadAllLorebooks(characterName = null) {
+  try {
+    const db = getDatabase();
+    if (characterName) {
+      return db.prepare(`${LOREBOOK_SELECT} WHERE l.character_id IS NULL OR c.name = ? ORDER BY l.name`)
+        .all(characterName).map(dbRowToLorebook);
+    }
+    return db.prepare(`${LOREBOOK_SELECT} ORDER BY l.name`).all().map(dbRowToLorebook);
+  } catch (error) {
+    console.error('Error loading lorebooks:', error);
+    return [];
+  }
+}
+
+// Load a lorebook with its entries
+function loadLorebook(lorebookId) {
+  try {
+    const db = getDatabase();
+    const lorebook = dbRowToLorebook(db.prepare(`${LOREBOOK_SELECT} WHERE l.id = ?`).get(lorebookId));
+    if (!lorebook) return null;
+    lorebook.entries = db.prepare('SELECT * FROM lorebook_entries WHERE lorebook_id = ? ORDER BY insertion_order ASC, id ASC')
+      .all(lorebookId).map(dbRowToEntry);
+    return lorebook;
+  } catch (error) {
+    console.error(`Error loading lorebook ${lorebookId}:`, error);
+    return null;
+  }
+}
+
+// Create a lorebook; characterName attaches it to one character, otherwise it is global
+function createLorebook(lorebookData) {
+  if (!lorebookData || !lorebookData.name || !String(lorebookData.name).trim()) {
+    console.error('Validation Error: Lorebook name is required.');
+    return null;
+  }
+
+  try {
+    const db = getDatabase();
+    const characterId = resolveCharacterId(db, lorebookData.characterName);
+    if (characterId === undefined) {
+      console.error(`Validation Error: Character ${lorebookData.characterName} does not exist.`);
+      return null;
+    }
+
+    const now = Date.now();
+    const result = db.prepare(`
+      INSERT INTO lorebooks (name, description, character_id, enabled, scan_depth, token_budget, recursive_scanning, created_at, modified_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      String(lorebookData.name).trim(),
+      lorebookData.description || '',
+      characterId,
+      lorebookData.enabled === false ? 0 : 1,
+      Number.isInteger(lorebookData.scanDepth) ? Math.max(lorebookData.scanDepth, 0) : 4,
+      Number.isInteger(lorebookData.tokenBudget) ? Math.max(lorebookData.tokenBudget, 0) : 500,
+      lorebookData.recursiveScanning ? 1 : 0,
+      now,
+      now
+    );
+    return loadLorebook(result.lastInsertRowid);
+  } catch (error) {
+    console.error(`Error creating lorebook ${lorebookData.name}:`, error);
+    return null;
+  }
+}
+
+// Update a lorebook's settings
+function updateLorebook(lorebookId, updateData) {
+  try {
+    const db = getDatabase();
+    const existing = db.prepare('SELECT id FROM lorebooks WHERE id = ?').get(lorebookId);
+    if (!existing) {
+      console.error(`Lorebook ${lorebookId} not found`);
+      return null;
+    }
+
+    const updateFields = [];
+    const updateValues = [];
+    if (updateData.hasOwnProperty('name')) {
+      if (!updateData.name || !String(updateData.name).trim()) return null;
+      updateFields.push('name = ?');
+      updateValues.push(String(updateData.name).trim());
+    }
+    if (updateData.hasOwnProperty('description')) {
+      updateFields.push('description = ?');
+      updateValues.push(updateData.description || '');
+    }
+    if (updateData.hasOwnProperty('characterName')) {
+      const characterId = resolveCharacterId(db, updateData.characterName);
+      if (characterId === undefined) {
+        console.error(`Validation Error: Character ${updateData.characterName} does not exist.`);
+        return null;
+      }
+      updateFields.push('character_id = ?');
+      updateValues.push(characterId);
+    }
+    if (updateData.hasOwnProperty('enabled')) {
+      updateFields.push('enabled = ?');
+      updateValues.push(updateData.enabled ? 1 : 0);
+    }
+    if (Number.isInteger(updateData.scanDepth)) {
+      updateFields.push('scan_depth = ?');
+      updateValues.push(Math.max(updateData.scanDepth, 0));
+    }
+    if (Number.isInteger(updateData.tokenBudget)) {
+      updateFields.push('token_budget = ?');
+      updateValues.push(Math.max(updateData.tokenBudget, 0));
+    }
+    if (updateData.hasOwnProperty('recursiveScanning')) {
+      updateFields.push('recursive_scanning = ?');
+      updateValues.push(updateData.recursiveScanning ? 1 : 0);
+    }
+
+    updateFields.push('modified_at = ?');
+    updateValues.push(Date.now());
+    db.prepare(`UPDATE lorebooks SET ${updateFields.join(', ')} WHERE id = ?`).run(...updateValues, lorebookId);
+    return loadLorebook(lorebookId);
+  } catch (error) {
+    console.error(`Error updating lorebook ${lorebookId}:`, error);
+    return null;
+  }
+}
+
+// Delete a lorebook (entries cascade)
+function deleteLorebook(lorebookId) {
+  try {
+    const db = getDatabase();
+    return db.prepare('DELETE FROM lorebooks WHERE id = ?').run(lorebookId).changes > 0;
+  } catch (error) {
+    console.error(`Error deleting lorebook ${lorebookId}:`, error);
+    return false;
+  }
+}
+
+// --- Entry CRUD ---
+
+function entryValues(entryData, existing = {}) {
+  const pick = (field, fallback) => entryData.hasOwnProperty(field) ? entryData[field] : (existing[field] ?? fallback);
+  return {
+    comment: pick('comment', '') || '',
+    keys: JSON.stringify(toKeyList(pick('keys', []))),
+    secondaryKeys: JSON.stringify(toKeyList(pick('secondaryKeys', []))),
+    regexKeys: JSON.stringify(toKeyList(pick('regexKeys', []))),
+    content: pick('content', ''),
+    insertionOrder: Number.isInteger(pick('insertionOrder', 100)) ? pick('insertionOrder', 100) : 100,
+    enabled: pick('enabled', true) ? 1 : 0,
+    constant: pick('constant', false) ? 1 : 0,
+    caseSensitive: pick('caseSensitive', false) ? 1 : 0,
+    excludeRecursion: pick('excludeRecursion', false) ? 1 : 0
+  };
+}
+
+// Add an entry to a lorebook
+function createLoreEntry(lorebookId, entryData) {
+  if (!entryData || typeof entryData.content !== 'string' || !entryData.content.trim()) {
+    console.error('Validation Error: Lore entry content is required.');
+    return null;
+  }
+
+  try {
+    const db = getDatabase();
+    if (!db.prepare('SELECT id FROM lorebooks WHERE id = ?').get(lorebookId)) {
+      console.error(`Lorebook ${lorebookId} not found`);
+      return null;
+    }
+
+    const values = entryValues(entryData);
+    const now = Date.now();
+    const result = db.prepare(`
+      INSERT INTO lorebook_entries (
+        lorebook_id, comment, keys, secondary_keys, regex_keys, content, insertion_order,
+        enabled, constant, case_sensitive, exclude_recursion, created_at, modified_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      lorebookId, values.comment, values.keys, values.secondaryKeys, values.regexKeys, values.content,
+      values.insertionOrder, values.enabled, values.constant, values.caseSensitive, values.excludeRecursion, now, now
+    );
+    db.prepare('UPDATE lorebooks SET modified_at = ? WHERE id = ?').run(now, lorebookId);
+    return dbRowToEntry(db.prepare('SELECT * FROM lorebook_entries WHERE id = ?').get(result.lastInsertRowid));
+  } catch (error) {
+    console.error(`Error creating lore entry in lorebook ${lorebookId}:`, error);
+    return null;
+  }
+}
+
+// Update an entry (only the provided fields change)
+function updateLoreEntry(lorebookId, entryId, entryData) {
+  try {
+    const db = getDatabase();
+    const row = db.prepare('SELECT * FROM lorebook_entries WHERE id = ? AND lorebook_id = ?').get(entryId, lorebookId);
+    if (!row) {
+      console.error(`Lore entry ${entryId} not found in lorebook ${lorebookId}`);
+      return null;
+    }
+
+    const values = entryValues(entryData, dbRowToEntry(row));
+    if (typeof values.content !== 'string' || !values.content.trim()) {
+      console.error('Validation Error: Lore entry content is required.');
+      return null;
+    }
+
+    const now = Date.now();
+    db.prepare(`
+      UPDATE lorebook_entries SET comment = ?, keys = ?, secondary_keys = ?, regex_keys = ?, content = ?,
+        insertion_order = ?, enabled = ?, constant = ?, case_sensitive = ?, exclude_recursion = ?, modified_at = ?
+      WHERE id = ?
+    `).run(
+      values.comment, values.keys, values.secondaryKeys, values.regexKeys, values.content, values.insertionOrder,
+      values.enabled, values.constant, values.caseSensitive, values.excludeRecursion, now, entryId
+    );
+    db.prepare('UPDATE lorebooks SET modified_at = ? WHERE id = ?').run(now, lorebookId);
+    return dbRowToEntry(db.prepare('SELECT * FROM lorebook_entries WHERE id = ?').get(entryId));
+  } catch (error) {
+    console.error(`Error updating lore entry ${entryId}:`, error);
+    return null;
+  }
+}
+
+// Delete an entry
+function deleteLoreEntry(lorebookId, entryId) {
+  try {
+    const db = getDatabase();
+    const result = db.prepare('DELETE FROM lorebook_entries WHERE id = ? AND lorebook_id = ?').run(entryId, lorebookId);
+    if (result.changes > 0) {
+      db.prepare('UPDATE lorebooks SET modified_at = ? WHERE id = ?').run(Date.now(), lorebookId);
+    }
+    return result.changes > 0;
+  } catch (error) {
+    console.error(`Error deleting lore entry ${entryId}:`, error);
+    return false;
+  }
+}
+
+// --- Character card books ---
+
+// Turn a Character Card V2/V3 `character_book` into a lorebook attached to the character.
+// Card keys written as /pattern/flags become regex keys.
+function importCharacterBook(characterName, characterBook) {
+  if (!characterBook || !Array.isArray(characterBook.entries) || characterBook.entries.length === 0) return null;
+
+  try {
+    const db = getDatabase();
+    let lorebook = null;
+    const transaction = db.transaction(() => {
+      lorebook = createLorebook({
+        name: characterBook.name || `${characterName} lore`,
+        description: characterBook.description || '',
+        characterName,
+        scanDepth: Number.isInteger(characterBook.scan_depth) ? characterBook.scan_depth : undefined,
+        tokenBudget: Number.isInteger(characterBook.token_budget) ? characterBook.token_budget : undefined,
+        recursiveScanning: !!characterBook.recursive_scanning
+      });
+      if (!lorebook) throw new Error('Failed to create lorebook');
+
+      for (const entry of characterBook.entries) {
+        if (!entry || typeof entry.content !== 'string' || !entry.content.trim()) continue;
+        const allKeys = toKeyList(entry.keys);
+        const useRegex = !!entry.use_regex || !!entry.extensions?.use_regex;
+        createLoreEntry(lorebook.id, {
+          comment: entry.comment || entry.name || '',
+          keys: allKeys.filter(key => !useRegex && !/^\/.+\/[a-z]*$/.test(key)),
+          regexKeys: allKeys.filter(key => useRegex || /^\/.+\/[a-z]*$/.test(key)),
+          secondaryKeys: entry.selective === false ? [] : toKeyList(entry.secondary_keys),
+          content: entry.content,
+          insertionOrder: Number.isInteger(entry.insertion_order) ? entry.insertion_order : 100,
+          enabled: entry.enabled !== false,
+          constant: !!entry.constant,
+          caseSensitive: !!entry.case_sensitive,
+          excludeRecursion: !!entry.extensions?.exclude_recursion
+        });
+      }
+    });
+    transaction();
+    return loadLorebook(lorebook.id);
+  } catch (error) {
+    console.error(`Error importing character book for ${characterName}:`, error);
+    return null;
+  }
+}
+
+// Build a card `character_book` from the lorebooks attached to a character (null if it has none)
+function exportCharacterBook(characterName) {
+  const books = loadAllLorebooks(characterName).filter(book => book.characterName === characterName);
+  if (books.length === 0) return null;
+
+  const entries = [];
+  for (const summary of books) {
+    const book = loadLorebook(summary.id);
+    for (const entry of book?.entries || []) {
+      entries.push({
+        keys: [...entry.keys, ...entry.regexKeys],
+        content: entry.content,
+        extensions: entry.excludeRecursion ? { exclude_recursion: true } : {},
+        enabled: entry.enabled,
+        insertion_order: entry.insertionOrder,
+        case_sensitive: entry.caseSensitive,
+        name: entry.comment,
+        comment: entry.comment,
+        selective: entry.secondaryKeys.length > 0,
+        secondary_keys: entry.secondaryKeys,
+        constant: entry.constant,
+        id: entries.length
+      });
+    }
+  }
+
+  const primary = books[0];
+  return {
+    name: primary.name,
+    description: primary.description,
+    scan_depth: primary.scanDepth,
+    token_budget: primary.tokenBudget,
+    recursive_scanning: primary.recursiveScanning,
+    extensions: {},
+    entries
+  };
+}
+
+// --- Trigger scanning ---
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Plain keys match as whole words (so "cat" does not fire on "category")
+function keyMatches(key, text, caseSensitive) {
+  const pattern = `(^|[^\\p{L}\\p{N}_])${escapeRegExp(key)}(?=$|[^\\p{L}\\p{N}_])`;
+  return new RegExp(pattern, caseSensitive ? 'u' : 'iu').test(text);
+}
+
+// Regex keys are "/pattern/flags" or a bare pattern; invalid patterns never match
+function regexKeyMatches(key, text, caseSensitive) {
+  const literal = key.match(/^\/(.+)\/([a-z]*)$/);
+  try {
+    const regex = literal
+      ? new RegExp(literal[1], literal[2].replace(/[gy]/g, ''))
+      : new RegExp(key, caseSensitive ? '' : 'i');
+    return regex.test(text);
+  } catch (error) {
+    if (!warnedRegexKeys.has(key)) {
+      warnedRegexKeys.add(key);
+      console.warn(`Lorebook: ignoring invalid regex key ${key}: ${error.message}`);
+    }
+    return false;
+  }
+}
+
+function entryTriggered(entry, text) {
+  const primary = entry.keys.some(key => keyMatches(key, text, entry.caseSensitive)) ||
+    entry.regexKeys.some(key => regexKeyMatches(key, text, entry.caseSensitive));
+  if (!primary) return false;
+  // Secondary keys narrow an entry down: at least one of them must also appear
+  return entry.secondaryKeys.length === 0 ||
+    entry.secondaryKeys.some(key => keyMatches(key, text, entry.caseSensitive));
+}
+
+// Find the lore entries to inject for a character. Each enabled book (global + the character's)
+// scans its last `scanDepth` messages plus the current query, optionally recursing into the
+// content of matched entries, and keeps its matches within its own token budget.
+// Returns entries sorted by insertion order.
+function findTriggeredLoreEntries(character, chatHistory, query, countTokens) {
+  try {
+    const db = getDatabase();
+    const books = db.prepare(`
+      SELECT * FROM lorebooks
+      WHERE enabled = 1 AND (character_id IS NULL OR character_id = ?)
+    `).all(character?.id ?? -1).map(dbRowToLorebook);
+    if (books.length === 0) return [];
+
+    const entryStmt = db.prepare('SELECT * FROM lorebook_entries WHERE lorebook_id = ? AND enabled = 1 ORDER BY insertion_order ASC, id ASC');
+    const messages = (Array.isArray(chatHistory) ? chatHistory : [])
+      .filter(m => m && typeof m.content === 'string' && m.content.trim().length > 0);
+
+    const selected = [];
+    for (const book of books) {
+      const entries = entryStmt.all(book.id).map(dbRowToEntry);
+      if (entries.length === 0) continue;
+
+      const window = book.scanDepth > 0 ? messages.slice(-book.scanDepth) : [];
+      let scanText = [...window.map(m => m.content), query || ''].join('\n');
+      const matched = new Map();
+
+      entries.filter(entry => entry.constant).forEach(entry => matched.set(entry.id, entry));
+      let steps = book.recursiveScanning ? MAX_RECURSION_STEPS : 0;
+      let newlyMatched = [];
+      do {
+        newlyMatched = entries.filter(entry => !matched.has(entry.id) && entryTriggered(entry, scanText));
+        newlyMatched.forEach(entry => matched.set(entry.id, entry));
+        // Matched lore can itself mention keys of other entries
+        const recursiveText = newlyMatched.filter(entry => !entry.excludeRecursion).map(entry => entry.content).join('\n');
+        scanText += `\n${recursiveText}`;
+      } while (steps-- > 0 && newlyMatched.length > 0);
+
+      // Constants first, then insertion order, until the book's budget is spent
+      const ordered = [...matched.values()].sort((a, b) => (b.constant - a.constant) || (a.insertionOrder - b.insertionOrder));
+      let used = 0;
+      for (const entry of ordered) {
+        const tokens = countTokens(entry.content);
+        if (book.tokenBudget > 0 && used + tokens > book.tokenBudget) continue;
+        used += tokens;
+        selected.push(entry);
+      }
+    }
+
+    return selected.sort((a, b) => a.insertionOrder - b.insertionOrder);
+  } catch (error) {
+    console.error('Error scanning lorebooks:', error);
+    return [];
+  }
+}
+
+export {
+  loadAllLorebooks,
+  loadLorebook,
+  createLorebook,
+  updateLorebook,
+  deleteLorebook,
+  createLoreEntry,
+  updateLoreEntry,
+  deleteLoreEntry,
+  importCharacterBook,
+  exportCharacterBook,
+  findTriggeredLoreEntries
+};
@@ -1,49 +1,38 @@
 // Store persona and first message as important memories after clearing
 async function storeInitialCharacterMemories(character, settings = {}) {
   if (!character || !character.name) return false;
-  const entries = [];
-  // Persona
-  if (character.persona && character.persona.trim().length > 0) {
-    try {
-      const vector = await generateEmbedding(character.persona, settings);
-      if (vector && Array.isArray(vector) && vector.length > 0) {
-        await insertItem({
-          vector,
-          metadata: {
-            id: uuidv4(),
-            summary: character.persona.substring(0, 200),
-            character: character.name,
-            timestamp: Date.now(),
-            importance: 1.0, // Highest importance
-            type: 'persona',
-          }
-        });
-        entries.push('persona');
-      }
-    } catch (e) {
-      console.error(`Failed to embed/store persona for ${character.name}:`, e);
-    }
+  const sources = [
+    { type: 'persona', text: character.persona },
+    { type: 'firstMessage', text: character.firstMessage }
+  ].filter(source => source.text && source.text.trim().length > 0);
+  if (sources.length === 0) return false;
+
+  // Both texts go to the embedding provider in one request
+  const { embeddings, provider, model } = await embedTexts(sources.map(source => source.text), settings);
+  if (embeddings.length !== sources.length) {
+    console.error(`Failed to embed persona/first message for ${character.name}`);
+    return false;
   }
-  // First message
-  if (character.firstMessage && character.firstMessage.trim().length > 0) {
+
+  const entries = [];
+  for (let i = 0; i < sources.length; i++) {
     try {
-      const vector = await generateEmbedding(character.firstMessage, settings);
-      if (vector && Array.isArray(vector) && vector.length > 0) {
-        await insertItem({
-          vector,
-          metadata: {
-            id: uuidv4(),
-            summary: character.firstMessage.substring(0, 200),
-            character: character.name,
-            timestamp: Date.now(),
-            importance: 1.0, // Highest importance
-            type: 'firstMessage',
-          }
-        });
-        entries.push('firstMessage');
-      }
+      await insertItem({
+        vector: embeddings[i],
+        provider,
+        model,
+        metadata: {
+          id: uuidv4(),
+          summary: sources[i].text.substring(0, 200),
+          character: character.name,
+          timestamp: Date.now(),
+          importance: 1.0, // Highest importance
+          type: sources[i].type,
+        }
+      });
+      entries.push(sources[i].type);
     } catch (e) {
-      console.error(`Failed to embed/store firstMessage for ${character.name}:`, e);
+      console.error(`Failed to store ${sources[i].type} for ${character.name}:`, e);
     }
   }
   return entries.length > 0;
@@ -54,13 +43,28 @@ function replaceUserPlaceholder(text, userName) {
   return text.replace(/\{\{user\}\}/gi, userName || 'User');
 }
 // Vector store (sqlite-vec replacement for legacy vectra)
-import { ensureIndex, insertItem, queryItems } from './vector-store-sqlite-vec.js';
+import {
+  ensureIndex, insertItem, queryItems, searchText, listItems, getItem, updateItem, deleteItem, listPinnedItems,
+  getEmbeddingStats, countStaleItems, countUnrecordedItems, listStaleItems, replaceEmbedding, listItemsWithVectors,
+  adoptUnrecordedItems
+} from './vector-store-sqlite-vec.js';
+import { findTriggeredLoreEntries } from './lorebook-system.js';
+import { recordKnowledge, repointKnowledgeSource, clearKnowledge, buildKnownFactsSection } from './knowledge-graph.js';
+import {
+  getRelationshipAxes,
+  applyRelationshipChanges,
+  recordRelationshipHistory,
+  repointRelationshipHistory,
+  clearRelationshipHistory,
+  formatRelationshipsForPrompt
+} from './relationships.js';
+import { embedTexts, getEmbeddingTarget } from './embedding-providers.js';
+import { enqueueJob, findActiveJob } from './job-queue.js';
+import { messageTextForPrompt } from './reasoning.js';
 import { v4 as uuidv4 } from 'uuid';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-// Import Mistral client
-import { Mistral } from '@mistralai/mistralai';
 // Import tiktoken for token counting
 import { get_encoding } from "tiktoken";
 
@@ -87,287 +91,18 @@ async function initializeVectorStorage() {
 
 
 
-// Generate text embeddings using NVIDIA bge-m3 (preferred), fallback to Mistral, or others
+// Generate a text embedding with the configured provider, walking the fallback chain on failure
 async function generateEmbedding(text, settings = {}) {
-  // User can select embedding provider/model in settings.memory
-  const provider = settings.memory?.embeddingProvider || 'gemini';
-  const embeddingModel = settings.memory?.embeddingModel || 'gemini-embedding-001';
-  // Removed manual desiredDim handling – let provider decide dimension; we only validate non-empty
-
-
-  // Helper functions for each provider
-  async function tryGemini() {
-    try {
-      const { GoogleGenAI } = await import('@google/genai');
-      const apiKey = settings.apiKeys?.gemini;
-      if (!apiKey) throw new Error('Gemini embedding error: API key is missing.');
-      let realApiKey = Array.isArray(apiKey) ? apiKey[0] : apiKey;
-      if (typeof realApiKey !== 'string') throw new Error('Gemini embedding API key must be a string, got: ' + typeof realApiKey);
-
-      const ai = new GoogleGenAI({ apiKey: realApiKey });
-      // Updated call signature per latest @google/genai – expects contents (string or array)
-      const response = await ai.models.embedContent({
-        model: embeddingModel,
-        contents: text
-      });
-      // The SDK typically returns { embedding: { values: [...] } }
-      const embedding = response?.embedding?.values || response?.embedding || response?.embeddings?.[0]?.values || response?.embeddings;
-      if (!embedding || !Array.isArray(embedding)) {
-        throw new Error('Gemini embedding error: Missing embedding array');
-      }
-      return embedding;
-    } catch (err) {
-      throw err;
-    }
-  }
-
-  async function tryNvidia() {
-    try {
-      const OpenAI = (await import('openai')).default;
-      const apiKey = settings.apiKeys?.nvidia;
-      if (!apiKey) throw new Error('NVIDIA embedding error: API key is missing.');
-      
-      // Ensure apiKey is a string (handle array case)
-      let realApiKey = apiKey;
-      if (Array.isArray(apiKey)) {
-        realApiKey = apiKey[0];
-      }
-      if (typeof realApiKey !== 'string') {
-        throw new Error('NVIDIA embedding API key must be a string, got: ' + typeof realApiKey);
-      }
-      
-      const openai = new OpenAI({
-        apiKey: realApiKey,
-        baseURL: 'https://integrate.api.nvidia.com/v1',
-      });
-      const response = await openai.embeddings.create({
-        input: [text],
-        model: 'baai/bge-m3',
-        encoding_format: 'float',
-        truncate: 'NONE'
-      });
-      const embedding = response.data[0].embedding;
-      if (!embedding || !Array.isArray(embedding) || embedding.length !== 1024) {
-        throw new Error(`NVIDIA bge-m3 embedding error: Invalid or wrong dimension (${embedding?.length})`);
-      }
-      return embedding;
-    } catch (err) {
-      throw err;
-    }
-  }
-
-  async function tryMistral() {
-    try {
-      const apiKey = settings.apiKeys?.mistral;
-      if (!apiKey) {
-        throw new Error("Mistral embedding error: API key is missing.");
-      }
-      // Ensure apiKey is a string (handle array case)
-      let realApiKey = apiKey;
-      if (Array.isArray(apiKey)) {
-        realApiKey = apiKey[0];
-      }
-      if (typeof realApiKey !== 'string') {
-        console.error('Mistral embedding API key is not a string:', realApiKey, typeof realApiKey);
-        throw new Error('Mistral embedding API key must be a string, got: ' + typeof realApiKey);
-      }
-      const client = new Mistral({ apiKey: realApiKey });
-      const inputs = Array.isArray(text) ? text : [text];
-      const embeddingsBatchResponse = await client.embeddings.create({
-        model: 'mistral-embed',
-        inputs: inputs,
-      });
-      const embedding = embeddingsBatchResponse?.data?.[0]?.embedding;
-      if (!embedding || !Array.isArray(embedding) || embedding.length !== 1024) {
-        throw new Error(`Mistral embedding error: Invalid or wrong dimension (${embedding?.length})`);
-      }
-      return embedding;
-    } catch (err) {
-      throw err;
-    }
-  }
-
-  async function tryCohere() {
-    try {
-      const { CohereClient } = await import('cohere-ai');
-      const apiKey = settings.apiKeys?.cohere;
-      if (!apiKey) throw new Error('Cohere embedding error: API key is missing.');
-      
-      // Ensure apiKey is a string (handle array case)
-      let realApiKey = apiKey;
-      if (Array.isArray(apiKey)) {
-        realApiKey = apiKey[0];
-      }
-      if (typeof realApiKey !== 'string') {
-        throw new Error('Cohere embedding API key must be a string, got: ' + typeof realApiKey);
-      }
-      
-      const cohere = new CohereClient({ token: realApiKey });
-      const response = await cohere.v2.embed({
-        texts: Array.isArray(text) ? text : [text],
-        model: 'embed-v4.0',
-        inputType: 'classification',
-        embeddingTypes: ['float'],
-      });
-      // Cohere returns { embeddings: { float: [[...]] } }
-      const embedding = response?.embeddings?.float?.[0];
-      if (!embedding || !Array.isArray(embedding)) {
-        throw new Error(`Cohere embedding error: Invalid embedding returned.`);
-      }
-      return embedding;
-    } catch (err) {
-      throw err;
-    }
-  }
+  const { embedding } = await generateEmbeddingWithSource(text, settings);
+  return embedding;
+}
 
-  // Fallback logic for each provider
-  if (provider === 'gemini') {
-    try {
-      return await tryGemini();
-    } catch (err1) {
-      console.error('Gemini embedding failed, falling back to NVIDIA:', err1.message || err1);
-      try {
-        return await tryNvidia();
-      } catch (err2) {
-        console.error('NVIDIA embedding failed, falling back to Mistral:', err2.message || err2);
-        try {
-          return await tryMistral();
-        } catch (err3) {
-          console.error('Mistral embedding failed, falling back to Cohere:', err3.message || err3);
-          try {
-            return await tryCohere();
-          } catch (err4) {
-            console.error('Cohere embedding failed, falling back to NVIDIA:', err4.message || err4);
-            try {
-              return await tryNvidia();
-            } catch (err5) {
-              console.error('NVIDIA embedding failed, falling back to Mistral:', err5.message || err5);
-              try {
-                return await tryMistral();
-              } catch (err6) {
-                console.error('Mistral embedding failed:', err6.message || err6);
-                return [];
-              }
-            }
-          }
-        }
-      }
-    }
-  } else if (provider === 'nvidia') {
-    try {
-      return await tryNvidia();
-    } catch (err1) {
-      console.error('NVIDIA embedding failed, falling back to Mistral:', err1.message || err1);
-      try {
-        return await tryMistral();
-      } catch (err2) {
-        console.error('Mistral embedding failed, falling back to Gemini:', err2.message || err2);
-        try {
-          return await tryGemini();
-        } catch (err3) {
-          console.error('Gemini embedding failed, falling back to Cohere:', err3.message || err3);
-          try {
-            return await tryCohere();
-          } catch (err4) {
-            console.error('Cohere embedding failed, falling back to NVIDIA:', err4.message || err4);
-            try {
-              return await tryNvidia();
-            } catch (err5) {
-              console.error('NVIDIA embedding failed, falling back to Mistral:', err5.message || err5);
-              try {
-                return await tryMistral();
-              } catch (err6) {
-                console.error('Mistral embedding failed:', err6.message || err6);
-                return [];
-              }
-            }
-          }
-        }
-      }
-    }
-  } else if (provider === 'mistral') {
-    try {
-      return await tryMistral();
-    } catch (err1) {
-      console.error('Mistral embedding failed, falling back to NVIDIA:', err1.message || err1);
-      try {
-        return await tryNvidia();
-      } catch (err2) {
-        console.error('NVIDIA embedding failed, falling back to Gemini:', err2.message || err2);
-        try {
-          return await tryGemini();
-        } catch (err3) {
-          console.error('Gemini embedding failed, falling back to Cohere:', err3.message || err3);
-          try {
-            return await tryCohere();
-          } catch (err4) {
-            console.error('Cohere embedding failed, falling back to NVIDIA:', err4.message || err4);
-            try {
-              return await tryNvidia();
-            } catch (err5) {
-              console.error('NVIDIA embedding failed, falling back to Mistral:', err5.message || err5);
-              try {
-                return await tryMistral();
-              } catch (err6) {
-                console.error('Mistral embedding failed:', err6.message || err6);
-                return [];
-              }
-            }
-          }
-        }
-      }
-    }
-  } else if (provider === 'cohere') {
-    try {
-      return await tryCohere();
-    } catch (err1) {
-      console.error('Cohere embedding failed, falling back to NVIDIA:', err1.message || err1);
-      try {
-        return await tryNvidia();
-      } catch (err2) {
-        console.error('NVIDIA embedding failed, falling back to Mistral:', err2.message || err2);
-        try {
-          return await tryMistral();
-        } catch (err3) {
-          console.error('Mistral embedding failed:', err3.message || err3);
-          return [];
-        }
-      }
-    }
-  } else {
-    // Default: try Gemini fallback chain
-    try {
-      return await tryGemini();
-    } catch (err1) {
-      console.error('Gemini embedding failed, falling back to NVIDIA:', err1.message || err1);
-      try {
-        return await tryNvidia();
-      } catch (err2) {
-        console.error('NVIDIA embedding failed, falling back to Mistral:', err2.message || err2);
-        try {
-          return await tryMistral();
-        } catch (err3) {
-          console.error('Mistral embedding failed, falling back to Cohere:', err3.message || err3);
-          try {
-            return await tryCohere();
-          } catch (err4) {
-            console.error('Cohere embedding failed, falling back to NVIDIA:', err4.message || err4);
-            try {
-              return await tryNvidia();
-            } catch (err5) {
-              console.error('NVIDIA embedding failed, falling back to Mistral:', err5.message || err5);
-              try {
-                return await tryMistral();
-              } catch (err6) {
-                console.error('Mistral embedding failed:', err6.message || err6);
-                return [];
-              }
-            }
-          }
-        }
-      }
-    }
-  }
+// Same as generateEmbedding, but also reports which provider and model produced the vector
+// ({ embedding, provider, model }), since the fallback chain may not use the configured one.
+async function generateEmbeddingWithSource(text, settings = {}) {
+  const { embeddings, provider, model } = await embedTexts([text], settings);
+  if (embeddings.length === 0) return { embedding: [], provider: null, model: null };
+  return { embedding: embeddings[0], provider, model };
 }
 
 // ... (rest of the functions remain largely the same, but need dimension checks updated) ...
@@ -396,38 +131,27 @@ async function getLatestJournalSummary(characterName) {
   }
 }
 
-// --- Helper Functions for Memory Analysis ---
-
-// LLM-based analysis has replaced these rule-based functions
-// Keeping calculateRecencyBoost and calculateEmotionalSignificance for memory ranking
+// --- Helper Functions for Memory Ranking ---
 
-// Calculate recency boost (exponential decay) - No longer used for retrieval ranking
-/*
-function calculateRecencyBoost(timestamp) {
-  const now = Date.now();
-  const ageInHours = (now - timestamp) / (1000 * 60 * 60);
-  // Slower decay over 48 hours
-  return Math.exp(-ageInHours / 48);
+// Recency boost with exponential decay: 1 for a new memory, 0.5 after halfLifeDays
+function calculateRecencyBoost(timestamp, halfLifeDays = 14) {
+  const ageInDays = Math.max(0, Date.now() - (timestamp || 0)) / (1000 * 60 * 60 * 24);
+  return Math.pow(0.5, ageInDays / halfLifeDays);
 }
-*/
 
-// Calculate emotional significance from stored memory emotions - No longer used for retrieval ranking
-/*
-function calculateEmotionalSignificance(memory, characterState) {
-    // Assumes memory.emotions was stored by extractEmotions
-    try {
-        // Parse if stored as string
-        const emotions = typeof memory.emotions === 'string' ? JSON.parse(memory.emotions) : memory.emotions;
-        if (emotions && typeof emotions === 'object') {
-            // Use max intensity (positive or negative)
-            return Math.max(emotions.positive || 0, emotions.negative || 0);
-        }
-    } catch (e) {
-        console.error(`Error parsing emotions for significance calculation (Memory ID: ${memory.id}):`, e);
+// Emotional significance from the stored emotions: the stronger of positive and negative (0-1)
+function calculateEmotionalSignificance(memory) {
+  try {
+    // Parse if stored as string
+    const emotions = typeof memory.emotions === 'string' ? JSON.parse(memory.emotions) : memory.emotions;
+    if (emotions && typeof emotions === 'object') {
+      return Math.min(1, Math.max(Number(emotions.positive) || 0, Number(emotions.negative) || 0));
     }
-    return 0; // Default
+  } catch (e) {
+    console.error(`Error parsing emotions for significance calculation (Memory ID: ${memory.id}):`, e);
+  }
+  return 0; // Default
 }
-*/
 
 // --- End of Helper Functions ---
 
@@ -437,76 +161,96 @@ async function createJournalEntry(messages, characterState, settings = {}) {
   const frequency = settings.memory?.journalFrequency || 10;
 
   if (messages.length >= frequency) {
-    // Use LLM-based analysis instead of rule-based functions
-    const analysisResult = await analyzeConversationChunk(messages, characterState, settings);
-    
-    if (!analysisResult) {
-      console.warn(`Skipping journal entry creation due to analysis failure for ${characterState.name}.`);
-      return null;
-    }
-    
-    // Calculate updated relationship sentiment
-    const currentSentiment = characterState.relationships?.user?.sentiment || 0.0;
-    let newSentiment = currentSentiment + (analysisResult.relationshipDelta || 0.0);
-    newSentiment = Math.max(-1, Math.min(1, newSentiment)); // Clamp between -1 and 1
-    
-    // Update status based on new sentiment
-    let newStatus = 'neutral';
-    if (newSentiment > 0.4) newStatus = 'friendly';
-    else if (newSentiment > 0.1) newStatus = 'acquaintance';
-    else if (newSentiment < -0.4) newStatus = 'hostile';
-    else if (newSentiment < -0.1) newStatus = 'wary';
-    
-    const updatedRelationships = { 
-      user: { 
-        sentiment: parseFloat(newSentiment.toFixed(2)),
-        status: newStatus
-      } 
-    };
+    const analysis = await analyzeJournalChunk(messages, characterState, settings);
+    if (!analysis) return null;
 
     // Generate embedding from the LLM-generated summary
-    const embeddingVector = await generateEmbedding(analysisResult.summary, settings);
-    // Dynamic dimension validation
-    // Unified dimension table (includes latest Gemini flexible dims)
-    // Dimension validation simplified: accept any non-empty numeric vector
-    const embeddingProvider = settings.memory?.embeddingProvider || settings.provider || 'nvidia';
-    if (!embeddingVector || !Array.isArray(embeddingVector) || embeddingVector.length === 0) {
-      console.error(`Failed to generate valid embedding for summary. Provider=${embeddingProvider} produced empty vector.`);
+    const embedded = await generateEmbeddingWithSource(analysis.analysisResult.summary, settings);
+    if (!embedded.embedding || !Array.isArray(embedded.embedding) || embedded.embedding.length === 0) {
+      console.error(`Failed to generate valid embedding for summary. Provider=${settings.memory?.embeddingProvider || 'gemini'} produced empty vector.`);
       return null;
     }
-    const journalEntry = {
-      id: uuidv4(),
-      timestamp: Date.now(),
-      summary: analysisResult.summary,
-      emotions: analysisResult.emotions, // Store object directly from analysis
-      decisions: analysisResult.decisions, // Store array directly from analysis
-      relationships: updatedRelationships, // Store the updated state
-      topics: analysisResult.topics, // Store array directly from analysis
-      importance: (analysisResult.importance || 5) / 10.0, // Normalize importance (0.1-1.0)
-      conversationDrivers: analysisResult.conversationDrivers || [], // Store conversation drivers
-      participants: analysisResult.participants || [characterState.name, settings?.user?.name || 'User'], // Store all participants
-      plotElements: analysisResult.plotElements || [], // Store plot elements for better retrieval
-      vector: embeddingVector,
-      rawMessages: messages.slice() // Keep raw messages
-    };
+    const journalEntry = buildJournalEntry(messages, characterState, analysis, embedded, settings);
 
     const storeSettings = { ...settings, character: characterState.name };
     const success = await storeJournalEntry(journalEntry, storeSettings);
     if (success) {
-        console.log(`Journal entry created for ${characterState.name}. Importance: ${(analysisResult.importance/10).toFixed(2)}`);
+        console.log(`Journal entry created for ${characterState.name}. Importance: ${journalEntry.importance.toFixed(2)}`);
+        recordRelationshipHistory(characterState.id, analysis.relationshipChanges, journalEntry.id, journalEntry.timestamp);
+        scheduleMemoryConsolidation(characterState.name, settings);
     }
     // Return entry AND updated relationships for the caller
-    return { journalEntry, updatedRelationships };
+    return { journalEntry, updatedRelationships: analysis.updatedRelationships };
   }
   return null; // Not enough messages
 }
 
+// Queue a journal entry for a chunk of messages as a background 'journal' job (handled in
+// server.js with createJournalEntry), so the reply does not wait for analysis and embedding.
+// Only what the analysis reads is kept in the job payload.
+function queueJournalEntry(characterName, messages) {
+  const payloadMessages = messages.map(m => ({
+    role: m.role,
+    content: m.content,
+    ...(m.name ? { name: m.name } : {}),
+    ...(m.reasoning ? { reasoning: m.reasoning } : {})
+  }));
+  return enqueueJob('journal', { characterName, messages: payloadMessages }, { character: characterName });
+}
+
+// LLM analysis of a message chunk plus the relationship state it leads to (and the changes
+// that got there, for the relationship history).
+// Kept apart from embedding so callers with many chunks can embed all summaries in one batch.
+async function analyzeJournalChunk(messages, characterState, settings = {}) {
+  // Use LLM-based analysis instead of rule-based functions
+  const analysisResult = await analyzeConversationChunk(messages, characterState, settings);
+
+  if (!analysisResult) {
+    console.warn(`Skipping journal entry creation due to analysis failure for ${characterState.name}.`);
+    return null;
+  }
+
+  // Move sentiment and axes towards every participant the analysis reported on
+  const { relationships: updatedRelationships, changes: relationshipChanges } = applyRelationshipChanges(
+    characterState.relationships,
+    analysisResult,
+    { axes: getRelationshipAxes(characterState), userName: settings?.user?.name || 'User', characterName: characterState.name }
+  );
+  return { analysisResult, updatedRelationships, relationshipChanges };
+}
+
+// Journal entry from an analysis and its embedding ({ embedding, provider, model })
+function buildJournalEntry(messages, characterState, analysis, embedded, settings = {}) {
+  const { analysisResult, updatedRelationships } = analysis;
+  return {
+    id: uuidv4(),
+    timestamp: Date.now(),
+    summary: analysisResult.summary,
+    emotions: analysisResult.emotions, // Store object directly from analysis
+    decisions: analysisResult.decisions, // Store array directly from analysis
+    relationships: updatedRelationships, // Store the updated state
+    topics: analysisResult.topics, // Store array directly from analysis
+    importance: (analysisResult.importance || 5) / 10.0, // Normalize importance (0.1-1.0)
+    conversationDrivers: analysisResult.conversationDrivers || [], // Store conversation drivers
+    participants: analysisResult.participants || [characterState.name, settings?.user?.name || 'User'], // Store all participants
+    plotElements: analysisResult.plotElements || [], // Store plot elements for better retrieval
+    entities: analysisResult.entities || [], // Knowledge graph input, not stored on the memory itself
+    facts: analysisResult.facts || [],
+    vector: embedded.embedding,
+    embeddingProvider: embedded.provider,
+    embeddingModel: embedded.model,
+    rawMessages: messages.slice() // Keep raw messages
+  };
+}
+
 // Store the journal entry in the unified SQLite vector store
 async function storeJournalEntry(journalEntry, settings = {}) {
   try {
     const characterName = settings.character || 'default';
     await insertItem({
       vector: journalEntry.vector,
+      provider: journalEntry.embeddingProvider || null,
+      model: journalEntry.embeddingModel || null,
       metadata: {
         id: journalEntry.id,
         summary: journalEntry.summary,
@@ -517,9 +261,16 @@ async function storeJournalEntry(journalEntry, settings = {}) {
         decisions: journalEntry.decisions,
         relationships: journalEntry.relationships,
         topics: journalEntry.topics,
+        plotElements: journalEntry.plotElements,
+        participants: journalEntry.participants,
         rawMessages: journalEntry.rawMessages
       }
     });
+    recordKnowledge(characterName, {
+      entities: journalEntry.entities,
+      facts: journalEntry.facts,
+      participants: journalEntry.participants
+    }, { memoryId: journalEntry.id, timestamp: journalEntry.timestamp });
     return true;
   } catch (error) {
     console.error(`Error storing journal entry for character ${settings.character}:`, error);
@@ -542,13 +293,12 @@ async function retrieveRelevantMemories(currentMessage, character, limit = 8, se
     const analysisModel = settings.memory?.analysisModel || settings.model;
     const analysisProvider = settings.memory?.analysisProvider || settings.provider;
     const hydeEnabled = settings.memory?.hydeEnabled;
-    const llmProviderFactory = await getLLMProviderFactory();
 
     // Option A: LLM summary of last 2-3 turns
     if (method === 'llm-summary' && chatHistory && chatHistory.length > 1) {
       const recentTurns = chatHistory.slice(-4); // last 2 user, 2 assistant
-      const recentContext = recentTurns.map(m => `${m.role}: ${m.content}`).join('\n');
-      const llm = llmProviderFactory[analysisProvider];
+      const recentContext = recentTurns.map(m => `${m.role}: ${messageTextForPrompt(m)}`).join('\n');
+      const llm = await getLLMProvider(analysisProvider, settings, character.name);
       if (llm) {
         const prompt = [{role: 'user', content: `Summarize the following recent conversation context in 3-4 sentences, focusing on what is most relevant for memory retrieval for the user's last message (\"${currentMessage}\"):\n${recentContext}` }];
         try {
@@ -556,7 +306,8 @@ async function retrieveRelevantMemories(currentMessage, character, limit = 8, se
             model: analysisModel, 
             temperature: 0.1, 
             apiKey: settings.apiKeys?.[analysisProvider],
-            apiKeys: settings.apiKeys
+            apiKeys: settings.apiKeys,
+            mock: settings.mock
           });
           if (summary && typeof summary === 'string' && summary.length > 0) {
             queryText = summary;
@@ -569,7 +320,7 @@ async function retrieveRelevantMemories(currentMessage, character, limit = 8, se
 
     // Option C: HyDE (Hypothetical Document Embeddings)
     if ((method === 'hyde' || hydeEnabled) && chatHistory && chatHistory.length > 0) {
-      const llm = llmProviderFactory[analysisProvider];
+      const llm = await getLLMProvider(analysisProvider, settings, character.name);
       if (llm) {
         const prompt = [{role: 'user', content: `Given the user's message: \"${currentMessage}\", and the character ${character.name}, write a brief, hypothetical journal entry summary that would be perfectly relevant to this message.`}];
         try {
@@ -577,7 +328,8 @@ async function retrieveRelevantMemories(currentMessage, character, limit = 8, se
             model: analysisModel, 
             temperature: 0.1, 
             apiKey: settings.apiKeys?.[analysisProvider],
-            apiKeys: settings.apiKeys
+            apiKeys: settings.apiKeys,
+            mock: settings.mock
           });
           if (hydeSummary && typeof hydeSummary === 'string' && hydeSummary.length > 0) {
             queryText = hydeSummary;
@@ -590,12 +342,14 @@ async function retrieveRelevantMemories(currentMessage, character, limit = 8, se
     if (method === 'average' && chatHistory && chatHistory.length > 1) {
       const lastUser = [...chatHistory].reverse().find(m => m.role === 'user');
       const lastAssistant = [...chatHistory].reverse().find(m => m.role === 'assistant');
-      let userEmb = null, assistantEmb = null;
-      if (lastUser) userEmb = await generateEmbedding(lastUser.content, settings);
-      if (lastAssistant) assistantEmb = await generateEmbedding(lastAssistant.content, settings);      if (userEmb && assistantEmb && userEmb.length === assistantEmb.length) {
+      // One batch, so both vectors come from the same model even if the fallback chain kicks in
+      const { embeddings, model: averageModel } = lastUser && lastAssistant
+        ? await embedTexts([lastUser.content, messageTextForPrompt(lastAssistant)], settings)
+        : { embeddings: [] };
+      if (embeddings.length === 2 && embeddings[0].length === embeddings[1].length) {
         // Average the two vectors
-        const avg = userEmb.map((v, i) => (v + assistantEmb[i]) / 2);
-        let memories = await _retrieveMemoriesWithEmbedding(avg, character, limit * 2); // Get more for reranking
+        const avg = embeddings[0].map((v, i) => (v + embeddings[1][i]) / 2);
+        let memories = await _retrieveMemoriesWithEmbedding(avg, character, limit * 2, settings, currentMessage, averageModel); // Get more for reranking
         
         // Apply reranking if enabled
         try {
@@ -605,22 +359,29 @@ async function retrieveRelevantMemories(currentMessage, character, limit = 8, se
           console.warn('Reranking failed, using original vector similarity order:', error.message);
         }
         
-        // Return top results after reranking
-        return memories.slice(0, limit);
+        // Blend similarity, rerank score, recency, importance, emotions and decisions
+        return rankMemoriesByRelevance(memories, settings).slice(0, limit);
       }
       // Fallback to plain if averaging fails
     }
 
     // Default: embed the queryText (may be original, LLM summary, or HyDE summary)
     console.log(`Memory retrieval started for query: "${queryText.substring(0,100)}..." (character: ${character.name})`);
-    const queryEmbedding = await generateEmbedding(queryText, settings);
+    const { embedding: queryEmbedding, model: queryModel } = await generateEmbeddingWithSource(queryText, settings);
     const provider = settings.memory?.embeddingProvider || settings.provider || 'nvidia';
+    // Keyword search uses the user's own words as well as any rewritten query
+    const lexicalQuery = queryText === currentMessage ? currentMessage : `${currentMessage}\n${queryText}`;
     if (!queryEmbedding || !Array.isArray(queryEmbedding) || queryEmbedding.length === 0) {
       console.error(`Failed to generate a valid query embedding for character ${character.name}. Provider ${provider} produced empty vector. Query: "${queryText}"`);
-      return [];
+      // Keyword search still works without embeddings
+      const keywordMatches = await _retrieveMemoriesWithEmbedding(null, character, limit, settings, lexicalQuery);
+      if (keywordMatches.length > 0) {
+        console.log(`Falling back to keyword search: ${keywordMatches.length} memories`);
+      }
+      return rankMemoriesByRelevance(keywordMatches, settings);
     }
     
-    let memories = await _retrieveMemoriesWithEmbedding(queryEmbedding, character, limit * 2); // Get more for reranking
+    let memories = await _retrieveMemoriesWithEmbedding(queryEmbedding, character, limit * 2, settings, lexicalQuery, queryModel); // Get more for reranking
     
     // Apply reranking if enabled
     try {
@@ -630,8 +391,8 @@ async function retrieveRelevantMemories(currentMessage, character, limit = 8, se
       console.warn('Reranking failed, using original vector similarity order:', error.message);
     }
     
-    // Return top results after reranking
-    return memories.slice(0, limit);
+    // Blend similarity, rerank score, recency, importance, emotions and decisions
+    return rankMemoriesByRelevance(memories, settings).slice(0, limit);
   } catch (error) {
     console.error(`Error retrieving memories for character ${character.name}:`, error);
     return [];
@@ -640,31 +401,70 @@ async function retrieveRelevantMemories(currentMessage, character, limit = 8, se
 
 
 
-// Helper for memory retrieval given a query embedding
-async function _retrieveMemoriesWithEmbedding(queryEmbedding, character, limit) {
-  const results = await queryItems(queryEmbedding, limit);
-  
-  // Filter by character in metadata
-  const filtered = results.filter(r => r.item?.metadata?.character === character.name);
+// Map a vector store item ({ metadata, pinned }) to the memory format used for retrieval
+function toRetrievedMemory(item, score) {
+  const meta = item?.metadata || {};
+  return {
+    id: meta.id,
+    summary: meta.summary,
+    character: meta.character,
+    timestamp: meta.timestamp,
+    importance: meta.importance,
+    emotions: meta.emotions,
+    decisions: meta.decisions,
+    relationships: meta.relationships,
+    topics: meta.topics,
+    plotElements: meta.plotElements,
+    participants: meta.participants,
+    rawMessages: meta.rawMessages,
+    type: meta.type, // Include type field from metadata
+    pinned: !!item?.pinned,
+    score
+  };
+}
+
+// Reciprocal rank fusion of the vector and keyword rankings: each list adds weight / (k + rank),
+// so a memory found by both comes first and either list alone can still surface a memory.
+function fuseRankings(vectorResults, lexicalResults, settings = {}) {
+  const k = Number(settings.memory?.rrfK) > 0 ? Number(settings.memory.rrfK) : 60;
+  const weights = settings.memory?.hybridWeights || {};
+  const vectorWeight = Number.isFinite(Number(weights.vector)) ? Number(weights.vector) : 1;
+  const lexicalWeight = Number.isFinite(Number(weights.lexical)) ? Number(weights.lexical) : 1;
+
+  const fused = new Map();
+  vectorResults.forEach((memory, index) => {
+    fused.set(memory.id, { ...memory, vectorRank: index + 1, fusedScore: vectorWeight / (k + index + 1) });
+  });
+  lexicalResults.forEach((memory, index) => {
+    const existing = fused.get(memory.id) || { ...memory, fusedScore: 0 };
+    existing.lexicalRank = memory.lexicalRank;
+    existing.lexicalScore = memory.lexicalScore;
+    existing.fusedScore += lexicalWeight / (k + index + 1);
+    fused.set(memory.id, existing);
+  });
+  return [...fused.values()].sort((a, b) => b.fusedScore - a.fusedScore);
+}
+
+// Helper for memory retrieval given a query embedding. With hybrid search on (the default) the
+// vector results are fused with BM25 keyword matches for lexicalQuery. Without an embedding only
+// the keyword matches are returned. embeddingModel (the model behind queryEmbedding) keeps vectors
+// from other embedding models out of the comparison.
+async function _retrieveMemoriesWithEmbedding(queryEmbedding, character, limit, settings = {}, lexicalQuery = '', embeddingModel = null) {
+  const hasEmbedding = Array.isArray(queryEmbedding) && queryEmbedding.length > 0;
+  // The vector query is scoped to this character, so other characters' memories never use up the k slots
+  const results = hasEmbedding ? await queryItems(queryEmbedding, limit, character.name, embeddingModel) : [];
   
   // Map to expected memory format
-  const parsedResults = filtered.map(result => {
-    const meta = result.item?.metadata || {};
-    return {
-      id: meta.id,
-      summary: meta.summary,
-      character: meta.character,
-      timestamp: meta.timestamp,
-      importance: meta.importance,
-      emotions: meta.emotions,
-      decisions: meta.decisions,
-      relationships: meta.relationships,
-      topics: meta.topics,
-      rawMessages: meta.rawMessages,
-      type: meta.type, // Include type field from metadata
-      score: result.score
-    };
-  });  
+  let parsedResults = results.map(result => toRetrievedMemory(result.item, result.score));
+
+  const hybridEnabled = settings.memory?.hybridSearch !== false;
+  if (lexicalQuery && (hybridEnabled || !hasEmbedding)) {
+    const lexicalResults = searchText(lexicalQuery, limit, character.name)
+      .map((result, index) => ({ ...toRetrievedMemory(result.item, null), lexicalRank: index + 1, lexicalScore: result.score }));
+    parsedResults = hasEmbedding
+      ? fuseRankings(parsedResults, lexicalResults, settings).slice(0, limit)
+      : lexicalResults;
+  }
   // Log any persona or firstMessage memories found
   const personaMemory = parsedResults.find(m => m.type === 'persona');
   const firstMsgMemory = parsedResults.find(m => m.type === 'firstMessage');
@@ -677,82 +477,128 @@ async function _retrieveMemoriesWithEmbedding(queryEmbedding, character, limit)
 }
 
 
-// Rank memories using weighted scores - THIS FUNCTION IS NO LONGER USED FOR RETRIEVAL RANKING
-/*
-function rankMemoriesByRelevance(memories, query, characterState, settings = {}) {
-    const weights = settings.memory?.weights || {
-        similarity: 10, // Vector similarity
-        recency: 5,     // How recent
-        importance: 8,  // Pre-calculated importance
-        emotionalSignificance: 7, // Emotional intensity
-        decisionRelevance: 4  // Contains decisions?
-    };
-
-    // Normalize weights to sum to 1
-    const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0);
-    const normalizedWeights = totalWeight > 0 ? Object.fromEntries(
-        Object.entries(weights).map(([key, value]) => [key, value / totalWeight])
-    ) : weights;
-
-    return memories.map(memory => {
-        // 1. Similarity (invert distance)
-        // LanceDB distance is L2 (Euclidean), smaller is better. Invert for score.
-        const similarityScore = memory._distance !== undefined ? (1 / (1 + memory._distance)) : 0;
-
-        // 2. Recency
-        const recencyScore = calculateRecencyBoost(memory.timestamp);
-
-        // 3. Importance (pre-calculated)
-        const importanceScore = memory.importance || 0.1;
+// Default weights (0-10) of the scoring stage; settings.memory.weights overrides any of them
+const DEFAULT_RANKING_WEIGHTS = {
+  similarity: 10,          // Vector / keyword retrieval rank
+  rerank: 8,               // Reranker score, when reranking ran
+  recency: 5,              // Exponential decay, see memory.recencyHalfLifeDays
+  importance: 5,           // Importance stored with the memory
+  emotionalSignificance: 7,
+  decisionRelevance: 6
+};
 
-        // 4. Emotional Significance
-        const emotionalScore = calculateEmotionalSignificance(memory, characterState);
+// Scale values to 0-1 within the candidate set (1 for the best); missing values stay null
+function normalizeScores(values, higherIsBetter = true) {
+  const present = values.filter(value => typeof value === 'number' && Number.isFinite(value));
+  if (present.length === 0) return values.map(() => null);
+  const min = Math.min(...present);
+  const max = Math.max(...present);
+  return values.map(value => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+    if (max === min) return 1;
+    return higherIsBetter ? (value - min) / (max - min) : (max - value) / (max - min);
+  });
+}
 
-        // 5. Decision Relevance
-        let decisionScore = 0;
-        try {
-            // Check if decisions array exists and isn't empty
-            const decisions = typeof memory.decisions === 'string' ? JSON.parse(memory.decisions) : memory.decisions;
-            if (Array.isArray(decisions) && decisions.length > 0) {
-                decisionScore = 0.8; // Boost if decisions present
-            }
-        } catch (e) {  }
-
-        // Combine scores
-        let finalScore = (similarityScore * normalizedWeights.similarity) +
-                         (recencyScore * normalizedWeights.recency) +
-                         (importanceScore * normalizedWeights.importance) +
-                         (emotionalScore * normalizedWeights.emotionalSignificance) +
-                         (decisionScore * normalizedWeights.decisionRelevance);
-
-        // Optional: Boost if memory topics overlap with query (simple check)
-        try {
-            const topics = typeof memory.topics === 'string' ? JSON.parse(memory.topics) : memory.topics;
-            if (Array.isArray(topics) && query && topics.some(topic => query.toLowerCase().includes(topic))) {
-                finalScore += 0.05;
-            }
-        } catch(e) {  }
-
-        return { ...memory, relevanceScore: finalScore };
-    })
-    .sort((a, b) => b.relevanceScore - a.relevanceScore); // Sort descending
+// Scoring stage after retrieval and reranking: blends retrieval similarity, rerank score, recency
+// decay, stored importance, emotional intensity and decisions with the user's weights (0-10,
+// settings.memory.weights). Every component is 0-1; components a memory has no value for (no
+// rerank score when reranking is off) are left out of its weighted average. Each memory gets a
+// scoreBreakdown and memories are returned best first.
+function rankMemoriesByRelevance(memories, settings = {}) {
+  if (!Array.isArray(memories) || memories.length === 0) return [];
+  const configured = settings.memory?.weights || {};
+  const weights = Object.fromEntries(Object.entries(DEFAULT_RANKING_WEIGHTS).map(([key, fallback]) => {
+    const value = Number(configured[key]);
+    return [key, Number.isFinite(value) && value >= 0 ? value : fallback];
+  }));
+  const halfLifeDays = Number(settings.memory?.recencyHalfLifeDays) > 0 ? Number(settings.memory.recencyHalfLifeDays) : 14;
+
+  // Hybrid results carry a fused rank score; vector-only results a distance (smaller is closer)
+  const similarity = memories.some(m => typeof m.fusedScore === 'number')
+    ? normalizeScores(memories.map(m => m.fusedScore))
+    : normalizeScores(memories.map(m => m.score), false);
+  const rerank = normalizeScores(memories.map(m => m.rerankScore));
+
+  return memories.map((memory, i) => {
+    const decisions = Array.isArray(memory.decisions) ? memory.decisions.length : 0;
+    const components = {
+      // Without any retrieval score (keyword fallback), keep the retrieval order
+      similarity: similarity[i] ?? 1 - i / memories.length,
+      rerank: rerank[i],
+      recency: calculateRecencyBoost(memory.timestamp, halfLifeDays),
+      importance: clampImportance(memory.importance, 0.5),
+      emotionalSignificance: calculateEmotionalSignificance(memory),
+      decisionRelevance: Math.min(1, decisions / 2)
+    };
+    let total = 0;
+    let weightSum = 0;
+    for (const [key, value] of Object.entries(components)) {
+      if (value === null) continue;
+      total += value * weights[key];
+      weightSum += weights[key];
+    }
+    const finalScore = weightSum > 0 ? total / weightSum : 0;
+    const round = value => (value === null ? null : Math.round(value * 1000) / 1000);
+    return {
+      ...memory,
+      relevanceScore: finalScore,
+      scoreBreakdown: {
+        ...Object.fromEntries(Object.entries(components).map(([key, value]) => [key, round(value)])),
+        weights,
+        final: round(finalScore)
+      }
+    };
+  }).sort((a, b) => b.relevanceScore - a.relevanceScore);
 }
-*/
 
 
 // Build the context prompt for the LLM
-function buildOptimizedContext(character, query, userProfile, relevantMemories, maxTokens = 6000, historyLength = 0, settings = {}) {
+function buildOptimizedContext(character, query, userProfile, relevantMemories, maxTokens = 6000, historyLength = 0, settings = {}, chatHistory = []) {
   // 1. Build the main part of the system prompt from character and user profile.
   let systemPromptContent = buildCharacterSystemPrompt(character, userProfile);
 
   // 2. Add current scenario to the system prompt if it's the first message.
-  if (character.currentScenario && historyLength === 0) {
+  // In a group scene the group's own scenario replaces the character's.
+  const groupContext = settings?.groupContext;
+  if (character.currentScenario && historyLength === 0 && !groupContext) {
     const userName = userProfile?.name || 'User';
     const replacedScenario = replaceUserPlaceholder(character.currentScenario, userName);
     const scenarioContent = `\n\nCURRENT SITUATION:\n${replacedScenario}`;
     systemPromptContent += scenarioContent;
   }
 
+  // 2b. Describe the rest of the cast when the character is speaking in a group chat.
+  if (groupContext) {
+    const userName = userProfile?.name || 'User';
+    const others = (groupContext.participants || [])
+      .map(p => `- ${p.name}${p.description ? `: ${replaceUserPlaceholder(p.description, userName)}` : ''}`)
+      .join('\n');
+    let groupSection = `\n\nGROUP SCENE${groupContext.name ? ` (${groupContext.name})` : ''}:\nYou are one of several characters in this conversation with ${userName}. Other participants:\n${others}`;
+    if (groupContext.scenario) {
+      groupSection += `\n\nCURRENT SITUATION:\n${replaceUserPlaceholder(groupContext.scenario, userName)}`;
+    }
+    groupSection += `\n\nLines from others appear as "Name: text". Write only ${character.name}'s next reply; never speak or act for the other participants or ${userName}.`;
+    systemPromptContent += groupSection;
+  }
+
+  // 2c. Describe how the character currently regards the people it has met.
+  if (settings?.memory?.relationshipContext !== false) {
+    const relationshipSection = formatRelationshipsForPrompt(character, userProfile?.name || 'User');
+    if (relationshipSection) {
+      systemPromptContent += `\n\n${relationshipSection}`;
+    }
+  }
+
+  // 2d. Add world info entries triggered by keys in the recent conversation (before memories).
+  const loreEntries = findTriggeredLoreEntries(character, chatHistory, query, estimateTokens);
+  if (loreEntries.length > 0) {
+    const userName = userProfile?.name || 'User';
+    const loreText = loreEntries.map(entry => replaceUserPlaceholder(entry.content, userName).trim()).join('\n\n');
+    systemPromptContent += `\n\nWORLD INFO:\n${loreText}`;
+    console.log(`World info: ${loreEntries.length} lorebook entries triggered`);
+  }
+
   // 3. Calculate the token budget for memories.
   const systemPromptTokens = estimateTokens(systemPromptContent);
   const queryTokens = estimateTokens(query);
@@ -762,23 +608,57 @@ function buildOptimizedContext(character, query, userProfile, relevantMemories,
   const memoryTokenBudget = Math.floor((maxTokens - systemPromptTokens - queryTokens - 100) * 0.7);
 
   // 4. Add memories to the system prompt unless memory creation is disabled.
+  // Pinned memories are always injected (first), even when retrieval is off.
+  const pinnedMemories = getPinnedMemories(character.name);
+  const pinnedIds = new Set(pinnedMemories.map(m => m.id));
   const memoryCreationDisabled = settings?.memory?.enableMemoryCreation === false;
   const retrievalDisabled = settings?.memory?.enableMemoryRetrieval === false;
   if (!memoryCreationDisabled && !retrievalDisabled) {
-    const memorySection = formatMemoriesForContext(relevantMemories, memoryTokenBudget > 0 ? memoryTokenBudget : 0);
+    // Condensed chapters and arcs come first as the "story so far"; they take at most
+    // memory.storySoFarTokens (default 800) and never more than 40% of the memory budget.
+    let episodicBudget = memoryTokenBudget;
+    if (settings?.memory?.storySoFar !== false) {
+      const storyBudget = Math.min(Number(settings?.memory?.storySoFarTokens) || 800, Math.floor(memoryTokenBudget * 0.4));
+      const story = storyBudget > 0 ? formatStorySoFar(getStorySoFar(character.name), storyBudget) : { text: '', ids: [] };
+      if (story.text) {
+        systemPromptContent += `\n\n${story.text.trim()}`;
+        episodicBudget -= estimateTokens(story.text);
+        const storyIds = new Set(story.ids);
+        relevantMemories = relevantMemories.filter(m => !storyIds.has(m.id));
+        console.log(`Story so far: ${story.ids.length} chapters/arcs`);
+      }
+    }
+
+    // Known entities and facts from the knowledge graph, those named in the recent conversation
+    // first; they take at most memory.knownFactsTokens (default 400) of what is left.
+    if (settings?.memory?.knownFacts !== false && episodicBudget > 0) {
+      const factsBudget = Math.min(Number(settings?.memory?.knownFactsTokens) || 400, Math.floor(episodicBudget * 0.3));
+      const known = buildKnownFactsSection(character.name, chatHistory, query, factsBudget, estimateTokens);
+      if (known.text) {
+        systemPromptContent += `\n\n${known.text.trim()}`;
+        episodicBudget -= estimateTokens(known.text);
+        console.log(`Known facts: ${known.entityCount} entities`);
+      }
+    }
+
+    relevantMemories = [...pinnedMemories, ...relevantMemories.filter(m => !pinnedIds.has(m.id))];
+    const memorySection = formatMemoriesForContext(relevantMemories, episodicBudget > 0 ? episodicBudget : 0);
     const memoryTokenCount = estimateTokens(memorySection);
 
     // Debug logging to track memory inclusion
-    console.log(`Memory context: ${relevantMemories.length} memories, ${memoryTokenCount} tokens (budget: ${memoryTokenBudget}) (creationDisabled=${memoryCreationDisabled} retrievalDisabled=${retrievalDisabled})`);
+    console.log(`Memory context: ${relevantMemories.length} memories, ${memoryTokenCount} tokens (budget: ${episodicBudget}) (creationDisabled=${memoryCreationDisabled} retrievalDisabled=${retrievalDisabled})`);
     if (relevantMemories.length > 0) {
       const hasMemoryContent = /\u2022|\*|\d+\s*[:\-]/.test(memorySection) || (memorySection && memorySection.trim() !== "MEMORIES: No previous memories relevant to current conversation.");
-      if (!hasMemoryContent && memoryTokenBudget > 0) {
+      if (!hasMemoryContent && episodicBudget > 0) {
         console.warn("Memory retrieval succeeded but no memories were formatted, possibly due to a small token budget.");
       }
     }
 
     // Append the memory section to the system prompt.
     systemPromptContent += `\n\n${memorySection}`;
+  } else if (pinnedMemories.length > 0) {
+    systemPromptContent += `\n\n${formatMemoriesForContext(pinnedMemories, memoryTokenBudget > 0 ? memoryTokenBudget : 0)}`;
+    console.log(`Memory context: ${pinnedMemories.length} pinned memories only (creationDisabled=${memoryCreationDisabled} retrievalDisabled=${retrievalDisabled}).`);
   } else {
     console.log(`Skipping memory section (creationDisabled=${memoryCreationDisabled} retrievalDisabled=${retrievalDisabled}).`);
   }
@@ -801,6 +681,11 @@ function buildCharacterSystemPrompt(character, userProfile) {
 
 	// The user wants the system prompt to ONLY be the content of the persona field.
 	// All other instructions are assumed to be part of the user-defined persona.
+	// Example dialogue (usually from imported character cards) is the one addition.
+	if (character.exampleMessages && character.exampleMessages.trim().length > 0) {
+		const examples = replaceUserPlaceholder(character.exampleMessages, userName);
+		persona += `\n\nEXAMPLE DIALOGUE (style reference only, not part of the conversation):\n${examples.trim()}`;
+	}
 	return persona;
 }
 
@@ -822,12 +707,10 @@ function formatMemoriesForContext(memories, maxTokens) {
   let currentTokenCount = estimateTokens(formattedMemories);
   let memoryCount = 0;
 
-  // Prioritize memories with decisions first
-  memories.sort((a, b) => {
-    const aHasDecisions = a.decisions && a.decisions.length > 0 ? 1 : 0;
-    const bHasDecisions = b.decisions && b.decisions.length > 0 ? 1 : 0;
-    return bHasDecisions - aHasDecisions || b.importance - a.importance;
-  });
+  // Pinned memories first, then the ranking order (relevanceScore from rankMemoriesByRelevance),
+  // so the user's weights decide what fits in the budget. Unscored memories keep their place.
+  const scoreOf = memory => (typeof memory.relevanceScore === 'number' ? memory.relevanceScore : -1);
+  memories.sort((a, b) => (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) || scoreOf(b) - scoreOf(a));
 
   for (const memory of memories) {
     // Format timestamp nicely
@@ -933,15 +816,16 @@ async function getMemoryTable() {
   return true;
 }
 
-// Cache the LLM provider factory import
-let llmProviderFactoryInstance = null;
-async function getLLMProviderFactory() {
-  if (!llmProviderFactoryInstance) {
+// Cache the LLM provider lookup import
+let getProviderHandlerInstance = null;
+async function getLLMProvider(providerName, settings = {}, characterName = null) {
+  if (!getProviderHandlerInstance) {
     // Dynamic import to avoid potential circular dependencies
-    const { llmProviderFactory } = await import('./llm-providers.js');
-    llmProviderFactoryInstance = llmProviderFactory;
+    const { getProviderHandler } = await import('./llm-providers.js');
+    getProviderHandlerInstance = getProviderHandler;
   }
-  return llmProviderFactoryInstance;
+  // Usage ledger rows of these calls are labelled as memory work for the character
+  return getProviderHandlerInstance(providerName, settings, { character: characterName, purpose: 'memory' });
 }
 
 // --- LLM-based Memory Analysis --
@@ -1099,17 +983,18 @@ function extractFallbackAnalysis(rawResponse) {
 
 // Analyze a conversation chunk using LLM
 async function analyzeConversationChunk(messages, characterState, settings = {}) {
-  // Cache the LLM provider factory import for use
-  const llmProviderFactory = await getLLMProviderFactory();
   const userName = settings?.user?.name || 'User';
   
-  // Format the conversation text
+  // Format the conversation text (group chats pass an explicit speaker name per message).
+  // Model reasoning is left out unless settings.memory.includeReasoningInAnalysis is set.
+  const includeReasoning = settings.memory?.includeReasoningInAnalysis === true;
   const conversationText = messages.map(m => 
-    `${m.role === 'user' ? userName : characterState.name}: ${m.content}`).join('\n');
+    `${m.name || (m.role === 'user' ? userName : characterState.name)}: ${messageTextForPrompt(m, includeReasoning)}`).join('\n');
   
   // Use memory analysis provider/model if set, otherwise fallback to main
   const analysisProvider = settings.memory?.analysisProvider || settings.provider;
   const analysisModel = settings.memory?.analysisModel || settings.model;
+  const relationshipAxes = getRelationshipAxes(characterState);
   // Create analysis prompt optimized for reasoning models and reranker compatibility
   const analysisPrompt = `
     You are an objective conversation analyst tasked with creating memory summaries for a fictional roleplay scenario. Analyze this conversation chunk objectively and create a factual summary suitable for semantic search and retrieval systems.
@@ -1140,9 +1025,12 @@ async function analyzeConversationChunk(messages, characterState, settings = {})
       "topics": ["Semantic topics for retrieval", "Themes", "Character traits", "Plot elements"],
       "importance": 8,
       "relationshipDelta": 0.3,
+      "relationshipChanges": [{"participant": "${userName}", "sentiment": 0.1, "axes": {"${relationshipAxes[0]}": 0.2}, "reason": "Why ${characterState.name}'s feelings changed"}],
       "conversationDrivers": ["Key moments that advanced the roleplay", "Significant revelations or interactions"],
       "participants": ["${characterState.name}", "${userName}", "Any NPCs mentioned"],
-      "plotElements": ["Story developments", "Setting details", "Character revelations"]
+      "plotElements": ["Story developments", "Setting details", "Character revelations"],
+      "entities": [{"name": "Named person, place, item or faction", "type": "person", "description": "What is now known about it"}],
+      "facts": [{"subject": "Entity name", "predicate": "lives in", "object": "Another entity or a value"}]
     }
     
     CRITICAL REQUIREMENTS:
@@ -1152,10 +1040,13 @@ async function analyzeConversationChunk(messages, characterState, settings = {})
     - Numbers must NOT have + signs (use 0.3, not +0.3)
     - "importance" must be integer 1-10 (rate higher for significant plot/character development)
     - "relationshipDelta" must be decimal -1.0 to +1.0 (change in relationship dynamics)
+    - "relationshipChanges" lists how ${characterState.name}'s feelings toward each other participant (${userName} and any NPCs) changed in this chunk; "sentiment" and the "axes" values are changes from -0.5 to 0.5; "axes" may only use: ${relationshipAxes.join(', ')}; leave out participants whose relationship did not change
     - All arrays must contain strings, no trailing commas, no comments in JSON
     - Include ALL active participants in "participants" array, not just the main character
     - "topics" should include semantic keywords that would help retrieve this memory later
     - "plotElements" should capture story progression, world-building, and character arcs
+    - "entities" lists every named person, place, item or faction that appears; "type" must be one of person, place, item, faction, other
+    - "facts" lists durable facts stated or established in this chunk (names, ages, locations, ownership, allegiances), not passing moods; use [] if there are none
     
     Rate importance highest (8-10) for: major plot developments, significant character decisions, relationship milestones, world-building moments, or dramatic revelations.
     Rate importance lowest (1-3) for: casual conversation, small talk, or minor interactions without lasting impact.
@@ -1175,6 +1066,7 @@ async function analyzeConversationChunk(messages, characterState, settings = {})
     provider: analysisProvider,
     apiKey: settings.apiKeys?.[analysisProvider],
     apiKeys: settings.apiKeys, // Include all API keys for fallback
+    mock: settings.mock,
     // Only include necessary settings, not the full spread that includes settings.model
     topP: settings.topP,
     maxTokens: settings.maxTokens,
@@ -1190,7 +1082,7 @@ async function analyzeConversationChunk(messages, characterState, settings = {})
   
   try {
     // Get the provider function and make the LLM call
-    const provider = llmProviderFactory[analysisProvider];
+    const provider = await getLLMProvider(analysisProvider, settings, characterState.name);
     if (!provider) {
       console.error(`Unsupported LLM provider specified for analysis: ${analysisProvider}`);
       return null;
@@ -1342,6 +1234,15 @@ async function analyzeConversationChunk(messages, characterState, settings = {})
     if (!Array.isArray(analysisResult.conversationDrivers)) {
       analysisResult.conversationDrivers = [];
     }
+    if (!Array.isArray(analysisResult.entities)) {
+      analysisResult.entities = [];
+    }
+    if (!Array.isArray(analysisResult.facts)) {
+      analysisResult.facts = [];
+    }
+    if (!Array.isArray(analysisResult.relationshipChanges)) {
+      analysisResult.relationshipChanges = [];
+    }
     
     return analysisResult;
   } catch (error) {
@@ -1367,6 +1268,523 @@ process.on('exit', () => {
   }
 });
 
+// --- Memory browser: list, create, edit, pin and delete single memories ---
+
+// Stored item (metadata + pinned flag) -> memory object. Journal entries are stored without a type.
+function itemToMemory(item) {
+  const meta = item.metadata || {};
+  return {
+    id: meta.id,
+    summary: meta.summary,
+    character: meta.character,
+    timestamp: meta.timestamp,
+    importance: meta.importance,
+    emotions: meta.emotions,
+    decisions: meta.decisions,
+    relationships: meta.relationships,
+    topics: meta.topics,
+    plotElements: meta.plotElements,
+    participants: meta.participants,
+    rawMessages: meta.rawMessages,
+    type: meta.type || 'journal',
+    editedAt: meta.editedAt,
+    chapterId: meta.chapterId,
+    arcId: meta.arcId,
+    period: meta.period,
+    sourceCount: Array.isArray(meta.sourceIds) ? meta.sourceIds.length : undefined,
+    pinned: !!item.pinned
+  };
+}
+
+function normalizeTopics(topics) {
+  if (typeof topics === 'string') topics = topics.split(',');
+  if (!Array.isArray(topics)) return [];
+  return topics.map(topic => String(topic).trim()).filter(Boolean);
+}
+
+function clampImportance(value, fallback) {
+  const importance = Number(value);
+  return Number.isFinite(importance) ? Math.min(1, Math.max(0, importance)) : fallback;
+}
+
+// Page through a character's memories, newest first (filters: see listItems in vector-store-sqlite-vec.js).
+// Returns { memories, total }, or null on error.
+function listMemories(characterName, filters = {}, limit = 50, offset = 0) {
+  try {
+    const { items, total } = listItems(characterName, filters, limit, offset);
+    return { memories: items.map(itemToMemory), total };
+  } catch (error) {
+    console.error(`Error listing memories for ${characterName}:`, error);
+    return null;
+  }
+}
+
+// Pinned memories of a character; buildOptimizedContext always injects these
+function getPinnedMemories(characterName) {
+  try {
+    return listPinnedItems(characterName).map(itemToMemory);
+  } catch (error) {
+    console.error(`Error loading pinned memories for ${characterName}:`, error);
+    return [];
+  }
+}
+
+// Add a memory written by the user. fields: summary (required), importance (0-1), topics, pinned
+async function createMemory(characterName, fields = {}, settings = {}) {
+  const summary = typeof fields.summary === 'string' ? fields.summary.trim() : '';
+  if (!summary) {
+    console.error('Validation Error: Memory summary is required.');
+    return null;
+  }
+  try {
+    const { embedding: vector, provider, model } = await generateEmbeddingWithSource(summary, settings);
+    if (!Array.isArray(vector) || vector.length === 0) {
+      console.error(`Failed to embed new memory for ${characterName}.`);
+      return null;
+    }
+    const metadata = {
+      id: uuidv4(),
+      summary,
+      character: characterName,
+      timestamp: Date.now(),
+      importance: clampImportance(fields.importance, 0.5),
+      topics: normalizeTopics(fields.topics),
+      type: 'manual'
+    };
+    await insertItem({ vector, metadata, provider, model });
+    if (fields.pinned === true) updateItem(characterName, metadata.id, { pinned: true });
+    return itemToMemory(getItem(characterName, metadata.id));
+  } catch (error) {
+    console.error(`Error creating memory for ${characterName}:`, error);
+    return null;
+  }
+}
+
+// Edit a memory (summary, importance, topics, pinned). A changed summary is re-embedded so
+// retrieval matches the corrected text. Returns the updated memory, or null if it does not
+// exist, the summary is empty or re-embedding failed.
+async function updateMemory(characterName, memoryId, changes = {}, settings = {}) {
+  try {
+    const item = getItem(characterName, memoryId);
+    if (!item) {
+      console.error(`Memory ${memoryId} not found for ${characterName}`);
+      return null;
+    }
+
+    const metadata = { ...item.metadata };
+    let vector = null;
+    let source = {};
+    let edited = false;
+    if (changes.summary !== undefined) {
+      const summary = typeof changes.summary === 'string' ? changes.summary.trim() : '';
+      if (!summary) {
+        console.error('Validation Error: Memory summary cannot be empty.');
+        return null;
+      }
+      if (summary !== metadata.summary) {
+        const { embedding, ...embeddingSource } = await generateEmbeddingWithSource(summary, settings);
+        vector = embedding;
+        source = embeddingSource;
+        if (!Array.isArray(vector) || vector.length === 0) {
+          console.error(`Failed to re-embed memory ${memoryId} for ${characterName}.`);
+          return null;
+        }
+        metadata.summary = summary;
+        edited = true;
+      }
+    }
+    if (changes.importance !== undefined) {
+      metadata.importance = clampImportance(changes.importance, metadata.importance);
+      edited = true;
+    }
+    if (changes.topics !== undefined) {
+      metadata.topics = normalizeTopics(changes.topics);
+      edited = true;
+    }
+    if (edited) metadata.editedAt = Date.now();
+
+    updateItem(characterName, memoryId, {
+      metadata: edited ? metadata : null,
+      vector,
+      provider: source.provider,
+      model: source.model,
+      pinned: typeof changes.pinned === 'boolean' ? changes.pinned : undefined
+    });
+    return itemToMemory(getItem(characterName, memoryId));
+  } catch (error) {
+    console.error(`Error updating memory ${memoryId} for ${characterName}:`, error);
+    return null;
+  }
+}
+
+// Delete one memory (and its vector). Returns false if it does not exist.
+// Relationship history and knowledge learned from it no longer name it as their source.
+function deleteMemory(characterName, memoryId) {
+  try {
+    if (!deleteItem(characterName, memoryId)) return false;
+    repointRelationshipHistory(memoryId, null);
+    repointKnowledgeSource(characterName, memoryId, null);
+    return true;
+  } catch (error) {
+    console.error(`Error deleting memory ${memoryId} for ${characterName}:`, error);
+    return false;
+  }
+}
+
+// Re-embedding after the embedding model changes. Memories whose vector came from another model
+// (or from an unrecorded one) are embedded again from their summary. Runs as a 'reembed' job of
+// the background queue (see server.js), which keeps its progress.
+const REEMBED_BATCH_SIZE = 25;
+const REEMBED_MAX_CONSECUTIVE_FAILURES = 3; // failed batches in a row
+
+// Which embeddings the stored memories use and how many are stale for the current settings
+function getEmbeddingIndexStatus(settings = {}) {
+  const target = getEmbeddingTarget(settings);
+  return {
+    target,
+    stale: countStaleItems(target.model),
+    unrecorded: countUnrecordedItems(),
+    embeddings: getEmbeddingStats()
+  };
+}
+
+// Memories stored before embedding models were recorded: the ones whose vector has the dimension of
+// the configured model are taken to be from that model, so they stay searchable without a re-embed.
+// The dimension comes from embedding a short probe text (cached like any other embedding), since
+// some models have a configurable size. Returns { adopted, unrecorded (left, with another
+// dimension), dimension (null when the model could not be reached) }.
+async function adoptUnrecordedEmbeddings(settings = {}) {
+  if (countUnrecordedItems() === 0) return { adopted: 0, unrecorded: 0, dimension: null };
+  const target = getEmbeddingTarget(settings);
+  const targetSettings = { ...settings, memory: { ...settings.memory, embeddingFallbackOrder: [] } };
+  const { embeddings, model } = await embedTexts(['embedding dimension probe'], targetSettings);
+  const dimension = model === target.model && embeddings[0]?.length > 0 ? embeddings[0].length : null;
+  const adopted = dimension ? adoptUnrecordedItems(dimension, target) : 0;
+  if (adopted > 0) console.log(`Recorded ${target.provider}/${target.model} for ${adopted} memories with ${dimension}-dimensional vectors`);
+  return { adopted, unrecorded: countUnrecordedItems(), dimension };
+}
+
+// Re-embed the stale memories (optionally of one character) with the configured model.
+// Stops early when signal is aborted. Progress ({ provider, model, characterName, total, done, failed })
+// goes to reportProgress after every batch and is also the return value. Throws when the provider
+// keeps failing, so the job is retried later; memories done so far stay done.
+async function reembedStaleMemories(settings = {}, characterName = null, { signal = null, reportProgress = null } = {}) {
+  const { provider: targetProvider, model: targetModel } = getEmbeddingTarget(settings);
+  const progress = {
+    provider: targetProvider,
+    model: targetModel,
+    characterName,
+    total: countStaleItems(targetModel, characterName),
+    done: 0,
+    failed: 0
+  };
+  console.log(`Re-embedding ${progress.total} memories with ${targetProvider}/${targetModel}${characterName ? ` for ${characterName}` : ''}`);
+  reportProgress?.({ ...progress });
+
+  // Remote APIs get a short pause between calls; local and mock embeddings run flat out
+  const isLocal = ['mock', 'ollama', 'koboldcpp'].includes(targetProvider);
+  const delayMs = settings.memory?.reembedDelayMs ?? (isLocal ? 0 : 250);
+  // A vector from a fallback provider would only be stale again, so the chain is cut to the target
+  const targetSettings = { ...settings, memory: { ...settings.memory, embeddingFallbackOrder: [] } };
+  let cursor = 0;
+  let consecutiveFailures = 0;
+
+  while (!signal?.aborted) {
+    const batch = listStaleItems(targetModel, cursor, REEMBED_BATCH_SIZE, characterName);
+    if (batch.length === 0) break;
+    cursor = batch[batch.length - 1].rowid;
+    const items = batch.filter(item => item.metadata.summary);
+    progress.failed += batch.length - items.length;
+
+    // The whole batch goes to the provider in one request
+    const { embeddings, provider, model } = items.length > 0
+      ? await embedTexts(items.map(item => item.metadata.summary), targetSettings)
+      : { embeddings: [] };
+    if (signal?.aborted) break;
+    if (items.length > 0 && embeddings.length === items.length && model === targetModel) {
+      items.forEach((item, i) => {
+        if (replaceEmbedding(item.rowid, embeddings[i], { provider, model })) progress.done++;
+        else progress.failed++;
+      });
+      consecutiveFailures = 0;
+    } else if (items.length > 0) {
+      progress.failed += items.length;
+      consecutiveFailures++;
+      if (consecutiveFailures >= REEMBED_MAX_CONSECUTIVE_FAILURES) {
+        reportProgress?.({ ...progress });
+        throw new Error(`${targetProvider} did not return ${targetModel} embeddings for ${consecutiveFailures} batches in a row`);
+      }
+    }
+    reportProgress?.({ ...progress });
+    if (delayMs > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+  }
+
+  console.log(`Re-embedding ${signal?.aborted ? 'cancelled' : 'done'}: ${progress.done} updated, ${progress.failed} failed of ${progress.total}`);
+  return progress;
+}
+
+// --- Memory consolidation: merge near-duplicates, roll old entries up into chapters and arcs ---
+// Journal entries stay searchable after a rollup; they get a chapterId (chapters get an arcId) so
+// they are never rolled up twice. Arcs plus the chapters not yet in an arc form the "story so far"
+// tier of buildOptimizedContext. Settings (settings.memory.consolidation, all optional):
+//   enabled, dedupThreshold (cosine similarity), dedupWindow (earlier entries each entry is compared with),
+//   keepRecent (newest entries never rolled up), chapterSize (entries per chapter),
+//   arcSize (chapters per arc), keepRecentChapters (newest chapters never rolled into an arc)
+const CONSOLIDATION_DEFAULTS = {
+  enabled: true,
+  dedupThreshold: 0.92,
+  dedupWindow: 50,
+  keepRecent: 12,
+  chapterSize: 8,
+  arcSize: 5,
+  keepRecentChapters: 2
+};
+const consolidationRunning = new Set(); // character names
+
+function getConsolidationConfig(settings = {}) {
+  const configured = settings.memory?.consolidation || {};
+  // 0 is a valid setting for keepRecent and keepRecentChapters, so only a missing value uses the default
+  const count = (value, fallback, min) => {
+    const parsed = parseInt(value, 10);
+    return Math.max(min, Number.isFinite(parsed) ? parsed : fallback);
+  };
+  const threshold = Number(configured.dedupThreshold);
+  return {
+    enabled: configured.enabled !== false,
+    dedupThreshold: threshold > 0 && threshold <= 1 ? threshold : CONSOLIDATION_DEFAULTS.dedupThreshold,
+    dedupWindow: count(configured.dedupWindow, CONSOLIDATION_DEFAULTS.dedupWindow, 1),
+    keepRecent: count(configured.keepRecent, CONSOLIDATION_DEFAULTS.keepRecent, 0),
+    chapterSize: count(configured.chapterSize, CONSOLIDATION_DEFAULTS.chapterSize, 2),
+    arcSize: count(configured.arcSize, CONSOLIDATION_DEFAULTS.arcSize, 2),
+    keepRecentChapters: count(configured.keepRecentChapters, CONSOLIDATION_DEFAULTS.keepRecentChapters, 0)
+  };
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return dot / (Math.sqrt(na) * Math.sqrt(nb) || 1);
+}
+
+// Union of two string lists, keeping the first spelling of case-insensitive repeats
+function mergeLists(a = [], b = []) {
+  const seen = new Set();
+  return [...(Array.isArray(a) ? a : []), ...(Array.isArray(b) ? b : [])].filter(value => {
+    const key = String(value).trim().toLowerCase();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Most frequent values across several lists (e.g. topics of the entries in a chapter)
+function topValues(lists, limit) {
+  const counts = new Map();
+  for (const list of lists) {
+    for (const value of mergeLists(list)) {
+      const key = String(value).trim().toLowerCase();
+      const entry = counts.get(key) || { value, count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    }
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count).slice(0, limit).map(entry => entry.value);
+}
+
+// The kept entry takes over the other one's details; raw messages stay in chronological order
+function mergeMemoryMetadata(keep, drop) {
+  const [older, newer] = (drop.timestamp || 0) < (keep.timestamp || 0) ? [drop, keep] : [keep, drop];
+  return {
+    ...keep,
+    importance: Math.max(keep.importance || 0, drop.importance || 0),
+    topics: mergeLists(keep.topics, drop.topics),
+    decisions: mergeLists(keep.decisions, drop.decisions),
+    plotElements: mergeLists(keep.plotElements, drop.plotElements),
+    participants: mergeLists(keep.participants, drop.participants),
+    rawMessages: [...(older.rawMessages || []), ...(newer.rawMessages || [])],
+    mergedFrom: [...(keep.mergedFrom || []), drop.id, ...(drop.mergedFrom || [])],
+    chapterId: keep.chapterId || drop.chapterId
+  };
+}
+
+// Merge near-duplicate journal entries of a character. Each entry is compared with the
+// dedupWindow entries before it that share its embedding model. Without fullScan only entries
+// that are not in a chapter yet are looked at. Returns the number of entries merged away.
+function mergeDuplicateMemories(characterName, config, fullScan = false) {
+  let entries = listItemsWithVectors(characterName, ['journal']);
+  if (!fullScan) entries = entries.filter(entry => !entry.metadata.chapterId);
+  const removed = new Set();
+  let merged = 0;
+
+  for (let i = 1; i < entries.length; i++) {
+    for (let j = Math.max(0, i - config.dedupWindow); j < i && !removed.has(i); j++) {
+      if (removed.has(j)) continue;
+      const current = entries[i];
+      const other = entries[j];
+      if (current.model !== other.model || current.vector.length !== other.vector.length) continue;
+      if (current.pinned && other.pinned) continue;
+      if (cosineSimilarity(current.vector, other.vector) < config.dedupThreshold) continue;
+
+      // Keep the pinned entry, else the more important one, else the newer one
+      const keepCurrent = current.pinned || (!other.pinned && (current.metadata.importance || 0) >= (other.metadata.importance || 0));
+      const [keep, drop, dropIndex] = keepCurrent ? [current, other, j] : [other, current, i];
+      const metadata = mergeMemoryMetadata(keep.metadata, drop.metadata);
+      if (!updateItem(characterName, keep.metadata.id, { metadata })) continue;
+      keep.metadata = metadata;
+      deleteItem(characterName, drop.metadata.id);
+      // What the dropped entry caused is now attributed to the entry it was merged into
+      repointRelationshipHistory(drop.metadata.id, keep.metadata.id);
+      repointKnowledgeSource(characterName, drop.metadata.id, keep.metadata.id);
+      removed.add(dropIndex);
+      merged++;
+    }
+  }
+  return merged;
+}
+
+// Ask the analysis model for one summary of several consecutive memories; null on failure
+async function summarizeMemories(characterName, level, items, settings = {}) {
+  const analysisProvider = settings.memory?.analysisProvider || settings.provider;
+  const analysisModel = settings.memory?.analysisModel || settings.model;
+  const provider = await getLLMProvider(analysisProvider, settings, characterName);
+  if (!provider) {
+    console.error(`Unsupported LLM provider specified for consolidation: ${analysisProvider}`);
+    return null;
+  }
+  const entries = items.map((item, i) => `${i + 1}. ${item.metadata.summary}`).join('\n');
+  const prompt = `You are condensing the memory of "${characterName}" in a long fictional roleplay. Below are ${items.length} consecutive ${level === 'arc' ? 'chapter summaries' : 'memory summaries'} in chronological order.
+Write one ${level === 'arc' ? '4-6' : '3-5'} sentence summary of this ${level} of the story: the key events, decisions, how relationships changed and any threads left open. Write plain prose in the past tense, with no lists, headings or commentary.
+
+${entries}`;
+  try {
+    const rawResponse = await provider([{ role: 'user', content: prompt }], {
+      temperature: 0.2,
+      model: analysisModel,
+      provider: analysisProvider,
+      apiKey: settings.apiKeys?.[analysisProvider],
+      apiKeys: settings.apiKeys,
+      mock: settings.mock
+    });
+    const summary = String(rawResponse || '').replace(/<think(?:ing)?>[\s\S]*?<\/think(?:ing)?>/gi, '').trim();
+    return summary || null;
+  } catch (error) {
+    console.error(`Failed to summarize ${level} for ${characterName}:`, error.message || error);
+    return null;
+  }
+}
+
+// Store a chapter or arc summarizing `items` and mark the items as rolled up. Returns its metadata or null.
+async function rollUpMemories(characterName, level, items, settings = {}) {
+  const summary = await summarizeMemories(characterName, level, items, settings);
+  if (!summary) return null;
+  const { embedding: vector, provider, model } = await generateEmbeddingWithSource(summary, settings);
+  if (!Array.isArray(vector) || vector.length === 0) {
+    console.error(`Failed to embed ${level} summary for ${characterName}.`);
+    return null;
+  }
+
+  const sources = items.map(item => item.metadata);
+  const timestamps = sources.map(meta => meta.timestamp || 0);
+  const metadata = {
+    id: uuidv4(),
+    summary,
+    character: characterName,
+    timestamp: Math.max(...timestamps),
+    importance: Math.max(...sources.map(meta => meta.importance || 0)),
+    topics: topValues(sources.map(meta => meta.topics), 8),
+    plotElements: topValues(sources.map(meta => meta.plotElements), 10),
+    type: level,
+    sourceIds: sources.map(meta => meta.id),
+    period: { start: Math.min(...timestamps), end: Math.max(...timestamps) }
+  };
+  await insertItem({ vector, metadata, provider, model });
+  const key = level === 'arc' ? 'arcId' : 'chapterId';
+  for (const meta of sources) {
+    updateItem(characterName, meta.id, { metadata: { ...meta, [key]: metadata.id } });
+  }
+  return metadata;
+}
+
+// Roll the oldest `size`-sized groups of `items` up, leaving the newest `keep` items alone
+async function rollUpGroups(characterName, level, items, size, keep, settings) {
+  const rollable = items.slice(0, Math.max(0, items.length - keep));
+  let created = 0;
+  for (let start = 0; start + size <= rollable.length; start += size) {
+    if (!await rollUpMemories(characterName, level, rollable.slice(start, start + size), settings)) break;
+    created++;
+  }
+  return created;
+}
+
+// Run one consolidation pass for a character. fullScan also deduplicates entries that are
+// already in a chapter. Returns { merged, chapters, arcs }, or null if a pass is already running.
+async function consolidateCharacterMemories(characterName, settings = {}, { fullScan = false } = {}) {
+  if (consolidationRunning.has(characterName)) return null;
+  consolidationRunning.add(characterName);
+  try {
+    const config = getConsolidationConfig(settings);
+    const result = { merged: mergeDuplicateMemories(characterName, config, fullScan), chapters: 0, arcs: 0 };
+
+    const openEntries = listItemsWithVectors(characterName, ['journal']).filter(item => !item.metadata.chapterId);
+    result.chapters = await rollUpGroups(characterName, 'chapter', openEntries, config.chapterSize, config.keepRecent, settings);
+
+    const openChapters = listItemsWithVectors(characterName, ['chapter']).filter(item => !item.metadata.arcId);
+    result.arcs = await rollUpGroups(characterName, 'arc', openChapters, config.arcSize, config.keepRecentChapters, settings);
+
+    if (result.merged || result.chapters || result.arcs) {
+      console.log(`Consolidated memories of ${characterName}: ${result.merged} merged, ${result.chapters} chapters, ${result.arcs} arcs`);
+    }
+    return result;
+  } finally {
+    consolidationRunning.delete(characterName);
+  }
+}
+
+// Queue a consolidation pass after a new journal entry as a background 'consolidate' job (handled
+// in server.js). It shares the character's memory lane, so it runs after the journal entry that
+// queued it and never alongside recycling. One queued pass covers any number of new entries.
+function scheduleMemoryConsolidation(characterName, settings = {}) {
+  if (!getConsolidationConfig(settings).enabled) return null;
+  const queued = findActiveJob('consolidate', characterName);
+  if (queued && queued.status === 'queued') return queued;
+  return enqueueJob('consolidate', { characterName }, { character: characterName });
+}
+
+// Arcs, then the chapters not yet in an arc, oldest first. Synchronous so prompt building can use it.
+function getStorySoFar(characterName) {
+  try {
+    const arcs = listItemsWithVectors(characterName, ['arc']);
+    const chapters = listItemsWithVectors(characterName, ['chapter']).filter(item => !item.metadata.arcId);
+    return [...arcs, ...chapters].map(item => itemToMemory(item));
+  } catch (error) {
+    console.error(`Error loading story summary for ${characterName}:`, error);
+    return [];
+  }
+}
+
+// "Story so far" section within maxTokens. The newest parts win when not everything fits.
+// Returns { text, ids } (text is '' when nothing fits).
+function formatStorySoFar(parts, maxTokens) {
+  const header = 'STORY SO FAR (condensed from earlier events, oldest first):\n';
+  let tokens = estimateTokens(header);
+  const lines = [];
+  const ids = [];
+  for (let i = parts.length - 1; i >= 0; i--) {
+    const part = parts[i];
+    const line = `• ${part.type === 'arc' ? 'Arc' : 'Chapter'}, ${getTimeAgo(new Date(part.period?.start || part.timestamp)).toLowerCase()}: ${part.summary}\n`;
+    const lineTokens = estimateTokens(line);
+    if (tokens + lineTokens > maxTokens) break;
+    lines.unshift(line);
+    ids.push(part.id);
+    tokens += lineTokens;
+  }
+  return { text: lines.length > 0 ? header + lines.join('') : '', ids };
+}
+
 // Clear all memories for a specific character
 async function clearCharacterMemories(characterName) {
   try {
@@ -1377,6 +1795,7 @@ async function clearCharacterMemories(characterName) {
     
   const { deleteItemsByCharacter } = await import('./vector-store-sqlite-vec.js');
   const deletedCount = await deleteItemsByCharacter(characterName);
+    clearKnowledge(characterName);
     
     console.log(`Cleared ${deletedCount} memory entries for character: ${characterName}`);
     return true;
@@ -1400,11 +1819,12 @@ async function recycleCharacterMemories(characterName, chatHistory, character, s
     
     reportProgress('clearing', 'Clearing existing memories...', 0, 1);
     
-    // Step 1: Clear all existing memories
+    // Step 1: Clear all existing memories (and the relationship history pointing at them)
     const cleared = await clearCharacterMemories(characterName);
     if (!cleared) {
       return { success: false, error: 'Failed to clear existing memories' };
     }
+    clearRelationshipHistory(character.id);
     
     console.log(`Cleared existing memories for ${characterName}`);
     reportProgress('cleared', 'Existing memories cleared', 1, 1);
@@ -1438,33 +1858,32 @@ async function recycleCharacterMemories(characterName, chatHistory, character, s
       // Step 5: Process each chunk with delays
     let memoriesCreated = 0;
     const characterState = {
+      id: character.id,
       name: character.name,
-      relationships: { user: { sentiment: 0.0, status: 'neutral' } }
+      relationshipAxes: character.relationshipAxes,
+      relationships: {}
     };
     
     console.log(`📝 Beginning memory creation process for ${characterName}...`);
-      for (let i = 0; i < chunks.length; i++) {
+    const analyses = [];
+    for (let i = 0; i < chunks.length; i++) {
       const chunk = chunks[i];
       console.log(`🔄 Processing memory chunk ${i + 1}/${chunks.length} with ${chunk.length} messages`);
       reportProgress('processing', `Creating memory ${i + 1} of ${chunks.length}...`, i, chunks.length);
       
       try {
-        // Create journal entry for this chunk
-        const result = await createJournalEntry(chunk, characterState, settings);
+        // Analyze this chunk; embedding happens afterwards for all chunks at once
+        const analysis = await analyzeJournalChunk(chunk, characterState, settings);
         
-        if (result && result.journalEntry) {
-          memoriesCreated++;
-          console.log(`✅ Created memory ${memoriesCreated}: ${result.journalEntry.summary.substring(0, 100)}...`);
-          
-          // Update character state with new relationships
-          if (result.updatedRelationships) {
-            characterState.relationships = result.updatedRelationships;
-          }
+        if (analysis) {
+          analyses.push({ chunk, analysis });
+          // Later chunks build on the relationship state this one produced
+          characterState.relationships = analysis.updatedRelationships;
           
-          // Wait 6 seconds before creating the next memory (as requested)
+          // Wait 6 seconds before analyzing the next chunk (as requested)
           if (i < chunks.length - 1) {
             console.log('⏱️  Waiting 6 seconds before creating next memory...');
-            reportProgress('waiting', `Memory ${i + 1} created. Waiting before next...`, i + 1, chunks.length);
+            reportProgress('waiting', `Memory ${i + 1} analyzed. Waiting before next...`, i + 1, chunks.length);
             await new Promise(resolve => setTimeout(resolve, 6000));
           }
         } else {
@@ -1473,11 +1892,40 @@ async function recycleCharacterMemories(characterName, chatHistory, character, s
       } catch (error) {
         console.error(`❌ Error creating memory for chunk ${i + 1}:`, error);
         // Continue with next chunk instead of failing completely
-      }    }
+      }
+    }
+    
+    if (analyses.length > 0) {
+      reportProgress('embedding', `Embedding ${analyses.length} memories...`, chunks.length, chunks.length);
+      const { embeddings, provider, model } = await embedTexts(analyses.map(({ analysis }) => analysis.analysisResult.summary), settings);
+      if (embeddings.length !== analyses.length) {
+        console.error(`❌ Failed to embed recycled memories for ${characterName}`);
+      } else {
+        for (let i = 0; i < analyses.length; i++) {
+          const { chunk, analysis } = analyses[i];
+          const journalEntry = buildJournalEntry(chunk, characterState, analysis, { embedding: embeddings[i], provider, model }, settings);
+          if (await storeJournalEntry(journalEntry, { ...settings, character: character.name })) {
+            memoriesCreated++;
+            recordRelationshipHistory(character.id, analysis.relationshipChanges, journalEntry.id, journalEntry.timestamp);
+            console.log(`✅ Created memory ${memoriesCreated}: ${journalEntry.summary.substring(0, 100)}...`);
+          }
+        }
+      }
+    }
     
     // Step 6: Store initial character memories (persona and first message) if they exist
     reportProgress('finalizing', 'Storing character memories...', chunks.length, chunks.length);
     await storeInitialCharacterMemories(character, settings);
+
+    // Step 7: Roll the rebuilt history up into chapters and arcs
+    if (memoriesCreated > 0 && getConsolidationConfig(settings).enabled) {
+      reportProgress('consolidating', 'Condensing memories into chapters...', chunks.length, chunks.length);
+      try {
+        await consolidateCharacterMemories(characterName, settings, { fullScan: true });
+      } catch (error) {
+        console.error(`Memory consolidation after recycling failed for ${characterName}:`, error);
+      }
+    }
     
     console.log(`Memory recycling completed for ${characterName}. Created ${memoriesCreated} memories.`);
     reportProgress('completed', `Successfully created ${memoriesCreated} memories`, chunks.length, chunks.length);
@@ -1496,13 +1944,26 @@ async function recycleCharacterMemories(characterName, chatHistory, character, s
 
 export {
   createJournalEntry,
+  queueJournalEntry,
   retrieveRelevantMemories,
   buildOptimizedContext,
   generateEmbedding,
+  generateEmbeddingWithSource,
+  getEmbeddingTarget,
+  getEmbeddingIndexStatus,
+  adoptUnrecordedEmbeddings,
+  reembedStaleMemories,
+  consolidateCharacterMemories,
+  getStorySoFar,
   initializeVectorStorage,
   analyzeConversationChunk,
   estimateTokens,
   clearCharacterMemories,
   storeInitialCharacterMemories,
-  recycleCharacterMemories
+  recycleCharacterMemories,
+  listMemories,
+  getPinnedMemories,
+  createMemory,
+  updateMemory,
+  deleteMemory
 };
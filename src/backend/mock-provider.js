@@ -0,0 +1,177 @@
+// Offline mock LLM + embedding provider for local development and tests.
+// Select provider 'mock' (chat, analysis) or embeddingProvider 'mock' in settings. Behaviour is
+// deterministic and configured through `settings.mock`:
+//   responses:          scripted character replies, used in order and then repeated
+//   latencyMs:          delay before the reply starts (default 0)
+//   tokenDelayMs:       delay between streamed tokens when settings.stream + onToken are set (default 0)
+//   failEvery:          every Nth call fails (1 = every call, 0 = never)
+//   failStatus:         HTTP-like status for injected failures (default 429)
+//   embeddingDimension: size of mock embedding vectors (default 1024, same as bge-m3 / mistral-embed)
+// A user message containing "[mock-fail 503]" fails that one call with the given status.
+// settings.signal cancels the delays like a real request, rejecting with an AbortError.
+// Helper prompts without a system message (memory analysis, query summaries, speaker picks) never
+// consume scripted replies; analysis prompts get a valid analysis JSON object.
+
+const DEFAULT_EMBEDDING_DIMENSION = 1024;
+
+const mockState = {
+  callCount: 0,
+  responseIndex: 0,
+  calls: [] // Last few calls, handy for assertions
+};
+const MAX_RECORDED_CALLS = 50;
+
+// Reset counters between test cases
+function resetMockProvider() {
+  mockState.callCount = 0;
+  mockState.responseIndex = 0;
+  mockState.calls = [];
+}
+
+function getMockCalls() {
+  return [...mockState.calls];
+}
+
+function abortError() {
+  const error = new Error('Generation cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+function sleep(ms, signal) {
+  if (signal?.aborted) return Promise.reject(abortError());
+  if (!(ms > 0)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function mockError(status) {
+  const messages = { 401: 'invalid API key', 429: 'rate limit exceeded', 500: 'internal server error', 503: 'service unavailable' };
+  const error = new Error(`Mock API request failed: ${status} ${messages[status] || 'injected failure'}`);
+  error.status = status;
+  return error;
+}
+
+// Small stable hash (FNV-1a) so mock output only depends on its input
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Memory analysis prompts get a well-formed analysis object built from the conversation
+function buildAnalysisResponse(prompt) {
+  const chunk = prompt.split('---')[1] || '';
+  const lines = chunk.split('\n').map(line => line.trim()).filter(Boolean);
+  const participants = [...new Set(lines.map(line => line.split(':')[0]).filter(name => name && name.length < 40))];
+  const words = chunk.toLowerCase().match(/[a-z]{5,}/g) || [];
+  const topics = [...new Set(words)].slice(0, 5);
+  const preview = lines.slice(-2).map(line => line.slice(0, 120)).join(' ');
+  return JSON.stringify({
+    summary: `Mock summary of ${lines.length} lines. ${preview}`.trim(),
+    emotions: { positive: 0.5, negative: 0.1, neutral: 0.4 },
+    decisions: [],
+    topics,
+    importance: 1 + (hashString(chunk) % 10),
+    relationshipDelta: 0,
+    relationshipChanges: participants.map(participant => ({ participant, sentiment: 0.05, axes: { trust: 0.1 }, reason: 'Mock exchange' })),
+    conversationDrivers: [],
+    participants,
+    plotElements: [],
+    entities: participants.map(name => ({ name, type: 'person', description: `Took part in a ${lines.length}-line exchange` })),
+    facts: participants.length > 1 ? [{ subject: participants[0], predicate: 'talked with', object: participants[1] }] : []
+  }, null, 2);
+}
+
+function buildReply(messages, config) {
+  const lastUser = [...messages].reverse().find(m => m.role === 'user');
+  const userText = typeof lastUser?.content === 'string' ? lastUser.content : '';
+
+  if (/conversation analyst/i.test(userText) && /"summary"/.test(userText)) {
+    return buildAnalysisResponse(userText);
+  }
+  if (!messages.some(m => m.role === 'system')) {
+    const lastLine = userText.trim().split('\n').pop() || '';
+    return `Mock summary: ${lastLine.replace(/\s+/g, ' ').slice(0, 200)}`;
+  }
+
+  const responses = Array.isArray(config.responses) ? config.responses.filter(r => typeof r === 'string') : [];
+  if (responses.length > 0) {
+    const reply = responses[mockState.responseIndex % responses.length];
+    mockState.responseIndex++;
+    return reply;
+  }
+
+  const quoted = userText.replace(/\s+/g, ' ').trim().slice(0, 200);
+  return quoted ? `(mock reply #${mockState.callCount}) You said: "${quoted}"` : `(mock reply #${mockState.callCount})`;
+}
+
+// Chat completion with the same (messages, settings) => Promise<string> shape as the real providers
+async function mockChatCompletion(messages, settings = {}) {
+  const config = settings.mock || {};
+  mockState.callCount++;
+  mockState.calls.push({ messages, model: settings.model, stream: !!settings.stream });
+  if (mockState.calls.length > MAX_RECORDED_CALLS) mockState.calls.shift();
+
+  await sleep(config.latencyMs || 0, settings.signal);
+
+  const lastUser = [...(messages || [])].reverse().find(m => m.role === 'user');
+  const forced = typeof lastUser?.content === 'string' && lastUser.content.match(/\[mock-fail (\d{3})\]/);
+  if (forced) throw mockError(parseInt(forced[1], 10));
+  if (config.failEvery > 0 && mockState.callCount % config.failEvery === 0) {
+    throw mockError(config.failStatus || 429);
+  }
+
+  const reply = buildReply(messages || [], config);
+  if (settings.stream && typeof settings.onToken === 'function') {
+    // Words keep their leading whitespace so the streamed tokens join back into the reply
+    for (const token of reply.match(/\s*\S+/g) || []) {
+      await sleep(config.tokenDelayMs || 0, settings.signal);
+      settings.onToken(token);
+    }
+  }
+  return reply;
+}
+
+function mockEmbeddingDimension(settings = {}) {
+  return settings.mock?.embeddingDimension || DEFAULT_EMBEDDING_DIMENSION;
+}
+
+// Feature-hashed bag of words, L2 normalized: texts sharing words get similar vectors
+function mockEmbedding(text, settings = {}) {
+  const dimension = mockEmbeddingDimension(settings);
+  const vector = new Array(dimension).fill(0);
+  const input = Array.isArray(text) ? text.join(' ') : String(text || '');
+  const words = input.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+  for (const word of words) {
+    const hash = hashString(word);
+    vector[hash % dimension] += (hash & 0x80000000) ? -1 : 1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  if (norm === 0) {
+    vector[0] = 1; // Empty text still needs a valid, non-zero vector
+    return vector;
+  }
+  return vector.map(v => v / norm);
+}
+
+export {
+  mockChatCompletion,
+  mockEmbedding,
+  mockEmbeddingDimension,
+  resetMockProvider,
+  getMockCalls
+};
@@ -0,0 +1,174 @@
+// Chat provider registry. Every provider is a module that registers a descriptor:
+//   {
+//     name, label,
+//     generate(messages, settings) -> reply text (inline <think> blocks for reasoning),
+//     auth: 'apiKeys' (rotating keys in settings.apiKeys[name]) or 'none',
+//     authFields: [{ key, label, secret }] (extra fields stored in settings[name], e.g. a base URL),
+//     capabilities: { streaming, reasoning, systemRole, multipleSystemMessages, stopSequences, logitBias },
+//     models: [{ id, name, contextLength, free, pricing: { prompt, completion } (USD per million tokens) }],
+//     defaultModel, contextLength (for unlisted models),
+//     listModels(settings, timeoutMs) (models discovered at runtime, e.g. from a local server),
+//     samplers: { temperature: 'temperature', topP: 'top_p', ... } (request field, or function returning
+//       fields, for each supported sampler parameter; see samplers.js),
+//     local (runs on this machine), analysis (usable for memory analysis), hidden (not offered in the UI)
+//   }
+// The server, /api/providers, /api/models and the settings UI are all built from this registry.
+// Third-party providers are .js/.mjs files in the provider plugin folder (loadProviderPlugins).
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const CAPABILITY_DEFAULTS = {
+  streaming: false,        // settings.onToken is called while the reply is generated
+  reasoning: false,        // reasoning comes back as a <think> block / settings.onReasoning
+  systemRole: true,        // system messages are understood (otherwise they are sent as a user turn)
+  multipleSystemMessages: true, // several system messages may be sent (otherwise they are merged)
+  stopSequences: false,
+  logitBias: false
+};
+const PROVIDER_NAME_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/;
+
+const providers = new Map(); // name -> descriptor, in registration order
+const plugins = []; // { file, providers, error }
+
+function normalizeModels(models) {
+  if (!Array.isArray(models)) return [];
+  return models
+    .filter(model => model && typeof model.id === 'string' && model.id)
+    .map(model => ({ ...model, name: model.name || model.id }));
+}
+
+// Register (or replace) a provider. Returns the stored descriptor; throws on an invalid one.
+// options.source records where it came from ('builtin' or the plugin file); plugins cannot
+// replace built-in providers.
+function registerProvider(descriptor, options = {}) {
+  const source = options.source || 'builtin';
+  const name = descriptor?.name;
+  if (typeof name !== 'string' || !PROVIDER_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid provider name: ${JSON.stringify(name)} (lowercase letters, digits, ".", "_" and "-")`);
+  }
+  if (typeof descriptor.generate !== 'function') {
+    throw new Error(`Provider ${name} has no generate(messages, settings) function`);
+  }
+  const existing = providers.get(name);
+  if (existing && existing.source === 'builtin' && source !== 'builtin') {
+    throw new Error(`Provider ${name} is built in and cannot be replaced by a plugin`);
+  }
+  const stored = {
+    ...descriptor,
+    label: descriptor.label || name,
+    auth: descriptor.auth === 'none' ? 'none' : 'apiKeys',
+    authFields: Array.isArray(descriptor.authFields)
+      ? descriptor.authFields.filter(field => field && typeof field.key === 'string' && field.key)
+      : [],
+    capabilities: { ...CAPABILITY_DEFAULTS, ...(descriptor.capabilities || {}) },
+    models: normalizeModels(descriptor.models),
+    defaultModel: descriptor.defaultModel || null,
+    contextLength: Number(descriptor.contextLength) > 0 ? Number(descriptor.contextLength) : null,
+    samplers: descriptor.samplers && typeof descriptor.samplers === 'object' ? descriptor.samplers : null,
+    local: descriptor.local === true,
+    analysis: descriptor.analysis !== false,
+    hidden: descriptor.hidden === true,
+    source
+  };
+  providers.set(name, stored);
+  return stored;
+}
+
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+// Registered providers in registration order; hidden ones only when asked for
+function listProviders({ includeHidden = false } = {}) {
+  return [...providers.values()].filter(provider => includeHidden || !provider.hidden);
+}
+
+// A descriptor without its functions, as sent to the settings UI
+function describeProvider(provider) {
+  return {
+    name: provider.name,
+    label: provider.label,
+    auth: provider.auth,
+    authFields: provider.authFields.map(({ key, label, secret }) => ({ key, label: label || key, secret: secret === true })),
+    capabilities: { ...provider.capabilities },
+    defaultModel: provider.defaultModel,
+    contextLength: provider.contextLength,
+    dynamicModels: typeof provider.listModels === 'function',
+    samplers: provider.samplers
+      ? Object.keys(provider.samplers).filter(key => (key !== 'stop' || provider.capabilities.stopSequences)
+        && (key !== 'bannedTokens' || provider.capabilities.logitBias))
+      : null,
+    local: provider.local,
+    analysis: provider.analysis,
+    hidden: provider.hidden,
+    source: provider.source
+  };
+}
+
+// Context window of a model (its own entry, else the provider's), or null when unknown
+function getModelContextLength(providerName, modelId) {
+  const provider = providers.get(providerName);
+  if (!provider) return null;
+  const model = provider.models.find(entry => entry.id === (modelId || provider.defaultModel));
+  const contextLength = Number(model?.contextLength) || provider.contextLength;
+  return contextLength > 0 ? contextLength : null;
+}
+
+// --- Plugins ---
+
+// Import every .js/.mjs file in dir (alphabetically). A plugin's default export is a descriptor,
+// an array of descriptors, or a function that receives { registerProvider, ...helpers } and
+// registers its providers itself. A broken plugin is logged and skipped.
+async function loadProviderPlugins(dir, helpers = {}) {
+  let files = [];
+  try {
+    if (!dir || !fs.existsSync(dir)) return [];
+    files = fs.readdirSync(dir).filter(file => /\.(m?js)$/.test(file)).sort();
+  } catch (error) {
+    console.error(`Error reading provider plugin folder ${dir}:`, error);
+    return [];
+  }
+
+  const loaded = [];
+  for (const file of files) {
+    const entry = { file, providers: [], error: null };
+    try {
+      const module = await import(pathToFileURL(path.join(dir, file)).href);
+      const exported = module.default;
+      const register = (descriptor) => {
+        const stored = registerProvider(descriptor, { source: file });
+        entry.providers.push(stored.name);
+        return stored;
+      };
+      if (typeof exported === 'function') {
+        await exported({ ...helpers, registerProvider: register });
+      } else if (exported) {
+        (Array.isArray(exported) ? exported : [exported]).forEach(register);
+      }
+      if (entry.providers.length === 0) throw new Error('the plugin registered no providers');
+      console.log(`Loaded provider plugin ${file}: ${entry.providers.join(', ')}`);
+    } catch (error) {
+      entry.error = error.message || String(error);
+      console.error(`Error loading provider plugin ${file}:`, entry.error);
+    }
+    plugins.push(entry);
+    loaded.push(entry);
+  }
+  return loaded;
+}
+
+function listProviderPlugins() {
+  return plugins.map(entry => ({ ...entry, providers: [...entry.providers] }));
+}
+
+export {
+  CAPABILITY_DEFAULTS,
+  registerProvider,
+  getProvider,
+  listProviders,
+  describeProvider,
+  getModelContextLength,
+  loadProviderPlugins,
+  listProviderPlugins
+};
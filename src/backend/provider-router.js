@@ -0,0 +1,88 @@
+// Cross-provider fallback routing. A reply is generated by the first route that works: the chosen
+// provider/model first, then settings.fallbackRoutes ([{ provider, model }], in order). A route is
+// given up when its provider throws, which keyed providers do once every key has failed or is
+// cooling down (see the key circuit breakers in provider-utils.js). The route that answered is
+// reported through settings.onRoute(route) as
+//   { provider, model, fallback, failures: [{ provider, model, error }] }
+import { getProvider } from './provider-registry.js';
+import { OPENAI_COMPATIBLE_PREFIX } from './providers/openai-compatible.js';
+
+function routeLabel(route) {
+  return route.model ? `${route.provider} (${route.model})` : route.provider;
+}
+
+// The primary route followed by the configured fallbacks; entries without a provider and
+// repeats of an earlier route are left out. A fallback without a model uses the provider's default.
+function resolveRoutes(settings = {}, primary = {}) {
+  const configured = Array.isArray(settings.fallbackRoutes) ? settings.fallbackRoutes : [];
+  const routes = [{ provider: primary.provider, model: primary.model || null }];
+  for (const entry of configured) {
+    if (!entry || typeof entry.provider !== 'string' || !entry.provider.trim()) continue;
+    const provider = entry.provider.trim();
+    const model = (typeof entry.model === 'string' && entry.model.trim()) || getProvider(provider)?.defaultModel || null;
+    if (routes.some(route => route.provider === provider && route.model === model)) continue;
+    routes.push({ provider, model });
+  }
+  return routes;
+}
+
+function isKnownProvider(name) {
+  return Boolean(getProvider(name)) || (typeof name === 'string' && name.startsWith(OPENAI_COMPATIBLE_PREFIX));
+}
+
+// Try the routes in order. getHandler(providerName, settings) returns the provider function
+// (llm-providers getProviderHandler). A cancel ends the walk, and so does a failure after the route
+// already streamed tokens or reasoning to the client (switching then would splice two replies).
+async function generateWithFallback(messages, settings, routes, getHandler) {
+  const failures = [];
+  let lastError = null;
+
+  for (let i = 0; i < routes.length; i++) {
+    const route = routes[i];
+    const handler = isKnownProvider(route.provider) ? getHandler(route.provider, settings) : undefined;
+    if (!handler) {
+      lastError = new Error(`Provider ${route.provider} not supported`);
+      failures.push({ provider: route.provider, model: route.model, error: lastError.message });
+      console.error(`Unsupported LLM provider in route ${i + 1}: ${route.provider}`);
+      continue;
+    }
+
+    let streamed = false;
+    const routeSettings = {
+      ...settings,
+      provider: route.provider,
+      ...(i > 0 ? { model: route.model || undefined } : {}),
+      ...(typeof settings.onToken === 'function'
+        ? { onToken: (token) => { streamed = true; settings.onToken(token); } }
+        : {}),
+      ...(typeof settings.onReasoning === 'function'
+        ? { onReasoning: (text) => { streamed = true; settings.onReasoning(text); } }
+        : {})
+    };
+
+    try {
+      if (i > 0) console.log(`Falling back to ${routeLabel(route)}`);
+      const response = await handler(messages, routeSettings);
+      const chosen = { provider: route.provider, model: route.model, fallback: i > 0, failures };
+      if (typeof settings.onRoute === 'function') settings.onRoute(chosen);
+      return response;
+    } catch (error) {
+      if (error.name === 'AbortError' || settings.signal?.aborted) throw error;
+      lastError = error;
+      failures.push({ provider: route.provider, model: route.model, error: error.message || String(error) });
+      console.warn(`Route ${routeLabel(route)} failed: ${error.message || error}`);
+      if (streamed) break;
+    }
+  }
+
+  // A single route keeps its own error; otherwise every failure is listed
+  if (routes.length <= 1 || failures.length <= 1) throw lastError;
+  const error = new Error(`All providers failed. ${failures.map(failure => `${routeLabel(failure)}: ${failure.error}`).join('; ')}`);
+  error.failures = failures;
+  throw error;
+}
+
+export {
+  resolveRoutes,
+  generateWithFallback
+};
@@ -0,0 +1,274 @@
+// Helpers shared by the chat provider modules in ./providers: API key rotation, SSE parsing,
+// cancellation and local server URLs.
+import { hashApiKey, loadKeyHealth, saveKeyHealth, noteKeyUsed, isRateLimitError } from './usage-ledger.js';
+
+// Global state for API key rotation, keyed by provider name and filled in on first use
+const apiKeyIndices = {};
+const apiKeyStatus = {};
+// Circuit breaker per key, next to its status: { failures, openUntil, cooldownMs }. A rate-limited
+// key cools down right away (the cooldown doubles while it keeps being rate limited); a key that
+// fails KEY_FAILURE_THRESHOLD times in a row is left alone for KEY_FAILURE_COOLDOWN_MS.
+const apiKeyCircuits = {};
+// Hashes of the keys the arrays above were built for; key health is saved per hash (usage-ledger.js)
+const apiKeyHashes = {};
+const RATE_LIMIT_COOLDOWN_MS = 60 * 1000;
+const MAX_RATE_LIMIT_COOLDOWN_MS = 10 * 60 * 1000;
+const KEY_FAILURE_THRESHOLD = 3;
+const KEY_FAILURE_COOLDOWN_MS = 5 * 60 * 1000;
+
+// --- Shared helpers for streaming providers ---
+// Generic safe array coercion
+function asArray(maybe) {
+  if (Array.isArray(maybe)) return maybe;
+  if (maybe == null) return [];
+  return [maybe];
+}
+
+// Unified SSE parser (for providers returning text/event-stream when stream:true)
+// response: fetch Response object
+// onEvent: (jsonChunk) => void|Promise<void>
+// The function tolerates partial lines and non-JSON payloads.
+async function parseSSEStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder('utf-8');
+  let buffer = '';
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      // Split by double newline blocks per SSE spec
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop() || '';
+      for (const block of blocks) {
+        if (!block) continue;
+        const lines = block.split(/\r?\n/);
+        for (let rawLine of lines) {
+          const line = rawLine.trim();
+            if (!line) continue;
+            if (!line.startsWith('data:')) continue;
+            let payload = line.slice(5).trim(); // after 'data:'
+            if (!payload) continue;
+            if (payload === '[DONE]') return; // graceful end
+            // Some servers may (rarely) nest another data: prefix (defensive)
+            if (payload.startsWith('data:')) payload = payload.slice(5).trim();
+            try {
+              const json = JSON.parse(payload);
+              await onEvent(json);
+            } catch (e) {
+              // Non-JSON payload (ignore silently)
+            }
+        }
+      }
+    }
+    // Attempt to parse any trailing single-line data
+    const trailing = buffer.trim();
+    if (trailing.startsWith('data:')) {
+      let payload = trailing.slice(5).trim();
+      if (payload && payload !== '[DONE]') {
+        try { await onEvent(JSON.parse(payload)); } catch (e) { /* ignore */ }
+      }
+    }
+  } finally {
+    try { reader.cancel(); } catch (e) { /* noop */ }
+  }
+}
+
+// Helper function to normalize API keys (backward compatibility)
+function normalizeApiKeys(apiKeys, provider) {
+  const keys = apiKeys?.[provider];
+  if (typeof keys === 'string') {
+    return keys ? [keys] : [];
+  }
+  return Array.isArray(keys) ? keys : [];
+}
+
+// Status and circuit arrays are rebuilt whenever the configured keys change, from the health
+// saved for each key (so a key keeps its cooldown across restarts and reordering)
+function ensureKeyState(provider, keys) {
+  const hashes = keys.map(hashApiKey);
+  const known = apiKeyHashes[provider];
+  if (apiKeyStatus[provider] && known && known.length === hashes.length && known.every((hash, i) => hash === hashes[i])) return;
+  const saved = loadKeyHealth(provider, hashes);
+  apiKeyHashes[provider] = hashes;
+  apiKeyStatus[provider] = hashes.map(hash => saved.get(hash)?.status || 'untested');
+  apiKeyCircuits[provider] = hashes.map(hash => ({
+    failures: saved.get(hash)?.failures || 0,
+    openUntil: saved.get(hash)?.openUntil || 0,
+    cooldownMs: saved.get(hash)?.cooldownMs || 0
+  }));
+}
+
+function persistKeyHealth(provider, keyIndex, lastError = null) {
+  const hash = apiKeyHashes[provider]?.[keyIndex];
+  if (!hash) return;
+  noteKeyUsed(provider, hash);
+  saveKeyHealth(provider, hash, { status: apiKeyStatus[provider][keyIndex], ...apiKeyCircuits[provider][keyIndex], lastError });
+}
+
+// Load the saved health of every configured key (for /api/key-status after a restart)
+function loadApiKeyHealth(apiKeys = {}) {
+  for (const provider of Object.keys(apiKeys)) {
+    const keys = normalizeApiKeys(apiKeys, provider);
+    if (keys.length > 0) ensureKeyState(provider, keys);
+  }
+}
+
+// False while a key's circuit is open (cooling down after rate limits or repeated failures)
+function isApiKeyAvailable(provider, keyIndex) {
+  const circuit = apiKeyCircuits[provider]?.[keyIndex];
+  return !circuit || circuit.openUntil <= Date.now();
+}
+
+// Key indices for one request's attempts, in rotation order from getNextApiKey's current key for
+// `rounds` passes over the keys. A key is left out when it is cooling down at the time its turn
+// comes, so a key that failed earlier in the same request can be skipped on the next round.
+function* availableKeyIndices(provider, keyInfo, rounds = 1) {
+  const total = keyInfo.keys.length;
+  for (let attempt = 0; attempt < total * rounds; attempt++) {
+    const keyIndex = (keyInfo.currentIndex + attempt) % total;
+    if (isApiKeyAvailable(provider, keyIndex)) yield keyIndex;
+  }
+}
+
+// Milliseconds until the first key of a provider is usable again (0 when one is available now)
+function getApiKeyCooldown(provider) {
+  const circuits = apiKeyCircuits[provider];
+  if (!circuits || circuits.length === 0) return 0;
+  const now = Date.now();
+  return Math.min(...circuits.map(circuit => Math.max(0, circuit.openUntil - now)));
+}
+
+// Remaining cooldown per key for every provider (for /api/key-status)
+function getApiKeyCooldowns() {
+  const now = Date.now();
+  return Object.fromEntries(Object.entries(apiKeyCircuits)
+    .map(([provider, circuits]) => [provider, circuits.map(circuit => Math.max(0, circuit.openUntil - now))]));
+}
+
+// Helper function to get next API key with rotation. Keys that are cooling down are passed over;
+// when all of them are, this throws (error.code 'KEYS_COOLING_DOWN', error.retryAfterMs).
+function getNextApiKey(provider, apiKeys) {
+  const normalizedKeys = normalizeApiKeys(apiKeys, provider);
+  if (normalizedKeys.length === 0) {
+    throw new Error(`No API key(s) found for ${provider}`);
+  }
+  
+  // Initialize status and circuit arrays if needed
+  ensureKeyState(provider, normalizedKeys);
+  
+  // Reset index if it's unset or out of bounds
+  if (!Number.isInteger(apiKeyIndices[provider]) || apiKeyIndices[provider] >= normalizedKeys.length) {
+    apiKeyIndices[provider] = 0;
+  }
+
+  // Start at the first key (in rotation order) whose circuit is closed
+  const offset = normalizedKeys.findIndex((key, i) => isApiKeyAvailable(provider, (apiKeyIndices[provider] + i) % normalizedKeys.length));
+  if (offset === -1) {
+    const retryAfterMs = getApiKeyCooldown(provider);
+    const error = new Error(`All ${provider} API keys are cooling down (next one in ${Math.ceil(retryAfterMs / 1000)}s)`);
+    error.code = 'KEYS_COOLING_DOWN';
+    error.retryAfterMs = retryAfterMs;
+    throw error;
+  }
+  apiKeyIndices[provider] = (apiKeyIndices[provider] + offset) % normalizedKeys.length;
+  
+  return {
+    keys: normalizedKeys,
+    currentIndex: apiKeyIndices[provider],
+    currentKey: normalizedKeys[apiKeyIndices[provider]]
+  };
+}
+
+// Helper function to mark API key success and rotate (a success closes the key's circuit)
+function markApiKeySuccess(provider, keyIndex, totalKeys) {
+  if (apiKeyStatus[provider]) {
+    apiKeyStatus[provider][keyIndex] = 'working';
+  }
+  const circuit = apiKeyCircuits[provider]?.[keyIndex];
+  if (circuit) Object.assign(circuit, { failures: 0, openUntil: 0, cooldownMs: 0 });
+  if (apiKeyStatus[provider]) persistKeyHealth(provider, keyIndex);
+  // Rotate to next key for subsequent requests
+  apiKeyIndices[provider] = (keyIndex + 1) % totalKeys;
+}
+
+// Helper function to mark API key failure. Rate limits open the key's circuit right away,
+// other failures after KEY_FAILURE_THRESHOLD in a row.
+function markApiKeyFailure(provider, keyIndex, error) {
+  if (apiKeyStatus[provider]) {
+    const isRateLimit = isRateLimitError(error) || String(error.message || '').toLowerCase().includes('quota');
+    apiKeyStatus[provider][keyIndex] = isRateLimit ? 'rate-limited' : 'failed';
+
+    const circuit = apiKeyCircuits[provider]?.[keyIndex];
+    if (!circuit) return;
+    circuit.failures++;
+    if (isRateLimit) {
+      circuit.cooldownMs = circuit.cooldownMs
+        ? Math.min(circuit.cooldownMs * 2, MAX_RATE_LIMIT_COOLDOWN_MS)
+        : RATE_LIMIT_COOLDOWN_MS;
+      circuit.openUntil = Date.now() + circuit.cooldownMs;
+    } else if (circuit.failures >= KEY_FAILURE_THRESHOLD) {
+      circuit.openUntil = Date.now() + KEY_FAILURE_COOLDOWN_MS;
+    }
+    if (circuit.openUntil > Date.now()) {
+      console.warn(`${provider} API key ${keyIndex + 1} cooling down for ${Math.round((circuit.openUntil - Date.now()) / 1000)}s`);
+    }
+    persistKeyHealth(provider, keyIndex, String(error.message || error).slice(0, 500));
+  }
+}
+
+// Cancelled generations (settings.signal aborted) reject with an AbortError. Callers check the
+// error name so a cancel is never reported or logged as a provider failure.
+function createAbortError() {
+  const error = new Error('Generation cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw createAbortError();
+}
+
+// For SDK calls that take no signal: stop waiting once the signal aborts
+function raceWithSignal(promise, signal) {
+  if (!signal) return promise;
+  throwIfAborted(signal);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// Handles connections to different LLM APIs
+
+// --- Local servers (Ollama, KoboldCpp) ---
+const LOCAL_SERVER_DEFAULT_URLS = {
+  ollama: 'http://localhost:11434',
+  koboldcpp: 'http://localhost:5001'
+};
+
+function getLocalServerUrl(provider, settings = {}) {
+  const configured = settings[provider]?.baseUrl;
+  return String(configured || LOCAL_SERVER_DEFAULT_URLS[provider]).trim().replace(/\/+$/, '');
+}
+
+export {
+  apiKeyIndices,
+  apiKeyStatus,
+  asArray,
+  parseSSEStream,
+  normalizeApiKeys,
+  getNextApiKey,
+  markApiKeySuccess,
+  markApiKeyFailure,
+  isApiKeyAvailable,
+  availableKeyIndices,
+  getApiKeyCooldowns,
+  loadApiKeyHealth,
+  createAbortError,
+  throwIfAborted,
+  raceWithSignal,
+  LOCAL_SERVER_DEFAULT_URLS,
+  getLocalServerUrl
+};
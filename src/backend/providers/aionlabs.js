@@ -0,0 +1,73 @@
+// Aion Labs (OpenAI-compatible API)
+import { registerProvider } from '../provider-registry.js';
+import { samplerParams } from '../samplers.js';
+import { getNextApiKey, markApiKeySuccess, markApiKeyFailure, availableKeyIndices, throwIfAborted } from '../provider-utils.js';
+
+async function generate(messages, settings) {
+  // Get API keys with rotation support
+  const keyInfo = getNextApiKey('aionlabs', settings.apiKeys || {});
+  let lastError = null;
+
+  // Try each key once, starting from the current one
+  for (const currentIndex of availableKeyIndices('aionlabs', keyInfo, 1)) {
+    const apiKey = keyInfo.keys[currentIndex];
+    try {
+      // --- ROBUSTNESS GUARD ---
+      if (typeof apiKey !== 'string' || apiKey === '') {
+        throw new Error('AionLabs API key is invalid or empty.');
+      }
+      // --- END GUARD ---
+      
+      const OpenAI = (await import('openai')).default;
+      const openai = new OpenAI({
+        apiKey,
+        baseURL: 'https://api.aionlabs.ai/v1',
+      });
+
+      const completion = await openai.chat.completions.create({
+        model: settings.model || 'aion-rp-small',
+        messages: messages,
+        ...samplerParams(settings, { temperature: 0.7, top_p: 0.9, max_tokens: 2048 }),
+        stream: !!settings.stream,
+      }, { signal: settings.signal });
+
+      if (completion && completion.choices && completion.choices[0]?.message?.content) {
+        markApiKeySuccess('aionlabs', currentIndex, keyInfo.keys.length);
+        return completion.choices[0].message.content;
+      } else {
+        console.error('AionLabs API response format unexpected:', completion);
+        throw new Error('AionLabs API response format unexpected.');
+      }
+
+    } catch (error) {
+      throwIfAborted(settings.signal);
+      console.error(`AionLabs API key ${currentIndex + 1} failed:`, error.message);
+      markApiKeyFailure('aionlabs', currentIndex, error);
+      lastError = error;
+    }
+  }
+
+  throw new Error(`All AionLabs API keys failed. Last error: ${lastError.message || 'Unknown error'}`);
+}
+
+registerProvider({
+  name: 'aionlabs',
+  label: 'Aion Labs',
+  auth: 'apiKeys',
+  capabilities: {
+    streaming: false,
+    reasoning: false,
+    systemRole: true,
+    multipleSystemMessages: true,
+    stopSequences: true,
+    logitBias: false
+  },
+  samplers: { temperature: 'temperature', topP: 'top_p', maxTokens: 'max_tokens', stop: 'stop' },
+  analysis: false,
+  defaultModel: 'aion-rp-small',
+  models: [
+    { id: "aion-labs/aion-1.0", name: "Aion 1.0" },
+    { id: "aion-rp-small", name: "Aion RP Small", contextLength: 32768 }
+  ],
+  generate
+});
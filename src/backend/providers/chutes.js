@@ -0,0 +1,150 @@
+// Chutes (OpenAI-compatible API)
+import { registerProvider } from '../provider-registry.js';
+import { OPENAI_SAMPLER_FIELDS, samplerParams } from '../samplers.js';
+import { getNextApiKey, markApiKeySuccess, markApiKeyFailure, availableKeyIndices, throwIfAborted, parseSSEStream } from '../provider-utils.js';
+import { emitReasoning } from '../reasoning.js';
+
+async function generate(messages, settings) {
+  // Get API keys with rotation support
+  const keyInfo = getNextApiKey('chutes', settings.apiKeys || {});
+  let lastError = null;
+
+  // Try each key, starting from the current one, with 2 complete rounds
+  for (const currentIndex of availableKeyIndices('chutes', keyInfo, 2)) {
+    const apiKey = keyInfo.keys[currentIndex];
+    try {
+      // --- ROBUSTNESS GUARD ---
+      if (typeof apiKey !== 'string' || apiKey === '') {
+        throw new Error('Chutes API key is invalid or empty.');
+      }
+      // --- END GUARD ---
+
+      const model = settings.model || "deepseek-ai/DeepSeek-R1-0528";
+      let processedMessages = messages;
+
+      // Special handling for TheDrummer/Tunguska-39B-v1 which requires the conversation
+      // to start with a 'user' role after the optional 'system' role.
+      if (model === 'TheDrummer/Tunguska-39B-v1') {
+        const systemMessage = messages.find(m => m.role === 'system');
+        const chatMessages = messages.filter(m => m.role !== 'system');
+        const firstUserIndex = chatMessages.findIndex(m => m.role === 'user');
+
+        if (firstUserIndex > 0) {
+          console.log(`Applying special message processing for ${model}: Removing leading assistant messages.`);
+          const validChat = chatMessages.slice(firstUserIndex);
+          processedMessages = systemMessage ? [systemMessage, ...validChat] : validChat;
+        }
+      }
+
+      // Stream-enabled path for models (thinking header for select models)
+      const enableThinking = ['deepseek-ai/DeepSeek-V3.1', 'NousResearch/Hermes-4-70B', 'NousResearch/Hermes-4-405B-FP8'].includes(model);
+      const streamingRequested = !!settings.stream || enableThinking; // thinking models force stream for incremental reasoning
+      const requestPayload = {
+        model: model,
+          messages: processedMessages,
+          stream: streamingRequested,
+          ...samplerParams(settings, { max_tokens: 1024, temperature: 0.7 })
+      };
+      const response = await fetch("https://llm.chutes.ai/v1/chat/completions", {
+        method: "POST",
+        headers: {
+          "Authorization": `Bearer ${apiKey}`,
+          "Content-Type": "application/json",
+          ...(enableThinking ? { 'X-Enable-Thinking': 'true' } : {})
+        },
+        body: JSON.stringify(requestPayload),
+        signal: settings.signal
+      });
+
+      if (!response.ok) {
+        let errorData = {};
+        try { errorData = await response.json(); } catch (jsonError) { errorData.message = response.statusText; }
+        console.error("Chutes API error:", errorData);
+        throw new Error(`Chutes API request failed: ${response.status} ${JSON.stringify(errorData)}`);
+      }
+
+      if (streamingRequested) {
+        let contentAgg = '';
+        let reasoningAgg = '';
+        await parseSSEStream(response, async (json) => {
+          const choice = json?.choices?.[0];
+          if (choice?.delta) {
+            const delta = choice.delta;
+            if (typeof delta.content === 'string') {
+              contentAgg += delta.content;
+              if (typeof settings.onToken === 'function') settings.onToken(delta.content);
+            }
+            if (typeof delta.reasoning_content === 'string') {
+              reasoningAgg += delta.reasoning_content;
+              emitReasoning(settings, delta.reasoning_content);
+            }
+          }
+        });
+        markApiKeySuccess('chutes', currentIndex, keyInfo.keys.length);
+        return (reasoningAgg ? `<think>${reasoningAgg}</think>` : '') + contentAgg;
+      }
+
+      // Non-stream fallback (original JSON path)
+      const data = await response.json();
+      if (!data.choices || !data.choices[0] || !data.choices[0].message || typeof data.choices[0].message.content === 'undefined') {
+        console.error("Chutes API response format unexpected:", data);
+        throw new Error('Chutes API response format unexpected.');
+      }
+      markApiKeySuccess('chutes', currentIndex, keyInfo.keys.length);
+      return data.choices[0].message.content;
+
+    } catch (error) {
+      throwIfAborted(settings.signal);
+      console.error(`Chutes API key ${currentIndex + 1} failed:`, error.message);
+      markApiKeyFailure('chutes', currentIndex, error);
+      lastError = error;
+    }
+  }
+
+  // All keys failed
+  throw new Error(`All Chutes API keys failed. Last error: ${lastError.message || 'Unknown error'}`);
+}
+
+registerProvider({
+  name: 'chutes',
+  label: 'Chutes',
+  auth: 'apiKeys',
+  capabilities: {
+    streaming: true,
+    reasoning: true,
+    systemRole: true,
+    multipleSystemMessages: true,
+    stopSequences: true,
+    logitBias: false
+  },
+  samplers: { ...OPENAI_SAMPLER_FIELDS, topK: 'top_k', minP: 'min_p', repetitionPenalty: 'repetition_penalty' },
+  analysis: false,
+  defaultModel: 'deepseek-ai/DeepSeek-R1-0528',
+  contextLength: 163840,
+  models: [
+    { id: "deepseek-ai/DeepSeek-R1", name: "DeepSeek R1" },
+    { id: "deepseek-ai/DeepSeek-R1-0528", name: "DeepSeek R1 (0528)" },
+    { id: "deepseek-ai/DeepSeek-R1-0528-vllm", name: "DeepSeek R1 (0528 vLLM)" },
+    { id: "deepseek-ai/DeepSeek-V3-0324", name: "DeepSeek V3 (0324)" },
+    { id: "deepseek-ai/DeepSeek-V3.1", name: "DeepSeek V3.1" },
+    { id: "NousResearch/Hermes-4-70B", name: "Hermes-4 70B", contextLength: 131072 },
+    { id: "NousResearch/Hermes-4-405B-FP8", name: "Hermes-4 405B FP8", contextLength: 131072 },
+    { id: "ArliAI/QwQ-32B-ArliAI-RpR-v1", name: "ArliAI QwQ 32B RPR v1", contextLength: 32768 },
+    { id: "tngtech/DeepSeek-TNG-R1T2-Chimera", name: "TNG DeepSeek TNG R1T2 Chimera" },
+    { id: "chutesai/Llama-4-Maverick-17B-128E-Instruct-FP8", name: "Llama-4 Maverick 17B 128E Instruct FP8" },
+    { id: "mrfakename/mistral-Small-3.1-24B-Instruct-2503-hf", name: "Mistral Small 3.1 24B Instruct", contextLength: 131072 },
+    { id: "moonshotai/Kimi-K2-Instruct", name: "Kimi K2 Instruct", contextLength: 131072 },
+    { id: "TheDrummer/Tunguska-39B-v1", name: "Tunguska 39B v1", contextLength: 32768 },
+    { id: "TheDrummer/Skyfall-36B-v2", name: "Skyfall 36B v2", contextLength: 32768 },
+    { id: "Qwen/Qwen3-235B-A22B-Instruct-2507", name: "Qwen3-235B-A22B Instruct 2507", contextLength: 262144 },
+    { id: "stepfun-ai/step3", name: "StepFun Step3" },
+    { id: "Qwen/Qwen3-235B-A22B-Thinking-2507", name: "Qwen/Qwen3-235B-A22B-Thinking-2507", contextLength: 262144 },
+    { id: "internlm/Intern-S1", name: "InternLM S1" },
+    { id: "zai-org/GLM-4.5-FP8", name: "GLM-4.5-FP8" },
+    { id: "zai-org/GLM-4.5-Air", name: "GLM-4.5-Air" },
+    { id: "zai-org/GLM-4.5V-FP8", name: "GLM-4.5V-FP8" },
+    { id: "openai/gpt-oss-120b", name: "GPT OSS 120B", contextLength: 131072 },
+    { id: "meituan-longcat/LongCat-Flash-Chat-FP8", name: "LongCat Flash Chat FP8" }
+  ],
+  generate
+});
@@ -0,0 +1,161 @@
+// Cohere chat (v2 SDK). Cohere takes a single system message, so several are merged first.
+import { registerProvider } from '../provider-registry.js';
+import { samplerParams } from '../samplers.js';
+import { getNextApiKey, markApiKeySuccess, markApiKeyFailure, availableKeyIndices, throwIfAborted } from '../provider-utils.js';
+import { emitReasoning } from '../reasoning.js';
+
+async function generate(messages, settings) {
+  // Get API keys with rotation support
+  const keyInfo = getNextApiKey('cohere', settings.apiKeys || {});
+  let lastError = null;
+
+  // Try each key once, starting from the current one
+  for (const currentIndex of availableKeyIndices('cohere', keyInfo, 1)) {
+    const apiKey = keyInfo.keys[currentIndex];
+    
+    try {
+      // --- ROBUSTNESS GUARD ---
+      if (typeof apiKey !== 'string' || apiKey === '') {
+        throw new Error('Cohere API key is invalid or empty.');
+      }
+      // --- END GUARD ---
+      
+      // Dynamic import for ESM compatibility
+      const { CohereClientV2 } = await import('cohere-ai');
+      const cohere = new CohereClientV2({ token: apiKey });
+      const model = settings.model || 'command-a-03-2025';
+
+      // --- Patch: Preprocess messages for Cohere v2 API ---
+      // Cohere expects: role: 'user' | 'assistant' | 'system', content: string or array of {type: 'text', text: string}
+      // But our chatHistory may have content as non-string (defensive)
+      const cohereMessages = messages.map(msg => {
+        // If content is already an array of objects, pass as-is
+        if (Array.isArray(msg.content)) {
+          return { role: msg.role, content: msg.content };
+        }
+        // If content is a string, pass as string
+        if (typeof msg.content === 'string') {
+          return { role: msg.role, content: msg.content };
+        }
+        // Defensive: fallback to string conversion
+        return { role: msg.role, content: String(msg.content) };
+      });
+
+      const chatParams = {
+        model,
+        messages: cohereMessages,
+        stream: !!settings.stream, // allow toggle (API supports boolean)
+        ...samplerParams(settings, { temperature: 0.7, max_tokens: 2048 })
+      };
+
+      // Special case for command-a-reasoning-08-2025: enable thinking + debug logging
+      const isReasoningModel = model === 'command-a-reasoning-08-2025';
+      if (isReasoningModel) {
+        chatParams.thinking = { type: 'enabled' };
+      }
+
+      let aggregated = '';
+      let reasoningCollected = '';
+      let response;
+      if (chatParams.stream) {
+        const streamResp = await cohere.chatStream({ ...chatParams }, { abortSignal: settings.signal });
+        for await (const event of streamResp) {
+          if (event.type === 'content-delta' && event.delta?.message) {
+            // event.delta.message.content can be:
+            // 1. Array of segments [{type:'text', text:'...'}]
+            // 2. Single segment object {type:'text', text:'...'}
+            // 3. String (rare)
+            const rawContent = event.delta.message.content;
+            const segments = Array.isArray(rawContent) ? rawContent : (rawContent ? [rawContent] : []);
+            for (const seg of segments) {
+              if (typeof seg === 'string') {
+                aggregated += seg;
+                if (typeof settings.onToken === 'function') settings.onToken(seg);
+                continue;
+              }
+              if (seg && (seg.text || seg.thinking)) {
+                if (seg.type === 'thinking' || seg.thinking) {
+                  const thinkText = seg.thinking || seg.text || '';
+                  reasoningCollected += thinkText;
+                  // Stream reasoning incrementally so the UI can show it live
+                  emitReasoning(settings, thinkText);
+                } else {
+                  const piece = seg.text || seg.thinking;
+                  aggregated += piece;
+                  if (typeof settings.onToken === 'function') settings.onToken(piece);
+                }
+              }
+            }
+          }
+        }
+        const combined = (reasoningCollected ? `<think>${reasoningCollected}</think>\n` : '') + aggregated;
+        response = { message: { content: [{ type: 'text', text: combined }] } };
+      } else {
+        response = await cohere.chat(chatParams, { abortSignal: settings.signal });
+      }
+
+      // Cohere reasoning model returns array of segments: [{type: 'thinking', thinking: '...'}, {type: 'text', text: '...'}]
+      if (response && response.message && Array.isArray(response.message.content)) {
+        const segments = response.message.content;
+        let thinkingSegment = segments.find(s => s.type === 'thinking' && (s.thinking || s.text));
+        let textSegments = segments.filter(s => s.type !== 'thinking' && (s.text || s.thinking));
+        const thinkingText = thinkingSegment ? (thinkingSegment.thinking || thinkingSegment.text || '') : '';
+        const answerText = textSegments.map(s => s.text || s.thinking || '').join('\n').trim();
+        if (answerText.length === 0 && thinkingText.length === 0) {
+          console.error('Cohere API response content empty:', response);
+          throw new Error('Cohere API response empty.');
+        }
+        const combined = thinkingText ? `<think>${thinkingText}</think>\n${answerText}` : answerText;
+        markApiKeySuccess('cohere', currentIndex, keyInfo.keys.length);
+        return combined;
+      } else {
+        console.error('Cohere API response format unexpected:', response);
+        throw new Error('Cohere API response format unexpected.');
+      }
+      
+    } catch (error) {
+      throwIfAborted(settings.signal);
+      console.error(`Cohere API key ${currentIndex + 1} failed:`, error.message);
+      markApiKeyFailure('cohere', currentIndex, error);
+      lastError = error;
+    }
+  }
+  
+  // All keys failed
+  throw new Error(`All Cohere API keys failed. Last error: ${lastError.message || 'Unknown error'}`);
+}
+
+registerProvider({
+  name: 'cohere',
+  label: 'Cohere',
+  auth: 'apiKeys',
+  capabilities: {
+    streaming: true,
+    reasoning: true,
+    systemRole: true,
+    multipleSystemMessages: false,
+    stopSequences: true,
+    logitBias: false
+  },
+  samplers: {
+    temperature: 'temperature',
+    topP: 'p',
+    topK: 'k',
+    maxTokens: 'max_tokens',
+    frequencyPenalty: 'frequency_penalty',
+    presencePenalty: 'presence_penalty',
+    stop: 'stop_sequences',
+    seed: 'seed'
+  },
+  defaultModel: 'command-a-03-2025',
+  contextLength: 128000,
+  models: [
+    { id: "command-a-03-2025", name: "Command A 03-2025", contextLength: 256000, free: true },
+    { id: "command-r7b-12-2024", name: "Command R7B 12-2024", free: true },
+    { id: "command-r-plus-08-2024", name: "Command R Plus 08-2024", free: true },
+    { id: "command-r-08-2024", name: "Command R 08-2024", free: true },
+    { id: "command-nightly", name: "Command Nightly", free: true },
+    { id: "command-a-reasoning-08-2025", name: "Command A Reasoning 08-2025", contextLength: 256000 }
+  ],
+  generate
+});
@@ -0,0 +1,166 @@
+// Gemini (Google GenAI SDK), with system messages sent as the native systemInstruction
+import { registerProvider } from '../provider-registry.js';
+import { samplerParams } from '../samplers.js';
+import { getNextApiKey, markApiKeySuccess, markApiKeyFailure, availableKeyIndices, throwIfAborted, raceWithSignal } from '../provider-utils.js';
+
+async function generate(prompt, settings) {
+  const { GoogleGenAI, HarmBlockThreshold, HarmCategory } = await import("@google/genai");
+
+  // Get API keys with rotation support
+  const keyInfo = getNextApiKey('gemini', settings.apiKeys || {});
+  let lastError = null;
+
+  // Try each key, starting from the current one, with 2 complete rounds
+  for (const currentIndex of availableKeyIndices('gemini', keyInfo, 2)) {
+    const apiKey = keyInfo.keys[currentIndex];
+
+    try {
+      // --- ROBUSTNESS GUARD ---
+      if (typeof apiKey !== 'string' || apiKey === '') {
+        throw new Error('Gemini API key is invalid or empty.');
+      }
+      // --- END GUARD ---
+
+      const ai = new GoogleGenAI({ apiKey });
+
+      // --- Gemini system prompt handling ---
+      // Previously system messages were being coerced into 'user' role which degrades instruction adherence.
+      // We now:
+      // 1. Collect all system messages (role === 'system') and merge them in order
+      // 2. Provide them via the dedicated `systemInstruction` field
+      // 3. Exclude them from the conversational `contents` array
+      const systemMessages = prompt.filter(m => m.role === 'system');
+      const nonSystemMessages = prompt.filter(m => m.role !== 'system');
+      let systemInstruction = undefined;
+      if (systemMessages.length > 0) {
+        const mergedSystem = systemMessages.map(m => m.content).join('\n\n');
+        systemInstruction = {
+          role: 'system',
+          parts: [{ text: mergedSystem }]
+        };
+      }
+
+      // Convert remaining messages into Gemini contents format.
+      // Gemini expects a chronological list of turns with roles: 'user' or 'model'.
+      const contents = nonSystemMessages.map(msg => ({
+        role: msg.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: msg.content }]
+      }));
+      if (systemInstruction) {
+        console.log(`[Gemini] Using systemInstruction with ${systemMessages.length} system message(s), length=${systemInstruction.parts[0].text.length} chars`);
+      } else {
+        console.log('[Gemini] No systemInstruction applied (no system messages present).');
+      }
+
+      // Define models that support thinking budget
+      const modelsWithThinkingBudget = [
+        "gemini-2.5-pro",
+        "gemini-2.5-pro-preview-06-05",
+        "gemini-2.5-pro-preview-05-06",
+        "gemini-2.5-flash-preview-04-17",
+        "gemini-2.5-flash-preview-05-20"
+      ];
+
+      // Determine if thinking budget should be used
+      const model = settings.model || "gemini-2.0-flash"; // Default model
+      const useThinkingBudget = modelsWithThinkingBudget.includes(model);
+
+      // Harm filters: allow all content
+      const safetySettings = [
+        {
+          category: HarmCategory.HARM_CATEGORY_HARASSMENT,
+          threshold: HarmBlockThreshold.BLOCK_NONE,
+        },
+        {
+          category: HarmCategory.HARM_CATEGORY_HATE_SPEECH,
+          threshold: HarmBlockThreshold.BLOCK_NONE,
+        },
+        {
+          category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT,
+          threshold: HarmBlockThreshold.BLOCK_NONE,
+        },
+        {
+          category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT,
+          threshold: HarmBlockThreshold.BLOCK_NONE,
+        },
+      ];
+
+      // The SDK only reads `config`: sampler values, the system instruction, safety settings and
+      // the thinking budget (for models that support it) all go there
+      const config = {
+        ...samplerParams(settings, { temperature: 0.7, topP: 0.9, maxOutputTokens: 2048 }),
+        systemInstruction, // leverage Gemini's native system field
+        safetySettings,
+        ...(useThinkingBudget ? { thinkingConfig: { thinkingBudget: 24576 } } : {})
+      };
+      const response = await raceWithSignal(ai.models.generateContent({ model, contents, config }), settings.signal);
+
+      // Extract text from response
+      let responseText;
+      if (response && response.text) {
+        responseText = response.text;
+      } else if (response?.candidates?.[0]?.content?.parts?.[0]?.text) {
+        responseText = response.candidates[0].content.parts[0].text;
+      } else {
+        console.error("Gemini API response format unexpected:", response);
+        throw new Error('Gemini API response format unexpected.');
+      }
+
+      // Success: mark key as working and rotate for next request
+      markApiKeySuccess('gemini', currentIndex, keyInfo.keys.length);
+      return responseText;
+
+    } catch (error) {
+      throwIfAborted(settings.signal);
+      console.error(`Gemini API key ${currentIndex + 1} failed:`, error.message);
+      markApiKeyFailure('gemini', currentIndex, error);
+      lastError = error;
+    }
+  }
+
+  // All keys failed
+  const errorMessage = lastError?.details || lastError?.message || 'Unknown error';
+  throw new Error(`All Gemini API keys failed. Last error: ${errorMessage}`);
+}
+
+registerProvider({
+  name: 'gemini',
+  label: 'Gemini',
+  auth: 'apiKeys',
+  capabilities: {
+    streaming: false,
+    reasoning: false,
+    systemRole: true,
+    multipleSystemMessages: true,
+    stopSequences: true,
+    logitBias: false
+  },
+  samplers: {
+    temperature: 'temperature',
+    topP: 'topP',
+    topK: 'topK',
+    maxTokens: 'maxOutputTokens',
+    frequencyPenalty: 'frequencyPenalty',
+    presencePenalty: 'presencePenalty',
+    stop: 'stopSequences',
+    seed: 'seed'
+  },
+  defaultModel: 'gemini-2.0-flash',
+  contextLength: 1048576,
+  models: [
+    { id: "gemini-2.5-pro", name: "Gemini 2.5 Pro" },
+    { id: "gemini-2.5-pro-preview-06-05", name: "Gemini 2.5 Pro Preview 06-05" },
+    { id: "gemini-2.5-pro-preview-05-06", name: "Gemini 2.5 Pro Preview" },
+    { id: "gemini-2.5-flash-preview-05-20", name: "Gemini 2.5 Flash Preview 05-20" },
+    { id: "gemini-2.5-flash", name: "Gemini 2.5 Flash" },
+    { id: "gemini-2.5-flash-lite-preview-06-17", name: "Gemini 2.5 Flash Lite Preview 06-17" },
+    { id: "gemini-2.0-flash", name: "Gemini 2.0 Flash" },
+    { id: "gemini-2.0-flash-lite", name: "Gemini 2.0 Flash Lite" },
+    { id: "gemini-2.0-flash-thinking-exp-01-21", name: "Gemini 2.0 Flash Thinking" },
+    { id: "gemini-exp-1206", name: "Gemini Exp 1206", contextLength: 2097152 },
+    { id: "gemini-1.5-pro", name: "Gemini 1.5 Pro", contextLength: 2097152 },
+    { id: "learnlm-2.0-flash-experimental", name: "LearnLM 2.0 Flash Experimental" },
+    { id: "gemini-1.5-flash", name: "Gemini 1.5 Flash" }
+  ],
+  generate
+});
@@ -0,0 +1,139 @@
+// GLM (BigModel.cn), with thinking mode enabled
+import { registerProvider } from '../provider-registry.js';
+import { samplerParams } from '../samplers.js';
+import { getNextApiKey, markApiKeySuccess, markApiKeyFailure, availableKeyIndices, throwIfAborted, parseSSEStream } from '../provider-utils.js';
+import { emitReasoning } from '../reasoning.js';
+
+async function generate(messages, settings) {
+  // Get API keys with rotation support
+  const keyInfo = getNextApiKey('glm', settings.apiKeys || {});
+  let lastError = null;
+
+  // Try each key, starting from the current one, with 2 complete rounds
+  for (const currentIndex of availableKeyIndices('glm', keyInfo, 2)) {
+    const apiKey = keyInfo.keys[currentIndex];
+    
+    try {
+      // --- ROBUSTNESS GUARD ---
+      if (typeof apiKey !== 'string' || apiKey === '') {
+        throw new Error('GLM API key is invalid or empty.');
+      }
+      // --- END GUARD ---
+      
+      const model = settings.model || "glm-4.5-flash"; // Default model
+
+      // Prepare the request payload
+      const requestBody = {
+        model: model,
+        messages: messages,
+        thinking: {
+          type: "enabled"  // Enable thinking mode for complex reasoning
+        },
+        ...samplerParams(settings, { temperature: 0.6, max_tokens: 1024, top_p: 0.95 }),
+        stream: !!settings.stream,
+        do_sample: true
+      };
+
+      const response = await fetch("https://open.bigmodel.cn/api/paas/v4/chat/completions", {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(requestBody),
+        signal: settings.signal
+      });
+
+      if (!response.ok) {
+        let errorData = {};
+        try {
+          errorData = await response.json();
+        } catch (jsonError) {
+          errorData.message = response.statusText;
+        }
+        console.error("GLM API error:", errorData);
+        throw new Error(`GLM API request failed: ${response.status} ${JSON.stringify(errorData)}`);
+      }
+
+      if (settings.stream) {
+        let aggregated = '';
+        let reasoningAgg = '';
+        await parseSSEStream(response, async (json) => {
+          // Typical shapes: {choices:[{delta:{content:'x'}}]} or reasoning_content
+          if (json?.choices && Array.isArray(json.choices)) {
+            for (const choice of json.choices) {
+              const delta = choice.delta || {};
+              if (typeof delta.content === 'string') {
+                aggregated += delta.content;
+                if (typeof settings.onToken === 'function') settings.onToken(delta.content);
+              }
+              if (typeof delta.reasoning_content === 'string') {
+                reasoningAgg += delta.reasoning_content;
+                emitReasoning(settings, delta.reasoning_content);
+              }
+            }
+          } else if (typeof json.reasoning_content === 'string') {
+            reasoningAgg += json.reasoning_content;
+            emitReasoning(settings, json.reasoning_content);
+          } else if (typeof json.content === 'string') {
+            aggregated += json.content;
+            if (typeof settings.onToken === 'function') settings.onToken(json.content);
+          }
+        });
+        const final = (reasoningAgg ? `<think>${reasoningAgg}</think>\n` : '') + aggregated;
+        markApiKeySuccess('glm', currentIndex, keyInfo.keys.length);
+        return final;
+      } else {
+        const data = await response.json();
+        if (!data.choices || !data.choices[0] || !data.choices[0].message || typeof data.choices[0].message.content === 'undefined') {
+          console.error("GLM API response format unexpected:", data);
+          throw new Error('GLM API response format unexpected.');
+        }
+        const message = data.choices[0].message;
+        const reasoningContent = message.reasoning_content;
+        const content = message.content;
+        let responseText = '';
+        if (reasoningContent && typeof reasoningContent === 'string' && reasoningContent.trim().length > 0) {
+          responseText = `<think>${reasoningContent.trim()}</think>\n${content || ''}`;
+        } else {
+          responseText = content || '';
+        }
+        markApiKeySuccess('glm', currentIndex, keyInfo.keys.length);
+        return responseText;
+      }
+      
+    } catch (error) {
+      throwIfAborted(settings.signal);
+      console.error(`GLM API key ${currentIndex + 1} failed:`, error.message);
+      markApiKeyFailure('glm', currentIndex, error);
+      lastError = error;
+    }
+  }
+  
+  // All keys failed
+  throw new Error(`All GLM API keys failed. Last error: ${lastError.message || 'Unknown error'}`);
+}
+
+registerProvider({
+  name: 'glm',
+  label: 'GLM (BigModel.cn)',
+  auth: 'apiKeys',
+  capabilities: {
+    streaming: true,
+    reasoning: true,
+    systemRole: true,
+    multipleSystemMessages: true,
+    stopSequences: true,
+    logitBias: false
+  },
+  samplers: { temperature: 'temperature', topP: 'top_p', maxTokens: 'max_tokens', stop: 'stop' },
+  defaultModel: 'glm-4.5-flash',
+  contextLength: 131072,
+  models: [
+    { id: "glm-4.5-flash", name: "GLM-4.5 Flash", free: true },
+    { id: "glm-z1-flash", name: "GLM-Z1 Flash", contextLength: 32768, free: true },
+    { id: "glm-4.5", name: "GLM-4.5", trial: true },
+    { id: "glm-4.5-air", name: "GLM-4.5 Air", trial: true }
+  ],
+  generate
+});
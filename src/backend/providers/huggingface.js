@@ -0,0 +1,127 @@
+// HuggingFace Inference Providers; models are routed to the inference provider listed with them
+import { registerProvider } from '../provider-registry.js';
+import { OPENAI_SAMPLER_FIELDS, samplerParams } from '../samplers.js';
+import { getNextApiKey, markApiKeySuccess, markApiKeyFailure, availableKeyIndices, throwIfAborted } from '../provider-utils.js';
+
+async function generate(messages, settings) {
+  const { HfInference } = await import("@huggingface/inference");
+  
+  // Get API keys with rotation support
+  const keyInfo = getNextApiKey('huggingface', settings.apiKeys || {});
+  let lastError = null;
+
+  // Map HF models to specific underlying providers (needed for some models)
+  const modelProviderMapping = {
+    "alpindale/WizardLM-2-8x22B": "novita",
+    "deepseek-ai/DeepSeek-V3-0324": "sambanova",
+    "cognitivecomputations/dolphin-2.9.2-mixtral-8x22b": "nebius",
+    "HuggingFaceH4/zephyr-7b-beta": "hf-inference", // Uses HF directly
+    "meta-llama/Llama-3.3-70B-Instruct": "nebius",
+    "Sao10K/L3-8B-Stheno-v3.2": "novita",
+    "Sao10K/L3-8B-Lunaris-v1": "novita"
+  };
+
+  // Try each key once, starting from the current one
+  for (const currentIndex of availableKeyIndices('huggingface', keyInfo, 1)) {
+    const apiKey = keyInfo.keys[currentIndex];
+    
+    try {
+      // --- ROBUSTNESS GUARD ---
+      if (typeof apiKey !== 'string' || apiKey === '') {
+        throw new Error('HuggingFace API key is invalid or empty.');
+      }
+      // --- END GUARD ---
+      
+      const client = new HfInference(apiKey);
+      
+      // Simple format for HF
+      const formattedMessages = messages.map(msg => ({
+        role: msg.role,
+        content: msg.content
+      }));
+
+      const model = settings.model || "meta-llama/Llama-3.3-70B-Instruct"; // Default model
+      
+      // Determine the provider to use
+      const provider = settings.providerOverride || 
+                       modelProviderMapping[model] || 
+                       "nebius"; // Fallback provider
+      
+      console.log(`Using provider "${provider}" for model "${model}"`);
+
+      let output = "";
+      const streamEnabled = !!settings.stream;        
+      if (streamEnabled) {
+        const stream = client.chatCompletionStream({
+          model: model,
+          messages: formattedMessages,
+          ...samplerParams(settings, { temperature: 0.7, max_tokens: 2048, top_p: 0.9 }),
+          provider: provider
+        }, { signal: settings.signal });
+        for await (const chunk of stream) {
+          if (chunk.choices && chunk.choices.length > 0) {
+            const newContent = chunk.choices[0].delta.content;
+            if (newContent) {
+              output += newContent;
+              if (typeof settings.onToken === 'function') settings.onToken(newContent);
+            }
+          }
+        }
+      } else {
+        // Non-streaming fallback: still use streaming API but buffer silently
+        const stream = client.chatCompletionStream({
+          model: model,
+          messages: formattedMessages,
+          ...samplerParams(settings, { temperature: 0.7, max_tokens: 2048, top_p: 0.9 }),
+          provider: provider
+        }, { signal: settings.signal });
+        for await (const chunk of stream) {
+          if (chunk.choices && chunk.choices.length > 0) {
+            const newContent = chunk.choices[0].delta.content;
+            if (newContent) output += newContent;
+          }
+        }
+      }
+      if (output === "") {
+        console.warn("HuggingFace stream finished without generating content.");
+      }
+      markApiKeySuccess('huggingface', currentIndex, keyInfo.keys.length);
+      return output;
+      
+    } catch (error) {
+      throwIfAborted(settings.signal);
+      console.error(`HuggingFace API key ${currentIndex + 1} failed:`, error.message);
+      markApiKeyFailure('huggingface', currentIndex, error);
+      lastError = error;
+    }
+  }
+  
+  // All keys failed
+  throw new Error(`All HuggingFace API keys failed. Last error: ${lastError.message || 'Unknown error'}`);
+}
+
+registerProvider({
+  name: 'huggingface',
+  label: 'HuggingFace',
+  auth: 'apiKeys',
+  capabilities: {
+    streaming: true,
+    reasoning: false,
+    systemRole: true,
+    multipleSystemMessages: true,
+    stopSequences: true,
+    logitBias: false
+  },
+  samplers: OPENAI_SAMPLER_FIELDS,
+  defaultModel: 'meta-llama/Llama-3.3-70B-Instruct',
+  models: [
+    { id: "meta-llama/Llama-3.3-70B-Instruct", name: "Llama 3.3 70B Instruct", provider: "nebius", contextLength: 131072 },
+    { id: "deepseek-ai/DeepSeek-V3-0324", name: "DeepSeek V3", provider: "sambanova", contextLength: 131072 },
+    { id: "alpindale/WizardLM-2-8x22B", name: "WizardLM 2 8x22B", provider: "novita", contextLength: 65536 },
+    { id: "cognitivecomputations/dolphin-2.9.2-mixtral-8x22b", name: "Dolphin 2.9.2 Mixtral 8x22B", provider: "nebius", contextLength: 65536 },
+    { id: "HuggingFaceH4/zephyr-7b-beta", name: "Zephyr 7B Beta", provider: "hf-inference", contextLength: 32768 },
+    { id: "Sao10K/L3-8B-Stheno-v3.2", name: "L3 8B Stheno v3.2", provider: "novita", contextLength: 8192 },
+    { id: "Sao10K/L3-8B-Lunaris-v1", name: "L3 8B Lunaris v1", provider: "novita", contextLength: 8192 }
+  ],
+  generate
+});
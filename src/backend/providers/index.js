@@ -0,0 +1,16 @@
+// Built-in chat providers. Each module registers itself with the provider registry; the import
+// order is the order the settings UI lists them in. Plugins are loaded separately (loadProviderPlugins).
+import './gemini.js';
+import './openrouter.js';
+import './huggingface.js';
+import './mistral.js';
+import './cohere.js';
+import './aionlabs.js';
+import './nvidia.js';
+import './chutes.js';
+import './glm.js';
+import './ollama.js';
+import './koboldcpp.js';
+import './mock.js';
+import './requesty.js';
+import './openai-compatible.js';
@@ -0,0 +1,143 @@
+// KoboldCpp native API: text completion, so the chat is rendered with an instruct template
+// (settings.koboldcpp.promptFormat). Streams from /api/extra/generate/stream.
+import { registerProvider } from '../provider-registry.js';
+import { samplerParams } from '../samplers.js';
+import { throwIfAborted, parseSSEStream, getLocalServerUrl } from '../provider-utils.js';
+
+// Instruct templates for KoboldCpp's plain text completion API
+const KOBOLDCPP_PROMPT_FORMATS = {
+  chatml: {
+    system: '<|im_start|>system\n', user: '<|im_start|>user\n', assistant: '<|im_start|>assistant\n',
+    end: '<|im_end|>\n', stop: ['<|im_end|>', '<|im_start|>']
+  },
+  llama3: {
+    system: '<|start_header_id|>system<|end_header_id|>\n\n', user: '<|start_header_id|>user<|end_header_id|>\n\n',
+    assistant: '<|start_header_id|>assistant<|end_header_id|>\n\n', end: '<|eot_id|>', stop: ['<|eot_id|>']
+  },
+  alpaca: {
+    system: '', user: '### Instruction:\n', assistant: '### Response:\n', end: '\n\n', stop: ['### Instruction:']
+  },
+  mistral: {
+    system: '[INST] ', user: '[INST] ', assistant: '', end: ' [/INST]', assistantEnd: '</s>', stop: ['[INST]', '</s>']
+  }
+};
+
+function renderInstructPrompt(messages, format) {
+  let prompt = '';
+  for (const message of messages) {
+    const content = typeof message.content === 'string' ? message.content : '';
+    if (message.role === 'assistant') {
+      prompt += `${format.assistant}${content}${format.assistantEnd ?? format.end}`;
+    } else {
+      prompt += `${message.role === 'system' ? format.system : format.user}${content}${format.end}`;
+    }
+  }
+  return prompt + format.assistant;
+}
+
+// KoboldCpp serves a single loaded model (GET /api/v1/model)
+async function listKoboldCppModels(settings = {}, timeoutMs = 5000) {
+  const response = await fetch(`${getLocalServerUrl('koboldcpp', settings)}/api/v1/model`, { signal: AbortSignal.timeout(timeoutMs) });
+  if (!response.ok) throw new Error(`Model list request failed: ${response.status} ${response.statusText}`);
+  const data = await response.json();
+  const loaded = typeof data?.result === 'string' ? data.result.replace(/^koboldcpp\//, '') : '';
+  return loaded ? [{ id: loaded, name: `${loaded} (loaded)` }] : [];
+}
+
+async function generate(messages, settings) {
+  const baseUrl = getLocalServerUrl('koboldcpp', settings);
+  const format = KOBOLDCPP_PROMPT_FORMATS[settings.koboldcpp?.promptFormat] || KOBOLDCPP_PROMPT_FORMATS.chatml;
+  // The user's stop sequences come after the prompt format's own
+  const { stop_sequence: extraStops = [], ...params } = samplerParams(settings, { max_length: 512, temperature: 0.7, top_p: 0.9 });
+  const requestPayload = {
+    prompt: renderInstructPrompt(messages, format),
+    max_context_length: settings.maxContextTokens || 8192,
+    ...params,
+    stop_sequence: [...format.stop, ...extraStops]
+  };
+
+  // KoboldCpp keeps generating after the client disconnects unless it is told to stop
+  settings.signal?.addEventListener('abort', () => {
+    fetch(`${baseUrl}/api/extra/abort`, { method: 'POST' }).catch(() => {});
+  }, { once: true });
+
+  const streaming = !!settings.stream;
+  let response;
+  try {
+    response = await fetch(`${baseUrl}${streaming ? '/api/extra/generate/stream' : '/api/v1/generate'}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(requestPayload),
+      signal: settings.signal
+    });
+  } catch (error) {
+    throwIfAborted(settings.signal);
+    throw new Error(`KoboldCpp: Network error contacting ${baseUrl} (${error.message})`);
+  }
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => response.statusText);
+    console.error('KoboldCpp API error:', errorText);
+    throw new Error(`KoboldCpp API request failed: ${response.status} ${errorText}`);
+  }
+
+  if (streaming) {
+    let contentAgg = '';
+    await parseSSEStream(response, async (json) => {
+      if (typeof json?.token === 'string' && json.token) {
+        contentAgg += json.token;
+        if (typeof settings.onToken === 'function') settings.onToken(json.token);
+      }
+    });
+    return contentAgg.trim();
+  }
+
+  const data = await response.json();
+  const text = data?.results?.[0]?.text;
+  if (typeof text !== 'string') {
+    console.error('KoboldCpp API response format unexpected:', data);
+    throw new Error('KoboldCpp API response format unexpected.');
+  }
+  return text.trim();
+}
+
+registerProvider({
+  name: 'koboldcpp',
+  label: 'KoboldCpp (local)',
+  auth: 'none',
+  capabilities: {
+    streaming: true,
+    reasoning: false,
+    systemRole: true,
+    multipleSystemMessages: true,
+    stopSequences: true,
+    logitBias: true
+  },
+  samplers: {
+    temperature: 'temperature',
+    topP: 'top_p',
+    topK: 'top_k',
+    minP: 'min_p',
+    repetitionPenalty: 'rep_pen',
+    presencePenalty: 'presence_penalty',
+    maxTokens: 'max_length',
+    stop: 'stop_sequence',
+    seed: 'sampler_seed',
+    // Text is banned as is (banned_tokens), token ids through a logit bias
+    bannedTokens: (tokens) => {
+      const phrases = tokens.filter(token => typeof token === 'string');
+      const ids = tokens.filter(token => Number.isInteger(token));
+      return {
+        ...(phrases.length > 0 ? { banned_tokens: phrases } : {}),
+        ...(ids.length > 0 ? { logit_bias: Object.fromEntries(ids.map(id => [id, -100])) } : {})
+      };
+    }
+  },
+  local: true,
+  listModels: listKoboldCppModels,
+  generate
+});
+
+export {
+  KOBOLDCPP_PROMPT_FORMATS,
+  listKoboldCppModels
+};
@@ -0,0 +1,108 @@
+// Mistral API (official SDK)
+import { registerProvider } from '../provider-registry.js';
+import { samplerParams } from '../samplers.js';
+import { getNextApiKey, markApiKeySuccess, markApiKeyFailure, availableKeyIndices, throwIfAborted } from '../provider-utils.js';
+import { emitReasoning } from '../reasoning.js';
+
+async function generate(messages, settings) {
+  const { Mistral } = await import('@mistralai/mistralai');
+  
+  // Get API keys with rotation support
+  const keyInfo = getNextApiKey('mistral', settings.apiKeys || {});
+  let lastError = null;
+
+  // Try each key, starting from the current one, with 2 complete rounds
+  for (const currentIndex of availableKeyIndices('mistral', keyInfo, 2)) {
+    const apiKey = keyInfo.keys[currentIndex];
+    
+    try {
+      // --- ROBUSTNESS GUARD ---
+      if (typeof apiKey !== 'string' || apiKey === '') {
+        throw new Error('Mistral API key is invalid or empty.');
+      }
+      // --- END GUARD ---
+      
+      const client = new Mistral({apiKey});
+      const streaming = !!settings.stream;
+      if (streaming) {
+        let aggregated = '';
+        let reasoning = '';
+        const stream = await client.chat.stream({
+          model: settings.model || "mistral-large-latest",
+          messages,
+          ...samplerParams(settings, { temperature: 0.7, maxTokens: 2048, topP: 0.9 })
+        }, { signal: settings.signal });
+        for await (const chunk of stream) {
+          const delta = chunk?.data?.choices?.[0]?.delta;
+          if (!delta) continue;
+          if (typeof delta.content === 'string') {
+            aggregated += delta.content;
+            if (typeof settings.onToken === 'function') settings.onToken(delta.content);
+          }
+          // Placeholder if future reasoning fields appear; we keep parity with other providers
+          if (typeof delta.reasoning === 'string') {
+            reasoning += delta.reasoning;
+            emitReasoning(settings, delta.reasoning);
+          }
+        }
+        markApiKeySuccess('mistral', currentIndex, keyInfo.keys.length);
+        return (reasoning ? `<think>${reasoning}</think>\n` : '') + aggregated;
+      } else {
+        const chatResponse = await client.chat.complete({
+          model: settings.model || "mistral-large-latest",
+          messages: messages,
+          ...samplerParams(settings, { temperature: 0.7, maxTokens: 2048, topP: 0.9 })
+        }, { signal: settings.signal });
+        if (!chatResponse.choices || !chatResponse.choices[0] || !chatResponse.choices[0].message || typeof chatResponse.choices[0].message.content === 'undefined') {
+          console.error("Mistral API response format unexpected:", chatResponse);
+          throw new Error('Mistral API response format unexpected.');
+        }
+        markApiKeySuccess('mistral', currentIndex, keyInfo.keys.length);
+        return chatResponse.choices[0].message.content;
+      }
+      
+    } catch (error) {
+      throwIfAborted(settings.signal);
+      console.error(`Mistral API key ${currentIndex + 1} failed:`, error.message);
+      markApiKeyFailure('mistral', currentIndex, error);
+      lastError = error;
+    }
+  }
+  
+  // All keys failed
+  throw new Error(`All Mistral API keys failed. Last error: ${lastError.message || 'Unknown error'}`);
+}
+
+registerProvider({
+  name: 'mistral',
+  label: 'Mistral',
+  auth: 'apiKeys',
+  capabilities: {
+    streaming: true,
+    reasoning: true,
+    systemRole: true,
+    multipleSystemMessages: true,
+    stopSequences: true,
+    logitBias: false
+  },
+  samplers: {
+    temperature: 'temperature',
+    topP: 'topP',
+    maxTokens: 'maxTokens',
+    frequencyPenalty: 'frequencyPenalty',
+    presencePenalty: 'presencePenalty',
+    stop: 'stop',
+    seed: 'randomSeed'
+  },
+  defaultModel: 'mistral-large-latest',
+  contextLength: 131072,
+  models: [
+    { id: "mistral-large-latest", name: "Mistral Large" },
+    { id: "mistral-medium-latest", name: "Mistral Medium" },
+    { id: "mistral-small-latest", name: "Mistral Small" },
+    { id: "magistral-medium-latest", name: "Magistral Medium", contextLength: 40000 },
+    { id: "magistral-small-latest", name: "Magistral Small", contextLength: 40000 },
+    { id: "open-mistral-nemo", name: "Open Mistral Nemo" }
+  ],
+  generate
+});
@@ -0,0 +1,24 @@
+// Offline mock provider (no network or API keys; configured via settings.mock)
+import { registerProvider } from '../provider-registry.js';
+import { mockChatCompletion } from '../mock-provider.js';
+
+registerProvider({
+  name: 'mock',
+  label: 'Mock (offline, no API key)',
+  auth: 'none',
+  capabilities: {
+    streaming: true,
+    reasoning: false,
+    systemRole: true,
+    multipleSystemMessages: true,
+    stopSequences: false,
+    logitBias: false
+  },
+  local: true,
+  defaultModel: 'mock-chat',
+  contextLength: 32768,
+  models: [
+    { id: "mock-chat", name: "Mock Chat (offline)", free: true }
+  ],
+  generate: mockChatCompletion
+});
@@ -0,0 +1,144 @@
+// NVIDIA NIM (OpenAI-compatible API)
+import { registerProvider } from '../provider-registry.js';
+import { OPENAI_SAMPLER_FIELDS, samplerParams } from '../samplers.js';
+import { getNextApiKey, markApiKeySuccess, markApiKeyFailure, availableKeyIndices, throwIfAborted } from '../provider-utils.js';
+
+async function generate(messages, settings) {
+  // Get API keys with rotation support
+  const keyInfo = getNextApiKey('nvidia', settings.apiKeys || {});
+  let lastError = null;
+
+  // Try each key, starting from the current one, with 2 complete rounds
+  for (const currentIndex of availableKeyIndices('nvidia', keyInfo, 2)) {
+    const apiKey = keyInfo.keys[currentIndex];
+    
+    try {
+      // --- ROBUSTNESS GUARD ---
+      if (typeof apiKey !== 'string' || apiKey === '') {
+        throw new Error('NVIDIA API key is invalid or empty.');
+      }
+      // --- END GUARD ---
+      
+      // Dynamic import for ESM compatibility
+      const OpenAI = (await import('openai')).default;
+      const openai = new OpenAI({
+        apiKey,
+        baseURL: 'https://integrate.api.nvidia.com/v1',
+      });
+      const model = settings.model || 'writer/palmyra-creative-122b';
+
+      // Insert extra system message for Nemotron models only
+      const nemotronModels = [
+        'nvidia/llama-3.1-nemotron-ultra-253b-v1',
+        'nvidia/llama-3.3-nemotron-super-49b-v1',
+        'nvidia/llama-3.3-nemotron-super-49b-v1.5'
+      ];
+      let patchedMessages = messages;
+      if (nemotronModels.includes(model)) {
+        patchedMessages = [
+          { role: 'system', content: 'detailed thinking on' },
+          ...messages
+        ];
+      }
+
+      // Special handling for different models
+      let extraParams = {};
+      if ((model || '').toLowerCase() === 'qwen/qwen3-235b-a22b') {
+        extraParams = { chat_template_kwargs: { thinking: true } };
+      }
+      
+      // Special handling for DeepSeek V3.1: enable thinking mode
+      if (model && model.toLowerCase() === 'deepseek-ai/deepseek-v3.1') {
+        extraParams = { chat_template_kwargs: { thinking: true } };
+      }
+      
+      // Special handling for OpenAI GPT OSS models: add reasoning_effort: "high"
+      if (model && (model.includes('openai/gpt-oss-120b') || model.includes('openai/gpt-oss-20b'))) {
+        extraParams = { reasoning_effort: "high" };
+      }
+
+      const streaming = !!settings.stream;
+      const completion = await openai.chat.completions.create({
+        model,
+        messages: patchedMessages,
+        ...samplerParams(settings, { temperature: 0.7, top_p: 0.9, max_tokens: 2048 }),
+        stream: streaming,
+        ...extraParams
+      }, { signal: settings.signal });
+
+      if (streaming) {
+        // completion here is an async iterable of chunks
+        let aggregated = '';
+        try {
+          for await (const chunk of completion) {
+            const delta = chunk?.choices?.[0]?.delta;
+            const content = delta?.content;
+            if (typeof content === 'string' && content.length) {
+              aggregated += content;
+              if (typeof settings.onToken === 'function') settings.onToken(content);
+            }
+          }
+        } catch (streamErr) {
+          console.error('NVIDIA streaming error:', streamErr?.message || streamErr);
+          throw streamErr;
+        }
+        if (!aggregated) {
+          console.warn('NVIDIA streaming finished with empty content');
+        }
+        markApiKeySuccess('nvidia', currentIndex, keyInfo.keys.length);
+        return aggregated;
+      } else {
+        // Non-stream path: same as before
+        if (completion && completion.choices && completion.choices[0]?.message?.content) {
+          markApiKeySuccess('nvidia', currentIndex, keyInfo.keys.length);
+          return completion.choices[0].message.content;
+        }
+        console.error('NVIDIA NIM API response format unexpected:', completion);
+        throw new Error('NVIDIA NIM API response format unexpected.');
+      }
+      
+    } catch (error) {
+      throwIfAborted(settings.signal);
+      console.error(`NVIDIA NIM API key ${currentIndex + 1} failed:`, error.message);
+      markApiKeyFailure('nvidia', currentIndex, error);
+      lastError = error;
+    }
+  }
+  
+  // All keys failed
+  throw new Error(`All NVIDIA NIM API keys failed. Last error: ${lastError.message || 'Unknown error'}`);
+}
+
+registerProvider({
+  name: 'nvidia',
+  label: 'NVIDIA NIM',
+  auth: 'apiKeys',
+  capabilities: {
+    streaming: true,
+    reasoning: false,
+    systemRole: true,
+    multipleSystemMessages: true,
+    stopSequences: true,
+    logitBias: false
+  },
+  samplers: OPENAI_SAMPLER_FIELDS,
+  defaultModel: 'writer/palmyra-creative-122b',
+  contextLength: 131072,
+  models: [
+    { id: "nvidia/llama-3.3-nemotron-super-49b-v1", name: "Llama 3.3 Nemotron Super 49B" },
+    { id: "nvidia/llama-3.3-nemotron-super-49b-v1.5", name: "Llama 3.3 Nemotron Super 49B v1.5" },
+    { id: "nvidia/llama-3.1-nemotron-ultra-253b-v1", name: "Llama 3.1 Nemotron Ultra 253B" },
+    { id: "moonshotai/kimi-k2-instruct", name: "Kimi K2 Instruct" },
+    { id: "meta/llama-4-scout-17b-16e-instruct", name: "Llama 4 Scout 17B 16E Instruct" },
+    { id: "meta/llama-4-maverick-17b-128e-instruct", name: "Llama 4 Maverick 17B 128E Instruct" },
+    { id: "qwen/qwq-32b", name: "QWQ 32B", contextLength: 32768 },
+    { id: "mistralai/mixtral-8x22b-instruct-v0.1", name: "Mixtral 8x22B Instruct v0.1", contextLength: 65536 },
+    { id: "deepseek-ai/deepseek-r1", name: "DeepSeek R1" },
+    { id: "deepseek-ai/deepseek-r1-0528", name: "DeepSeek R1 (0528)" },
+    { id: "deepseek-ai/deepseek-v3.1", name: "DeepSeek V3.1" },
+    { id: "qwen/qwen3-235b-a22b", name: "Qwen3-235B-A22B", contextLength: 32768 },
+    { id: "openai/gpt-oss-120b", name: "OpenAI GPT OSS 120B" },
+    { id: "openai/gpt-oss-20b", name: "OpenAI GPT OSS 20B" }
+  ],
+  generate
+});
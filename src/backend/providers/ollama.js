@@ -0,0 +1,135 @@
+// Ollama native API (POST /api/chat). Base URL from settings.ollama.baseUrl; models are the ones
+// installed on the server.
+import { registerProvider } from '../provider-registry.js';
+import { samplerParams } from '../samplers.js';
+import { throwIfAborted, getLocalServerUrl } from '../provider-utils.js';
+import { emitReasoning } from '../reasoning.js';
+
+// Ollama streams newline-delimited JSON objects rather than SSE
+async function parseNDJSONStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder('utf-8');
+  let buffer = '';
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        let json;
+        try { json = JSON.parse(line); } catch (e) { continue; }
+        await onEvent(json);
+        if (json.done) return;
+      }
+    }
+    if (buffer.trim()) {
+      try { await onEvent(JSON.parse(buffer)); } catch (e) { /* ignore partial trailing data */ }
+    }
+  } finally {
+    try { reader.cancel(); } catch (e) { /* noop */ }
+  }
+}
+
+// Installed Ollama models (GET /api/tags)
+async function listOllamaModels(settings = {}, timeoutMs = 5000) {
+  const response = await fetch(`${getLocalServerUrl('ollama', settings)}/api/tags`, { signal: AbortSignal.timeout(timeoutMs) });
+  if (!response.ok) throw new Error(`Model list request failed: ${response.status} ${response.statusText}`);
+  const data = await response.json();
+  return (data?.models || []).map(model => ({ id: model.name || model.model, name: model.name || model.model })).filter(model => model.id);
+}
+
+async function generate(messages, settings) {
+  const baseUrl = getLocalServerUrl('ollama', settings);
+  const requestPayload = {
+    model: settings.model,
+    messages: messages.map(m => ({ role: m.role, content: m.content })),
+    stream: !!settings.stream,
+    options: {
+      ...samplerParams(settings, { temperature: 0.7, top_p: 0.9, num_predict: 2048 }),
+      num_ctx: settings.maxContextTokens || undefined
+    }
+  };
+  if (!requestPayload.model) {
+    throw new Error('Ollama: no model selected. Pull a model and pick it in settings.');
+  }
+
+  let response;
+  try {
+    response = await fetch(`${baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(requestPayload),
+      signal: settings.signal
+    });
+  } catch (error) {
+    throwIfAborted(settings.signal);
+    throw new Error(`Ollama: Network error contacting ${baseUrl} (${error.message})`);
+  }
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => response.statusText);
+    console.error('Ollama API error:', errorText);
+    throw new Error(`Ollama API request failed: ${response.status} ${errorText}`);
+  }
+
+  if (requestPayload.stream) {
+    let contentAgg = '';
+    let thinkingAgg = '';
+    await parseNDJSONStream(response, async (json) => {
+      if (json.error) throw new Error(`Ollama API request failed: ${json.error}`);
+      const thinking = json.message?.thinking;
+      if (typeof thinking === 'string' && thinking) {
+        thinkingAgg += thinking;
+        emitReasoning(settings, thinking);
+      }
+      const content = json.message?.content;
+      if (typeof content === 'string' && content) {
+        contentAgg += content;
+        if (typeof settings.onToken === 'function') settings.onToken(content);
+      }
+    });
+    return (thinkingAgg ? `<think>${thinkingAgg}</think>` : '') + contentAgg;
+  }
+
+  const data = await response.json();
+  if (typeof data?.message?.content !== 'string') {
+    console.error('Ollama API response format unexpected:', data);
+    throw new Error('Ollama API response format unexpected.');
+  }
+  return (data.message.thinking ? `<think>${data.message.thinking}</think>` : '') + data.message.content;
+}
+
+registerProvider({
+  name: 'ollama',
+  label: 'Ollama (local)',
+  auth: 'none',
+  capabilities: {
+    streaming: true,
+    reasoning: true,
+    systemRole: true,
+    multipleSystemMessages: true,
+    stopSequences: true,
+    logitBias: false
+  },
+  samplers: {
+    temperature: 'temperature',
+    topP: 'top_p',
+    topK: 'top_k',
+    minP: 'min_p',
+    repetitionPenalty: 'repeat_penalty',
+    frequencyPenalty: 'frequency_penalty',
+    presencePenalty: 'presence_penalty',
+    maxTokens: 'num_predict',
+    stop: 'stop',
+    seed: 'seed'
+  },
+  local: true,
+  listModels: listOllamaModels,
+  generate
+});
+
+export {
+  listOllamaModels
+};
@@ -0,0 +1,139 @@
+// Generic OpenAI-compatible endpoint (llama.cpp, vLLM, Ollama, LM Studio, KoboldCpp, ...).
+// Endpoints are saved in settings.openaiCompatible as [{ id, name, baseUrl, apiKey, headers, models }]
+// and selected with provider names like "openai-compatible:<id>"; getProviderHandler passes the
+// endpoint in settings.endpoint. The registry entry itself is hidden, the endpoints are listed instead.
+import { registerProvider } from '../provider-registry.js';
+import { OPENAI_SAMPLER_FIELDS, logitBiasFromTokens, samplerParams } from '../samplers.js';
+import { throwIfAborted, parseSSEStream } from '../provider-utils.js';
+import { emitReasoning } from '../reasoning.js';
+
+const OPENAI_COMPATIBLE_PREFIX = 'openai-compatible:';
+
+// Accept "http://host:port", ".../v1" or ".../v1/"; the OpenAI routes live under /v1
+function normalizeBaseUrl(baseUrl) {
+  const trimmed = String(baseUrl || '').trim().replace(/\/+$/, '');
+  return /\/v\d+$/.test(trimmed) ? trimmed : `${trimmed}/v1`;
+}
+
+function buildOpenAICompatibleHeaders(endpoint) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (endpoint.apiKey) headers.Authorization = `Bearer ${endpoint.apiKey}`;
+  if (endpoint.headers && typeof endpoint.headers === 'object') {
+    for (const [name, value] of Object.entries(endpoint.headers)) {
+      if (name && value != null) headers[name] = String(value);
+    }
+  }
+  return headers;
+}
+
+// Ask an endpoint for its models (GET /v1/models). Throws on network/HTTP errors.
+async function listOpenAICompatibleModels(endpoint, timeoutMs = 5000) {
+  const response = await fetch(`${normalizeBaseUrl(endpoint.baseUrl)}/models`, {
+    headers: buildOpenAICompatibleHeaders(endpoint),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  if (!response.ok) {
+    throw new Error(`Model list request failed: ${response.status} ${response.statusText}`);
+  }
+  const data = await response.json();
+  // OpenAI format is { data: [{ id }] }; some servers answer { models: [{ name }] } or a bare array
+  const list = Array.isArray(data) ? data : (data?.data || data?.models || []);
+  return list
+    .map(model => (typeof model === 'string' ? model : model?.id || model?.name))
+    .filter(Boolean)
+    .map(id => ({ id, name: id }));
+}
+
+async function generate(messages, settings) {
+  const endpoint = settings.endpoint;
+  if (!endpoint || !endpoint.baseUrl) {
+    throw new Error('OpenAI-compatible provider is not configured (missing base URL).');
+  }
+  const label = endpoint.name || endpoint.baseUrl;
+
+  const requestPayload = {
+    model: settings.model || endpoint.models?.[0],
+    messages,
+    stream: !!settings.stream,
+    ...samplerParams(settings, { max_tokens: 2048, temperature: 0.7, top_p: 0.9 })
+  };
+
+  let response;
+  try {
+    response = await fetch(`${normalizeBaseUrl(endpoint.baseUrl)}/chat/completions`, {
+      method: 'POST',
+      headers: buildOpenAICompatibleHeaders(endpoint),
+      body: JSON.stringify(requestPayload),
+      signal: settings.signal
+    });
+  } catch (error) {
+    throwIfAborted(settings.signal);
+    throw new Error(`${label}: Network error contacting ${endpoint.baseUrl} (${error.message})`);
+  }
+
+  if (!response.ok) {
+    let errorData = {};
+    try { errorData = await response.json(); } catch (jsonError) { errorData.message = response.statusText; }
+    console.error(`${label} API error:`, errorData);
+    throw new Error(`${label} API request failed: ${response.status} ${JSON.stringify(errorData)}`);
+  }
+
+  // Some local servers ignore stream:true for certain models and answer with plain JSON
+  const isEventStream = (response.headers.get('content-type') || '').includes('text/event-stream');
+  if (requestPayload.stream && isEventStream) {
+    let contentAgg = '';
+    let reasoningAgg = '';
+    await parseSSEStream(response, async (json) => {
+      const delta = json?.choices?.[0]?.delta;
+      if (!delta) return;
+      if (typeof delta.content === 'string' && delta.content) {
+        contentAgg += delta.content;
+        if (typeof settings.onToken === 'function') settings.onToken(delta.content);
+      }
+      const reasoning = delta.reasoning_content ?? delta.reasoning;
+      if (typeof reasoning === 'string' && reasoning) {
+        reasoningAgg += reasoning;
+        emitReasoning(settings, reasoning);
+      }
+    });
+    return (reasoningAgg ? `<think>${reasoningAgg}</think>` : '') + contentAgg;
+  }
+
+  const data = await response.json();
+  const message = data?.choices?.[0]?.message;
+  if (!message || typeof message.content !== 'string') {
+    console.error(`${label} API response format unexpected:`, data);
+    throw new Error(`${label} API response format unexpected.`);
+  }
+  const reasoning = message.reasoning_content ?? message.reasoning;
+  return (typeof reasoning === 'string' && reasoning ? `<think>${reasoning}</think>` : '') + message.content;
+}
+
+registerProvider({
+  name: 'openai-compatible',
+  label: 'OpenAI-compatible',
+  auth: 'none',
+  capabilities: {
+    streaming: true,
+    reasoning: true,
+    systemRole: true,
+    multipleSystemMessages: true,
+    stopSequences: true,
+    logitBias: true
+  },
+  // top_k, min_p and repetition_penalty are understood by llama.cpp, vLLM and most local servers
+  samplers: {
+    ...OPENAI_SAMPLER_FIELDS,
+    topK: 'top_k',
+    minP: 'min_p',
+    repetitionPenalty: 'repetition_penalty',
+    bannedTokens: logitBiasFromTokens
+  },
+  hidden: true,
+  generate
+});
+
+export {
+  OPENAI_COMPATIBLE_PREFIX,
+  listOpenAICompatibleModels
+};
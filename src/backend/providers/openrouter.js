@@ -0,0 +1,149 @@
+// OpenRouter (OpenAI-compatible), including reasoning for the models that return it
+import { registerProvider } from '../provider-registry.js';
+import { OPENAI_SAMPLER_FIELDS, logitBiasFromTokens, samplerParams } from '../samplers.js';
+import { getNextApiKey, markApiKeySuccess, markApiKeyFailure, availableKeyIndices, throwIfAborted } from '../provider-utils.js';
+import { emitReasoning } from '../reasoning.js';
+
+async function generate(messages, settings) {
+  const OpenAI = (await import('openai')).default;
+
+  // Get API keys with rotation support
+  const keyInfo = getNextApiKey('openrouter', settings.apiKeys || {});
+  let lastError = null;
+
+  // Try each key, starting from the current one, with 2 complete rounds
+  for (const currentIndex of availableKeyIndices('openrouter', keyInfo, 2)) {
+    const apiKey = keyInfo.keys[currentIndex];
+
+    try {
+      // --- ROBUSTNESS GUARD ---
+      if (typeof apiKey !== 'string' || apiKey === '') {
+        throw new Error('OpenRouter API key is invalid or empty.');
+      }
+      // --- END GUARD ---
+
+      const openai = new OpenAI({
+        baseURL: 'https://openrouter.ai/api/v1',
+        apiKey: apiKey,
+        defaultHeaders: {
+          "HTTP-Referer": settings.siteUrl || "http://localhost:3000",
+          "X-Title": settings.siteName || "Local Roleplay Bot",
+        }
+      });
+
+      const model = settings.model || "deepseek/deepseek-chat-v3-0324:free";
+
+      // Enable reasoning for models that support it
+      let reasoningParams = {};
+      if (model.includes('deepseek') || model.includes('r1') || model.includes('GLM') || model.includes('R1T2')) {
+        reasoningParams = {
+          reasoning: {
+            exclude: false,
+          }
+        };
+      }
+
+      const streamEnabled = !!settings.stream;
+      let aggregated = '';
+      let reasoningAgg = '';
+      if (streamEnabled) {
+        const response = await openai.chat.completions.create({
+          model: model,
+          messages: messages,
+          ...samplerParams(settings, { temperature: 0.7, max_tokens: 2048, top_p: 0.9 }),
+          stream: true,
+          ...reasoningParams
+        }, { signal: settings.signal });
+        for await (const chunk of response) {
+          const choice = chunk.choices && chunk.choices[0];
+          if (choice && choice.delta) {
+            const deltaReasoning = choice.delta.reasoning;
+            const deltaContent = choice.delta.content;
+            if (deltaReasoning) {
+              reasoningAgg += deltaReasoning;
+              emitReasoning(settings, deltaReasoning);
+            }
+            if (deltaContent) {
+              aggregated += deltaContent;
+              if (typeof settings.onToken === 'function') settings.onToken(deltaContent);
+            }
+          }
+        }
+        markApiKeySuccess('openrouter', currentIndex, keyInfo.keys.length);
+        return (reasoningAgg ? `<think>${reasoningAgg}</think>\n` : '') + aggregated;
+      } else {
+        const response = await openai.chat.completions.create({
+          model: model,
+          messages: messages,
+          ...samplerParams(settings, { temperature: 0.7, max_tokens: 2048, top_p: 0.9 }),
+          ...reasoningParams
+        }, { signal: settings.signal });
+
+        // Check response structure
+        if (!response.choices || !response.choices[0] || !response.choices[0].message) {
+          console.error("OpenRouter API response format unexpected:", response);
+          throw new Error('OpenRouter API response format unexpected.');
+        }
+
+          const message = response.choices[0].message;
+          const reasoning = message.reasoning;
+          const content = message.content;
+
+          let responseText = '';
+          if (reasoning && typeof reasoning === 'string' && reasoning.trim().length > 0) {
+            responseText = `<think>${reasoning.trim()}</think>\n${content || ''}`;
+          } else {
+            responseText = content || '';
+          }
+          markApiKeySuccess('openrouter', currentIndex, keyInfo.keys.length);
+          return responseText;
+      }
+
+    } catch (error) {
+      throwIfAborted(settings.signal);
+      console.error(`OpenRouter API key ${currentIndex + 1} failed:`, error.message);
+      markApiKeyFailure('openrouter', currentIndex, error);
+      lastError = error;
+    }
+  }
+
+  // All keys failed
+  throw new Error(`All OpenRouter API keys failed. Last error: ${lastError.message || 'Unknown error'}`);
+}
+
+registerProvider({
+  name: 'openrouter',
+  label: 'OpenRouter',
+  auth: 'apiKeys',
+  capabilities: {
+    streaming: true,
+    reasoning: true,
+    systemRole: true,
+    multipleSystemMessages: true,
+    stopSequences: true,
+    logitBias: true
+  },
+  samplers: {
+    ...OPENAI_SAMPLER_FIELDS,
+    topK: 'top_k',
+    minP: 'min_p',
+    repetitionPenalty: 'repetition_penalty',
+    bannedTokens: logitBiasFromTokens
+  },
+  defaultModel: 'deepseek/deepseek-chat-v3-0324:free',
+  models: [
+    { id: "openrouter/horizon-alpha", name: "Horizon Alpha", contextLength: 256000 },
+    { id: "arliai/qwq-32b-arliai-rpr-v1:free", name: "QWQ 32B RPR", contextLength: 32768, free: true },
+    { id: "deepseek/deepseek-chat-v3-0324:free", name: "DeepSeek Chat v3", contextLength: 163840, free: true },
+    { id: "deepseek/deepseek-r1:free", name: "DeepSeek R1 (Free)", contextLength: 163840, free: true },
+    { id: "deepseek/deepseek-r1-0528:free", name: "DeepSeek R1 (0528, Free)", contextLength: 163840, free: true },
+    { id: "tngtech/deepseek-r1t2-chimera:free", name: "TNG DeepSeek R1T2 Chimera (Free)", contextLength: 163840, free: true },
+    { id: "tencent/hunyuan-a13b-instruct:free", name: "Tencent Hunyuan A13B Instruct (Free)", contextLength: 32768, free: true },
+    { id: "rekaai/reka-flash-3:free", name: "Reka Flash 3", contextLength: 32768, free: true },
+    { id: "moonshotai/moonlight-16b-a3b-instruct:free", name: "Moonlight 16B", contextLength: 8192, free: true },
+    { id: "cognitivecomputations/dolphin3.0-mistral-24b:free", name: "Dolphin 3.0 Mistral 24B", contextLength: 32768, free: true },
+    { id: "moonshotai/kimi-k2:free", name: "Kimi K2 (Free)", contextLength: 32768, free: true },
+    { id: "z-ai/glm-4.5-air:free", name: "GLM-4.5-Air (Free)", contextLength: 131072, free: true }
+  ],
+  generate
+});
@@ -0,0 +1,65 @@
+// Requesty router. No longer offered in the settings, kept for saved settings that still use it.
+import { registerProvider } from '../provider-registry.js';
+import { OPENAI_SAMPLER_FIELDS, samplerParams } from '../samplers.js';
+import { throwIfAborted } from '../provider-utils.js';
+
+async function generate(messages, settings) {
+  const apiKey = settings.apiKeys?.requesty || settings.apiKey;
+  if (!apiKey) {
+    throw new Error('No API key found for Requesty');
+  }
+  try {
+    const response = await fetch("https://router.requesty.ai/v1/chat/completions", {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${apiKey}`,
+        "Content-Type": "application/json",
+        "HTTP-Referer": settings.siteUrl || "http://localhost:3000",
+        "X-Title": settings.siteName || "Local Roleplay Bot"
+      },
+      body: JSON.stringify({
+        model: settings.model || "google/gemini-2.0-flash-exp",
+        messages: messages,
+        ...samplerParams(settings, { temperature: 0.7, max_tokens: 2048, top_p: 0.9 })
+      }),
+      signal: settings.signal
+    });
+
+    if (!response.ok) {
+      let errorData = {};
+      try { errorData = await response.json(); } catch (jsonError) { errorData.message = response.statusText; }
+      console.error("Requesty API error:", errorData);
+      throw new Error(`Requesty API request failed: ${response.status} ${JSON.stringify(errorData)}`);
+    }
+
+    const data = await response.json();
+    if (!data.choices || !data.choices[0] || !data.choices[0].message || typeof data.choices[0].message.content === 'undefined') {
+      console.error("Requesty API response format unexpected:", data);
+      throw new Error('Requesty API response format unexpected.');
+    }
+    return data.choices[0].message.content;
+  } catch (error) {
+    throwIfAborted(settings.signal);
+    console.error("Requesty request failed:", error.message || error);
+    throw new Error(`Requesty request failed: ${error.message || 'Network error or unexpected issue'}`);
+  }
+}
+
+registerProvider({
+  name: 'requesty',
+  label: 'Requesty',
+  auth: 'apiKeys',
+  capabilities: {
+    streaming: false,
+    reasoning: false,
+    systemRole: true,
+    multipleSystemMessages: true,
+    stopSequences: true,
+    logitBias: false
+  },
+  samplers: OPENAI_SAMPLER_FIELDS,
+  analysis: false,
+  hidden: true,
+  defaultModel: 'google/gemini-2.0-flash-exp',
+  generate
+});
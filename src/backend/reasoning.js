@@ -0,0 +1,67 @@
+// Model reasoning ("thinking") is kept apart from the reply: it is stored in its own message
+// field and left out of prompt history and memory analysis unless a setting asks for it.
+// Providers hand reasoning over through settings.onReasoning; text that still arrives inline as
+// <think>...</think> (or <thinking>) is split out here.
+
+const THINK_BLOCK = /<think(?:ing)?>([\s\S]*?)<\/think(?:ing)?>/gi;
+const OPEN_TAG = /<think(?:ing)?>/i;
+const CLOSE_TAG = /<\/think(?:ing)?>/i;
+
+// Split a raw reply into { content, reasoning }. Also handles an unclosed block (truncated
+// output) and a lone closing tag (chat templates that open the block inside the prompt).
+function splitReasoning(text) {
+  if (typeof text !== 'string' || !/<\/?think/i.test(text)) return { content: text, reasoning: '' };
+
+  const parts = [];
+  let content = text;
+  const loneClose = content.search(CLOSE_TAG);
+  const firstOpen = content.search(OPEN_TAG);
+  if (loneClose >= 0 && (firstOpen < 0 || loneClose < firstOpen)) {
+    parts.push(content.slice(0, loneClose).trim());
+    content = content.slice(loneClose).replace(CLOSE_TAG, '');
+  }
+  content = content.replace(THINK_BLOCK, (_, inner) => {
+    parts.push(inner.trim());
+    return '';
+  });
+  const unclosed = content.search(OPEN_TAG);
+  if (unclosed >= 0) {
+    parts.push(content.slice(unclosed).replace(OPEN_TAG, '').trim());
+    content = content.slice(0, unclosed);
+  }
+
+  return { content: content.trim(), reasoning: parts.filter(Boolean).join('\n\n') };
+}
+
+// Reasoning of a stored message, including any legacy inline blocks still in its content
+function getMessageReasoning(message) {
+  const inline = splitReasoning(message?.content).reasoning;
+  return [message?.reasoning, inline].filter(Boolean).join('\n\n');
+}
+
+// Text of a message for prompts and analysis transcripts. With includeReasoning the reasoning
+// is put back in front of the reply as a <think> block.
+function messageTextForPrompt(message, includeReasoning = false) {
+  const { content } = splitReasoning(message?.content);
+  if (typeof content !== 'string') return '';
+  const reasoning = includeReasoning ? getMessageReasoning(message) : '';
+  return reasoning ? `<think>${reasoning}</think>\n${content}` : content;
+}
+
+// Hand a reasoning chunk to the caller: settings.onReasoning when given, otherwise the token
+// stream as an inline <think> block (split out again when the reply is stored)
+function emitReasoning(settings, text) {
+  if (!text) return;
+  if (typeof settings.onReasoning === 'function') {
+    settings.onReasoning(text);
+  } else if (typeof settings.onToken === 'function') {
+    settings.onToken(`<think>${text}</think>`);
+  }
+}
+
+export {
+  splitReasoning,
+  getMessageReasoning,
+  messageTextForPrompt,
+  emitReasoning
+};
@@ -0,0 +1,258 @@
+// Relationship tracking: how a character regards each named participant (the user and NPCs).
+// Every relationship has an overall sentiment (-1..1) with a status label derived from it, plus
+// a value (-1..1) per relationship axis. Axes are configurable per character; the journal
+// analysis reports changes per participant and each change is kept in relationship_history
+// together with the memory that caused it.
+import { getDatabase } from './database.js';
+
+const DEFAULT_RELATIONSHIP_AXES = ['trust', 'affection', 'respect', 'fear'];
+const MAX_AXES = 8;
+const MAX_STEP = 0.5; // largest change a single journal entry can make to one value
+const MAX_PROMPT_RELATIONSHIPS = 12;
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function round2(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+// Axis names: lowercase words, unique, at most MAX_AXES
+function normalizeAxes(axes) {
+  if (!Array.isArray(axes)) return [];
+  const names = axes
+    .map(axis => typeof axis === 'string' ? axis.trim().toLowerCase().replace(/\s+/g, ' ') : '')
+    .filter(axis => /^[a-z][a-z _-]{0,23}$/.test(axis));
+  return [...new Set(names)].slice(0, MAX_AXES);
+}
+
+// The axes a character tracks (its own list, or the defaults when it has none)
+function getRelationshipAxes(character) {
+  const axes = normalizeAxes(character?.relationshipAxes);
+  return axes.length > 0 ? axes : DEFAULT_RELATIONSHIP_AXES;
+}
+
+function statusFromSentiment(sentiment) {
+  if (sentiment > 0.4) return 'friendly';
+  if (sentiment > 0.1) return 'acquaintance';
+  if (sentiment < -0.4) return 'hostile';
+  if (sentiment < -0.1) return 'wary';
+  return 'neutral';
+}
+
+// Copy of a relationships map with every entry complete. Relationships saved before participants
+// were tracked by name live under the key 'user'; they are moved to the user's name.
+function normalizeRelationships(relationships, userName = 'User') {
+  const result = {};
+  for (const [name, relationship] of Object.entries(relationships || {})) {
+    const key = name === 'user' && !(relationships || {})[userName] ? userName : name;
+    const sentiment = clamp(Number(relationship?.sentiment) || 0, -1, 1);
+    result[key] = {
+      status: relationship?.status || statusFromSentiment(sentiment),
+      sentiment,
+      axes: { ...(relationship?.axes || {}) },
+      updatedAt: relationship?.updatedAt || null
+    };
+  }
+  return result;
+}
+
+function findParticipantKey(relationships, name) {
+  const lower = name.toLowerCase();
+  return Object.keys(relationships).find(key => key.toLowerCase() === lower) || name;
+}
+
+// Apply the relationship changes of one journal analysis to a character's relationships.
+// analysisResult.relationshipDelta moves the sentiment towards the user (as it always has);
+// analysisResult.relationshipChanges = [{ participant, sentiment, axes: { axis: delta }, reason }]
+// moves anyone else and the user's axes. Returns { relationships, changes } where changes
+// holds one entry per participant that actually changed.
+function applyRelationshipChanges(current, analysisResult, { axes = DEFAULT_RELATIONSHIP_AXES, userName = 'User', characterName = '', timestamp = Date.now() } = {}) {
+  const relationships = normalizeRelationships(current, userName);
+  const reported = Array.isArray(analysisResult?.relationshipChanges) ? analysisResult.relationshipChanges : [];
+
+  const pending = new Map(); // participant key -> { sentimentDelta, axesDelta, reason }
+  const entryFor = (name) => {
+    const key = findParticipantKey(relationships, name);
+    if (!pending.has(key)) pending.set(key, { sentimentDelta: 0, axesDelta: {}, reason: '' });
+    return pending.get(key);
+  };
+
+  for (const change of reported) {
+    const participant = typeof change?.participant === 'string' ? change.participant.trim().slice(0, 80) : '';
+    if (!participant || participant.toLowerCase() === characterName.toLowerCase()) continue;
+    const entry = entryFor(participant);
+    entry.sentimentDelta = clamp(Number(change.sentiment) || 0, -MAX_STEP, MAX_STEP);
+    for (const axis of axes) {
+      const delta = clamp(Number(change.axes?.[axis]) || 0, -MAX_STEP, MAX_STEP);
+      if (delta !== 0) entry.axesDelta[axis] = round2(delta);
+    }
+    if (typeof change.reason === 'string') entry.reason = change.reason.trim().slice(0, 300);
+  }
+  // A non-zero overall delta towards the user takes precedence over a per-participant one
+  if (typeof analysisResult?.relationshipDelta === 'number' && analysisResult.relationshipDelta !== 0) {
+    entryFor(userName).sentimentDelta = clamp(analysisResult.relationshipDelta, -1, 1);
+  }
+
+  const changes = [];
+  for (const [participant, { sentimentDelta, axesDelta, reason }] of pending) {
+    if (sentimentDelta === 0 && Object.keys(axesDelta).length === 0) continue;
+    const relationship = relationships[participant] || { status: 'neutral', sentiment: 0, axes: {}, updatedAt: null };
+    relationship.sentiment = round2(clamp(relationship.sentiment + sentimentDelta, -1, 1));
+    relationship.status = statusFromSentiment(relationship.sentiment);
+    for (const [axis, delta] of Object.entries(axesDelta)) {
+      relationship.axes[axis] = round2(clamp((Number(relationship.axes[axis]) || 0) + delta, -1, 1));
+    }
+    relationship.updatedAt = timestamp;
+    relationships[participant] = relationship;
+    changes.push({
+      participant,
+      sentimentDelta: round2(sentimentDelta),
+      axesDelta,
+      sentiment: relationship.sentiment,
+      status: relationship.status,
+      axes: { ...relationship.axes },
+      reason
+    });
+  }
+  // The user always has an entry, even before anything changed
+  if (!relationships[userName]) {
+    relationships[userName] = { status: 'neutral', sentiment: 0, axes: {}, updatedAt: null };
+  }
+  return { relationships, changes };
+}
+
+// --- History ---
+
+function dbRowToHistory(row) {
+  const parse = (text) => {
+    try {
+      return JSON.parse(text || '{}');
+    } catch (e) {
+      return {};
+    }
+  };
+  return {
+    id: row.id,
+    participant: row.participant,
+    sentimentDelta: row.sentiment_delta,
+    axesDelta: parse(row.axes_delta),
+    sentiment: row.sentiment,
+    status: row.status,
+    axes: parse(row.axes),
+    reason: row.reason || '',
+    memoryId: row.memory_id || null,
+    timestamp: row.created_at
+  };
+}
+
+// Store the changes returned by applyRelationshipChanges. Returns the number of rows written.
+function recordRelationshipHistory(characterId, changes, memoryId = null, timestamp = Date.now()) {
+  if (!characterId || !Array.isArray(changes) || changes.length === 0) return 0;
+  try {
+    const db = getDatabase();
+    const insert = db.prepare(`
+      INSERT INTO relationship_history
+        (character_id, participant, sentiment_delta, axes_delta, sentiment, status, axes, reason, memory_id, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    db.transaction(() => {
+      for (const change of changes) {
+        insert.run(
+          characterId,
+          change.participant,
+          change.sentimentDelta,
+          JSON.stringify(change.axesDelta || {}),
+          change.sentiment,
+          change.status,
+          JSON.stringify(change.axes || {}),
+          change.reason || '',
+          memoryId,
+          timestamp
+        );
+      }
+    })();
+    return changes.length;
+  } catch (error) {
+    console.error(`Error recording relationship history for character ${characterId}:`, error);
+    return 0;
+  }
+}
+
+// History of a character's relationships, newest first. Filter: participant.
+// Returns { history, total }, or null on error.
+function getRelationshipHistory(characterId, filters = {}, limit = 50, offset = 0) {
+  try {
+    const db = getDatabase();
+    const where = ['character_id = ?'];
+    const args = [characterId];
+    if (filters.participant) {
+      where.push('lower(participant) = lower(?)');
+      args.push(filters.participant);
+    }
+    const clause = where.join(' AND ');
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM relationship_history WHERE ${clause}`).get(...args).count;
+    const rows = db.prepare(`SELECT * FROM relationship_history WHERE ${clause}
+      ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`).all(...args, limit, offset);
+    return { history: rows.map(dbRowToHistory), total };
+  } catch (error) {
+    console.error(`Error loading relationship history for character ${characterId}:`, error);
+    return null;
+  }
+}
+
+// Point history rows caused by one memory at another (when memories are merged), or at none
+function repointRelationshipHistory(fromMemoryId, toMemoryId = null) {
+  try {
+    return getDatabase().prepare('UPDATE relationship_history SET memory_id = ? WHERE memory_id = ?')
+      .run(toMemoryId, fromMemoryId).changes;
+  } catch (error) {
+    console.error(`Error repointing relationship history of memory ${fromMemoryId}:`, error);
+    return 0;
+  }
+}
+
+function clearRelationshipHistory(characterId) {
+  try {
+    return getDatabase().prepare('DELETE FROM relationship_history WHERE character_id = ?').run(characterId).changes;
+  } catch (error) {
+    console.error(`Error clearing relationship history for character ${characterId}:`, error);
+    return 0;
+  }
+}
+
+// --- Prompt section ---
+
+// Current relationships of a character as a prompt section ('' when all are still neutral).
+// The most recently changed come first.
+function formatRelationshipsForPrompt(character, userName = 'User') {
+  const relationships = normalizeRelationships(character?.relationships, userName);
+  const axes = getRelationshipAxes(character);
+  const lines = Object.entries(relationships)
+    .filter(([, rel]) => rel.sentiment !== 0 || axes.some(axis => Number(rel.axes[axis])))
+    .sort(([, a], [, b]) => (b.updatedAt || 0) - (a.updatedAt || 0))
+    .slice(0, MAX_PROMPT_RELATIONSHIPS)
+    .map(([name, rel]) => {
+      const values = axes
+        .filter(axis => typeof rel.axes[axis] === 'number')
+        .map(axis => `${axis} ${rel.axes[axis].toFixed(2)}`);
+      return `- ${name}: ${rel.status} (sentiment ${rel.sentiment.toFixed(2)})${values.length ? `; ${values.join(', ')}` : ''}`;
+    });
+  if (lines.length === 0) return '';
+  return `RELATIONSHIPS (how ${character.name} currently regards others; values range from -1 to 1):\n${lines.join('\n')}`;
+}
+
+export {
+  DEFAULT_RELATIONSHIP_AXES,
+  normalizeAxes,
+  getRelationshipAxes,
+  statusFromSentiment,
+  normalizeRelationships,
+  applyRelationshipChanges,
+  recordRelationshipHistory,
+  getRelationshipHistory,
+  repointRelationshipHistory,
+  clearRelationshipHistory,
+  formatRelationshipsForPrompt
+};
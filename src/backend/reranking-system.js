@@ -1,208 +1,234 @@
-// Memory reranking system with multiple provider fallbacks
+// Memory reranking provider registry. Each provider scores candidate documents against a query:
+//   rerank(query, documents, { apiKey, settings, memories }) -> [{ index, score }]
+// (higher is better; a provider may return only its top results). Providers marked `keyed` need
+// settings.apiKeys[name] and are skipped without one, so an offline machine never waits on a
+// network call it cannot make. rerankMemories() walks the chain (settings.memory.rerankingProvider
+// first, then settings.memory.rerankingFallbackOrder) and ends at the local lexical scorer, which
+// always works. New providers are added with registerRerankingProvider().
 import fetch from 'node-fetch';
-import { CohereClient } from 'cohere-ai';
-import https from 'https';
 
-// Initialize Cohere client
-let cohereClient = null;
-
-function initializeCohere(apiKey) {
-  if (apiKey && !cohereClient) {
-    cohereClient = new CohereClient({
-      token: apiKey
+// Used when settings.memory.rerankingFallbackOrder is not set (a local primary only falls back to the lexical scorer)
+const DEFAULT_FALLBACK_ORDER = ['jina', 'cohere', 'nvidia'];
+const REMOTE_TOP_N = 20; // Limit to avoid API limits
+const DEFAULT_CROSS_ENCODER_MODEL = 'Xenova/ms-marco-MiniLM-L-6-v2';
+const CROSS_ENCODER_PACKAGES = ['@huggingface/transformers', '@xenova/transformers'];
+
+// --- Local lexical scorer ---
+
+const STOPWORDS = new Set(('a an and are as at be been but by can could did do does for from had has have he her hers him his ' +
+  'how i if in into is it its just me my no not of on or our she so than that the their them then there these they this ' +
+  'to too was we were what when where which who why will with would you your yours about after again all also am any ' +
+  'because before being both each few further here more most much now only other out over own same some such through ' +
+  'under until up very while').split(' '));
+
+// Lowercase word stems without stopwords; the suffix stripping is crude on purpose (no dictionary)
+function tokenize(text) {
+  if (typeof text !== 'string') return [];
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(word => {
+      if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+      if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+      if (word.length > 4 && word.endsWith('es')) return word.slice(0, -2);
+      if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+      return word;
     });
-  }
 }
 
-// Rerank memories using Jina API
-async function rerankWithJina(query, memories, settings = {}) {
-  const apiKey = settings.apiKeys?.jina || 'jina_52e5dc70ec8d4ceba5b05b86e474c32bWHXw1kGKJQhCQv51G9dYByIQcftF';
-  
-  // Ensure apiKey is a string (handle array case)
-  let realApiKey = apiKey;
-  if (Array.isArray(apiKey)) {
-    realApiKey = apiKey[0];
-  }
-  if (typeof realApiKey !== 'string') {
-    throw new Error('Jina API key must be a string, got: ' + typeof realApiKey);
-  }
-  
-  if (!realApiKey) {
-    throw new Error('Jina API key not provided');
-  }
-
-  // Prepare documents for reranking
-  const documents = memories.map(memory => ({
-    text: memory.summary
+// BM25 over the candidate set itself, scaled by how many distinct query terms a document covers,
+// plus a bonus for query word pairs that appear side by side and for matching memory topics
+function scoreLexically(query, documents, topics = []) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) return documents.map(() => 0);
+  const docs = documents.map(tokenize);
+  const avgLength = docs.reduce((sum, terms) => sum + terms.length, 0) / Math.max(1, docs.length) || 1;
+  const idf = new Map(queryTerms.map(term => {
+    const df = docs.filter(terms => terms.includes(term)).length;
+    return [term, Math.log(1 + (docs.length - df + 0.5) / (df + 0.5))];
   }));
+  const queryTokens = tokenize(query);
+  const queryPairs = new Set(queryTokens.slice(1).map((term, i) => `${queryTokens[i]} ${term}`));
+  const k1 = 1.2;
+  const b = 0.75;
+
+  return docs.map((terms, i) => {
+    const counts = new Map();
+    for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1);
+    let bm25 = 0;
+    let matched = 0;
+    for (const term of queryTerms) {
+      const tf = counts.get(term) || 0;
+      if (tf === 0) continue;
+      matched++;
+      bm25 += idf.get(term) * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * terms.length / avgLength));
+    }
+    const pairs = terms.slice(1).filter((term, j) => queryPairs.has(`${terms[j]} ${term}`)).length;
+    const topicTerms = new Set(tokenize(Array.isArray(topics[i]) ? topics[i].join(' ') : ''));
+    const topicMatches = queryTerms.filter(term => topicTerms.has(term)).length;
+    const coverage = matched / queryTerms.length;
+    return bm25 * (0.5 + 0.5 * coverage) + 0.5 * Math.min(pairs, 3) + 0.3 * topicMatches;
+  });
+}
 
-  const requestData = {
-    model: "jina-reranker-m0",
-    query: query,
-    documents: documents,
-    return_documents: false,
-    top_n: Math.min(memories.length, 20) // Limit to avoid API limits
-  };
-
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.jina.ai',
-      path: '/v1/rerank',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${realApiKey}`
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let data = '';
+// --- Local cross-encoder (optional transformers.js) ---
 
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
+let crossEncoderLibrary = null; // Promise of the imported module
+const crossEncoders = new Map(); // model -> Promise of { tokenizer, model }
 
-      res.on('end', () => {
+async function loadCrossEncoderLibrary() {
+  if (!crossEncoderLibrary) {
+    crossEncoderLibrary = (async () => {
+      for (const name of CROSS_ENCODER_PACKAGES) {
         try {
-          const response = JSON.parse(data);
-          
-          if (response.results) {
-            // Map results back to original memories with rerank scores
-            const rerankedMemories = response.results.map(result => ({
-              ...memories[result.index],
-              rerankScore: result.relevance_score || result.score
-            }));
-            
-            resolve(rerankedMemories);
-          } else {
-            throw new Error(response.detail || 'Invalid response format');
-          }
+          return await import(name);
         } catch (error) {
-          reject(new Error(`Jina reranking failed: ${error.message}`));
+          if (error.code !== 'ERR_MODULE_NOT_FOUND') throw error;
         }
-      });
-    });
-
-    req.on('error', (error) => {
-      reject(new Error(`Jina API request failed: ${error.message}`));
-    });
-
-    req.write(JSON.stringify(requestData));
-    req.end();
-  });
-}
-
-// Rerank memories using Cohere API
-async function rerankWithCohere(query, memories, settings = {}) {
-  const apiKey = settings.apiKeys?.cohere;
-  
-  // Ensure apiKey is a string (handle array case)
-  let realApiKey = apiKey;
-  if (Array.isArray(apiKey)) {
-    realApiKey = apiKey[0];
-  }
-  if (typeof realApiKey !== 'string') {
-    throw new Error('Cohere reranking API key must be a string, got: ' + typeof realApiKey);
-  }
-  
-  if (!realApiKey) {
-    throw new Error('Cohere API key not provided');
-  }
-
-  initializeCohere(realApiKey);
-
-  if (!cohereClient) {
-    throw new Error('Failed to initialize Cohere client');
-  }
-
-  // Prepare documents for reranking
-  const documents = memories.map(memory => memory.summary);
-
-  try {
-    const rerank = await cohereClient.v2.rerank({
-      documents: documents,
-      query: query,
-      topN: Math.min(memories.length, 20),
-      model: 'rerank-v3.5',
-    });
-
-    // Map results back to original memories with rerank scores
-    const rerankedMemories = rerank.results.map(result => ({
-      ...memories[result.index],
-      rerankScore: result.relevanceScore
-    }));
-
-    return rerankedMemories;
-  } catch (error) {
-    throw new Error(`Cohere reranking failed: ${error.message}`);
+      }
+      throw new Error(`the cross-encoder needs one of these packages installed: ${CROSS_ENCODER_PACKAGES.join(', ')}`);
+    })();
   }
+  return crossEncoderLibrary;
 }
 
-// Rerank memories using NVIDIA API
-async function rerankWithNvidia(query, memories, settings = {}) {
-  const apiKey = settings.apiKeys?.nvidia;
-  
-  // Ensure apiKey is a string (handle array case)
-  let realApiKey = apiKey;
-  if (Array.isArray(apiKey)) {
-    realApiKey = apiKey[0];
-  }
-  if (typeof realApiKey !== 'string') {
-    throw new Error('NVIDIA reranking API key must be a string, got: ' + typeof realApiKey);
-  }
-  
-  if (!realApiKey) {
-    throw new Error('NVIDIA API key not provided');
+// Tokenizer and model are loaded once per model name. settings.memory.crossEncoderModelPath points
+// transformers.js at a folder of downloaded models, which also stops it from fetching any.
+async function loadCrossEncoder(modelName, settings = {}) {
+  if (!crossEncoders.has(modelName)) {
+    const loading = (async () => {
+      const library = await loadCrossEncoderLibrary();
+      const modelPath = settings.memory?.crossEncoderModelPath;
+      if (modelPath && library.env) {
+        library.env.localModelPath = modelPath;
+        library.env.allowRemoteModels = false;
+      }
+      const tokenizer = await library.AutoTokenizer.from_pretrained(modelName);
+      const model = await library.AutoModelForSequenceClassification.from_pretrained(modelName);
+      console.log(`Loaded cross-encoder reranker ${modelName}`);
+      return { tokenizer, model };
+    })();
+    crossEncoders.set(modelName, loading);
+    // A failed load is tried again next time (the model may have been downloaded meanwhile)
+    loading.catch(() => crossEncoders.delete(modelName));
   }
+  return crossEncoders.get(modelName);
+}
 
-  const invokeUrl = "https://ai.api.nvidia.com/v1/retrieval/nvidia/reranking";
+// --- Remote providers ---
 
-  // Prepare passages for reranking
-  const passages = memories.map(memory => ({
-    text: memory.summary
-  }));
+// The first configured key of a provider (settings may hold one key or a list)
+function getApiKey(name, settings = {}) {
+  const configured = settings.apiKeys?.[name];
+  const apiKey = Array.isArray(configured) ? configured.find(key => typeof key === 'string' && key.trim()) : configured;
+  return typeof apiKey === 'string' && apiKey.trim() ? apiKey.trim() : null;
+}
 
-  const payload = {
-    model: "nv-rerank-qa-mistral-4b:1",
-    query: {
-      text: query
+async function postJson(url, apiKey, body, label) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
     },
-    passages: passages
-  };
-
-  const headers = {
-    "Authorization": `Bearer ${realApiKey}`,
-    "Accept": "application/json",
-    "Content-Type": "application/json"
-  };
-
-  try {
-    const response = await fetch(invokeUrl, {
-      method: "POST",
-      body: JSON.stringify(payload),
-      headers: headers
-    });
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) {
+    throw new Error(`${label} API returned ${response.status}: ${await response.text().catch(() => response.statusText)}`);
+  }
+  return response.json();
+}
 
-    if (!response.ok) {
-      throw new Error(`NVIDIA API returned ${response.status}: ${response.statusText}`);
+const rerankingProviders = {
+  // Lexical/heuristic scoring of the candidates; needs no model, no key and no network
+  local: {
+    label: 'Local (lexical)',
+    local: true,
+    rerank: async (query, documents, { memories = [] }) => {
+      const scores = scoreLexically(query, documents, memories.map(memory => memory?.topics));
+      return scores.map((score, index) => ({ index, score }));
     }
-
-    const responseBody = await response.json();
-    
-    if (responseBody.rankings) {
-      // Map results back to original memories with rerank scores
-      const rerankedMemories = responseBody.rankings.map(ranking => ({
-        ...memories[ranking.index],
-        rerankScore: ranking.logit || ranking.score
-      }));
-      
-      return rerankedMemories;
-    } else {
-      throw new Error('Invalid response format from NVIDIA API');
+  },
+
+  // Cross-encoder run in-process through transformers.js, when that package is installed
+  'local-cross-encoder': {
+    label: 'Local cross-encoder',
+    local: true,
+    rerank: async (query, documents, { settings }) => {
+      const modelName = settings.memory?.crossEncoderModel || DEFAULT_CROSS_ENCODER_MODEL;
+      const { tokenizer, model } = await loadCrossEncoder(modelName, settings);
+      const inputs = tokenizer(documents.map(() => query), { text_pair: documents, padding: true, truncation: true });
+      const { logits } = await model(inputs);
+      return logits.tolist().map((row, index) => ({ index, score: 1 / (1 + Math.exp(-row[0])) }));
+    }
+  },
+
+  jina: {
+    label: 'Jina AI',
+    keyed: true,
+    rerank: async (query, documents, { apiKey }) => {
+      const data = await postJson('https://api.jina.ai/v1/rerank', apiKey, {
+        model: 'jina-reranker-m0',
+        query,
+        documents: documents.map(text => ({ text })),
+        return_documents: false,
+        top_n: Math.min(documents.length, REMOTE_TOP_N)
+      }, 'Jina');
+      if (!Array.isArray(data?.results)) throw new Error(data?.detail || 'Invalid response format');
+      return data.results.map(result => ({ index: result.index, score: result.relevance_score ?? result.score }));
     }
-  } catch (error) {
-    throw new Error(`NVIDIA reranking failed: ${error.message}`);
+  },
+
+  cohere: {
+    label: 'Cohere',
+    keyed: true,
+    rerank: async (query, documents, { apiKey }) => {
+      const { CohereClient } = await import('cohere-ai');
+      const client = new CohereClient({ token: apiKey });
+      const response = await client.v2.rerank({
+        documents,
+        query,
+        topN: Math.min(documents.length, REMOTE_TOP_N),
+        model: 'rerank-v3.5'
+      });
+      return response.results.map(result => ({ index: result.index, score: result.relevanceScore }));
+    }
+  },
+
+  nvidia: {
+    label: 'NVIDIA',
+    keyed: true,
+    rerank: async (query, documents, { apiKey }) => {
+      const data = await postJson('https://ai.api.nvidia.com/v1/retrieval/nvidia/reranking', apiKey, {
+        model: 'nv-rerank-qa-mistral-4b:1',
+        query: { text: query },
+        passages: documents.map(text => ({ text }))
+      }, 'NVIDIA');
+      if (!Array.isArray(data?.rankings)) throw new Error('Invalid response format from NVIDIA API');
+      return data.rankings.map(ranking => ({ index: ranking.index, score: ranking.logit ?? ranking.score }));
+    }
+  }
+};
+
+// Add or replace a reranking provider: { label, keyed, local, rerank(query, documents, context) }
+function registerRerankingProvider(name, provider) {
+  if (!name || typeof provider?.rerank !== 'function') {
+    throw new Error('A reranking provider needs a name and a rerank function');
   }
+  rerankingProviders[name] = { label: name, ...provider };
+}
+
+// Providers to try, in order: the configured one, the fallback order, then the local scorer.
+// Keyed providers without a key are left out.
+function getRerankingChain(settings = {}) {
+  const configured = settings.memory?.rerankingProvider;
+  const primary = rerankingProviders[configured] ? configured : 'local';
+  const fallbacks = Array.isArray(settings.memory?.rerankingFallbackOrder)
+    ? settings.memory.rerankingFallbackOrder
+    : (rerankingProviders[primary].local ? [] : DEFAULT_FALLBACK_ORDER);
+  return [...new Set([primary, ...fallbacks, 'local'])]
+    .filter(name => rerankingProviders[name])
+    .filter(name => !rerankingProviders[name].keyed || getApiKey(name, settings));
 }
 
 // Main reranking function with fallback logic
@@ -211,68 +237,40 @@ async function rerankMemories(query, memories, settings = {}) {
     return memories;
   }
 
-  // Get reranking settings
-  const rerankingProvider = settings.memory?.rerankingProvider || 'jina';
-  const enableReranking = settings.memory?.enableReranking !== false; // Default to true
-  
-  if (!enableReranking) {
+  if (settings.memory?.enableReranking === false) {
     console.log('Reranking disabled, returning original order');
     return memories;
   }
 
-  const providers = ['jina', 'cohere', 'nvidia'];
-  let startIndex = providers.indexOf(rerankingProvider);
-  if (startIndex === -1) startIndex = 0;
-
-  // Reorder providers to start with preferred one
-  const orderedProviders = [
-    ...providers.slice(startIndex),
-    ...providers.slice(0, startIndex)
-  ];
-
-  console.log(`Attempting reranking with providers in order: ${orderedProviders.join(', ')}`);
-
-  for (const provider of orderedProviders) {
+  const documents = memories.map(memory => memory.summary || '');
+  for (const name of getRerankingChain(settings)) {
+    const provider = rerankingProviders[name];
     try {
-      console.log(`Trying reranking with ${provider}...`);
-      let rerankedMemories;
-
-      switch (provider) {
-        case 'jina':
-          rerankedMemories = await rerankWithJina(query, memories, settings);
-          break;
-        case 'cohere':
-          rerankedMemories = await rerankWithCohere(query, memories, settings);
-          break;
-        case 'nvidia':
-          rerankedMemories = await rerankWithNvidia(query, memories, settings);
-          break;
-        default:
-          continue;
-      }
+      const results = await provider.rerank(query, documents, {
+        apiKey: provider.keyed ? getApiKey(name, settings) : null,
+        settings,
+        memories
+      });
+      const rerankedMemories = results
+        .filter(result => memories[result.index])
+        .map(result => ({ ...memories[result.index], rerankScore: Number(result.score) || 0 }));
 
-      // Sort by rerank score (higher is better)
-      rerankedMemories.sort((a, b) => (b.rerankScore || 0) - (a.rerankScore || 0));
-      
-      console.log(`Successfully reranked ${rerankedMemories.length} memories using ${provider}`);
+      // Sort by rerank score (higher is better); the sort is stable, so ties keep retrieval order
+      rerankedMemories.sort((a, b) => b.rerankScore - a.rerankScore);
+      console.log(`Reranked ${rerankedMemories.length} memories using ${provider.label}`);
       return rerankedMemories;
-
     } catch (error) {
-      console.warn(`Reranking with ${provider} failed: ${error.message}`);
-      continue;
+      console.warn(`Reranking with ${provider.label} failed: ${error.message}`);
     }
   }
-  // If all providers fail, show error and return original order
   console.error('❌ All reranking providers failed, returning original order');
-  
-  // You might want to emit an event or set a flag here to show a toast on the frontend
-  // For now, we'll just log the error
   return memories;
 }
 
 export {
-  rerankMemories,
-  rerankWithJina,
-  rerankWithCohere,
-  rerankWithNvidia
+  rerankingProviders,
+  registerRerankingProvider,
+  getRerankingChain,
+  scoreLexically,
+  rerankMemories
 };
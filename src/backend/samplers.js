@@ -0,0 +1,164 @@
+// Sampler (generation parameter) settings shared by all providers.
+//
+// The normalized parameters are temperature, topP, topK, minP, repetitionPenalty, frequencyPenalty,
+// presencePenalty, maxTokens, stop (strings), seed and bannedTokens (strings, or token ids for
+// providers that take a logit bias). They are read from the global settings, then a sampler preset
+// (settings.samplerPresets[name], chosen by settings.samplerPreset or a character's
+// settingsOverride.samplerPreset), then the character's own settingsOverride values.
+//
+// Each provider declares the parameters it understands in its registry descriptor
+// (`samplers: { temperature: 'temperature', topP: 'top_p', ... }`, a request field name or a
+// function returning request fields). Anything else is dropped with a warning. Providers without a
+// map (mock, most plugins) get the normalized values in settings.samplers and nothing in
+// settings.samplerParams.
+import { z } from 'zod';
+
+const SAMPLER_FIELDS = {
+  temperature: z.number().min(0).max(5),
+  topP: z.number().min(0).max(1),
+  topK: z.number().int().min(0),
+  minP: z.number().min(0).max(1),
+  repetitionPenalty: z.number().min(0).max(5),
+  frequencyPenalty: z.number().min(-2).max(2),
+  presencePenalty: z.number().min(-2).max(2),
+  maxTokens: z.number().int().min(1),
+  stop: z.preprocess(value => (typeof value === 'string' ? [value] : value), z.array(z.string().min(1)).max(16)),
+  seed: z.number().int(),
+  bannedTokens: z.array(z.union([z.string().min(1), z.number().int().min(0)])).max(512)
+};
+const SAMPLER_KEYS = Object.keys(SAMPLER_FIELDS);
+
+// A saved preset: only sampler parameters, each optional
+const SamplerPresetSchema = z.object(Object.fromEntries(SAMPLER_KEYS.map(key => [key, SAMPLER_FIELDS[key].optional()]))).strict();
+const PRESET_NAME_PATTERN = /^[^\/\\]{1,64}$/;
+
+// Request fields of the OpenAI chat completions API, shared by the providers that speak it
+const OPENAI_SAMPLER_FIELDS = {
+  temperature: 'temperature',
+  topP: 'top_p',
+  maxTokens: 'max_tokens',
+  frequencyPenalty: 'frequency_penalty',
+  presencePenalty: 'presence_penalty',
+  stop: 'stop',
+  seed: 'seed'
+};
+
+const warned = new Set();
+function warnOnce(message) {
+  if (warned.has(message)) return;
+  warned.add(message);
+  console.warn(message);
+}
+
+function isUnset(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function describeIssue(error) {
+  const issue = error.issues[0];
+  return issue ? `${issue.path.length ? `${issue.path.join('.')}: ` : ''}${issue.message}` : 'invalid value';
+}
+
+// The valid sampler values of an object; invalid ones are logged and left out
+function pickSamplers(source, label) {
+  const samplers = {};
+  if (!source || typeof source !== 'object') return samplers;
+  for (const key of SAMPLER_KEYS) {
+    if (isUnset(source[key])) continue;
+    const parsed = SAMPLER_FIELDS[key].safeParse(source[key]);
+    if (parsed.success) samplers[key] = parsed.data;
+    else warnOnce(`Ignoring invalid ${key} in ${label}: ${describeIssue(parsed.error)}`);
+  }
+  return samplers;
+}
+
+// Global settings, then the preset, then the character override
+function resolveSamplers(settings = {}, override = {}) {
+  const presetName = override?.samplerPreset || settings.samplerPreset;
+  const preset = presetName ? settings.samplerPresets?.[presetName] : null;
+  if (presetName && !preset) warnOnce(`Sampler preset "${presetName}" not found; using the plain settings`);
+  return {
+    ...pickSamplers(settings, 'settings'),
+    ...pickSamplers(preset, `sampler preset "${presetName}"`),
+    ...pickSamplers(override, 'character settings')
+  };
+}
+
+// Request fields for a provider from normalized samplers. Stop sequences and banned tokens also
+// need the provider's stopSequences / logitBias capability.
+function mapSamplers(provider, samplers = {}) {
+  const fields = provider.samplers;
+  if (!fields) return {};
+  const params = {};
+  const dropped = [];
+  for (const [key, value] of Object.entries(samplers)) {
+    const field = fields[key];
+    const capable = key === 'stop' ? provider.capabilities.stopSequences
+      : key === 'bannedTokens' ? provider.capabilities.logitBias
+        : true;
+    if (!field || !capable) {
+      dropped.push(key);
+      continue;
+    }
+    if (typeof field === 'function') Object.assign(params, field(value, samplers));
+    else params[field] = value;
+  }
+  if (dropped.length > 0) warnOnce(`${provider.label} does not support ${dropped.join(', ')}; not sent`);
+  return params;
+}
+
+// Banned tokens as an OpenAI-style logit bias; only token ids can be banned this way
+function logitBiasFromTokens(tokens) {
+  const ids = tokens.filter(token => Number.isInteger(token));
+  if (ids.length < tokens.length) warnOnce('Banned tokens given as text need token ids for this provider; the text entries are not sent');
+  return ids.length > 0 ? { logit_bias: Object.fromEntries(ids.map(id => [id, -100])) } : {};
+}
+
+// A provider's request parameters: its defaults overridden by the mapped samplers
+function samplerParams(settings, defaults = {}) {
+  return { ...defaults, ...(settings.samplerParams || {}) };
+}
+
+// Validation for the settings and preset routes. Returns an error message, or null when valid.
+function validateSamplerValues(values, label = 'settings') {
+  if (!values || typeof values !== 'object') return null;
+  for (const key of SAMPLER_KEYS) {
+    if (isUnset(values[key])) continue;
+    const parsed = SAMPLER_FIELDS[key].safeParse(values[key]);
+    if (!parsed.success) return `Invalid ${key} in ${label}: ${describeIssue(parsed.error)}`;
+  }
+  return null;
+}
+
+function validateSamplerPreset(name, values) {
+  if (typeof name !== 'string' || !PRESET_NAME_PATTERN.test(name.trim())) {
+    return { error: 'A preset name is 1 to 64 characters without slashes.' };
+  }
+  const parsed = SamplerPresetSchema.safeParse(Object.fromEntries(Object.entries(values || {}).filter(([, value]) => !isUnset(value))));
+  if (!parsed.success) return { error: `Invalid sampler preset: ${describeIssue(parsed.error)}` };
+  return { preset: parsed.data };
+}
+
+// Checks the sampler values of a settings object and its presets
+function validateSamplerSettings(settings = {}) {
+  const error = validateSamplerValues(settings);
+  if (error) return error;
+  for (const [name, preset] of Object.entries(settings.samplerPresets || {})) {
+    const result = validateSamplerPreset(name, preset);
+    if (result.error) return `${result.error} (preset "${name}")`;
+  }
+  return null;
+}
+
+export {
+  SAMPLER_KEYS,
+  OPENAI_SAMPLER_FIELDS,
+  SamplerPresetSchema,
+  resolveSamplers,
+  mapSamplers,
+  logitBiasFromTokens,
+  samplerParams,
+  validateSamplerValues,
+  validateSamplerPreset,
+  validateSamplerSettings
+};
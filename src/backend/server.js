@@ -12,7 +12,6 @@ const __dirname = path.dirname(__filename);
 // console.log("Frontend path:", path.join(__dirname, '../frontend'));
 
 // Create global progress tracking store
-const progressStore = new Map();
 
 // Character stuff
 import { 
@@ -24,24 +23,112 @@ import {
   loadChatHistory,
   saveChatHistory,
   clearChatHistory,
+  buildGreetingHistory,
+  listChatBranches,
+  createChatBranch,
+  selectChatBranch,
+  renameChatBranch,
+  deleteChatBranch,
+  selectMessageVariant,
+  addMessageVariant,
   loadSettings,
   saveSettings
 } from './character-system.js';
 
+// Character card import/export
+import {
+  isPng,
+  extractCardFromPng,
+  embedCardInPng,
+  stripCardFromPng,
+  createPlaceholderPng,
+  loadAvatarPng,
+  cardToCharacterData,
+  characterToCard
+} from './character-cards.js';
+
+// Group chat stuff
+import {
+  SPEAKER_STRATEGIES,
+  createGroupChat,
+  loadGroupChat,
+  loadAllGroupChats,
+  updateGroupChat,
+  deleteGroupChat,
+  loadGroupChatHistory,
+  saveGroupChatHistory,
+  generateGroupResponse
+} from './group-chat-system.js';
+
+// Lorebook / world info stuff
+import {
+  loadAllLorebooks,
+  loadLorebook,
+  createLorebook,
+  updateLorebook,
+  deleteLorebook,
+  createLoreEntry,
+  updateLoreEntry,
+  deleteLoreEntry,
+  importCharacterBook,
+  exportCharacterBook
+} from './lorebook-system.js';
+
 // LLM stuff
-import { generateResponse, modelConfigurations, apiKeyStatus, apiKeyIndices } from './llm-providers.js';
+import { generateResponse, apiKeyStatus, apiKeyIndices, getApiKeyCooldowns, loadApiKeyHealth, getModelConfigurations, listOpenAICompatibleModels, initializeProviderPlugins } from './llm-providers.js';
+import { listProviders, describeProvider, listProviderPlugins } from './provider-registry.js';
+
+// Resumable SSE streams
+import {
+  createStreamGeneration,
+  getStreamGeneration,
+  findStreamGenerationForChat,
+  describeStreamGeneration,
+  emitGenerationEvent,
+  parseLastEventId,
+  attachStreamClient,
+  createThinkSplitter
+} from './generation-stream.js';
 
 // Memory stuff
 import { 
   retrieveRelevantMemories, 
-  initializeVectorStorage 
+  initializeVectorStorage,
+  listMemories,
+  createMemory,
+  updateMemory,
+  deleteMemory,
+  getEmbeddingTarget,
+  getEmbeddingIndexStatus,
+  adoptUnrecordedEmbeddings,
+  reembedStaleMemories,
+  createJournalEntry,
+  recycleCharacterMemories,
+  consolidateCharacterMemories
 } from './memory-system.js';
+import {
+  JOB_STATUSES,
+  registerJobHandler,
+  enqueueJob,
+  getJob,
+  listJobs,
+  findLatestJob,
+  findActiveJob,
+  cancelJob,
+  retryJob,
+  startJobWorker,
+  stopJobWorker
+} from './job-queue.js';
+import { ENTITY_KINDS, listEntities, getEntity, listFacts, deleteEntity, deleteFact } from './knowledge-graph.js';
+import { getRelationshipAxes, normalizeRelationships, getRelationshipHistory } from './relationships.js';
 import { startTursoSync, stopTursoSync, isTursoSyncing, getTursoSyncStatus } from './turso-sync.js';
 import { getDatabase } from './database.js';
+import { getUsageReport, listKeyHealth, pruneUsageLedger } from './usage-ledger.js';
+import { SAMPLER_KEYS, validateSamplerValues, validateSamplerPreset, validateSamplerSettings } from './samplers.js';
 
 // Database initialization
 import { initializeDatabase, closeDatabase } from './database.js';
-import { initializeDataDirectory } from './app-paths.js';
+import { initializeDataDirectory, getProviderPluginsPath } from './app-paths.js';
 
 
 const app = express();
@@ -233,6 +320,10 @@ app.post('/api/characters', (req, res) => {
     if (!req.body || !req.body.name || !req.body.persona) {
       return res.status(400).json({ error: 'Character name and persona are required.' });
     }
+    const samplerError = validateSamplerValues(req.body.settingsOverride, 'character settings');
+    if (samplerError) {
+      return res.status(400).json({ error: samplerError });
+    }
     
     // Create the character
     const character = createCharacter(req.body);
@@ -263,6 +354,10 @@ app.put('/api/characters/:name', (req, res) => {
     if (!req.body) {
       return res.status(400).json({ error: 'Invalid update data provided.' });
     }
+    const samplerError = validateSamplerValues(req.body.settingsOverride, 'character settings');
+    if (samplerError) {
+      return res.status(400).json({ error: samplerError });
+    }
     
     // Check if in cache first
     const cachedCharacter = characterCache.get(req.params.name);
@@ -337,6 +432,175 @@ app.delete('/api/characters/:name', (req, res) => {
   }
 });
 
+// Import a SillyTavern / Character Card V1-V3. Send the card JSON, or the PNG itself
+// with Content-Type image/png. Name clashes get a numbered suffix instead of failing.
+app.post('/api/characters/import', express.raw({ type: ['image/png', 'application/octet-stream'], limit: '20mb' }), (req, res) => {
+  try {
+    let card = null;
+    let avatarUrl = '';
+    if (Buffer.isBuffer(req.body)) {
+      if (!isPng(req.body)) {
+        return res.status(400).json({ error: 'Uploaded file is not a PNG image.' });
+      }
+      card = extractCardFromPng(req.body);
+      if (!card) {
+        return res.status(400).json({ error: 'No character card found in the PNG.' });
+      }
+      avatarUrl = `data:image/png;base64,${stripCardFromPng(req.body).toString('base64')}`;
+    } else if (req.body && typeof req.body === 'object') {
+      card = req.body;
+    }
+
+    const characterData = cardToCharacterData(card);
+    if (!characterData) {
+      return res.status(400).json({ error: 'Invalid character card: a name is required.' });
+    }
+
+    let name = characterData.name;
+    for (let suffix = 2; loadCharacter(name); suffix++) {
+      name = `${characterData.name} (${suffix})`;
+    }
+
+    const character = createCharacter({ ...characterData, name, avatarUrl });
+    if (!character) {
+      return res.status(500).json({ error: 'Failed to create character from card.' });
+    }
+    characterCache.set(character.name, character);
+
+    // The card's embedded lorebook becomes an editable lorebook attached to the character
+    if (character.characterBook) {
+      importCharacterBook(character.name, character.characterBook);
+    }
+
+    // Start the chat on the card's greeting (alternate greetings become swipes)
+    saveChatHistory(character.name, buildGreetingHistory(character));
+
+    res.status(201).json(character);
+  } catch (error) {
+    console.error('Error in POST /api/characters/import:', error);
+    res.status(500).json({ error: 'Failed to import character card.' });
+  }
+});
+
+// Export a character as a card: ?format=png (default, card embedded in the avatar) or ?format=json (&spec=v3)
+app.get('/api/characters/:name/export', async (req, res) => {
+  try {
+    const character = loadCharacterWithCache(req.params.name);
+    if (!character) {
+      return res.status(404).json({ error: "Character not found" });
+    }
+
+    // Lorebooks edited here take precedence over the book the card was imported with
+    const cardCharacter = { ...character, characterBook: exportCharacterBook(character.name) || character.characterBook };
+
+    const fileName = character.name.replace(/[^\w\- ]+/g, '_').trim() || 'character';
+    if (req.query.format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.json"`);
+      return res.json(characterToCard(cardCharacter, req.query.spec === 'v3' ? 'v3' : 'v2'));
+    }
+
+    // Non-PNG and remote avatars cannot carry the card, so those get a plain image
+    const avatar = await loadAvatarPng(character.avatarUrl, path.join(__dirname, '../frontend')) || createPlaceholderPng();
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.png"`);
+    res.send(embedCardInPng(avatar, cardCharacter));
+  } catch (error) {
+    console.error(`Error in GET /api/characters/${req.params.name}/export:`, error);
+    res.status(500).json({ error: 'Failed to export character card.' });
+  }
+});
+
+// Current relationships of a character with every participant, and the axes it tracks
+app.get('/api/characters/:name/relationships', (req, res) => {
+  try {
+    const character = loadCharacterWithCache(req.params.name);
+    if (!character) {
+      return res.status(404).json({ error: "Character not found" });
+    }
+    const userName = loadSettingsFromDB().user?.name || 'User';
+    res.json({
+      axes: getRelationshipAxes(character),
+      relationships: normalizeRelationships(character.relationships, userName)
+    });
+  } catch (error) {
+    console.error(`Error in GET /api/characters/${req.params.name}/relationships:`, error);
+    res.status(500).json({ error: 'Failed to load relationships.' });
+  }
+});
+
+// Relationship changes of a character, newest first, each with the memory that caused it.
+// Query: participant, limit (default 50, max 200), offset.
+app.get('/api/characters/:name/relationships/history', (req, res) => {
+  try {
+    const character = loadCharacterWithCache(req.params.name);
+    if (!character) {
+      return res.status(404).json({ error: "Character not found" });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const result = getRelationshipHistory(character.id, { participant: req.query.participant || undefined }, limit, offset);
+    if (!result) {
+      return res.status(500).json({ error: 'Failed to load relationship history.' });
+    }
+    res.json({ history: result.history, total: result.total, limit, offset });
+  } catch (error) {
+    console.error(`Error in GET /api/characters/${req.params.name}/relationships/history:`, error);
+    res.status(500).json({ error: 'Failed to load relationship history.' });
+  }
+});
+
+// Provider errors carry a detailed message that is safe and useful to show the user
+function isProviderError(error) {
+  return !!(error && error.message && (
+    error.message.includes('API key') || 
+    error.message.includes('API request failed') || 
+    error.message.includes('response format unexpected') ||
+    error.message.includes('Network error') ||
+    error.message.includes('Provider') ||
+    error.message.includes('not supported') ||
+    Array.isArray(error.failures) // every fallback route failed
+  ));
+}
+
+// In-flight generations keyed by chat (character name, or `group:<id>`), so the cancel routes
+// can reach a generation started by another request
+const activeGenerations = new Map();
+
+// Track a new generation; a newer generation for the same chat supersedes it. With `res` it is
+// aborted when the client disconnects before the response is finished. Without it (resumable
+// streams) it runs until finishGeneration is called.
+function startGeneration(chatKey, res = null) {
+  activeGenerations.get(chatKey)?.abort();
+  const controller = new AbortController();
+  activeGenerations.set(chatKey, controller);
+  if (res) {
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+      finishGeneration(chatKey, controller);
+    });
+  }
+  return controller;
+}
+
+function finishGeneration(chatKey, controller) {
+  if (activeGenerations.get(chatKey) === controller) activeGenerations.delete(chatKey);
+}
+
+function cancelGeneration(chatKey) {
+  const controller = activeGenerations.get(chatKey);
+  if (!controller) return false;
+  controller.abort();
+  activeGenerations.delete(chatKey);
+  return true;
+}
+
+// 499 (client closed request) when the client is still there to read it, e.g. after a cancel route call
+function sendCancelled(res) {
+  if (!res.headersSent && !res.writableEnded) {
+    res.status(499).json({ error: 'Generation cancelled.', cancelled: true });
+  }
+}
+
 // Generate chat response
 app.post('/api/chat', async (req, res) => {
   try {
@@ -366,13 +630,17 @@ app.post('/api/chat', async (req, res) => {
     
     // Get user profile
     const userProfile = mergedSettings.user || { name: 'User' };
+    const generation = startGeneration(characterName, res);
       // Generate response - this may update character.relationships in memory
+    // A cancelled generation throws an AbortError before anything is pushed or journaled
+    // The provider route that answered (fallback routing) goes back with the reply
+    let route = null;
     const responseContent = await generateResponse(
       character,
       message,
       userProfile,
       chatHistory,
-      { ...mergedSettings, stream: false }
+      { ...mergedSettings, stream: false, signal: generation.signal, onRoute: (chosen) => { route = chosen; } }
     );
 
     // --- ROBUSTNESS GUARD ---
@@ -394,20 +662,14 @@ app.post('/api/chat', async (req, res) => {
     // Save updated history immediately
     saveChatHistory(characterName, chatHistory); 
     
-    res.json({ response: responseContent });
+    res.json({ response: responseContent, reasoning: chatHistory[chatHistory.length - 1]?.reasoning || '', route });
   } catch (error) {
+    if (error.name === 'AbortError') return sendCancelled(res);
     // Send the actual error message to the user
     console.error("Error in POST /api/chat:", error.message || error);
     
     // Check if it's a provider-specific error (has detailed message)
-    if (error.message && (
-      error.message.includes('API key') || 
-      error.message.includes('API request failed') || 
-      error.message.includes('response format unexpected') ||
-      error.message.includes('Network error') ||
-      error.message.includes('Provider') ||
-      error.message.includes('not supported')
-    )) {
+    if (isProviderError(error)) {
       // Send the specific error message to the user
       return res.status(500).json({ error: error.message });
     }
@@ -417,8 +679,11 @@ app.post('/api/chat', async (req, res) => {
   }
 });
 
-// Streaming chat endpoint (chunked JSON lines)
+// Streaming chat endpoint (Server-Sent Events). Events: start, memory-retrieved, thinking (reasoning), token,
+// then one of done / error / cancelled. The generation keeps running if the client disconnects
+// and is saved when it finishes; reconnect through GET /api/generations/:id/events.
 app.post('/api/chat/stream', async (req, res) => {
+  let generation = null;
   try {
     const { characterName, message, settings } = req.body || {};
     if (!characterName || !message) {
@@ -431,20 +696,38 @@ app.post('/api/chat/stream', async (req, res) => {
     const mergedSettings = { ...globalSettings, ...(settings || {}) };
     const userProfile = mergedSettings.user || { name: 'User' };
 
-    // Headers for chunked transfer
-    res.setHeader('Content-Type', 'application/json; charset=utf-8');
-    res.setHeader('Transfer-Encoding', 'chunked');
-    res.setHeader('Cache-Control', 'no-cache');
+    const controller = startGeneration(characterName);
+    generation = createStreamGeneration(characterName, message);
+    attachStreamClient(generation, res);
+    emitGenerationEvent(generation, 'start', { generationId: generation.id, characterName });
 
-    let accumulated = '';
+    // Reply text and reasoning are collected apart for saving a cancelled partial reply
+    let partialContent = '';
+    let partialReasoning = '';
+    const onReasoning = (text) => {
+      if (!text) return;
+      partialReasoning += text;
+      emitGenerationEvent(generation, 'thinking', { text });
+    };
+    const splitter = createThinkSplitter(onReasoning, (token) => {
+      partialContent += token;
+      emitGenerationEvent(generation, 'token', { token });
+    });
     const onToken = (token) => {
-      if (!token) return;
-      accumulated += token;
-      try {
-        res.write(JSON.stringify({ type: 'token', token }) + '\n');
-      } catch (e) {
-        console.warn('Stream write failed:', e.message || e);
-      }
+      if (token) splitter.push(token);
+    };
+    const onMemoriesRetrieved = (memories) => {
+      emitGenerationEvent(generation, 'memory-retrieved', {
+        count: memories.length,
+        memories: memories.map(memory => ({ id: memory.id, summary: memory.summary, importance: memory.importance, score: memory.score }))
+      });
+    };
+
+    // The route that answered is sent as its own event before `done` (which repeats it)
+    let route = null;
+    const onRoute = (chosen) => {
+      route = chosen;
+      emitGenerationEvent(generation, 'route', chosen);
     };
 
     let finalResponse;
@@ -454,26 +737,76 @@ app.post('/api/chat/stream', async (req, res) => {
         message,
         userProfile,
         chatHistory,
-        { ...mergedSettings, stream: true, onToken }
+        { ...mergedSettings, stream: true, onToken, onReasoning, onMemoriesRetrieved, onRoute, signal: controller.signal }
       );
     } catch (err) {
-      res.write(JSON.stringify({ type: 'error', error: err.message || 'Generation failed' }) + '\n');
-      res.end();
+      splitter.flush();
+      if (err.name === 'AbortError') {
+        // Partial replies are kept (with the user turn) unless settings.keepPartialOnCancel is false.
+        // Nothing is journaled for a cancelled turn.
+        const keepPartial = mergedSettings.keepPartialOnCancel !== false && partialContent.trim().length > 0;
+        if (keepPartial) {
+          chatHistory.push({ role: 'user', content: message });
+          chatHistory.push(partialReasoning.trim()
+            ? { role: 'assistant', content: partialContent.trim(), reasoning: partialReasoning.trim() }
+            : { role: 'assistant', content: partialContent.trim() });
+          saveChatHistory(characterName, chatHistory);
+        }
+        console.log(`Stream for ${characterName} cancelled after ${partialContent.length} chars (partial ${keepPartial ? 'kept' : 'discarded'})`);
+        emitGenerationEvent(generation, 'cancelled', { partial: partialContent, reasoning: partialReasoning, saved: keepPartial });
+        return;
+      }
+      emitGenerationEvent(generation, 'error', { error: err.message || 'Generation failed' });
       return;
+    } finally {
+      finishGeneration(characterName, controller);
     }
+    splitter.flush();
 
     // Persist history (generateResponse already pushed messages)
     saveChatHistory(characterName, chatHistory);
-    res.write(JSON.stringify({ type: 'done', response: finalResponse }) + '\n');
-    res.end();
+    emitGenerationEvent(generation, 'done', {
+      response: finalResponse,
+      reasoning: chatHistory[chatHistory.length - 1]?.reasoning || '',
+      route
+    });
   } catch (error) {
     console.error('Error in POST /api/chat/stream:', error);
     if (!res.headersSent) {
       res.status(500).json({ error: 'Failed to stream chat response.' });
-    } else {
-      try { res.write(JSON.stringify({ type: 'error', error: 'Internal server error' }) + '\n'); } catch {}
-      res.end();
+    } else if (generation) {
+      emitGenerationEvent(generation, 'error', { error: 'Internal server error' });
+    }
+  }
+});
+
+// Resume a streamed generation: replays the events after Last-Event-ID (header, or ?lastEventId=
+// where headers cannot be set) and then follows the live stream
+app.get('/api/generations/:generationId/events', (req, res) => {
+  try {
+    const generation = getStreamGeneration(req.params.generationId);
+    if (!generation) {
+      return res.status(404).json({ error: 'Generation not found or expired.' });
+    }
+    const { seq } = parseLastEventId(req.get('Last-Event-ID') || req.query.lastEventId);
+    attachStreamClient(generation, res, seq);
+  } catch (error) {
+    console.error(`Error in GET /api/generations/${req.params.generationId}/events:`, error);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to resume generation stream.' });
+  }
+});
+
+// The running (or recently finished) streamed generation of a chat, so a reloaded page can resume it
+app.get('/api/chat/:characterName/generation', (req, res) => {
+  try {
+    const generation = findStreamGenerationForChat(req.params.characterName);
+    if (!generation) {
+      return res.status(404).json({ error: 'No recent generation for this chat.' });
     }
+    res.json(describeStreamGeneration(generation));
+  } catch (error) {
+    console.error(`Error in GET /api/chat/${req.params.characterName}/generation:`, error);
+    res.status(500).json({ error: 'Failed to look up generation.' });
   }
 });
 
@@ -547,187 +880,1108 @@ app.delete('/api/chat/:characterName', async (req, res) => {
   }
 });
 
-// Retrieve memories for a character from vector database
-app.get('/api/memories/:characterName', async (req, res) => {
-  try {
-    const charName = req.params.characterName;
-    const filter = req.query.filter ? req.query.filter.toLowerCase() : 'all';
-    // Ensure vector storage is initialized
-    await initializeVectorStorage();
-    // Load character data and chat history
-    const character = loadCharacterWithCache ? loadCharacterWithCache(charName) : loadCharacter(charName);
-    const chatHistory = loadChatHistory(charName);    // Load settings
-    const settings = loadSettingsFromDB();
-    const retrievalCount = settings.memory?.retrievalCount ?? 5;
-    const retrievalDisabled = settings.memory?.enableMemoryRetrieval === false || retrievalCount <= 0;
-    // Determine last user message for query
-    const lastUser = [...chatHistory].reverse().find(m => m.role === 'user');
-    const currentMessage = lastUser ? lastUser.content : '';
-    let memories = [];
-    if (!retrievalDisabled) {
-      // Fetch relevant memories
-      memories = await retrieveRelevantMemories(currentMessage, character, retrievalCount, settings, chatHistory);
-    } else {
-      console.log(`Memory retrieval endpoint skipped (disabled=${settings.memory?.enableMemoryRetrieval === false} retrievalCount=${retrievalCount})`);
-    }
-
-    // Apply backend filtering for importance/recency if requested
-    if (filter === 'important') {
-      memories = (memories || []).filter(m => m.importance > 0.7);
-    } else if (filter === 'recent') {
-      memories = (memories || [])
-        .slice() // copy
-        .sort((a, b) => b.timestamp - a.timestamp)
-        .slice(0, 3); // most recent 3
-    }
-    res.json(memories || []);
-  } catch (err) {
-    console.error(`Error in GET /api/memories/${req.params.characterName}:`, err);
-    res.status(500).json({ error: 'Failed to retrieve memories.' });
-  }
-});
-
-// Recycle memories for a character
-app.post('/api/memories/:characterName/recycle', async (req, res) => {
+// Regenerate the last assistant reply as a new swipe (the previous reply is kept as a variant)
+app.post('/api/chat/:characterName/regenerate', async (req, res) => {
   try {
     const characterName = req.params.characterName;
-    
-    // Check if character exists
-    const character = loadCharacter(characterName);
+    const { settings } = req.body || {};
+
+    const character = loadCharacterWithCache(characterName);
     if (!character) {
-      return res.status(404).json({ error: 'Character not found.' });
+      return res.status(404).json({ error: "Character not found" });
     }
-    
-    // Load chat history
+
     const chatHistory = loadChatHistory(characterName);
-    if (!chatHistory || chatHistory.length === 0) {
-      return res.status(400).json({ error: 'No chat history available for memory recycling.' });
+    const assistantIndex = chatHistory.length - 1;
+    const userIndex = assistantIndex - 1;
+    if (assistantIndex < 1 || chatHistory[assistantIndex].role !== 'assistant' || chatHistory[userIndex].role !== 'user') {
+      return res.status(400).json({ error: 'The last message must be an assistant reply to a user message.' });
     }
-      // Load settings
-    const settings = loadSettingsFromDB();
-      // Import memory functions
-    const { recycleCharacterMemories } = await import('./memory-system.js');
-    
-    // Create progress callback
-    const progressCallback = (progress) => {
-      progressStore.set(characterName, progress);
+
+    const globalSettings = loadSettingsFromDB();
+    const mergedSettings = {
+      ...globalSettings,
+      ...(settings || {})
     };
-    
-    // Start the recycling process
-    const result = await recycleCharacterMemories(characterName, chatHistory, character, settings, progressCallback);
-    
-    // Clear progress after completion
-    progressStore.delete(characterName);
-    
-    if (result.success) {
-      res.json({ 
-        success: true, 
-        memoriesCreated: result.memoriesCreated,
-        message: `Successfully recycled memories. Created ${result.memoriesCreated} new memories.`
-      });
-    } else {
-      res.status(500).json({ error: result.error || 'Failed to recycle memories.' });
+    const userProfile = mergedSettings.user || { name: 'User' };
+
+    // Generate against the history that preceded the user turn; generateResponse pushes
+    // the user message and the new reply onto this copy.
+    const priorHistory = chatHistory.slice(0, userIndex);
+    const generation = startGeneration(characterName, res);
+    // On cancel the existing reply stays as it is. A swipe replaces a turn that was already
+    // counted for journaling, so it never queues a journal entry of its own.
+    let route = null;
+    const responseContent = await generateResponse(
+      character,
+      chatHistory[userIndex].content,
+      userProfile,
+      priorHistory,
+      { ...mergedSettings, stream: false, skipJournal: true, signal: generation.signal, onRoute: (chosen) => { route = chosen; } }
+    );
+
+    if (typeof responseContent !== 'string') {
+      console.error(`generateResponse returned a non-string value: ${typeof responseContent}`);
+      throw new Error('The model returned an invalid response format.');
+    }
+
+    if (character.modifiedAt > (characterCache.get(characterName)?.modifiedAt || 0)) {
+      characterCache.set(characterName, { ...character });
+      dirtyCharacters.add(characterName);
+      scheduleSaveCache();
+      console.log(`Character ${characterName} marked for deferred save`);
+    }
+
+    const reasoning = priorHistory[priorHistory.length - 1]?.reasoning || '';
+    const updatedHistory = addMessageVariant(characterName, assistantIndex, responseContent, reasoning);
+    if (!updatedHistory) {
+      return res.status(500).json({ error: 'Failed to save regenerated response.' });
     }
+
+    res.json({ response: responseContent, reasoning, history: updatedHistory, route });
   } catch (error) {
-    console.error(`Error in POST /api/memories/${req.params.characterName}/recycle:`, error);
-    progressStore.delete(req.params.characterName);
-    res.status(500).json({ error: 'Failed to recycle memories due to server error.' });
+    if (error.name === 'AbortError') return sendCancelled(res);
+    console.error(`Error in POST /api/chat/${req.params.characterName}/regenerate:`, error.message || error);
+    if (isProviderError(error)) {
+      return res.status(500).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to regenerate response due to an unexpected server error.' });
   }
 });
 
-// Get recycling progress for a character
-app.get('/api/memories/:characterName/progress', (req, res) => {
+// Cancel the in-flight generation (send, stream or regenerate) for a character
+app.post('/api/chat/:characterName/cancel', (req, res) => {
   try {
-    const characterName = req.params.characterName;
-    const progress = progressStore.get(characterName);
-    
-    if (progress) {
-      res.json(progress);
-    } else {
-      res.json({ step: 'idle', message: 'No active recycling process', current: 0, total: 0 });
-    }
+    const cancelled = cancelGeneration(req.params.characterName);
+    res.json({ cancelled });
   } catch (error) {
-    console.error(`Error in GET /api/memories/${req.params.characterName}/progress:`, error);
-    res.status(500).json({ error: 'Failed to get recycling progress.' });
+    console.error(`Error in POST /api/chat/${req.params.characterName}/cancel:`, error);
+    res.status(500).json({ error: 'Failed to cancel generation.' });
   }
 });
 
-// Get settings
-app.get('/api/settings', (req, res) => {
+// List the alternate replies (swipes) of a message on the active branch
+app.get('/api/chat/:characterName/messages/:index/variants', (req, res) => {
   try {
-    const settings = loadSettingsFromDB();
-    // loadSettingsFromDB returns {} on error, which is probably fine
-    res.json(settings);
+    const chatHistory = loadChatHistory(req.params.characterName);
+    const message = chatHistory[parseInt(req.params.index, 10)];
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    res.json({
+      variants: message.variants || [{ content: message.content, reasoning: message.reasoning, timestamp: message.timestamp }],
+      activeVariant: message.activeVariant || 0
+    });
   } catch (error) {
-    // Unlikely if loadSettingsFromDB handles its own errors
-    console.error("Error in GET /api/settings:", error);
-    res.status(500).json({ error: 'Failed to load settings.' });
+    console.error(`Error in GET /api/chat/${req.params.characterName}/messages/${req.params.index}/variants:`, error);
+    res.status(500).json({ error: 'Failed to retrieve message variants.' });
   }
 });
 
-// Update settings
-app.put('/api/settings', (req, res) => {
+// Select which swipe is shown for a message
+app.put('/api/chat/:characterName/messages/:index/variant', (req, res) => {
   try {
-    // Add validation if needed
-    if (!req.body || typeof req.body !== 'object') {
-        return res.status(400).json({ error: 'Invalid settings data provided.' });
+    const messageIndex = parseInt(req.params.index, 10);
+    const variantIndex = parseInt(req.body?.variantIndex, 10);
+    if (isNaN(messageIndex) || isNaN(variantIndex)) {
+      return res.status(400).json({ error: 'Message index and variantIndex must be numbers.' });
     }
-    const settings = req.body;
-    saveSettingsToDB(settings);
-    // Turso sync management
-    try {
-      const turso = settings.turso || {};
-      stopTursoSync();
-      if (turso.enabled && turso.url && (turso.token || turso.authToken)) {
-        const started = startTursoSync({ url: turso.url, authToken: turso.token || turso.authToken, intervalMs: turso.syncInterval || 60000 });
-        if (started) console.log('[Turso] Remote sync enabled (push/pull mode).');
-      } else {
-        console.log('[Turso] Sync disabled via settings.');
-      }
-    } catch (e) {
-      console.warn('Failed to apply Turso sync settings:', e.message || e);
+
+    const chatHistory = selectMessageVariant(req.params.characterName, messageIndex, variantIndex);
+    if (!chatHistory) {
+      return res.status(404).json({ error: 'Message variant not found' });
     }
-    res.json(settings);
+    res.json(chatHistory);
   } catch (error) {
-    // Unlikely if saveSettingsToDB handles errors
-    console.error("Error in PUT /api/settings:", error);
-    res.status(500).json({ error: 'Failed to save settings.' });
+    console.error(`Error in PUT /api/chat/${req.params.characterName}/messages/${req.params.index}/variant:`, error);
+    res.status(500).json({ error: 'Failed to select message variant.' });
   }
 });
 
-// Get API key statuses
-app.get('/api/key-status', (req, res) => {
+// List chat branches for a character
+app.get('/api/chat/:characterName/branches', (req, res) => {
   try {
-    // Return current API key statuses for all providers
-    const statusResponse = {
-      statuses: apiKeyStatus,
-      indices: apiKeyIndices
-    };
-    res.json(statusResponse);
+    const character = loadCharacter(req.params.characterName);
+    if (!character) {
+      return res.status(404).json({ error: "Character not found" });
+    }
+    res.json(listChatBranches(req.params.characterName));
   } catch (error) {
-    console.error("Error in GET /api/key-status:", error);
-    res.status(500).json({ error: 'Failed to retrieve API key statuses.' });
+    console.error(`Error in GET /api/chat/${req.params.characterName}/branches:`, error);
+    res.status(500).json({ error: 'Failed to retrieve chat branches.' });
   }
 });
 
-// Get model configurations
-app.get('/api/models', (req, res) => {
+// Fork the active branch at a message into a new named branch (becomes active)
+app.post('/api/chat/:characterName/branches', (req, res) => {
   try {
-    // Just return the imported constant
-    res.json(modelConfigurations);
+    const { name, fromIndex } = req.body || {};
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Branch name is required.' });
+    }
+
+    const character = loadCharacter(req.params.characterName);
+    if (!character) {
+      return res.status(404).json({ error: "Character not found" });
+    }
+
+    const index = fromIndex === undefined || fromIndex === null ? undefined : parseInt(fromIndex, 10);
+    const branch = createChatBranch(req.params.characterName, name, index);
+    if (!branch) {
+      return res.status(400).json({ error: 'Failed to create branch. The name may already be in use.' });
+    }
+    res.status(201).json(branch);
   } catch (error) {
-    // Very unlikely
-    console.error("Error in GET /api/models:", error);
-    res.status(500).json({ error: 'Failed to retrieve model configurations.' });
+    console.error(`Error in POST /api/chat/${req.params.characterName}/branches:`, error);
+    res.status(500).json({ error: 'Failed to create chat branch.' });
   }
 });
 
-// Serve the main HTML file for any other routes (like SPA routing)
-app.get('*', (req, res) => {
-  res.sendFile(path.join(__dirname, '../frontend/index.html'));
-});
-
-// Initialize database before starting server
+// Rename a chat branch
+app.put('/api/chat/:characterName/branches/:branchId', (req, res) => {
+  try {
+    const branch = renameChatBranch(req.params.characterName, parseInt(req.params.branchId, 10), req.body?.name);
+    if (!branch) {
+      return res.status(400).json({ error: 'Failed to rename branch. It may not exist or the name may already be in use.' });
+    }
+    res.json(branch);
+  } catch (error) {
+    console.error(`Error in PUT /api/chat/${req.params.characterName}/branches/${req.params.branchId}:`, error);
+    res.status(500).json({ error: 'Failed to rename chat branch.' });
+  }
+});
+
+// Switch the active chat branch
+app.post('/api/chat/:characterName/branches/:branchId/select', (req, res) => {
+  try {
+    const success = selectChatBranch(req.params.characterName, parseInt(req.params.branchId, 10));
+    if (!success) {
+      return res.status(404).json({ error: 'Branch not found' });
+    }
+    res.json(loadChatHistory(req.params.characterName));
+  } catch (error) {
+    console.error(`Error in POST /api/chat/${req.params.characterName}/branches/${req.params.branchId}/select:`, error);
+    res.status(500).json({ error: 'Failed to select chat branch.' });
+  }
+});
+
+// Delete a chat branch (the last remaining branch cannot be deleted)
+app.delete('/api/chat/:characterName/branches/:branchId', (req, res) => {
+  try {
+    const success = deleteChatBranch(req.params.characterName, parseInt(req.params.branchId, 10));
+    if (!success) {
+      return res.status(400).json({ error: 'Branch not found or it is the only branch.' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error(`Error in DELETE /api/chat/${req.params.characterName}/branches/${req.params.branchId}:`, error);
+    res.status(500).json({ error: 'Failed to delete chat branch.' });
+  }
+});
+
+// List group chats
+app.get('/api/groups', (req, res) => {
+  try {
+    res.json(loadAllGroupChats());
+  } catch (error) {
+    console.error('Error in GET /api/groups:', error);
+    res.status(500).json({ error: 'Failed to retrieve group chats.' });
+  }
+});
+
+// Get a single group chat
+app.get('/api/groups/:id', (req, res) => {
+  try {
+    const group = loadGroupChat(parseInt(req.params.id, 10));
+    if (!group) {
+      return res.status(404).json({ error: 'Group chat not found' });
+    }
+    res.json(group);
+  } catch (error) {
+    console.error(`Error in GET /api/groups/${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve group chat.' });
+  }
+});
+
+// Create a group chat
+app.post('/api/groups', (req, res) => {
+  try {
+    const { name, members, scenario, speakerStrategy } = req.body || {};
+    if (!name || !Array.isArray(members) || members.length < 2) {
+      return res.status(400).json({ error: 'Group name and at least two members are required.' });
+    }
+    if (speakerStrategy && !SPEAKER_STRATEGIES.includes(speakerStrategy)) {
+      return res.status(400).json({ error: `Speaker strategy must be one of: ${SPEAKER_STRATEGIES.join(', ')}.` });
+    }
+
+    const group = createGroupChat({ name, members, scenario, speakerStrategy });
+    if (!group) {
+      return res.status(400).json({ error: 'Failed to create group chat. The name may already be in use or a member does not exist.' });
+    }
+    res.status(201).json(group);
+  } catch (error) {
+    console.error('Error in POST /api/groups:', error);
+    res.status(500).json({ error: 'Failed to create group chat.' });
+  }
+});
+
+// Update a group chat (name, members, scenario, speaker strategy)
+app.put('/api/groups/:id', (req, res) => {
+  try {
+    const { name, members, scenario, speakerStrategy } = req.body || {};
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (members !== undefined) updateData.members = members;
+    if (scenario !== undefined) updateData.scenario = scenario;
+    if (speakerStrategy !== undefined) updateData.speakerStrategy = speakerStrategy;
+
+    const group = updateGroupChat(parseInt(req.params.id, 10), updateData);
+    if (!group) {
+      return res.status(400).json({ error: 'Failed to update group chat. It may not exist or the data is invalid.' });
+    }
+    res.json(group);
+  } catch (error) {
+    console.error(`Error in PUT /api/groups/${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to update group chat.' });
+  }
+});
+
+// Delete a group chat and its messages
+app.delete('/api/groups/:id', (req, res) => {
+  try {
+    const success = deleteGroupChat(parseInt(req.params.id, 10));
+    if (!success) {
+      return res.status(404).json({ error: 'Group chat not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error(`Error in DELETE /api/groups/${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to delete group chat.' });
+  }
+});
+
+// Get group chat history
+app.get('/api/groups/:id/chat', (req, res) => {
+  try {
+    res.json(loadGroupChatHistory(parseInt(req.params.id, 10)));
+  } catch (error) {
+    console.error(`Error in GET /api/groups/${req.params.id}/chat:`, error);
+    res.status(500).json({ error: 'Failed to retrieve group chat history.' });
+  }
+});
+
+// Save (replace) group chat history, e.g. after edits or deletions in the UI
+app.put('/api/groups/:id/chat', (req, res) => {
+  try {
+    const chatHistory = req.body;
+    if (!Array.isArray(chatHistory)) {
+      return res.status(400).json({ error: 'Invalid chat history format. Expected an array.' });
+    }
+    const groupId = parseInt(req.params.id, 10);
+    if (!loadGroupChat(groupId)) {
+      return res.status(404).json({ error: 'Group chat not found' });
+    }
+    if (!saveGroupChatHistory(groupId, chatHistory)) {
+      return res.status(500).json({ error: 'Failed to save group chat history.' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error(`Error in PUT /api/groups/${req.params.id}/chat:`, error);
+    res.status(500).json({ error: 'Failed to save group chat history.' });
+  }
+});
+
+// Clear group chat history
+app.delete('/api/groups/:id/chat', (req, res) => {
+  try {
+    const groupId = parseInt(req.params.id, 10);
+    if (!loadGroupChat(groupId)) {
+      return res.status(404).json({ error: 'Group chat not found' });
+    }
+    saveGroupChatHistory(groupId, []);
+    updateGroupChat(groupId, { lastSpeaker: null, lastJournalIndex: 0 });
+    res.json({ success: true });
+  } catch (error) {
+    console.error(`Error in DELETE /api/groups/${req.params.id}/chat:`, error);
+    res.status(500).json({ error: 'Failed to clear group chat history.' });
+  }
+});
+
+// Take a group turn. With a message the user speaks first; without one the next character
+// simply continues the scene. An optional `speaker` overrides the group's strategy.
+app.post('/api/groups/:id/chat', async (req, res) => {
+  try {
+    const { message, speaker, settings } = req.body || {};
+    const groupId = parseInt(req.params.id, 10);
+    const group = loadGroupChat(groupId);
+    if (!group) {
+      return res.status(404).json({ error: 'Group chat not found' });
+    }
+
+    const members = group.members.map(name => loadCharacterWithCache(name)).filter(Boolean);
+    if (members.length === 0) {
+      return res.status(400).json({ error: 'Group chat has no members.' });
+    }
+
+    const globalSettings = loadSettingsFromDB();
+    const mergedSettings = { ...globalSettings, ...(settings || {}), stream: false };
+    const userProfile = mergedSettings.user || { name: 'User' };
+
+    const chatHistory = loadGroupChatHistory(groupId);
+    if (message && typeof message === 'string' && message.trim()) {
+      chatHistory.push({ role: 'user', content: message, timestamp: Date.now() });
+    }
+
+    // A cancelled turn saves nothing, not even the user's line
+    const generation = startGeneration(`group:${groupId}`, res);
+    const result = await generateGroupResponse(group, members, userProfile, chatHistory, { ...mergedSettings, signal: generation.signal }, speaker);
+    if (typeof result.response !== 'string') {
+      console.error(`generateGroupResponse returned a non-string value: ${typeof result.response}`);
+      throw new Error('The model returned an invalid response format.');
+    }
+
+    saveGroupChatHistory(groupId, chatHistory);
+    updateGroupChat(groupId, { lastSpeaker: group.lastSpeaker, lastJournalIndex: group.lastJournalIndex });
+
+    res.json({ speaker: result.speaker.name, response: result.response, reasoning: result.reasoning, route: result.route, history: chatHistory });
+  } catch (error) {
+    if (error.name === 'AbortError') return sendCancelled(res);
+    console.error(`Error in POST /api/groups/${req.params.id}/chat:`, error.message || error);
+    if (isProviderError(error)) {
+      return res.status(500).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to generate group chat response due to an unexpected server error.' });
+  }
+});
+
+// Cancel the in-flight turn of a group chat
+app.post('/api/groups/:id/chat/cancel', (req, res) => {
+  try {
+    const cancelled = cancelGeneration(`group:${parseInt(req.params.id, 10)}`);
+    res.json({ cancelled });
+  } catch (error) {
+    console.error(`Error in POST /api/groups/${req.params.id}/chat/cancel:`, error);
+    res.status(500).json({ error: 'Failed to cancel group chat turn.' });
+  }
+});
+
+// List lorebooks (?character=Name limits the list to the books that apply to that character)
+app.get('/api/lorebooks', (req, res) => {
+  try {
+    res.json(loadAllLorebooks(req.query.character || null));
+  } catch (error) {
+    console.error('Error in GET /api/lorebooks:', error);
+    res.status(500).json({ error: 'Failed to retrieve lorebooks.' });
+  }
+});
+
+// Get a lorebook with its entries
+app.get('/api/lorebooks/:id', (req, res) => {
+  try {
+    const lorebook = loadLorebook(parseInt(req.params.id, 10));
+    if (!lorebook) {
+      return res.status(404).json({ error: 'Lorebook not found' });
+    }
+    res.json(lorebook);
+  } catch (error) {
+    console.error(`Error in GET /api/lorebooks/${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve lorebook.' });
+  }
+});
+
+// Create a lorebook. Leave characterName empty for a global book.
+app.post('/api/lorebooks', (req, res) => {
+  try {
+    const { name } = req.body || {};
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'Lorebook name is required.' });
+    }
+
+    const lorebook = createLorebook(req.body);
+    if (!lorebook) {
+      return res.status(400).json({ error: 'Failed to create lorebook. The character may not exist.' });
+    }
+    res.status(201).json(lorebook);
+  } catch (error) {
+    console.error('Error in POST /api/lorebooks:', error);
+    res.status(500).json({ error: 'Failed to create lorebook.' });
+  }
+});
+
+// Update lorebook settings (name, description, characterName, enabled, scanDepth, tokenBudget, recursiveScanning)
+app.put('/api/lorebooks/:id', (req, res) => {
+  try {
+    const lorebook = updateLorebook(parseInt(req.params.id, 10), req.body || {});
+    if (!lorebook) {
+      return res.status(400).json({ error: 'Failed to update lorebook. It may not exist or the data is invalid.' });
+    }
+    res.json(lorebook);
+  } catch (error) {
+    console.error(`Error in PUT /api/lorebooks/${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to update lorebook.' });
+  }
+});
+
+// Delete a lorebook and its entries
+app.delete('/api/lorebooks/:id', (req, res) => {
+  try {
+    const success = deleteLorebook(parseInt(req.params.id, 10));
+    if (!success) {
+      return res.status(404).json({ error: 'Lorebook not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error(`Error in DELETE /api/lorebooks/${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to delete lorebook.' });
+  }
+});
+
+// Add an entry to a lorebook
+app.post('/api/lorebooks/:id/entries', (req, res) => {
+  try {
+    const { content } = req.body || {};
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'Entry content is required.' });
+    }
+
+    const entry = createLoreEntry(parseInt(req.params.id, 10), req.body);
+    if (!entry) {
+      return res.status(404).json({ error: 'Lorebook not found' });
+    }
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error(`Error in POST /api/lorebooks/${req.params.id}/entries:`, error);
+    res.status(500).json({ error: 'Failed to create lorebook entry.' });
+  }
+});
+
+// Update a lorebook entry
+app.put('/api/lorebooks/:id/entries/:entryId', (req, res) => {
+  try {
+    const entry = updateLoreEntry(parseInt(req.params.id, 10), parseInt(req.params.entryId, 10), req.body || {});
+    if (!entry) {
+      return res.status(400).json({ error: 'Failed to update entry. It may not exist or its content is empty.' });
+    }
+    res.json(entry);
+  } catch (error) {
+    console.error(`Error in PUT /api/lorebooks/${req.params.id}/entries/${req.params.entryId}:`, error);
+    res.status(500).json({ error: 'Failed to update lorebook entry.' });
+  }
+});
+
+// Delete a lorebook entry
+app.delete('/api/lorebooks/:id/entries/:entryId', (req, res) => {
+  try {
+    const success = deleteLoreEntry(parseInt(req.params.id, 10), parseInt(req.params.entryId, 10));
+    if (!success) {
+      return res.status(404).json({ error: 'Lorebook entry not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error(`Error in DELETE /api/lorebooks/${req.params.id}/entries/${req.params.entryId}:`, error);
+    res.status(500).json({ error: 'Failed to delete lorebook entry.' });
+  }
+});
+
+// Query value -> ms timestamp (accepts a number of ms or a date string)
+function parseTimestampQuery(value) {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (Number.isFinite(number)) return number;
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// Browse all stored memories of a character, newest first.
+// Query: limit (default 50, max 200), offset, type, minImportance, maxImportance (0-1),
+// since, until (ms or date string), topic, pinned (true/false). The legacy filter=important
+// means minImportance=0.7.
+app.get('/api/memories/:characterName', async (req, res) => {
+  try {
+    const { type, topic, pinned, filter } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const filters = {
+      type: type || undefined,
+      topic: topic || undefined,
+      since: parseTimestampQuery(req.query.since),
+      until: parseTimestampQuery(req.query.until),
+      pinned: pinned === 'true' ? true : pinned === 'false' ? false : undefined
+    };
+    for (const key of ['minImportance', 'maxImportance']) {
+      if (req.query[key] !== undefined && req.query[key] !== '') {
+        filters[key] = Number(req.query[key]);
+        if (!Number.isFinite(filters[key])) {
+          return res.status(400).json({ error: `${key} must be a number between 0 and 1.` });
+        }
+      }
+    }
+    if (filters.since === null || filters.until === null) {
+      return res.status(400).json({ error: 'since and until must be timestamps or dates.' });
+    }
+    if (filter === 'important' && filters.minImportance === undefined) filters.minImportance = 0.7;
+
+    await initializeVectorStorage();
+    const result = listMemories(req.params.characterName, filters, limit, offset);
+    if (!result) {
+      return res.status(500).json({ error: 'Failed to list memories.' });
+    }
+    res.json({ memories: result.memories, total: result.total, limit, offset });
+  } catch (error) {
+    console.error(`Error in GET /api/memories/${req.params.characterName}:`, error);
+    res.status(500).json({ error: 'Failed to list memories.' });
+  }
+});
+
+// Add a memory by hand: { summary, importance?, topics?, pinned? }
+app.post('/api/memories/:characterName', async (req, res) => {
+  try {
+    const { summary, importance } = req.body || {};
+    if (!summary || !String(summary).trim()) {
+      return res.status(400).json({ error: 'Memory summary is required.' });
+    }
+    if (importance !== undefined && !(Number(importance) >= 0 && Number(importance) <= 1)) {
+      return res.status(400).json({ error: 'importance must be a number between 0 and 1.' });
+    }
+    if (!loadCharacterWithCache(req.params.characterName)) {
+      return res.status(404).json({ error: 'Character not found.' });
+    }
+
+    await initializeVectorStorage();
+    const memory = await createMemory(req.params.characterName, req.body, loadSettingsFromDB());
+    if (!memory) {
+      return res.status(502).json({ error: 'Failed to create memory. The embedding provider may be unavailable.' });
+    }
+    res.status(201).json(memory);
+  } catch (error) {
+    console.error(`Error in POST /api/memories/${req.params.characterName}:`, error);
+    res.status(500).json({ error: 'Failed to create memory.' });
+  }
+});
+
+// Edit a memory: { summary?, importance?, topics?, pinned? }. A new summary is re-embedded.
+app.put('/api/memories/:characterName/:memoryId', async (req, res) => {
+  try {
+    const { summary, importance, pinned } = req.body || {};
+    if (summary !== undefined && !String(summary).trim()) {
+      return res.status(400).json({ error: 'Memory summary cannot be empty.' });
+    }
+    if (importance !== undefined && !(Number(importance) >= 0 && Number(importance) <= 1)) {
+      return res.status(400).json({ error: 'importance must be a number between 0 and 1.' });
+    }
+    if (pinned !== undefined && typeof pinned !== 'boolean') {
+      return res.status(400).json({ error: 'pinned must be true or false.' });
+    }
+
+    await initializeVectorStorage();
+    const memory = await updateMemory(req.params.characterName, req.params.memoryId, req.body || {}, loadSettingsFromDB());
+    if (!memory) {
+      return res.status(404).json({ error: 'Memory not found, or the new summary could not be embedded.' });
+    }
+    res.json(memory);
+  } catch (error) {
+    console.error(`Error in PUT /api/memories/${req.params.characterName}/${req.params.memoryId}:`, error);
+    res.status(500).json({ error: 'Failed to update memory.' });
+  }
+});
+
+// Delete a single memory
+app.delete('/api/memories/:characterName/:memoryId', async (req, res) => {
+  try {
+    await initializeVectorStorage();
+    if (!deleteMemory(req.params.characterName, req.params.memoryId)) {
+      return res.status(404).json({ error: 'Memory not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error(`Error in DELETE /api/memories/${req.params.characterName}/${req.params.memoryId}:`, error);
+    res.status(500).json({ error: 'Failed to delete memory.' });
+  }
+});
+
+// Preview which memories retrieval would pick for the last user message
+app.get('/api/memories/:characterName/relevant', async (req, res) => {
+  try {
+    const charName = req.params.characterName;
+    const filter = req.query.filter ? req.query.filter.toLowerCase() : 'all';
+    // Ensure vector storage is initialized
+    await initializeVectorStorage();
+    // Load character data and chat history
+    const character = loadCharacterWithCache ? loadCharacterWithCache(charName) : loadCharacter(charName);
+    const chatHistory = loadChatHistory(charName);    // Load settings
+    const settings = loadSettingsFromDB();
+    const retrievalCount = settings.memory?.retrievalCount ?? 5;
+    const retrievalDisabled = settings.memory?.enableMemoryRetrieval === false || retrievalCount <= 0;
+    // Determine last user message for query
+    const lastUser = [...chatHistory].reverse().find(m => m.role === 'user');
+    const currentMessage = lastUser ? lastUser.content : '';
+    let memories = [];
+    if (!retrievalDisabled) {
+      // Fetch relevant memories
+      memories = await retrieveRelevantMemories(currentMessage, character, retrievalCount, settings, chatHistory);
+    } else {
+      console.log(`Memory retrieval endpoint skipped (disabled=${settings.memory?.enableMemoryRetrieval === false} retrievalCount=${retrievalCount})`);
+    }
+
+    // Apply backend filtering for importance/recency if requested
+    if (filter === 'important') {
+      memories = (memories || []).filter(m => m.importance > 0.7);
+    } else if (filter === 'recent') {
+      memories = (memories || [])
+        .slice() // copy
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(0, 3); // most recent 3
+    }
+    res.json(memories || []);
+  } catch (err) {
+    console.error(`Error in GET /api/memories/${req.params.characterName}/relevant:`, err);
+    res.status(500).json({ error: 'Failed to retrieve memories.' });
+  }
+});
+
+// Recycle memories for a character
+app.post('/api/memories/:characterName/recycle', async (req, res) => {
+  try {
+    const characterName = req.params.characterName;
+    
+    // Check if character exists
+    const character = loadCharacter(characterName);
+    if (!character) {
+      return res.status(404).json({ error: 'Character not found.' });
+    }
+    
+    // Load chat history
+    const chatHistory = loadChatHistory(characterName);
+    if (!chatHistory || chatHistory.length === 0) {
+      return res.status(400).json({ error: 'No chat history available for memory recycling.' });
+    }
+
+    // Recycling runs as a background job; its progress is on /api/jobs/:id (or /progress)
+    const running = findActiveJob('recycle', characterName);
+    if (running) {
+      return res.status(409).json({ error: 'Memory recycling is already queued or running for this character.', job: running });
+    }
+    const job = enqueueJob('recycle', { characterName }, { character: characterName });
+    if (!job) {
+      return res.status(500).json({ error: 'Failed to queue memory recycling.' });
+    }
+    res.status(202).json({ job });
+  } catch (error) {
+    console.error(`Error in POST /api/memories/${req.params.characterName}/recycle:`, error);
+    res.status(500).json({ error: 'Failed to recycle memories due to server error.' });
+  }
+});
+
+// Merge near-duplicate memories and roll older ones up into chapters and arcs. Runs as a
+// 'consolidate' job in the character's memory lane, so it never overlaps a recycle of the same
+// memories; the result ({ merged, chapters, arcs }) is on /api/jobs/:id.
+app.post('/api/memories/:characterName/consolidate', async (req, res) => {
+  try {
+    const characterName = req.params.characterName;
+    if (!loadCharacter(characterName)) {
+      return res.status(404).json({ error: 'Character not found.' });
+    }
+    const queued = findActiveJob('consolidate', characterName);
+    if (queued && queued.status === 'queued' && queued.payload?.fullScan) {
+      return res.status(202).json({ job: queued });
+    }
+    const job = enqueueJob('consolidate', { characterName, fullScan: true }, { character: characterName });
+    if (!job) {
+      return res.status(500).json({ error: 'Failed to queue memory consolidation.' });
+    }
+    res.status(202).json({ job });
+  } catch (error) {
+    console.error(`Error in POST /api/memories/${req.params.characterName}/consolidate:`, error);
+    res.status(500).json({ error: 'Failed to consolidate memories.' });
+  }
+});
+
+// Browse the knowledge graph of a character (entities and facts from its journal entries).
+// Query: limit (default 50, max 200), offset, kind (person/place/item/faction/other), q (text search).
+app.get('/api/knowledge/:characterName/entities', (req, res) => {
+  try {
+    const { kind, q } = req.query;
+    if (kind && !ENTITY_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${ENTITY_KINDS.join(', ')}.` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const result = listEntities(req.params.characterName, { kind: kind || undefined, q: q || undefined }, limit, offset);
+    if (!result) {
+      return res.status(500).json({ error: 'Failed to list entities.' });
+    }
+    res.json({ entities: result.entities, total: result.total, limit, offset });
+  } catch (error) {
+    console.error(`Error in GET /api/knowledge/${req.params.characterName}/entities:`, error);
+    res.status(500).json({ error: 'Failed to list entities.' });
+  }
+});
+
+// One entity with its facts (facts) and the facts that refer to it (mentionedIn)
+app.get('/api/knowledge/:characterName/entities/:entityId', (req, res) => {
+  try {
+    const entity = getEntity(req.params.characterName, req.params.entityId);
+    if (!entity) {
+      return res.status(404).json({ error: 'Entity not found.' });
+    }
+    res.json(entity);
+  } catch (error) {
+    console.error(`Error in GET /api/knowledge/${req.params.characterName}/entities/${req.params.entityId}:`, error);
+    res.status(500).json({ error: 'Failed to load entity.' });
+  }
+});
+
+// Delete an entity together with its facts
+app.delete('/api/knowledge/:characterName/entities/:entityId', (req, res) => {
+  try {
+    if (!deleteEntity(req.params.characterName, req.params.entityId)) {
+      return res.status(404).json({ error: 'Entity not found.' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error(`Error in DELETE /api/knowledge/${req.params.characterName}/entities/${req.params.entityId}:`, error);
+    res.status(500).json({ error: 'Failed to delete entity.' });
+  }
+});
+
+// Facts of a character. Query: limit, offset, entityId (as subject or object), q (text search),
+// includeSuperseded=true (also facts replaced by newer ones).
+app.get('/api/knowledge/:characterName/facts', (req, res) => {
+  try {
+    const { entityId, q } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const filters = { entityId: entityId || undefined, q: q || undefined, includeSuperseded: req.query.includeSuperseded === 'true' };
+    const result = listFacts(req.params.characterName, filters, limit, offset);
+    if (!result) {
+      return res.status(500).json({ error: 'Failed to list facts.' });
+    }
+    res.json({ facts: result.facts, total: result.total, limit, offset });
+  } catch (error) {
+    console.error(`Error in GET /api/knowledge/${req.params.characterName}/facts:`, error);
+    res.status(500).json({ error: 'Failed to list facts.' });
+  }
+});
+
+app.delete('/api/knowledge/:characterName/facts/:factId', (req, res) => {
+  try {
+    if (!deleteFact(req.params.characterName, req.params.factId)) {
+      return res.status(404).json({ error: 'Fact not found.' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error(`Error in DELETE /api/knowledge/${req.params.characterName}/facts/${req.params.factId}:`, error);
+    res.status(500).json({ error: 'Failed to delete fact.' });
+  }
+});
+
+// Get recycling progress for a character (from its queued or running recycle job)
+app.get('/api/memories/:characterName/progress', (req, res) => {
+  try {
+    const characterName = req.params.characterName;
+    const job = findActiveJob('recycle', characterName);
+    
+    if (job) {
+      res.json({
+        step: 'queued',
+        message: 'Waiting to start',
+        current: 0,
+        total: 0,
+        characterName,
+        ...job.progress,
+        jobId: job.id,
+        status: job.status
+      });
+    } else {
+      res.json({ step: 'idle', message: 'No active recycling process', current: 0, total: 0 });
+    }
+  } catch (error) {
+    console.error(`Error in GET /api/memories/${req.params.characterName}/progress:`, error);
+    res.status(500).json({ error: 'Failed to get recycling progress.' });
+  }
+});
+
+// Embedding index: models in use, stale vector count and re-embedding progress
+app.get('/api/embeddings/status', (req, res) => {
+  try {
+    res.json({ ...getEmbeddingIndexStatus(loadSettingsFromDB()), job: describeReembedJob(findLatestJob('reembed')) });
+  } catch (error) {
+    console.error('Error in GET /api/embeddings/status:', error);
+    res.status(500).json({ error: 'Failed to get embedding status.' });
+  }
+});
+
+// Re-embed memories whose vectors do not come from the current embedding model
+app.post('/api/embeddings/reembed', (req, res) => {
+  try {
+    const characterName = typeof req.body?.characterName === 'string' && req.body.characterName.trim()
+      ? req.body.characterName.trim() : null;
+    const job = findActiveJob('reembed') || enqueueJob('reembed', { characterName }, { character: characterName });
+    if (!job) {
+      return res.status(500).json({ error: 'Failed to start re-embedding.' });
+    }
+    res.status(202).json({ job: describeReembedJob(job) });
+  } catch (error) {
+    console.error('Error in POST /api/embeddings/reembed:', error);
+    res.status(500).json({ error: 'Failed to start re-embedding.' });
+  }
+});
+
+app.post('/api/embeddings/reembed/cancel', (req, res) => {
+  const job = findActiveJob('reembed');
+  if (!job) {
+    return res.status(404).json({ error: 'No re-embedding job is running.' });
+  }
+  const result = cancelJob(job.id);
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.json({ cancelled: true });
+});
+
+// Background jobs (journal entries, memory recycling, re-embedding), newest first.
+// Query: type, status, character, limit (default 50, max 200), offset.
+app.get('/api/jobs', (req, res) => {
+  try {
+    const { type, status, character } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}.` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const result = listJobs({ type: type || undefined, status: status || undefined, character: character || undefined }, limit, offset);
+    if (!result) {
+      return res.status(500).json({ error: 'Failed to list jobs.' });
+    }
+    res.json({ jobs: result.jobs, total: result.total, limit, offset });
+  } catch (error) {
+    console.error('Error in GET /api/jobs:', error);
+    res.status(500).json({ error: 'Failed to list jobs.' });
+  }
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(parseInt(req.params.id, 10));
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found.' });
+  }
+  res.json(job);
+});
+
+// Cancel a queued job (running re-embedding jobs can be cancelled too)
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const result = cancelJob(parseInt(req.params.id, 10));
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.json({ job: result.job });
+});
+
+// Queue a failed or cancelled job again
+app.post('/api/jobs/:id/retry', (req, res) => {
+  const result = retryJob(parseInt(req.params.id, 10));
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.status(202).json({ job: result.job });
+});
+
+// Get settings
+app.get('/api/settings', (req, res) => {
+  try {
+    const settings = loadSettingsFromDB();
+    // loadSettingsFromDB returns {} on error, which is probably fine
+    res.json(settings);
+  } catch (error) {
+    // Unlikely if loadSettingsFromDB handles its own errors
+    console.error("Error in GET /api/settings:", error);
+    res.status(500).json({ error: 'Failed to load settings.' });
+  }
+});
+
+// Update settings
+app.put('/api/settings', (req, res) => {
+  try {
+    // Add validation if needed
+    if (!req.body || typeof req.body !== 'object') {
+        return res.status(400).json({ error: 'Invalid settings data provided.' });
+    }
+    const samplerError = validateSamplerSettings(req.body);
+    if (samplerError) {
+      return res.status(400).json({ error: samplerError });
+    }
+    const settings = req.body;
+    const previousEmbeddingModel = getEmbeddingTarget(loadSettingsFromDB()).model;
+    saveSettingsToDB(settings);
+    // A new embedding model makes the stored vectors incomparable; re-embed them in the background
+    try {
+      const savedSettings = loadSettingsFromDB();
+      const { model } = getEmbeddingTarget(savedSettings);
+      if (model !== previousEmbeddingModel && getEmbeddingIndexStatus(savedSettings).stale > 0 && !findActiveJob('reembed')) {
+        enqueueJob('reembed', { characterName: null });
+      }
+    } catch (e) {
+      console.warn('Failed to start re-embedding after embedding settings changed:', e.message || e);
+    }
+    // Turso sync management
+    try {
+      const turso = settings.turso || {};
+      stopTursoSync();
+      if (turso.enabled && turso.url && (turso.token || turso.authToken)) {
+        const started = startTursoSync({ url: turso.url, authToken: turso.token || turso.authToken, intervalMs: turso.syncInterval || 60000 });
+        if (started) console.log('[Turso] Remote sync enabled (push/pull mode).');
+      } else {
+        console.log('[Turso] Sync disabled via settings.');
+      }
+    } catch (e) {
+      console.warn('Failed to apply Turso sync settings:', e.message || e);
+    }
+    res.json(settings);
+  } catch (error) {
+    // Unlikely if saveSettingsToDB handles errors
+    console.error("Error in PUT /api/settings:", error);
+    res.status(500).json({ error: 'Failed to save settings.' });
+  }
+});
+
+// Sampler presets (settings.samplerPresets), the global default preset and the parameter names
+app.get('/api/sampler-presets', (req, res) => {
+  try {
+    const settings = loadSettingsFromDB();
+    res.json({
+      presets: settings.samplerPresets || {},
+      defaultPreset: settings.samplerPreset || null,
+      parameters: SAMPLER_KEYS
+    });
+  } catch (error) {
+    console.error('Error in GET /api/sampler-presets:', error);
+    res.status(500).json({ error: 'Failed to load sampler presets.' });
+  }
+});
+
+// Create or replace a sampler preset; the body holds its parameter values
+app.put('/api/sampler-presets/:name', (req, res) => {
+  try {
+    const { preset, error } = validateSamplerPreset(req.params.name, req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const name = req.params.name.trim();
+    const settings = loadSettingsFromDB();
+    settings.samplerPresets = { ...(settings.samplerPresets || {}), [name]: preset };
+    if (!saveSettingsToDB(settings)) {
+      return res.status(500).json({ error: 'Failed to save sampler preset.' });
+    }
+    res.json({ name, preset });
+  } catch (error) {
+    console.error(`Error in PUT /api/sampler-presets/${req.params.name}:`, error);
+    res.status(500).json({ error: 'Failed to save sampler preset.' });
+  }
+});
+
+// Delete a sampler preset; it stops being the default preset too. Characters that name it fall
+// back to the plain settings.
+app.delete('/api/sampler-presets/:name', (req, res) => {
+  try {
+    const settings = loadSettingsFromDB();
+    if (!settings.samplerPresets?.[req.params.name]) {
+      return res.status(404).json({ error: 'Sampler preset not found.' });
+    }
+    const { [req.params.name]: removed, ...remaining } = settings.samplerPresets;
+    settings.samplerPresets = remaining;
+    if (settings.samplerPreset === req.params.name) delete settings.samplerPreset;
+    if (!saveSettingsToDB(settings)) {
+      return res.status(500).json({ error: 'Failed to delete sampler preset.' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error(`Error in DELETE /api/sampler-presets/${req.params.name}:`, error);
+    res.status(500).json({ error: 'Failed to delete sampler preset.' });
+  }
+});
+
+// Get API key statuses
+app.get('/api/key-status', (req, res) => {
+  try {
+    // Return current API key statuses for all providers, with the milliseconds each key
+    // still has to cool down (0 when it is usable). Saved key health is loaded first, so
+    // statuses and cooldowns from before a restart are shown too.
+    loadApiKeyHealth(loadSettingsFromDB().apiKeys || {});
+    const statusResponse = {
+      statuses: apiKeyStatus,
+      indices: apiKeyIndices,
+      cooldowns: getApiKeyCooldowns()
+    };
+    res.json(statusResponse);
+  } catch (error) {
+    console.error("Error in GET /api/key-status:", error);
+    res.status(500).json({ error: 'Failed to retrieve API key statuses.' });
+  }
+});
+
+// Usage ledger report: totals per day, character, provider/model and API key (hashed) over the
+// last `days` days (default 30), optionally for one character, plus the saved key health
+app.get('/api/usage', (req, res) => {
+  try {
+    const report = getUsageReport({
+      days: parseInt(req.query.days, 10) || 30,
+      character: req.query.character || null
+    });
+    if (!report) {
+      return res.status(500).json({ error: 'Failed to build usage report.' });
+    }
+    res.json({ ...report, keyHealth: listKeyHealth() });
+  } catch (error) {
+    console.error('Error in GET /api/usage:', error);
+    res.status(500).json({ error: 'Failed to build usage report.' });
+  }
+});
+
+// Registered chat providers (built-in and plugins) with their capabilities, for the settings UI
+app.get('/api/providers', (req, res) => {
+  try {
+    res.json({
+      providers: listProviders({ includeHidden: req.query.includeHidden === 'true' }).map(describeProvider),
+      plugins: listProviderPlugins()
+    });
+  } catch (error) {
+    console.error("Error in GET /api/providers:", error);
+    res.status(500).json({ error: 'Failed to retrieve providers.' });
+  }
+});
+
+// Get model configurations
+app.get('/api/models', async (req, res) => {
+  try {
+    // Built-in providers plus one entry per configured OpenAI-compatible endpoint
+    res.json(await getModelConfigurations(loadSettingsFromDB()));
+  } catch (error) {
+    // Very unlikely
+    console.error("Error in GET /api/models:", error);
+    res.status(500).json({ error: 'Failed to retrieve model configurations.' });
+  }
+});
+
+// List the models of an OpenAI-compatible server before it is saved ({ baseUrl, apiKey, headers })
+app.post('/api/openai-compatible/models', async (req, res) => {
+  try {
+    const { baseUrl, apiKey, headers } = req.body || {};
+    if (!baseUrl || !/^https?:\/\//i.test(baseUrl)) {
+      return res.status(400).json({ error: 'A base URL starting with http:// or https:// is required.' });
+    }
+    res.json(await listOpenAICompatibleModels({ baseUrl, apiKey, headers }));
+  } catch (error) {
+    console.error('Error in POST /api/openai-compatible/models:', error.message || error);
+    res.status(502).json({ error: `Could not list models: ${error.message || 'endpoint unreachable'}` });
+  }
+});
+
+// Serve the main HTML file for any other routes (like SPA routing)
+app.get('*', (req, res) => {
+  res.sendFile(path.join(__dirname, '../frontend/index.html'));
+});
+
+// Initialize database before starting server
 async function startServer() {
   console.log('Initializing data directories...');
   await initializeDataDirectory();
@@ -741,6 +1995,20 @@ async function startServer() {
   
   console.log('Initializing vector storage...');
   await initializeVectorStorage();
+
+  console.log('Loading provider plugins...');
+  await initializeProviderPlugins(getProviderPluginsPath());
+  pruneUsageLedger();
+  // Memories stored before their embedding model was recorded: those with the configured model's
+  // dimension are taken as that model; only vectors of another dimension are queued for re-embedding.
+  // Runs in the background since finding the dimension may need one embedding call.
+  adoptUnrecordedEmbeddings(loadSettingsFromDB())
+    .then(({ unrecorded, dimension }) => {
+      if (dimension && unrecorded > 0 && !findActiveJob('reembed')) {
+        enqueueJob('reembed', { characterName: null });
+      }
+    })
+    .catch(e => console.warn('Failed to check memories without a recorded embedding model:', e.message || e));
   // Boot-time optional Turso sync
   try {
     const db = getDatabase();
@@ -765,6 +2033,8 @@ async function startServer() {
   
   const server = app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
+    // Started once the module has finished loading, since the job handlers use the character cache
+    startJobWorker();
     console.log('Database: SQLite (data/chunrp.db)');
     console.log('Vector storage: sqlite-vec (embedded)');
     if (isTursoSyncing()) console.log('Turso sync: ACTIVE');
@@ -802,6 +2072,9 @@ function gracefulShutdown(signal) {
   });
   sseClients.length = 0; // Clear the array
   
+  // Running jobs are picked up again on the next start
+  stopJobWorker();
+
   // Save any dirty characters
   if (dirtyCharacters.size > 0) {
     console.log(`Saving ${dirtyCharacters.size} characters before shutdown...`);
@@ -903,3 +2176,83 @@ function saveCache() {
   }
 }
 
+// --- Background jobs ---
+// The queue itself is in job-queue.js; the handlers live here because journal entries update
+// the cached character (relationships) that this file saves. Jobs in the 'memory' group write a
+// character's memories and run one at a time per character, in queue order.
+
+// Failing for a reason a retry cannot fix
+function permanentError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+// A journal entry for a chunk of messages chosen when the job was queued (see queueJournalEntry)
+registerJobHandler('journal', async ({ characterName, messages }) => {
+  if (!loadCharacterWithCache(characterName)) throw permanentError(`Character ${characterName} not found.`);
+  if (!Array.isArray(messages) || messages.length === 0) throw permanentError('No messages to journal.');
+  const settings = loadSettingsFromDB();
+  // The chunk is journaled as queued even if journalFrequency changed since
+  const journalSettings = { ...settings, memory: { ...settings.memory, journalFrequency: messages.length } };
+  const result = await createJournalEntry(messages, loadCharacterWithCache(characterName), journalSettings);
+  if (!result) throw new Error(`Journal entry for ${characterName} could not be created.`);
+
+  // Update the cached character in place (a chat request may hold the same object) and save it now
+  const character = loadCharacterWithCache(characterName);
+  if (character) {
+    character.relationships = result.updatedRelationships;
+    character.modifiedAt = Date.now();
+    dirtyCharacters.add(characterName);
+    saveCache();
+  }
+  return { memoryId: result.journalEntry.id, importance: result.journalEntry.importance };
+}, { maxAttempts: 4, backoffMs: 15000, group: 'memory' });
+
+// Clear a character's memories and rebuild them from its chat history
+registerJobHandler('recycle', async ({ characterName }, { reportProgress }) => {
+  const character = loadCharacterWithCache(characterName);
+  if (!character) throw permanentError(`Character ${characterName} not found.`);
+  const chatHistory = loadChatHistory(characterName);
+  if (!chatHistory || chatHistory.length === 0) throw permanentError('No chat history available for memory recycling.');
+  await initializeVectorStorage();
+  const result = await recycleCharacterMemories(characterName, chatHistory, character, loadSettingsFromDB(), reportProgress);
+  if (!result.success) throw new Error(result.error || 'Failed to recycle memories.');
+  return { memoriesCreated: result.memoriesCreated, chunksProcessed: result.chunksProcessed };
+}, { maxAttempts: 2, backoffMs: 60000, group: 'memory' });
+
+// Merge duplicates and build chapters/arcs after new journal entries (see scheduleMemoryConsolidation),
+// or over all entries (fullScan) when asked for from the consolidate route
+registerJobHandler('consolidate', async ({ characterName, fullScan = false }) => {
+  if (!loadCharacterWithCache(characterName)) throw permanentError(`Character ${characterName} not found.`);
+  await initializeVectorStorage();
+  const result = await consolidateCharacterMemories(characterName, loadSettingsFromDB(), { fullScan });
+  // null: another pass for this character is already running and covers the new entries
+  return result || { skipped: true };
+}, { maxAttempts: 2, backoffMs: 60000, group: 'memory' });
+
+// Re-embed memories whose vectors come from another embedding model
+registerJobHandler('reembed', async ({ characterName }, { signal, reportProgress }) => {
+  await initializeVectorStorage();
+  return reembedStaleMemories(loadSettingsFromDB(), characterName || null, { signal, reportProgress });
+}, { maxAttempts: 3, backoffMs: 60000, cancellable: true });
+
+// Re-embedding job in the shape /api/embeddings/status has always returned
+function describeReembedJob(job) {
+  if (!job) return null;
+  const progress = job.progress || job.result || {};
+  return {
+    id: job.id,
+    status: job.status === 'completed' ? 'done' : job.status,
+    provider: progress.provider || null,
+    model: progress.model || null,
+    characterName: job.character,
+    total: progress.total || 0,
+    done: progress.done || 0,
+    failed: progress.failed || 0,
+    attempts: job.attempts,
+    error: job.error,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
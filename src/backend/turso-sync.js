@@ -9,6 +9,7 @@
 // Conflict Strategy: 
 //   - characters: last-write-wins based on modified_at timestamp
 //   - chat_messages: character-level replacement when timestamps differ by >1 minute
+//   - chat_branches: last-write-wins based on updated_at (active branch stays per-device)
 //   - memories: character-level replacement when timestamps differ by >5 minutes
 // Character-level replacement logic:
 //   - Compare latest timestamps per character between local and remote
@@ -115,6 +116,45 @@ async function ensureRemoteSchema() {
   } catch (e) {
     status.lastError = 'remote schema: ' + (e.message || String(e));
   }
+  // Branch/variant columns (schema v2) and reasoning (v6). Older remotes need the columns added one by one.
+  try {
+    await remote.execute(`CREATE TABLE IF NOT EXISTS chat_branches (id INTEGER PRIMARY KEY, character_id INTEGER NOT NULL, name TEXT NOT NULL, parent_branch_id INTEGER, fork_index INTEGER, is_active INTEGER NOT NULL DEFAULT 0, created_at INTEGER NOT NULL, updated_at INTEGER NOT NULL)`);
+  } catch (e) {
+    status.lastError = 'remote schema: ' + (e.message || String(e));
+  }
+  for (const column of ['branch_id INTEGER', 'parent_id INTEGER', 'variant_index INTEGER NOT NULL DEFAULT 0', 'is_active_variant INTEGER NOT NULL DEFAULT 1', 'reasoning TEXT']) {
+    try {
+      await remote.execute(`ALTER TABLE chat_messages ADD COLUMN ${column}`);
+    } catch (e) {
+      if (!String(e.message || e).includes('duplicate column')) {
+        console.warn(`Turso sync: Failed to add remote chat_messages column (${column}):`, e.message);
+      }
+    }
+  }
+  // Character card columns (schema v4)
+  for (const column of ["example_messages TEXT DEFAULT ''", "alternate_greetings TEXT DEFAULT '[]'", 'character_book TEXT']) {
+    try {
+      await remote.execute(`ALTER TABLE characters ADD COLUMN ${column}`);
+    } catch (e) {
+      if (!String(e.message || e).includes('duplicate column')) {
+        console.warn(`Turso sync: Failed to add remote characters column (${column}):`, e.message);
+      }
+    }
+  }
+}
+
+// Character rows including the card columns; remotes from before v4 fall back to empty card fields.
+const CHARACTER_COLUMNS = 'id,name,description,current_scenario,persona,appearance,avatar_url,first_message,example_messages,alternate_greetings,character_book,last_journal_index,settings_override,created_at,modified_at';
+const CHARACTER_UPSERT_SET = 'description=excluded.description,current_scenario=excluded.current_scenario,persona=excluded.persona,appearance=excluded.appearance,avatar_url=excluded.avatar_url,first_message=excluded.first_message,example_messages=excluded.example_messages,alternate_greetings=excluded.alternate_greetings,character_book=excluded.character_book,last_journal_index=excluded.last_journal_index,settings_override=excluded.settings_override,modified_at=excluded.modified_at';
+function characterArgs(c) {
+  return [c.id, c.name, c.description, c.current_scenario, c.persona, c.appearance, c.avatar_url, c.first_message, c.example_messages ?? '', c.alternate_greetings ?? '[]', c.character_book ?? null, c.last_journal_index, c.settings_override, c.created_at, c.modified_at];
+}
+
+// Chat message rows are mirrored with their branch/variant and reasoning columns; rows from
+// remotes that predate branching fall back to the single-variant defaults.
+const CHAT_MESSAGE_COLUMNS = 'id,character_id,role,content,timestamp,branch_id,parent_id,variant_index,is_active_variant,reasoning';
+function chatMessageArgs(msg) {
+  return [msg.id, msg.character_id, msg.role, msg.content, msg.timestamp, msg.branch_id ?? null, msg.parent_id ?? null, msg.variant_index ?? 0, msg.is_active_variant ?? 1, msg.reasoning ?? null];
 }
 
 // Pull remote rows not present locally or newer.
@@ -125,19 +165,32 @@ async function pullOnce() {
   try {
     // Characters: timestamp-based conflict resolution
     const remoteChars = await remote.execute(`SELECT * FROM characters`);
-    const upsertChar = db.prepare(`INSERT INTO characters (id,name,description,current_scenario,persona,appearance,avatar_url,first_message,last_journal_index,settings_override,created_at,modified_at)
-      VALUES (@id,@name,@description,@current_scenario,@persona,@appearance,@avatar_url,@first_message,@last_journal_index,@settings_override,@created_at,@modified_at)
-      ON CONFLICT(name) DO UPDATE SET description=excluded.description,current_scenario=excluded.current_scenario,persona=excluded.persona,appearance=excluded.appearance,avatar_url=excluded.avatar_url,first_message=excluded.first_message,last_journal_index=excluded.last_journal_index,settings_override=excluded.settings_override,modified_at=excluded.modified_at WHERE excluded.modified_at > modified_at`);
+    const upsertChar = db.prepare(`INSERT INTO characters (${CHARACTER_COLUMNS})
+      VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)
+      ON CONFLICT(name) DO UPDATE SET ${CHARACTER_UPSERT_SET} WHERE excluded.modified_at > modified_at`);
     const localMod = db.prepare('SELECT modified_at FROM characters WHERE name=?');
     for (const r of remoteChars.rows) {
       const existing = localMod.get(r.name);
       if (!existing || existing.modified_at < r.modified_at) {
-        upsertChar.run(r);
+        upsertChar.run(...characterArgs(r));
       }
     }
     
+    // Chat branches: last-write-wins on updated_at. The active flag is only taken for new rows.
+    const remoteBranches = await safeRemoteExecute(`SELECT * FROM chat_branches`);
+    const upsertBranch = db.prepare(`INSERT INTO chat_branches (id,character_id,name,parent_branch_id,fork_index,is_active,created_at,updated_at)
+      VALUES (@id,@character_id,@name,@parent_branch_id,@fork_index,@is_active,@created_at,@updated_at)
+      ON CONFLICT(id) DO UPDATE SET name=excluded.name,parent_branch_id=excluded.parent_branch_id,fork_index=excluded.fork_index,updated_at=excluded.updated_at WHERE excluded.updated_at > updated_at`);
+    for (const b of remoteBranches.rows) {
+      try {
+        upsertBranch.run({ ...b, parent_branch_id: b.parent_branch_id ?? null, fork_index: b.fork_index ?? null });
+      } catch (e) {
+        console.warn(`Turso sync: Skipping remote branch ${b.id} (${b.name}):`, e.message);
+      }
+    }
+
     // Chat messages: timestamp-based conflict resolution with character-level data replacement
-    const remoteChats = await safeRemoteExecute(`SELECT * FROM chat_messages ORDER BY character_id, timestamp`);
+    const remoteChats = await safeRemoteExecute(`SELECT * FROM chat_messages ORDER BY character_id, id`);
     
     // Group remote chats by character and get latest timestamp per character
     const remoteCharTimestamps = new Map();
@@ -172,9 +225,9 @@ async function pullOnce() {
         db.prepare('DELETE FROM chat_messages WHERE character_id = ?').run(charId);
         
         // Insert all remote messages for this character
-        const insChat = db.prepare(`INSERT INTO chat_messages (id,character_id,role,content,timestamp) VALUES (?,?,?,?,?)`);
+        const insChat = db.prepare(`INSERT INTO chat_messages (${CHAT_MESSAGE_COLUMNS}) VALUES (?,?,?,?,?,?,?,?,?,?)`);
         for (const msg of remoteCharMessages.get(charId)) {
-          insChat.run(msg.id, msg.character_id, msg.role, msg.content, msg.timestamp);
+          insChat.run(...chatMessageArgs(msg));
         }
       } else if (localLatest > remoteLatest + 60000) {
         // Local is significantly newer - we'll push this data in pushOnce
@@ -182,10 +235,10 @@ async function pullOnce() {
       } else {
         // Timestamps are close or remote is slightly newer - do incremental merge
         const localChatIds = new Set(db.prepare('SELECT id FROM chat_messages WHERE character_id = ?').all(charId).map(r => r.id));
-        const insChat = db.prepare(`INSERT OR IGNORE INTO chat_messages (id,character_id,role,content,timestamp) VALUES (?,?,?,?,?)`);
+        const insChat = db.prepare(`INSERT OR IGNORE INTO chat_messages (${CHAT_MESSAGE_COLUMNS}) VALUES (?,?,?,?,?,?,?,?,?,?)`);
         for (const msg of remoteCharMessages.get(charId)) {
           if (!localChatIds.has(msg.id)) {
-            insChat.run(msg.id, msg.character_id, msg.role, msg.content, msg.timestamp);
+            insChat.run(...chatMessageArgs(msg));
           }
         }
       }
@@ -294,10 +347,20 @@ async function pushOnce() {
     for (const c of locals) {
       const rm = rMap.get(c.name);
       if (rm == null || rm < c.modified_at) {
-        stmts.push({ sql: `INSERT INTO characters (id,name,description,current_scenario,persona,appearance,avatar_url,first_message,last_journal_index,settings_override,created_at,modified_at) VALUES (?,?,?,?,?,?,?,?,?,?,?,?) ON CONFLICT(name) DO UPDATE SET description=excluded.description,current_scenario=excluded.current_scenario,persona=excluded.persona,appearance=excluded.appearance,avatar_url=excluded.avatar_url,first_message=excluded.first_message,last_journal_index=excluded.last_journal_index,settings_override=excluded.settings_override,modified_at=excluded.modified_at WHERE excluded.modified_at > modified_at`, args: [c.id,c.name,c.description,c.current_scenario,c.persona,c.appearance,c.avatar_url,c.first_message,c.last_journal_index,c.settings_override,c.created_at,c.modified_at] });
+        stmts.push({ sql: `INSERT INTO characters (${CHARACTER_COLUMNS}) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?) ON CONFLICT(name) DO UPDATE SET ${CHARACTER_UPSERT_SET} WHERE excluded.modified_at > modified_at`, args: characterArgs(c) });
       }
     }
     
+    // Chat branches: push rows that are missing or newer than the remote copy
+    const remoteBranches = await safeRemoteExecute(`SELECT id, updated_at FROM chat_branches`);
+    const rBranchMap = new Map(remoteBranches.rows.map(r => [r.id, r.updated_at]));
+    for (const b of db.prepare('SELECT * FROM chat_branches').all()) {
+      const rm = rBranchMap.get(b.id);
+      if (rm == null || rm < b.updated_at) {
+        stmts.push({ sql: `INSERT INTO chat_branches (id,character_id,name,parent_branch_id,fork_index,is_active,created_at,updated_at) VALUES (?,?,?,?,?,?,?,?) ON CONFLICT(id) DO UPDATE SET name=excluded.name,parent_branch_id=excluded.parent_branch_id,fork_index=excluded.fork_index,updated_at=excluded.updated_at`, args: [b.id,b.character_id,b.name,b.parent_branch_id,b.fork_index,b.is_active,b.created_at,b.updated_at] });
+      }
+    }
+
     // Chat messages: timestamp-based conflict resolution with character-level data replacement
     const remoteChats = await safeRemoteExecute(`SELECT character_id, MAX(timestamp) as latest_timestamp FROM chat_messages GROUP BY character_id`);
     const remoteCharTimestamps = new Map(remoteChats.rows.map(r => [r.character_id, r.latest_timestamp]));
@@ -321,9 +384,9 @@ async function pushOnce() {
         stmts.push({ sql: `DELETE FROM chat_messages WHERE character_id = ?`, args: [charId] });
         
         // Push all local messages for this character
-        const charMessages = db.prepare('SELECT * FROM chat_messages WHERE character_id = ? ORDER BY timestamp').all(charId);
+        const charMessages = db.prepare('SELECT * FROM chat_messages WHERE character_id = ? ORDER BY id').all(charId);
         for (const msg of charMessages) {
-          stmts.push({ sql: `INSERT INTO chat_messages (id,character_id,role,content,timestamp) VALUES (?,?,?,?,?)`, args: [msg.id,msg.character_id,msg.role,msg.content,msg.timestamp] });
+          stmts.push({ sql: `INSERT INTO chat_messages (${CHAT_MESSAGE_COLUMNS}) VALUES (?,?,?,?,?,?,?,?,?,?)`, args: chatMessageArgs(msg) });
         }
       } else if (remoteLatest > localLatest + 60000) {
         // Remote is significantly newer - don't push anything, it will be pulled next cycle
@@ -335,7 +398,7 @@ async function pushOnce() {
         const charMessages = db.prepare('SELECT * FROM chat_messages WHERE character_id = ?').all(charId);
         for (const msg of charMessages) {
           if (!remoteChatIds.has(msg.id)) {
-            stmts.push({ sql: `INSERT INTO chat_messages (id,character_id,role,content,timestamp) VALUES (?,?,?,?,?)`, args: [msg.id,msg.character_id,msg.role,msg.content,msg.timestamp] });
+            stmts.push({ sql: `INSERT INTO chat_messages (${CHAT_MESSAGE_COLUMNS}) VALUES (?,?,?,?,?,?,?,?,?,?)`, args: chatMessageArgs(msg) });
           }
         }
       }
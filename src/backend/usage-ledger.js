@@ -0,0 +1,310 @@
+// Usage accounting for provider requests and persistent API key health.
+//
+// Every call through a provider handler (chat replies, memory analysis, speaker selection) is
+// written to the `usage_ledger` table: provider, model, a hash of the key that served it,
+// estimated prompt/completion tokens, latency, an error class and an estimated cost. Key health
+// (status and circuit breaker state, see provider-utils.js) is kept in `api_key_health`, so
+// cooldowns survive a restart. Keys are only ever stored as a short SHA-256 hash.
+//
+// Cost: settings.usage.pricing['provider/model'] or ['provider'] ({ prompt, completion } in USD per
+// million tokens), else a model's `pricing` in the provider registry; free models and local
+// providers cost 0, anything else is left unpriced (null).
+// Quotas: settings.usage.quotas[provider] = { dailyRequests, dailyTokens } stops a provider for the
+// rest of the (local) day once reached, which lets fallback routes take over.
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { getDatabase } from './database.js';
+import { getProvider } from './provider-registry.js';
+
+const DEFAULT_RETENTION_DAYS = 365;
+const MAX_REPORT_DAYS = 366;
+
+// The request being tracked, so the key rotation helpers can say which key served it
+const usageScope = new AsyncLocalStorage();
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex').slice(0, 16);
+}
+
+// --- Key health ---
+
+// Saved health of the given keys: Map of hash -> { status, failures, cooldownMs, openUntil }
+function loadKeyHealth(provider, hashes) {
+  const health = new Map();
+  if (!hashes.length) return health;
+  try {
+    const rows = getDatabase().prepare(`SELECT * FROM api_key_health WHERE provider = ? AND key_hash IN (${hashes.map(() => '?').join(', ')})`)
+      .all(provider, ...hashes);
+    for (const row of rows) {
+      health.set(row.key_hash, {
+        status: row.status,
+        failures: row.failures,
+        cooldownMs: row.cooldown_ms,
+        openUntil: row.open_until
+      });
+    }
+  } catch (error) {
+    console.error(`Error loading API key health for ${provider}:`, error);
+  }
+  return health;
+}
+
+function saveKeyHealth(provider, hash, { status, failures = 0, cooldownMs = 0, openUntil = 0, lastError = null }) {
+  try {
+    getDatabase().prepare(`
+      INSERT INTO api_key_health (provider, key_hash, status, failures, cooldown_ms, open_until, last_error, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(provider, key_hash) DO UPDATE SET status = excluded.status, failures = excluded.failures,
+        cooldown_ms = excluded.cooldown_ms, open_until = excluded.open_until,
+        last_error = COALESCE(excluded.last_error, api_key_health.last_error), updated_at = excluded.updated_at
+    `).run(provider, hash, status, failures, cooldownMs, openUntil, lastError, Date.now());
+  } catch (error) {
+    console.error(`Error saving API key health for ${provider}:`, error);
+  }
+}
+
+function listKeyHealth() {
+  try {
+    return getDatabase().prepare('SELECT * FROM api_key_health ORDER BY provider, key_hash').all().map(row => ({
+      provider: row.provider,
+      keyHash: row.key_hash,
+      status: row.status,
+      failures: row.failures,
+      cooldownRemainingMs: Math.max(0, row.open_until - Date.now()),
+      lastError: row.last_error || null,
+      updatedAt: row.updated_at
+    }));
+  } catch (error) {
+    console.error('Error listing API key health:', error);
+    return [];
+  }
+}
+
+// Called by the key rotation helpers: remembers the key that answered (or failed last) for the request
+function noteKeyUsed(provider, hash) {
+  const scope = usageScope.getStore();
+  if (scope && scope.provider === provider) scope.keyHash = hash;
+}
+
+// --- Ledger ---
+
+// HTTP 429 or a message naming a rate limit. A bare "rate" is not enough: it also appears in
+// words like "generate" and "moderate".
+const RATE_LIMIT_PATTERN = /\b429\b|rate[\s_-]?limit|too many requests/i;
+function isRateLimitError(error) {
+  if (!error) return false;
+  if (error.status === 429 || error.statusCode === 429) return true;
+  return RATE_LIMIT_PATTERN.test(String(error.message || error));
+}
+
+function classifyError(error) {
+  if (!error) return null;
+  if (error.name === 'AbortError') return 'cancelled';
+  if (error.code === 'KEYS_COOLING_DOWN') return 'cooldown';
+  if (error.code === 'QUOTA_EXCEEDED') return 'quota';
+  const message = String(error.message || error).toLowerCase();
+  if (isRateLimitError(error)) return 'rate-limit';
+  if (message.includes('quota')) return 'quota';
+  if (/\b(401|403)\b/.test(message) || message.includes('unauthorized') || message.includes('api key')) return 'auth';
+  if (message.includes('timeout') || message.includes('timed out')) return 'timeout';
+  if (message.includes('econnrefused') || message.includes('enotfound') || message.includes('network') || message.includes('fetch failed')) return 'network';
+  if (/\b5\d\d\b/.test(message)) return 'server';
+  return 'other';
+}
+
+// USD per million tokens for a provider/model, or null when unknown
+function findPricing(providerName, model, settings = {}) {
+  const configured = settings.usage?.pricing || {};
+  const override = configured[`${providerName}/${model}`] || configured[providerName];
+  if (override) return override;
+  const provider = getProvider(providerName);
+  if (provider?.local) return { prompt: 0, completion: 0 };
+  const entry = provider?.models.find(item => item.id === model);
+  if (entry?.pricing) return entry.pricing;
+  if (entry?.free || (typeof model === 'string' && model.endsWith(':free'))) return { prompt: 0, completion: 0 };
+  return null;
+}
+
+function estimateCost(providerName, model, promptTokens, completionTokens, settings) {
+  const pricing = findPricing(providerName, model, settings);
+  if (!pricing) return null;
+  return ((Number(pricing.prompt) || 0) * promptTokens + (Number(pricing.completion) || 0) * completionTokens) / 1e6;
+}
+
+function recordUsage(entry) {
+  try {
+    getDatabase().prepare(`
+      INSERT INTO usage_ledger (created_at, provider, model, key_hash, character, purpose, prompt_tokens,
+        completion_tokens, latency_ms, status, error_class, cost)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      entry.createdAt || Date.now(),
+      entry.provider,
+      entry.model || null,
+      entry.keyHash || null,
+      entry.character || null,
+      entry.purpose || null,
+      entry.promptTokens || 0,
+      entry.completionTokens || 0,
+      Math.round(entry.latencyMs || 0),
+      entry.status,
+      entry.errorClass || null,
+      entry.cost ?? null
+    );
+  } catch (error) {
+    console.error('Error recording usage:', error);
+  }
+}
+
+// Run one provider request and write its ledger row. context: { provider, model, character, purpose,
+// promptTokens, settings }; countTokens(text) estimates the completion. Errors are recorded and rethrown.
+async function trackUsage(context, run, countTokens) {
+  const scope = { provider: context.provider, keyHash: null };
+  const startedAt = Date.now();
+  const entry = {
+    createdAt: startedAt,
+    provider: context.provider,
+    model: context.model,
+    character: context.character,
+    purpose: context.purpose,
+    promptTokens: context.promptTokens || 0
+  };
+  try {
+    const response = await usageScope.run(scope, run);
+    const completionTokens = typeof response === 'string' ? countTokens(response) : 0;
+    recordUsage({
+      ...entry,
+      keyHash: scope.keyHash,
+      completionTokens,
+      latencyMs: Date.now() - startedAt,
+      status: 'ok',
+      cost: estimateCost(context.provider, context.model, entry.promptTokens, completionTokens, context.settings)
+    });
+    return response;
+  } catch (error) {
+    const errorClass = classifyError(error);
+    recordUsage({
+      ...entry,
+      keyHash: scope.keyHash,
+      latencyMs: Date.now() - startedAt,
+      status: errorClass === 'cancelled' ? 'cancelled' : 'error',
+      errorClass
+    });
+    throw error;
+  }
+}
+
+function startOfLocalDay(daysAgo = 0) {
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() - daysAgo);
+  return date.getTime();
+}
+
+// Throws (error.code 'QUOTA_EXCEEDED') when a provider's daily quota is used up
+function assertWithinQuota(provider, settings = {}) {
+  const quota = settings.usage?.quotas?.[provider];
+  if (!quota || !(quota.dailyRequests > 0 || quota.dailyTokens > 0)) return;
+  let used;
+  try {
+    used = getDatabase().prepare(`
+      SELECT COUNT(*) AS requests, COALESCE(SUM(prompt_tokens + completion_tokens), 0) AS tokens
+      FROM usage_ledger WHERE provider = ? AND created_at >= ? AND status != 'cancelled'
+    `).get(provider, startOfLocalDay());
+  } catch (error) {
+    console.error(`Error checking the usage quota of ${provider}:`, error);
+    return;
+  }
+  const limit = quota.dailyRequests > 0 && used.requests >= quota.dailyRequests
+    ? `${quota.dailyRequests} requests`
+    : (quota.dailyTokens > 0 && used.tokens >= quota.dailyTokens ? `${quota.dailyTokens} tokens` : null);
+  if (!limit) return;
+  const error = new Error(`Daily quota for ${provider} reached (${limit})`);
+  error.code = 'QUOTA_EXCEEDED';
+  throw error;
+}
+
+// --- Reports ---
+
+function mapTotals(row) {
+  return {
+    requests: row.requests || 0,
+    errors: row.errors || 0,
+    promptTokens: row.prompt_tokens || 0,
+    completionTokens: row.completion_tokens || 0,
+    cost: row.cost ?? 0,
+    unpriced: row.unpriced || 0,
+    avgLatencyMs: Math.round(row.avg_latency || 0)
+  };
+}
+
+const TOTAL_COLUMNS = `COUNT(*) AS requests, SUM(status = 'error') AS errors, SUM(prompt_tokens) AS prompt_tokens,
+  SUM(completion_tokens) AS completion_tokens, SUM(cost) AS cost, SUM(cost IS NULL AND status = 'ok') AS unpriced,
+  AVG(latency_ms) AS avg_latency`;
+
+// Totals over the last `days` (local) days, overall and per day, character, provider/model and key.
+// character limits everything to one character. Returns null on error.
+function getUsageReport({ days = 30, character = null } = {}) {
+  try {
+    const db = getDatabase();
+    const span = Math.min(Math.max(1, Math.floor(days) || 30), MAX_REPORT_DAYS);
+    const where = ['created_at >= ?'];
+    const args = [startOfLocalDay(span - 1)];
+    if (character) {
+      where.push('character = ?');
+      args.push(character);
+    }
+    const clause = `WHERE ${where.join(' AND ')}`;
+    const query = (select, groupBy, orderBy) => db.prepare(`SELECT ${select}, ${TOTAL_COLUMNS} FROM usage_ledger ${clause}
+      GROUP BY ${groupBy} ORDER BY ${orderBy}`).all(...args);
+
+    return {
+      days: span,
+      character: character || null,
+      totals: mapTotals(db.prepare(`SELECT ${TOTAL_COLUMNS} FROM usage_ledger ${clause}`).get(...args)),
+      daily: query("date(created_at / 1000, 'unixepoch', 'localtime') AS day", 'day', 'day')
+        .map(row => ({ day: row.day, ...mapTotals(row) })),
+      characters: query('character', 'character', 'requests DESC')
+        .map(row => ({ character: row.character, ...mapTotals(row) })),
+      providers: query('provider, model', 'provider, model', 'requests DESC')
+        .map(row => ({ provider: row.provider, model: row.model, ...mapTotals(row) })),
+      keys: query('provider, key_hash', 'provider, key_hash', 'provider, requests DESC')
+        .filter(row => row.key_hash)
+        .map(row => ({ provider: row.provider, keyHash: row.key_hash, ...mapTotals(row) })),
+      errorClasses: db.prepare(`SELECT error_class, COUNT(*) AS count FROM usage_ledger ${clause} AND error_class IS NOT NULL
+        GROUP BY error_class ORDER BY count DESC`).all(...args).map(row => ({ errorClass: row.error_class, count: row.count }))
+    };
+  } catch (error) {
+    console.error('Error building usage report:', error);
+    return null;
+  }
+}
+
+// Drop ledger rows older than retentionDays; returns the number removed
+function pruneUsageLedger(retentionDays = DEFAULT_RETENTION_DAYS) {
+  try {
+    const removed = getDatabase().prepare('DELETE FROM usage_ledger WHERE created_at < ?')
+      .run(Date.now() - retentionDays * 24 * 60 * 60 * 1000).changes;
+    if (removed > 0) console.log(`Usage ledger: removed ${removed} entries older than ${retentionDays} days`);
+    return removed;
+  } catch (error) {
+    console.error('Error pruning the usage ledger:', error);
+    return 0;
+  }
+}
+
+export {
+  hashApiKey,
+  loadKeyHealth,
+  saveKeyHealth,
+  listKeyHealth,
+  noteKeyUsed,
+  isRateLimitError,
+  classifyError,
+  estimateCost,
+  recordUsage,
+  trackUsage,
+  assertWithinQuota,
+  getUsageReport,
+  pruneUsageLedger
+};
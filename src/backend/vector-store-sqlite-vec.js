@@ -1,16 +1,27 @@
 // sqlite-vec backed vector store replacing legacy vectra-wrapper.
 // Maintains API parity with vectra-wrapper functions used by memory-system:
-//   ensureIndex(), insertItem({ vector, metadata }), queryItems(vector, k), deleteItemsByCharacter(characterName)
-// Data is stored in a single SQLite database (better-sqlite3) inside two tables:
-//   memories (rowid PK) -> metadata JSON + embedding BLOB (Float32Array)
-//   memories_vec (sqlite-vec virtual table) -> embedding float[DIM] for KNN (DIM discovered lazily on first insert)
+//   ensureIndex(), insertItem({ vector, metadata, provider, model }), queryItems(vector, k, characterName, model),
+//   deleteItemsByCharacter(characterName)
+// plus per-memory management for the memory browser: listItems, getItem, updateItem, deleteItem, listPinnedItems,
+// BM25 keyword search: searchText(query, k, characterName),
+// and embedding bookkeeping for re-indexing: getEmbeddingStats, countStaleItems, countUnrecordedItems, listStaleItems,
+// replaceEmbedding, adoptUnrecordedItems.
+// Data is stored in a single SQLite database (better-sqlite3) inside these tables:
+//   memories (rowid PK) -> metadata JSON + embedding BLOB (Float32Array) + pinned flag
+//     + embedding_provider / embedding_model / embedding_dim of the model that produced the vector
+//   memories_vec_<DIM> (sqlite-vec virtual tables, one per embedding dimension) -> embedding float[DIM] for KNN,
+//     partitioned by character so a query for one character always gets k of that character's memories,
+//     with the embedding model as a metadata column so vectors from another model are never compared
+//   memories_fts (FTS5, same rowid) -> summary, topics, decisions and plot elements for keyword search
 // If sqlite-vec extension or virtual table is unavailable, falls back to brute-force cosine scoring across memories.
 
 import { getDatabase } from './database.js';
 import * as sqliteVec from 'sqlite-vec';
 
-const VEC_TABLE = 'memories_vec';
+const LEGACY_VEC_TABLE = 'memories_vec'; // single fixed-dimension table used before per-dimension tables
+const FTS_TABLE = 'memories_fts';
 let vecLoaded = false;
+let ftsReady = false;
 
 function loadVec(db) {
   if (vecLoaded) return;
@@ -20,7 +31,37 @@ function loadVec(db) {
   } catch (e) {
     // Extension not available – fallback path will be used.
     console.warn('sqlite-vec load skipped / failed (fallback to brute-force):', e.message || e);
+    return;
   }
+  upgradeVecTable(db);
+}
+
+// Older databases keep every vector in one memories_vec table whose dimension was fixed by the first
+// insert. Move them into the per-dimension tables (vec0 tables cannot be altered in place).
+function upgradeVecTable(db) {
+  try {
+    if (!tableExists(db, LEGACY_VEC_TABLE)) return;
+    const indexed = db.transaction(() => {
+      db.exec(`DROP TABLE ${LEGACY_VEC_TABLE}`);
+      return rebuildVecIndex(db);
+    })();
+    console.log(`[memories] Moved ${indexed} vectors into per-dimension ${VEC_TABLE_PREFIX}<dim> tables`);
+  } catch (e) {
+    console.warn(`Could not upgrade ${LEGACY_VEC_TABLE}:`, e.message || e);
+  }
+}
+
+// Re-insert every stored embedding into the vec tables. Returns the number of vectors indexed.
+function rebuildVecIndex(db) {
+  const rows = db.prepare('SELECT rowid, character, embedding_model, embedding FROM memories').all();
+  let indexed = 0;
+  db.transaction(() => {
+    for (const name of listVecTables(db)) db.exec(`DROP TABLE ${name}`);
+    for (const r of rows) {
+      if (indexVector(db, r.rowid, r.character, r.embedding_model, r.embedding)) indexed++;
+    }
+  })();
+  return indexed;
 }
 
 function ensureBaseTables(db) {
@@ -63,22 +104,116 @@ function ensureBaseTables(db) {
     }
     if (!colNames.has('importance')) addColumn('importance', 'ALTER TABLE memories ADD COLUMN importance REAL');
     if (!colNames.has('data')) addColumn('data', 'ALTER TABLE memories ADD COLUMN data TEXT');
+    if (!colNames.has('pinned')) addColumn('pinned', 'ALTER TABLE memories ADD COLUMN pinned INTEGER NOT NULL DEFAULT 0');
+    // Which embedding produced the vector. Older rows only get their dimension; provider/model stay unknown.
+    if (!colNames.has('embedding_provider')) addColumn('embedding_provider', 'ALTER TABLE memories ADD COLUMN embedding_provider TEXT');
+    if (!colNames.has('embedding_model')) addColumn('embedding_model', 'ALTER TABLE memories ADD COLUMN embedding_model TEXT');
+    if (!colNames.has('embedding_dim')) {
+      addColumn('embedding_dim', 'ALTER TABLE memories ADD COLUMN embedding_dim INTEGER', () => {
+        try { db.exec('UPDATE memories SET embedding_dim = length(embedding) / 4 WHERE embedding_dim IS NULL'); } catch {}
+      });
+    }
     // embedding column cannot be simply added meaningfully if missing; skip (would indicate severe legacy mismatch)
   } catch (e) {
     console.warn('Could not verify/add columns on memories:', e.message || e);
   }
   // Ensure index if column exists
   try { db.exec('CREATE INDEX IF NOT EXISTS idx_memories_character ON memories(character)'); } catch {}
+  try { db.exec('CREATE INDEX IF NOT EXISTS idx_memories_id ON memories(id)'); } catch {}
+  ensureFtsTable(db);
+}
+
+// Text indexed for keyword search. Topics, decisions and plot elements are arrays in the metadata.
+function ftsColumns(metadata = {}) {
+  const join = (value) => Array.isArray(value) ? value.join(' ; ') : (typeof value === 'string' ? value : '');
+  return [metadata.summary || '', join(metadata.topics), join(metadata.decisions), join(metadata.plotElements)];
+}
+
+// Create the FTS5 index on first use and backfill it from existing memories
+function ensureFtsTable(db) {
+  if (ftsReady) return;
+  try {
+    if (!tableExists(db, FTS_TABLE)) {
+      db.exec(`CREATE VIRTUAL TABLE ${FTS_TABLE} USING fts5(summary, topics, decisions, plot_elements, tokenize = 'porter unicode61')`);
+      const insert = db.prepare(`INSERT INTO ${FTS_TABLE}(rowid, summary, topics, decisions, plot_elements) VALUES (?, ?, ?, ?, ?)`);
+      const rows = db.prepare('SELECT rowid, data FROM memories').all();
+      db.transaction(() => {
+        for (const row of rows) {
+          let metadata = {};
+          try { metadata = JSON.parse(row.data) || {}; } catch {}
+          insert.run(row.rowid, ...ftsColumns(metadata));
+        }
+      })();
+      console.log(`[memories] Built keyword index for ${rows.length} memories`);
+    }
+    ftsReady = true;
+  } catch (e) {
+    console.warn('FTS5 keyword index unavailable (keyword search disabled):', e.message || e);
+  }
+}
+
+function indexText(db, rowid, metadata) {
+  if (!ftsReady) return;
+  try {
+    db.prepare(`DELETE FROM ${FTS_TABLE} WHERE rowid = ?`).run(rowid);
+    db.prepare(`INSERT INTO ${FTS_TABLE}(rowid, summary, topics, decisions, plot_elements) VALUES (?, ?, ?, ?, ?)`)
+      .run(rowid, ...ftsColumns(metadata));
+  } catch (e) {
+    console.warn(`Could not update keyword index for memory ${rowid}:`, e.message || e);
+  }
+}
+
+function unindexText(db, rowid) {
+  if (!ftsReady) return;
+  try { db.prepare(`DELETE FROM ${FTS_TABLE} WHERE rowid = ?`).run(rowid); } catch {}
 }
 
 function tableExists(db, name) {
   return !!db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name=?").get(name);
 }
 
+const VEC_TABLE_PREFIX = 'memories_vec_';
+
+function vecTableName(dim) {
+  return `${VEC_TABLE_PREFIX}${dim}`;
+}
+
+// Per-dimension vec tables (not their shadow tables such as memories_vec_1024_chunks)
+function listVecTables(db) {
+  return db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name LIKE 'memories\\_vec\\_%' ESCAPE '\\'").all()
+    .map(r => r.name)
+    .filter(name => /^memories_vec_\d+$/.test(name));
+}
+
 function createVecTableIfMissing(db, dim) {
   if (!Number.isInteger(dim) || dim <= 0) throw new Error('Invalid embedding dimension for vec table');
-  if (tableExists(db, VEC_TABLE)) return;
-  db.exec(`CREATE VIRTUAL TABLE ${VEC_TABLE} USING vec0(embedding float[${dim}])`);
+  const name = vecTableName(dim);
+  if (tableExists(db, name)) return name;
+  db.exec(`CREATE VIRTUAL TABLE ${name} USING vec0(character text partition key, embedding_model text, embedding float[${dim}])`);
+  return name;
+}
+
+// Add one stored embedding to the vec table of its dimension. Vectors without a known model are
+// indexed with an empty model, which no query matches, until they are adopted or re-embedded.
+function indexVector(db, rowid, character, model, blob) {
+  loadVec(db);
+  if (!vecLoaded || !blob || blob.length === 0 || blob.length % 4 !== 0) return false;
+  try {
+    const table = createVecTableIfMissing(db, blob.length / 4);
+    db.prepare(`INSERT INTO ${table}(rowid, character, embedding_model, embedding) VALUES (?, ?, ?, ?)`)
+      .run(BigInt(rowid), character || 'unknown', model || '', blob);
+    return true;
+  } catch (e) {
+    console.warn(`Could not index memory ${rowid} for KNN:`, e.message || e);
+    return false;
+  }
+}
+
+function unindexVector(db, rowid) {
+  if (!vecLoaded) return;
+  for (const table of listVecTables(db)) {
+    try { db.prepare(`DELETE FROM ${table} WHERE rowid = ?`).run(BigInt(rowid)); } catch {}
+  }
 }
 
 // Public: ensureIndex (kept name for compatibility)
@@ -90,7 +225,8 @@ export async function ensureIndex() {
 }
 
 // Insert a vector + metadata. Metadata object matches previous usage (includes character, summary, importance etc.)
-export async function insertItem({ vector, metadata }) {
+// provider / model name the embedding that produced the vector.
+export async function insertItem({ vector, metadata, provider = null, model = null }) {
   if (!Array.isArray(vector) || vector.length === 0) return null;
   if (!metadata || typeof metadata !== 'object') metadata = {};
   const db = getDatabase();
@@ -108,8 +244,9 @@ export async function insertItem({ vector, metadata }) {
 
   let info;
   if (hasCharacterName) {
-    const insert = db.prepare(`INSERT INTO memories (id, character_name, character, summary, timestamp, importance, data, embedding)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`);
+    const insert = db.prepare(`INSERT INTO memories (id, character_name, character, summary, timestamp, importance, data, embedding,
+      embedding_provider, embedding_model, embedding_dim)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
     const characterVal = metadata.character || 'unknown';
     info = insert.run(
       metadata.id || null,
@@ -119,11 +256,15 @@ export async function insertItem({ vector, metadata }) {
       metadata.timestamp || Date.now(),
       typeof metadata.importance === 'number' ? metadata.importance : null,
       JSON.stringify(metadata),
-      blob
+      blob,
+      provider,
+      model,
+      float.length
     );
   } else {
-    const insert = db.prepare(`INSERT INTO memories (id, character, summary, timestamp, importance, data, embedding)
-      VALUES (?, ?, ?, ?, ?, ?, ?)`);
+    const insert = db.prepare(`INSERT INTO memories (id, character, summary, timestamp, importance, data, embedding,
+      embedding_provider, embedding_model, embedding_dim)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
     info = insert.run(
       metadata.id || null,
       metadata.character || 'unknown',
@@ -131,21 +272,17 @@ export async function insertItem({ vector, metadata }) {
       metadata.timestamp || Date.now(),
       typeof metadata.importance === 'number' ? metadata.importance : null,
       JSON.stringify(metadata),
-      blob
+      blob,
+      provider,
+      model,
+      float.length
     );
   }
   const rowid = Number(info.lastInsertRowid);
+  indexText(db, rowid, metadata);
 
   // Try to add to vector index (safe failures)
-  try {
-    loadVec(db);
-    if (vecLoaded) {
-      createVecTableIfMissing(db, float.length);
-      db.prepare(`INSERT INTO ${VEC_TABLE}(rowid, embedding) VALUES (?, ? )`).run(rowid, blob);
-    }
-  } catch (e) {
-    // ignore
-  }
+  indexVector(db, rowid, metadata.character, model, blob);
   return rowid;
 }
 
@@ -162,8 +299,12 @@ function cosineDistance(a, b) {
   return 1 - (dot / denom);
 }
 
-// Query top-k similar vectors. Returns array like vectra: [{ item: { metadata }, score }]
-export async function queryItems(queryVector, k = 5) {
+// Query top-k similar vectors. Returns array like vectra: [{ item: { metadata, pinned }, score }]
+// With characterName the search is limited to that character's memories before k is applied.
+// Only vectors of the query's dimension are compared; with model, also only vectors from that
+// embedding model (older vectors whose model was never recorded are left out until adoptUnrecordedItems
+// or a re-embed gives them one).
+export async function queryItems(queryVector, k = 5, characterName = null, model = null) {
   const db = getDatabase();
   ensureBaseTables(db);
   if (!Array.isArray(queryVector) || queryVector.length === 0) return [];
@@ -173,21 +314,26 @@ export async function queryItems(queryVector, k = 5) {
   // Fast path via sqlite-vec
   try {
     loadVec(db);
-    if (vecLoaded && tableExists(db, VEC_TABLE)) {
+    const table = vecTableName(floatQ.length);
+    if (vecLoaded && tableExists(db, table)) {
       const stmt = db.prepare(`WITH nn AS (
           SELECT rowid, distance
-          FROM ${VEC_TABLE}
-          WHERE embedding MATCH ?
+          FROM ${table}
+          WHERE embedding MATCH ? AND k = ?
+            ${characterName ? 'AND character = ?' : ''}
+            ${model ? 'AND embedding_model = ?' : ''}
           ORDER BY distance
-          LIMIT ?
         )
-        SELECT m.rowid, m.data, nn.distance AS distance
+        SELECT m.rowid, m.data, m.pinned, nn.distance AS distance
         FROM nn JOIN memories m ON m.rowid = nn.rowid
         ORDER BY nn.distance
         LIMIT ?`);
-      const rows = stmt.all(blobQ, k, k);
+      const args = [blobQ, k];
+      if (characterName) args.push(characterName);
+      if (model) args.push(model);
+      const rows = stmt.all(...args, k);
       return rows.map(r => ({
-        item: { metadata: JSON.parse(r.data) },
+        item: { metadata: JSON.parse(r.data), pinned: !!r.pinned },
         score: r.distance
       }));
     }
@@ -196,13 +342,22 @@ export async function queryItems(queryVector, k = 5) {
   }
 
   // Brute-force fallback
-  const rows = db.prepare('SELECT rowid, data, embedding FROM memories').all();
+  const where = ['length(embedding) = ?'];
+  const args = [floatQ.length * 4];
+  if (characterName) {
+    where.push('character = ?');
+    args.push(characterName);
+  }
+  if (model) {
+    where.push('embedding_model = ?');
+    args.push(model);
+  }
+  const rows = db.prepare(`SELECT rowid, data, pinned, embedding FROM memories WHERE ${where.join(' AND ')}`).all(...args);
   const scored = [];
   for (const r of rows) {
     const emb = new Float32Array(Buffer.from(r.embedding).buffer);
-    if (emb.length !== floatQ.length) continue; // skip dimension mismatch
     const dist = cosineDistance(floatQ, emb);
-    scored.push({ item: { metadata: JSON.parse(r.data) }, score: dist });
+    scored.push({ item: { metadata: JSON.parse(r.data), pinned: !!r.pinned }, score: dist });
   }
   scored.sort((a, b) => a.score - b.score);
   return scored.slice(0, k);
@@ -225,14 +380,254 @@ export async function deleteItemsByCharacter(characterName) {
   }
   const rowids = rows.map(r => r.rowid);
   const delMem = db.prepare('DELETE FROM memories WHERE rowid = ?');
-  const delVec = vecLoaded && tableExists(db, VEC_TABLE)
-    ? db.prepare(`DELETE FROM ${VEC_TABLE} WHERE rowid = ?`) : null;
   const tx = db.transaction(() => {
     for (const id of rowids) {
       delMem.run(id);
-      if (delVec) try { delVec.run(id); } catch {}
+      unindexVector(db, id);
+      unindexText(db, id);
     }
   });
   tx();
   return rowids.length;
 }
+
+// Row -> { rowid, pinned, metadata }. The pinned column wins over anything stored in the JSON.
+function rowToItem(row) {
+  let metadata = {};
+  try { metadata = JSON.parse(row.data) || {}; } catch {}
+  return { rowid: row.rowid, pinned: !!row.pinned, metadata };
+}
+
+// Page through one character's memories, newest first. Filters (all optional):
+//   type ('journal' matches entries stored without a type), minImportance, maxImportance,
+//   since / until (ms timestamps), topic (substring of any topic), pinned (boolean)
+// Returns { items, total }.
+export function listItems(characterName, filters = {}, limit = 50, offset = 0) {
+  const db = getDatabase();
+  ensureBaseTables(db);
+  const where = ['character = ?'];
+  const args = [characterName];
+  if (filters.type) {
+    where.push("COALESCE(json_extract(data, '$.type'), 'journal') = ?");
+    args.push(filters.type);
+  }
+  if (typeof filters.minImportance === 'number') {
+    where.push('importance >= ?');
+    args.push(filters.minImportance);
+  }
+  if (typeof filters.maxImportance === 'number') {
+    where.push('importance <= ?');
+    args.push(filters.maxImportance);
+  }
+  if (typeof filters.since === 'number') {
+    where.push('timestamp >= ?');
+    args.push(filters.since);
+  }
+  if (typeof filters.until === 'number') {
+    where.push('timestamp <= ?');
+    args.push(filters.until);
+  }
+  if (filters.topic) {
+    where.push("EXISTS (SELECT 1 FROM json_each(memories.data, '$.topics') WHERE lower(json_each.value) LIKE ?)");
+    args.push(`%${String(filters.topic).toLowerCase()}%`);
+  }
+  if (typeof filters.pinned === 'boolean') {
+    where.push('pinned = ?');
+    args.push(filters.pinned ? 1 : 0);
+  }
+  const clause = where.join(' AND ');
+  const total = db.prepare(`SELECT COUNT(*) AS count FROM memories WHERE ${clause}`).get(...args).count;
+  const rows = db.prepare(`SELECT rowid, data, pinned FROM memories WHERE ${clause}
+    ORDER BY timestamp DESC, rowid DESC LIMIT ? OFFSET ?`).all(...args, limit, offset);
+  return { items: rows.map(rowToItem), total };
+}
+
+export function getItem(characterName, id) {
+  const db = getDatabase();
+  ensureBaseTables(db);
+  const row = db.prepare('SELECT rowid, data, pinned FROM memories WHERE character = ? AND id = ?').get(characterName, id);
+  return row ? rowToItem(row) : null;
+}
+
+// Replace a memory's metadata and optionally its vector (kept in sync in memories_vec).
+// Returns false if the memory does not exist.
+export function updateItem(characterName, id, { metadata, vector = null, pinned, provider = null, model = null }) {
+  const db = getDatabase();
+  ensureBaseTables(db);
+  const row = db.prepare('SELECT rowid FROM memories WHERE character = ? AND id = ?').get(characterName, id);
+  if (!row) return false;
+
+  const tx = db.transaction(() => {
+    if (metadata) {
+      db.prepare('UPDATE memories SET summary = ?, importance = ?, timestamp = ?, data = ? WHERE rowid = ?').run(
+        metadata.summary || '',
+        typeof metadata.importance === 'number' ? metadata.importance : null,
+        metadata.timestamp || Date.now(),
+        JSON.stringify(metadata),
+        row.rowid
+      );
+      indexText(db, row.rowid, metadata);
+    }
+    if (typeof pinned === 'boolean') {
+      db.prepare('UPDATE memories SET pinned = ? WHERE rowid = ?').run(pinned ? 1 : 0, row.rowid);
+    }
+    if (Array.isArray(vector) && vector.length > 0) {
+      writeEmbedding(db, row.rowid, vector, { provider, model });
+    }
+  });
+  tx();
+  return true;
+}
+
+// Store a new vector for a row and move it to the vec table of its (possibly new) dimension
+function writeEmbedding(db, rowid, vector, { provider = null, model = null } = {}) {
+  const float = vector instanceof Float32Array ? vector : new Float32Array(vector);
+  const blob = Buffer.from(float.buffer);
+  db.prepare(`UPDATE memories SET embedding = ?, embedding_provider = ?, embedding_model = ?, embedding_dim = ?
+    WHERE rowid = ?`).run(blob, provider, model, float.length, rowid);
+  const row = db.prepare('SELECT character FROM memories WHERE rowid = ?').get(rowid);
+  loadVec(db);
+  unindexVector(db, rowid);
+  indexVector(db, rowid, row?.character, model, blob);
+}
+
+// Delete one memory from both memories and memories_vec. Returns false if it does not exist.
+export function deleteItem(characterName, id) {
+  const db = getDatabase();
+  ensureBaseTables(db);
+  const row = db.prepare('SELECT rowid FROM memories WHERE character = ? AND id = ?').get(characterName, id);
+  if (!row) return false;
+  loadVec(db);
+  const tx = db.transaction(() => {
+    db.prepare('DELETE FROM memories WHERE rowid = ?').run(row.rowid);
+    unindexVector(db, row.rowid);
+    unindexText(db, row.rowid);
+  });
+  tx();
+  return true;
+}
+
+// Pinned memories of a character, most important first. Synchronous so prompt building can use it.
+export function listPinnedItems(characterName) {
+  const db = getDatabase();
+  ensureBaseTables(db);
+  return db.prepare(`SELECT rowid, data, pinned FROM memories WHERE character = ? AND pinned = 1
+    ORDER BY importance DESC, timestamp DESC`).all(characterName).map(rowToItem);
+}
+
+// One character's memories of the given types ('journal' matches entries stored without a type),
+// oldest first, with their vectors: [{ rowid, pinned, metadata, model, vector }]. Used by consolidation.
+export function listItemsWithVectors(characterName, types = ['journal']) {
+  const db = getDatabase();
+  ensureBaseTables(db);
+  const rows = db.prepare(`SELECT rowid, data, pinned, embedding, embedding_model FROM memories
+    WHERE character = ? AND COALESCE(json_extract(data, '$.type'), 'journal') IN (${types.map(() => '?').join(', ')})
+    ORDER BY timestamp, rowid`).all(characterName, ...types);
+  return rows.map(row => {
+    const bytes = Buffer.from(row.embedding);
+    return {
+      ...rowToItem(row),
+      model: row.embedding_model,
+      vector: new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength))
+    };
+  });
+}
+
+// Words too common to help keyword search
+const STOPWORDS = new Set(['the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'with', 'this', 'that', 'was', 'were',
+  'have', 'has', 'had', 'what', 'when', 'where', 'who', 'how', 'why', 'did', 'does', 'can', 'will', 'just', 'about',
+  'from', 'they', 'them', 'she', 'her', 'him', 'his', 'its', 'our', 'out', 'all', 'any', 'there', 'then', 'than']);
+
+// Free text -> FTS5 query matching any of its words (each quoted, so user text cannot inject FTS syntax)
+function toFtsQuery(text) {
+  const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const terms = [...new Set(words.filter(word => word.length > 1 && !STOPWORDS.has(word)))].slice(0, 32);
+  return terms.map(term => `"${term}"`).join(' OR ');
+}
+
+// BM25 keyword search over summary / topics / decisions / plot elements, best match first.
+// Returns [{ item: { metadata, pinned }, score }] where score is the BM25 rank (lower is better).
+export function searchText(queryText, k = 5, characterName = null) {
+  const db = getDatabase();
+  ensureBaseTables(db);
+  if (!ftsReady) return [];
+  const match = toFtsQuery(queryText);
+  if (!match) return [];
+  try {
+    const rows = db.prepare(`SELECT m.data, m.pinned, bm25(${FTS_TABLE}, 1.0, 1.5, 0.75, 0.75) AS rank
+      FROM ${FTS_TABLE} JOIN memories m ON m.rowid = ${FTS_TABLE}.rowid
+      WHERE ${FTS_TABLE} MATCH ? ${characterName ? 'AND m.character = ?' : ''}
+      ORDER BY rank LIMIT ?`).all(...(characterName ? [match, characterName, k] : [match, k]));
+    return rows.map(r => ({ item: { metadata: JSON.parse(r.data), pinned: !!r.pinned }, score: r.rank }));
+  } catch (e) {
+    console.warn('Keyword search failed:', e.message || e);
+    return [];
+  }
+}
+
+// How many memories each embedding (provider / model / dimension) produced, most used first
+export function getEmbeddingStats(characterName = null) {
+  const db = getDatabase();
+  ensureBaseTables(db);
+  const rows = db.prepare(`SELECT embedding_provider AS provider, embedding_model AS model,
+      COALESCE(embedding_dim, length(embedding) / 4) AS dimension, COUNT(*) AS count
+    FROM memories ${characterName ? 'WHERE character = ?' : ''}
+    GROUP BY 1, 2, 3 ORDER BY count DESC`).all(...(characterName ? [characterName] : []));
+  return rows;
+}
+
+// Memories whose vector was not produced by `model` (including ones with no recorded model)
+export function countStaleItems(model, characterName = null) {
+  const db = getDatabase();
+  ensureBaseTables(db);
+  return db.prepare(`SELECT COUNT(*) AS count FROM memories
+    WHERE (embedding_model IS NULL OR embedding_model != ?) ${characterName ? 'AND character = ?' : ''}`)
+    .get(...(characterName ? [model, characterName] : [model])).count;
+}
+
+// Memories whose vector has no recorded model (stored before models were tracked)
+export function countUnrecordedItems() {
+  const db = getDatabase();
+  ensureBaseTables(db);
+  return db.prepare("SELECT COUNT(*) AS count FROM memories WHERE embedding_model IS NULL OR embedding_model = ''").get().count;
+}
+
+// Next batch of stale memories after a rowid cursor, oldest first: [{ rowid, character, pinned, metadata }]
+export function listStaleItems(model, afterRowid = 0, limit = 50, characterName = null) {
+  const db = getDatabase();
+  ensureBaseTables(db);
+  const rows = db.prepare(`SELECT rowid, character, data, pinned FROM memories
+    WHERE (embedding_model IS NULL OR embedding_model != ?) AND rowid > ? ${characterName ? 'AND character = ?' : ''}
+    ORDER BY rowid LIMIT ?`).all(...(characterName ? [model, afterRowid, characterName, limit] : [model, afterRowid, limit]));
+  return rows.map(row => ({ ...rowToItem(row), character: row.character }));
+}
+
+// Swap the vector of one memory (by rowid), recording the embedding that produced it
+export function replaceEmbedding(rowid, vector, { provider = null, model = null } = {}) {
+  if (!Array.isArray(vector) || vector.length === 0) return false;
+  const db = getDatabase();
+  ensureBaseTables(db);
+  if (!db.prepare('SELECT 1 FROM memories WHERE rowid = ?').get(rowid)) return false;
+  db.transaction(() => writeEmbedding(db, rowid, vector, { provider, model }))();
+  return true;
+}
+
+// Record a model for the memories whose vector has no recorded model but the given dimension, and
+// index them under it so queries for that model find them. Returns the number of memories updated.
+export function adoptUnrecordedItems(dimension, { provider = null, model = null } = {}) {
+  if (!Number.isInteger(dimension) || dimension <= 0 || !model) return 0;
+  const db = getDatabase();
+  ensureBaseTables(db);
+  loadVec(db);
+  const rows = db.prepare(`SELECT rowid, character, embedding FROM memories
+    WHERE (embedding_model IS NULL OR embedding_model = '') AND COALESCE(embedding_dim, length(embedding) / 4) = ?`).all(dimension);
+  const update = db.prepare('UPDATE memories SET embedding_provider = ?, embedding_model = ?, embedding_dim = ? WHERE rowid = ?');
+  db.transaction(() => {
+    for (const row of rows) {
+      update.run(provider, model, dimension, row.rowid);
+      unindexVector(db, row.rowid);
+      indexVector(db, row.rowid, row.character, model, row.embedding);
+    }
+  })();
+  return rows.length;
+}
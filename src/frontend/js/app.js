@@ -142,11 +142,10 @@ async function makeRequest(url, options = {}, timeout = 30000, retries = 2) {
   const mobileRetries = isMobile() ? Math.max(retries, 3) : retries;
 
   for (let attempt = 0; attempt <= mobileRetries; attempt++) {
+    const controller = new AbortController();
     try {
-      const controller = new AbortController();
-
       // Store the controller globally so it can be cancelled
-      if (url.includes('/api/chat') && options.method === 'POST') {
+      if (url.includes('/api/chat') && options.method === 'POST' && !url.endsWith('/cancel')) {
         state.currentAbortController = controller;
       }
 
@@ -188,6 +187,9 @@ async function makeRequest(url, options = {}, timeout = 30000, retries = 2) {
         state.currentAbortController = null;
       }
 
+      // A cancelled generation must not be sent again
+      if (controller.userCancelled) throw error;
+
       if (attempt === mobileRetries) {
         updateConnectionStatus(false);
         throw error;
@@ -264,7 +266,15 @@ const API = {
   CHAT: '/api/chat',
   SETTINGS: '/api/settings',
   MODELS: '/api/models',
-  MEMORIES: '/api/memories'
+  MEMORIES: '/api/memories',
+  GROUPS: '/api/groups',
+  LOREBOOKS: '/api/lorebooks',
+  GENERATIONS: '/api/generations',
+  EMBEDDINGS: '/api/embeddings',
+  JOBS: '/api/jobs',
+  PROVIDERS: '/api/providers',
+  USAGE: '/api/usage',
+  SAMPLER_PRESETS: '/api/sampler-presets'
 };
 
 // Dynamic Theme Manager ------------------------------------------------------
@@ -356,9 +366,13 @@ const ThemeManager = (() => {
 const state = {
   characters: [],
   activeCharacter: null,
+  groups: [],
+  activeGroup: null,
   chatHistory: [],
+  branches: [],
   settings: null,
   modelConfigurations: null,
+  providers: null,
   isGenerating: false,
   currentAbortController: null,
   // Simple message ID counter for tracking
@@ -394,11 +408,24 @@ const dom = {
   exportChatBtn: document.getElementById('export-chat-btn'),
   desktopSidebarToggle: document.getElementById('desktop-sidebar-toggle'),
   importChatBtn: document.getElementById('import-chat-btn'),
-  importChatInput: document.getElementById('import-chat-input')
+  importChatInput: document.getElementById('import-chat-input'),
+  branchSelect: document.getElementById('branch-select'),
+  renameBranchBtn: document.getElementById('rename-branch-btn'),
+  deleteBranchBtn: document.getElementById('delete-branch-btn'),
+  groupList: document.getElementById('group-list'),
+  createGroupBtn: document.getElementById('create-group-btn'),
+  editGroupBtn: document.getElementById('edit-group-btn'),
+  nextSpeakerBtn: document.getElementById('next-speaker-btn'),
+  importCharacterBtn: document.getElementById('import-character-btn'),
+  importCharacterInput: document.getElementById('import-character-input'),
+  exportCardBtn: document.getElementById('export-card-btn'),
+  exportCardJsonBtn: document.getElementById('export-card-json-btn'),
+  lorebookBtn: document.getElementById('lorebook-btn')
 };
 // --- Import/Export Chat Functions ---
 function exportChatHistory() {
-  if (!state.activeCharacter || !Array.isArray(state.chatHistory)) {
+  const activeChat = state.activeCharacter || state.activeGroup;
+  if (!activeChat || !Array.isArray(state.chatHistory)) {
     showErrorMessage('No chat history to export.');
     return;
   }
@@ -407,7 +434,7 @@ function exportChatHistory() {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = `${state.activeCharacter.name}-chat.json`;
+  a.download = `${activeChat.name}-chat.json`;
   document.body.appendChild(a);
   a.click();
   setTimeout(() => {
@@ -417,7 +444,7 @@ function exportChatHistory() {
 }
 
 function importChatHistoryFromFile(file) {
-  if (!state.activeCharacter) {
+  if (!state.activeCharacter && !state.activeGroup) {
     showErrorMessage('No character selected.');
     return;
   }
@@ -427,7 +454,7 @@ function importChatHistoryFromFile(file) {
       const imported = JSON.parse(e.target.result);
       if (!Array.isArray(imported)) throw new Error('Invalid chat history format.');
       // Send to backend to replace chat history
-      const response = await fetch(`${API.CHAT}/${state.activeCharacter.name}`, {
+      const response = await fetch(getActiveChatUrl(), {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(imported)
@@ -438,7 +465,11 @@ function importChatHistoryFromFile(file) {
         return;
       }
       // Reload chat history from backend
-      await loadChatHistory(state.activeCharacter.name);
+      if (state.activeGroup) {
+        await loadGroupChatHistory();
+      } else {
+        await loadChatHistory(state.activeCharacter.name);
+      }
       renderChatHistory();
       scrollToBottom();
       showSuccessMessage('Chat history imported successfully.');
@@ -449,6 +480,53 @@ function importChatHistoryFromFile(file) {
   reader.readAsText(file);
 }
 
+// Import a character card (SillyTavern / Character Card V2/V3, PNG or JSON)
+async function importCharacterCard(file) {
+  try {
+    const isPngFile = file.type === 'image/png' || /\.png$/i.test(file.name);
+    let body;
+    if (isPngFile) {
+      body = await file.arrayBuffer();
+    } else {
+      const text = await file.text();
+      JSON.parse(text); // Fail early on broken files
+      body = text;
+    }
+
+    const response = await makeRequest(`${API.CHARACTERS}/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': isPngFile ? 'image/png' : 'application/json' },
+      body
+    }, 60000, 0);
+    const character = await response.json();
+
+    state.characters.push(character);
+    state.characters.sort((a, b) => a.name.localeCompare(b.name));
+    renderCharacterList();
+    showSuccessMessage(`Imported '${character.name}'.`);
+    selectCharacter(character.name);
+  } catch (error) {
+    console.error('Error importing character card:', error);
+    let errorMessage = 'Invalid or unsupported character card.';
+    if (error.response) {
+      const data = await error.response.json().catch(() => ({}));
+      if (data.error) errorMessage = data.error;
+    }
+    showErrorMessage(errorMessage);
+  }
+}
+
+// Download the active character as a card
+function exportCharacterCard(format = 'png') {
+  if (!state.activeCharacter) return;
+  const a = document.createElement('a');
+  a.href = `${API.CHARACTERS}/${encodeURIComponent(state.activeCharacter.name)}/export?format=${format}`;
+  a.download = `${state.activeCharacter.name}.${format}`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+}
+
 // Initialize the application - update with emoji picker initialization
 async function initApp() {
   try {
@@ -467,9 +545,11 @@ async function initApp() {
     // Start listening for backend logs
     setupLogListener();
     await loadModelConfigurations();
+    await loadProviders();
 
-    // Load characters
+    // Load characters and group chats
     await loadCharacters();
+    await loadGroups();
 
     // Set up event listeners
     setupEventListeners();
@@ -496,6 +576,27 @@ async function initApp() {
       });
     }
 
+    // Character card import/export
+    if (dom.importCharacterBtn && dom.importCharacterInput) {
+      dom.importCharacterBtn.addEventListener('click', () => dom.importCharacterInput.click());
+      dom.importCharacterInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) importCharacterCard(file);
+        e.target.value = '';
+      });
+    }
+    if (dom.exportCardBtn) {
+      dom.exportCardBtn.addEventListener('click', () => exportCharacterCard('png'));
+    }
+    if (dom.exportCardJsonBtn) {
+      dom.exportCardJsonBtn.addEventListener('click', () => exportCharacterCard('json'));
+    }
+
+    // World info / lorebook editor
+    if (dom.lorebookBtn) {
+      dom.lorebookBtn.addEventListener('click', () => showLorebookModal());
+    }
+
     // Add connection status indicator to the UI
     addConnectionStatusIndicator();
 
@@ -632,7 +733,13 @@ async function loadSettings() {
         analysisProvider: 'gemini',
         analysisModel: 'gemini-2.0-flash',
         hydeEnabled: false,
-        weights: { recency: 5, emotionalSignificance: 7, decisionRelevance: 6 }
+        hybridSearch: true,
+        hybridWeights: { vector: 1, lexical: 1 },
+        consolidation: { enabled: true, chapterSize: 8 },
+        storySoFar: true,
+        knownFacts: true,
+        relationshipContext: true,
+        weights: { similarity: 10, rerank: 8, importance: 5, recency: 5, emotionalSignificance: 7, decisionRelevance: 6 }
       },
       user: { name: 'User', persona: 'A friendly user chatting with the character.' },
       theme: ThemeManager.getDefaultTheme(),
@@ -660,7 +767,7 @@ async function saveSettings(settings) {
     return state.settings;
   } catch (error) {
     console.error('Error saving settings:', error);
-    displayToast('Failed to save settings.', 'error');
+    displayToast(await getRequestErrorMessage(error, 'Failed to save settings.'), 'error');
     throw error;
   }
 }
@@ -683,6 +790,23 @@ async function loadModelConfigurations() {
   }
 }
 
+// Load the registered chat providers (built-in and plugins) the settings UI is built from
+async function loadProviders() {
+  try {
+    const response = await fetch(API.PROVIDERS);
+    const data = await response.json();
+    state.providers = data.providers || [];
+    return state.providers;
+  } catch (error) {
+    console.error('Error loading providers:', error);
+    // Use a default/fallback provider list
+    state.providers = [
+      { name: 'gemini', label: 'Gemini', auth: 'apiKeys', authFields: [], analysis: true }
+    ];
+    return state.providers;
+  }
+}
+
 // Load all characters
 async function loadCharacters() {
   try {
@@ -736,6 +860,8 @@ function renderCharacterList() {
             dom.welcomeScreen.classList.remove('hidden');
           }
           renderCharacterList();
+          // Group membership cascades on the backend
+          await loadGroups();
           showSuccessMessage(`Character '${character.name}' deleted.`);
         } else {
           const data = await res.json().catch(() => ({}));
@@ -773,6 +899,8 @@ async function selectCharacter(characterName) {
     if (!character) return;
 
     state.activeCharacter = character;
+    state.activeGroup = null;
+    document.body.classList.remove('group-chat-active');
 
     // Update UI
     dom.characterName.textContent = character.name;
@@ -798,8 +926,9 @@ async function selectCharacter(characterName) {
       dom.sidebar.classList.remove('expanded');
     }
 
-    // Load chat history
+    // Load chat history and the branch list
     await loadChatHistory(characterName);
+    await loadBranches();
 
 
     if (state.chatHistory.length === 0) {
@@ -812,6 +941,9 @@ async function selectCharacter(characterName) {
     renderChatHistory();
     scrollToBottom();
 
+    // Pick up a reply that is still streaming on the server (e.g. after a page reload)
+    resumeActiveGeneration();
+
     // Add this log:
     console.log("selectCharacter end: chatContainer classes:", dom.chatContainer.className);
     console.log("selectCharacter end: chatMessages computed height:", window.getComputedStyle(dom.chatMessages).height);
@@ -855,10 +987,11 @@ async function loadChatHistory(characterName) {
 
 // Save chat history for the active character
 async function saveChatHistory() {
-  if (!state.activeCharacter) return;
+  const url = getActiveChatUrl();
+  if (!url) return;
 
   try {
-    await makeRequest(`${API.CHAT}/${state.activeCharacter.name}`, {
+    await makeRequest(url, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(state.chatHistory)
@@ -869,6 +1002,143 @@ async function saveChatHistory() {
   }
 }
 
+// Index of a message as stored by the backend (which skips scene breaks and empty messages)
+function getPersistedMessageIndex(index) {
+  let persisted = -1;
+  for (let i = 0; i <= index && i < state.chatHistory.length; i++) {
+    const message = state.chatHistory[i];
+    if (message && message.role && typeof message.content === 'string' && message.content.trim().length > 0) {
+      persisted++;
+    }
+  }
+  return persisted;
+}
+
+// Load the branch list for the active character into the header selector
+async function loadBranches() {
+  if (!state.activeCharacter || !dom.branchSelect) return;
+
+  try {
+    const response = await makeRequest(`${API.CHAT}/${encodeURIComponent(state.activeCharacter.name)}/branches`, {}, 10000, 1);
+    const branches = await response.json();
+    if (!Array.isArray(branches)) throw new Error('Invalid branch list');
+
+    state.branches = branches;
+    dom.branchSelect.innerHTML = '';
+    branches.forEach(branch => {
+      const option = document.createElement('option');
+      option.value = branch.id;
+      option.textContent = `${branch.name} (${branch.messageCount})`;
+      option.selected = branch.isActive;
+      dom.branchSelect.appendChild(option);
+    });
+    // Only worth showing once the chat has actually been forked
+    dom.branchSelect.classList.toggle('hidden', branches.length < 2);
+  } catch (error) {
+    console.error('Error loading chat branches:', error);
+    state.branches = [];
+    dom.branchSelect.classList.add('hidden');
+  }
+}
+
+// Switch to another branch and show its history
+async function switchBranch(branchId) {
+  if (!state.activeCharacter || state.isGenerating) return;
+
+  try {
+    const response = await makeRequest(`${API.CHAT}/${encodeURIComponent(state.activeCharacter.name)}/branches/${branchId}/select`, {
+      method: 'POST'
+    }, 10000, 1);
+    const history = await response.json();
+    state.chatHistory = Array.isArray(history) ? history : [];
+    renderChatHistory();
+    await loadBranches();
+  } catch (error) {
+    console.error('Error switching branch:', error);
+    showErrorMessage('Failed to switch branch.');
+    await loadBranches();
+  }
+}
+
+// Fork the conversation at a message into a new named branch
+async function handleBranchFromMessage(index) {
+  if (!state.activeCharacter || state.isGenerating) return;
+
+  const suggested = `Branch ${(state.branches?.length || 1) + 1}`;
+  const name = prompt('Name for the new branch:', suggested);
+  if (!name || !name.trim()) return;
+
+  try {
+    // Make sure the backend has the exact history we are forking from
+    await saveChatHistory();
+    await makeRequest(`${API.CHAT}/${encodeURIComponent(state.activeCharacter.name)}/branches`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: name.trim(), fromIndex: getPersistedMessageIndex(index) })
+    }, 10000, 1);
+
+    await loadChatHistory(state.activeCharacter.name);
+    renderChatHistory();
+    await loadBranches();
+    showSuccessMessage(`Switched to new branch '${name.trim()}'.`);
+  } catch (error) {
+    console.error('Error creating branch:', error);
+    showErrorMessage('Failed to create branch. The name may already be in use.');
+  }
+}
+
+// Rename the active branch
+async function renameActiveBranch() {
+  const active = state.branches?.find(branch => branch.isActive);
+  if (!state.activeCharacter || !active) return;
+
+  const name = prompt('Rename branch:', active.name);
+  if (!name || !name.trim() || name.trim() === active.name) return;
+
+  try {
+    await makeRequest(`${API.CHAT}/${encodeURIComponent(state.activeCharacter.name)}/branches/${active.id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: name.trim() })
+    }, 10000, 1);
+    await loadBranches();
+  } catch (error) {
+    console.error('Error renaming branch:', error);
+    showErrorMessage('Failed to rename branch. The name may already be in use.');
+  }
+}
+
+// Delete the active branch and fall back to another one
+async function deleteActiveBranch() {
+  const active = state.branches?.find(branch => branch.isActive);
+  if (!state.activeCharacter || !active) return;
+  if (state.branches.length < 2) {
+    showErrorMessage('The only branch of a chat cannot be deleted. Use Clear Chat instead.');
+    return;
+  }
+
+  const confirmed = await showConfirm({
+    title: 'Delete Branch',
+    message: `Delete branch '${active.name}' and all of its messages?`,
+    confirmText: 'Delete Branch',
+    confirmVariant: 'danger'
+  });
+  if (!confirmed) return;
+
+  try {
+    await makeRequest(`${API.CHAT}/${encodeURIComponent(state.activeCharacter.name)}/branches/${active.id}`, {
+      method: 'DELETE'
+    }, 10000, 1);
+    await loadChatHistory(state.activeCharacter.name);
+    renderChatHistory();
+    await loadBranches();
+    showSuccessMessage('Branch deleted.');
+  } catch (error) {
+    console.error('Error deleting branch:', error);
+    showErrorMessage('Failed to delete branch.');
+  }
+}
+
 // Reusable animated confirmation dialog (Promise-based)
 function showConfirm({ title = 'Confirm', message = 'Are you sure?', confirmText = 'Yes', cancelText = 'Cancel', confirmVariant = 'primary' } = {}) {
   return new Promise(resolve => {
@@ -939,11 +1209,12 @@ function showConfirm({ title = 'Confirm', message = 'Are you sure?', confirmText
 
 // Clear chat history for the active character
 async function clearChatHistory() {
-  if (!state.activeCharacter) return;
+  const url = getActiveChatUrl();
+  if (!url) return;
 
   try {
     // Call the backend API to clear chat history (which now preserves the first message)
-    const response = await makeRequest(`${API.CHAT}/${state.activeCharacter.name}`, {
+    const response = await makeRequest(url, {
       method: 'DELETE'
     }, 10000, 1);
 
@@ -952,7 +1223,13 @@ async function clearChatHistory() {
     }
 
     // Load the chat history again to get the preserved first message
-    await loadChatHistory(state.activeCharacter.name);
+    if (state.activeGroup) {
+      state.activeGroup.lastSpeaker = null;
+      await loadGroupChatHistory();
+    } else {
+      await loadChatHistory(state.activeCharacter.name);
+      await loadBranches();
+    }
 
     // Show success message
     showSuccessMessage('Chat history cleared');
@@ -1004,7 +1281,7 @@ function renderChatHistory() {
 
 // Handle Multi-Delete Button Click
 async function handleMultiDelete(startIndex) {
-  if (!state.activeCharacter) return;
+  if (!state.activeCharacter && !state.activeGroup) return;
 
   const messagesToDeleteCount = state.chatHistory.length - startIndex;
   
@@ -1031,7 +1308,11 @@ async function handleMultiDelete(startIndex) {
     console.error('Error during multi-delete:', error);
     showErrorMessage('Failed to delete messages.');
     // Consider reloading history from backend if save failed partially
-    await loadChatHistory(state.activeCharacter.name);
+    if (state.activeGroup) {
+      await loadGroupChatHistory();
+    } else {
+      await loadChatHistory(state.activeCharacter.name);
+    }
     renderChatHistory();
   }
 }
@@ -1140,7 +1421,7 @@ function reRenderSingleMessage(index) {
     // Fallback: Instead of disappearing, revert the node's content without a full re-render.
     const bubble = nodeToReplace.querySelector('.message-bubble');
     if (bubble) {
-      const contentWithoutThoughts = messageData.content.replace(/<think(?:ing)?>[\s\S]*?<\/think(?:ing)?>/gi, '').trim();
+      const contentWithoutThoughts = splitMessageReasoning(messageData).content;
       const sanitizedContent = DOMPurify.sanitize(marked.parse(contentWithoutThoughts));
       bubble.innerHTML = sanitizedContent;
     }
@@ -1156,6 +1437,36 @@ function replaceUserPlaceholder(text) {
   return text.replace(/\{\{user\}\}/gi, userName);
 }
 
+// Model reasoning lives in message.reasoning; messages saved before it had its own field
+// may still carry it inline as <think> blocks in their content.
+const INLINE_REASONING_REGEX = /<think(?:ing)?>([\s\S]*?)<\/think(?:ing)?>/gi;
+
+function splitMessageReasoning(message) {
+  const raw = typeof message.content === 'string' ? message.content : '';
+  const inline = [...raw.matchAll(INLINE_REASONING_REGEX)].map(match => match[1].trim()).filter(Boolean);
+  return {
+    content: raw.replace(INLINE_REASONING_REGEX, '').trim(),
+    reasoning: [message.reasoning, ...inline].filter(Boolean).join('\n\n')
+  };
+}
+
+// Collapsible reasoning block above a reply; it stays open while the reply is still streaming
+function createReasoningElement(reasoning, pending = false) {
+  const details = document.createElement('details');
+  details.className = 'message-reasoning';
+  details.open = pending;
+  details.dataset.pending = String(pending);
+  const summary = document.createElement('summary');
+  summary.innerHTML = '<i class="ri-psychotherapy-line"></i><span></span>';
+  summary.querySelector('span').textContent = pending ? 'Thinking...' : 'Reasoning';
+  const body = document.createElement('div');
+  body.className = 'message-reasoning-body';
+  body.innerHTML = DOMPurify.sanitize(marked.parse(reasoning));
+  details.appendChild(summary);
+  details.appendChild(body);
+  return details;
+}
+
 // Create a message element
 function createMessageElement(message, index) {
   // Handle special message types like scene breaks
@@ -1183,8 +1494,10 @@ function createMessageElement(message, index) {
     avatarImg.src = state.settings.user?.avatarUrl || 'assets/default-avatar.svg';
     avatarImg.alt = state.settings.user?.name || 'User';
   } else {
-    avatarImg.src = state.activeCharacter?.avatarUrl || 'assets/default-avatar.svg';
-    avatarImg.alt = state.activeCharacter?.name || 'Character';
+    // Group replies carry the speaking character's name
+    const speaker = message.speaker ? state.characters.find(c => c.name === message.speaker) : state.activeCharacter;
+    avatarImg.src = speaker?.avatarUrl || 'assets/default-avatar.svg';
+    avatarImg.alt = speaker?.name || message.speaker || 'Character';
   }
   avatarImg.onerror = () => { avatarImg.src = 'assets/default-avatar.svg'; };
   avatarDiv.appendChild(avatarImg);
@@ -1194,6 +1507,7 @@ function createMessageElement(message, index) {
   contentDiv.className = 'message-content';
   const bubbleDiv = document.createElement('div');
   bubbleDiv.className = 'message-bubble';
+  let reasoningDiv = null;
 
   // --- NEW: Handle rendering for failed messages ---
   if (message.failed) {
@@ -1204,32 +1518,12 @@ function createMessageElement(message, index) {
     marked.setOptions({ breaks: true, gfm: true, sanitize: false });
     let safeContent = typeof message.content === 'string' ? message.content : '';
     
-    // --- NEW: Handle displaying AI thoughts ---
-    let filteredContent = safeContent; // Start with full content
+    // Model reasoning is shown in a collapsible block above the reply
+    let filteredContent = safeContent;
     if (message.role === 'assistant') {
-      const thoughtRegex = /<think(?:ing)?>([\s\S]*?)<\/think(?:ing)?>/gi;
-      const thoughts = [...safeContent.matchAll(thoughtRegex)].map(match => match[1].trim());
-
-      if (thoughts.length > 0) {
-        const thoughtContainer = document.createElement('div');
-        thoughtContainer.className = 'message-thought-container';
-
-        const thoughtBtn = document.createElement('button');
-        thoughtBtn.className = 'thought-btn';
-        thoughtBtn.innerHTML = '<i class="ri-psychotherapy-line"></i>';
-        thoughtBtn.title = 'View character thoughts';
-
-        const thoughtContentDiv = document.createElement('div');
-        thoughtContentDiv.className = 'thought-content';
-        // Sanitize thought content since it's internal AI content
-        thoughtContentDiv.innerHTML = DOMPurify.sanitize(thoughts.join('<hr>'));
-
-        thoughtContainer.appendChild(thoughtBtn);
-        thoughtContainer.appendChild(thoughtContentDiv);
-        messageDiv.appendChild(thoughtContainer);
-      }
-      // Remove thoughts from the content that will be displayed in the bubble
-      filteredContent = safeContent.replace(thoughtRegex, '').trim();
+      const { content, reasoning } = splitMessageReasoning(message);
+      if (reasoning) reasoningDiv = createReasoningElement(reasoning, !!message.pending);
+      filteredContent = content;
     }
 
     const replacedContent = replaceUserPlaceholder(filteredContent);
@@ -1272,6 +1566,15 @@ function createMessageElement(message, index) {
       deleteBtn.addEventListener('click', () => handleMultiDelete(index));
       messageActionsDiv.appendChild(deleteBtn);
     }
+    // Fork a new branch ending at this message
+    if (!message.pending && !state.activeGroup) {
+      const branchBtn = document.createElement('button');
+      branchBtn.className = 'btn icon-btn message-action-btn branch-from-here-btn';
+      branchBtn.innerHTML = '<i class="ri-git-branch-line"></i>';
+      branchBtn.title = 'Branch From Here';
+      branchBtn.addEventListener('click', () => handleBranchFromMessage(index));
+      messageActionsDiv.appendChild(branchBtn);
+    }
 
     messageDiv.appendChild(messageActionsDiv);
     // Small overflow button for mobile to toggle actions
@@ -1283,13 +1586,92 @@ function createMessageElement(message, index) {
     messageDiv.appendChild(kebab);
   }
 
+  if (message.speaker && message.role === 'assistant') {
+    const speakerDiv = document.createElement('div');
+    speakerDiv.className = 'message-speaker';
+    speakerDiv.textContent = message.speaker;
+    contentDiv.appendChild(speakerDiv);
+  }
+  if (reasoningDiv) contentDiv.appendChild(reasoningDiv);
   contentDiv.appendChild(bubbleDiv);
+  const swipeControls = createSwipeControls(message, index);
+  if (swipeControls) contentDiv.appendChild(swipeControls);
   contentDiv.appendChild(timeDiv);
   messageDiv.appendChild(avatarDiv);
   messageDiv.appendChild(contentDiv);
   return messageDiv;
 }
 
+// Swipe controls (‹ 2/3 ›) for assistant messages with alternate replies.
+// On the latest reply, swiping past the last variant generates a new one.
+function createSwipeControls(message, index) {
+  if (message.role !== 'assistant' || message.failed || message.pending || state.activeGroup) return null;
+
+  const variants = Array.isArray(message.variants) ? message.variants : [];
+  const isLatest = index === state.chatHistory.length - 1 && state.chatHistory[index - 1]?.role === 'user';
+  if (variants.length < 2 && !isLatest) return null;
+
+  const total = Math.max(variants.length, 1);
+  const current = variants.length > 1 ? (message.activeVariant || 0) : 0;
+
+  const swipeDiv = document.createElement('div');
+  swipeDiv.className = 'message-swipes';
+
+  const prevBtn = document.createElement('button');
+  prevBtn.className = 'btn icon-btn swipe-btn';
+  prevBtn.innerHTML = '<i class="ri-arrow-left-s-line"></i>';
+  prevBtn.title = 'Previous reply';
+  prevBtn.disabled = current === 0;
+  prevBtn.addEventListener('click', () => handleSwipe(index, current - 1));
+
+  const counter = document.createElement('span');
+  counter.className = 'swipe-counter';
+  counter.textContent = `${current + 1}/${total}`;
+
+  const nextBtn = document.createElement('button');
+  nextBtn.className = 'btn icon-btn swipe-btn';
+  nextBtn.innerHTML = '<i class="ri-arrow-right-s-line"></i>';
+  const generatesNew = current === total - 1;
+  nextBtn.title = generatesNew ? 'Generate another reply' : 'Next reply';
+  nextBtn.disabled = generatesNew && !isLatest;
+  nextBtn.addEventListener('click', () => {
+    if (generatesNew) {
+      regenerateResponse();
+    } else {
+      handleSwipe(index, current + 1);
+    }
+  });
+
+  swipeDiv.appendChild(prevBtn);
+  swipeDiv.appendChild(counter);
+  swipeDiv.appendChild(nextBtn);
+  return swipeDiv;
+}
+
+// Show a different alternate reply for a message and persist the selection
+async function handleSwipe(index, variantIndex) {
+  const message = state.chatHistory[index];
+  if (!message || !Array.isArray(message.variants) || !message.variants[variantIndex] || state.isGenerating) return;
+
+  const previous = { content: message.content, reasoning: message.reasoning, timestamp: message.timestamp, activeVariant: message.activeVariant };
+  // Keep any edit made to the currently shown variant
+  message.variants[message.activeVariant || 0].content = message.content;
+  message.activeVariant = variantIndex;
+  message.content = message.variants[variantIndex].content;
+  message.reasoning = message.variants[variantIndex].reasoning || '';
+  message.timestamp = message.variants[variantIndex].timestamp;
+  reRenderSingleMessage(index);
+
+  try {
+    await saveChatHistory();
+  } catch (error) {
+    console.error('Error selecting reply variant:', error);
+    Object.assign(message, previous);
+    reRenderSingleMessage(index);
+  }
+}
+
+
 // Send a message to the character
 async function sendMessage() {
   const message = dom.messageInput.value.trim();
@@ -1344,9 +1726,10 @@ async function sendMessage() {
 
     if (!isDuplicate) {
       // Add assistant response to chat history
-      state.chatHistory.push({ role: 'assistant', content: data.response });
+      state.chatHistory.push({ role: 'assistant', content: data.response, reasoning: data.reasoning || '' });
       renderChatHistory();
     }
+    notifyFallbackRoute(data.route);
 
     // Save chat history
     await saveChatHistory();
@@ -1426,10 +1809,9 @@ function addGeneratingIndicator() {
   // Add cancel button functionality
   const cancelBtn = indicatorDiv.querySelector('.cancel-generation-btn');
   cancelBtn.addEventListener('click', () => {
-    if (state.currentAbortController) {
-      state.currentAbortController.abort();
-      displayToast('Response generation cancelled', 'info', 3000);
-    }
+    cancelBtn.disabled = true;
+    cancelActiveGeneration();
+    displayToast('Response generation cancelled', 'info', 3000);
   });
 
   // Add a progress timer to show elapsed time
@@ -1457,6 +1839,34 @@ function addGeneratingIndicator() {
   indicatorDiv.dataset.timeInterval = timeInterval;
 }
 
+// Stop the running generation. Plain requests are dropped locally first (so they are not
+// retried) and the server is told to stop the provider call. A stream stays open until the
+// server ends it with a `cancelled` event, so the partial reply matches what was saved.
+async function cancelActiveGeneration() {
+  const controller = state.currentAbortController;
+  state.currentAbortController = null; // Tells the request handlers this was not a timeout
+  if (controller && !controller.streaming) {
+    controller.userCancelled = true;
+    controller.abort();
+  }
+
+  let cancelledOnServer = false;
+  const chatUrl = getActiveChatUrl();
+  if (chatUrl) {
+    try {
+      const response = await makeRequest(`${chatUrl}/cancel`, { method: 'POST' }, 10000, 0);
+      cancelledOnServer = !!(await response.json()).cancelled;
+    } catch (error) {
+      console.warn('Cancel request failed:', error.message || error);
+    }
+  }
+  // The server could not be reached: closing the stream cancels the generation as well
+  if (controller && controller.streaming && !cancelledOnServer) {
+    controller.userCancelled = true;
+    controller.abort();
+  }
+}
+
 // Remove the generating indicator
 function removeGeneratingIndicator() {
   const indicator = document.querySelector('.message.generating');
@@ -1540,6 +1950,13 @@ function showCharacterModal(character = null) {
           <div class="form-group">
             <label for="char-first-msg">First Message</label>
             <textarea id="char-first-msg" rows="3">${character?.firstMessage || ''}</textarea>
+            ${character?.alternateGreetings?.length ? `<small>Plus ${character.alternateGreetings.length} alternate greeting(s) from the imported card, offered as swipes.</small>` : ''}
+          </div>
+
+          <div class="form-group">
+            <label for="char-example-msgs">Example Dialogue</label>
+            <textarea id="char-example-msgs" rows="4">${character?.exampleMessages || ''}</textarea>
+            <small>Sample exchanges that show how the character talks. Added to the prompt as a style reference.</small>
           </div>
           
           <div class="form-tabs">
@@ -1555,18 +1972,30 @@ function showCharacterModal(character = null) {
           <div id="advanced-tab" class="tab-content">
             
             <div class="form-group">
-              <label>Model Settings Override</label>
-              <div class="model-override-controls">
+              <label for="char-sampler-preset">Sampler Preset</label>
+              <select id="char-sampler-preset">
+                <option value="">Default${state.settings?.samplerPreset ? ` (${escapeFormValue(state.settings.samplerPreset)})` : ''}</option>
+                ${renderSamplerPresetOptions(character?.settingsOverride?.samplerPreset)}
+              </select>
+            </div>
+            <div class="form-group">
+              <label>
+                <input type="checkbox" id="char-sampler-override" ${hasSamplerOverride(character?.settingsOverride) ? 'checked' : ''}>
+                Override sampler values
+              </label>
+              <small>The values below win over the preset and the global settings. Empty fields are not overridden.</small>
+              <div class="model-override-controls" id="char-sampler-fields" ${hasSamplerOverride(character?.settingsOverride) ? '' : 'hidden'}>
                 <div class="param-group">
                   <label for="char-temperature">Temperature</label>
-                  <input type="range" id="char-temperature" min="0" max="2" step="0.1" value="${character?.settingsOverride?.temperature || state.settings?.temperature || 0.7}">
-                  <span id="char-temperature-value">${character?.settingsOverride?.temperature || state.settings?.temperature || 0.7}</span>
+                  <input type="range" id="char-temperature" min="0" max="2" step="0.1" value="${character?.settingsOverride?.temperature ?? state.settings?.temperature ?? 0.7}">
+                  <span id="char-temperature-value">${character?.settingsOverride?.temperature ?? state.settings?.temperature ?? 0.7}</span>
                 </div>
                 <div class="param-group">
                   <label for="char-top-p">Top-P</label>
-                  <input type="range" id="char-top-p" min="0" max="1" step="0.05" value="${character?.settingsOverride?.topP || state.settings?.topP || 0.9}">
-                  <span id="char-top-p-value">${character?.settingsOverride?.topP || state.settings?.topP || 0.9}</span>
+                  <input type="range" id="char-top-p" min="0" max="1" step="0.05" value="${character?.settingsOverride?.topP ?? state.settings?.topP ?? 0.9}">
+                  <span id="char-top-p-value">${character?.settingsOverride?.topP ?? state.settings?.topP ?? 0.9}</span>
                 </div>
+                ${renderSamplerFields('char-sampler', character?.settingsOverride || {}, ['maxTokens', ...EXTRA_SAMPLER_KEYS])}
               </div>
             </div>
           </div>
@@ -1582,6 +2011,11 @@ function showCharacterModal(character = null) {
                 <input id="decision-weight-char" type="range" min="0" max="10" value="${character?.memorySettings?.decisionWeight || 5}">
               </div>
             </div>
+            <div class="form-group">
+              <label for="char-relationship-axes">Relationship Axes</label>
+              <input type="text" id="char-relationship-axes" value="${(character?.relationshipAxes || []).join(', ')}" placeholder="trust, affection, respect, fear">
+              <small>Comma-separated feelings tracked toward everyone this character meets. Leave empty for the defaults.</small>
+            </div>
           </div>
         </form>
       </div>
@@ -1652,6 +2086,12 @@ function attachCharacterModalEvents(isEditing) {
     }
   });
 
+  // Sampler override fields are only shown (and saved) while the override is on
+  const samplerOverride = dom.characterModal.querySelector('#char-sampler-override');
+  samplerOverride.addEventListener('change', () => {
+    dom.characterModal.querySelector('#char-sampler-fields').hidden = !samplerOverride.checked;
+  });
+
   // Save button
   const saveBtn = dom.characterModal.querySelector('#save-character-btn');
   saveBtn.addEventListener('click', () => saveCharacter(isEditing));
@@ -1667,8 +2107,19 @@ async function saveCharacter(isEditing) {
   const persona = dom.characterModal.querySelector('#char-persona').value.trim();
   const currentScenario = dom.characterModal.querySelector('#char-scenario').value.trim();
   const firstMessage = dom.characterModal.querySelector('#char-first-msg').value.trim();
-  const temperature = parseFloat(dom.characterModal.querySelector('#char-temperature').value);
-  const topP = parseFloat(dom.characterModal.querySelector('#char-top-p').value);
+  const exampleMessages = dom.characterModal.querySelector('#char-example-msgs').value.trim();
+  const samplerPreset = dom.characterModal.querySelector('#char-sampler-preset').value;
+  const samplerOverride = dom.characterModal.querySelector('#char-sampler-override').checked
+    ? {
+      temperature: parseFloat(dom.characterModal.querySelector('#char-temperature').value),
+      topP: parseFloat(dom.characterModal.querySelector('#char-top-p').value),
+      ...collectSamplerFields('char-sampler', ['maxTokens', ...EXTRA_SAMPLER_KEYS])
+    }
+    : {};
+  const relationshipAxes = dom.characterModal.querySelector('#char-relationship-axes').value
+    .split(',')
+    .map(axis => axis.trim().toLowerCase())
+    .filter(Boolean);
 
   // Validation
   if (!name || !persona) {
@@ -1684,10 +2135,12 @@ async function saveCharacter(isEditing) {
     persona,
     currentScenario,
     firstMessage,
+    exampleMessages,
     settingsOverride: {
-      temperature,
-      topP
+      ...(samplerPreset ? { samplerPreset } : {}),
+      ...samplerOverride
     },
+    relationshipAxes: relationshipAxes.length > 0 ? relationshipAxes : null,
     createdAt: isEditing ? state.activeCharacter.createdAt : Date.now(),
     modifiedAt: Date.now()
   };
@@ -1704,6 +2157,10 @@ async function saveCharacter(isEditing) {
     });
 
     const savedCharacter = await response.json();
+    if (!response.ok) {
+      showErrorMessage(savedCharacter.error || 'Failed to save character.');
+      return;
+    }
 
     // Update state and UI
     if (isEditing) {
@@ -1800,22 +2257,16 @@ function showSettingsModal() {
           <button type="button" class="tab-btn" data-tab="user">User Profile</button>
           <button type="button" class="tab-btn" data-tab="appearance">Appearance</button>
           <button type="button" class="tab-btn" data-tab="memory">Memory System</button>
+          <button type="button" class="tab-btn" data-tab="endpoints">Endpoints</button>
+          <button type="button" class="tab-btn" data-tab="usage">Usage</button>
         </div>
         
         <div id="models-tab" class="tab-content active">
           <div class="form-group">
             <label for="llm-provider">LLM Provider</label>
             <select id="llm-provider">
-              <option value="gemini" ${state.settings.provider === 'gemini' ? 'selected' : ''}>Gemini</option>
-              <option value="openrouter" ${state.settings.provider === 'openrouter' ? 'selected' : ''}>OpenRouter</option>
-              <option value="huggingface" ${state.settings.provider === 'huggingface' ? 'selected' : ''}>HuggingFace</option>
-              <option value="mistral" ${state.settings.provider === 'mistral' ? 'selected' : ''}>Mistral</option>
-              <!-- Requesty removed -->
-              <option value="cohere" ${state.settings.provider === 'cohere' ? 'selected' : ''}>Cohere</option>
-              <option value="aionlabs" ${state.settings.provider === 'aionlabs' ? 'selected' : ''}>Aion Labs</option>
-              <option value="nvidia" ${state.settings.provider === 'nvidia' ? 'selected' : ''}>NVIDIA NIM</option>
-              <option value="chutes" ${state.settings.provider === 'chutes' ? 'selected' : ''}>Chutes</option>
-              <option value="glm" ${state.settings.provider === 'glm' ? 'selected' : ''}>GLM (BigModel.cn)</option>
+              ${renderProviderOptions(currentProvider)}
+              ${renderOpenAICompatibleOptions(state.settings.provider)}
             </select>
           </div>
           
@@ -1827,6 +2278,16 @@ function showSettingsModal() {
             </select>
           </div>
 
+          <div class="form-group">
+            <label>Fallback Routes</label>
+            <small>Tried in order when every key of the provider above fails or is cooling down. Leave the model empty for the provider's default.</small>
+          </div>
+          <div id="fallback-routes-list">
+            ${(state.settings.fallbackRoutes || []).map(renderFallbackRoute).join('')}
+          </div>
+          ${renderFallbackModelLists()}
+          <button type="button" class="btn secondary" id="add-fallback-route-btn">+ Add Fallback</button>
+
           <!-- Embedding Model/Provider Selection -->
           <div class="form-group">
             <label for="embedding-provider">Embedding Provider</label>
@@ -1835,6 +2296,9 @@ function showSettingsModal() {
               <option value="nvidia" ${state.settings.memory?.embeddingProvider === 'nvidia' ? 'selected' : ''}>NVIDIA (bge-m3)</option>
               <option value="mistral" ${state.settings.memory?.embeddingProvider === 'mistral' ? 'selected' : ''}>Mistral</option>
               <option value="cohere" ${state.settings.memory?.embeddingProvider === 'cohere' ? 'selected' : ''}>Cohere</option>
+              <option value="ollama" ${state.settings.memory?.embeddingProvider === 'ollama' ? 'selected' : ''}>Ollama (local)</option>
+              <option value="koboldcpp" ${state.settings.memory?.embeddingProvider === 'koboldcpp' ? 'selected' : ''}>KoboldCpp (local)</option>
+              <option value="mock" ${state.settings.memory?.embeddingProvider === 'mock' ? 'selected' : ''}>Mock (offline)</option>
             </select>
           </div>
           <div class="form-group">
@@ -1842,6 +2306,17 @@ function showSettingsModal() {
             <select id="embedding-model"></select>
             <small>Only compatible models for the selected provider are shown</small>
           </div>
+          <div class="form-group">
+            <label for="embedding-fallback-order">Embedding Fallback Order</label>
+            <input type="text" id="embedding-fallback-order" placeholder="gemini, nvidia, mistral, cohere" value="${Array.isArray(state.settings.memory?.embeddingFallbackOrder) ? (state.settings.memory.embeddingFallbackOrder.length ? state.settings.memory.embeddingFallbackOrder.join(', ') : 'none') : ''}">
+            <small>Providers tried in this order when the embedding provider fails. Leave empty for the default order (remote providers only), or enter "none" to disable fallback.</small>
+          </div>
+          <div class="form-group embedding-index">
+            <label>Embedding Index</label>
+            <div id="embedding-index-status" class="embedding-index-status">Checking stored embeddings...</div>
+            <button type="button" class="btn secondary" id="reembed-memories-btn">Re-embed Memories</button>
+            <small>Memories embedded with another model are left out of retrieval until they are re-embedded. Changing the embedding model starts this automatically.</small>
+          </div>
 
           <!-- Query Embedding Method -->
           <div class="form-group">
@@ -1859,14 +2334,8 @@ function showSettingsModal() {
           <div class="form-group">
             <label for="analysis-provider">Memory Analysis Provider</label>
             <select id="analysis-provider">
-              <option value="gemini" ${state.settings.memory?.analysisProvider === 'gemini' ? 'selected' : ''}>Gemini</option>
-              <option value="openrouter" ${state.settings.memory?.analysisProvider === 'openrouter' ? 'selected' : ''}>OpenRouter</option>
-              <option value="huggingface" ${state.settings.memory?.analysisProvider === 'huggingface' ? 'selected' : ''}>HuggingFace</option>
-              <option value="mistral" ${state.settings.memory?.analysisProvider === 'mistral' ? 'selected' : ''}>Mistral</option>
-              <!-- Requesty removed -->
-              <option value="cohere" ${state.settings.memory?.analysisProvider === 'cohere' ? 'selected' : ''}>Cohere</option>
-              <option value="nvidia" ${state.settings.memory?.analysisProvider === 'nvidia' ? 'selected' : ''}>NVIDIA NIM</option>
-              <option value="glm" ${state.settings.memory?.analysisProvider === 'glm' ? 'selected' : ''}>GLM (BigModel.cn)</option>
+              ${renderProviderOptions(state.settings.memory?.analysisProvider || 'gemini', { analysis: true })}
+              ${renderOpenAICompatibleOptions(state.settings.memory?.analysisProvider)}
             </select>
           </div>
           <div class="form-group">
@@ -1875,8 +2344,8 @@ function showSettingsModal() {
             <small>Model used for memory chunk analysis (same list as chat model, but saved separately)</small>
           </div>
           
-          <div class="form-group">
-            <label id="api-keys-label">API Keys for ${currentProvider.charAt(0).toUpperCase() + currentProvider.slice(1)}</label>
+          <div class="form-group" id="api-keys-group" ${getProviderInfo(currentProvider)?.auth === 'none' ? 'style="display: none;"' : ''}>
+            <label id="api-keys-label">API Keys for ${escapeFormValue(getProviderLabel(currentProvider))}</label>
             <div class="api-keys-container" id="api-keys-container">
               <div class="api-key-list" id="api-key-list">
                 ${populateApiKeyList(currentProvider)}
@@ -1884,6 +2353,7 @@ function showSettingsModal() {
               <button type="button" class="btn secondary add-api-key-btn">+ Add API Key</button>
             </div>
           </div>
+          <div id="provider-auth-fields">${renderProviderAuthFields(currentProvider)}</div>
           
           <!-- LLM Parameters -->
           <div class="form-group">
@@ -1891,14 +2361,14 @@ function showSettingsModal() {
             
             <div class="param-group">
               <label for="temperature">Temperature</label>
-              <input type="range" id="temperature" min="0" max="2" step="0.1" value="${state.settings.temperature || 0.7}">
-              <span id="temperature-value">${state.settings.temperature || 0.7}</span>
+              <input type="range" id="temperature" min="0" max="2" step="0.1" value="${state.settings.temperature ?? 0.7}">
+              <span id="temperature-value">${state.settings.temperature ?? 0.7}</span>
             </div>
             
             <div class="param-group">
               <label for="top-p">Top-P</label>
-              <input type="range" id="top-p" min="0" max="1" step="0.05" value="${state.settings.topP || 0.9}">
-              <span id="top-p-value">${state.settings.topP || 0.9}</span>
+              <input type="range" id="top-p" min="0" max="1" step="0.05" value="${state.settings.topP ?? 0.9}">
+              <span id="top-p-value">${state.settings.topP ?? 0.9}</span>
             </div>
             
             <div class="param-group">
@@ -1910,6 +2380,21 @@ function showSettingsModal() {
               <input type="number" id="max-context-tokens" min="1000" max="32000" value="${state.settings.maxContextTokens || 6000}">
               <small>Total token budget for prompt context (history, memories, etc)</small>
             </div>
+            ${renderSamplerFields('sampler', state.settings, EXTRA_SAMPLER_KEYS)}
+            <small>Empty fields use the provider's default. Parameters a provider does not support are not sent.</small>
+          </div>
+
+          <div class="form-group">
+            <label for="sampler-preset">Sampler Preset</label>
+            <div class="sampler-preset-controls">
+              <select id="sampler-preset">
+                <option value="">None</option>
+                ${renderSamplerPresetOptions(state.settings.samplerPreset)}
+              </select>
+              <button type="button" class="btn secondary" id="save-sampler-preset-btn">Save Parameters as Preset</button>
+              <button type="button" class="btn" id="delete-sampler-preset-btn">Delete</button>
+            </div>
+            <small>A preset's values replace the parameters above. Characters can choose their own preset.</small>
           </div>
         </div>
         
@@ -1997,20 +2482,96 @@ function showSettingsModal() {
           </div>
             <div class="memory-weights">
             <h3>Memory Importance Weights</h3>
+            <small>How much each factor counts when ranking retrieved memories (0 ignores it)</small>
+            <div class="param-group">
+              <label for="similarity-weight">Similarity</label>
+              <input type="range" min="0" max="10" value="${state.settings.memory?.weights?.similarity ?? 10}" id="similarity-weight">
+              <span>${state.settings.memory?.weights?.similarity ?? 10}</span>
+            </div>
+            <div class="param-group">
+              <label for="rerank-weight">Rerank Score</label>
+              <input type="range" min="0" max="10" value="${state.settings.memory?.weights?.rerank ?? 8}" id="rerank-weight">
+              <span>${state.settings.memory?.weights?.rerank ?? 8}</span>
+            </div>
+            <div class="param-group">
+              <label for="importance-weight">Importance</label>
+              <input type="range" min="0" max="10" value="${state.settings.memory?.weights?.importance ?? 5}" id="importance-weight">
+              <span>${state.settings.memory?.weights?.importance ?? 5}</span>
+            </div>
             <div class="param-group">
               <label for="recency-weight">Recency</label>
-              <input type="range" min="0" max="10" value="${state.settings.memory?.weights?.recency || 5}" id="recency-weight">
-              <span>${state.settings.memory?.weights?.recency || 5}</span>
+              <input type="range" min="0" max="10" value="${state.settings.memory?.weights?.recency ?? 5}" id="recency-weight">
+              <span>${state.settings.memory?.weights?.recency ?? 5}</span>
             </div>
             <div class="param-group">
               <label for="emotional-weight">Emotional Significance</label>
-              <input type="range" min="0" max="10" value="${state.settings.memory?.weights?.emotionalSignificance || 7}" id="emotional-weight">
-              <span>${state.settings.memory?.weights?.emotionalSignificance || 7}</span>
+              <input type="range" min="0" max="10" value="${state.settings.memory?.weights?.emotionalSignificance ?? 7}" id="emotional-weight">
+              <span>${state.settings.memory?.weights?.emotionalSignificance ?? 7}</span>
             </div>
             <div class="param-group">
               <label for="decision-weight">Decision Relevance</label>
-              <input type="range" min="0" max="10" value="${state.settings.memory?.weights?.decisionRelevance || 6}" id="decision-weight">
-              <span>${state.settings.memory?.weights?.decisionRelevance || 6}</span>
+              <input type="range" min="0" max="10" value="${state.settings.memory?.weights?.decisionRelevance ?? 6}" id="decision-weight">
+              <span>${state.settings.memory?.weights?.decisionRelevance ?? 6}</span>
+            </div>
+            <div class="form-group">
+              <label for="recency-half-life">Recency Half-life (days)</label>
+              <input type="number" id="recency-half-life" min="0.5" max="3650" step="0.5" value="${state.settings.memory?.recencyHalfLifeDays ?? 14}">
+              <small>A memory this old counts half as recent as a new one</small>
+            </div>
+          </div>
+
+          <div class="memory-hybrid-search">
+            <h3>Hybrid Search</h3>
+            <div class="form-group">
+              <label>
+                <input type="checkbox" id="hybrid-search" ${state.settings.memory?.hybridSearch !== false ? 'checked' : ''}>
+                Combine keyword and embedding search
+              </label>
+              <small>Keyword matches catch names, places and invented terms that embeddings miss</small>
+            </div>
+            <div class="param-group">
+              <label for="hybrid-vector-weight">Embedding Weight</label>
+              <input type="range" min="0" max="3" step="0.25" value="${state.settings.memory?.hybridWeights?.vector ?? 1}" id="hybrid-vector-weight">
+              <span>${state.settings.memory?.hybridWeights?.vector ?? 1}</span>
+            </div>
+            <div class="param-group">
+              <label for="hybrid-lexical-weight">Keyword Weight</label>
+              <input type="range" min="0" max="3" step="0.25" value="${state.settings.memory?.hybridWeights?.lexical ?? 1}" id="hybrid-lexical-weight">
+              <span>${state.settings.memory?.hybridWeights?.lexical ?? 1}</span>
+            </div>
+          </div>
+
+          <div class="memory-consolidation">
+            <h3>Memory Consolidation</h3>
+            <div class="form-group">
+              <label>
+                <input type="checkbox" id="memory-consolidation" ${state.settings.memory?.consolidation?.enabled !== false ? 'checked' : ''}>
+                Merge duplicates and condense old memories into chapters and arcs
+              </label>
+              <small>Runs in the background after new journal entries, using the analysis model</small>
+            </div>
+            <div class="form-group">
+              <label>
+                <input type="checkbox" id="story-so-far" ${state.settings.memory?.storySoFar !== false ? 'checked' : ''}>
+                Include a "story so far" summary in the prompt
+              </label>
+            </div>
+            <div class="form-group">
+              <label>
+                <input type="checkbox" id="known-facts" ${state.settings.memory?.knownFacts !== false ? 'checked' : ''}>
+                Include known facts (people, places, items, factions) in the prompt
+              </label>
+              <small>Extracted from each journal entry by the analysis model</small>
+            </div>
+            <div class="form-group">
+              <label>
+                <input type="checkbox" id="relationship-context" ${state.settings.memory?.relationshipContext !== false ? 'checked' : ''}>
+                Include the character's current relationships in the prompt
+              </label>
+            </div>
+            <div class="form-group">
+              <label for="chapter-size">Entries per Chapter</label>
+              <input type="number" id="chapter-size" min="2" max="50" value="${state.settings.memory?.consolidation?.chapterSize || 8}">
             </div>
           </div>
           
@@ -2027,11 +2588,13 @@ function showSettingsModal() {
             <div class="form-group">
               <label for="reranking-provider">Reranking Provider</label>
               <select id="reranking-provider">
-                <option value="jina" ${(state.settings.memory?.rerankingProvider || 'jina') === 'jina' ? 'selected' : ''}>Jina AI</option>
+                <option value="local" ${(state.settings.memory?.rerankingProvider || 'local') === 'local' ? 'selected' : ''}>Local (lexical, no API)</option>
+                <option value="local-cross-encoder" ${state.settings.memory?.rerankingProvider === 'local-cross-encoder' ? 'selected' : ''}>Local cross-encoder (transformers.js)</option>
+                <option value="jina" ${state.settings.memory?.rerankingProvider === 'jina' ? 'selected' : ''}>Jina AI</option>
                 <option value="cohere" ${state.settings.memory?.rerankingProvider === 'cohere' ? 'selected' : ''}>Cohere</option>
                 <option value="nvidia" ${state.settings.memory?.rerankingProvider === 'nvidia' ? 'selected' : ''}>NVIDIA</option>
               </select>
-              <small>Primary reranking provider (with automatic fallback)</small>
+              <small>Primary reranking provider (with automatic fallback; providers without an API key are skipped)</small>
             </div>
             
             <div class="form-group">
@@ -2074,6 +2637,64 @@ function showSettingsModal() {
             </div>
           </div>
         </div>
+
+        <div id="endpoints-tab" class="tab-content">
+          <div class="form-group">
+            <label>Local Servers</label>
+            <small>Native APIs used by the Ollama and KoboldCpp providers (chat and embeddings).</small>
+          </div>
+          <div class="lore-entry-grid">
+            <div class="form-group">
+              <label for="ollama-base-url">Ollama URL</label>
+              <input type="text" id="ollama-base-url" value="${escapeFormValue(state.settings.ollama?.baseUrl)}" placeholder="http://localhost:11434">
+            </div>
+            <div class="form-group">
+              <label for="koboldcpp-base-url">KoboldCpp URL</label>
+              <input type="text" id="koboldcpp-base-url" value="${escapeFormValue(state.settings.koboldcpp?.baseUrl)}" placeholder="http://localhost:5001">
+            </div>
+          </div>
+          <div class="form-group">
+            <label for="koboldcpp-prompt-format">KoboldCpp Prompt Format</label>
+            <select id="koboldcpp-prompt-format">
+              ${['chatml', 'llama3', 'alpaca', 'mistral'].map(format => `<option value="${format}" ${(state.settings.koboldcpp?.promptFormat || 'chatml') === format ? 'selected' : ''}>${format === 'chatml' ? 'ChatML' : format === 'llama3' ? 'Llama 3' : format.charAt(0).toUpperCase() + format.slice(1)}</option>`).join('')}
+            </select>
+            <small>Instruct template the loaded model was trained on.</small>
+          </div>
+
+          <div class="form-group">
+            <label>OpenAI-Compatible Endpoints</label>
+            <small>Local or self-hosted servers that speak the OpenAI chat API (llama.cpp, vLLM, Ollama, LM Studio, KoboldCpp). Saved endpoints appear in the provider lists after saving.</small>
+          </div>
+          <div id="openai-compatible-list">
+            ${(state.settings.openaiCompatible || []).map(renderOpenAICompatibleEndpoint).join('')}
+          </div>
+          <button type="button" class="btn secondary" id="add-endpoint-btn">+ Add Endpoint</button>
+        </div>
+
+        <div id="usage-tab" class="tab-content">
+          <div class="usage-controls">
+            <select id="usage-days">
+              ${[7, 30, 90].map(days => `<option value="${days}" ${days === 30 ? 'selected' : ''}>Last ${days} days</option>`).join('')}
+            </select>
+            <select id="usage-character">
+              <option value="">All characters</option>
+              ${(state.characters || []).map(character => `<option value="${escapeFormValue(character.name)}">${escapeFormValue(character.name)}</option>`).join('')}
+            </select>
+            <button type="button" class="btn secondary" id="usage-refresh-btn">Refresh</button>
+          </div>
+          <div id="usage-dashboard" class="usage-dashboard">Open this tab to load usage.</div>
+
+          <div class="form-group">
+            <label for="usage-quotas">Daily Quotas</label>
+            <textarea id="usage-quotas" rows="3" placeholder="gemini = 1500, 1000000">${escapeFormValue(formatUsageQuotas(state.settings.usage?.quotas))}</textarea>
+            <small>One provider per line: <code>provider = requests, tokens</code> per day (0 for no limit). A provider that reaches its quota is skipped until midnight, so fallback routes take over.</small>
+          </div>
+          <div class="form-group">
+            <label for="usage-pricing">Pricing</label>
+            <textarea id="usage-pricing" rows="3" placeholder="openrouter/deepseek/deepseek-chat-v3-0324 = 0.27, 1.10">${escapeFormValue(formatUsagePricing(state.settings.usage?.pricing))}</textarea>
+            <small>USD per million tokens: <code>provider/model = prompt, completion</code> (or just <code>provider</code> for all its models). Free and local models cost nothing; other models without a price are counted as unpriced.</small>
+          </div>
+        </div>
       </div>
       <div class="modal-footer">
         <button type="button" class="btn secondary" id="cancel-settings-btn">Cancel</button>
@@ -2108,7 +2729,7 @@ async function updateApiKeyStatuses() {
       // Update visual indicators if settings modal is open
       const modal = document.querySelector('.settings-modal');
       if (modal && modal.style.display !== 'none') {
-        updateKeyStatusIndicators(data.statuses);
+        updateKeyStatusIndicators(data.statuses, data.cooldowns || {});
       }
     }
   } catch (error) {
@@ -2117,19 +2738,24 @@ async function updateApiKeyStatuses() {
 }
 
 // Function to update key status indicators in the UI
-function updateKeyStatusIndicators(statuses) {
+// Keys that are cooling down (rate limited or failing) show how long they are skipped for
+function updateKeyStatusIndicators(statuses, cooldowns = {}) {
   const currentProvider = document.getElementById('llm-provider')?.value;
   if (!currentProvider || !statuses[currentProvider]) return;
 
   const keyItems = document.querySelectorAll('.api-key-item');
   const providerStatuses = statuses[currentProvider];
+  const providerCooldowns = cooldowns[currentProvider] || [];
 
   keyItems.forEach((item, index) => {
     const statusIndicator = item.querySelector('.api-key-status');
     if (statusIndicator && index < providerStatuses.length) {
       const status = providerStatuses[index];
+      const cooldown = providerCooldowns[index] || 0;
       statusIndicator.className = `api-key-status ${status}`;
-      statusIndicator.title = `Status: ${status}`;
+      statusIndicator.title = cooldown > 0
+        ? `Status: ${status} (skipped for ${Math.ceil(cooldown / 1000)}s)`
+        : `Status: ${status}`;
     }
   });
 }
@@ -2317,6 +2943,20 @@ function attachSettingsModalEvents() {
         if (models.length === 0) {
           models = [{ id: 'embed-v4.0', name: 'Cohere Embed v4.0 (Default)' }];
         }
+      } else if (embeddingProvider === 'mock') {
+        // Feature-hashed vectors computed locally, see mock-provider.js
+        models = [{ id: 'mock-embedding', name: 'Mock Embeddings (offline)' }];
+      } else if (embeddingProvider === 'ollama') {
+        // Prefer pulled embedding models; any model can be tried if none look like one
+        const installed = state.modelConfigurations[embeddingProvider] || [];
+        const embedders = installed.filter(m => /embed|bge|e5|minilm|gte|arctic/i.test(m.id));
+        models = embedders.length > 0 ? embedders : installed;
+        if (models.length === 0) {
+          models = [{ id: 'nomic-embed-text', name: 'nomic-embed-text (pull it first)' }];
+        }
+      } else if (embeddingProvider === 'koboldcpp') {
+        // KoboldCpp embeds with whatever --embeddingsmodel it was started with
+        models = [{ id: 'koboldcpp', name: 'Loaded embeddings model' }];
       }
     }
     // Fallback if no models
@@ -2393,6 +3033,10 @@ function attachSettingsModalEvents() {
     });
   }
 
+  // Embedding index status and re-embedding
+  dom.settingsModal.querySelector('#reembed-memories-btn').addEventListener('click', startReembedMemories);
+  pollEmbeddingIndexStatus();
+
   // Change handlers
   dom.settingsModal.querySelector('#embedding-provider').addEventListener('change', populateEmbeddingModelOptions);
   dom.settingsModal.querySelector('#analysis-provider').addEventListener('change', populateAnalysisModelOptions);
@@ -2430,20 +3074,31 @@ function attachSettingsModalEvents() {
       tabContents.forEach(tab => {
         tab.classList.toggle('active', tab.id === `${tabId}-tab`);
       });
+      if (tabId === 'usage') loadUsageDashboard();
     });
   });
 
+  // Usage dashboard filters
+  dom.settingsModal.querySelector('#usage-days').addEventListener('change', loadUsageDashboard);
+  dom.settingsModal.querySelector('#usage-character').addEventListener('change', loadUsageDashboard);
+  dom.settingsModal.querySelector('#usage-refresh-btn').addEventListener('click', loadUsageDashboard);
+
   // Provider change event - updated for multiple API keys
   const providerSelect = dom.settingsModal.querySelector('#llm-provider');
   providerSelect.addEventListener('change', () => {
     const selectedProvider = providerSelect.value;
     const apiKeyList = dom.settingsModal.querySelector('#api-key-list');
     const apiKeyLabel = dom.settingsModal.querySelector('#api-keys-label');
+    const apiKeysGroup = dom.settingsModal.querySelector('#api-keys-group');
 
-    // Update the label
+    // Update the label; providers without API keys hide the key list
     if (apiKeyLabel) {
-      apiKeyLabel.textContent = `API Keys for ${selectedProvider.charAt(0).toUpperCase() + selectedProvider.slice(1)}`;
+      apiKeyLabel.textContent = `API Keys for ${getProviderLabel(selectedProvider)}`;
     }
+    if (apiKeysGroup) {
+      apiKeysGroup.style.display = getProviderInfo(selectedProvider)?.auth === 'none' ? 'none' : '';
+    }
+    dom.settingsModal.querySelector('#provider-auth-fields').innerHTML = renderProviderAuthFields(selectedProvider);
 
     // Update the API key list for the new provider
     apiKeyList.innerHTML = populateApiKeyList(selectedProvider);
@@ -2489,6 +3144,33 @@ function attachSettingsModalEvents() {
     });
   });
 
+  // Sampler presets
+  dom.settingsModal.querySelector('#save-sampler-preset-btn').addEventListener('click', saveSamplerPresetFromForm);
+  dom.settingsModal.querySelector('#delete-sampler-preset-btn').addEventListener('click', deleteSelectedSamplerPreset);
+
+  // Fallback route editor
+  const fallbackList = dom.settingsModal.querySelector('#fallback-routes-list');
+  fallbackList.addEventListener('click', (e) => {
+    if (e.target.closest('.remove-fallback-route-btn')) e.target.closest('.fallback-route').remove();
+  });
+  fallbackList.addEventListener('change', (e) => {
+    if (!e.target.classList.contains('fallback-route-provider')) return;
+    const modelInput = e.target.closest('.fallback-route').querySelector('.fallback-route-model');
+    modelInput.value = '';
+    modelInput.setAttribute('list', `fallback-models-${e.target.value}`);
+  });
+  dom.settingsModal.querySelector('#add-fallback-route-btn').addEventListener('click', () => {
+    fallbackList.insertAdjacentHTML('beforeend', renderFallbackRoute());
+  });
+
+  // OpenAI-compatible endpoint editor
+  const endpointList = dom.settingsModal.querySelector('#openai-compatible-list');
+  endpointList.querySelectorAll('.endpoint-card').forEach(bindOpenAICompatibleEndpoint);
+  dom.settingsModal.querySelector('#add-endpoint-btn').addEventListener('click', () => {
+    endpointList.insertAdjacentHTML('beforeend', renderOpenAICompatibleEndpoint());
+    bindOpenAICompatibleEndpoint(endpointList.lastElementChild);
+  });
+
   // Save button
   const saveBtn = dom.settingsModal.querySelector('#save-settings-btn');
   saveBtn.addEventListener('click', saveSettingsFromForm);
@@ -2521,6 +3203,9 @@ async function saveSettingsFromForm() {
     const temperature = temperatureEl ? parseFloat(temperatureEl.value) : 0.7;
     const topP = topPEl ? parseFloat(topPEl.value) : 0.9;
     const maxTokens = maxTokensEl ? parseInt(maxTokensEl.value) : 2048;
+    const samplerPreset = document.getElementById('sampler-preset')?.value || undefined;
+    const samplerFields = Object.fromEntries(EXTRA_SAMPLER_KEYS.map(key => [key, undefined]));
+    Object.assign(samplerFields, collectSamplerFields('sampler', EXTRA_SAMPLER_KEYS));
     const maxContextTokens = maxContextTokensEl ? parseInt(maxContextTokensEl.value) : 6000;
     const userName = userNameEl ? userNameEl.value.trim() : 'User';
     const userAvatarUrl = userAvatarUrlEl ? userAvatarUrlEl.value.trim() : '';
@@ -2539,6 +3224,30 @@ async function saveSettingsFromForm() {
     const recencyWeight = recencyWeightEl ? parseInt(recencyWeightEl.value) : 1;
     const emotionalWeight = emotionalWeightEl ? parseInt(emotionalWeightEl.value) : 10;
     const decisionWeight = decisionWeightEl ? parseInt(decisionWeightEl.value) : 8;
+    const similarityWeight = parseInt(document.getElementById('similarity-weight')?.value ?? 10);
+    const rerankWeight = parseInt(document.getElementById('rerank-weight')?.value ?? 8);
+    const importanceWeight = parseInt(document.getElementById('importance-weight')?.value ?? 5);
+    const recencyHalfLifeDays = parseFloat(document.getElementById('recency-half-life')?.value) || 14;
+
+    // Hybrid (keyword + embedding) search settings
+    const hybridSearchEl = document.getElementById('hybrid-search');
+    const hybridVectorWeightEl = document.getElementById('hybrid-vector-weight');
+    const hybridLexicalWeightEl = document.getElementById('hybrid-lexical-weight');
+    const hybridSearch = hybridSearchEl ? hybridSearchEl.checked : true;
+    const hybridWeights = {
+      vector: hybridVectorWeightEl ? parseFloat(hybridVectorWeightEl.value) : 1,
+      lexical: hybridLexicalWeightEl ? parseFloat(hybridLexicalWeightEl.value) : 1
+    };
+
+    // Consolidation settings; options without a control here are kept as they are
+    const consolidation = {
+      ...state.settings.memory?.consolidation,
+      enabled: document.getElementById('memory-consolidation')?.checked ?? true,
+      chapterSize: Math.max(2, parseInt(document.getElementById('chapter-size')?.value, 10) || 8)
+    };
+    const storySoFar = document.getElementById('story-so-far')?.checked ?? true;
+    const knownFacts = document.getElementById('known-facts')?.checked ?? true;
+    const relationshipContext = document.getElementById('relationship-context')?.checked ?? true;
 
     // Reranking settings with null checks
     const enableRerankingEl = document.getElementById('enable-reranking');
@@ -2546,7 +3255,7 @@ async function saveSettingsFromForm() {
     const jinaApiKeyEl = document.getElementById('jina-api-key');
 
     const enableReranking = enableRerankingEl ? enableRerankingEl.checked : false;
-    const rerankingProvider = rerankingProviderEl ? rerankingProviderEl.value : 'cohere';
+    const rerankingProvider = rerankingProviderEl ? rerankingProviderEl.value : 'local';
     const jinaApiKey = jinaApiKeyEl ? jinaApiKeyEl.value.trim() : '';
 
     // New memory creation setting
@@ -2568,6 +3277,11 @@ async function saveSettingsFromForm() {
 
     const embeddingProvider = embeddingProviderEl ? embeddingProviderEl.value : 'nvidia';
     const embeddingModel = embeddingModelEl ? embeddingModelEl.value.trim() : 'baai/bge-m3';
+    // Empty keeps the default chain (null), "none" disables fallback
+    const fallbackOrderText = (document.getElementById('embedding-fallback-order')?.value || '').trim().toLowerCase();
+    const embeddingFallbackOrder = fallbackOrderText === ''
+      ? null
+      : fallbackOrderText === 'none' ? [] : fallbackOrderText.split(',').map(name => name.trim()).filter(Boolean);
   // embeddingOutputDim removed – model decides dimension
     const queryEmbeddingMethod = queryEmbeddingMethodEl ? queryEmbeddingMethodEl.value : 'llm-summary';
     const analysisProvider = analysisProviderEl ? analysisProviderEl.value : 'gemini';
@@ -2609,6 +3323,8 @@ async function saveSettingsFromForm() {
       temperature,
       topP,
       maxTokens,
+      ...samplerFields,
+      samplerPreset,
       maxContextTokens,
       user: {
         name: userName,
@@ -2625,30 +3341,519 @@ async function saveSettingsFromForm() {
         historyMessageCount,
         embeddingProvider,
     embeddingModel,
+        embeddingFallbackOrder,
         queryEmbeddingMethod,
         analysisProvider,
         analysisModel,
         enableReranking,
         rerankingProvider,
+        hybridSearch,
+        hybridWeights,
+        consolidation,
+        storySoFar,
+        knownFacts,
+        relationshipContext,
+        recencyHalfLifeDays,
         weights: {
+          similarity: similarityWeight,
+          rerank: rerankWeight,
+          importance: importanceWeight,
           recency: recencyWeight,
           emotionalSignificance: emotionalWeight,
           decisionRelevance: decisionWeight
         }
       },
       stream,
-      turso
+      turso,
+      openaiCompatible: collectOpenAICompatibleEndpoints(),
+      fallbackRoutes: collectFallbackRoutes(),
+      usage: {
+        ...state.settings.usage,
+        quotas: parseUsageLines(document.getElementById('usage-quotas')?.value || '', ([dailyRequests, dailyTokens]) => ({ dailyRequests, dailyTokens })),
+        pricing: parseUsageLines(document.getElementById('usage-pricing')?.value || '', ([prompt, completion]) => ({ prompt, completion }))
+      },
+      ...collectProviderAuthFields(provider),
+      ollama: {
+        ...state.settings.ollama,
+        baseUrl: document.getElementById('ollama-base-url')?.value.trim() || ''
+      },
+      koboldcpp: {
+        ...state.settings.koboldcpp,
+        baseUrl: document.getElementById('koboldcpp-base-url')?.value.trim() || '',
+        promptFormat: document.getElementById('koboldcpp-prompt-format')?.value || 'chatml'
+      }
     };
     // Save settings as before
+    const previousEmbedding = `${state.settings.memory?.embeddingProvider}/${state.settings.memory?.embeddingModel}`;
     await saveSettings(settings);
+    // Endpoint changes alter the model lists served by /api/models
+    await loadModelConfigurations();
     dom.settingsModal.classList.remove('visible');
     showSuccessMessage('Settings saved successfully.');
+    // The server re-embeds stored memories when the embedding model changes
+    if (`${embeddingProvider}/${embeddingModel}` !== previousEmbedding) {
+      pollEmbeddingIndexStatus();
+    }
   } catch (error) {
     console.error('Error saving settings:', error);
     showErrorMessage('Failed to save settings.');
   }
 }
 
+// --- Embedding index (settings) ---
+
+let embeddingStatusTimer = null;
+let lastReembedStatus = null;
+
+function describeEmbeddingIndex(status) {
+  const job = status.job;
+  if (job?.status === 'running') {
+    return `Re-embedding with ${job.model}: ${job.done + job.failed} of ${job.total} done${job.failed ? ` (${job.failed} failed)` : ''}`;
+  }
+  const total = status.embeddings.reduce((sum, e) => sum + e.count, 0);
+  if (total === 0) return 'No memories stored yet.';
+  const models = status.embeddings
+    .map(e => `${e.model || 'unknown model'} (${e.dimension}d): ${e.count}`)
+    .join(', ');
+  const stale = status.stale > 0 ? ` ${status.stale} not embedded with ${status.target.model}.` : ' All up to date.';
+  return `${models}.${stale}`;
+}
+
+// Show the index status in the settings modal and keep polling while a job runs
+async function pollEmbeddingIndexStatus() {
+  clearTimeout(embeddingStatusTimer);
+  try {
+    const response = await makeRequest(`${API.EMBEDDINGS}/status`, {}, 10000, 1);
+    const status = await response.json();
+    const statusEl = document.getElementById('embedding-index-status');
+    if (statusEl) statusEl.textContent = describeEmbeddingIndex(status);
+    const reembedBtn = document.getElementById('reembed-memories-btn');
+    const running = status.job?.status === 'running' || status.job?.status === 'queued';
+    if (reembedBtn) reembedBtn.disabled = running || status.stale === 0;
+
+    if (running) {
+      embeddingStatusTimer = setTimeout(pollEmbeddingIndexStatus, 2000);
+    } else if ((lastReembedStatus === 'running' || lastReembedStatus === 'queued') && status.job) {
+      const { job } = status;
+      if (job.status === 'done') {
+        displayNotification(`✅ Re-embedded ${job.done} memories with ${job.model}${job.failed ? ` (${job.failed} failed)` : ''}`, job.failed ? 'info' : 'success');
+      } else if (job.status === 'failed') {
+        showErrorMessage(`Re-embedding stopped: ${job.error || 'embedding failed'}`);
+      }
+    }
+    lastReembedStatus = status.job?.status || null;
+  } catch (error) {
+    console.warn('Could not load embedding index status:', error);
+    const statusEl = document.getElementById('embedding-index-status');
+    if (statusEl) statusEl.textContent = 'Embedding status unavailable.';
+  }
+}
+
+async function startReembedMemories() {
+  try {
+    await makeRequest(`${API.EMBEDDINGS}/reembed`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({})
+    }, 10000, 0);
+    displayNotification('🔄 Re-embedding memories in the background...', 'info');
+    lastReembedStatus = 'running';
+    pollEmbeddingIndexStatus();
+  } catch (error) {
+    console.error('Error starting re-embedding:', error);
+    showErrorMessage('Failed to start re-embedding.');
+  }
+}
+
+// --- Usage dashboard (settings) ---
+
+// Quotas and prices are edited as "name = number, number" lines
+function parseUsageLines(text, toEntry) {
+  const entries = {};
+  text.split('\n').forEach(line => {
+    const separator = line.lastIndexOf('=');
+    if (separator <= 0) return;
+    const name = line.slice(0, separator).trim();
+    const numbers = line.slice(separator + 1).split(',').map(value => Math.max(0, parseFloat(value) || 0));
+    if (name) entries[name] = toEntry(numbers);
+  });
+  return entries;
+}
+
+function formatUsageQuotas(quotas = {}) {
+  return Object.entries(quotas || {}).map(([provider, quota]) => `${provider} = ${quota.dailyRequests || 0}, ${quota.dailyTokens || 0}`).join('\n');
+}
+
+function formatUsagePricing(pricing = {}) {
+  return Object.entries(pricing || {}).map(([name, price]) => `${name} = ${price.prompt || 0}, ${price.completion || 0}`).join('\n');
+}
+
+function formatCost(cost, unpriced = 0) {
+  const amount = `$${(cost || 0).toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+  return unpriced > 0 ? `${amount} (+${unpriced} unpriced)` : amount;
+}
+
+function renderUsageTable(title, firstColumn, rows, label) {
+  if (rows.length === 0) return '';
+  return `
+    <h4>${title}</h4>
+    <table class="usage-table">
+      <thead><tr><th>${firstColumn}</th><th>Requests</th><th>Errors</th><th>Tokens (in / out)</th><th>Latency</th><th>Cost</th></tr></thead>
+      <tbody>
+        ${rows.map(row => `
+          <tr>
+            <td>${label(row)}</td>
+            <td>${row.requests}</td>
+            <td>${row.errors}</td>
+            <td>${row.promptTokens.toLocaleString()} / ${row.completionTokens.toLocaleString()}</td>
+            <td>${(row.avgLatencyMs / 1000).toFixed(1)}s</td>
+            <td>${formatCost(row.cost, row.unpriced)}</td>
+          </tr>`).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+// Load /api/usage for the selected period and character into the Usage tab
+async function loadUsageDashboard() {
+  const container = document.getElementById('usage-dashboard');
+  if (!container) return;
+  const days = document.getElementById('usage-days')?.value || 30;
+  const character = document.getElementById('usage-character')?.value || '';
+  container.textContent = 'Loading usage...';
+  try {
+    const params = new URLSearchParams({ days });
+    if (character) params.set('character', character);
+    const response = await makeRequest(`${API.USAGE}?${params}`, {}, 15000, 1);
+    const report = await response.json();
+    if (report.totals.requests === 0) {
+      container.innerHTML = '<div class="empty-list">No requests recorded in this period.</div>';
+      return;
+    }
+    const { totals } = report;
+    const health = new Map((report.keyHealth || []).map(key => [`${key.provider} ${key.keyHash}`, key]));
+    container.innerHTML = `
+      <div class="usage-totals">
+        <div><strong>${totals.requests}</strong><small>requests</small></div>
+        <div><strong>${totals.errors}</strong><small>errors</small></div>
+        <div><strong>${(totals.promptTokens + totals.completionTokens).toLocaleString()}</strong><small>tokens (estimated)</small></div>
+        <div><strong>${formatCost(totals.cost, totals.unpriced)}</strong><small>estimated cost</small></div>
+      </div>
+      ${report.errorClasses.length ? `<small>Errors: ${report.errorClasses.map(entry => `${escapeFormValue(entry.errorClass)} ${entry.count}`).join(', ')}</small>` : ''}
+      ${renderUsageTable('Per Day', 'Day', [...report.daily].reverse(), row => row.day)}
+      ${character ? '' : renderUsageTable('Per Character', 'Character', report.characters, row => escapeFormValue(row.character || '(background)'))}
+      ${renderUsageTable('Per Model', 'Provider / Model', report.providers, row => `${escapeFormValue(getProviderLabel(row.provider))}${row.model ? ` / ${escapeFormValue(row.model)}` : ''}`)}
+      ${renderUsageTable('Per API Key', 'Key', report.keys, row => {
+        const key = health.get(`${row.provider} ${row.keyHash}`);
+        const badge = key ? ` <span class="api-key-status ${escapeFormValue(key.status)}" title="Status: ${escapeFormValue(key.status)}${key.cooldownRemainingMs > 0 ? ` (skipped for ${Math.ceil(key.cooldownRemainingMs / 1000)}s)` : ''}"></span>` : '';
+        return `${escapeFormValue(getProviderLabel(row.provider))} <code>${escapeFormValue(row.keyHash.slice(0, 8))}</code>${badge}`;
+      })}
+    `;
+  } catch (error) {
+    console.warn('Could not load usage:', error);
+    container.textContent = await getRequestErrorMessage(error, 'Usage unavailable.');
+  }
+}
+
+// --- OpenAI-compatible endpoints (settings) ---
+
+// Extra provider <option>s for the endpoints saved in settings
+// --- Provider registry (settings) ---
+
+function getProviderInfo(name) {
+  return (state.providers || []).find(provider => provider.name === name) || null;
+}
+
+function getProviderLabel(name) {
+  return getProviderInfo(name)?.label || (name.charAt(0).toUpperCase() + name.slice(1));
+}
+
+// Options for a provider <select>; analysis lists only providers usable for memory analysis
+function renderProviderOptions(selectedProvider, { analysis = false } = {}) {
+  return (state.providers || [])
+    .filter(provider => !analysis || provider.analysis)
+    .map(provider => `<option value="${escapeFormValue(provider.name)}" ${selectedProvider === provider.name ? 'selected' : ''}>${escapeFormValue(provider.label)}</option>`)
+    .join('');
+}
+
+// Extra auth fields a provider declares (plugins), stored in settings[provider]
+function renderProviderAuthFields(providerName) {
+  const provider = getProviderInfo(providerName);
+  if (!provider?.authFields?.length) return '';
+  const values = state.settings[providerName] || {};
+  return provider.authFields.map(field => `
+    <div class="form-group">
+      <label for="provider-field-${escapeFormValue(field.key)}">${escapeFormValue(field.label)}</label>
+      <input type="${field.secret ? 'password' : 'text'}" class="provider-auth-field" id="provider-field-${escapeFormValue(field.key)}"
+             data-key="${escapeFormValue(field.key)}" value="${escapeFormValue(values[field.key] ?? '')}">
+    </div>
+  `).join('');
+}
+
+function collectProviderAuthFields(providerName) {
+  const inputs = [...document.querySelectorAll('#provider-auth-fields .provider-auth-field')];
+  if (inputs.length === 0) return {};
+  const values = { ...(state.settings[providerName] || {}) };
+  inputs.forEach(input => { values[input.dataset.key] = input.value.trim(); });
+  return { [providerName]: values };
+}
+
+// --- Sampler settings ---
+
+// Sampler parameters beyond temperature, top-p and max tokens (see backend samplers.js)
+const EXTRA_SAMPLER_KEYS = ['topK', 'minP', 'repetitionPenalty', 'frequencyPenalty', 'presencePenalty', 'seed', 'stop', 'bannedTokens'];
+const SAMPLER_INPUTS = {
+  maxTokens: { label: 'Max Output Tokens', min: 1, step: 1 },
+  topK: { label: 'Top-K', min: 0, step: 1 },
+  minP: { label: 'Min-P', min: 0, max: 1, step: 0.01 },
+  repetitionPenalty: { label: 'Repetition Penalty', min: 0, max: 5, step: 0.05 },
+  frequencyPenalty: { label: 'Frequency Penalty', min: -2, max: 2, step: 0.05 },
+  presencePenalty: { label: 'Presence Penalty', min: -2, max: 2, step: 0.05 },
+  seed: { label: 'Seed', step: 1 },
+  stop: { label: 'Stop Sequences', list: true, placeholder: 'One per line' },
+  bannedTokens: { label: 'Banned Tokens', list: true, placeholder: 'One per line; numbers are token ids' }
+};
+const SAMPLER_KEYS = ['temperature', 'topP', ...Object.keys(SAMPLER_INPUTS)];
+
+function samplerFieldId(prefix, key) {
+  return `${prefix}-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+}
+
+function hasSamplerOverride(settingsOverride) {
+  return SAMPLER_KEYS.some(key => settingsOverride?.[key] !== undefined && settingsOverride?.[key] !== null);
+}
+
+// Inputs for sampler parameters; empty inputs mean "not set"
+function renderSamplerFields(prefix, values, keys) {
+  return keys.map(key => {
+    const input = SAMPLER_INPUTS[key];
+    const id = samplerFieldId(prefix, key);
+    const value = values[key];
+    if (input.list) {
+      return `
+        <div class="param-group">
+          <label for="${id}">${input.label}</label>
+          <textarea id="${id}" rows="2" placeholder="${input.placeholder}">${escapeFormValue((Array.isArray(value) ? value : value ? [value] : []).join('\n'))}</textarea>
+        </div>
+      `;
+    }
+    return `
+      <div class="param-group">
+        <label for="${id}">${input.label}</label>
+        <input type="number" id="${id}" step="${input.step}" ${input.min !== undefined ? `min="${input.min}"` : ''} ${input.max !== undefined ? `max="${input.max}"` : ''}
+               value="${escapeFormValue(value)}" placeholder="Default">
+      </div>
+    `;
+  }).join('');
+}
+
+// The filled-in sampler inputs as { key: value }; banned tokens that are whole numbers are token ids
+function collectSamplerFields(prefix, keys) {
+  const values = {};
+  keys.forEach(key => {
+    const element = document.getElementById(samplerFieldId(prefix, key));
+    if (!element) return;
+    if (SAMPLER_INPUTS[key].list) {
+      const lines = element.value.split('\n').map(line => (key === 'stop' ? line : line.trim())).filter(line => line.trim());
+      if (lines.length > 0) values[key] = key === 'bannedTokens' ? lines.map(line => (/^\d+$/.test(line) ? Number(line) : line)) : lines;
+    } else if (element.value.trim() !== '') {
+      values[key] = Number(element.value);
+    }
+  });
+  return values;
+}
+
+function renderSamplerPresetOptions(selected) {
+  return Object.keys(state.settings?.samplerPresets || {}).sort().map(name =>
+    `<option value="${escapeFormValue(name)}" ${selected === name ? 'selected' : ''}>${escapeFormValue(name)}</option>`
+  ).join('');
+}
+
+// Save the parameters in the settings form as a named preset and select it
+async function saveSamplerPresetFromForm() {
+  const select = document.getElementById('sampler-preset');
+  const name = prompt('Preset name:', select.value || '');
+  if (!name || !name.trim()) return;
+  const preset = {
+    temperature: parseFloat(document.getElementById('temperature').value),
+    topP: parseFloat(document.getElementById('top-p').value),
+    ...(document.getElementById('max-tokens').value ? { maxTokens: parseInt(document.getElementById('max-tokens').value) } : {}),
+    ...collectSamplerFields('sampler', EXTRA_SAMPLER_KEYS)
+  };
+  try {
+    const response = await makeRequest(`${API.SAMPLER_PRESETS}/${encodeURIComponent(name.trim())}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(preset)
+    }, 10000, 1);
+    const saved = await response.json();
+    state.settings.samplerPresets = { ...(state.settings.samplerPresets || {}), [saved.name]: saved.preset };
+    select.innerHTML = `<option value="">None</option>${renderSamplerPresetOptions(saved.name)}`;
+    showSuccessMessage(`Sampler preset '${saved.name}' saved.`);
+  } catch (error) {
+    console.error('Error saving sampler preset:', error);
+    showErrorMessage(await getRequestErrorMessage(error, 'Failed to save sampler preset.'));
+  }
+}
+
+async function deleteSelectedSamplerPreset() {
+  const select = document.getElementById('sampler-preset');
+  const name = select.value;
+  if (!name || !confirm(`Delete the sampler preset '${name}'?`)) return;
+  try {
+    await makeRequest(`${API.SAMPLER_PRESETS}/${encodeURIComponent(name)}`, { method: 'DELETE' }, 10000, 1);
+    const { [name]: removed, ...remaining } = state.settings.samplerPresets || {};
+    state.settings.samplerPresets = remaining;
+    if (state.settings.samplerPreset === name) delete state.settings.samplerPreset;
+    select.innerHTML = `<option value="">None</option>${renderSamplerPresetOptions('')}`;
+    showSuccessMessage(`Sampler preset '${name}' deleted.`);
+  } catch (error) {
+    console.error('Error deleting sampler preset:', error);
+    showErrorMessage(await getRequestErrorMessage(error, 'Failed to delete sampler preset.'));
+  }
+}
+
+// Model suggestions for the fallback route editor, one datalist per provider (from /api/models)
+function renderFallbackModelLists() {
+  return Object.entries(state.modelConfigurations || {}).map(([provider, models]) => `
+    <datalist id="fallback-models-${escapeFormValue(provider)}">
+      ${(models || []).map(model => `<option value="${escapeFormValue(model.id)}">${escapeFormValue(model.name || model.id)}</option>`).join('')}
+    </datalist>
+  `).join('');
+}
+
+// One row of the fallback route editor: a provider and an optional model
+function renderFallbackRoute(route = {}) {
+  const provider = route.provider || state.providers?.[0]?.name || '';
+  return `
+    <div class="fallback-route">
+      <select class="fallback-route-provider">
+        ${renderProviderOptions(provider)}
+        ${renderOpenAICompatibleOptions(provider)}
+      </select>
+      <input type="text" class="fallback-route-model" value="${escapeFormValue(route.model)}" placeholder="Default model"
+             list="fallback-models-${escapeFormValue(provider)}">
+      <button type="button" class="btn remove-fallback-route-btn">Remove</button>
+    </div>
+  `;
+}
+
+function collectFallbackRoutes() {
+  return [...dom.settingsModal.querySelectorAll('.fallback-route')]
+    .map(row => ({
+      provider: row.querySelector('.fallback-route-provider').value,
+      model: row.querySelector('.fallback-route-model').value.trim()
+    }))
+    .filter(route => route.provider);
+}
+
+function renderOpenAICompatibleOptions(selectedProvider) {
+  return (state.settings.openaiCompatible || []).map(endpoint => {
+    const value = `openai-compatible:${endpoint.id}`;
+    return `<option value="${escapeFormValue(value)}" ${selectedProvider === value ? 'selected' : ''}>${escapeFormValue(endpoint.name || endpoint.baseUrl)} (OpenAI-compatible)</option>`;
+  }).join('');
+}
+
+// Headers are edited as "Name: value" lines
+function parseHeaderLines(text) {
+  const headers = {};
+  text.split('\n').forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator <= 0) return;
+    const name = line.slice(0, separator).trim();
+    if (name) headers[name] = line.slice(separator + 1).trim();
+  });
+  return headers;
+}
+
+function renderOpenAICompatibleEndpoint(endpoint = {}) {
+  const headerLines = Object.entries(endpoint.headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+  return `
+    <div class="endpoint-card" data-id="${escapeFormValue(endpoint.id || '')}">
+      <div class="lore-entry-grid">
+        <div class="form-group">
+          <label>Name</label>
+          <input type="text" class="endpoint-name" value="${escapeFormValue(endpoint.name)}" placeholder="llama.cpp on my PC">
+        </div>
+        <div class="form-group">
+          <label>API Key (optional)</label>
+          <input type="password" class="endpoint-api-key" value="${escapeFormValue(endpoint.apiKey)}">
+        </div>
+      </div>
+      <div class="form-group">
+        <label>Base URL</label>
+        <input type="text" class="endpoint-base-url" value="${escapeFormValue(endpoint.baseUrl)}" placeholder="http://localhost:8080/v1">
+      </div>
+      <div class="form-group">
+        <label>Extra Headers</label>
+        <textarea class="endpoint-headers" rows="2" placeholder="X-Header: value">${escapeFormValue(headerLines)}</textarea>
+      </div>
+      <div class="form-group">
+        <label>Models</label>
+        <input type="text" class="endpoint-models" value="${escapeFormValue((endpoint.models || []).join(', '))}" placeholder="Fetched from /v1/models, or list them here">
+        <small class="endpoint-status">Models are discovered automatically; the ones listed here are used when the server is offline.</small>
+      </div>
+      <div class="lore-entry-flags">
+        <span class="lore-entry-actions">
+          <button type="button" class="btn secondary fetch-models-btn">Fetch Models</button>
+          <button type="button" class="btn remove-endpoint-btn">Remove</button>
+        </span>
+      </div>
+    </div>
+  `;
+}
+
+function bindOpenAICompatibleEndpoint(element) {
+  element.querySelector('.remove-endpoint-btn').addEventListener('click', () => element.remove());
+  element.querySelector('.fetch-models-btn').addEventListener('click', async () => {
+    const status = element.querySelector('.endpoint-status');
+    status.textContent = 'Contacting server...';
+    try {
+      const response = await makeRequest('/api/openai-compatible/models', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          baseUrl: element.querySelector('.endpoint-base-url').value.trim(),
+          apiKey: element.querySelector('.endpoint-api-key').value.trim(),
+          headers: parseHeaderLines(element.querySelector('.endpoint-headers').value)
+        })
+      }, 15000, 0);
+      const models = await response.json();
+      element.querySelector('.endpoint-models').value = models.map(model => model.id).join(', ');
+      status.textContent = `Found ${models.length} model${models.length === 1 ? '' : 's'}.`;
+    } catch (error) {
+      status.textContent = await getRequestErrorMessage(error, 'Could not reach the server.');
+    }
+  });
+}
+
+// Read the endpoint cards back into settings.openaiCompatible. New endpoints get an id from their name.
+function collectOpenAICompatibleEndpoints() {
+  const endpoints = [];
+  dom.settingsModal.querySelectorAll('.endpoint-card').forEach(card => {
+    const baseUrl = card.querySelector('.endpoint-base-url').value.trim();
+    if (!baseUrl) return;
+    const name = card.querySelector('.endpoint-name').value.trim() || baseUrl;
+    let id = card.dataset.id;
+    if (!id) {
+      const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'endpoint';
+      id = slug;
+      for (let n = 2; endpoints.some(e => e.id === id) || (state.settings.openaiCompatible || []).some(e => e.id === id); n++) {
+        id = `${slug}-${n}`;
+      }
+    }
+    endpoints.push({
+      id,
+      name,
+      baseUrl,
+      apiKey: card.querySelector('.endpoint-api-key').value.trim(),
+      headers: parseHeaderLines(card.querySelector('.endpoint-headers').value),
+      models: card.querySelector('.endpoint-models').value.split(',').map(model => model.trim()).filter(Boolean)
+    });
+  });
+  return endpoints;
+}
+
 // Apply selected theme (data-theme) + legacy class for back-compat
 function applyTheme(theme) {
   const normalized = ThemeManager.normalize(theme);
@@ -2687,10 +3892,11 @@ function setupEventListeners() {
 
   // Clear chat button
   dom.clearChatBtn.addEventListener('click', async () => {
-    if (!state.activeCharacter) return;
+    const activeChat = state.activeCharacter || state.activeGroup;
+    if (!activeChat) return;
     const confirmed = await showConfirm({
       title: 'Clear Chat History',
-      message: `Clear all messages for '${state.activeCharacter.name}'? The first system/intro message may be preserved depending on backend logic.`,
+      message: `Clear all messages for '${activeChat.name}'? The first system/intro message may be preserved depending on backend logic.`,
       confirmText: 'Clear Chat'
     });
     if (confirmed) clearChatHistory();
@@ -2733,56 +3939,714 @@ function setupEventListeners() {
     });
   }
 
-  // Close dropdown when clicking outside
-  document.addEventListener('click', (e) => {
-    if (dom.chatToolsMenu && dom.chatToolsMenu.classList.contains('visible') && !dom.chatToolsMenu.contains(e.target) && e.target !== dom.chatToolsToggle) {
-      dom.chatToolsMenu.classList.remove('visible');
+  // Close dropdown when clicking outside
+  document.addEventListener('click', (e) => {
+    if (dom.chatToolsMenu && dom.chatToolsMenu.classList.contains('visible') && !dom.chatToolsMenu.contains(e.target) && e.target !== dom.chatToolsToggle) {
+      dom.chatToolsMenu.classList.remove('visible');
+    }
+  });
+
+  // Emoji button
+  dom.emojiBtn.addEventListener('click', (e) => {
+    e.stopPropagation(); // Prevent document click handler
+    toggleEmojiPicker();
+  });
+
+  // Regenerate button
+  dom.regenBtn.addEventListener('click', regenerateResponse);
+
+  // Branch selector and branch tools
+  if (dom.branchSelect) {
+    dom.branchSelect.addEventListener('change', () => switchBranch(dom.branchSelect.value));
+  }
+  if (dom.renameBranchBtn) {
+    dom.renameBranchBtn.addEventListener('click', renameActiveBranch);
+  }
+  if (dom.deleteBranchBtn) {
+    dom.deleteBranchBtn.addEventListener('click', deleteActiveBranch);
+  }
+  // Group chat controls
+  if (dom.createGroupBtn) {
+    dom.createGroupBtn.addEventListener('click', () => showGroupModal());
+  }
+  if (dom.editGroupBtn) {
+    dom.editGroupBtn.addEventListener('click', () => {
+      if (state.activeGroup) showGroupModal(state.activeGroup);
+    });
+  }
+  if (dom.nextSpeakerBtn) {
+    dom.nextSpeakerBtn.addEventListener('click', () => sendGroupMessage({ continueScene: true }));
+  }
+  // Memory view button
+  dom.memoryViewBtn.addEventListener('click', loadAndDisplayMemories);
+
+  // Recycle memory button
+  dom.recycleMemoryBtn.addEventListener('click', recycleMemories);
+
+  // Close memory panel when clicking outside
+  document.addEventListener('click', (e) => {
+    if (dom.memoryPanel.classList.contains('visible') &&
+      !dom.memoryPanel.contains(e.target) &&
+      e.target !== dom.memoryViewBtn) {
+      dom.memoryPanel.classList.remove('visible');
+    }
+  });
+
+  // Mobile back button from chat to character list
+  const mobileBackBtn = document.getElementById('mobile-back-btn');
+  if (mobileBackBtn) {
+    mobileBackBtn.addEventListener('click', () => {
+      document.body.classList.remove('mobile-chat-active', 'group-chat-active');
+      state.activeCharacter = null; // Allow re-selection
+      state.activeGroup = null;
+      renderCharacterList();
+      renderGroupList();
+    });
+  }
+
+  // Desktop sidebar toggle (always bind; CSS/markup controls visibility)
+  if (dom.desktopSidebarToggle) {
+    dom.desktopSidebarToggle.addEventListener('click', () => {
+      const container = document.querySelector('.app-container');
+      container.classList.toggle('sidebar-collapsed');
+      const isCollapsed = container.classList.contains('sidebar-collapsed');
+      localStorage.setItem('sidebarCollapsed', isCollapsed);
+      // Reflect state for assistive tech
+      dom.desktopSidebarToggle.setAttribute('aria-pressed', isCollapsed ? 'true' : 'false');
+    });
+  }
+}
+
+// --- Group chats ---
+
+// Chat endpoint for whatever conversation is open (a character or a group)
+function getActiveChatUrl() {
+  if (state.activeGroup) return `${API.GROUPS}/${state.activeGroup.id}/chat`;
+  if (state.activeCharacter) return `${API.CHAT}/${encodeURIComponent(state.activeCharacter.name)}`;
+  return null;
+}
+
+// Load group chats for the sidebar
+async function loadGroups() {
+  try {
+    const response = await makeRequest(API.GROUPS, {}, 10000, 1);
+    const groups = await response.json();
+    state.groups = Array.isArray(groups) ? groups : [];
+  } catch (error) {
+    console.error('Error loading group chats:', error);
+    state.groups = [];
+  }
+  renderGroupList();
+  return state.groups;
+}
+
+// Render the group list in the sidebar
+function renderGroupList() {
+  if (!dom.groupList) return;
+  dom.groupList.innerHTML = '';
+
+  if (state.groups.length === 0) {
+    dom.groupList.innerHTML = '<div class="empty-list">No group chats yet.</div>';
+    return;
+  }
+
+  state.groups.forEach(group => {
+    const card = document.createElement('div');
+    card.className = `character-card group-card ${state.activeGroup?.id === group.id ? 'active' : ''}`;
+    card.dataset.groupId = group.id;
+
+    // Stack the first few member avatars
+    const avatars = document.createElement('div');
+    avatars.className = 'group-avatars';
+    group.members.slice(0, 3).forEach(memberName => {
+      const member = state.characters.find(c => c.name === memberName);
+      const img = document.createElement('img');
+      img.src = member?.avatarUrl || 'assets/default-avatar.svg';
+      img.alt = memberName;
+      img.onerror = () => { img.src = 'assets/default-avatar.svg'; };
+      avatars.appendChild(img);
+    });
+
+    const info = document.createElement('div');
+    info.className = 'character-info';
+    const nameDiv = document.createElement('div');
+    nameDiv.className = 'character-name';
+    nameDiv.textContent = group.name;
+    const membersDiv = document.createElement('div');
+    membersDiv.className = 'group-members';
+    membersDiv.textContent = group.members.join(', ');
+    info.appendChild(nameDiv);
+    info.appendChild(membersDiv);
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn icon-btn delete-character-btn';
+    deleteBtn.title = 'Delete Group';
+    deleteBtn.innerHTML = '<i class="ri-delete-bin-line"></i>';
+    deleteBtn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const confirmed = await showConfirm({
+        title: 'Delete Group',
+        message: `Delete group '${group.name}' and its chat history? The characters themselves are kept.`,
+        confirmText: 'Delete',
+        confirmVariant: 'danger'
+      });
+      if (!confirmed) return;
+      try {
+        await makeRequest(`${API.GROUPS}/${group.id}`, { method: 'DELETE' }, 10000, 1);
+        state.groups = state.groups.filter(g => g.id !== group.id);
+        if (state.activeGroup?.id === group.id) {
+          state.activeGroup = null;
+          document.body.classList.remove('group-chat-active', 'mobile-chat-active');
+          dom.chatContainer.classList.add('hidden');
+          dom.welcomeScreen.classList.remove('hidden');
+        }
+        renderGroupList();
+        showSuccessMessage(`Group '${group.name}' deleted.`);
+      } catch (error) {
+        console.error('Error deleting group chat:', error);
+        showErrorMessage('Failed to delete group.');
+      }
+    });
+
+    card.appendChild(avatars);
+    card.appendChild(info);
+    card.appendChild(deleteBtn);
+    card.addEventListener('click', () => selectGroup(group.id));
+    dom.groupList.appendChild(card);
+  });
+}
+
+// Open a group chat
+async function selectGroup(groupId) {
+  try {
+    const group = state.groups.find(g => g.id === groupId);
+    if (!group) return;
+
+    state.activeGroup = group;
+    state.activeCharacter = null;
+    state.branches = [];
+    document.body.classList.add('group-chat-active');
+    if (dom.branchSelect) dom.branchSelect.classList.add('hidden');
+
+    dom.characterName.textContent = group.name;
+    const firstMember = state.characters.find(c => c.name === group.members[0]);
+    dom.characterAvatar.src = firstMember?.avatarUrl || 'assets/default-avatar.svg';
+    dom.characterAvatar.onerror = () => {
+      dom.characterAvatar.src = 'assets/default-avatar.svg';
+    };
+
+    document.querySelectorAll('.character-card').forEach(card => {
+      card.classList.toggle('active', card.dataset.groupId === String(groupId));
+    });
+
+    dom.welcomeScreen.classList.add('hidden');
+    dom.chatContainer.classList.remove('hidden');
+
+    if (isMobile()) {
+      document.body.classList.add('mobile-chat-active');
+      dom.sidebar.classList.remove('expanded');
+    }
+
+    await loadGroupChatHistory();
+    renderChatHistory();
+    scrollToBottom();
+  } catch (error) {
+    console.error('Error selecting group chat:', error);
+    displayToast('Failed to load group chat.', 'error');
+  }
+}
+
+// Load the history of the active group
+async function loadGroupChatHistory() {
+  if (!state.activeGroup) return [];
+
+  try {
+    const response = await makeRequest(getActiveChatUrl(), {}, 10000, 1);
+    const history = await response.json();
+    state.chatHistory = Array.isArray(history) ? history : [];
+  } catch (error) {
+    console.error('Error loading group chat history:', error);
+    state.chatHistory = [];
+  }
+  return state.chatHistory;
+}
+
+// Take a group turn. With text in the input the user speaks first; otherwise the
+// next character (chosen by the group's speaker strategy) continues the scene.
+async function sendGroupMessage({ continueScene = false } = {}) {
+  const message = continueScene ? '' : dom.messageInput.value.trim();
+  if (!state.activeGroup || state.isGenerating || (!message && !continueScene)) return;
+
+  try {
+    if (message) {
+      state.chatHistory.push({ role: 'user', content: message, timestamp: Date.now() });
+      renderChatHistory();
+      dom.messageInput.value = '';
+    }
+    state.isGenerating = true;
+    addGeneratingIndicator();
+
+    const response = await makeRequest(getActiveChatUrl(), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message, settings: state.settings })
+    }, 600000, 0);
+    const data = await response.json();
+    removeGeneratingIndicator();
+
+    if (!data.response || typeof data.response !== 'string') {
+      throw new Error('Invalid response from server');
+    }
+    state.chatHistory = Array.isArray(data.history) ? data.history : state.chatHistory;
+    state.activeGroup.lastSpeaker = data.speaker;
+    renderChatHistory();
+    notifyFallbackRoute(data.route);
+  } catch (error) {
+    removeGeneratingIndicator();
+    if (error.response?.status === 499) {
+      // Cancelled: the server saved nothing for this turn
+      await loadGroupChatHistory();
+      renderChatHistory();
+      return;
+    }
+    console.error('Error sending group message:', error);
+
+    let errorMessage = 'Failed to generate response. Please check the server logs.';
+    if (error.response) {
+      try {
+        const errorData = await error.response.json();
+        if (errorData.error) errorMessage = errorData.error;
+      } catch (parseError) {
+        errorMessage = `Request failed with status: ${error.response.status}. Please try again.`;
+      }
+    }
+    // Shown in the chat only; the backend already kept the user's message if it got that far
+    state.chatHistory.push({ role: 'assistant', content: errorMessage, failed: true });
+    renderChatHistory();
+  } finally {
+    state.isGenerating = false;
+    state.currentAbortController = null;
+  }
+}
+
+// Show the group create/edit modal
+function showGroupModal(group = null) {
+  const isEditing = !!group;
+  if (state.characters.length < 2) {
+    showErrorMessage('Create at least two characters before starting a group chat.');
+    return;
+  }
+
+  const memberOptions = state.characters.map(character => `
+    <label class="group-member-option">
+      <input type="checkbox" value="${character.name}" ${group?.members.includes(character.name) ? 'checked' : ''}>
+      <img src="${character.avatarUrl || 'assets/default-avatar.svg'}" alt="" onerror="this.src='assets/default-avatar.svg'">
+      <span>${character.name}</span>
+    </label>
+  `).join('');
+  const strategy = group?.speakerStrategy || 'round-robin';
+
+  dom.characterModal.innerHTML = `
+    <div class="modal-content">
+      <div class="modal-header">
+        <h2>${isEditing ? 'Edit Group' : 'Create Group Chat'}</h2>
+        <button class="close-btn">&times;</button>
+      </div>
+      <div class="modal-body">
+        <form id="group-form">
+          <div class="form-group">
+            <label for="group-name">Name</label>
+            <input type="text" id="group-name" required value="${group?.name || ''}">
+          </div>
+
+          <div class="form-group">
+            <label>Members</label>
+            <div class="group-member-list">${memberOptions}</div>
+            <small>Pick at least two characters. Order decides round-robin turns.</small>
+          </div>
+
+          <div class="form-group">
+            <label for="group-strategy">Who speaks next</label>
+            <select id="group-strategy">
+              <option value="round-robin" ${strategy === 'round-robin' ? 'selected' : ''}>Round robin</option>
+              <option value="mention" ${strategy === 'mention' ? 'selected' : ''}>Whoever is mentioned</option>
+              <option value="llm" ${strategy === 'llm' ? 'selected' : ''}>Let the model decide</option>
+            </select>
+          </div>
+
+          <div class="form-group">
+            <label for="group-scenario">Scenario</label>
+            <textarea id="group-scenario" rows="3">${group?.scenario || ''}</textarea>
+          </div>
+        </form>
+      </div>
+      <div class="modal-footer">
+        <button type="button" class="btn secondary" id="cancel-btn">Cancel</button>
+        <button type="button" class="btn primary" id="save-group-btn">Save Group</button>
+      </div>
+    </div>
+  `;
+
+  dom.characterModal.classList.add('visible');
+  const close = () => dom.characterModal.classList.remove('visible');
+  dom.characterModal.querySelector('.close-btn').addEventListener('click', close);
+  dom.characterModal.querySelector('#cancel-btn').addEventListener('click', close);
+  dom.characterModal.querySelector('#save-group-btn').addEventListener('click', () => saveGroup(group));
+}
+
+// Save the group form
+async function saveGroup(existingGroup = null) {
+  const name = dom.characterModal.querySelector('#group-name').value.trim();
+  const members = [...dom.characterModal.querySelectorAll('.group-member-list input:checked')].map(input => input.value);
+  const speakerStrategy = dom.characterModal.querySelector('#group-strategy').value;
+  const scenario = dom.characterModal.querySelector('#group-scenario').value.trim();
+
+  if (!name) {
+    showErrorMessage('Group name is required.');
+    return;
+  }
+  if (members.length < 2) {
+    showErrorMessage('Pick at least two members.');
+    return;
+  }
+
+  try {
+    const url = existingGroup ? `${API.GROUPS}/${existingGroup.id}` : API.GROUPS;
+    const response = await makeRequest(url, {
+      method: existingGroup ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, members, speakerStrategy, scenario })
+    }, 10000, 0);
+    const saved = await response.json();
+
+    dom.characterModal.classList.remove('visible');
+    await loadGroups();
+    showSuccessMessage(`Group '${saved.name}' ${existingGroup ? 'updated' : 'created'}.`);
+    await selectGroup(saved.id);
+  } catch (error) {
+    console.error('Error saving group chat:', error);
+    let errorMessage = 'Failed to save group.';
+    if (error.response) {
+      const data = await error.response.json().catch(() => ({}));
+      if (data.error) errorMessage = data.error;
+    }
+    showErrorMessage(errorMessage);
+  }
+}
+
+// --- Lorebooks (world info) ---
+
+// Lore text goes into form fields, so quotes and angle brackets must survive the template
+function escapeFormValue(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Read the error message from a failed makeRequest, if the server sent one
+async function getRequestErrorMessage(error, fallback) {
+  if (error.response) {
+    const data = await error.response.json().catch(() => ({}));
+    if (data.error) return data.error;
+  }
+  return fallback;
+}
+
+// Show the list of lorebooks
+async function showLorebookModal() {
+  let lorebooks = [];
+  try {
+    const response = await makeRequest(API.LOREBOOKS);
+    lorebooks = await response.json();
+  } catch (error) {
+    console.error('Error loading lorebooks:', error);
+    showErrorMessage('Failed to load lorebooks.');
+    return;
+  }
+
+  const rows = lorebooks.length === 0
+    ? '<div class="empty-list">No lorebooks yet. Lore entries are added to the prompt when their keywords come up in the chat.</div>'
+    : lorebooks.map(book => `
+      <div class="lorebook-row ${book.enabled ? '' : 'disabled'}" data-id="${book.id}">
+        <div class="lorebook-info">
+          <span class="lorebook-name">${escapeFormValue(book.name)}</span>
+          <small>${book.characterName ? escapeFormValue(book.characterName) : 'Global'} · ${book.entryCount} ${book.entryCount === 1 ? 'entry' : 'entries'}${book.enabled ? '' : ' · disabled'}</small>
+        </div>
+        <button type="button" class="btn icon-btn edit-lorebook-btn" title="Edit"><i class="ri-edit-line"></i></button>
+        <button type="button" class="btn icon-btn delete-lorebook-btn" title="Delete"><i class="ri-delete-bin-line"></i></button>
+      </div>
+    `).join('');
+
+  dom.characterModal.innerHTML = `
+    <div class="modal-content">
+      <div class="modal-header">
+        <h2>World Info</h2>
+        <button class="close-btn">&times;</button>
+      </div>
+      <div class="modal-body">
+        <div class="lorebook-list">${rows}</div>
+      </div>
+      <div class="modal-footer">
+        <button type="button" class="btn secondary" id="cancel-btn">Close</button>
+        <button type="button" class="btn primary" id="new-lorebook-btn">New Lorebook</button>
+      </div>
+    </div>
+  `;
+
+  dom.characterModal.classList.add('visible');
+  const close = () => dom.characterModal.classList.remove('visible');
+  dom.characterModal.querySelector('.close-btn').addEventListener('click', close);
+  dom.characterModal.querySelector('#cancel-btn').addEventListener('click', close);
+  dom.characterModal.querySelector('#new-lorebook-btn').addEventListener('click', () => showLorebookEditor(null));
+  dom.characterModal.querySelectorAll('.lorebook-row').forEach(row => {
+    const book = lorebooks.find(b => b.id === parseInt(row.dataset.id, 10));
+    row.querySelector('.edit-lorebook-btn').addEventListener('click', () => showLorebookEditor(book.id));
+    row.querySelector('.delete-lorebook-btn').addEventListener('click', async () => {
+      const ok = await showConfirm({
+        title: 'Delete Lorebook',
+        message: `Delete '${book.name}' and all of its entries?`,
+        confirmText: 'Delete',
+        cancelText: 'Cancel',
+        confirmVariant: 'danger'
+      });
+      if (!ok) return;
+      try {
+        await makeRequest(`${API.LOREBOOKS}/${book.id}`, { method: 'DELETE' }, 10000, 0);
+        showSuccessMessage(`Lorebook '${book.name}' deleted.`);
+        showLorebookModal();
+      } catch (error) {
+        console.error('Error deleting lorebook:', error);
+        showErrorMessage(await getRequestErrorMessage(error, 'Failed to delete lorebook.'));
+      }
+    });
+  });
+}
+
+// Markup for one entry card in the lorebook editor
+function renderLoreEntryForm(entry = {}) {
+  const list = keys => escapeFormValue((keys || []).join(', '));
+  return `
+    <div class="lore-entry" data-id="${entry.id || ''}">
+      <div class="lore-entry-grid">
+        <div class="form-group">
+          <label>Title</label>
+          <input type="text" class="lore-comment" value="${escapeFormValue(entry.comment)}" placeholder="Optional note">
+        </div>
+        <div class="form-group">
+          <label>Order</label>
+          <input type="number" class="lore-order" value="${entry.insertionOrder ?? 100}">
+        </div>
+      </div>
+      <div class="form-group">
+        <label>Keys</label>
+        <input type="text" class="lore-keys" value="${list(entry.keys)}" placeholder="dragon, Mount Ash">
+      </div>
+      <div class="lore-entry-grid">
+        <div class="form-group">
+          <label>Secondary keys</label>
+          <input type="text" class="lore-secondary-keys" value="${list(entry.secondaryKeys)}" placeholder="One of these must also appear">
+        </div>
+        <div class="form-group">
+          <label>Regex keys</label>
+          <input type="text" class="lore-regex-keys" value="${list(entry.regexKeys)}" placeholder="/dragons?/i">
+        </div>
+      </div>
+      <div class="form-group">
+        <label>Content</label>
+        <textarea class="lore-content" rows="3">${escapeFormValue(entry.content)}</textarea>
+      </div>
+      <div class="lore-entry-flags">
+        <label><input type="checkbox" class="lore-enabled" ${entry.enabled === false ? '' : 'checked'}> Enabled</label>
+        <label><input type="checkbox" class="lore-constant" ${entry.constant ? 'checked' : ''}> Always include</label>
+        <label><input type="checkbox" class="lore-case-sensitive" ${entry.caseSensitive ? 'checked' : ''}> Case sensitive</label>
+        <label><input type="checkbox" class="lore-exclude-recursion" ${entry.excludeRecursion ? 'checked' : ''}> No recursion</label>
+        <span class="lore-entry-actions">
+          <button type="button" class="btn secondary save-entry-btn">Save Entry</button>
+          <button type="button" class="btn icon-btn delete-entry-btn" title="Delete entry"><i class="ri-delete-bin-line"></i></button>
+        </span>
+      </div>
+    </div>
+  `;
+}
+
+// Wire up the save/delete buttons of an entry card
+function bindLoreEntryForm(lorebookId, element) {
+  const value = selector => element.querySelector(selector).value;
+  const checked = selector => element.querySelector(selector).checked;
+  const toKeys = text => text.split(',').map(key => key.trim()).filter(Boolean);
+
+  element.querySelector('.save-entry-btn').addEventListener('click', async () => {
+    const content = value('.lore-content').trim();
+    if (!content) {
+      showErrorMessage('Entry content is required.');
+      return;
+    }
+    const entryId = element.dataset.id;
+    try {
+      const response = await makeRequest(entryId ? `${API.LOREBOOKS}/${lorebookId}/entries/${entryId}` : `${API.LOREBOOKS}/${lorebookId}/entries`, {
+        method: entryId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          comment: value('.lore-comment').trim(),
+          keys: toKeys(value('.lore-keys')),
+          secondaryKeys: toKeys(value('.lore-secondary-keys')),
+          regexKeys: toKeys(value('.lore-regex-keys')),
+          content,
+          insertionOrder: parseInt(value('.lore-order'), 10) || 0,
+          enabled: checked('.lore-enabled'),
+          constant: checked('.lore-constant'),
+          caseSensitive: checked('.lore-case-sensitive'),
+          excludeRecursion: checked('.lore-exclude-recursion')
+        })
+      }, 10000, 0);
+      const saved = await response.json();
+      element.dataset.id = saved.id;
+      showSuccessMessage('Entry saved.');
+    } catch (error) {
+      console.error('Error saving lore entry:', error);
+      showErrorMessage(await getRequestErrorMessage(error, 'Failed to save entry.'));
     }
   });
 
-  // Emoji button
-  dom.emojiBtn.addEventListener('click', (e) => {
-    e.stopPropagation(); // Prevent document click handler
-    toggleEmojiPicker();
+  element.querySelector('.delete-entry-btn').addEventListener('click', async () => {
+    const entryId = element.dataset.id;
+    if (entryId) {
+      const ok = await showConfirm({ title: 'Delete Entry', message: 'Delete this lore entry?', confirmText: 'Delete', cancelText: 'Cancel', confirmVariant: 'danger' });
+      if (!ok) return;
+      try {
+        await makeRequest(`${API.LOREBOOKS}/${lorebookId}/entries/${entryId}`, { method: 'DELETE' }, 10000, 0);
+      } catch (error) {
+        console.error('Error deleting lore entry:', error);
+        showErrorMessage(await getRequestErrorMessage(error, 'Failed to delete entry.'));
+        return;
+      }
+    }
+    element.remove();
   });
+}
 
-  // Regenerate button
-  dom.regenBtn.addEventListener('click', regenerateResponse);
-  // Memory view button
-  dom.memoryViewBtn.addEventListener('click', loadAndDisplayMemories);
+// Create/edit a lorebook and its entries. New books are saved before entries can be added.
+async function showLorebookEditor(lorebookId = null) {
+  let book = null;
+  if (lorebookId) {
+    try {
+      const response = await makeRequest(`${API.LOREBOOKS}/${lorebookId}`);
+      book = await response.json();
+    } catch (error) {
+      console.error('Error loading lorebook:', error);
+      showErrorMessage('Failed to load lorebook.');
+      return;
+    }
+  }
 
-  // Recycle memory button
-  dom.recycleMemoryBtn.addEventListener('click', recycleMemories);
+  const scopeOptions = state.characters.map(character => `
+    <option value="${escapeFormValue(character.name)}" ${book?.characterName === character.name ? 'selected' : ''}>${escapeFormValue(character.name)}</option>
+  `).join('');
 
-  // Close memory panel when clicking outside
-  document.addEventListener('click', (e) => {
-    if (dom.memoryPanel.classList.contains('visible') &&
-      !dom.memoryPanel.contains(e.target) &&
-      e.target !== dom.memoryViewBtn) {
-      dom.memoryPanel.classList.remove('visible');
-    }
-  });
+  dom.characterModal.innerHTML = `
+    <div class="modal-content">
+      <div class="modal-header">
+        <h2>${book ? 'Edit Lorebook' : 'New Lorebook'}</h2>
+        <button class="close-btn">&times;</button>
+      </div>
+      <div class="modal-body">
+        <form id="lorebook-form">
+          <div class="lore-entry-grid">
+            <div class="form-group">
+              <label for="lorebook-name">Name</label>
+              <input type="text" id="lorebook-name" required value="${escapeFormValue(book?.name)}">
+            </div>
+            <div class="form-group">
+              <label for="lorebook-scope">Applies to</label>
+              <select id="lorebook-scope">
+                <option value="">All characters (global)</option>
+                ${scopeOptions}
+              </select>
+            </div>
+          </div>
+          <div class="form-group">
+            <label for="lorebook-description">Description</label>
+            <input type="text" id="lorebook-description" value="${escapeFormValue(book?.description)}">
+          </div>
+          <div class="lore-entry-grid">
+            <div class="form-group">
+              <label for="lorebook-scan-depth">Scan depth</label>
+              <input type="number" id="lorebook-scan-depth" min="0" value="${book?.scanDepth ?? 4}">
+              <small>How many recent messages are searched for keys.</small>
+            </div>
+            <div class="form-group">
+              <label for="lorebook-token-budget">Token budget</label>
+              <input type="number" id="lorebook-token-budget" min="0" value="${book?.tokenBudget ?? 500}">
+              <small>Maximum tokens of lore from this book per reply (0 = no limit).</small>
+            </div>
+          </div>
+          <div class="lore-entry-flags">
+            <label><input type="checkbox" id="lorebook-enabled" ${book?.enabled === false ? '' : 'checked'}> Enabled</label>
+            <label><input type="checkbox" id="lorebook-recursive" ${book?.recursiveScanning ? 'checked' : ''}> Recursive scanning (matched lore can trigger other entries)</label>
+          </div>
+        </form>
+        ${book ? `
+          <div class="lore-entries-header">
+            <h3>Entries</h3>
+            <button type="button" class="btn secondary" id="add-entry-btn"><i class="ri-add-line"></i> Add Entry</button>
+          </div>
+          <div class="lore-entries">${book.entries.map(renderLoreEntryForm).join('')}</div>
+        ` : '<small>Save the lorebook to start adding entries.</small>'}
+      </div>
+      <div class="modal-footer">
+        <button type="button" class="btn secondary" id="cancel-btn">Back</button>
+        <button type="button" class="btn primary" id="save-lorebook-btn">Save Lorebook</button>
+      </div>
+    </div>
+  `;
 
-  // Mobile back button from chat to character list
-  const mobileBackBtn = document.getElementById('mobile-back-btn');
-  if (mobileBackBtn) {
-    mobileBackBtn.addEventListener('click', () => {
-      document.body.classList.remove('mobile-chat-active');
-      state.activeCharacter = null; // Allow re-selection
-      renderCharacterList();
+  dom.characterModal.classList.add('visible');
+  dom.characterModal.querySelector('.close-btn').addEventListener('click', () => dom.characterModal.classList.remove('visible'));
+  dom.characterModal.querySelector('#cancel-btn').addEventListener('click', () => showLorebookModal());
+  dom.characterModal.querySelector('#save-lorebook-btn').addEventListener('click', () => saveLorebook(book));
+
+  if (book) {
+    const entriesEl = dom.characterModal.querySelector('.lore-entries');
+    entriesEl.querySelectorAll('.lore-entry').forEach(element => bindLoreEntryForm(book.id, element));
+    dom.characterModal.querySelector('#add-entry-btn').addEventListener('click', () => {
+      entriesEl.insertAdjacentHTML('beforeend', renderLoreEntryForm());
+      const element = entriesEl.lastElementChild;
+      bindLoreEntryForm(book.id, element);
+      element.querySelector('.lore-keys').focus();
     });
   }
+}
 
-  // Desktop sidebar toggle (always bind; CSS/markup controls visibility)
-  if (dom.desktopSidebarToggle) {
-    dom.desktopSidebarToggle.addEventListener('click', () => {
-      const container = document.querySelector('.app-container');
-      container.classList.toggle('sidebar-collapsed');
-      const isCollapsed = container.classList.contains('sidebar-collapsed');
-      localStorage.setItem('sidebarCollapsed', isCollapsed);
-      // Reflect state for assistive tech
-      dom.desktopSidebarToggle.setAttribute('aria-pressed', isCollapsed ? 'true' : 'false');
-    });
+// Save the lorebook settings form
+async function saveLorebook(existingBook = null) {
+  const form = dom.characterModal;
+  const name = form.querySelector('#lorebook-name').value.trim();
+  if (!name) {
+    showErrorMessage('Lorebook name is required.');
+    return;
+  }
+
+  const payload = {
+    name,
+    description: form.querySelector('#lorebook-description').value.trim(),
+    characterName: form.querySelector('#lorebook-scope').value || null,
+    scanDepth: parseInt(form.querySelector('#lorebook-scan-depth').value, 10) || 0,
+    tokenBudget: parseInt(form.querySelector('#lorebook-token-budget').value, 10) || 0,
+    enabled: form.querySelector('#lorebook-enabled').checked,
+    recursiveScanning: form.querySelector('#lorebook-recursive').checked
+  };
+
+  try {
+    const response = await makeRequest(existingBook ? `${API.LOREBOOKS}/${existingBook.id}` : API.LOREBOOKS, {
+      method: existingBook ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    }, 10000, 0);
+    const saved = await response.json();
+    showSuccessMessage(`Lorebook '${saved.name}' saved.`);
+    // A new book opens in the editor so entries can be added straight away
+    if (!existingBook) showLorebookEditor(saved.id);
+  } catch (error) {
+    console.error('Error saving lorebook:', error);
+    showErrorMessage(await getRequestErrorMessage(error, 'Failed to save lorebook.'));
   }
 }
 
@@ -2796,9 +4660,16 @@ function showSuccessMessage(message) {
   displayToast(message, 'success');
 }
 
+// Tell the user when a fallback route answered instead of the chosen provider
+function notifyFallbackRoute(route) {
+  if (!route?.fallback) return;
+  const failed = (route.failures || []).map(failure => getProviderLabel(failure.provider)).join(', ');
+  displayToast(`${failed || 'The chosen provider'} failed; answered by ${getProviderLabel(route.provider)}${route.model ? ` (${route.model})` : ''}.`, 'info');
+}
+
 // Insert a scene break into the chat
 function insertSceneBreak() {
-  if (!state.activeCharacter) return;
+  if (!state.activeCharacter && !state.activeGroup) return;
 
   state.chatHistory.push({ role: 'system', type: 'scene-break', timestamp: Date.now() });
   renderChatHistory();
@@ -2863,7 +4734,8 @@ function insertEmojiAtCursor(emoji) {
   textarea.focus(); // Maintain focus on textarea
 }
 
-// Regenerate the last AI response
+// Regenerate the last AI response. The new reply is added as another swipe on that
+// turn, so earlier replies stay available through the swipe controls.
 async function regenerateResponse() {
   // Cannot regenerate if there's no character selected or if already generating
   if (!state.activeCharacter || state.isGenerating) {
@@ -2877,41 +4749,26 @@ async function regenerateResponse() {
   }
 
   try {
-    // Find the last assistant message
-    let lastAssistantIndex = -1;
-    for (let i = state.chatHistory.length - 1; i >= 0; i--) {
-      if (state.chatHistory[i].role === 'assistant') {
-        lastAssistantIndex = i;
-        break;
-      }
+    // Failed replies only live in the UI; drop them so the backend sees the same last turn
+    let droppedFailed = false;
+    while (state.chatHistory.length && state.chatHistory[state.chatHistory.length - 1].failed) {
+      state.chatHistory.pop();
+      droppedFailed = true;
     }
+    if (droppedFailed) renderChatHistory();
 
-    if (lastAssistantIndex === -1) {
+    const lastIndex = state.chatHistory.length - 1;
+    const lastMessage = state.chatHistory[lastIndex];
+    if (!lastMessage || lastMessage.role !== 'assistant') {
       showErrorMessage('No assistant response to regenerate.');
       return;
     }
-
-    // Find the last user message before this assistant message
-    let lastUserMessage = null;
-    let lastUserIndex = -1;
-    for (let i = lastAssistantIndex - 1; i >= 0; i--) {
-      if (state.chatHistory[i].role === 'user') {
-        lastUserMessage = state.chatHistory[i].content;
-        lastUserIndex = i;
-        break;
-      }
-    }
-
-    if (!lastUserMessage) {
+    if (state.chatHistory[lastIndex - 1]?.role !== 'user') {
       showErrorMessage('No user message found to regenerate from.');
       return;
     }
 
-    // Extract and remove the last user + assistant messages for a clean regeneration
-    const userMessageContent = lastUserMessage;
-    state.chatHistory.splice(lastUserIndex, lastAssistantIndex - lastUserIndex + 1);
-    renderChatHistory();
-    // Persist updated history
+    // Persist any local edits before the backend regenerates from its copy
     await saveChatHistory();
 
     // Show generating indicator
@@ -2919,12 +4776,10 @@ async function regenerateResponse() {
     addGeneratingIndicator();
 
     // Send request to regenerate with timeout and retry logic
-    const response = await makeRequest(API.CHAT, {
+    const response = await makeRequest(`${API.CHAT}/${encodeURIComponent(state.activeCharacter.name)}/regenerate`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        characterName: state.activeCharacter.name,
-        message: userMessageContent,
         settings: state.settings
       })
     }, 300000, 1); // 5 minute timeout, 1 retry only (total max 10 minutes)
@@ -2932,18 +4787,17 @@ async function regenerateResponse() {
     const data = await response.json();
 
     // Validate response
-    if (!data.response || typeof data.response !== 'string') {
+    if (!data.response || typeof data.response !== 'string' || !Array.isArray(data.history)) {
       throw new Error('Invalid response from server');
     }
 
     // Remove generating indicator
     removeGeneratingIndicator();
-    // Re-add the user message and new assistant response
-    state.chatHistory.push({ role: 'user', content: userMessageContent });
-    state.chatHistory.push({ role: 'assistant', content: data.response });
+    // The backend returns the history with the new reply selected as the latest swipe
+    state.chatHistory = data.history;
     renderChatHistory();
-    // Save regenerated exchange
-    await saveChatHistory();
+    notifyFallbackRoute(data.route);
+    await loadBranches();
   } catch (error) {
     console.error('Error regenerating response:', error);
     removeGeneratingIndicator();
@@ -2956,7 +4810,12 @@ async function regenerateResponse() {
 
     // Show appropriate error message
     let errorMessage = 'Failed to regenerate response.';
-    if (error.name === 'AbortError') {
+    if (error.response) {
+      try {
+        const errorData = await error.response.json();
+        if (errorData.error) errorMessage = errorData.error;
+      } catch (parseError) { /* keep generic message */ }
+    } else if (error.name === 'AbortError') {
       errorMessage = 'Request timed out after 5 minutes. Please try again.';
     } else if (!connectionStatus.isConnected) {
       errorMessage = 'No connection to server. Please check your internet connection.';
@@ -2998,58 +4857,61 @@ async function recycleMemories() {
     dom.recycleMemoryBtn.disabled = true;
     dom.recycleMemoryBtn.innerHTML = '<i class="ri-loader-line rotating"></i>';
 
-    // Start polling for progress
-    const progressInterval = setInterval(async () => {
-      try {
-        const progressResponse = await fetch(`${API.MEMORIES}/${state.activeCharacter.name}/progress`);
-        const progress = await progressResponse.json();
-
-        if (progress && progress.step !== 'idle') {
-          let message = '';
-          switch (progress.step) {
-            case 'clearing':
-              message = '🗑️ Clearing existing memories...';
-              break;
-            case 'cleared':
-              message = '✅ Existing memories cleared';
-              break;
-            case 'processing':
-              message = `🧠 ${progress.message || 'Processing memories'} (${progress.current}/${progress.total})`;
-              break;
-            case 'waiting':
-              message = `⏱️ ${progress.message || 'Waiting between memory creation'}`;
-              break;
-            case 'finalizing':
-              message = '🔧 Finalizing memory storage...';
-              break;
-            case 'completed':
-              message = '✅ Memory recycling completed!';
-              clearInterval(progressInterval);
-              break;
-          }
-
-          if (message) {
-            displayNotification(message, 'info');
-          }
-        }
-      } catch (progressError) {
-        console.warn('Error fetching progress:', progressError);
-      }
-    }, 2000); // Poll every 2 seconds
-
+    // Recycling runs as a background job on the server
     const response = await fetch(`${API.MEMORIES}/${state.activeCharacter.name}/recycle`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' }
     });
+    const data = await response.json();
+    if (!response.ok || !data.job) {
+      showErrorMessage(data.error || 'Failed to recycle memories.');
+      return;
+    }
 
-    // Clear the progress polling
-    clearInterval(progressInterval);
+    // Poll the job until it finishes, showing each new step
+    let lastMessage = '';
+    let job = data.job;
+    while (job.status === 'queued' || job.status === 'running') {
+      await new Promise(resolve => setTimeout(resolve, 2000));
+      try {
+        const jobResponse = await fetch(`${API.JOBS}/${job.id}`);
+        if (jobResponse.ok) job = await jobResponse.json();
+      } catch (progressError) {
+        console.warn('Error fetching progress:', progressError);
+        continue;
+      }
 
-    const data = await response.json();
+      const progress = job.progress;
+      let message = '';
+      switch (progress?.step) {
+        case 'clearing':
+          message = '🗑️ Clearing existing memories...';
+          break;
+        case 'cleared':
+          message = '✅ Existing memories cleared';
+          break;
+        case 'processing':
+          message = `🧠 ${progress.message || 'Processing memories'} (${progress.current}/${progress.total})`;
+          break;
+        case 'waiting':
+          message = `⏱️ ${progress.message || 'Waiting between memory creation'}`;
+          break;
+        case 'finalizing':
+          message = '🔧 Finalizing memory storage...';
+          break;
+      }
+      if (job.status === 'queued' && job.attempts > 0) {
+        message = `⏳ Recycling failed (${job.error || 'unknown error'}), retrying shortly...`;
+      }
+      if (message && message !== lastMessage) {
+        displayNotification(message, 'info');
+        lastMessage = message;
+      }
+    }
 
-    if (data.success) {
+    if (job.status === 'completed') {
       displayNotification(
-        `✅ Memory recycling completed! Created ${data.memoriesCreated} new memories.`,
+        `✅ Memory recycling completed! Created ${job.result?.memoriesCreated || 0} new memories.`,
         'success'
       );
 
@@ -3058,7 +4920,7 @@ async function recycleMemories() {
         await loadAndDisplayMemories();
       }
     } else {
-      showErrorMessage(data.error || 'Failed to recycle memories.');
+      showErrorMessage(job.error || 'Failed to recycle memories.');
     }
 
   } catch (error) {
@@ -3084,60 +4946,284 @@ async function loadAndDisplayMemories() {
   memoryTimeline.innerHTML = '<div class="loading"><div class="spinner"></div><p>Loading memories...</p></div>';
 
 
-  // Helper to fetch and render memories with optional filter
-  async function fetchAndRenderMemories(filter = 'all') {
-    memoryTimeline.innerHTML = '<div class="loading"><div class="spinner"></div><p>Loading memories...</p></div>';
-    let url = `/api/memories/${encodeURIComponent(state.activeCharacter.name)}`;
-    if (filter !== 'all') url += `?filter=${encodeURIComponent(filter)}`;
-    const response = await fetch(url);
+  const MEMORY_PAGE_SIZE = 30;
+  const MEMORY_FILTERS = {
+    all: {},
+    important: { minImportance: 0.7 },
+    pinned: { pinned: 'true' },
+    manual: { type: 'manual' },
+    chapters: { type: 'chapter' },
+    arcs: { type: 'arc' },
+    recent: () => ({ since: Date.now() - 7 * 24 * 60 * 60 * 1000 })
+  };
+  let activeFilter = 'all';
+  let loaded = 0;
+  const memoriesUrl = `${API.MEMORIES}/${encodeURIComponent(state.activeCharacter.name)}`;
+
+  function memoryImportanceClass(importance) {
+    if (importance > 0.7) return 'importance-high';
+    if (importance < 0.4) return 'importance-low';
+    return 'importance-medium';
+  }
+
+  // Inline editor used both for new memories and for correcting existing ones
+  function openMemoryEditor(card, memory = null) {
+    card.innerHTML = '';
+    card.classList.add('editing');
+    const summaryInput = document.createElement('textarea');
+    summaryInput.className = 'edit-textarea';
+    summaryInput.rows = 4;
+    summaryInput.placeholder = 'What should the character remember?';
+    summaryInput.value = memory?.summary || '';
+    const importanceInput = document.createElement('input');
+    importanceInput.type = 'number';
+    importanceInput.min = '0';
+    importanceInput.max = '100';
+    importanceInput.step = '5';
+    importanceInput.value = String(Math.round((memory?.importance ?? 0.5) * 100));
+    importanceInput.title = 'Importance (0-100%)';
+    const topicsInput = document.createElement('input');
+    topicsInput.type = 'text';
+    topicsInput.placeholder = 'Topics, comma separated';
+    topicsInput.value = Array.isArray(memory?.topics) ? memory.topics.join(', ') : '';
+    const fields = document.createElement('div');
+    fields.className = 'memory-edit-fields';
+    fields.appendChild(importanceInput);
+    fields.appendChild(topicsInput);
+
+    const actions = document.createElement('div');
+    actions.className = 'edit-actions';
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'btn primary btn-sm';
+    saveBtn.textContent = 'Save';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'btn secondary btn-sm';
+    cancelBtn.textContent = 'Cancel';
+    actions.appendChild(saveBtn);
+    actions.appendChild(cancelBtn);
+
+    cancelBtn.onclick = () => {
+      if (memory) card.replaceWith(createMemoryCard(memory));
+      else card.remove();
+    };
+    saveBtn.onclick = async () => {
+      const summary = summaryInput.value.trim();
+      if (!summary) {
+        showErrorMessage('A memory needs a summary.');
+        return;
+      }
+      const body = {
+        summary,
+        importance: Math.min(Math.max(Number(importanceInput.value) || 0, 0), 100) / 100,
+        topics: topicsInput.value
+      };
+      saveBtn.disabled = true;
+      saveBtn.textContent = memory && summary !== memory.summary ? 'Re-embedding...' : 'Saving...';
+      try {
+        const response = await makeRequest(memory ? `${memoriesUrl}/${encodeURIComponent(memory.id)}` : memoriesUrl, {
+          method: memory ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        }, 60000, 0);
+        const saved = await response.json();
+        card.replaceWith(createMemoryCard(saved));
+        showSuccessMessage(memory ? 'Memory updated.' : 'Memory added.');
+      } catch (error) {
+        console.error('Error saving memory:', error);
+        showErrorMessage('Failed to save memory.');
+        saveBtn.disabled = false;
+        saveBtn.textContent = 'Save';
+      }
+    };
+
+    card.appendChild(summaryInput);
+    card.appendChild(fields);
+    card.appendChild(actions);
+    summaryInput.focus();
+  }
+
+  function createMemoryCard(memory) {
+    const memoryCard = document.createElement('div');
+    memoryCard.className = `memory-card${memory.pinned ? ' pinned' : ''}`;
+    memoryCard.dataset.memoryId = memory.id;
+    const formattedDate = new Date(memory.timestamp).toLocaleDateString(undefined, {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+    const header = document.createElement('div');
+    header.className = 'memory-card-header';
+    const timestamp = document.createElement('div');
+    timestamp.className = 'memory-timestamp';
+    timestamp.textContent = `${formattedDate}${memory.type && memory.type !== 'journal' ? ` · ${memory.type}` : ''}${memory.sourceCount ? ` of ${memory.sourceCount}` : ''}${memory.chapterId || memory.arcId ? ' · condensed' : ''}${memory.editedAt ? ' · edited' : ''}`;
+    const actions = document.createElement('div');
+    actions.className = 'memory-actions';
+    const pinBtn = document.createElement('button');
+    pinBtn.className = `btn icon-btn memory-action-btn${memory.pinned ? ' active' : ''}`;
+    pinBtn.innerHTML = memory.pinned ? '<i class="ri-pushpin-fill"></i>' : '<i class="ri-pushpin-line"></i>';
+    pinBtn.title = memory.pinned ? 'Unpin (stop always including this memory)' : 'Pin (always include this memory in the prompt)';
+    const editBtn = document.createElement('button');
+    editBtn.className = 'btn icon-btn memory-action-btn';
+    editBtn.innerHTML = '<i class="ri-pencil-line"></i>';
+    editBtn.title = 'Edit memory';
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn icon-btn memory-action-btn';
+    deleteBtn.innerHTML = '<i class="ri-delete-bin-line"></i>';
+    deleteBtn.title = 'Delete memory';
+    actions.appendChild(pinBtn);
+    actions.appendChild(editBtn);
+    actions.appendChild(deleteBtn);
+    header.appendChild(timestamp);
+    header.appendChild(actions);
+
+    const summary = document.createElement('div');
+    summary.className = 'memory-summary';
+    summary.textContent = memory.summary;
+    memoryCard.appendChild(header);
+    memoryCard.appendChild(summary);
+    if (Array.isArray(memory.topics) && memory.topics.length > 0) {
+      const details = document.createElement('div');
+      details.className = 'memory-details';
+      details.textContent = `Topics: ${memory.topics.join(', ')}`;
+      memoryCard.appendChild(details);
+    }
+    const importance = document.createElement('span');
+    importance.className = `memory-importance ${memoryImportanceClass(memory.importance)}`;
+    importance.textContent = `Importance: ${Math.round((memory.importance || 0) * 100)}%`;
+    memoryCard.appendChild(importance);
+
+    pinBtn.onclick = async () => {
+      try {
+        const response = await makeRequest(`${memoriesUrl}/${encodeURIComponent(memory.id)}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ pinned: !memory.pinned })
+        }, 15000, 0);
+        const updated = await response.json();
+        if (activeFilter === 'pinned' && !updated.pinned) memoryCard.remove();
+        else memoryCard.replaceWith(createMemoryCard(updated));
+      } catch (error) {
+        console.error('Error pinning memory:', error);
+        showErrorMessage('Failed to update memory.');
+      }
+    };
+    editBtn.onclick = () => openMemoryEditor(memoryCard, memory);
+    deleteBtn.onclick = async () => {
+      const confirmed = await showConfirm({
+        title: 'Delete Memory',
+        message: 'Delete this memory? The character will no longer recall it.',
+        confirmText: 'Delete',
+        confirmVariant: 'danger'
+      });
+      if (!confirmed) return;
+      try {
+        await makeRequest(`${memoriesUrl}/${encodeURIComponent(memory.id)}`, { method: 'DELETE' }, 15000, 0);
+        memoryCard.remove();
+      } catch (error) {
+        console.error('Error deleting memory:', error);
+        showErrorMessage('Failed to delete memory.');
+      }
+    };
+    return memoryCard;
+  }
+
+  // Fetch one page for the active filter; append=true adds the next page below the current one
+  async function fetchAndRenderMemories(append = false) {
+    if (!append) {
+      loaded = 0;
+      memoryTimeline.innerHTML = '<div class="loading"><div class="spinner"></div><p>Loading memories...</p></div>';
+    }
+    const filter = MEMORY_FILTERS[activeFilter];
+    const params = new URLSearchParams({
+      limit: String(MEMORY_PAGE_SIZE),
+      offset: String(loaded),
+      ...(typeof filter === 'function' ? filter() : filter)
+    });
+    const topic = document.getElementById('memory-topic-filter')?.value.trim();
+    if (topic) params.set('topic', topic);
+    const response = await fetch(`${memoriesUrl}?${params}`);
     if (!response.ok) {
       throw new Error(`Failed to fetch memories: ${response.status}`);
     }
-    const memories = await response.json();
-    if (!Array.isArray(memories) || memories.length === 0) {
+    const { memories, total } = await response.json();
+    if (!append) memoryTimeline.innerHTML = '';
+    memoryTimeline.querySelector('.memory-load-more')?.remove();
+    if (!append && (!Array.isArray(memories) || memories.length === 0)) {
       memoryTimeline.innerHTML = '<div class="empty-list">No memories found yet. Continue chatting to create memories!</div>';
       return;
     }
-    memoryTimeline.innerHTML = '';
-    memories.forEach(memory => {
-      const memoryCard = document.createElement('div');
-      memoryCard.className = 'memory-card';
-      const date = new Date(memory.timestamp);
-      const formattedDate = date.toLocaleDateString(undefined, {
-        month: 'short',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
+    memories.forEach(memory => memoryTimeline.appendChild(createMemoryCard(memory)));
+    loaded += memories.length;
+    if (loaded < total) {
+      const moreBtn = document.createElement('button');
+      moreBtn.className = 'btn secondary btn-sm memory-load-more';
+      moreBtn.textContent = `Load more (${total - loaded} left)`;
+      moreBtn.onclick = () => fetchAndRenderMemories(true).catch(error => {
+        console.error('Error loading memories:', error);
+        showErrorMessage('Failed to load more memories.');
       });
-      let importanceClass = 'importance-medium';
-      if (memory.importance > 0.7) importanceClass = 'importance-high';
-      else if (memory.importance < 0.4) importanceClass = 'importance-low';
-      memoryCard.innerHTML = `
-        <div class="memory-timestamp">${formattedDate}</div>
-        <div class="memory-summary">${memory.summary}</div>
-        ${memory.topics ? `<div class="memory-details">Topics: ${memory.topics.join(', ')}</div>` : ''}
-        <span class="memory-importance ${importanceClass}">Importance: ${Math.round(memory.importance * 100)}%</span>
-      `;
-      memoryTimeline.appendChild(memoryCard);
-    });
+      memoryTimeline.appendChild(moreBtn);
+    }
   }
 
   try {
-    await fetchAndRenderMemories('all');
+    await fetchAndRenderMemories();
 
-    const filterButtons = memoryPanel.querySelectorAll('.memory-filters button');
+    const filterButtons = memoryPanel.querySelectorAll('.memory-filters button[data-filter]');
     filterButtons.forEach(btn => {
-      btn.addEventListener('click', async () => {
+      btn.classList.toggle('active', btn.dataset.filter === activeFilter);
+      btn.onclick = async () => {
         filterButtons.forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
-        const filter = btn.textContent.toLowerCase().includes('important')
-          ? 'important'
-          : btn.textContent.toLowerCase().includes('recent')
-            ? 'recent'
-            : 'all';
-        await fetchAndRenderMemories(filter);
-      });
+        activeFilter = btn.dataset.filter;
+        await fetchAndRenderMemories();
+      };
     });
+    const topicInput = document.getElementById('memory-topic-filter');
+    if (topicInput) {
+      topicInput.value = '';
+      topicInput.onchange = () => fetchAndRenderMemories();
+    }
+    const consolidateBtn = document.getElementById('consolidate-memories-btn');
+    if (consolidateBtn) {
+      consolidateBtn.onclick = async () => {
+        consolidateBtn.disabled = true;
+        try {
+          // Consolidation runs as a background job in the character's memory lane
+          const response = await makeRequest(`${memoriesUrl}/consolidate`, { method: 'POST' }, 30000, 0);
+          let { job } = await response.json();
+          while (job.status === 'queued' || job.status === 'running') {
+            await new Promise(resolve => setTimeout(resolve, 2000));
+            const jobResponse = await fetch(`${API.JOBS}/${job.id}`);
+            if (jobResponse.ok) job = await jobResponse.json();
+          }
+          if (job.status !== 'completed') throw new Error(job.error || `Consolidation job ${job.status}`);
+          const { merged, chapters, arcs } = job.result || {};
+          showSuccessMessage(merged || chapters || arcs
+            ? `Merged ${merged} duplicates, created ${chapters} chapters and ${arcs} arcs.`
+            : 'Nothing to consolidate yet.');
+          await fetchAndRenderMemories();
+        } catch (error) {
+          console.error('Error consolidating memories:', error);
+          showErrorMessage('Failed to consolidate memories.');
+        } finally {
+          consolidateBtn.disabled = false;
+        }
+      };
+    }
+    const addBtn = document.getElementById('add-memory-btn');
+    if (addBtn) {
+      addBtn.onclick = () => {
+        if (memoryTimeline.querySelector('.memory-card.editing:not([data-memory-id])')) return;
+        memoryTimeline.querySelector('.empty-list')?.remove();
+        const card = document.createElement('div');
+        card.className = 'memory-card';
+        memoryTimeline.prepend(card);
+        openMemoryEditor(card);
+      };
+    }
 
     const closeBtn = memoryPanel.querySelector('.close-panel-btn');
     if (closeBtn) {
@@ -3276,6 +5362,10 @@ window.ChunRP = {
             <input type="checkbox" id="enable-streaming" ${state.settings.stream ? 'checked' : ''} /> Enable Streaming Responses
           </label>
           <small>Progressively render model output (may increase token billing)</small>
+          <label style="display:flex; gap:6px; align-items:center;">
+            <input type="checkbox" id="keep-partial-on-cancel" ${state.settings.keepPartialOnCancel !== false ? 'checked' : ''} /> Keep Partial Replies When Cancelling
+          </label>
+          <small>A cancelled stream saves what was generated so far; otherwise the whole turn is discarded</small>
         `;
         paramsContainer.appendChild(streamingDiv);
       }
@@ -3288,13 +5378,20 @@ window.ChunRP = {
   const originalSave = saveSettingsFromForm;
   saveSettingsFromForm = async function patchedSaveSettingsFromForm(){
     const checkbox = document.getElementById('enable-streaming');
+    const keepPartialCheckbox = document.getElementById('keep-partial-on-cancel');
     const previousStream = state.settings.stream;
+    const previousKeepPartial = state.settings.keepPartialOnCancel;
     await originalSave();
     if (checkbox) {
       state.settings.stream = checkbox.checked;
     } else if (typeof previousStream !== 'undefined') {
       state.settings.stream = previousStream; // retain
     }
+    if (keepPartialCheckbox) {
+      state.settings.keepPartialOnCancel = keepPartialCheckbox.checked;
+    } else if (typeof previousKeepPartial !== 'undefined') {
+      state.settings.keepPartialOnCancel = previousKeepPartial;
+    }
   };
 })();
 
@@ -3312,48 +5409,24 @@ function updateLastAssistantMessageDOMStreaming(){
     bubble.innerHTML = `<div class="message-error-content"><i class="ri-error-warning-line"></i><span>${message.content}</span></div>`;
     return;
   }
-  const full = typeof message.content === 'string' ? message.content : String(message.content || '');
-  const thinkRegex = /<think(?:ing)?>([\s\S]*?)<\/think(?:ing)?>/gi;
-  let thoughts = [];
-  let visible;
-  if (message.pending) {
-    // While streaming, keep reasoning inline instead of separating.
-    // Replace <think> blocks with inline span styling.
-    function esc(s){return s.replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');}
-    visible = full.replace(thinkRegex, (_, inner) => `<span class=\"inline-think\">${esc(inner.trim())}</span>`);
-  } else {
-    // After completion: extract and remove from visible.
-    let m;
-    while ((m = thinkRegex.exec(full)) !== null) {
-      const seg = m[1].trim();
-      if (seg) thoughts.push(seg);
-    }
-    visible = full.replace(thinkRegex, '').trim();
-  }
+  const { content: visible, reasoning } = splitMessageReasoning(message);
   try { marked.setOptions({ breaks:true, gfm:true, sanitize:false }); } catch {}
   // Sanitize content before rendering with marked
-  const sanitizedContent = DOMPurify.sanitize(marked.parse(visible || ''));
+  const sanitizedContent = DOMPurify.sanitize(marked.parse(replaceUserPlaceholder(visible) || ''));
   bubble.innerHTML = sanitizedContent;
-  bubble.dataset.originalContent = full;
-  // Only create thought container after stream completion (pending removed)
-  if (!message.pending) {
-    let thoughtContainer = target.querySelector('.message-thought-container');
-    if (thoughts.length > 0) {
-      if (!thoughtContainer) {
-        thoughtContainer = document.createElement('div');
-        thoughtContainer.className = 'message-thought-container';
-        const btn = document.createElement('button');
-        btn.className = 'thought-btn';
-        btn.innerHTML = '<i class=\"ri-psychotherapy-line\"></i>';
-        btn.title = 'View character thoughts';
-        const contentDiv = document.createElement('div');
-        contentDiv.className = 'thought-content';
-        thoughtContainer.appendChild(btn);
-        thoughtContainer.appendChild(contentDiv);
-        target.appendChild(thoughtContainer);
-      }
-      const contentDiv = thoughtContainer.querySelector('.thought-content');
-      if (contentDiv) contentDiv.innerHTML = thoughts.join('<hr>');
+  bubble.dataset.originalContent = typeof message.content === 'string' ? message.content : '';
+  // Reasoning streams into its own block, open while pending and collapsed once the reply is done
+  const reasoningDiv = target.querySelector('.message-reasoning');
+  if (!reasoning) {
+    if (reasoningDiv) reasoningDiv.remove();
+  } else if (!reasoningDiv) {
+    bubble.before(createReasoningElement(reasoning, !!message.pending));
+  } else {
+    reasoningDiv.querySelector('.message-reasoning-body').innerHTML = DOMPurify.sanitize(marked.parse(reasoning));
+    if (!message.pending && reasoningDiv.dataset.pending === 'true') {
+      reasoningDiv.open = false;
+      reasoningDiv.dataset.pending = 'false';
+      reasoningDiv.querySelector('summary span').textContent = 'Reasoning';
     }
   }
   if (message.pending && !bubble.querySelector('.message-pending')) {
@@ -3365,67 +5438,193 @@ function updateLastAssistantMessageDOMStreaming(){
   scrollToBottom();
 }
 
-async function streamAssistantResponse(userMessage, messageId){
+const STREAM_RESUME_ATTEMPTS = 5;
+
+// Read a Server-Sent Events body from fetch, calling onEvent({ id, type, data }) per event
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    for (const block of blocks) {
+      let id = null;
+      let type = 'message';
+      let data = '';
+      for (const line of block.split(/\r?\n/)) {
+        if (!line || line.startsWith(':')) continue; // Comments are heartbeats
+        const colon = line.indexOf(':');
+        const field = colon >= 0 ? line.slice(0, colon) : line;
+        const value = colon >= 0 ? line.slice(colon + 1).replace(/^ /, '') : '';
+        if (field === 'id') id = value;
+        else if (field === 'event') type = value;
+        else if (field === 'data') data += (data ? '\n' : '') + value;
+      }
+      if (!data) continue;
+      let parsed; try { parsed = JSON.parse(data); } catch { continue; }
+      await onEvent({ id, type, data: parsed });
+    }
+  }
+}
+
+// Apply one stream event to the pending assistant message. Sets stream.finished on done/error/cancelled.
+async function handleStreamEvent({ id, type, data }, stream) {
+  if (id) stream.lastEventId = id;
+  const last = state.chatHistory[state.chatHistory.length - 1];
+  if (!last || last.role !== 'assistant') return;
+
+  if (type === 'start') {
+    stream.generationId = data.generationId;
+  } else if (type === 'memory-retrieved') {
+    const detail = document.querySelector('.message.generating .generating-detail');
+    if (detail) detail.textContent = data.count > 0 ? `Using ${data.count} memories, waiting for the model` : 'No relevant memories, waiting for the model';
+  } else if (type === 'thinking' || type === 'token' || type === 'snapshot') {
+    if (type === 'thinking') stream.reasoning += data.text;
+    if (type === 'token') stream.text += data.token;
+    if (type === 'snapshot') {
+      stream.reasoning = data.thinking || '';
+      stream.text = data.content || '';
+    }
+    last.reasoning = stream.reasoning;
+    last.content = stream.text;
+    updateLastAssistantMessageDOMStreaming();
+  } else if (type === 'done') {
+    stream.finished = true;
+    last.content = data.response || last.content;
+    last.reasoning = data.reasoning || '';
+    delete last.pending;
+    removeGeneratingIndicator();
+    updateLastAssistantMessageDOMStreaming();
+    notifyFallbackRoute(data.route);
+    await saveChatHistory();
+  } else if (type === 'error') {
+    stream.finished = true;
+    last.failed = true;
+    last.content = data.error;
+    delete last.pending;
+    removeGeneratingIndicator();
+    updateLastAssistantMessageDOMStreaming();
+  } else if (type === 'cancelled') {
+    stream.finished = true;
+    removeGeneratingIndicator();
+    if (data.saved) {
+      // The server kept the partial reply together with the user message
+      last.content = data.partial.trim();
+      last.reasoning = (data.reasoning || '').trim();
+      delete last.pending;
+      updateLastAssistantMessageDOMStreaming();
+    } else {
+      // Nothing was saved: drop the placeholder and the user message
+      state.chatHistory.pop();
+      if (state.chatHistory[state.chatHistory.length - 1]?.role === 'user') state.chatHistory.pop();
+      renderChatHistory();
+    }
+  }
+}
+
+// Follow a generation until it finishes. When the connection drops (mobile sleep, flaky network)
+// reconnect with Last-Event-ID; the server replays what was missed from its buffer.
+async function followGenerationStream(response, stream, signal) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      if (!response) {
+        response = await fetch(`${API.GENERATIONS}/${encodeURIComponent(stream.generationId)}/events`, {
+          headers: stream.lastEventId ? { 'Last-Event-ID': stream.lastEventId } : {},
+          signal
+        });
+        if (response.status === 404) {
+          const error = new Error('The reply could not be resumed; it is no longer on the server.');
+          error.fatal = true;
+          throw error;
+        }
+      }
+      if (!response.ok || !response.body) throw new Error(`Streaming request failed (HTTP ${response.status})`);
+      await readEventStream(response, event => handleStreamEvent(event, stream));
+    } catch (error) {
+      if (error.name === 'AbortError' || error.fatal) throw error;
+      console.warn('Reply stream interrupted:', error.message || error);
+    }
+    if (stream.finished) return;
+    if (!stream.generationId || attempt >= STREAM_RESUME_ATTEMPTS) {
+      throw new Error('Lost the connection to the reply stream.');
+    }
+    response = null;
+    await new Promise(resolve => setTimeout(resolve, Math.min(1000 * (attempt + 1), 5000)));
+  }
+}
+
+// Stream a reply for userMessage, or with resumeGenerationId re-attach to one already running
+async function streamAssistantResponse(userMessage, messageId, resumeGenerationId = null){
+  const stream = { generationId: resumeGenerationId, lastEventId: null, reasoning: '', text: '', finished: false };
   try {
     // Insert placeholder assistant message
     state.chatHistory.push({ role: 'assistant', content: '', pending: true });
     renderChatHistory();
     scrollToBottom();
-    const response = await fetch('/api/chat/stream', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ characterName: state.activeCharacter.name, message: userMessage, messageId, settings: state.settings })
-    });
-    if (!response.ok || !response.body) {
-      throw new Error('Streaming request failed');
-    }
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-      buffer += decoder.decode(value, { stream: true });
-      let lines = buffer.split('\n');
-      buffer = lines.pop();
-      for (const line of lines) {
-        if (!line.trim()) continue;
-        let evt; try { evt = JSON.parse(line); } catch { continue; }
-        const last = state.chatHistory[state.chatHistory.length - 1];
-        if (!last || last.role !== 'assistant') continue;
-        if (evt.type === 'token') {
-          last.content += evt.token;
-          updateLastAssistantMessageDOMStreaming();
-        } else if (evt.type === 'done') {
-          last.content = evt.response || last.content;
-          delete last.pending;
-          removeGeneratingIndicator();
-          updateLastAssistantMessageDOMStreaming();
-          await saveChatHistory();
-        } else if (evt.type === 'error') {
-          last.failed = true;
-          last.content = evt.error;
-          delete last.pending;
-          removeGeneratingIndicator();
-          updateLastAssistantMessageDOMStreaming();
-        }
+    const controller = new AbortController();
+    controller.streaming = true;
+    state.currentAbortController = controller;
+    let response = null;
+    if (!resumeGenerationId) {
+      response = await fetch('/api/chat/stream', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ characterName: state.activeCharacter.name, message: userMessage, messageId, settings: state.settings }),
+        signal: controller.signal
+      });
+      if (!response.ok || !response.body) {
+        throw new Error('Streaming request failed');
       }
     }
-    // Safety cleanup if still pending
-    const last = state.chatHistory[state.chatHistory.length - 1];
-    if (last && last.pending) {
-      delete last.pending;
-      removeGeneratingIndicator();
-      updateLastAssistantMessageDOMStreaming();
-    }
+    await followGenerationStream(response, stream, controller.signal);
   } catch (e) {
-    console.error('Streaming error:', e);
     removeGeneratingIndicator();
+    if (e.name === 'AbortError') {
+      // Closed locally after the cancel request failed; reload whatever the server saved
+      await loadChatHistory(state.activeCharacter.name);
+      renderChatHistory();
+      return;
+    }
+    console.error('Streaming error:', e);
+    const last = state.chatHistory[state.chatHistory.length - 1];
+    if (last && last.pending) state.chatHistory.pop();
     state.chatHistory.push({ role: 'assistant', content: 'Streaming failed: ' + (e.message || e), failed: true });
     renderChatHistory();
   }
 }
 
+// After a reload or chat switch, pick up a reply that is still streaming on the server
+async function resumeActiveGeneration() {
+  if (!state.activeCharacter || state.isGenerating) return;
+  const characterName = state.activeCharacter.name;
+  let generation;
+  try {
+    const response = await fetch(`${API.CHAT}/${encodeURIComponent(characterName)}/generation`);
+    if (!response.ok) return; // 404: nothing in progress
+    generation = await response.json();
+  } catch (error) {
+    return;
+  }
+  if (generation.status !== 'running' || state.activeCharacter?.name !== characterName || state.isGenerating) return;
+
+  // The user's turn is only saved with the reply, so show it from the generation
+  if (generation.userMessage) {
+    state.chatHistory.push({ role: 'user', content: generation.userMessage });
+  }
+  state.isGenerating = true;
+  addGeneratingIndicator();
+  try {
+    await streamAssistantResponse(null, null, generation.generationId);
+  } finally {
+    state.isGenerating = false;
+    state.currentAbortController = null;
+  }
+}
+
 // Patch sendMessage to branch on streaming flag
 (function(){
   const originalSendMessage = sendMessage;
@@ -3433,6 +5632,8 @@ async function streamAssistantResponse(userMessage, messageId){
     // We replicate early extraction logic from original function by peeking into its code is complex; rely on existing implementation
     // But we intercept after user message added: detect generating indicator present and state.isGenerating true.
     // So we let original function run if streaming disabled.
+    // Group chats take turns through their own endpoint
+    if (state.activeGroup) return sendGroupMessage();
     if (!state.settings?.stream) return originalSendMessage();
     // Custom streamlined version for streaming to avoid duplicate request
     const message = dom.messageInput.value.trim();
@@ -0,0 +1,95 @@
+// Cancelling an in-flight generation through settings.signal, using the mock provider's delays
+import { getDatabase } from '../src/backend/database.js';
+import { generateResponse } from '../src/backend/llm-providers.js';
+import { findActiveJob } from '../src/backend/job-queue.js';
+import { resetMockProvider, getMockCalls } from '../src/backend/mock-provider.js';
+
+function character(name) {
+  return { name, persona: 'Test persona', relationships: {}, settingsOverride: {}, lastJournalIndex: 0 };
+}
+
+function mockSettings(overrides = {}) {
+  return {
+    provider: 'mock',
+    model: 'mock-chat',
+    ...overrides,
+    memory: { embeddingProvider: 'mock', analysisProvider: 'mock', queryEmbeddingMethod: 'plain', journalFrequency: 2 },
+    mock: { latencyMs: 0, ...(overrides.mock || {}) }
+  };
+}
+
+function ledgerStatuses(name) {
+  return getDatabase().prepare("SELECT status FROM usage_ledger WHERE character = ? AND purpose = 'chat' ORDER BY id")
+    .all(name).map(row => row.status);
+}
+
+beforeEach(() => {
+  resetMockProvider();
+});
+
+describe('cancelling a generation', () => {
+  test('aborting while waiting for the provider rejects with an AbortError and leaves the history alone', async () => {
+    const controller = new AbortController();
+    const history = [];
+    const pending = generateResponse(character('Waiting'), 'Hello', { name: 'User' }, history,
+      mockSettings({ signal: controller.signal, mock: { latencyMs: 5000 } }));
+    setTimeout(() => controller.abort(), 20);
+
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+    expect(history).toEqual([]);
+    expect(findActiveJob('journal', 'Waiting')).toBeNull();
+    expect(ledgerStatuses('Waiting')).toEqual(['cancelled']);
+  });
+
+  test('aborting mid-stream stops the tokens', async () => {
+    const controller = new AbortController();
+    const tokens = [];
+    const onToken = token => {
+      tokens.push(token);
+      if (tokens.length === 2) controller.abort();
+    };
+    const pending = generateResponse(character('Streaming'), 'Hello', { name: 'User' }, [], mockSettings({
+      stream: true,
+      onToken,
+      signal: controller.signal,
+      mock: { responses: ['one two three four five six'], tokenDelayMs: 5 }
+    }));
+
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+    expect(tokens).toEqual(['one', ' two']);
+  });
+
+  test('an already aborted signal never reaches the provider', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(generateResponse(character('Early'), 'Hello', { name: 'User' }, [], mockSettings({ signal: controller.signal })))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(getMockCalls()).toHaveLength(0);
+  });
+
+  test('a cancel does not fall back to the next route', async () => {
+    const controller = new AbortController();
+    const routes = [];
+    const pending = generateResponse(character('Routed'), 'Hello', { name: 'User' }, [], mockSettings({
+      signal: controller.signal,
+      fallbackRoutes: [{ provider: 'mock', model: 'mock-backup' }],
+      onRoute: route => routes.push(route),
+      mock: { latencyMs: 5000 }
+    }));
+    setTimeout(() => controller.abort(), 20);
+
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+    expect(getMockCalls().map(call => call.model)).toEqual(['mock-chat']);
+    expect(routes).toEqual([]);
+  });
+
+  test('an uncancelled generation still completes', async () => {
+    const controller = new AbortController();
+    const history = [];
+    const reply = await generateResponse(character('Finished'), 'Hello', { name: 'User' }, history,
+      mockSettings({ signal: controller.signal, mock: { responses: ['Done.'] } }));
+    expect(reply).toBe('Done.');
+    expect(history).toHaveLength(2);
+    expect(ledgerStatuses('Finished')).toEqual(['ok']);
+  });
+});
@@ -0,0 +1,149 @@
+// Character cards: tEXt chunk round-trip through PNGs, card <-> character mapping and avatar loading
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  isPng,
+  extractCardFromPng,
+  embedCardInPng,
+  stripCardFromPng,
+  createPlaceholderPng,
+  loadAvatarPng,
+  cardToCharacterData,
+  characterToCard
+} from '../src/backend/character-cards.js';
+
+const character = {
+  name: 'Aria',
+  persona: 'A travelling bard from the coast.\n\nAria\'s personality: cheerful, curious',
+  description: 'cheerful, curious',
+  currentScenario: 'A harbour inn at dusk',
+  firstMessage: 'Welcome, traveller! ♪',
+  exampleMessages: '',
+  alternateGreetings: ['Oh, hello again — café?'],
+  appearance: 'Red cloak',
+  settingsOverride: { temperature: 0.9 },
+  relationshipAxes: ['trust', 'rivalry']
+};
+
+// A tEXt chunk by hand, to build cards the way other tools write them
+function textChunk(keyword, json) {
+  const data = Buffer.concat([Buffer.from(`${keyword}\0`, 'latin1'), Buffer.from(Buffer.from(json, 'utf8').toString('base64'), 'latin1')]);
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write('tEXt', 4, 'latin1');
+  data.copy(chunk, 8);
+  return chunk; // The CRC is not checked when reading
+}
+
+function insertBeforeIend(png, ...chunks) {
+  return Buffer.concat([png.subarray(0, png.length - 12), ...chunks, png.subarray(png.length - 12)]);
+}
+
+describe('PNG card chunks', () => {
+  test('embedding and extracting a card round-trips, including non-ASCII text', () => {
+    const png = embedCardInPng(createPlaceholderPng(8), character);
+    expect(isPng(png)).toBe(true);
+
+    const card = extractCardFromPng(png);
+    expect(card.spec).toBe('chara_card_v3');
+    const imported = cardToCharacterData(card);
+    expect(imported).toMatchObject({
+      name: 'Aria',
+      persona: character.persona,
+      description: character.description,
+      firstMessage: 'Welcome, traveller! ♪',
+      alternateGreetings: ['Oh, hello again — café?'],
+      appearance: 'Red cloak',
+      settingsOverride: { temperature: 0.9 },
+      relationshipAxes: ['trust', 'rivalry']
+    });
+  });
+
+  test('embedding again replaces the old card instead of adding another', () => {
+    const once = embedCardInPng(createPlaceholderPng(8), character);
+    const twice = embedCardInPng(once, { ...character, name: 'Bram' });
+    expect(twice.length - once.length).toBeLessThan(50);
+    expect(extractCardFromPng(twice).data.name).toBe('Bram');
+  });
+
+  test('ccv3 is preferred and an invalid chunk falls back to the other one', () => {
+    const base = createPlaceholderPng(8);
+    const both = insertBeforeIend(base, textChunk('chara', '{"name":"V2"}'), textChunk('ccv3', '{"spec":"chara_card_v3","data":{"name":"V3"}}'));
+    expect(extractCardFromPng(both).data.name).toBe('V3');
+
+    const broken = insertBeforeIend(base, textChunk('chara', '{"name":"V1"}'), textChunk('ccv3', '{not json'));
+    expect(extractCardFromPng(broken).name).toBe('V1');
+  });
+
+  test('stripping removes the card and keeps the image', () => {
+    const base = createPlaceholderPng(8);
+    const stripped = stripCardFromPng(embedCardInPng(base, character));
+    expect(stripped.equals(base)).toBe(true);
+    expect(extractCardFromPng(stripped)).toBeNull();
+  });
+
+  test('non-PNG and truncated data are rejected', () => {
+    const png = createPlaceholderPng(8);
+    expect(extractCardFromPng(Buffer.from('not a png'))).toBeNull();
+    expect(extractCardFromPng(png.subarray(0, png.length - 6))).toBeNull();
+    expect(() => embedCardInPng(Buffer.from('nope'), character)).toThrow(/not a valid PNG/);
+  });
+});
+
+describe('card mapping', () => {
+  test('V1 cards are flat and {{char}} macros resolve to the name', () => {
+    const data = cardToCharacterData({ name: ' Cora ', description: '{{char}} guards the gate.', first_mes: '<BOT> greets <USER>.' });
+    expect(data).toMatchObject({ name: 'Cora', persona: 'Cora guards the gate.', firstMessage: 'Cora greets {{user}}.' });
+  });
+
+  test('cards without a name are rejected', () => {
+    expect(cardToCharacterData({ spec: 'chara_card_v2', data: { description: 'nameless' } })).toBeNull();
+    expect(cardToCharacterData(null)).toBeNull();
+  });
+
+  test('the personality paragraph added on import is not duplicated on export', () => {
+    const card = characterToCard(character, 'v2');
+    expect(card.spec).toBe('chara_card_v2');
+    expect(card.data.description).toBe('A travelling bard from the coast.');
+    expect(card.data.personality).toBe('cheerful, curious');
+  });
+});
+
+describe('loadAvatarPng', () => {
+  let root;
+  let outside;
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'chunrp-avatars-'));
+    fs.mkdirSync(path.join(root, 'assets'));
+    fs.writeFileSync(path.join(root, 'assets', 'avatar.png'), createPlaceholderPng(4));
+    fs.writeFileSync(path.join(root, 'assets', 'notes.txt'), 'plain text');
+    outside = `${root}-outside.png`;
+    fs.writeFileSync(outside, createPlaceholderPng(4));
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    fs.rmSync(outside, { force: true });
+  });
+
+  test('reads PNG data URLs and files under the local root', async () => {
+    const png = createPlaceholderPng(4);
+    expect((await loadAvatarPng(`data:image/png;base64,${png.toString('base64')}`)).equals(png)).toBe(true);
+    expect(isPng(await loadAvatarPng('assets/avatar.png?v=2', root))).toBe(true);
+    expect(isPng(await loadAvatarPng('/assets/avatar.png', root))).toBe(true);
+  });
+
+  test('refuses remote URLs, paths outside the root and non-PNG files', async () => {
+    const outsideName = path.basename(outside);
+    expect(await loadAvatarPng('https://example.com/avatar.png', root)).toBeNull();
+    expect(await loadAvatarPng('//example.com/avatar.png', root)).toBeNull();
+    expect(await loadAvatarPng(`file://${outside}`, root)).toBeNull();
+    expect(await loadAvatarPng(`../${outsideName}`, root)).toBeNull();
+    expect(await loadAvatarPng(`%2e%2e/${outsideName}`, root)).toBeNull();
+    expect(await loadAvatarPng('assets/notes.txt', root)).toBeNull();
+    expect(await loadAvatarPng('data:image/jpeg;base64,AAAA', root)).toBeNull();
+    expect(await loadAvatarPng('assets/avatar.png')).toBeNull(); // no local root, no file access
+  });
+});
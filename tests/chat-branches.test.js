@@ -0,0 +1,198 @@
+// Chat branches and swipes: persistence of variants, append-only saving and branch forking
+import { getDatabase } from '../src/backend/database.js';
+import {
+  createCharacter,
+  loadChatHistory,
+  saveChatHistory,
+  addMessageVariant,
+  selectMessageVariant,
+  listChatBranches,
+  createChatBranch,
+  selectChatBranch,
+  deleteChatBranch
+} from '../src/backend/character-system-sqlite.js';
+import { generateResponse } from '../src/backend/llm-providers.js';
+import { findActiveJob, listJobs } from '../src/backend/job-queue.js';
+
+function rowIds(name) {
+  return getDatabase().prepare(`SELECT m.id FROM chat_messages m JOIN characters c ON c.id = m.character_id
+    WHERE c.name = ? ORDER BY m.id`).all(name).map(row => row.id);
+}
+
+function seed(name) {
+  createCharacter({ name, persona: 'Test persona' });
+  saveChatHistory(name, [
+    { role: 'assistant', content: 'Hello' },
+    { role: 'user', content: 'Hi' },
+    { role: 'assistant', content: 'How are you?' }
+  ]);
+}
+
+describe('saving chat history', () => {
+  test('appends new turns without rewriting the stored ones', () => {
+    seed('Append');
+    const before = rowIds('Append');
+    const history = loadChatHistory('Append');
+    history.push({ role: 'user', content: 'Fine' }, { role: 'assistant', content: 'Good to hear' });
+    expect(saveChatHistory('Append', history)).toBe(true);
+
+    const after = rowIds('Append');
+    expect(after.slice(0, before.length)).toEqual(before);
+    expect(after).toHaveLength(5);
+    expect(loadChatHistory('Append').map(m => m.content)).toEqual(['Hello', 'Hi', 'How are you?', 'Fine', 'Good to hear']);
+  });
+
+  test('saving the same history again writes nothing', () => {
+    seed('Same');
+    const before = rowIds('Same');
+    saveChatHistory('Same', loadChatHistory('Same'));
+    expect(rowIds('Same')).toEqual(before);
+  });
+
+  test('an edited turn is rewritten together with the turns after it', () => {
+    seed('Edit');
+    const [first, second] = rowIds('Edit');
+    const history = loadChatHistory('Edit');
+    history[1].content = 'Hi, edited';
+    saveChatHistory('Edit', history);
+
+    const after = rowIds('Edit');
+    expect(after[0]).toBe(first);
+    expect(after[1]).toBeGreaterThan(second);
+    expect(loadChatHistory('Edit').map(m => m.content)).toEqual(['Hello', 'Hi, edited', 'How are you?']);
+  });
+});
+
+describe('swipes', () => {
+  test('a new variant is selected and the earlier reply is kept', () => {
+    seed('Swipe');
+    const history = addMessageVariant('Swipe', 2, 'Another answer', 'some thought');
+    expect(history[2]).toMatchObject({ content: 'Another answer', reasoning: 'some thought', activeVariant: 1 });
+
+    const loaded = loadChatHistory('Swipe');
+    expect(loaded[2].variants.map(v => v.content)).toEqual(['How are you?', 'Another answer']);
+    expect(loaded[2].activeVariant).toBe(1);
+    expect(loaded[2].reasoning).toBe('some thought');
+  });
+
+  test('selecting a variant switches the shown reply', () => {
+    seed('Select');
+    addMessageVariant('Select', 2, 'Second take');
+    selectMessageVariant('Select', 2, 0);
+
+    const loaded = loadChatHistory('Select');
+    expect(loaded[2].content).toBe('How are you?');
+    expect(loaded[2].activeVariant).toBe(0);
+    expect(loaded[2].variants).toHaveLength(2);
+  });
+
+  test('a missing variant is rejected', () => {
+    seed('Missing');
+    expect(selectMessageVariant('Missing', 2, 3)).toBeNull();
+  });
+
+  test('the next turn hangs off the selected variant', () => {
+    seed('Parent');
+    addMessageVariant('Parent', 2, 'Picked');
+    const history = loadChatHistory('Parent');
+    history.push({ role: 'user', content: 'Next' });
+    saveChatHistory('Parent', history);
+
+    const rows = getDatabase().prepare(`SELECT m.id, m.content, m.parent_id FROM chat_messages m
+      JOIN characters c ON c.id = m.character_id WHERE c.name = 'Parent' ORDER BY m.id`).all();
+    const picked = rows.find(row => row.content === 'Picked');
+    expect(rows[rows.length - 1].parent_id).toBe(picked.id);
+  });
+});
+
+describe('branches', () => {
+  test('forking copies the prefix and makes the new branch active', () => {
+    seed('Fork');
+    addMessageVariant('Fork', 2, 'Swiped');
+    const branch = createChatBranch('Fork', 'what-if', 1);
+    expect(branch).toMatchObject({ name: 'what-if', forkIndex: 1, isActive: true, messageCount: 2 });
+    expect(loadChatHistory('Fork').map(m => m.content)).toEqual(['Hello', 'Hi']);
+
+    const main = listChatBranches('Fork').find(b => b.name === 'main');
+    expect(loadChatHistory('Fork', main.id)[2].variants).toHaveLength(2);
+  });
+
+  test('switching and deleting branches', () => {
+    seed('Switch');
+    const fork = createChatBranch('Switch', 'alt', 0);
+    const main = listChatBranches('Switch').find(b => b.name === 'main');
+
+    expect(createChatBranch('Switch', 'alt', 0)).toBeNull();
+    expect(selectChatBranch('Switch', main.id)).toBe(true);
+    expect(loadChatHistory('Switch')).toHaveLength(3);
+
+    expect(deleteChatBranch('Switch', fork.id)).toBe(true);
+    expect(deleteChatBranch('Switch', main.id)).toBe(false); // the last branch stays
+    expect(listChatBranches('Switch')).toHaveLength(1);
+  });
+});
+
+describe('journaling on regenerate', () => {
+  const character = { name: 'Journal', persona: 'Test persona', relationships: {}, settingsOverride: {}, lastJournalIndex: 0 };
+  const settings = {
+    provider: 'mock',
+    model: 'mock-chat',
+    memory: { embeddingProvider: 'mock', analysisProvider: 'mock', queryEmbeddingMethod: 'plain', journalFrequency: 2 }
+  };
+
+  test('a regenerated reply (skipJournal) queues no journal entry, a normal turn does', async () => {
+    createCharacter({ name: 'Journal', persona: 'Test persona' });
+    await generateResponse({ ...character }, 'Hello', { name: 'User' }, [], { ...settings, skipJournal: true });
+    expect(findActiveJob('journal', 'Journal')).toBeNull();
+
+    await generateResponse({ ...character }, 'Hello', { name: 'User' }, [], settings);
+    expect(findActiveJob('journal', 'Journal')).toMatchObject({ type: 'journal', status: 'queued' });
+  });
+});
+
+describe('journal position per branch', () => {
+  const character = { name: 'Cursor', persona: 'Test persona', relationships: {}, settingsOverride: {} };
+  const settings = {
+    provider: 'mock',
+    model: 'mock-chat',
+    memory: { embeddingProvider: 'mock', analysisProvider: 'mock', queryEmbeddingMethod: 'plain', journalFrequency: 2 }
+  };
+  const journalJobs = () => listJobs({ type: 'journal', character: 'Cursor' }).total;
+  const branch = name => listChatBranches('Cursor').find(b => b.name === name);
+
+  // One turn on the active branch, saved like the chat route does
+  async function turn(message) {
+    const history = loadChatHistory('Cursor');
+    await generateResponse({ ...character }, message, { name: 'User' }, history, settings);
+    saveChatHistory('Cursor', history);
+  }
+
+  test('a fork keeps its own position and journals its own turns', async () => {
+    createCharacter({ name: 'Cursor', persona: 'Test persona' });
+    await turn('One');
+    await turn('Two');
+    expect(journalJobs()).toBe(2);
+    expect(branch('main').lastJournalIndex).toBe(4);
+
+    // The fork shares the first two messages, so only those count as journaled there
+    createChatBranch('Cursor', 'alt', 1);
+    expect(branch('alt').lastJournalIndex).toBe(2);
+    await turn('Three on alt');
+    expect(journalJobs()).toBe(3);
+    expect(branch('alt').lastJournalIndex).toBe(4);
+    expect(branch('main').lastJournalIndex).toBe(4);
+
+    // Back on main, the next turn continues from main's own position
+    selectChatBranch('Cursor', branch('main').id);
+    await turn('Four on main');
+    expect(journalJobs()).toBe(4);
+    expect(branch('main').lastJournalIndex).toBe(6);
+  });
+
+  test('a shortened history does not hold journaling back', async () => {
+    saveChatHistory('Cursor', loadChatHistory('Cursor').slice(0, 2));
+    await turn('Five after deleting');
+    expect(journalJobs()).toBe(5);
+    expect(branch('main').lastJournalIndex).toBe(4);
+  });
+});
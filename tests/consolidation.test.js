@@ -0,0 +1,150 @@
+// Memory consolidation: merging near-duplicate journal entries (and moving what they caused onto
+// the kept entry), rolling entries up into chapters and arcs, and queueing a pass after journaling
+import { insertItem, updateItem, listItemsWithVectors } from '../src/backend/vector-store-sqlite-vec.js';
+import { consolidateCharacterMemories, createJournalEntry, deleteMemory, getStorySoFar } from '../src/backend/memory-system.js';
+import { createCharacter } from '../src/backend/character-system-sqlite.js';
+import { recordRelationshipHistory, getRelationshipHistory } from '../src/backend/relationships.js';
+import { recordKnowledge, listEntities } from '../src/backend/knowledge-graph.js';
+import { listJobs } from '../src/backend/job-queue.js';
+
+// No rollups unless a test asks for them
+const mergeOnly = { chapterSize: 100, keepRecent: 100 };
+
+function consolidationSettings(consolidation = mergeOnly) {
+  return {
+    provider: 'mock',
+    model: 'mock-chat',
+    memory: { embeddingProvider: 'mock', analysisProvider: 'mock', consolidation }
+  };
+}
+
+function axis(i, dim = 8) {
+  return Array.from({ length: dim }, (_, j) => (j === i % dim ? 1 : 0));
+}
+
+let counter = 0;
+async function journal(character, vector, metadata = {}, model = 'model-a') {
+  const id = `consolidate-${++counter}`;
+  await insertItem({
+    vector,
+    metadata: { id, character, summary: `${character} entry ${counter}`, timestamp: 1000 + counter, importance: 0.5, ...metadata },
+    provider: 'test',
+    model
+  });
+  return id;
+}
+
+const entries = character => listItemsWithVectors(character).map(entry => entry.metadata);
+
+describe('merging duplicates', () => {
+  test('keeps the more important entry and folds the other one into it', async () => {
+    const older = await journal('Merger', axis(0), { importance: 0.9, topics: ['Harbour'], rawMessages: ['first'] });
+    const newer = await journal('Merger', axis(0), { importance: 0.4, topics: ['harbour', 'ships'], rawMessages: ['second'] });
+    await journal('Merger', axis(3));
+
+    expect(await consolidateCharacterMemories('Merger', consolidationSettings())).toEqual({ merged: 1, chapters: 0, arcs: 0 });
+    const [kept, other] = entries('Merger');
+    expect(entries('Merger')).toHaveLength(2);
+    expect(kept).toMatchObject({ id: older, importance: 0.9, topics: ['Harbour', 'ships'], rawMessages: ['first', 'second'], mergedFrom: [newer] });
+    expect(other.mergedFrom).toBeUndefined();
+  });
+
+  test('a pinned entry is kept, and two pinned entries are never merged', async () => {
+    const pinned = await journal('Pins', axis(1), { importance: 0.1 });
+    await journal('Pins', axis(1), { importance: 0.9 });
+    updateItem('Pins', pinned, { pinned: true });
+    await consolidateCharacterMemories('Pins', consolidationSettings());
+    expect(entries('Pins').map(meta => meta.id)).toEqual([pinned]);
+
+    const a = await journal('BothPinned', axis(2));
+    const b = await journal('BothPinned', axis(2));
+    updateItem('BothPinned', a, { pinned: true });
+    updateItem('BothPinned', b, { pinned: true });
+    expect((await consolidateCharacterMemories('BothPinned', consolidationSettings())).merged).toBe(0);
+  });
+
+  test('entries from different embedding models are not compared', async () => {
+    await journal('Models', axis(4), {}, 'model-a');
+    await journal('Models', axis(4), {}, 'model-b');
+    expect((await consolidateCharacterMemories('Models', consolidationSettings())).merged).toBe(0);
+  });
+
+  test('the threshold and window limit what counts as a duplicate', async () => {
+    await journal('Window', [1, 0, 0, 0]);
+    await journal('Window', [0, 0, 1, 0]);
+    await journal('Window', [0.9, 0.3, 0, 0]);
+    const narrow = consolidationSettings({ ...mergeOnly, dedupWindow: 1, dedupThreshold: 0.9 });
+    expect((await consolidateCharacterMemories('Window', narrow)).merged).toBe(0);
+    const strict = consolidationSettings({ ...mergeOnly, dedupThreshold: 0.99 });
+    expect((await consolidateCharacterMemories('Window', strict)).merged).toBe(0);
+    expect((await consolidateCharacterMemories('Window', consolidationSettings({ ...mergeOnly, dedupThreshold: 0.9 }))).merged).toBe(1);
+  });
+
+  test('relationship history and knowledge move to the kept entry', async () => {
+    const character = createCharacter({ name: 'Repointer', persona: 'A sailor.' });
+    const keep = await journal('Repointer', axis(5), { importance: 0.8 });
+    const drop = await journal('Repointer', axis(5), { importance: 0.2 });
+    recordRelationshipHistory(character.id, [{ participant: 'User', sentimentDelta: 0.1, sentiment: 0.1, status: 'neutral' }], drop);
+    recordKnowledge('Repointer', { entities: [{ name: 'The Gull', type: 'place' }] }, { memoryId: drop });
+
+    await consolidateCharacterMemories('Repointer', consolidationSettings());
+    expect(getRelationshipHistory(character.id).history[0].memoryId).toBe(keep);
+    expect(listEntities('Repointer').entities[0].sourceMemoryId).toBe(keep);
+
+    // Deleting the entry leaves them without a source
+    expect(deleteMemory('Repointer', keep)).toBe(true);
+    expect(getRelationshipHistory(character.id).history[0].memoryId).toBeNull();
+    expect(listEntities('Repointer').entities[0].sourceMemoryId).toBeNull();
+  });
+});
+
+describe('chapters and arcs', () => {
+  const rollups = { chapterSize: 2, keepRecent: 1, arcSize: 2, keepRecentChapters: 0 };
+
+  test('old entries roll up into chapters and old chapters into arcs', async () => {
+    for (let i = 0; i < 5; i++) await journal('Saga', axis(i));
+
+    const result = await consolidateCharacterMemories('Saga', consolidationSettings(rollups));
+    expect(result).toEqual({ merged: 0, chapters: 2, arcs: 1 });
+
+    const journalEntries = entries('Saga');
+    expect(journalEntries.filter(meta => meta.chapterId)).toHaveLength(4);
+    expect(journalEntries[4].chapterId).toBeUndefined();
+
+    const [chapter] = listItemsWithVectors('Saga', ['chapter']).map(item => item.metadata);
+    expect(chapter).toMatchObject({ type: 'chapter', sourceIds: journalEntries.slice(0, 2).map(meta => meta.id) });
+    expect(chapter.summary).toMatch(/^Mock summary/);
+    expect(chapter.period).toEqual({ start: journalEntries[0].timestamp, end: journalEntries[1].timestamp });
+
+    // Both chapters are in the arc, so the story so far is the arc alone
+    expect(getStorySoFar('Saga').map(part => part.type)).toEqual(['arc']);
+    expect(await consolidateCharacterMemories('Saga', consolidationSettings(rollups))).toEqual({ merged: 0, chapters: 0, arcs: 0 });
+  });
+
+  test('entries already in a chapter are only deduplicated by a full scan', async () => {
+    await journal('Rescan', axis(6));
+    await journal('Rescan', axis(7));
+    await consolidateCharacterMemories('Rescan', consolidationSettings({ chapterSize: 2, keepRecent: 0 }));
+    await journal('Rescan', axis(6));
+
+    expect((await consolidateCharacterMemories('Rescan', consolidationSettings())).merged).toBe(0);
+    expect((await consolidateCharacterMemories('Rescan', consolidationSettings(), { fullScan: true })).merged).toBe(1);
+  });
+});
+
+describe('scheduling', () => {
+  const messages = Array.from({ length: 10 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `Line ${i} about the voyage` }));
+
+  test('a new journal entry queues one consolidate job per character', async () => {
+    const character = createCharacter({ name: 'Scheduled', persona: 'A captain.' });
+    await createJournalEntry(messages, character, consolidationSettings());
+    await createJournalEntry(messages, character, consolidationSettings());
+    expect(listJobs({ type: 'consolidate', character: 'Scheduled' }).jobs).toHaveLength(1);
+  });
+
+  test('no job is queued when consolidation is disabled', async () => {
+    const character = createCharacter({ name: 'Unscheduled', persona: 'A cook.' });
+    expect(await createJournalEntry(messages, character, consolidationSettings({ enabled: false }))).not.toBeNull();
+    expect(listJobs({ type: 'consolidate', character: 'Unscheduled' }).total).toBe(0);
+  });
+});
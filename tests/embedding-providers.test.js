@@ -0,0 +1,95 @@
+// Embedding providers: the fallback chain, batching by provider.maxBatch and the embedding cache
+// keyed by provider, model and dimension, run against a fake Ollama server on 127.0.0.1
+import { getDatabase } from '../src/backend/database.js';
+import { getEmbeddingChain, getEmbeddingModel, getEmbeddingTarget, embedTexts } from '../src/backend/embedding-providers.js';
+import { startFakeServer } from './helpers/fake-server.js';
+
+let fake;
+
+beforeAll(async () => {
+  fake = await startFakeServer();
+});
+
+afterAll(async () => {
+  await fake.close();
+});
+
+beforeEach(() => {
+  fake.requests = [];
+  // One small vector per input, derived from the text so repeated texts can be told apart
+  fake.respond = request => ({ body: { embeddings: request.body.input.map(text => [text.length, 1]) } });
+});
+
+const ollama = (memory = {}) => ({ ollama: { baseUrl: fake.baseUrl }, memory: { embeddingProvider: 'ollama', ...memory } });
+
+function cachedRows(provider, model) {
+  return getDatabase().prepare('SELECT dimension FROM embedding_cache WHERE provider = ? AND model = ?').all(provider, model);
+}
+
+describe('the provider chain', () => {
+  test('cloud providers fall back to the default order, local ones to nothing', () => {
+    expect(getEmbeddingChain({ memory: { embeddingProvider: 'mistral' } })).toEqual(['mistral', 'gemini', 'nvidia', 'cohere']);
+    expect(getEmbeddingChain({ memory: { embeddingProvider: 'ollama' } })).toEqual(['ollama']);
+    expect(getEmbeddingChain({})).toEqual(['gemini', 'nvidia', 'mistral', 'cohere']);
+  });
+
+  test('a configured fallback order is used as given, without duplicates or unknown names', () => {
+    const settings = { memory: { embeddingProvider: 'ollama', embeddingFallbackOrder: ['mock', 'ollama', 'nope'] } };
+    expect(getEmbeddingChain(settings)).toEqual(['ollama', 'mock']);
+  });
+
+  test('the configured model name only applies to the configured provider', () => {
+    const settings = { memory: { embeddingProvider: 'ollama', embeddingModel: 'mxbai-embed-large' } };
+    expect(getEmbeddingTarget(settings)).toEqual({ provider: 'ollama', model: 'mxbai-embed-large' });
+    expect(getEmbeddingModel('koboldcpp', settings, false)).toBe('koboldcpp');
+    expect(getEmbeddingModel('nvidia', settings, true)).toBe('baai/bge-m3');
+  });
+});
+
+describe('embedTexts', () => {
+  test('a failing provider hands the whole batch to the next one', async () => {
+    fake.respond = () => ({ status: 500, body: { error: 'down' } });
+    const result = await embedTexts(['first', 'second'], ollama({ embeddingFallbackOrder: ['mock'] }));
+    expect(result).toMatchObject({ provider: 'mock', model: 'mock-embedding' });
+    expect(result.embeddings).toHaveLength(2);
+    expect(new Set(result.embeddings.map(vector => vector.length)).size).toBe(1);
+  });
+
+  test('returns no embeddings when every provider fails', async () => {
+    fake.respond = () => ({ status: 500, body: { error: 'down' } });
+    expect(await embedTexts(['alone'], ollama())).toEqual({ embeddings: [], provider: null, model: null });
+    expect(await embedTexts([], ollama())).toEqual({ embeddings: [], provider: null, model: null });
+  });
+
+  test('splits large inputs into batches and embeds repeated texts once', async () => {
+    const texts = Array.from({ length: 70 }, (_, i) => `batch text ${i}`);
+    const result = await embedTexts([...texts, 'batch text 0'], ollama());
+    expect(fake.requests.map(request => request.body.input.length)).toEqual([64, 6]);
+    expect(result.embeddings).toHaveLength(71);
+    expect(result.embeddings[70]).toEqual(result.embeddings[0]);
+  });
+});
+
+describe('the embedding cache', () => {
+  test('reuses vectors for the same provider and model', async () => {
+    const first = await embedTexts(['cache me', 'and me'], ollama({ embeddingModel: 'cache-model' }));
+    expect(fake.requests).toHaveLength(1);
+    expect(cachedRows('ollama', 'cache-model')).toEqual([{ dimension: 2 }, { dimension: 2 }]);
+
+    const second = await embedTexts(['and me', 'new one'], ollama({ embeddingModel: 'cache-model' }));
+    expect(fake.requests).toHaveLength(2);
+    expect(fake.requests[1].body.input).toEqual(['new one']);
+    expect(second.embeddings[0]).toEqual(first.embeddings[1]);
+  });
+
+  test('another model never reads the cached vectors', async () => {
+    await embedTexts(['shared text'], ollama({ embeddingModel: 'model-one' }));
+    await embedTexts(['shared text'], ollama({ embeddingModel: 'model-two' }));
+    expect(fake.requests.map(request => request.body.model)).toEqual(['model-one', 'model-two']);
+  });
+
+  test('mock embeddings are not cached', async () => {
+    await embedTexts(['offline text'], { memory: { embeddingProvider: 'mock' } });
+    expect(cachedRows('mock', 'mock-embedding')).toEqual([]);
+  });
+});
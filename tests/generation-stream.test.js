@@ -0,0 +1,144 @@
+// Resumable SSE generations: event ids, replay after Last-Event-ID, ring buffer snapshots and
+// terminal events. Clients are fake response objects that collect what was written.
+import { EventEmitter } from 'events';
+import {
+  createStreamGeneration,
+  getStreamGeneration,
+  findStreamGenerationForChat,
+  describeStreamGeneration,
+  emitGenerationEvent,
+  parseLastEventId,
+  attachStreamClient
+} from '../src/backend/generation-stream.js';
+
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.headersSent = false;
+  res.output = '';
+  res.ended = false;
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.flushHeaders = () => { res.headersSent = true; };
+  res.write = chunk => { res.output += chunk; };
+  res.end = () => { res.ended = true; };
+  return res;
+}
+
+// The events a client received, as { id, event, data }
+function receivedEvents(res) {
+  return res.output.split('\n\n').filter(block => block.startsWith('id:')).map(block => {
+    const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+    return { id: fields.id, event: fields.event, data: JSON.parse(fields.data) };
+  });
+}
+
+const openClients = [];
+function attach(generation, afterSeq) {
+  const res = fakeResponse();
+  attachStreamClient(generation, res, afterSeq);
+  openClients.push(res);
+  return res;
+}
+
+afterEach(() => {
+  // Closing stops the heartbeat timers of clients that are still attached
+  for (const res of openClients.splice(0)) res.emit('close');
+});
+
+describe('parseLastEventId', () => {
+  test('reads <generationId>:<seq> and bare numbers', () => {
+    expect(parseLastEventId('abc-123:7')).toEqual({ generationId: 'abc-123', seq: 7 });
+    expect(parseLastEventId('12')).toEqual({ generationId: null, seq: 12 });
+    expect(parseLastEventId('abc:nope')).toEqual({ generationId: 'abc', seq: 0 });
+    expect(parseLastEventId(undefined)).toEqual({ generationId: null, seq: 0 });
+  });
+});
+
+describe('stream generations', () => {
+  test('events are numbered per generation and sent to attached clients', () => {
+    const generation = createStreamGeneration('character:Aria', 'Hello');
+    const res = attach(generation, 0);
+    expect(res.headers['Content-Type']).toMatch(/text\/event-stream/);
+
+    emitGenerationEvent(generation, 'token', { token: 'Hi' });
+    emitGenerationEvent(generation, 'token', { token: ' there' });
+    expect(receivedEvents(res)).toEqual([
+      { id: `${generation.id}:1`, event: 'token', data: { token: 'Hi' } },
+      { id: `${generation.id}:2`, event: 'token', data: { token: ' there' } }
+    ]);
+    expect(generation.content).toBe('Hi there');
+    expect(describeStreamGeneration(generation)).toMatchObject({ status: 'running', userMessage: 'Hello', lastEventId: `${generation.id}:2` });
+  });
+
+  test('a reconnecting client gets only the events after its Last-Event-ID', () => {
+    const generation = createStreamGeneration('character:Resume');
+    ['a', 'b', 'c'].forEach(token => emitGenerationEvent(generation, 'token', { token }));
+
+    const res = attach(generation, parseLastEventId(`${generation.id}:1`).seq);
+    expect(receivedEvents(res).map(event => event.data.token)).toEqual(['b', 'c']);
+    emitGenerationEvent(generation, 'token', { token: 'd' });
+    expect(receivedEvents(res).map(event => event.data.token)).toEqual(['b', 'c', 'd']);
+  });
+
+  test('a terminal event finishes the generation and closes its clients', () => {
+    const generation = createStreamGeneration('character:Done');
+    const res = attach(generation, 0);
+    emitGenerationEvent(generation, 'done', { content: 'ok' });
+    emitGenerationEvent(generation, 'token', { token: 'late' });
+
+    expect(res.ended).toBe(true);
+    expect(generation.status).toBe('done');
+    expect(generation.finishedAt).not.toBeNull();
+    expect(receivedEvents(res).map(event => event.event)).toEqual(['done']);
+  });
+
+  test('a finished generation can still be replayed, then the response ends', () => {
+    const generation = createStreamGeneration('character:Replay');
+    emitGenerationEvent(generation, 'token', { token: 'x' });
+    emitGenerationEvent(generation, 'cancelled', {});
+
+    const res = attach(generation, 0);
+    expect(receivedEvents(res).map(event => event.event)).toEqual(['token', 'cancelled']);
+    expect(res.ended).toBe(true);
+    expect(generation.clients.size).toBe(0);
+  });
+
+  test('a client behind the ring buffer gets a snapshot of the text it missed', () => {
+    const generation = createStreamGeneration('character:Long');
+    emitGenerationEvent(generation, 'thinking', { text: 'plan' });
+    for (let i = 0; i < 600; i++) emitGenerationEvent(generation, 'token', { token: `${i % 10}` });
+
+    const res = attach(generation, 0);
+    const events = receivedEvents(res);
+    const [snapshot, first] = events;
+    expect(snapshot.event).toBe('snapshot');
+    expect(snapshot.id).toBe(`${generation.id}:${generation.events[0].seq - 1}`);
+    expect(snapshot.data.thinking).toBe('plan');
+
+    // Snapshot plus the replayed buffer rebuild the whole reply
+    const replayed = events.slice(1).map(event => event.data.token).join('');
+    expect(snapshot.data.content + replayed).toBe(generation.content);
+    expect(first.id).toBe(`${generation.id}:${generation.events[0].seq}`);
+  });
+
+  test('generations are found by id and by chat, newest first', () => {
+    const older = createStreamGeneration('character:Lookup');
+    older.createdAt -= 1000;
+    const newer = createStreamGeneration('character:Lookup');
+
+    expect(getStreamGeneration(older.id)).toBe(older);
+    expect(findStreamGenerationForChat('character:Lookup')).toBe(newer);
+    expect(findStreamGenerationForChat('character:Nobody')).toBeNull();
+  });
+
+  test('closing a connection detaches the client without stopping the generation', () => {
+    const generation = createStreamGeneration('character:Detach');
+    const res = attach(generation, 0);
+    res.emit('close');
+    emitGenerationEvent(generation, 'token', { token: 'still running' });
+
+    expect(generation.clients.size).toBe(0);
+    expect(generation.status).toBe('running');
+    expect(generation.content).toBe('still running');
+  });
+});
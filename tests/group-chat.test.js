@@ -0,0 +1,120 @@
+// Group chats: storage, speaker selection strategies and turn generation through the mock provider
+import {
+  createGroupChat,
+  loadGroupChat,
+  loadGroupChatHistory,
+  saveGroupChatHistory,
+  selectNextSpeaker,
+  generateGroupResponse
+} from '../src/backend/group-chat-system.js';
+import { createCharacter } from '../src/backend/character-system-sqlite.js';
+import { listJobs } from '../src/backend/job-queue.js';
+import { resetMockProvider, getMockCalls } from '../src/backend/mock-provider.js';
+
+const members = ['Aria', 'Bram', 'Cora'].map(name => ({ name, persona: `${name} persona`, relationships: {}, settingsOverride: {} }));
+const settings = {
+  provider: 'mock',
+  model: 'mock-chat',
+  user: { name: 'Rowan' },
+  memory: { embeddingProvider: 'mock', analysisProvider: 'mock', queryEmbeddingMethod: 'plain', journalFrequency: 2 }
+};
+
+beforeAll(() => {
+  for (const member of members) createCharacter({ name: member.name, persona: member.persona });
+});
+
+beforeEach(() => {
+  resetMockProvider();
+});
+
+describe('group storage', () => {
+  test('creates a group and keeps the member order', () => {
+    const group = createGroupChat({ name: 'Tavern', members: ['Cora', 'Aria'], speakerStrategy: 'mention' });
+    expect(group).toMatchObject({ name: 'Tavern', members: ['Cora', 'Aria'], speakerStrategy: 'mention', lastSpeaker: null });
+    expect(loadGroupChat(group.id).members).toEqual(['Cora', 'Aria']);
+  });
+
+  test('rejects unknown members, single members and unknown strategies', () => {
+    expect(createGroupChat({ name: 'Bad', members: ['Aria', 'Nobody'] })).toBeNull();
+    expect(createGroupChat({ name: 'Bad', members: ['Aria'] })).toBeNull();
+    expect(createGroupChat({ name: 'Bad', members: ['Aria', 'Bram'], speakerStrategy: 'random' })).toBeNull();
+  });
+
+  test('history keeps who spoke each line', () => {
+    const group = createGroupChat({ name: 'History', members: ['Aria', 'Bram'] });
+    saveGroupChatHistory(group.id, [
+      { role: 'user', content: 'Hello both' },
+      { role: 'assistant', speaker: 'Bram', content: 'Evening.', reasoning: 'be curt' }
+    ]);
+    const history = loadGroupChatHistory(group.id);
+    expect(history).toHaveLength(2);
+    expect(history[1]).toMatchObject({ role: 'assistant', speaker: 'Bram', content: 'Evening.', reasoning: 'be curt' });
+  });
+});
+
+describe('speaker selection', () => {
+  const history = [{ role: 'user', content: 'Cora, what do you think? Bram can wait.' }];
+
+  test('round robin follows member order and wraps around', async () => {
+    const group = { name: 'RR', speakerStrategy: 'round-robin', lastSpeaker: 'Bram' };
+    expect((await selectNextSpeaker(group, members, history, settings)).name).toBe('Cora');
+    group.lastSpeaker = 'Cora';
+    expect((await selectNextSpeaker(group, members, history, settings)).name).toBe('Aria');
+  });
+
+  test('mention picks the earliest named member other than the last speaker', async () => {
+    expect((await selectNextSpeaker({ name: 'M', speakerStrategy: 'mention', lastSpeaker: null }, members, history, settings)).name).toBe('Cora');
+    expect((await selectNextSpeaker({ name: 'M', speakerStrategy: 'mention', lastSpeaker: 'Cora' }, members, history, settings)).name).toBe('Bram');
+  });
+
+  test('mention without a name falls back to round robin', async () => {
+    const group = { name: 'M', speakerStrategy: 'mention', lastSpeaker: 'Aria' };
+    expect((await selectNextSpeaker(group, members, [{ role: 'user', content: 'Anyone?' }], settings)).name).toBe('Bram');
+  });
+
+  test('a requested speaker always wins', async () => {
+    const group = { name: 'R', speakerStrategy: 'mention', lastSpeaker: 'Aria' };
+    expect((await selectNextSpeaker(group, members, history, settings, 'Aria')).name).toBe('Aria');
+  });
+
+  test('an unusable LLM pick falls back to mention', async () => {
+    const group = { name: 'LLM', speakerStrategy: 'llm', lastSpeaker: null };
+    expect((await selectNextSpeaker(group, members, history, settings)).name).toBe('Cora');
+
+    const [call] = getMockCalls();
+    expect(call.messages[0].content).toContain('Characters: Aria, Bram, Cora');
+  });
+});
+
+describe('generateGroupResponse', () => {
+  test('the speaker answers from its own perspective and the name prefix is stripped', async () => {
+    const group = { name: 'Scene', speakerStrategy: 'round-robin', lastSpeaker: 'Aria', lastJournalIndex: 0 };
+    const history = [
+      { role: 'user', content: 'Hello' },
+      { role: 'assistant', speaker: 'Aria', content: 'Hi Rowan!', reasoning: 'Aria private thought' }
+    ];
+    const result = await generateGroupResponse(group, members, { name: 'Rowan' }, history,
+      { ...settings, memory: { ...settings.memory, enableMemoryCreation: false }, mock: { responses: ['Bram: *nods* Evening.'] } });
+
+    expect(result.speaker.name).toBe('Bram');
+    expect(result.response).toBe('*nods* Evening.');
+    expect(history[history.length - 1]).toMatchObject({ role: 'assistant', speaker: 'Bram', content: '*nods* Evening.' });
+    expect(group.lastSpeaker).toBe('Bram');
+
+    const chatCall = getMockCalls().find(call => call.messages.some(m => m.role === 'system'));
+    const prompt = chatCall.messages.map(m => m.content).join('\n');
+    expect(prompt).toContain('Rowan: Hello');
+    expect(prompt).toContain('Aria: Hi Rowan!');
+    expect(prompt).not.toContain('Aria private thought');
+  });
+
+  test('journals the scene into every member\'s memory', async () => {
+    const group = { name: 'Journal', speakerStrategy: 'round-robin', lastSpeaker: 'Bram', lastJournalIndex: 0 };
+    const history = [{ role: 'user', content: 'Tell me a story' }];
+    await generateGroupResponse(group, members, { name: 'Rowan' }, history, settings);
+
+    expect(group.lastJournalIndex).toBe(2);
+    const journaled = listJobs({ type: 'journal' }).jobs.map(job => job.character).sort();
+    expect(journaled).toEqual(['Aria', 'Bram', 'Cora']);
+  });
+});
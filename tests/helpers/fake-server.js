@@ -0,0 +1,37 @@
+// A throwaway HTTP server on 127.0.0.1 standing in for a provider: it records each request and
+// answers with whatever the current responder returns ({ status, type, body }).
+import http from 'http';
+
+function startFakeServer() {
+  const fake = {
+    baseUrl: null,
+    requests: [],
+    respond: () => ({ status: 404, body: {} })
+  };
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : null };
+      fake.requests.push(request);
+      const { status = 200, type = 'application/json', body } = fake.respond(request);
+      res.writeHead(status, { 'Content-Type': type });
+      res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+  });
+  fake.close = () => new Promise(resolve => server.close(resolve));
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    fake.baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve(fake);
+  }));
+}
+
+// Server-sent events body from JSON payloads (strings such as '[DONE]' are sent as is)
+function sse(events) {
+  return events.map(event => `data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`).join('');
+}
+
+export {
+  startFakeServer,
+  sse
+};
@@ -0,0 +1,90 @@
+// Hybrid memory search: BM25 keyword search over FTS5, reciprocal rank fusion with the vector
+// ranking, and the keyword-only fallback when no query embedding can be made
+import { searchText } from '../src/backend/vector-store-sqlite-vec.js';
+import { createMemory, retrieveRelevantMemories } from '../src/backend/memory-system.js';
+
+// Similarity is the only ranking component, so results come back in fused (retrieval) order
+const onlySimilarity = { similarity: 10, rerank: 0, recency: 0, importance: 0, emotionalSignificance: 0, decisionRelevance: 0 };
+
+function searchSettings(memory = {}) {
+  return {
+    memory: { embeddingProvider: 'mock', queryEmbeddingMethod: 'plain', enableReranking: false, weights: onlySimilarity, ...memory }
+  };
+}
+
+async function seed(character, summaries, settings = searchSettings()) {
+  for (const entry of summaries) {
+    const fields = typeof entry === 'string' ? { summary: entry } : entry;
+    await createMemory(character, fields, settings);
+  }
+}
+
+const summaries = () => [
+  'Rowan found a silver compass at the harbour',
+  'Aria sang by the fire all night',
+  'A storm wrecked the fishing boats',
+  { summary: 'The old map was torn in half', topics: ['treasure'] },
+  'Rowan and Aria argued about money'
+];
+
+describe('keyword search', () => {
+  beforeAll(() => seed('Keywords', summaries()));
+
+  test('matches words in summaries and topics, best first', () => {
+    expect(searchText('compass', 5, 'Keywords').map(r => r.item.metadata.summary)).toEqual(['Rowan found a silver compass at the harbour']);
+    expect(searchText('treasure', 5, 'Keywords').map(r => r.item.metadata.summary)).toEqual(['The old map was torn in half']);
+    const [best] = searchText('Rowan Aria argued', 5, 'Keywords');
+    expect(best.item.metadata.summary).toBe('Rowan and Aria argued about money');
+  });
+
+  test('is scoped to one character', () => {
+    expect(searchText('compass', 5, 'Nobody')).toEqual([]);
+  });
+
+  test('user text cannot inject FTS syntax, and stopwords alone find nothing', () => {
+    expect(() => searchText('compass" OR * NEAR(', 5, 'Keywords')).not.toThrow();
+    expect(searchText('compass" OR * NEAR(', 5, 'Keywords')).toHaveLength(1);
+    expect(searchText('the and with', 5, 'Keywords')).toEqual([]);
+  });
+});
+
+describe('rank fusion', () => {
+  beforeAll(() => seed('Fusion', summaries()));
+
+  test('a memory found by both rankings comes first and carries both ranks', async () => {
+    const [first] = await retrieveRelevantMemories('silver compass', { name: 'Fusion' }, 3, searchSettings());
+    expect(first).toMatchObject({ summary: 'Rowan found a silver compass at the harbour', vectorRank: 1, lexicalRank: 1 });
+    expect(first.fusedScore).toBeCloseTo(2 / 61);
+  });
+
+  test('rrfK and the weights shape the fused score', async () => {
+    const settings = searchSettings({ rrfK: 10, hybridWeights: { vector: 0.5, lexical: 2 } });
+    const [first] = await retrieveRelevantMemories('silver compass', { name: 'Fusion' }, 3, settings);
+    expect(first.fusedScore).toBeCloseTo(0.5 / 11 + 2 / 11);
+  });
+
+  test('with only the keyword weight the keyword ranking decides the order', async () => {
+    const settings = searchSettings({ hybridWeights: { vector: 0, lexical: 1 } });
+    const results = await retrieveRelevantMemories('treasure map', { name: 'Fusion' }, 2, settings);
+    expect(results[0]).toMatchObject({ summary: 'The old map was torn in half', lexicalRank: 1 });
+  });
+
+  test('hybridSearch off uses the vector ranking alone', async () => {
+    const results = await retrieveRelevantMemories('silver compass', { name: 'Fusion' }, 3, searchSettings({ hybridSearch: false }));
+    expect(results[0].summary).toBe('Rowan found a silver compass at the harbour');
+    expect(results.every(memory => memory.lexicalRank === undefined && memory.fusedScore === undefined)).toBe(true);
+  });
+});
+
+describe('keyword fallback', () => {
+  test('without a query embedding the keyword matches are still returned', async () => {
+    await seed('Offline', summaries());
+    // A local provider that is not running and no fallback: no embedding can be made
+    const settings = {
+      ollama: { baseUrl: 'http://127.0.0.1:9' },
+      memory: { embeddingProvider: 'ollama', embeddingFallbackOrder: [], queryEmbeddingMethod: 'plain', enableReranking: false }
+    };
+    const results = await retrieveRelevantMemories('what about the storm?', { name: 'Offline' }, 3, settings);
+    expect(results.map(memory => memory.summary)).toEqual(['A storm wrecked the fishing boats']);
+  });
+});
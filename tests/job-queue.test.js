@@ -0,0 +1,191 @@
+// Background job queue: retries with exponential backoff, per-lane ordering, progress,
+// cancelling and retrying jobs, and picking up jobs a previous process left running
+import { getDatabase } from '../src/backend/database.js';
+import {
+  registerJobHandler,
+  enqueueJob,
+  getJob,
+  cancelJob,
+  retryJob,
+  startJobWorker,
+  stopJobWorker
+} from '../src/backend/job-queue.js';
+
+// Poll until the job reaches one of the statuses (the worker runs on timers)
+async function waitForJob(id, statuses = ['completed', 'failed', 'cancelled'], timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const job = getJob(id);
+    if (statuses.includes(job.status)) return job;
+    if (Date.now() > deadline) throw new Error(`Job ${id} is still ${job.status}`);
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+beforeAll(() => {
+  startJobWorker();
+});
+
+afterAll(() => {
+  stopJobWorker();
+});
+
+describe('retries', () => {
+  test('a failing job is retried with a doubling delay until it succeeds', async () => {
+    const attempts = [];
+    registerJobHandler('flaky', async (payload, { job }) => {
+      attempts.push({ at: Date.now(), attempt: job.attempts });
+      if (attempts.length < 3) throw new Error(`boom ${attempts.length}`);
+      return { ok: payload.value };
+    }, { backoffMs: 30 });
+
+    const job = await waitForJob(enqueueJob('flaky', { value: 7 }).id);
+    expect(job).toMatchObject({ status: 'completed', attempts: 3, result: { ok: 7 }, error: null });
+    expect(attempts.map(entry => entry.attempt)).toEqual([1, 2, 3]);
+    expect(attempts[1].at - attempts[0].at).toBeGreaterThanOrEqual(30);
+    expect(attempts[2].at - attempts[1].at).toBeGreaterThanOrEqual(60);
+  });
+
+  test('a job fails once its attempts are used up', async () => {
+    registerJobHandler('doomed', async () => { throw new Error('always broken'); }, { maxAttempts: 2, backoffMs: 5 });
+    const job = await waitForJob(enqueueJob('doomed').id);
+    expect(job).toMatchObject({ status: 'failed', attempts: 2, maxAttempts: 2, error: 'always broken' });
+    expect(job.finishedAt).toBeGreaterThan(0);
+  });
+
+  test('an error marked as not retryable fails the job at once', async () => {
+    registerJobHandler('fatal', async () => {
+      const error = new Error('bad payload');
+      error.retryable = false;
+      throw error;
+    }, { backoffMs: 5 });
+    expect(await waitForJob(enqueueJob('fatal').id)).toMatchObject({ status: 'failed', attempts: 1 });
+  });
+});
+
+describe('lanes', () => {
+  test('jobs of one type run one at a time, in order', async () => {
+    const order = [];
+    const gate = deferred();
+    registerJobHandler('serial', async ({ n }) => {
+      order.push(`start ${n}`);
+      if (n === 1) await gate.promise;
+      order.push(`end ${n}`);
+    });
+    const first = enqueueJob('serial', { n: 1 });
+    const second = enqueueJob('serial', { n: 2 });
+    await waitForJob(first.id, ['running']);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(getJob(second.id).status).toBe('queued');
+
+    gate.resolve();
+    await waitForJob(second.id);
+    expect(order).toEqual(['start 1', 'end 1', 'start 2', 'end 2']);
+  });
+
+  test('grouped types share a lane per character, and characters run side by side', async () => {
+    const gate = deferred();
+    const started = [];
+    const run = async ({ label }) => {
+      started.push(label);
+      if (label === 'aria journal') await gate.promise;
+    };
+    registerJobHandler('lane-journal', run, { group: 'lane-memory' });
+    registerJobHandler('lane-recycle', run, { group: 'lane-memory' });
+
+    const ariaJournal = enqueueJob('lane-journal', { label: 'aria journal' }, { character: 'Aria' });
+    const ariaRecycle = enqueueJob('lane-recycle', { label: 'aria recycle' }, { character: 'Aria' });
+    const rowanRecycle = enqueueJob('lane-recycle', { label: 'rowan recycle' }, { character: 'Rowan' });
+
+    await waitForJob(rowanRecycle.id);
+    expect(getJob(ariaJournal.id).status).toBe('running');
+    expect(getJob(ariaRecycle.id).status).toBe('queued');
+
+    gate.resolve();
+    await waitForJob(ariaRecycle.id);
+    expect(started).toEqual(['aria journal', 'rowan recycle', 'aria recycle']);
+  });
+
+  test('a job waiting for its retry holds up the rest of its lane', async () => {
+    const calls = [];
+    registerJobHandler('blocking', async ({ n }) => {
+      calls.push(n);
+      if (n === 1 && calls.length === 1) throw new Error('try again');
+    }, { backoffMs: 40 });
+    enqueueJob('blocking', { n: 1 });
+    const later = enqueueJob('blocking', { n: 2 });
+    await waitForJob(later.id);
+    expect(calls).toEqual([1, 1, 2]);
+  });
+});
+
+test('handlers can report progress', async () => {
+  registerJobHandler('progressive', async (payload, { reportProgress }) => {
+    reportProgress({ done: 1, total: 2 });
+    return 'finished';
+  });
+  const job = await waitForJob(enqueueJob('progressive').id);
+  expect(job).toMatchObject({ progress: { done: 1, total: 2 }, result: 'finished' });
+});
+
+describe('cancelling and retrying', () => {
+  test('a queued job can be cancelled before it runs', async () => {
+    let ran = false;
+    registerJobHandler('later', async () => { ran = true; });
+    const job = enqueueJob('later', {}, { delayMs: 60000 });
+    expect(cancelJob(job.id).job.status).toBe('cancelled');
+    expect(cancelJob(job.id)).toEqual({ error: 'Job is already cancelled.', status: 409 });
+    expect(cancelJob(999999)).toEqual({ error: 'Job not found.', status: 404 });
+    expect(ran).toBe(false);
+  });
+
+  test('a running job is only cancelled when its handler watches the signal', async () => {
+    const stop = deferred();
+    registerJobHandler('watching', (payload, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }), { cancellable: true });
+    registerJobHandler('stubborn', () => stop.promise);
+
+    const watching = enqueueJob('watching');
+    await waitForJob(watching.id, ['running']);
+    cancelJob(watching.id);
+    expect(await waitForJob(watching.id)).toMatchObject({ status: 'cancelled', error: 'aborted' });
+
+    const stubborn = enqueueJob('stubborn');
+    await waitForJob(stubborn.id, ['running']);
+    expect(cancelJob(stubborn.id)).toEqual({ error: 'Running stubborn jobs cannot be cancelled.', status: 409 });
+    stop.resolve();
+    expect((await waitForJob(stubborn.id)).status).toBe('completed');
+  });
+
+  test('failed and cancelled jobs can be queued again with fresh attempts', async () => {
+    let fail = true;
+    registerJobHandler('second-chance', async () => {
+      if (fail) throw new Error('not yet');
+      return 'done';
+    }, { maxAttempts: 1 });
+
+    const job = await waitForJob(enqueueJob('second-chance').id);
+    expect(job.status).toBe('failed');
+    fail = false;
+    expect(retryJob(job.id).job).toMatchObject({ status: 'queued', attempts: 0, error: null });
+    expect(await waitForJob(job.id)).toMatchObject({ status: 'completed', attempts: 1, result: 'done' });
+    expect(retryJob(job.id)).toEqual({ error: 'Only failed or cancelled jobs can be retried (job is completed).', status: 409 });
+  });
+});
+
+test('jobs left running by a previous process are queued again on start', async () => {
+  stopJobWorker();
+  registerJobHandler('interrupted', async () => 'resumed');
+  const job = enqueueJob('interrupted');
+  getDatabase().prepare("UPDATE jobs SET status = 'running', attempts = 1 WHERE id = ?").run(job.id);
+
+  startJobWorker();
+  expect(await waitForJob(job.id)).toMatchObject({ status: 'completed', attempts: 2, result: 'resumed' });
+});
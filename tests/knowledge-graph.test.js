@@ -0,0 +1,152 @@
+// Knowledge graph: entities and facts recorded from journal analysis, newer facts superseding
+// older ones, deleting facts and entities, searching, and the known facts section of the prompt
+import {
+  recordKnowledge,
+  listEntities,
+  getEntity,
+  listFacts,
+  deleteEntity,
+  deleteFact,
+  clearKnowledge,
+  buildKnownFactsSection
+} from '../src/backend/knowledge-graph.js';
+
+const countTokens = text => Math.ceil(text.length / 4);
+
+describe('recording knowledge', () => {
+  test('entities are unique by name and refined by later mentions', () => {
+    recordKnowledge('Keeper', { entities: [{ name: 'Rowan', type: 'alien' }] }, { memoryId: 'm1', timestamp: 100 });
+    const counts = recordKnowledge('Keeper', {
+      entities: [{ name: 'rowan', type: 'person', description: 'A  sailor\nfrom the north' }],
+      participants: ['Aria', 'ROWAN']
+    }, { memoryId: 'm2', timestamp: 200 });
+    expect(counts).toEqual({ entities: 2, facts: 0 });
+
+    const { entities, total } = listEntities('Keeper');
+    expect(total).toBe(2);
+    expect(entities.find(entity => entity.name === 'Rowan')).toMatchObject({
+      kind: 'person', description: 'A sailor from the north', mentions: 2, firstSeen: 100, lastUpdated: 200, sourceMemoryId: 'm2'
+    });
+    expect(entities.find(entity => entity.name === 'Aria')).toMatchObject({ kind: 'person' });
+  });
+
+  test('facts link to their object entity and repeats count as mentions', () => {
+    recordKnowledge('Linker', {
+      entities: [{ name: 'The Gull', type: 'place' }],
+      facts: [{ subject: 'Rowan', predicate: 'lives in', object: 'The Gull' }]
+    }, { timestamp: 100 });
+    recordKnowledge('Linker', { facts: [{ subject: 'Rowan', predicate: 'lives in', object: 'the gull' }] }, { timestamp: 200 });
+
+    const { facts } = listFacts('Linker');
+    expect(facts).toHaveLength(1);
+    expect(facts[0]).toMatchObject({ subject: 'Rowan', predicate: 'lives in', object: 'The Gull', mentions: 2, active: true });
+    const gull = listEntities('Linker', { kind: 'place' }).entities[0];
+    expect(facts[0].objectId).toBe(gull.id);
+    expect(getEntity('Linker', gull.id).mentionedIn.map(fact => fact.id)).toEqual([facts[0].id]);
+  });
+});
+
+describe('superseding', () => {
+  const record = (object, timestamp) => recordKnowledge('Mover', {
+    facts: [{ subject: 'Aria', predicate: 'Lives in', object }]
+  }, { timestamp });
+
+  beforeAll(() => {
+    record('the harbour', 100);
+    record('the castle', 200);
+    recordKnowledge('Mover', { facts: [{ subject: 'Aria', predicate: 'owns', object: 'a lute' }] }, { timestamp: 150 });
+  });
+
+  test('a newer fact with the same subject and predicate replaces the older one', () => {
+    expect(listFacts('Mover').facts.map(fact => fact.object)).toEqual(['the castle', 'a lute']);
+
+    const all = listFacts('Mover', { includeSuperseded: true }).facts;
+    const current = all.find(fact => fact.object === 'the castle');
+    expect(all.find(fact => fact.object === 'the harbour')).toMatchObject({ active: false, supersededBy: current.id });
+
+    // The entity keeps superseded facts as history
+    expect(getEntity('Mover', current.subjectId).facts.map(fact => fact.object)).toEqual(['the castle', 'a lute', 'the harbour']);
+  });
+
+  test('an older fact recorded late does not replace the current one', () => {
+    record('a cave', 50);
+    expect(listFacts('Mover', { q: 'lives' }).facts.map(fact => fact.object)).toEqual(['the castle']);
+  });
+
+  test('deleting the current fact makes the previous one current again', () => {
+    const current = listFacts('Mover', { q: 'castle' }).facts[0];
+    expect(deleteFact('Mover', current.id)).toBe(true);
+    expect(deleteFact('Mover', current.id)).toBe(false);
+    expect(listFacts('Mover', { q: 'lives' }).facts).toEqual([expect.objectContaining({ object: 'the harbour', active: true, supersededBy: null })]);
+  });
+});
+
+describe('searching and deleting', () => {
+  beforeAll(() => {
+    recordKnowledge('Search', {
+      entities: [
+        { name: '100% Rum', type: 'item', description: 'A bottle' },
+        { name: '1000 Rum', type: 'item' },
+        { name: 'snake_eye', type: 'person', description: 'A pirate' }
+      ],
+      facts: [{ subject: 'snake_eye', predicate: 'drinks', object: '100% Rum' }]
+    });
+  });
+
+  test('% and _ in the search text are matched literally', () => {
+    expect(listEntities('Search', { q: '100%' }).entities.map(entity => entity.name)).toEqual(['100% Rum']);
+    expect(listEntities('Search', { q: 'e_e' }).entities.map(entity => entity.name)).toEqual(['snake_eye']);
+    expect(listEntities('Search', { q: 'ke_' }).total).toBe(1);
+    expect(listEntities('Search', { q: 'pirate' }).total).toBe(1);
+    expect(listFacts('Search', { q: '0%' }).total).toBe(1);
+    expect(listFacts('Search', { q: 'x_x' }).total).toBe(0);
+  });
+
+  test('deleting an entity removes its facts but keeps facts that name it', () => {
+    const rum = listEntities('Search', { q: '100%' }).entities[0];
+    expect(deleteEntity('Search', rum.id)).toBe(true);
+    expect(listFacts('Search').facts).toEqual([expect.objectContaining({ object: '100% Rum', objectId: null })]);
+
+    const snake = listEntities('Search', { q: 'snake' }).entities[0];
+    deleteEntity('Search', snake.id);
+    expect(listFacts('Search').total).toBe(0);
+  });
+
+  test('knowledge is kept per character', () => {
+    expect(listEntities('Nobody').total).toBe(0);
+    expect(clearKnowledge('Search')).toBe(1);
+    expect(listEntities('Search').total).toBe(0);
+  });
+});
+
+describe('known facts section', () => {
+  beforeAll(() => {
+    recordKnowledge('Prompter', {
+      entities: [
+        { name: 'Mira', type: 'person', description: 'The harbour master' },
+        { name: 'Tobin', type: 'person', description: 'A fisherman' },
+        { name: 'Nobody Special', type: 'person' }
+      ],
+      facts: [{ subject: 'Mira', predicate: 'owes', object: 'Tobin ten gold' }]
+    });
+    // Tobin is mentioned more often, so he comes first unless Mira is named
+    recordKnowledge('Prompter', { participants: ['Tobin'] });
+  });
+
+  test('lists entities with details and their current facts', () => {
+    const { text, entityCount } = buildKnownFactsSection('Prompter', [], '', 1000, countTokens);
+    expect(entityCount).toBe(2);
+    expect(text).toContain('• Mira (person): The harbour master\n  - owes Tobin ten gold\n');
+    expect(text).not.toContain('Nobody Special');
+    expect(text.indexOf('Tobin (person)')).toBeLessThan(text.indexOf('Mira (person)'));
+  });
+
+  test('entities named in the recent conversation come first and the budget is kept', () => {
+    const history = [{ role: 'user', content: 'Have you seen Mira?' }];
+    const { text } = buildKnownFactsSection('Prompter', history, '', 1000, countTokens);
+    expect(text.indexOf('Mira (person)')).toBeLessThan(text.indexOf('Tobin (person)'));
+
+    expect(buildKnownFactsSection('Prompter', history, '', 5, countTokens)).toEqual({ text: '', entityCount: 0 });
+    expect(buildKnownFactsSection('Empty', [], '', 1000, countTokens)).toEqual({ text: '', entityCount: 0 });
+  });
+});
@@ -0,0 +1,102 @@
+// Native Ollama and KoboldCpp backends (chat, model lists and embeddings), run against a fake
+// provider server on 127.0.0.1
+import { getProviderHandler, listOllamaModels, listKoboldCppModels } from '../src/backend/llm-providers.js';
+import { embedTexts } from '../src/backend/embedding-providers.js';
+import { startFakeServer, sse } from './helpers/fake-server.js';
+
+let fake;
+
+beforeAll(async () => {
+  fake = await startFakeServer();
+});
+
+afterAll(async () => {
+  await fake.close();
+});
+
+beforeEach(() => {
+  fake.requests = [];
+});
+
+const messages = [{ role: 'system', content: 'You are Aria.' }, { role: 'user', content: 'Hello' }];
+
+describe('Ollama', () => {
+  const settings = () => ({ ollama: { baseUrl: fake.baseUrl } });
+
+  test('sends samplers as options and returns the thinking separately', async () => {
+    fake.respond = () => ({ body: { message: { content: 'Ahoy', thinking: 'pirate voice' }, done: true } });
+    const reply = await getProviderHandler('ollama', settings())(messages,
+      { ...settings(), model: 'llama3', maxTokens: 100, repetitionPenalty: 1.1, maxContextTokens: 4096 });
+
+    expect(reply).toBe('<think>pirate voice</think>Ahoy');
+    expect(fake.requests[0].url).toBe('/api/chat');
+    expect(fake.requests[0].body).toMatchObject({ model: 'llama3', stream: false, options: { num_predict: 100, repeat_penalty: 1.1, num_ctx: 4096 } });
+  });
+
+  test('streams newline-delimited JSON', async () => {
+    fake.respond = () => ({
+      type: 'application/x-ndjson',
+      body: [{ message: { content: 'Ah' } }, { message: { content: 'oy' } }, { done: true }].map(line => JSON.stringify(line)).join('\n')
+    });
+    const tokens = [];
+    const reply = await getProviderHandler('ollama', settings())(messages,
+      { ...settings(), model: 'llama3', stream: true, onToken: token => tokens.push(token) });
+    expect(reply).toBe('Ahoy');
+    expect(tokens).toEqual(['Ah', 'oy']);
+  });
+
+  test('requires a model and lists the installed ones', async () => {
+    await expect(getProviderHandler('ollama', settings())(messages, settings())).rejects.toThrow(/no model selected/);
+
+    fake.respond = () => ({ body: { models: [{ name: 'llama3:8b' }, { model: 'qwen2' }] } });
+    expect(await listOllamaModels(settings())).toEqual([{ id: 'llama3:8b', name: 'llama3:8b' }, { id: 'qwen2', name: 'qwen2' }]);
+  });
+
+  test('embeds through /api/embed', async () => {
+    fake.respond = () => ({ body: { embeddings: [[0.1, 0.2], [0.3, 0.4]] } });
+    const result = await embedTexts(['ollama one', 'ollama two'], { ...settings(), memory: { embeddingProvider: 'ollama' } });
+    expect(result).toMatchObject({ provider: 'ollama', model: 'nomic-embed-text' });
+    expect(result.embeddings).toHaveLength(2);
+    expect(fake.requests[0].body).toEqual({ model: 'nomic-embed-text', input: ['ollama one', 'ollama two'] });
+  });
+});
+
+describe('KoboldCpp', () => {
+  const settings = (promptFormat = 'chatml') => ({ koboldcpp: { baseUrl: fake.baseUrl, promptFormat } });
+
+  test('renders the chat with the instruct template and adds the template stops', async () => {
+    fake.respond = () => ({ body: { results: [{ text: ' Hi! ' }] } });
+    const reply = await getProviderHandler('koboldcpp', settings())(messages, { ...settings(), stop: ['END'], maxTokens: 80 });
+
+    expect(reply).toBe('Hi!');
+    const [request] = fake.requests;
+    expect(request.url).toBe('/api/v1/generate');
+    expect(request.body.prompt).toBe('<|im_start|>system\nYou are Aria.<|im_end|>\n<|im_start|>user\nHello<|im_end|>\n<|im_start|>assistant\n');
+    expect(request.body.stop_sequence).toEqual(['<|im_end|>', '<|im_start|>', 'END']);
+    expect(request.body.max_length).toBe(80);
+  });
+
+  test('streams tokens from the extra stream route', async () => {
+    fake.respond = () => ({ type: 'text/event-stream', body: sse([{ token: 'Good ' }, { token: 'day' }]) });
+    const reply = await getProviderHandler('koboldcpp', settings('llama3'))(messages, { ...settings('llama3'), stream: true });
+    expect(reply).toBe('Good day');
+    expect(fake.requests[0].url).toBe('/api/extra/generate/stream');
+    expect(fake.requests[0].body.prompt.startsWith('<|start_header_id|>system<|end_header_id|>')).toBe(true);
+  });
+
+  test('banned text and token ids map to banned_tokens and a logit bias', async () => {
+    fake.respond = () => ({ body: { results: [{ text: 'ok' }] } });
+    await getProviderHandler('koboldcpp', settings())(messages, { ...settings(), bannedTokens: ['shivers', 42] });
+    expect(fake.requests[0].body).toMatchObject({ banned_tokens: ['shivers'], logit_bias: { 42: -100 } });
+  });
+
+  test('lists the loaded model and embeds in the OpenAI format', async () => {
+    fake.respond = () => ({ body: { result: 'koboldcpp/mythomax-13b' } });
+    expect(await listKoboldCppModels(settings())).toEqual([{ id: 'mythomax-13b', name: 'mythomax-13b (loaded)' }]);
+
+    fake.respond = () => ({ body: { data: [{ index: 1, embedding: [2, 2] }, { index: 0, embedding: [1, 1] }] } });
+    const result = await embedTexts(['kobold one', 'kobold two'], { ...settings(), memory: { embeddingProvider: 'koboldcpp' } });
+    expect(result.embeddings).toEqual([[1, 1], [2, 2]]);
+    expect(fake.requests[fake.requests.length - 1].url).toBe('/v1/embeddings');
+  });
+});
@@ -0,0 +1,137 @@
+// Lorebooks: key matching, recursive scanning, token budgets and character book import/export
+import { createCharacter, loadCharacter } from '../src/backend/character-system-sqlite.js';
+import {
+  createLorebook,
+  createLoreEntry,
+  loadLorebook,
+  importCharacterBook,
+  exportCharacterBook,
+  findTriggeredLoreEntries
+} from '../src/backend/lorebook-system.js';
+
+const countWords = text => text.split(/\s+/).filter(Boolean).length;
+
+// Every test gets its own character with one attached book, so books never leak between tests
+let counter = 0;
+function bookWith(bookData, entries) {
+  const name = `Lore${++counter}`;
+  createCharacter({ name, persona: 'Test persona' });
+  const book = createLorebook({ name: `${name} book`, characterName: name, ...bookData });
+  for (const entry of entries) createLoreEntry(book.id, entry);
+  return loadCharacter(name);
+}
+
+function triggered(character, query, history = [], countTokens = countWords) {
+  return findTriggeredLoreEntries(character, history, query, countTokens).map(entry => entry.comment);
+}
+
+describe('key matching', () => {
+  test('plain keys match whole words, case-insensitively unless asked', () => {
+    const character = bookWith({}, [
+      { comment: 'cat', keys: ['cat'], content: 'Cats rule the docks.' },
+      { comment: 'Ember', keys: ['Ember'], caseSensitive: true, content: 'Ember is a dragon.' }
+    ]);
+    expect(triggered(character, 'A CAT sleeps')).toEqual(['cat']);
+    expect(triggered(character, 'a category of ember')).toEqual([]);
+    expect(triggered(character, 'Ember wakes')).toEqual(['Ember']);
+  });
+
+  test('secondary keys narrow an entry and regex keys match patterns', () => {
+    const character = bookWith({}, [
+      { comment: 'castle siege', keys: ['castle'], secondaryKeys: ['siege', 'war'], content: 'The castle fell in the war.' },
+      { comment: 'numbers', regexKeys: ['/room \\d+/i'], content: 'Rooms are numbered.' },
+      { comment: 'broken', regexKeys: ['/(unclosed/'], content: 'Never shown.' }
+    ]);
+    expect(triggered(character, 'the castle')).toEqual([]);
+    expect(triggered(character, 'the castle during the siege')).toEqual(['castle siege']);
+    expect(triggered(character, 'Go to ROOM 12')).toEqual(['numbers']);
+  });
+
+  test('only the last scanDepth messages are scanned', () => {
+    const character = bookWith({ scanDepth: 1 }, [{ comment: 'harbour', keys: ['harbour'], content: 'Ships come and go.' }]);
+    const history = [{ role: 'user', content: 'at the harbour' }, { role: 'assistant', content: 'Yes.' }];
+    expect(triggered(character, 'hello', history)).toEqual([]);
+    expect(triggered(character, 'hello', history.slice(0, 1))).toEqual(['harbour']);
+  });
+
+  test('constant entries always apply and disabled ones never do', () => {
+    const character = bookWith({}, [
+      { comment: 'always', constant: true, content: 'The sky is green here.' },
+      { comment: 'off', keys: ['hello'], enabled: false, content: 'Disabled.' }
+    ]);
+    expect(triggered(character, 'hello')).toEqual(['always']);
+  });
+});
+
+describe('recursive scanning', () => {
+  // Each entry's content names the key of the next one
+  const chain = Array.from({ length: 6 }, (_, i) => ({ comment: `link${i}`, keys: [`link${i}`], content: `See link${i + 1}.` }));
+
+  test('matched content triggers further entries only when the book recurses', () => {
+    expect(triggered(bookWith({ recursiveScanning: false }, chain), 'link0')).toEqual(['link0']);
+  });
+
+  test('recursion stops after the step limit', () => {
+    expect(triggered(bookWith({ recursiveScanning: true }, chain), 'link0')).toEqual(['link0', 'link1', 'link2', 'link3']);
+  });
+
+  test('entries excluded from recursion do not trigger others', () => {
+    const entries = [
+      { comment: 'a', keys: ['alpha'], excludeRecursion: true, content: 'Mentions beta.' },
+      { comment: 'b', keys: ['beta'], content: 'Beta lore.' }
+    ];
+    expect(triggered(bookWith({ recursiveScanning: true }, entries), 'alpha')).toEqual(['a']);
+  });
+});
+
+describe('token budget', () => {
+  test('keeps constants first, then insertion order, skipping entries that do not fit', () => {
+    const character = bookWith({ tokenBudget: 6 }, [
+      { comment: 'late', keys: ['key'], insertionOrder: 30, content: 'one two' },
+      { comment: 'big', keys: ['key'], insertionOrder: 20, content: 'one two three four' },
+      { comment: 'constant', constant: true, insertionOrder: 40, content: 'one two three' },
+      { comment: 'early', keys: ['key'], insertionOrder: 10, content: 'one' }
+    ]);
+    // constant (3) + early (1) + late (2) = 6; big (4) does not fit after the constant and early
+    expect(triggered(character, 'key')).toEqual(['early', 'late', 'constant']);
+  });
+
+  test('a budget of 0 means unlimited', () => {
+    const character = bookWith({ tokenBudget: 0 }, [
+      { comment: 'a', keys: ['key'], content: 'one two three four five six seven' },
+      { comment: 'b', keys: ['key'], content: 'one two three four five six seven' }
+    ]);
+    expect(triggered(character, 'key')).toEqual(['a', 'b']);
+  });
+});
+
+describe('character books', () => {
+  test('import splits regex keys and export restores the card shape', () => {
+    createCharacter({ name: 'Carded', persona: 'Test persona' });
+    const book = importCharacterBook('Carded', {
+      name: 'World',
+      scan_depth: 2,
+      token_budget: 300,
+      recursive_scanning: true,
+      entries: [
+        { keys: ['dragon', '/wyrm(s)?/i'], content: 'Dragons sleep.', insertion_order: 5, secondary_keys: ['cave'], selective: true, comment: 'dragons' },
+        { keys: ['empty'], content: '   ' },
+        { keys: ['inn'], content: 'The inn is warm.', constant: true, extensions: { exclude_recursion: true } }
+      ]
+    });
+    expect(book).toMatchObject({ name: 'World', scanDepth: 2, tokenBudget: 300, recursiveScanning: true, characterName: 'Carded' });
+    expect(book.entries).toHaveLength(2);
+    expect(book.entries[0]).toMatchObject({ keys: ['dragon'], regexKeys: ['/wyrm(s)?/i'], secondaryKeys: ['cave'] });
+
+    const exported = exportCharacterBook('Carded');
+    expect(exported).toMatchObject({ name: 'World', scan_depth: 2, token_budget: 300, recursive_scanning: true });
+    expect(exported.entries[0]).toMatchObject({ keys: ['dragon', '/wyrm(s)?/i'], selective: true, secondary_keys: ['cave'], insertion_order: 5 });
+    expect(exported.entries[1]).toMatchObject({ constant: true, extensions: { exclude_recursion: true } });
+    expect(loadLorebook(book.id).entries).toHaveLength(2);
+  });
+
+  test('a character without books exports nothing', () => {
+    createCharacter({ name: 'Bookless', persona: 'Test persona' });
+    expect(exportCharacterBook('Bookless')).toBeNull();
+  });
+});
@@ -0,0 +1,102 @@
+// Memory browser: creating, listing, editing, pinning and deleting single memories
+import { getDatabase } from '../src/backend/database.js';
+import {
+  listMemories,
+  getPinnedMemories,
+  createMemory,
+  updateMemory,
+  deleteMemory,
+  buildOptimizedContext
+} from '../src/backend/memory-system.js';
+
+const settings = { memory: { embeddingProvider: 'mock' }, mock: { embeddingDimension: 16 } };
+
+function storedEmbedding(id) {
+  return getDatabase().prepare('SELECT embedding, embedding_model FROM memories WHERE id = ?').get(id);
+}
+
+describe('creating memories', () => {
+  test('stores a manual memory with an embedding and returns it', async () => {
+    const memory = await createMemory('Browser', { summary: '  Rowan owes Aria ten gold.  ', importance: 3, topics: 'debt, gold', pinned: true }, settings);
+    expect(memory).toMatchObject({ summary: 'Rowan owes Aria ten gold.', importance: 1, topics: ['debt', 'gold'], type: 'manual', pinned: true });
+    expect(storedEmbedding(memory.id).embedding_model).toBe('mock-embedding');
+  });
+
+  test('an empty summary is rejected', async () => {
+    expect(await createMemory('Browser', { summary: '   ' }, settings)).toBeNull();
+  });
+});
+
+describe('listing memories', () => {
+  beforeAll(async () => {
+    await createMemory('Lister', { summary: 'A quiet morning', importance: 0.2, topics: ['weather'] }, settings);
+    await createMemory('Lister', { summary: 'The dragon attacked', importance: 0.9, topics: ['Dragon', 'battle'] }, settings);
+    await createMemory('Lister', { summary: 'A promise to return', importance: 0.7, pinned: true }, settings);
+    await createMemory('Other', { summary: 'Not for Lister' }, settings);
+  });
+
+  test('pages through one character\'s memories, newest first', () => {
+    const page = listMemories('Lister', {}, 2, 0);
+    expect(page.total).toBe(3);
+    expect(page.memories).toHaveLength(2);
+    expect(listMemories('Lister', {}, 2, 2).memories).toHaveLength(1);
+  });
+
+  test('filters by importance, topic, type and pinned', () => {
+    expect(listMemories('Lister', { minImportance: 0.5 }).total).toBe(2);
+    expect(listMemories('Lister', { topic: 'drag' }).memories.map(m => m.summary)).toEqual(['The dragon attacked']);
+    expect(listMemories('Lister', { type: 'journal' }).total).toBe(0);
+    expect(listMemories('Lister', { pinned: true }).memories.map(m => m.summary)).toEqual(['A promise to return']);
+    expect(getPinnedMemories('Lister').map(m => m.summary)).toEqual(['A promise to return']);
+  });
+});
+
+describe('editing memories', () => {
+  test('a changed summary is re-embedded and marked as edited', async () => {
+    const memory = await createMemory('Editor', { summary: 'The inn is called the Grey Goose' }, settings);
+    const before = storedEmbedding(memory.id).embedding;
+
+    const updated = await updateMemory('Editor', memory.id, { summary: 'The inn is called the Red Lion', topics: ['inn'] }, settings);
+    expect(updated).toMatchObject({ summary: 'The inn is called the Red Lion', topics: ['inn'] });
+    expect(updated.editedAt).toBeGreaterThan(0);
+    expect(storedEmbedding(memory.id).embedding.equals(before)).toBe(false);
+  });
+
+  test('pinning alone leaves the text and the edit time untouched', async () => {
+    const memory = await createMemory('Pinner', { summary: 'Keep this in mind' }, settings);
+    const pinned = await updateMemory('Pinner', memory.id, { pinned: true }, settings);
+    expect(pinned).toMatchObject({ summary: 'Keep this in mind', pinned: true });
+    expect(pinned.editedAt).toBeUndefined();
+
+    const unpinned = await updateMemory('Pinner', memory.id, { pinned: false }, settings);
+    expect(unpinned.pinned).toBe(false);
+  });
+
+  test('unknown memories and empty summaries are rejected', async () => {
+    const memory = await createMemory('Editor', { summary: 'Something' }, settings);
+    expect(await updateMemory('Editor', memory.id, { summary: '' }, settings)).toBeNull();
+    expect(await updateMemory('Editor', 'missing-id', { importance: 0.3 }, settings)).toBeNull();
+    expect(await updateMemory('Nobody', memory.id, { importance: 0.3 }, settings)).toBeNull();
+  });
+});
+
+describe('deleting memories', () => {
+  test('removes the memory once and only for its own character', async () => {
+    const memory = await createMemory('Deleter', { summary: 'Forget me' }, settings);
+    expect(deleteMemory('Someone else', memory.id)).toBe(false);
+    expect(deleteMemory('Deleter', memory.id)).toBe(true);
+    expect(deleteMemory('Deleter', memory.id)).toBe(false);
+    expect(listMemories('Deleter').total).toBe(0);
+  });
+});
+
+describe('pinned memories in the prompt', () => {
+  test('are injected even when retrieval is off', async () => {
+    await createMemory('Prompted', { summary: 'Aria is allergic to cats', pinned: true }, settings);
+    const character = { name: 'Prompted', persona: 'You are Aria.' };
+    const [system] = buildOptimizedContext(character, 'hello', { name: 'Rowan' }, [], 6000, 1,
+      { memory: { enableMemoryRetrieval: false } });
+    expect(system.content).toContain('You are Aria.');
+    expect(system.content).toContain('Aria is allergic to cats');
+  });
+});
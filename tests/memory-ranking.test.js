@@ -0,0 +1,137 @@
+// Scoring stage of memory retrieval: recency decay, importance, emotions and decisions blended with
+// the user's weights, the scoreBreakdown of each memory and the fields retrieved memories carry
+import { insertItem, updateItem } from '../src/backend/vector-store-sqlite-vec.js';
+import { retrieveRelevantMemories, generateEmbedding, buildOptimizedContext, createJournalEntry } from '../src/backend/memory-system.js';
+import { createCharacter } from '../src/backend/character-system-sqlite.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const none = { similarity: 0, rerank: 0, recency: 0, importance: 0, emotionalSignificance: 0, decisionRelevance: 0 };
+
+function rankingSettings(memory = {}) {
+  return {
+    memory: { embeddingProvider: 'mock', queryEmbeddingMethod: 'plain', enableReranking: false, hybridSearch: false, ...memory }
+  };
+}
+
+// Every memory of a character has the same summary, so retrieval similarity ties and only the
+// other components decide the order
+let counter = 0;
+async function store(character, metadata = {}) {
+  const summary = 'The lighthouse keeper told a story';
+  const id = `ranking-${++counter}`;
+  await insertItem({
+    vector: await generateEmbedding(summary, rankingSettings()),
+    metadata: { id, character, summary, timestamp: Date.now(), importance: 0.5, ...metadata },
+    provider: 'mock',
+    model: 'mock-embedding'
+  });
+  return id;
+}
+
+const retrieve = (character, memory) => retrieveRelevantMemories('lighthouse story', { name: character }, 5, rankingSettings(memory));
+
+describe('recency', () => {
+  beforeAll(async () => {
+    await store('Decay', { timestamp: Date.now() - 28 * DAY, importance: 0.5 });
+    await store('Decay', { timestamp: Date.now() - 14 * DAY });
+    await store('Decay', { timestamp: Date.now() });
+  });
+
+  test('halves every half-life and puts newer memories first', async () => {
+    const results = await retrieve('Decay', { weights: { ...none, recency: 1 } });
+    expect(results.map(memory => memory.scoreBreakdown.recency)).toEqual([1, 0.5, 0.25]);
+  });
+
+  test('recencyHalfLifeDays sets the decay speed', async () => {
+    const results = await retrieve('Decay', { weights: { ...none, recency: 1 }, recencyHalfLifeDays: 7 });
+    expect(results.map(memory => memory.scoreBreakdown.recency)).toEqual([1, 0.25, expect.closeTo(0.0625, 2)]);
+  });
+});
+
+describe('weights', () => {
+  let old, important, emotional, decisive;
+
+  beforeAll(async () => {
+    old = await store('Weights', { timestamp: Date.now() - 60 * DAY, importance: 0.1 });
+    important = await store('Weights', { timestamp: Date.now() - 30 * DAY, importance: 1 });
+    emotional = await store('Weights', { importance: 0.2, emotions: { positive: 0.2, negative: 0.9 } });
+    decisive = await store('Weights', { importance: 0.2, decisions: ['sail at dawn', 'take the map'] });
+  });
+
+  test('each component can decide the order on its own', async () => {
+    expect((await retrieve('Weights', { weights: { ...none, importance: 1 } }))[0].id).toBe(important);
+    expect((await retrieve('Weights', { weights: { ...none, emotionalSignificance: 1 } }))[0].id).toBe(emotional);
+    expect((await retrieve('Weights', { weights: { ...none, decisionRelevance: 1 } }))[0].id).toBe(decisive);
+    const byRecency = await retrieve('Weights', { weights: { ...none, recency: 1 } });
+    expect(byRecency[byRecency.length - 1].id).toBe(old);
+  });
+
+  test('the breakdown lists every component, the weights used and the weighted average', async () => {
+    const results = await retrieve('Weights', { weights: { ...none, importance: 3, emotionalSignificance: 1 } });
+    const memory = results.find(result => result.id === emotional);
+    expect(memory.scoreBreakdown).toMatchObject({
+      similarity: 1,
+      rerank: null,
+      importance: 0.2,
+      emotionalSignificance: 0.9,
+      decisionRelevance: 0,
+      final: 0.375
+    });
+    expect(memory.scoreBreakdown.weights).toMatchObject({ importance: 3, emotionalSignificance: 1, similarity: 0 });
+    expect(memory.relevanceScore).toBeCloseTo((0.2 * 3 + 0.9) / 4);
+  });
+
+  test('invalid weights fall back to the defaults', async () => {
+    const [memory] = await retrieve('Weights', { weights: { similarity: -1, recency: 'fast' } });
+    expect(memory.scoreBreakdown.weights).toEqual({
+      similarity: 10, rerank: 8, recency: 5, importance: 5, emotionalSignificance: 7, decisionRelevance: 6
+    });
+  });
+});
+
+describe('prompt budget', () => {
+  beforeAll(async () => {
+    await store('Budget', { summary: 'The keeper lit the great lamp during the storm and kept it burning through the night while the fishing boats found their way back into the harbour one by one', timestamp: Date.now() - 40 * DAY, importance: 1 });
+    await store('Budget', { summary: 'The keeper fed the gulls on the pier this morning and talked about the old days when the harbour was full of ships from every port along the coast', importance: 0.1 });
+  });
+
+  // Room for the memory header and one memory line
+  async function promptWith(weights) {
+    const settings = { memory: { ...rankingSettings({ weights }).memory, storySoFar: false, knownFacts: false } };
+    const character = { name: 'Budget', persona: 'A keeper.' };
+    const memories = await retrieveRelevantMemories('lighthouse story', character, 5, settings);
+    return buildOptimizedContext(character, 'lighthouse story', null, memories, 210, 0, settings)[0].content;
+  }
+
+  test('the weights decide which memories fit', async () => {
+    const byImportance = await promptWith({ ...none, importance: 1 });
+    expect(byImportance).toContain('lit the great lamp');
+    expect(byImportance).not.toContain('fed the gulls');
+
+    const byRecency = await promptWith({ ...none, recency: 1 });
+    expect(byRecency).toContain('fed the gulls');
+    expect(byRecency).not.toContain('lit the great lamp');
+  });
+});
+
+test('retrieved memories carry plot elements, participants and the pinned flag', async () => {
+  const id = await store('Fields', { plotElements: ['the lost lens'], participants: ['Rowan', 'Aria'] });
+  updateItem('Fields', id, { pinned: true });
+  const [memory] = await retrieve('Fields', {});
+  expect(memory).toMatchObject({ id, plotElements: ['the lost lens'], participants: ['Rowan', 'Aria'], pinned: true });
+});
+
+test('journal entries keep their participants and the prompt lists them', async () => {
+  const character = createCharacter({ name: 'Scene', persona: 'A keeper.' });
+  const messages = Array.from({ length: 10 }, (_, i) => (i % 2
+    ? { role: 'assistant', content: `Reply ${i} about the lighthouse story`, ...(i % 4 === 3 ? { name: 'Mara' } : {}) }
+    : { role: 'user', content: `Line ${i} about the lighthouse story` }));
+  const settings = { provider: 'mock', model: 'mock-chat', memory: { ...rankingSettings().memory, analysisProvider: 'mock', consolidation: { enabled: false } } };
+  const { journalEntry } = await createJournalEntry(messages, character, settings);
+  expect(journalEntry.participants).toEqual(['User', 'Scene', 'Mara']);
+
+  const memories = await retrieveRelevantMemories('lighthouse story', character, 5, settings);
+  expect(memories.find(memory => memory.id === journalEntry.id).participants).toEqual(['User', 'Scene', 'Mara']);
+  const [system] = buildOptimizedContext(character, 'lighthouse story', null, memories, 4000, 0, { memory: { storySoFar: false, knownFacts: false } });
+  expect(system.content).toContain('→ Participants: User, Scene, Mara');
+});
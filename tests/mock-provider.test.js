@@ -0,0 +1,124 @@
+// End-to-end checks through the offline mock provider: chat replies (plain and streamed), journal
+// analysis and embeddings. getMockCalls shows the prompts that reached the provider.
+import { generateResponse } from '../src/backend/llm-providers.js';
+import { analyzeConversationChunk, generateEmbeddingWithSource } from '../src/backend/memory-system.js';
+import { embedTexts } from '../src/backend/embedding-providers.js';
+import { resetMockProvider, getMockCalls } from '../src/backend/mock-provider.js';
+
+const character = {
+  name: 'Aria',
+  persona: 'A cheerful travelling bard who loves old songs.',
+  description: 'Bard',
+  relationships: {},
+  settingsOverride: {}
+};
+const userProfile = { name: 'Rowan' };
+
+function mockSettings(overrides = {}) {
+  return {
+    provider: 'mock',
+    model: 'mock-chat',
+    maxContextTokens: 4000,
+    user: userProfile,
+    ...overrides,
+    memory: {
+      embeddingProvider: 'mock',
+      analysisProvider: 'mock',
+      queryEmbeddingMethod: 'plain',
+      enableMemoryCreation: false,
+      ...(overrides.memory || {})
+    },
+    mock: { ...(overrides.mock || {}) }
+  };
+}
+
+beforeEach(() => {
+  resetMockProvider();
+});
+
+describe('generateResponse with the mock provider', () => {
+  test('returns a scripted reply and sends the persona, history and user message', async () => {
+    const history = [
+      { role: 'assistant', content: 'Welcome to the inn!' },
+      { role: 'user', content: 'Hello there.' },
+      { role: 'assistant', content: 'Care for a song?' }
+    ];
+    const reply = await generateResponse(character, 'Play the ballad of the lost ship.', userProfile, history,
+      mockSettings({ mock: { responses: ['*strums the lute* Gladly!'] } }));
+
+    expect(reply).toBe('*strums the lute* Gladly!');
+    expect(history.slice(-2)).toEqual([
+      { role: 'user', content: 'Play the ballad of the lost ship.' },
+      { role: 'assistant', content: '*strums the lute* Gladly!' }
+    ]);
+
+    const chatCalls = getMockCalls().filter(call => call.messages.some(m => m.role === 'system'));
+    expect(chatCalls).toHaveLength(1);
+    const { messages, model } = chatCalls[0];
+    expect(model).toBe('mock-chat');
+    expect(messages[0].role).toBe('system');
+    expect(messages[0].content).toContain('A cheerful travelling bard');
+    expect(messages.map(m => m.content)).toEqual(expect.arrayContaining(['Welcome to the inn!', 'Care for a song?']));
+    expect(messages[messages.length - 1]).toEqual({ role: 'user', content: 'Play the ballad of the lost ship.' });
+  });
+
+  test('streams the reply token by token', async () => {
+    const tokens = [];
+    const reply = await generateResponse(character, 'Sing something short.', userProfile, [],
+      mockSettings({ stream: true, onToken: token => tokens.push(token), mock: { responses: ['La la la, the sea is wide.'] } }));
+
+    expect(reply).toBe('La la la, the sea is wide.');
+    expect(tokens.length).toBeGreaterThan(1);
+    expect(tokens.join('')).toBe(reply);
+    expect(getMockCalls().some(call => call.stream)).toBe(true);
+  });
+
+  test('surfaces an injected provider failure', async () => {
+    await expect(generateResponse(character, 'Break please [mock-fail 503]', userProfile, [], mockSettings()))
+      .rejects.toThrow(/503/);
+  });
+});
+
+describe('journal analysis with the mock provider', () => {
+  test('parses the analysis of a conversation chunk', async () => {
+    const messages = [
+      { role: 'user', content: 'Rowan: I found the silver compass near the harbour.' },
+      { role: 'assistant', content: 'Aria: Then we sail for the northern isles at dawn!' }
+    ];
+    const analysis = await analyzeConversationChunk(messages, character, mockSettings());
+
+    expect(typeof analysis.summary).toBe('string');
+    expect(analysis.summary.length).toBeGreaterThan(0);
+    expect(analysis.importance).toBeGreaterThanOrEqual(1);
+    expect(analysis.importance).toBeLessThanOrEqual(10);
+    expect(Array.isArray(analysis.topics)).toBe(true);
+
+    const [call] = getMockCalls();
+    const prompt = call.messages[call.messages.length - 1].content;
+    expect(call.messages.some(m => m.role === 'system')).toBe(false);
+    expect(prompt).toContain('silver compass');
+    expect(prompt).toContain('"summary"');
+  });
+});
+
+describe('embeddings with the mock provider', () => {
+  test('embeds a batch deterministically at the configured dimension', async () => {
+    const settings = mockSettings({ mock: { embeddingDimension: 64 } });
+    const first = await embedTexts(['the silver compass', 'a stormy night'], settings);
+    const again = await embedTexts(['the silver compass'], settings);
+
+    expect(first.provider).toBe('mock');
+    expect(first.model).toBe('mock-embedding');
+    expect(first.embeddings).toHaveLength(2);
+    expect(first.embeddings[0]).toHaveLength(64);
+    expect(again.embeddings[0]).toEqual(first.embeddings[0]);
+    expect(first.embeddings[1]).not.toEqual(first.embeddings[0]);
+  });
+
+  test('reports the provider and model behind a single embedding', async () => {
+    const result = await generateEmbeddingWithSource('harbour', mockSettings());
+    expect(result.provider).toBe('mock');
+    expect(result.model).toBe('mock-embedding');
+    expect(result.embedding).toHaveLength(1024);
+  });
+});
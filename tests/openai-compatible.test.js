@@ -0,0 +1,81 @@
+// OpenAI-compatible endpoints, run against a fake provider server on 127.0.0.1
+import { getProviderHandler, listOpenAICompatibleModels } from '../src/backend/llm-providers.js';
+import { startFakeServer, sse } from './helpers/fake-server.js';
+
+let fake;
+
+beforeAll(async () => {
+  fake = await startFakeServer();
+});
+
+afterAll(async () => {
+  await fake.close();
+});
+
+beforeEach(() => {
+  fake.requests = [];
+});
+
+const messages = [{ role: 'system', content: 'You are Aria.' }, { role: 'user', content: 'Hello' }];
+
+describe('OpenAI-compatible endpoints', () => {
+  const endpointSettings = () => ({
+    openaiCompatible: [{ id: 'lab', name: 'Lab server', baseUrl: `${fake.baseUrl}/`, apiKey: 'secret', headers: { 'X-Team': 'rp' }, models: ['local-7b'] }]
+  });
+
+  test('posts to /v1/chat/completions with the key, extra headers and mapped samplers', async () => {
+    fake.respond = () => ({ body: { choices: [{ message: { content: 'Hi there', reasoning_content: 'greet back' } }] } });
+    const settings = endpointSettings();
+    const handler = getProviderHandler('openai-compatible:lab', settings);
+    const reply = await handler(messages, { ...settings, temperature: 0.4, topK: 30, maxTokens: 64 });
+
+    expect(reply).toBe('<think>greet back</think>Hi there');
+    const [request] = fake.requests;
+    expect(request.url).toBe('/v1/chat/completions');
+    expect(request.headers.authorization).toBe('Bearer secret');
+    expect(request.headers['x-team']).toBe('rp');
+    expect(request.body).toMatchObject({ model: 'local-7b', stream: false, temperature: 0.4, top_k: 30, max_tokens: 64 });
+    expect(request.body.messages).toEqual(messages);
+  });
+
+  test('streams content and reasoning deltas', async () => {
+    fake.respond = () => ({
+      type: 'text/event-stream',
+      body: sse([
+        { choices: [{ delta: { reasoning_content: 'hmm' } }] },
+        { choices: [{ delta: { content: 'Hel' } }] },
+        { choices: [{ delta: { content: 'lo' } }] },
+        '[DONE]'
+      ])
+    });
+    const tokens = [];
+    const reasoning = [];
+    const settings = endpointSettings();
+    const reply = await getProviderHandler('openai-compatible:lab', settings)(messages,
+      { ...settings, stream: true, onToken: token => tokens.push(token), onReasoning: text => reasoning.push(text) });
+
+    expect(reply).toBe('<think>hmm</think>Hello');
+    expect(tokens).toEqual(['Hel', 'lo']);
+    expect(reasoning).toEqual(['hmm']);
+  });
+
+  test('surfaces HTTP errors with the status', async () => {
+    fake.respond = () => ({ status: 500, body: { error: 'model not loaded' } });
+    const settings = endpointSettings();
+    await expect(getProviderHandler('openai-compatible:lab', settings)(messages, settings))
+      .rejects.toThrow(/Lab server API request failed: 500/);
+  });
+
+  test('unknown endpoint ids have no handler', () => {
+    expect(getProviderHandler('openai-compatible:missing', endpointSettings())).toBeUndefined();
+  });
+
+  test('lists models in the OpenAI format and in bare arrays', async () => {
+    fake.respond = () => ({ body: { data: [{ id: 'a' }, { id: 'b' }] } });
+    expect(await listOpenAICompatibleModels({ baseUrl: `${fake.baseUrl}/v1` })).toEqual([{ id: 'a', name: 'a' }, { id: 'b', name: 'b' }]);
+    expect(fake.requests[0].url).toBe('/v1/models');
+
+    fake.respond = () => ({ body: ['c'] });
+    expect(await listOpenAICompatibleModels({ baseUrl: fake.baseUrl })).toEqual([{ id: 'c', name: 'c' }]);
+  });
+});
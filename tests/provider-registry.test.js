@@ -0,0 +1,167 @@
+// Chat provider registry: descriptor validation and defaults, what the settings UI is told about
+// a provider, adapting messages to its capabilities, and loading third-party provider plugins
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+import {
+  CAPABILITY_DEFAULTS,
+  registerProvider,
+  getProvider,
+  listProviders,
+  describeProvider,
+  getModelContextLength,
+  loadProviderPlugins,
+  listProviderPlugins
+} from '../src/backend/provider-registry.js';
+import { getProviderHandler, getModelConfigurations } from '../src/backend/llm-providers.js';
+
+const generate = async () => 'ok';
+
+describe('registering providers', () => {
+  test('invalid descriptors are rejected', () => {
+    expect(() => registerProvider({ name: 'Bad Name', generate })).toThrow(/Invalid provider name/);
+    expect(() => registerProvider({ name: 'no-generate' })).toThrow(/no generate/);
+  });
+
+  test('missing fields get their defaults', () => {
+    const stored = registerProvider({
+      name: 'minimal',
+      generate,
+      capabilities: { streaming: true },
+      models: [{ id: 'small' }, { name: 'no id' }],
+      authFields: [{ key: 'baseUrl' }, { label: 'no key' }],
+      contextLength: -1
+    });
+    expect(stored).toMatchObject({
+      label: 'minimal',
+      auth: 'apiKeys',
+      capabilities: { ...CAPABILITY_DEFAULTS, streaming: true },
+      models: [{ id: 'small', name: 'small' }],
+      authFields: [{ key: 'baseUrl' }],
+      contextLength: null,
+      samplers: null,
+      local: false,
+      analysis: true,
+      hidden: false,
+      source: 'builtin'
+    });
+    expect(getProvider('minimal')).toBe(stored);
+  });
+
+  test('hidden providers are only listed when asked for', () => {
+    registerProvider({ name: 'secret-provider', generate, hidden: true });
+    expect(listProviders().map(provider => provider.name)).not.toContain('secret-provider');
+    expect(listProviders({ includeHidden: true }).map(provider => provider.name)).toContain('secret-provider');
+  });
+});
+
+describe('describing providers', () => {
+  test('leaves out functions and samplers the provider cannot use', () => {
+    const provider = registerProvider({
+      name: 'described',
+      label: 'Described',
+      generate,
+      listModels: async () => [],
+      authFields: [{ key: 'apiBase', secret: 'yes' }],
+      capabilities: { stopSequences: true },
+      samplers: { temperature: 'temperature', stop: 'stop', bannedTokens: () => ({}) }
+    });
+    const description = describeProvider(provider);
+    expect(description).toMatchObject({
+      name: 'described',
+      label: 'Described',
+      authFields: [{ key: 'apiBase', label: 'apiBase', secret: false }],
+      dynamicModels: true,
+      samplers: ['temperature', 'stop']
+    });
+    expect(Object.values(description).some(value => typeof value === 'function')).toBe(false);
+  });
+
+  test('context length comes from the model entry, else the provider', () => {
+    registerProvider({ name: 'windowed', generate, contextLength: 8192, defaultModel: 'big', models: [{ id: 'big', contextLength: 128000 }, { id: 'plain' }] });
+    expect(getModelContextLength('windowed', 'big')).toBe(128000);
+    expect(getModelContextLength('windowed', null)).toBe(128000);
+    expect(getModelContextLength('windowed', 'plain')).toBe(8192);
+    expect(getModelContextLength('missing', 'big')).toBeNull();
+  });
+});
+
+describe('adapting messages to capabilities', () => {
+  const messages = [
+    { role: 'system', content: 'Persona' },
+    { role: 'system', content: 'Memories' },
+    { role: 'user', content: 'Hi' }
+  ];
+
+  async function sent(name, capabilities) {
+    let received;
+    registerProvider({ name, generate: async (given) => { received = given; return 'ok'; }, capabilities });
+    await getProviderHandler(name, {})(messages, {});
+    return received;
+  }
+
+  test('several system messages are merged for providers that take one', async () => {
+    expect(await sent('single-system', { multipleSystemMessages: false })).toEqual([
+      { role: 'system', content: 'Persona\n\nMemories' },
+      { role: 'user', content: 'Hi' }
+    ]);
+  });
+
+  test('without a system role the instructions lead the first user turn', async () => {
+    expect(await sent('no-system', { systemRole: false })).toEqual([{ role: 'user', content: 'Persona\n\nMemories\n\nHi' }]);
+  });
+
+  test('providers with full support get the messages unchanged', async () => {
+    expect(await sent('full-system', {})).toEqual(messages);
+  });
+
+  test('the provider keeps its own settings block', async () => {
+    let received;
+    registerProvider({ name: 'with-block', generate: async (given, settings) => { received = settings; return 'ok'; } });
+    await getProviderHandler('with-block', { 'with-block': { baseUrl: 'http://x' } })(messages, { model: 'm' });
+    expect(received).toMatchObject({ 'with-block': { baseUrl: 'http://x' }, model: 'm' });
+    expect(getProviderHandler('never-registered', {})).toBeUndefined();
+  });
+});
+
+describe('plugins', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'provider-plugins-'));
+    fs.writeFileSync(path.join(dir, 'a-single.mjs'),
+      "export default { name: 'plugin-single', generate: async () => 'single', models: [{ id: 'p1' }] };\n");
+    fs.writeFileSync(path.join(dir, 'b-function.mjs'),
+      "export default ({ registerProvider, samplerParams }) => {\n" +
+      "  registerProvider({ name: 'plugin-helper', generate: async () => typeof samplerParams, auth: 'none' });\n" +
+      "};\n");
+    fs.writeFileSync(path.join(dir, 'c-override.mjs'), "export default { name: 'mock', generate: async () => 'hijacked' };\n");
+    fs.writeFileSync(path.join(dir, 'd-empty.mjs'), 'export default null;\n');
+    fs.writeFileSync(path.join(dir, 'e-throws.mjs'), "export default () => { throw new Error('needs a newer app'); };\n");
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a plugin');
+  });
+
+  test('each file registers its providers; broken ones are reported and skipped', async () => {
+    const loaded = await loadProviderPlugins(dir, { samplerParams: () => ({}) });
+    expect(loaded.map(entry => entry.file)).toEqual(['a-single.mjs', 'b-function.mjs', 'c-override.mjs', 'd-empty.mjs', 'e-throws.mjs']);
+    expect(loaded[0]).toEqual({ file: 'a-single.mjs', providers: ['plugin-single'], error: null });
+    expect(loaded[1].providers).toEqual(['plugin-helper']);
+    expect(loaded[2].error).toMatch(/built in and cannot be replaced/);
+    expect(loaded[3].error).toMatch(/registered no providers/);
+    expect(loaded[4].error).toBe('needs a newer app');
+    expect(listProviderPlugins()).toEqual(loaded);
+
+    expect(getProvider('plugin-single').source).toBe('a-single.mjs');
+    expect(getProvider('mock').source).toBe('builtin');
+    expect(await getProvider('plugin-helper').generate([], {})).toBe('function');
+  });
+
+  test('plugin providers take part in model listing', async () => {
+    const configurations = await getModelConfigurations({});
+    expect(configurations['plugin-single']).toEqual([{ id: 'p1', name: 'p1' }]);
+  });
+
+  test('a missing folder loads nothing', async () => {
+    expect(await loadProviderPlugins(path.join(dir, 'missing'))).toEqual([]);
+  });
+});
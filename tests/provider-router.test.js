@@ -0,0 +1,187 @@
+// Fallback routing across providers and the per-key circuit breakers: rate-limited keys cool down
+// (longer each time), repeatedly failing keys are left alone for a while, and a provider whose keys
+// are all cooling down hands the request to the next route
+import { registerProvider } from '../src/backend/provider-registry.js';
+import { resolveRoutes, generateWithFallback } from '../src/backend/provider-router.js';
+import { generateResponse, getProviderHandler } from '../src/backend/llm-providers.js';
+import {
+  getNextApiKey,
+  markApiKeySuccess,
+  markApiKeyFailure,
+  availableKeyIndices,
+  isApiKeyAvailable,
+  getApiKeyCooldowns
+} from '../src/backend/provider-utils.js';
+import { isRateLimitError } from '../src/backend/usage-ledger.js';
+import { resetMockProvider } from '../src/backend/mock-provider.js';
+
+const messages = [{ role: 'user', content: 'Hello' }];
+
+// A keyed provider that rotates its keys the way the built-in ones do. Keys starting with
+// "limited" answer 429, keys starting with "broken" fail with a server error.
+const keyUses = [];
+function registerKeyedProvider(name) {
+  registerProvider({
+    name,
+    defaultModel: `${name}-default`,
+    generate: async (given, settings) => {
+      const keyInfo = getNextApiKey(name, settings.apiKeys || {});
+      let lastError = null;
+      for (const index of availableKeyIndices(name, keyInfo, 2)) {
+        const apiKey = keyInfo.keys[index];
+        keyUses.push(apiKey);
+        try {
+          if (apiKey.startsWith('limited')) throw Object.assign(new Error('Too Many Requests'), { status: 429 });
+          if (apiKey.startsWith('broken')) throw new Error('Server error 500');
+          markApiKeySuccess(name, index, keyInfo.keys.length);
+          return `${name} answered with ${apiKey}`;
+        } catch (error) {
+          markApiKeyFailure(name, index, error);
+          lastError = error;
+        }
+      }
+      throw lastError;
+    }
+  });
+}
+
+beforeEach(() => {
+  keyUses.length = 0;
+  resetMockProvider();
+});
+
+describe('resolveRoutes', () => {
+  test('the primary route comes first, then each distinct fallback', () => {
+    registerKeyedProvider('route-a');
+    const routes = resolveRoutes({
+      fallbackRoutes: [
+        { provider: 'route-a' },
+        { provider: ' mock ', model: 'mock-chat' },
+        { provider: 'mock', model: 'mock-chat' },
+        { provider: '' },
+        null,
+        { provider: 'unregistered' }
+      ]
+    }, { provider: 'mock', model: 'mock-chat' });
+    expect(routes).toEqual([
+      { provider: 'mock', model: 'mock-chat' },
+      { provider: 'route-a', model: 'route-a-default' },
+      { provider: 'unregistered', model: null }
+    ]);
+  });
+});
+
+describe('generateWithFallback', () => {
+  const handlers = {
+    'route-good': async (given, settings) => `good:${settings.model}`,
+    'route-down': async () => { throw new Error('503 unavailable'); },
+    'streams-then-fails': async (given, settings) => {
+      settings.onToken('partial');
+      throw new Error('connection reset');
+    }
+  };
+  const getHandler = name => handlers[name];
+  // The router only tries providers it knows of
+  beforeAll(() => Object.keys(handlers).forEach(name => registerProvider({ name, generate: handlers[name] })));
+
+  test('the first route that answers wins and is reported with the failures before it', async () => {
+    let chosen;
+    const reply = await generateWithFallback(messages, { model: 'primary-model', onRoute: route => { chosen = route; } },
+      [{ provider: 'route-down', model: 'primary-model' }, { provider: 'route-good', model: 'backup-model' }], getHandler);
+    expect(reply).toBe('good:backup-model');
+    expect(chosen).toEqual({
+      provider: 'route-good', model: 'backup-model', fallback: true,
+      failures: [{ provider: 'route-down', model: 'primary-model', error: '503 unavailable' }]
+    });
+  });
+
+  test('a single failing route keeps its own error; several are listed together', async () => {
+    await expect(generateWithFallback(messages, {}, [{ provider: 'route-down' }], getHandler)).rejects.toThrow('503 unavailable');
+    const error = await generateWithFallback(messages, {}, [{ provider: 'route-down' }, { provider: 'nowhere' }], getHandler).catch(e => e);
+    expect(error.message).toBe('All providers failed. route-down: 503 unavailable; nowhere: Provider nowhere not supported');
+    expect(error.failures).toHaveLength(2);
+  });
+
+  test('no fallback once the failing route has streamed tokens', async () => {
+    const tokens = [];
+    await expect(generateWithFallback(messages, { onToken: token => tokens.push(token) },
+      [{ provider: 'streams-then-fails' }, { provider: 'route-good' }], getHandler)).rejects.toThrow('connection reset');
+    expect(tokens).toEqual(['partial']);
+  });
+
+  test('a cancel ends the walk', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const abort = async () => { throw Object.assign(new Error('cancelled'), { name: 'AbortError' }); };
+    await expect(generateWithFallback(messages, { signal: controller.signal },
+      [{ provider: 'route-down' }, { provider: 'route-good' }], name => (name === 'route-down' ? abort : handlers[name]))).rejects.toThrow('cancelled');
+  });
+});
+
+describe('key circuit breakers', () => {
+  test('rate limits are recognised without matching words like "generate"', () => {
+    expect(isRateLimitError({ status: 429 })).toBe(true);
+    expect(isRateLimitError(new Error('Rate limit reached'))).toBe(true);
+    expect(isRateLimitError(new Error('HTTP 429'))).toBe(true);
+    expect(isRateLimitError(new Error('Failed to generate a moderate reply'))).toBe(false);
+    expect(isRateLimitError(null)).toBe(false);
+  });
+
+  test('a rate-limited key cools down and is skipped by later requests', async () => {
+    registerKeyedProvider('keyed-limit');
+    const settings = { apiKeys: { 'keyed-limit': ['limited-1', 'good-1'] } };
+    expect(await getProviderHandler('keyed-limit', settings)(messages, settings)).toBe('keyed-limit answered with good-1');
+    expect(isApiKeyAvailable('keyed-limit', 0)).toBe(false);
+
+    keyUses.length = 0;
+    await getProviderHandler('keyed-limit', settings)(messages, settings);
+    await getProviderHandler('keyed-limit', settings)(messages, settings);
+    expect(keyUses).toEqual(['good-1', 'good-1']);
+  });
+
+  test('the cooldown doubles while a key keeps being rate limited, up to ten minutes', () => {
+    getNextApiKey('keyed-doubling', { 'keyed-doubling': ['k'] });
+    const cooldowns = [];
+    for (let i = 0; i < 6; i++) {
+      markApiKeyFailure('keyed-doubling', 0, new Error('rate limit'));
+      cooldowns.push(Math.round(getApiKeyCooldowns()['keyed-doubling'][0] / 60000));
+    }
+    expect(cooldowns).toEqual([1, 2, 4, 8, 10, 10]);
+
+    markApiKeySuccess('keyed-doubling', 0, 1);
+    expect(getApiKeyCooldowns()['keyed-doubling']).toEqual([0]);
+  });
+
+  test('other failures open the circuit after three in a row', () => {
+    getNextApiKey('keyed-threshold', { 'keyed-threshold': ['k'] });
+    markApiKeyFailure('keyed-threshold', 0, new Error('500'));
+    markApiKeyFailure('keyed-threshold', 0, new Error('500'));
+    expect(isApiKeyAvailable('keyed-threshold', 0)).toBe(true);
+    markApiKeyFailure('keyed-threshold', 0, new Error('500'));
+    expect(isApiKeyAvailable('keyed-threshold', 0)).toBe(false);
+    expect(() => getNextApiKey('keyed-threshold', { 'keyed-threshold': ['k'] })).toThrow(expect.objectContaining({ code: 'KEYS_COOLING_DOWN' }));
+  });
+
+  test('when every key is cooling down the reply comes from the fallback route', async () => {
+    registerKeyedProvider('keyed-exhausted');
+    const character = { name: 'Routed', persona: 'Test', relationships: {}, settingsOverride: {} };
+    let chosen;
+    const settings = {
+      provider: 'keyed-exhausted',
+      apiKeys: { 'keyed-exhausted': ['limited-a', 'limited-b'] },
+      fallbackRoutes: [{ provider: 'mock', model: 'mock-chat' }],
+      memory: { embeddingProvider: 'mock', enableMemoryCreation: false, enableMemoryRetrieval: false },
+      mock: { responses: ['From the fallback'] },
+      onRoute: route => { chosen = route; }
+    };
+    expect(await generateResponse(character, 'Hi', { name: 'User' }, [], settings)).toBe('From the fallback');
+    expect(keyUses).toEqual(['limited-a', 'limited-b']);
+    expect(chosen).toMatchObject({ provider: 'mock', fallback: true, failures: [{ provider: 'keyed-exhausted', error: 'Too Many Requests' }] });
+
+    // Next time the cooling keys are not even tried
+    keyUses.length = 0;
+    await generateResponse(character, 'Again', { name: 'User' }, [], settings);
+    expect(keyUses).toEqual([]);
+    expect(chosen.failures[0].error).toMatch(/cooling down/);
+  });
+});
@@ -0,0 +1,113 @@
+// The reasoning channel: splitting <think> blocks out of replies, streaming splitter, and keeping
+// reasoning out of prompts and analysis unless a setting asks for it
+import { splitReasoning, getMessageReasoning, messageTextForPrompt, emitReasoning } from '../src/backend/reasoning.js';
+import { createThinkSplitter } from '../src/backend/generation-stream.js';
+import { generateResponse } from '../src/backend/llm-providers.js';
+import { analyzeConversationChunk } from '../src/backend/memory-system.js';
+import { resetMockProvider, getMockCalls } from '../src/backend/mock-provider.js';
+
+const character = { name: 'Sage', persona: 'A careful thinker.', relationships: {}, settingsOverride: {} };
+
+function mockSettings(overrides = {}) {
+  return {
+    provider: 'mock',
+    model: 'mock-chat',
+    ...overrides,
+    memory: { embeddingProvider: 'mock', analysisProvider: 'mock', queryEmbeddingMethod: 'plain', enableMemoryCreation: false, ...(overrides.memory || {}) },
+    mock: { ...(overrides.mock || {}) }
+  };
+}
+
+beforeEach(() => {
+  resetMockProvider();
+});
+
+describe('splitReasoning', () => {
+  test('separates think blocks from the reply', () => {
+    expect(splitReasoning('<think>plan it</think>\nThe answer.')).toEqual({ content: 'The answer.', reasoning: 'plan it' });
+    expect(splitReasoning('<thinking>a</thinking>Mid<think>b</think> end')).toEqual({ content: 'Mid end', reasoning: 'a\n\nb' });
+  });
+
+  test('handles truncated blocks and a lone closing tag', () => {
+    expect(splitReasoning('Answer <think>cut off')).toEqual({ content: 'Answer', reasoning: 'cut off' });
+    expect(splitReasoning('opened in the template</think>Reply')).toEqual({ content: 'Reply', reasoning: 'opened in the template' });
+  });
+
+  test('plain text and non-strings pass through', () => {
+    expect(splitReasoning('No thoughts here')).toEqual({ content: 'No thoughts here', reasoning: '' });
+    expect(splitReasoning(undefined)).toEqual({ content: undefined, reasoning: '' });
+  });
+});
+
+describe('messages in prompts', () => {
+  const message = { role: 'assistant', content: '<think>legacy</think>Hi', reasoning: 'stored' };
+
+  test('reasoning combines the stored field and legacy inline blocks', () => {
+    expect(getMessageReasoning(message)).toBe('stored\n\nlegacy');
+  });
+
+  test('reasoning is left out of the prompt text unless asked for', () => {
+    expect(messageTextForPrompt(message)).toBe('Hi');
+    expect(messageTextForPrompt(message, true)).toBe('<think>stored\n\nlegacy</think>\nHi');
+  });
+});
+
+describe('emitReasoning', () => {
+  test('prefers onReasoning and falls back to an inline block on the token stream', () => {
+    const reasoning = [];
+    const tokens = [];
+    emitReasoning({ onReasoning: text => reasoning.push(text), onToken: token => tokens.push(token) }, 'hmm');
+    emitReasoning({ onToken: token => tokens.push(token) }, 'hmm');
+    expect(reasoning).toEqual(['hmm']);
+    expect(tokens).toEqual(['<think>hmm</think>']);
+  });
+});
+
+describe('createThinkSplitter', () => {
+  function split(chunks) {
+    const out = { reasoning: '', text: '' };
+    const splitter = createThinkSplitter(text => { out.reasoning += text; }, text => { out.text += text; });
+    chunks.forEach(chunk => splitter.push(chunk));
+    splitter.flush();
+    return out;
+  }
+
+  test('tags split across chunks are recognised', () => {
+    expect(split(['<th', 'ink>weigh', ' options</thi', 'nk>Go ', 'north.'])).toEqual({ reasoning: 'weigh options', text: 'Go north.' });
+  });
+
+  test('a "<" that turns out not to be a tag is passed on', () => {
+    expect(split(['a <', 'b and 3 <', ' 4'])).toEqual({ reasoning: '', text: 'a <b and 3 < 4' });
+  });
+});
+
+describe('generateResponse', () => {
+  test('stores inline reasoning in its own field and keeps it out of the next prompt', async () => {
+    const history = [];
+    const reply = await generateResponse(character, 'Riddle me this', { name: 'User' }, history,
+      mockSettings({ mock: { responses: ['<think>it is a riddle</think>A candle.'] } }));
+    expect(reply).toBe('A candle.');
+    expect(history[1]).toEqual({ role: 'assistant', content: 'A candle.', reasoning: 'it is a riddle' });
+
+    await generateResponse(character, 'Another', { name: 'User' }, history, mockSettings({ mock: { responses: ['Sure.'] } }));
+    const prompt = getMockCalls().pop().messages.map(m => m.content).join('\n');
+    expect(prompt).toContain('A candle.');
+    expect(prompt).not.toContain('it is a riddle');
+  });
+
+  test('includeReasoningInHistory puts it back into the prompt', async () => {
+    const history = [{ role: 'user', content: 'Q' }, { role: 'assistant', content: 'A', reasoning: 'because' }];
+    await generateResponse(character, 'Next', { name: 'User' }, history, mockSettings({ includeReasoningInHistory: true }));
+    const prompt = getMockCalls().pop().messages.map(m => m.content).join('\n');
+    expect(prompt).toContain('<think>because</think>');
+  });
+
+  test('memory analysis skips reasoning unless includeReasoningInAnalysis is set', async () => {
+    const messages = [{ role: 'user', content: 'Where to?' }, { role: 'assistant', content: 'North.', reasoning: 'secret route' }];
+    await analyzeConversationChunk(messages, character, mockSettings());
+    expect(getMockCalls().pop().messages[0].content).not.toContain('secret route');
+
+    await analyzeConversationChunk(messages, character, mockSettings({ memory: { includeReasoningInAnalysis: true } }));
+    expect(getMockCalls().pop().messages[0].content).toContain('secret route');
+  });
+});
@@ -0,0 +1,119 @@
+// Embedding model tracking and re-indexing: stale and unrecorded counts, re-embedding in batches,
+// progress reports, cancellation, giving up on a provider that keeps failing, and adopting unrecorded
+// vectors that have the configured model's dimension
+import { getDatabase } from '../src/backend/database.js';
+import { insertItem, queryItems } from '../src/backend/vector-store-sqlite-vec.js';
+import { getEmbeddingIndexStatus, reembedStaleMemories, adoptUnrecordedEmbeddings } from '../src/backend/memory-system.js';
+
+const settings = { memory: { embeddingProvider: 'mock' }, mock: { embeddingDimension: 16 } };
+
+let counter = 0;
+async function store(character, model, { dimension = 8, summary } = {}) {
+  const id = `reembed-${++counter}`;
+  const vector = Array.from({ length: dimension }, (_, i) => (i === counter % dimension ? 1 : 0));
+  await insertItem({
+    vector,
+    metadata: { id, character, summary: summary ?? `${character} remembers thing ${counter}`, timestamp: Date.now() },
+    provider: model ? 'old' : null,
+    model
+  });
+  return id;
+}
+
+function storedModels(character) {
+  return getDatabase().prepare('SELECT embedding_model AS model, embedding_dim AS dim FROM memories WHERE character = ? ORDER BY rowid')
+    .all(character);
+}
+
+describe('index status', () => {
+  test('counts memories from other models and ones with no recorded model', async () => {
+    await store('Status', 'old-model');
+    await store('Status', 'old-model');
+    await store('Status', null);
+    await store('Status', 'mock-embedding', { dimension: 16 });
+
+    const status = getEmbeddingIndexStatus(settings);
+    expect(status.target).toEqual({ provider: 'mock', model: 'mock-embedding' });
+    expect(status.stale).toBe(3);
+    expect(status.unrecorded).toBe(1);
+    expect(status.embeddings).toEqual(expect.arrayContaining([
+      { provider: 'old', model: 'old-model', dimension: 8, count: 2 },
+      { provider: 'old', model: 'mock-embedding', dimension: 16, count: 1 },
+      { provider: null, model: null, dimension: 8, count: 1 }
+    ]));
+  });
+});
+
+describe('reembedStaleMemories', () => {
+  test('re-embeds one character\'s stale memories with the target model and reports progress', async () => {
+    await store('Reindex', 'old-model');
+    await store('Reindex', null);
+    await store('Untouched', 'old-model');
+    const reports = [];
+
+    const progress = await reembedStaleMemories(settings, 'Reindex', { reportProgress: report => reports.push(report) });
+    expect(progress).toMatchObject({ provider: 'mock', model: 'mock-embedding', characterName: 'Reindex', total: 2, done: 2, failed: 0 });
+    expect(reports[0]).toMatchObject({ total: 2, done: 0 });
+    expect(reports[reports.length - 1]).toMatchObject({ done: 2 });
+
+    expect(storedModels('Reindex')).toEqual([{ model: 'mock-embedding', dim: 16 }, { model: 'mock-embedding', dim: 16 }]);
+    expect(storedModels('Untouched')).toEqual([{ model: 'old-model', dim: 8 }]);
+    // The new vectors are searchable with the new model
+    const query = Array.from({ length: 16 }, () => 0.25);
+    expect(await queryItems(query, 5, 'Reindex', 'mock-embedding')).toHaveLength(2);
+  });
+
+  test('memories without a summary are counted as failed', async () => {
+    await store('Empty', 'old-model', { summary: '' });
+    expect(await reembedStaleMemories(settings, 'Empty')).toMatchObject({ total: 1, done: 0, failed: 1 });
+  });
+
+  test('stops when the signal is aborted', async () => {
+    await store('Cancelled', 'old-model');
+    const controller = new AbortController();
+    controller.abort();
+    expect(await reembedStaleMemories(settings, 'Cancelled', { signal: controller.signal })).toMatchObject({ total: 1, done: 0 });
+    expect(storedModels('Cancelled')[0].model).toBe('old-model');
+  });
+
+  test('throws after several failed batches in a row, without falling back to another provider', async () => {
+    for (let i = 0; i < 60; i++) await store('Failing', 'old-model');
+    const failing = {
+      ollama: { baseUrl: 'http://127.0.0.1:9' },
+      memory: { embeddingProvider: 'ollama', embeddingFallbackOrder: ['mock'] }
+    };
+    await expect(reembedStaleMemories(failing, 'Failing')).rejects.toThrow(/did not return nomic-embed-text embeddings for 3 batches/);
+    expect(storedModels('Failing').every(row => row.model === 'old-model')).toBe(true);
+  });
+});
+
+describe('adoptUnrecordedEmbeddings', () => {
+  const query = Array.from({ length: 16 }, () => 0.25);
+  let matching;
+
+  beforeAll(async () => {
+    matching = await store('Legacy', null, { dimension: 16 });
+    await store('Legacy', null, { dimension: 8 });
+  });
+
+  test('leaves everything alone when the configured model cannot be reached', async () => {
+    const unreachable = { ollama: { baseUrl: 'http://127.0.0.1:9' }, memory: { embeddingProvider: 'ollama', embeddingFallbackOrder: ['mock'] } };
+    expect(await adoptUnrecordedEmbeddings(unreachable)).toMatchObject({ adopted: 0, dimension: null });
+    expect(storedModels('Legacy')).toEqual([{ model: null, dim: 16 }, { model: null, dim: 8 }]);
+  });
+
+  test('vectors with the configured dimension become searchable as that model', async () => {
+    expect(await queryItems(query, 5, 'Legacy', 'mock-embedding')).toHaveLength(0);
+
+    const result = await adoptUnrecordedEmbeddings(settings);
+    expect(result).toMatchObject({ adopted: 1, dimension: 16 });
+    expect(result.unrecorded).toBe(getEmbeddingIndexStatus(settings).unrecorded);
+    expect(storedModels('Legacy')).toEqual([{ model: 'mock-embedding', dim: 16 }, { model: null, dim: 8 }]);
+
+    const found = await queryItems(query, 5, 'Legacy', 'mock-embedding');
+    expect(found.map(item => item.item.metadata.id)).toEqual([matching]);
+    // The other vector is still stale and waits for a re-embed
+    expect((await reembedStaleMemories(settings, 'Legacy')).total).toBe(1);
+    expect(storedModels('Legacy')[1]).toEqual({ model: 'mock-embedding', dim: 16 });
+  });
+});
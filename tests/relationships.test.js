@@ -0,0 +1,145 @@
+// Relationship tracking: configurable axes, applying the changes of a journal analysis per
+// participant, the stored history of those changes and the prompt section
+import {
+  DEFAULT_RELATIONSHIP_AXES,
+  normalizeAxes,
+  getRelationshipAxes,
+  statusFromSentiment,
+  normalizeRelationships,
+  applyRelationshipChanges,
+  recordRelationshipHistory,
+  getRelationshipHistory,
+  clearRelationshipHistory,
+  formatRelationshipsForPrompt
+} from '../src/backend/relationships.js';
+import { createCharacter, loadCharacter, updateCharacter } from '../src/backend/character-system-sqlite.js';
+
+describe('axes', () => {
+  test('names are cleaned up, deduplicated and capped', () => {
+    expect(normalizeAxes([' Trust ', 'trust', 'Loyalty  Owed', '9lives', '', 42])).toEqual(['trust', 'loyalty owed']);
+    expect(normalizeAxes(Array.from({ length: 10 }, (_, i) => `axis ${String.fromCharCode(97 + i)}`))).toHaveLength(8);
+    expect(normalizeAxes('trust')).toEqual([]);
+  });
+
+  test('a character without its own axes tracks the defaults', () => {
+    expect(getRelationshipAxes({ relationshipAxes: null })).toEqual(DEFAULT_RELATIONSHIP_AXES);
+    expect(getRelationshipAxes({ relationshipAxes: ['Rivalry'] })).toEqual(['rivalry']);
+  });
+});
+
+test('status follows the sentiment', () => {
+  expect([0.5, 0.2, 0, -0.2, -0.5].map(statusFromSentiment)).toEqual(['friendly', 'acquaintance', 'neutral', 'wary', 'hostile']);
+});
+
+test('relationships stored under "user" move to the user\'s name', () => {
+  expect(normalizeRelationships({ user: { sentiment: 3 } }, 'Rowan')).toEqual({
+    Rowan: { status: 'friendly', sentiment: 1, axes: {}, updatedAt: null }
+  });
+  expect(Object.keys(normalizeRelationships({ user: {}, Rowan: {} }, 'Rowan'))).toEqual(['user', 'Rowan']);
+});
+
+describe('applyRelationshipChanges', () => {
+  const options = { axes: ['trust', 'fear'], userName: 'Rowan', characterName: 'Aria', timestamp: 500 };
+
+  test('moves sentiment and tracked axes per participant, one bounded step at a time', () => {
+    const current = { Rowan: { sentiment: 0.8, axes: { trust: 0.9 } } };
+    const { relationships, changes } = applyRelationshipChanges(current, {
+      relationshipChanges: [
+        { participant: 'rowan', sentiment: 0.4, axes: { trust: 0.3, fear: -2, loyalty: 1 }, reason: ' Saved her life ' },
+        { participant: 'Mira', axes: { fear: 0.2 } },
+        { participant: 'Aria', sentiment: 1 },
+        { participant: 'Tobin', sentiment: 0 }
+      ]
+    }, options);
+
+    expect(relationships.Rowan).toEqual({ status: 'friendly', sentiment: 1, axes: { trust: 1, fear: -0.5 }, updatedAt: 500 });
+    expect(relationships.Mira).toMatchObject({ status: 'neutral', sentiment: 0, axes: { fear: 0.2 } });
+    expect(relationships.Aria).toBeUndefined();
+    expect(relationships.Tobin).toBeUndefined();
+    expect(changes).toEqual([
+      { participant: 'Rowan', sentimentDelta: 0.4, axesDelta: { trust: 0.3, fear: -0.5 }, sentiment: 1, status: 'friendly', axes: { trust: 1, fear: -0.5 }, reason: 'Saved her life' },
+      { participant: 'Mira', sentimentDelta: 0, axesDelta: { fear: 0.2 }, sentiment: 0, status: 'neutral', axes: { fear: 0.2 }, reason: '' }
+    ]);
+  });
+
+  test('the overall relationshipDelta decides the sentiment towards the user', () => {
+    const { relationships, changes } = applyRelationshipChanges({}, {
+      relationshipDelta: -0.3,
+      relationshipChanges: [{ participant: 'Rowan', sentiment: 0.5 }]
+    }, options);
+    expect(relationships.Rowan).toMatchObject({ sentiment: -0.3, status: 'wary' });
+    expect(changes).toHaveLength(1);
+  });
+
+  test('the user always gets an entry', () => {
+    expect(applyRelationshipChanges({}, {}, options)).toEqual({
+      relationships: { Rowan: { status: 'neutral', sentiment: 0, axes: {}, updatedAt: null } },
+      changes: []
+    });
+  });
+});
+
+describe('history', () => {
+  let character;
+
+  beforeAll(() => {
+    character = createCharacter({ name: 'Historian', persona: 'Keeps track.' });
+    const change = (participant, sentimentDelta) => ({ participant, sentimentDelta, axesDelta: { trust: sentimentDelta }, sentiment: sentimentDelta, status: 'neutral', axes: { trust: sentimentDelta } });
+    recordRelationshipHistory(character.id, [change('Rowan', 0.1), change('Mira', -0.2)], 'memory-1', 100);
+    recordRelationshipHistory(character.id, [change('Rowan', 0.3)], 'memory-2', 200);
+  });
+
+  test('is listed newest first with the memory that caused each change', () => {
+    const { history, total } = getRelationshipHistory(character.id);
+    expect(total).toBe(3);
+    expect(history[0]).toMatchObject({ participant: 'Rowan', sentimentDelta: 0.3, axesDelta: { trust: 0.3 }, memoryId: 'memory-2', timestamp: 200 });
+  });
+
+  test('can be filtered by participant and paged', () => {
+    expect(getRelationshipHistory(character.id, { participant: 'Rowan' }).total).toBe(2);
+    const page = getRelationshipHistory(character.id, {}, 1, 1);
+    expect(page.history.map(entry => entry.participant)).toEqual(['Mira']);
+  });
+
+  test('nothing is written for an empty change list, and clearing removes it all', () => {
+    expect(recordRelationshipHistory(character.id, [], 'memory-3')).toBe(0);
+    expect(clearRelationshipHistory(character.id)).toBe(3);
+    expect(getRelationshipHistory(character.id).total).toBe(0);
+  });
+});
+
+describe('stored characters', () => {
+  test('keep their axes and the axis values of each relationship', () => {
+    createCharacter({ name: 'Axed', persona: 'Has opinions.', relationshipAxes: ['rivalry'] });
+    const { relationships } = applyRelationshipChanges({}, { relationshipChanges: [{ participant: 'Rowan', sentiment: 0.5, axes: { rivalry: 0.4 } }] },
+      { axes: ['rivalry'], userName: 'Rowan', characterName: 'Axed', timestamp: 300 });
+    updateCharacter('Axed', { relationships });
+
+    const loaded = loadCharacter('Axed');
+    expect(loaded.relationshipAxes).toEqual(['rivalry']);
+    expect(loaded.relationships.Rowan).toMatchObject({ status: 'friendly', sentiment: 0.5, axes: { rivalry: 0.4 } });
+  });
+});
+
+describe('prompt section', () => {
+  test('lists changed relationships, most recent first, with the tracked axes', () => {
+    const character = {
+      name: 'Aria',
+      relationshipAxes: ['trust'],
+      relationships: {
+        Rowan: { sentiment: 0.5, axes: { trust: 0.25, fear: 0.9 }, updatedAt: 100 },
+        Mira: { sentiment: -0.2, axes: {}, updatedAt: 200 },
+        Tobin: { sentiment: 0, axes: {}, updatedAt: 300 }
+      }
+    };
+    expect(formatRelationshipsForPrompt(character, 'Rowan')).toBe(
+      'RELATIONSHIPS (how Aria currently regards others; values range from -1 to 1):\n' +
+      '- Mira: wary (sentiment -0.20)\n' +
+      '- Rowan: friendly (sentiment 0.50); trust 0.25'
+    );
+  });
+
+  test('is empty while everyone is neutral', () => {
+    expect(formatRelationshipsForPrompt({ name: 'Aria', relationships: { Rowan: { sentiment: 0 } } }, 'Rowan')).toBe('');
+  });
+});
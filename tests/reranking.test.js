@@ -0,0 +1,93 @@
+// Memory reranking: the lexical scorer, the provider chain (keyed providers need a key, the
+// lexical scorer always comes last) and falling back when a reranker fails
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+import { getRerankingChain, registerRerankingProvider, rerankMemories, scoreLexically } from '../src/backend/reranking-system.js';
+
+const memories = [
+  { id: 'a', summary: 'They ate bread at the inn' },
+  { id: 'b', summary: 'Rowan lost the silver compass in the storm' },
+  { id: 'c', summary: 'The compass was a gift', topics: ['silver'] }
+];
+
+describe('scoreLexically', () => {
+  test('ranks documents by the query words they contain', () => {
+    const [bread, storm, gift] = scoreLexically('silver compass storm', memories.map(m => m.summary));
+    expect(bread).toBe(0);
+    expect(storm).toBeGreaterThan(gift);
+    expect(gift).toBeGreaterThan(0);
+  });
+
+  test('matches word forms, adjacent pairs and topics', () => {
+    expect(scoreLexically('sailing', ['They sail at dawn'])[0]).toBeGreaterThan(0);
+    const [apart, together] = scoreLexically('silver compass', ['compass made of silver', 'a silver compass']);
+    expect(together).toBeGreaterThan(apart);
+    const [plain, tagged] = scoreLexically('silver', ['silver', 'silver'], [[], ['silver']]);
+    expect(tagged).toBeCloseTo(plain + 0.3);
+  });
+
+  test('a query of stopwords scores nothing', () => {
+    expect(scoreLexically('what is the', ['what is the time'])).toEqual([0]);
+  });
+});
+
+describe('the provider chain', () => {
+  test('the lexical scorer is the default and always the last resort', () => {
+    expect(getRerankingChain({})).toEqual(['local']);
+    expect(getRerankingChain({ memory: { rerankingProvider: 'local-cross-encoder' } })).toEqual(['local-cross-encoder', 'local']);
+  });
+
+  test('keyed providers are skipped without a key', () => {
+    expect(getRerankingChain({ memory: { rerankingProvider: 'jina' } })).toEqual(['local']);
+    expect(getRerankingChain({ memory: { rerankingProvider: 'jina' }, apiKeys: { jina: ['', 'key'], nvidia: 'key' } }))
+      .toEqual(['jina', 'nvidia', 'local']);
+    expect(getRerankingChain({ memory: { rerankingProvider: 'nvidia', rerankingFallbackOrder: [] }, apiKeys: { nvidia: 'key' } }))
+      .toEqual(['nvidia', 'local']);
+  });
+
+  test('registered providers need a rerank function', () => {
+    expect(() => registerRerankingProvider('broken', {})).toThrow(/rerank function/);
+  });
+});
+
+describe('rerankMemories', () => {
+  test('adds a rerank score and orders by it, ties keeping retrieval order', async () => {
+    const reranked = await rerankMemories('silver compass storm', memories, {});
+    expect(reranked.map(m => m.id)).toEqual(['b', 'c', 'a']);
+    expect(reranked[2].rerankScore).toBe(0);
+    expect((await rerankMemories('nothing matches', memories, {})).map(m => m.id)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('a registered provider is used and may return only its top results', async () => {
+    registerRerankingProvider('reverse', {
+      local: true,
+      rerank: async (query, documents, { memories: given }) => {
+        expect(given).toBe(memories);
+        return [{ index: 2, score: 0.9 }, { index: 0, score: 0.5 }, { index: 7, score: 1 }];
+      }
+    });
+    const reranked = await rerankMemories('query', memories, { memory: { rerankingProvider: 'reverse' } });
+    expect(reranked.map(m => [m.id, m.rerankScore])).toEqual([['c', 0.9], ['a', 0.5]]);
+  });
+
+  test('a failing provider falls back to the next one', async () => {
+    registerRerankingProvider('failing', { local: true, rerank: async () => { throw new Error('model crashed'); } });
+    const reranked = await rerankMemories('silver compass', memories, { memory: { rerankingProvider: 'failing' } });
+    expect(reranked[0].id).toBe('b');
+  });
+
+  test('the cross-encoder falls back to the lexical scorer when it cannot load its model', async () => {
+    // An empty model folder also keeps transformers.js (if installed) from downloading anything
+    const modelPath = fs.mkdtempSync(path.join(os.tmpdir(), 'no-models-'));
+    const settings = { memory: { rerankingProvider: 'local-cross-encoder', crossEncoderModelPath: modelPath } };
+    const reranked = await rerankMemories('silver compass storm', memories, settings);
+    expect(reranked.map(m => m.id)).toEqual(['b', 'c', 'a']);
+  });
+
+  test('reranking can be turned off', async () => {
+    const result = await rerankMemories('silver compass', memories, { memory: { enableReranking: false } });
+    expect(result).toBe(memories);
+    expect(await rerankMemories('anything', [], {})).toEqual([]);
+  });
+});
@@ -0,0 +1,188 @@
+// Sampler settings: zod validation of the values and presets, the settings -> preset -> character
+// precedence, and the mapping to each provider's request fields
+import { registerProvider } from '../src/backend/provider-registry.js';
+import { getProviderHandler } from '../src/backend/llm-providers.js';
+import {
+  OPENAI_SAMPLER_FIELDS,
+  resolveSamplers,
+  mapSamplers,
+  logitBiasFromTokens,
+  samplerParams,
+  validateSamplerValues,
+  validateSamplerPreset,
+  validateSamplerSettings
+} from '../src/backend/samplers.js';
+
+const openAILike = {
+  label: 'OpenAI-like',
+  capabilities: { stopSequences: true, logitBias: true },
+  samplers: { ...OPENAI_SAMPLER_FIELDS, topK: 'top_k', bannedTokens: logitBiasFromTokens }
+};
+
+describe('resolveSamplers', () => {
+  test('the preset overrides the settings and the character overrides the preset', () => {
+    const settings = {
+      temperature: 0.7,
+      topP: 0.9,
+      maxTokens: 512,
+      samplerPreset: 'Calm',
+      samplerPresets: {
+        Calm: { temperature: 0.3, topK: 20 },
+        Wild: { temperature: 1.6, topK: 100, minP: 0.05 }
+      }
+    };
+
+    expect(resolveSamplers(settings)).toEqual({ temperature: 0.3, topP: 0.9, maxTokens: 512, topK: 20 });
+    expect(resolveSamplers(settings, { samplerPreset: 'Wild', temperature: 1.1 })).toEqual({
+      temperature: 1.1,
+      topP: 0.9,
+      maxTokens: 512,
+      topK: 100,
+      minP: 0.05
+    });
+  });
+
+  test('invalid and empty values are left out and a single stop string becomes a list', () => {
+    const samplers = resolveSamplers({
+      temperature: 'hot',
+      topP: 3,
+      topK: 2.5,
+      seed: null,
+      minP: '',
+      bannedTokens: [],
+      presencePenalty: -1.5,
+      stop: '\nUser:'
+    });
+
+    expect(samplers).toEqual({ presencePenalty: -1.5, stop: ['\nUser:'] });
+  });
+
+  test('a missing preset falls back to the plain settings', () => {
+    expect(resolveSamplers({ temperature: 0.8, samplerPreset: 'Gone', samplerPresets: {} })).toEqual({ temperature: 0.8 });
+    expect(resolveSamplers({ temperature: 0.8 }, { samplerPreset: 'Gone' })).toEqual({ temperature: 0.8 });
+  });
+});
+
+describe('mapSamplers', () => {
+  test('known samplers are renamed to the provider fields and the rest are dropped', () => {
+    const params = mapSamplers(openAILike, {
+      temperature: 0.5,
+      topP: 0.95,
+      topK: 40,
+      minP: 0.1,
+      repetitionPenalty: 1.1,
+      maxTokens: 300,
+      stop: ['###'],
+      seed: 7
+    });
+
+    expect(params).toEqual({ temperature: 0.5, top_p: 0.95, top_k: 40, max_tokens: 300, stop: ['###'], seed: 7 });
+  });
+
+  test('banned tokens go through the provider function and only token ids are sent', () => {
+    expect(mapSamplers(openAILike, { bannedTokens: [42, 'shiver', 7] })).toEqual({ logit_bias: { 42: -100, 7: -100 } });
+    expect(mapSamplers(openAILike, { bannedTokens: ['shiver'] })).toEqual({});
+    expect(logitBiasFromTokens([3])).toEqual({ logit_bias: { 3: -100 } });
+  });
+
+  test('stop sequences and banned tokens need the provider capability', () => {
+    const limited = { ...openAILike, capabilities: { stopSequences: false, logitBias: false } };
+
+    expect(mapSamplers(limited, { temperature: 1, stop: ['###'], bannedTokens: [42] })).toEqual({ temperature: 1 });
+  });
+
+  test('a provider without a sampler map gets no request fields', () => {
+    expect(mapSamplers({ label: 'Plain', capabilities: {} }, { temperature: 1, topK: 5 })).toEqual({});
+  });
+
+  test('samplerParams puts the mapped values over the provider defaults', () => {
+    expect(samplerParams({ samplerParams: { temperature: 1.2 } }, { temperature: 0.7, max_tokens: 2048 }))
+      .toEqual({ temperature: 1.2, max_tokens: 2048 });
+    expect(samplerParams({}, { temperature: 0.7 })).toEqual({ temperature: 0.7 });
+  });
+});
+
+describe('validation', () => {
+  test('validateSamplerValues reports the first invalid value', () => {
+    expect(validateSamplerValues({ temperature: 1, topP: 0.5, stop: 'END' })).toBeNull();
+    expect(validateSamplerValues({ temperature: '', seed: null })).toBeNull();
+    expect(validateSamplerValues({ temperature: 9 })).toMatch(/^Invalid temperature in settings: /);
+    expect(validateSamplerValues({ maxTokens: 0 }, 'the request')).toMatch(/^Invalid maxTokens in the request: /);
+    expect(validateSamplerValues({ stop: ['ok', ''] })).toMatch(/^Invalid stop in settings: 1: /);
+    expect(validateSamplerValues({ bannedTokens: [-1] })).toMatch(/^Invalid bannedTokens/);
+  });
+
+  test('validateSamplerPreset checks the name and allows only sampler fields', () => {
+    expect(validateSamplerPreset('Creative', { temperature: 1.3, topK: '', stop: 'END' }))
+      .toEqual({ preset: { temperature: 1.3, stop: ['END'] } });
+    expect(validateSamplerPreset('a/b', { temperature: 1 }).error).toMatch(/without slashes/);
+    expect(validateSamplerPreset('', {}).error).toMatch(/1 to 64 characters/);
+    expect(validateSamplerPreset('x'.repeat(65), {}).error).toMatch(/1 to 64 characters/);
+    expect(validateSamplerPreset('Creative', { model: 'gpt' }).error).toMatch(/^Invalid sampler preset: /);
+    expect(validateSamplerPreset('Creative', { topP: 2 }).error).toMatch(/^Invalid sampler preset: topP: /);
+  });
+
+  test('validateSamplerSettings checks the settings values and every preset', () => {
+    expect(validateSamplerSettings({ temperature: 1, samplerPresets: { Calm: { temperature: 0.2 } } })).toBeNull();
+    expect(validateSamplerSettings({ frequencyPenalty: 3 })).toMatch(/^Invalid frequencyPenalty in settings/);
+    expect(validateSamplerSettings({ samplerPresets: { Calm: { seed: 1.5 } } }))
+      .toMatch(/^Invalid sampler preset: seed: .* \(preset "Calm"\)$/);
+  });
+});
+
+describe('provider handlers', () => {
+  const seen = [];
+  registerProvider({
+    name: 'sampler-capture',
+    capabilities: { stopSequences: false },
+    samplers: { temperature: 'temp', maxTokens: 'max_new_tokens', stop: 'stop' },
+    generate: async (messages, settings) => {
+      seen.push(settings);
+      return 'captured';
+    }
+  });
+  registerProvider({
+    name: 'sampler-plain',
+    generate: async (messages, settings) => {
+      seen.push(settings);
+      return 'plain';
+    }
+  });
+  const messages = [{ role: 'user', content: 'Hello' }];
+
+  beforeEach(() => {
+    seen.length = 0;
+  });
+
+  test('the handler resolves the samplers and passes the mapped request fields', async () => {
+    const settings = {
+      temperature: 0.4,
+      maxTokens: 200,
+      stop: ['END'],
+      samplerPreset: 'Long',
+      samplerPresets: { Long: { maxTokens: 900 } }
+    };
+
+    await getProviderHandler('sampler-capture', settings)(messages, settings);
+
+    expect(seen[0].samplers).toEqual({ temperature: 0.4, maxTokens: 900, stop: ['END'] });
+    expect(seen[0].samplerParams).toEqual({ temp: 0.4, max_new_tokens: 900 });
+  });
+
+  test('samplers already resolved for a character are used as given', async () => {
+    const settings = { temperature: 0.4, samplers: { temperature: 1.5 } };
+
+    await getProviderHandler('sampler-capture', settings)(messages, settings);
+
+    expect(seen[0].samplerParams).toEqual({ temp: 1.5 });
+  });
+
+  test('a provider without a map sees the normalized values only', async () => {
+    const settings = { temperature: 0.9, topK: 30 };
+
+    await getProviderHandler('sampler-plain', settings)(messages, settings);
+
+    expect(seen[0].samplers).toEqual({ temperature: 0.9, topK: 30 });
+    expect(seen[0].samplerParams).toEqual({});
+  });
+});
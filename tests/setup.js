@@ -0,0 +1,22 @@
+// Runs before every test file: the backend gets its own temporary data directory and an in-memory
+// database, so tests never touch data/ and each file starts from an empty, fully migrated schema.
+// Set TEST_VERBOSE=1 to keep the backend's console.log/info/warn output.
+// package.json maps sqlite-vec to its CommonJS build: the ES module build needs import.meta.resolve,
+// which Jest's module loader does not provide, and the store would quietly fall back to brute force.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chunrp-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.CHUNRP_DB_PATH = ':memory:';
+
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.info = () => {};
+  console.warn = () => {};
+}
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
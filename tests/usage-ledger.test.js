@@ -0,0 +1,197 @@
+// Usage ledger: one row per provider request with tokens, latency, cost, error class and the key
+// that served it; daily quotas; the usage report; and API key health kept across restarts
+import { getDatabase } from '../src/backend/database.js';
+import { registerProvider } from '../src/backend/provider-registry.js';
+import { getProviderHandler, generateResponse, getNextApiKey, markApiKeySuccess, markApiKeyFailure } from '../src/backend/llm-providers.js';
+import {
+  hashApiKey,
+  loadKeyHealth,
+  listKeyHealth,
+  classifyError,
+  estimateCost,
+  recordUsage,
+  assertWithinQuota,
+  getUsageReport,
+  pruneUsageLedger
+} from '../src/backend/usage-ledger.js';
+import { estimateTokens } from '../src/backend/memory-system.js';
+import { resetMockProvider } from '../src/backend/mock-provider.js';
+
+const messages = [{ role: 'system', content: 'You are Aria.' }, { role: 'user', content: 'Hello there' }];
+
+function ledgerRows(provider) {
+  return getDatabase().prepare('SELECT * FROM usage_ledger WHERE provider = ? ORDER BY id').all(provider);
+}
+
+// A keyed provider that answers with the first key, or fails with the given error
+function registerKeyedProvider(name, { fail = null, pricing } = {}) {
+  registerProvider({
+    name,
+    models: [{ id: `${name}-model`, pricing }],
+    generate: async (given, settings) => {
+      const keyInfo = getNextApiKey(name, settings.apiKeys || {});
+      if (fail) {
+        markApiKeyFailure(name, keyInfo.currentIndex, fail);
+        throw fail;
+      }
+      markApiKeySuccess(name, keyInfo.currentIndex, keyInfo.keys.length);
+      return 'four words of reply';
+    }
+  });
+}
+
+beforeEach(() => {
+  resetMockProvider();
+});
+
+describe('recording requests', () => {
+  test('a successful call records tokens, latency, labels, key and cost', async () => {
+    registerKeyedProvider('ledger-paid', { pricing: { prompt: 2, completion: 10 } });
+    const settings = { apiKeys: { 'ledger-paid': 'secret-key' }, model: 'ledger-paid-model' };
+    await getProviderHandler('ledger-paid', settings, { character: 'Aria', purpose: 'chat' })(messages, settings);
+
+    const [row] = ledgerRows('ledger-paid');
+    expect(row).toMatchObject({
+      model: 'ledger-paid-model',
+      character: 'Aria',
+      purpose: 'chat',
+      status: 'ok',
+      error_class: null,
+      key_hash: hashApiKey('secret-key'),
+      completion_tokens: estimateTokens('four words of reply')
+    });
+    expect(row.prompt_tokens).toBeGreaterThan(0);
+    expect(row.latency_ms).toBeGreaterThanOrEqual(0);
+    expect(row.cost).toBeCloseTo((2 * row.prompt_tokens + 10 * row.completion_tokens) / 1e6);
+    expect(row.key_hash).not.toContain('secret');
+  });
+
+  test('a failed call records its error class and rethrows', async () => {
+    registerKeyedProvider('ledger-failing', { fail: Object.assign(new Error('slow down'), { status: 429 }) });
+    const settings = { apiKeys: { 'ledger-failing': ['k1'] } };
+    await expect(getProviderHandler('ledger-failing', settings)(messages, settings)).rejects.toThrow('slow down');
+    expect(ledgerRows('ledger-failing')[0]).toMatchObject({ status: 'error', error_class: 'rate-limit', key_hash: hashApiKey('k1'), cost: null });
+  });
+
+  test('chat replies are labelled with the character and the purpose', async () => {
+    const character = { name: 'Labelled', persona: 'Test', relationships: {}, settingsOverride: {} };
+    await generateResponse(character, 'Hi', { name: 'User' }, [], {
+      provider: 'mock', model: 'mock-chat', memory: { enableMemoryCreation: false, enableMemoryRetrieval: false }
+    });
+    const row = ledgerRows('mock').find(entry => entry.character === 'Labelled');
+    expect(row).toMatchObject({ purpose: 'chat', status: 'ok', cost: 0, model: 'mock-chat' });
+  });
+
+  test('errors are sorted into classes', () => {
+    const classes = [
+      Object.assign(new Error('x'), { name: 'AbortError' }),
+      Object.assign(new Error('x'), { code: 'KEYS_COOLING_DOWN' }),
+      Object.assign(new Error('x'), { code: 'QUOTA_EXCEEDED' }),
+      new Error('Monthly quota used up'),
+      new Error('401 Unauthorized'),
+      new Error('Request timed out'),
+      new Error('fetch failed: ECONNREFUSED'),
+      new Error('API returned 502'),
+      new Error('Something odd')
+    ].map(classifyError);
+    expect(classes).toEqual(['cancelled', 'cooldown', 'quota', 'quota', 'auth', 'timeout', 'network', 'server', 'other']);
+    expect(classifyError(null)).toBeNull();
+  });
+});
+
+describe('cost estimates', () => {
+  beforeAll(() => {
+    registerProvider({ name: 'priced', generate: async () => '', models: [{ id: 'big', pricing: { prompt: 3, completion: 15 } }, { id: 'gift', free: true }] });
+  });
+
+  test('settings override the registry, free and local models cost nothing, the rest is unpriced', () => {
+    expect(estimateCost('priced', 'big', 1e6, 1e6, {})).toBe(18);
+    expect(estimateCost('priced', 'big', 1e6, 0, { usage: { pricing: { 'priced/big': { prompt: 1 } } } })).toBe(1);
+    expect(estimateCost('priced', 'other', 1e6, 0, { usage: { pricing: { priced: { prompt: 0.5 } } } })).toBe(0.5);
+    expect(estimateCost('priced', 'gift', 1e6, 1e6, {})).toBe(0);
+    expect(estimateCost('priced', 'community:free', 1e6, 1e6, {})).toBe(0);
+    expect(estimateCost('mock', 'anything', 1e6, 1e6, {})).toBe(0);
+    expect(estimateCost('priced', 'unknown', 1e6, 1e6, {})).toBeNull();
+  });
+});
+
+describe('daily quotas', () => {
+  test('a provider stops once its daily requests are used up; cancelled requests do not count', async () => {
+    const settings = { usage: { quotas: { mock: { dailyRequests: 2 } } }, model: 'mock-chat' };
+    getDatabase().prepare('DELETE FROM usage_ledger').run();
+    recordUsage({ provider: 'mock', status: 'cancelled' });
+    const handler = getProviderHandler('mock', settings);
+    await handler(messages, settings);
+    await handler(messages, settings);
+    const error = await handler(messages, settings).catch(e => e);
+    expect(error).toMatchObject({ code: 'QUOTA_EXCEEDED', message: 'Daily quota for mock reached (2 requests)' });
+  });
+
+  test('token quotas count prompt and completion tokens, and only today', () => {
+    const yesterday = Date.now() - 36 * 60 * 60 * 1000;
+    recordUsage({ provider: 'tokened', status: 'ok', promptTokens: 500, createdAt: yesterday });
+    const settings = { usage: { quotas: { tokened: { dailyTokens: 100 } } } };
+    expect(() => assertWithinQuota('tokened', settings)).not.toThrow();
+    recordUsage({ provider: 'tokened', status: 'ok', promptTokens: 60, completionTokens: 40 });
+    expect(() => assertWithinQuota('tokened', settings)).toThrow('Daily quota for tokened reached (100 tokens)');
+    expect(() => assertWithinQuota('tokened', {})).not.toThrow();
+  });
+
+  test('an exhausted provider hands the reply to the fallback route', async () => {
+    recordUsage({ provider: 'ledger-paid', status: 'ok' });
+    const character = { name: 'Quota', persona: 'Test', relationships: {}, settingsOverride: {} };
+    const reply = await generateResponse(character, 'Hi', { name: 'User' }, [], {
+      provider: 'ledger-paid',
+      apiKeys: { 'ledger-paid': 'secret-key' },
+      usage: { quotas: { 'ledger-paid': { dailyRequests: 1 } } },
+      fallbackRoutes: [{ provider: 'mock', model: 'mock-chat' }],
+      memory: { enableMemoryCreation: false, enableMemoryRetrieval: false },
+      mock: { responses: ['Fallback reply'] }
+    });
+    expect(reply).toBe('Fallback reply');
+    expect(ledgerRows('ledger-paid').filter(row => row.character === 'Quota')).toEqual([]);
+  });
+});
+
+describe('usage report', () => {
+  beforeAll(() => {
+    const entry = { character: 'Reported', model: 'm', promptTokens: 10, completionTokens: 5, latencyMs: 100 };
+    recordUsage({ ...entry, provider: 'report-a', status: 'ok', cost: 0.5, keyHash: 'hash-1' });
+    recordUsage({ ...entry, provider: 'report-a', status: 'ok', cost: null, latencyMs: 300, keyHash: 'hash-1' });
+    recordUsage({ ...entry, provider: 'report-b', status: 'error', errorClass: 'server', completionTokens: 0 });
+    recordUsage({ ...entry, provider: 'report-b', status: 'ok', createdAt: Date.now() - 40 * 24 * 60 * 60 * 1000 });
+    recordUsage({ ...entry, character: 'Someone else', provider: 'report-a', status: 'ok' });
+  });
+
+  test('totals per day, provider, key and error class for one character', () => {
+    const report = getUsageReport({ days: 30, character: 'Reported' });
+    expect(report).toMatchObject({ days: 30, character: 'Reported' });
+    expect(report.totals).toEqual({ requests: 3, errors: 1, promptTokens: 30, completionTokens: 10, cost: 0.5, unpriced: 1, avgLatencyMs: 167 });
+    expect(report.daily).toHaveLength(1);
+    expect(report.characters.map(row => row.character)).toEqual(['Reported']);
+    expect(report.providers.map(row => [row.provider, row.requests])).toEqual([['report-a', 2], ['report-b', 1]]);
+    expect(report.keys).toEqual([expect.objectContaining({ provider: 'report-a', keyHash: 'hash-1', requests: 2 })]);
+    expect(report.errorClasses).toEqual([{ errorClass: 'server', count: 1 }]);
+  });
+
+  test('the span is bounded and older rows can be pruned', () => {
+    expect(getUsageReport({ days: 9999 }).days).toBe(366);
+    expect(getUsageReport({ days: 60, character: 'Reported' }).totals.requests).toBe(4);
+    expect(pruneUsageLedger(30)).toBeGreaterThanOrEqual(1);
+    expect(getUsageReport({ days: 60, character: 'Reported' }).totals.requests).toBe(3);
+  });
+});
+
+describe('key health', () => {
+  test('is saved per key hash with the circuit breaker state and last error', async () => {
+    registerKeyedProvider('health-limited', { fail: new Error('rate limit exceeded') });
+    const settings = { apiKeys: { 'health-limited': ['cooling-key'] } };
+    await getProviderHandler('health-limited', settings)(messages, settings).catch(() => {});
+
+    const hash = hashApiKey('cooling-key');
+    const [health] = listKeyHealth().filter(entry => entry.provider === 'health-limited');
+    expect(health).toMatchObject({ keyHash: hash, status: 'rate-limited', failures: 1, lastError: 'rate limit exceeded' });
+    expect(health.cooldownRemainingMs).toBeGreaterThan(50000);
+    expect(loadKeyHealth('health-limited', [hash]).get(hash)).toMatchObject({ status: 'rate-limited', cooldownMs: 60000 });
+  });
+});
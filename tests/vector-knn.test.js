@@ -0,0 +1,72 @@
+// Character-scoped KNN: the vec0 tables are partitioned by character and filtered by embedding
+// model, so one character's query always gets k of its own memories from the same model
+import { getDatabase } from '../src/backend/database.js';
+import { insertItem, queryItems, deleteItem, replaceEmbedding } from '../src/backend/vector-store-sqlite-vec.js';
+
+const DIM = 8;
+
+// Unit vector pointing mostly along one axis, with a small per-item tilt
+function vector(axis, tilt = 0) {
+  const values = new Array(DIM).fill(0);
+  values[axis] = 1;
+  values[(axis + 1) % DIM] = tilt;
+  return values;
+}
+
+let counter = 0;
+async function store(character, vec, model = 'model-a', extra = {}) {
+  const id = `knn-${++counter}`;
+  await insertItem({ vector: vec, metadata: { id, character, summary: `${character} memory ${counter}`, timestamp: Date.now(), ...extra }, provider: 'test', model });
+  return id;
+}
+
+const ids = result => result.map(r => r.item.metadata.id);
+
+beforeAll(async () => {
+  // Many close matches for one character, a few distant ones for another
+  for (let i = 0; i < 30; i++) await store('Crowd', vector(0, i / 100));
+  for (let i = 0; i < 3; i++) await store('Loner', vector(4, i / 10));
+});
+
+test('vectors are indexed in a vec0 table for their dimension', () => {
+  const table = getDatabase().prepare("SELECT name FROM sqlite_master WHERE name = ?").get(`memories_vec_${DIM}`);
+  expect(table).toBeDefined();
+});
+
+test('a character gets k of its own memories even when others are closer', async () => {
+  const result = await queryItems(vector(0), 3, 'Loner', 'model-a');
+  expect(result).toHaveLength(3);
+  expect(result.every(r => r.item.metadata.character === 'Loner')).toBe(true);
+});
+
+test('results come back nearest first', async () => {
+  const result = await queryItems(vector(0, 0.05), 5, 'Crowd', 'model-a');
+  const distances = result.map(r => r.score);
+  expect(distances).toEqual([...distances].sort((a, b) => a - b));
+  expect(result[0].item.metadata.summary).toBe('Crowd memory 6');
+});
+
+test('vectors from another model or with no recorded model are never compared', async () => {
+  const otherModel = await store('Mixed', vector(2), 'model-b');
+  const unrecorded = await store('Mixed', vector(2), null);
+  const sameModel = await store('Mixed', vector(3), 'model-a');
+
+  expect(ids(await queryItems(vector(2), 5, 'Mixed', 'model-a'))).toEqual([sameModel]);
+  expect(ids(await queryItems(vector(2), 5, 'Mixed', 'model-b'))).toEqual([otherModel]);
+  expect(ids(await queryItems(vector(2), 5, 'Mixed', 'model-a'))).not.toContain(unrecorded);
+});
+
+test('a re-embedded memory moves to its new model and dimension', async () => {
+  const id = await store('Moved', vector(1), 'model-a');
+  const { rowid } = getDatabase().prepare('SELECT rowid FROM memories WHERE id = ?').get(id);
+  replaceEmbedding(rowid, [0, 1, 0, 0], { provider: 'test', model: 'model-c' });
+
+  expect(await queryItems(vector(1), 5, 'Moved', 'model-a')).toEqual([]);
+  expect(ids(await queryItems([0, 1, 0, 0], 5, 'Moved', 'model-c'))).toEqual([id]);
+});
+
+test('deleted memories leave the index', async () => {
+  const id = await store('Gone', vector(5), 'model-a');
+  expect(deleteItem('Gone', id)).toBe(true);
+  expect(await queryItems(vector(5), 5, 'Gone', 'model-a')).toEqual([]);
+});